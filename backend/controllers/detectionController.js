@@ -0,0 +1,178 @@
+/**
+ * Detection Controller
+ * Camera detection ingestion and the officer review queue
+ */
+
+const { EChallanFacade } = require('../patterns/DesignPatterns');
+const Detection = require('../models/Detection');
+const Vehicle = require('../models/Vehicle');
+
+class DetectionController {
+    constructor() {
+        this.eChallanFacade = new EChallanFacade();
+    }
+
+    /**
+     * Ingest Detection - Called by an authenticated device with a multipart 'image' and the reading
+     */
+    async ingestDetection(req, res) {
+        try {
+            const result = await this.eChallanFacade.ingestDetection(req.device, {
+                externalId: req.body.externalId,
+                detectionType: req.body.detectionType,
+                plate: req.body.plate,
+                plateConfidence: req.body.plateConfidence,
+                detectedAt: req.body.detectedAt,
+                measuredSpeed: req.body.measuredSpeed,
+                speedLimit: req.body.speedLimit,
+                radarReading: req.body.radarReading,
+                lightPhase: req.body.lightPhase,
+                timeAfterRed: req.body.timeAfterRed
+            }, req.file);
+
+            if (!result.success) {
+                return res.status(400).json({ message: result.error });
+            }
+
+            res.status(result.created ? 201 : 200).json({
+                message: result.message,
+                detection: result.detection
+            });
+
+        } catch (error) {
+            console.error('Error in ingestDetection:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Get Detections - Review queue, pending and unmatched detections by default
+     */
+    async getDetections(req, res) {
+        try {
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+            const query = {
+                status: req.query.status
+                    ? { $in: String(req.query.status).split(',') }
+                    : { $in: Detection.REVIEWABLE_STATUSES }
+            };
+            if (req.query.plate) {
+                query.plate = Vehicle.normalizeRegistration(req.query.plate);
+            }
+
+            const [detections, total] = await Promise.all([
+                Detection.find(query)
+                    .sort({ detectedAt: 1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .populate('deviceId', 'deviceId name type location'),
+                Detection.countDocuments(query)
+            ]);
+
+            res.json({
+                detections: detections.map(detection => detection.toJSON()),
+                pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+            });
+
+        } catch (error) {
+            console.error('Error in getDetections:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async getDetectionById(req, res) {
+        try {
+            const detection = await Detection.findById(req.params.id)
+                .populate('deviceId', 'deviceId name type location intersectionId')
+                .populate('vehicleId', 'registrationNumber make model color')
+                .populate('citizenId', 'name email');
+            if (!detection) {
+                return res.status(404).json({ message: 'Detection not found' });
+            }
+
+            res.json({ detection: detection.toJSON() });
+
+        } catch (error) {
+            console.error('Error in getDetectionById:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async getDetectionImage(req, res) {
+        try {
+            const detection = await Detection.findById(req.params.id);
+            if (!detection) {
+                return res.status(404).json({ message: 'Detection not found' });
+            }
+
+            const thumbnail = req.query.thumbnail === 'true';
+            const result = await this.eChallanFacade.getEvidenceFile(detection.image, { thumbnail });
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.set({
+                'Content-Type': result.contentType,
+                'Content-Length': result.buffer.length,
+                'Cache-Control': 'private, no-store',
+                'X-Content-Type-Options': 'nosniff'
+            });
+            res.send(result.buffer);
+
+        } catch (error) {
+            console.error('Error in getDetectionImage:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Approve Detection - Issues the challan; body may carry a corrected vehicleNumber and notes
+     */
+    async approveDetection(req, res) {
+        try {
+            const result = await this.eChallanFacade.approveDetection(req.user.id, req.params.id, {
+                vehicleNumber: req.body.vehicleNumber,
+                notes: req.body.notes
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.status(201).json({
+                message: result.message,
+                detection: result.detection,
+                challan: result.challan
+            });
+
+        } catch (error) {
+            console.error('Error in approveDetection:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async rejectDetection(req, res) {
+        try {
+            const result = await this.eChallanFacade.rejectDetection(req.user.id, req.params.id, {
+                reason: req.body.reason
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                message: result.message,
+                detection: result.detection
+            });
+
+        } catch (error) {
+            console.error('Error in rejectDetection:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+}
+
+module.exports = new DetectionController();
@@ -0,0 +1,161 @@
+/**
+ * Device Controller
+ * Registry of enforcement cameras allowed to submit detections
+ */
+
+const { EChallanFacade } = require('../patterns/DesignPatterns');
+const Device = require('../models/Device');
+
+class DeviceController {
+    constructor() {
+        this.eChallanFacade = new EChallanFacade();
+    }
+
+    /**
+     * Register Device - Returns the device's API key once
+     */
+    async registerDevice(req, res) {
+        try {
+            const result = await this.eChallanFacade.registerDevice(req.user.id, {
+                deviceId: req.body.deviceId,
+                name: req.body.name,
+                type: req.body.type,
+                location: req.body.location,
+                intersectionId: req.body.intersectionId,
+                calibration: req.body.calibration
+            });
+
+            if (!result.success) {
+                return res.status(400).json({ message: result.error });
+            }
+
+            res.status(201).json({
+                message: result.message,
+                device: result.device,
+                apiKey: result.apiKey
+            });
+
+        } catch (error) {
+            console.error('Error in registerDevice:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Get Devices - All registered devices, optionally filtered by type
+     */
+    async getDevices(req, res) {
+        try {
+            const query = {};
+            if (req.query.type) {
+                query.type = req.query.type;
+            }
+
+            const devices = await Device.find(query).sort({ deviceId: 1 });
+
+            res.json({
+                devices: devices.map(device => device.toJSON())
+            });
+
+        } catch (error) {
+            console.error('Error in getDevices:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Get Device - Device with its full calibration history
+     */
+    async getDeviceById(req, res) {
+        try {
+            const device = await Device.findById(req.params.id)
+                .populate('registeredBy', 'name email')
+                .populate('calibrations.recordedBy', 'name email');
+            if (!device) {
+                return res.status(404).json({ message: 'Device not found' });
+            }
+
+            res.json({ device: device.toJSON() });
+
+        } catch (error) {
+            console.error('Error in getDeviceById:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async updateDevice(req, res) {
+        try {
+            const result = await this.eChallanFacade.updateDevice(req.user.id, req.params.id, {
+                name: req.body.name,
+                location: req.body.location,
+                intersectionId: req.body.intersectionId,
+                isActive: req.body.isActive
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                message: result.message,
+                device: result.device
+            });
+
+        } catch (error) {
+            console.error('Error in updateDevice:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Record Calibration - certificateNumber, issuedBy, calibratedAt and expiresAt
+     */
+    async recordCalibration(req, res) {
+        try {
+            const result = await this.eChallanFacade.recordDeviceCalibration(req.user.id, req.params.id, {
+                certificateNumber: req.body.certificateNumber,
+                issuedBy: req.body.issuedBy,
+                calibratedAt: req.body.calibratedAt,
+                expiresAt: req.body.expiresAt
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.status(201).json({
+                message: result.message,
+                device: result.device
+            });
+
+        } catch (error) {
+            console.error('Error in recordCalibration:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Rotate Key - Returns the new API key once
+     */
+    async rotateKey(req, res) {
+        try {
+            const result = await this.eChallanFacade.rotateDeviceKey(req.user.id, req.params.id);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                message: result.message,
+                device: result.device,
+                apiKey: result.apiKey
+            });
+
+        } catch (error) {
+            console.error('Error in rotateKey:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+}
+
+module.exports = new DeviceController();
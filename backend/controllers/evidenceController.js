@@ -0,0 +1,124 @@
+/**
+ * Evidence Controller
+ * Upload of challan evidence and access-controlled retrieval of the stored files
+ */
+
+const { EChallanFacade } = require('../patterns/DesignPatterns');
+const Challan = require('../models/Challan');
+const Evidence = require('../models/Evidence');
+
+class EvidenceController {
+    constructor() {
+        this.eChallanFacade = new EChallanFacade();
+    }
+
+    /**
+     * Upload Evidence - Multipart 'files' field plus optional kind, description and capturedAt
+     */
+    async uploadEvidence(req, res) {
+        try {
+            const challan = await Challan.findById(req.params.id);
+            if (!challan) {
+                return res.status(404).json({ message: 'Challan not found' });
+            }
+
+            if (challan.officerId.toString() !== req.user.id) {
+                return res.status(403).json({ message: 'Only the issuing officer can add evidence to this challan' });
+            }
+
+            const result = await this.eChallanFacade.uploadEvidence(req.user.id, req.params.id, req.files, {
+                kind: req.body.kind,
+                description: req.body.description,
+                capturedAt: req.body.capturedAt
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.status(201).json({
+                message: result.message,
+                evidence: result.evidence
+            });
+
+        } catch (error) {
+            console.error('Error in uploadEvidence:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Get Challan Evidence - Metadata for every file attached to a challan
+     */
+    async getChallanEvidence(req, res) {
+        try {
+            const challan = await Challan.findById(req.params.id);
+            if (!challan) {
+                return res.status(404).json({ message: 'Challan not found' });
+            }
+
+            if (!this.eChallanFacade.canAccessEvidence(req.user.id, req.user.role, challan)) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            const evidence = await Evidence.find({ challanId: challan._id })
+                .sort({ createdAt: 1 })
+                .populate('uploadedBy', 'name badgeNumber');
+
+            res.json({
+                challanId: challan._id,
+                evidence: evidence.map(item => item.toJSON())
+            });
+
+        } catch (error) {
+            console.error('Error in getChallanEvidence:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async downloadEvidence(req, res) {
+        return this.sendEvidenceFile(req, res, { thumbnail: false });
+    }
+
+    async downloadThumbnail(req, res) {
+        return this.sendEvidenceFile(req, res, { thumbnail: true });
+    }
+
+    // Shared access check and response for the file and thumbnail endpoints
+    async sendEvidenceFile(req, res, { thumbnail }) {
+        try {
+            const evidence = await Evidence.findById(req.params.id);
+            if (!evidence) {
+                return res.status(404).json({ message: 'Evidence not found' });
+            }
+
+            const challan = await Challan.findById(evidence.challanId);
+            if (!challan || !this.eChallanFacade.canAccessEvidence(req.user.id, req.user.role, challan)) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            const result = await this.eChallanFacade.getEvidenceFile(evidence, { thumbnail });
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.set({
+                'Content-Type': result.contentType,
+                'Content-Length': result.buffer.length,
+                'Cache-Control': 'private, no-store',
+                'X-Content-Type-Options': 'nosniff',
+                'X-Evidence-SHA256': evidence.sha256
+            });
+            if (!thumbnail) {
+                res.attachment(evidence.originalName || `evidence-${evidence._id}`);
+            }
+            res.send(result.buffer);
+
+        } catch (error) {
+            console.error('Error in sendEvidenceFile:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+}
+
+module.exports = new EvidenceController();
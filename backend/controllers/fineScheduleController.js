@@ -0,0 +1,172 @@
+/**
+ * Fine Schedule Controller
+ * Admin management of versioned fine schedules
+ */
+
+const { EChallanFacade } = require('../patterns/DesignPatterns');
+const FineSchedule = require('../models/FineSchedule');
+
+class FineScheduleController {
+    constructor() {
+        this.eChallanFacade = new EChallanFacade();
+    }
+
+    /**
+     * Get Fine Schedules - All versions, newest first
+     */
+    async getFineSchedules(req, res) {
+        try {
+            const schedules = await FineSchedule.find().sort({ effectiveFrom: -1, version: -1 });
+
+            res.json({
+                schedules: schedules.map(schedule => schedule.toJSON())
+            });
+
+        } catch (error) {
+            console.error('Error in getFineSchedules:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Get Current Fine Schedule - Schedule in force now (or at ?asOf=)
+     */
+    async getCurrentFineSchedule(req, res) {
+        try {
+            const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+            if (isNaN(asOf.getTime())) {
+                return res.status(400).json({ message: 'Invalid asOf date' });
+            }
+
+            const schedule = await this.eChallanFacade.getFineScheduleAt(asOf);
+
+            res.json({
+                asOf,
+                schedule: typeof schedule.toJSON === 'function' ? schedule.toJSON() : schedule
+            });
+
+        } catch (error) {
+            console.error('Error in getCurrentFineSchedule:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async getFineSchedule(req, res) {
+        try {
+            const schedule = await FineSchedule.findById(req.params.id);
+            if (!schedule) {
+                return res.status(404).json({ message: 'Fine schedule not found' });
+            }
+
+            res.json({ schedule: schedule.toJSON() });
+
+        } catch (error) {
+            console.error('Error in getFineSchedule:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Create Fine Schedule - Publishes the next version; it cannot take effect in the past
+     */
+    async createFineSchedule(req, res) {
+        try {
+            const effectiveFrom = req.body.effectiveFrom ? new Date(req.body.effectiveFrom) : new Date();
+            if (req.body.effectiveFrom && !(effectiveFrom > new Date())) {
+                return res.status(400).json({ message: 'effectiveFrom must be in the future' });
+            }
+
+            const schedule = new FineSchedule({
+                version: await FineSchedule.getNextVersion(),
+                name: req.body.name,
+                effectiveFrom,
+                rates: req.body.rates,
+                notes: req.body.notes,
+                createdBy: req.user.id
+            });
+
+            const savedSchedule = await schedule.save();
+
+            res.status(201).json({
+                message: `Fine schedule version ${savedSchedule.version} created`,
+                schedule: savedSchedule.toJSON()
+            });
+
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ message: error.message });
+            }
+            console.error('Error in createFineSchedule:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Update Fine Schedule - Only schedules that are not yet in force can change
+     */
+    async updateFineSchedule(req, res) {
+        try {
+            const schedule = await FineSchedule.findById(req.params.id);
+            if (!schedule) {
+                return res.status(404).json({ message: 'Fine schedule not found' });
+            }
+
+            if (schedule.isInForce()) {
+                return res.status(409).json({ message: 'A fine schedule cannot be changed once it is in force' });
+            }
+
+            if (req.body.effectiveFrom !== undefined) {
+                const effectiveFrom = new Date(req.body.effectiveFrom);
+                if (!(effectiveFrom > new Date())) {
+                    return res.status(400).json({ message: 'effectiveFrom must be in the future' });
+                }
+                schedule.effectiveFrom = effectiveFrom;
+            }
+
+            ['name', 'rates', 'notes'].forEach(field => {
+                if (req.body[field] !== undefined) {
+                    schedule[field] = req.body[field];
+                }
+            });
+
+            const savedSchedule = await schedule.save();
+
+            res.json({
+                message: `Fine schedule version ${savedSchedule.version} updated`,
+                schedule: savedSchedule.toJSON()
+            });
+
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({ message: error.message });
+            }
+            console.error('Error in updateFineSchedule:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Delete Fine Schedule - Only schedules that are not yet in force can be withdrawn
+     */
+    async deleteFineSchedule(req, res) {
+        try {
+            const schedule = await FineSchedule.findById(req.params.id);
+            if (!schedule) {
+                return res.status(404).json({ message: 'Fine schedule not found' });
+            }
+
+            if (schedule.isInForce()) {
+                return res.status(409).json({ message: 'A fine schedule cannot be deleted once it is in force' });
+            }
+
+            await schedule.deleteOne();
+            res.json({ message: `Fine schedule version ${schedule.version} deleted` });
+
+        } catch (error) {
+            console.error('Error in deleteFineSchedule:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+}
+
+module.exports = new FineScheduleController();
@@ -0,0 +1,54 @@
+/**
+ * Job Controller
+ * Lets admins inspect and manually trigger scheduled background jobs
+ */
+
+const { jobScheduler } = require('../services/jobScheduler');
+
+class JobController {
+    constructor() {
+        this.scheduler = jobScheduler;
+    }
+
+    /**
+     * Get Jobs - Status of every registered job
+     */
+    async getJobs(req, res) {
+        try {
+            res.json({
+                schedulerRunning: this.scheduler.isRunning,
+                jobs: this.scheduler.getStatus()
+            });
+        } catch (error) {
+            console.error('Error in getJobs:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Run Job - Trigger a job immediately
+     */
+    async runJob(req, res) {
+        try {
+            if (!this.scheduler.jobs.has(req.params.name)) {
+                return res.status(404).json({ message: `Unknown job: ${req.params.name}` });
+            }
+
+            const result = await this.scheduler.runJob(req.params.name);
+
+            if (!result.success) {
+                return res.status(result.skipped ? 409 : 500).json({ message: result.error });
+            }
+
+            res.json({
+                message: `Job '${req.params.name}' completed`,
+                result: result.result
+            });
+        } catch (error) {
+            console.error('Error in runJob:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+}
+
+module.exports = new JobController();
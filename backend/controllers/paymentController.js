@@ -1,485 +1,1114 @@
-/**
- * Refactored Payment Controller
- * Uses Strategy Pattern, Adapter Pattern, and OOP principles
- */
-
-const Challan = require('../models/Challan');
-const { Payment } = require('../models/Payment');
-const User = require('../models/User');
-const {
-    PaymentProcessor,
-    PaymentGatewayFactory,
-    EChallanFacade
-} = require('../patterns/DesignPatterns');
-
-class PaymentController {
-    constructor() {
-        this.paymentProcessor = new PaymentProcessor();
-        this.eChallanFacade = new EChallanFacade();
-    }
-
-    /**
-     * Process Payment - Using Strategy and Adapter Patterns
-     * Replaces: processPayment function
-     */
-    async processPayment(req, res) {
-        const { challanId, paymentMethod, paymentDetails, gatewayType } = req.body;
-
-        try {
-            // Validate user permissions
-            const user = await User.findById(req.user.id);
-            const userOOP = user.toOOPInstance();
-
-            if (!userOOP.getPermissions().includes('make_payments')) {
-                return res.status(403).json({ message: 'Access denied' });
-            }
-
-            // Find and validate challan
-            const challan = await Challan.findById(challanId);
-            if (!challan) {
-                return res.status(404).json({ message: 'Challan not found' });
-            }
-
-            // Ensure only challan owner can pay
-            if (challan.citizenId.toString() !== req.user.id) {
-                return res.status(403).json({ message: 'Access denied' });
-            }
-
-            // Check if already paid
-            if (challan.status === 'paid') {
-                return res.status(400).json({ message: 'Challan already paid' });
-            }
-
-            // Use Facade Pattern for simplified payment processing
-            const paymentResult = await this.eChallanFacade.processPayment(
-                req.user.id,
-                challanId,
-                {
-                    method: paymentMethod,
-                    details: paymentDetails,
-                    gateway: gatewayType || 'stripe'
-                }
-            );
-
-            if (!paymentResult.success) {
-                return res.status(400).json({ message: paymentResult.error });
-            }
-
-            res.json({
-                message: 'Payment processed successfully',
-                payment: paymentResult.payment,
-                challan: paymentResult.challan
-            });
-
-        } catch (error) {
-            console.error('Payment processing error:', error);
-            res.status(500).json({ message: error.message });
-        }
-    }
-
-    /**
-     * Process Payment with Gateway Selection - Using Adapter Pattern
-     */
-    async processPaymentWithGateway(req, res) {
-        const { challanId, paymentMethod, paymentDetails, gatewayType } = req.body;
-
-        try {
-            // Find challan
-            const challan = await Challan.findById(challanId);
-            if (!challan) {
-                return res.status(404).json({ message: 'Challan not found' });
-            }
-
-            // Validate access
-            if (challan.citizenId.toString() !== req.user.id) {
-                return res.status(403).json({ message: 'Access denied' });
-            }
-
-            if (challan.status === 'paid') {
-                return res.status(400).json({ message: 'Challan already paid' });
-            }
-
-            // Use Adapter Pattern for different payment gateways
-            const paymentGateway = PaymentGatewayFactory.createGateway(gatewayType);
-
-            // Process payment through selected gateway
-            const gatewayResult = await paymentGateway.processPayment({
-                amount: challan.fineAmount,
-                currency: 'USD',
-                ...paymentDetails
-            });
-
-            if (!gatewayResult.success) {
-                return res.status(400).json({
-                    message: 'Payment failed',
-                    error: gatewayResult.error,
-                    gateway: gatewayType
-                });
-            }
-
-            // Create payment record
-            const payment = new Payment({
-                transactionId: gatewayResult.transactionId,
-                challanId: challan._id,
-                citizenId: req.user.id,
-                amount: challan.fineAmount,
-                fee: gatewayResult.fee || 0,
-                totalAmount: gatewayResult.amount,
-                paymentMethod: gatewayResult.paymentMethod || paymentMethod,
-                gateway: gatewayResult.gateway,
-                gatewayTransactionId: gatewayResult.transactionId,
-                status: 'completed',
-                paymentDetails: {
-                    cardLast4: paymentDetails.cardNumber ? paymentDetails.cardNumber.slice(-4) : null,
-                    cardType: paymentDetails.cardType,
-                    upiId: paymentDetails.upiId,
-                    bankName: paymentDetails.bankName
-                }
-            });
-
-            await payment.save();
-
-            // Update challan status
-            challan.status = 'paid';
-            challan.paymentDate = new Date();
-            await challan.save();
-
-            // Populate challan data
-            const updatedChallan = await Challan.findById(challan._id)
-                .populate('citizenId', 'name email')
-                .populate('officerId', 'name');
-
-            res.json({
-                message: 'Payment processed successfully',
-                payment: payment.toJSON(),
-                challan: updatedChallan.toJSON(),
-                gateway: gatewayResult.gateway
-            });
-
-        } catch (error) {
-            console.error('Gateway payment error:', error);
-            res.status(500).json({ message: error.message });
-        }
-    }
-
-    /**
-     * Get Payment History - Using OOP Methods
-     */
-    async getPaymentHistory(req, res) {
-        try {
-            const user = await User.findById(req.user.id);
-            const userOOP = user.toOOPInstance();
-
-            // Check permissions
-            if (!userOOP.getPermissions().includes('view_payment_history')) {
-                return res.status(403).json({ message: 'Access denied' });
-            }
-
-            // Get payment history using multiple approaches
-            const payments = await Payment.find({ citizenId: req.user.id })
-                .populate({
-                    path: 'challanId',
-                    populate: {
-                        path: 'officerId',
-                        select: 'name badgeNumber'
-                    }
-                })
-                .sort({ paymentDate: -1 });
-
-            // Transform to include challan details
-            const paymentHistory = payments.map(payment => ({
-                id: payment._id,
-                transactionId: payment.transactionId,
-                amount: payment.amount,
-                fee: payment.fee,
-                totalAmount: payment.totalAmount,
-                paymentMethod: payment.paymentMethod,
-                gateway: payment.gateway,
-                status: payment.status,
-                paymentDate: payment.paymentDate,
-                challan: payment.challanId ? {
-                    id: payment.challanId._id,
-                    challanNumber: payment.challanId.challanNumber,
-                    violationType: payment.challanId.violationType,
-                    vehicleNumber: payment.challanId.vehicleNumber,
-                    location: payment.challanId.location,
-                    officer: payment.challanId.officerId ? {
-                        name: payment.challanId.officerId.name,
-                        badgeNumber: payment.challanId.officerId.badgeNumber
-                    } : null
-                } : null
-            }));
-
-            res.json(paymentHistory);
-
-        } catch (error) {
-            console.error('Get payment history error:', error);
-            res.status(500).json({ message: error.message });
-        }
-    }
-
-    /**
-     * Refund Payment - Using Gateway Adapter Pattern
-     */
-    async refundPayment(req, res) {
-        const { paymentId, refundAmount, reason } = req.body;
-
-        try {
-            // Only admins can process refunds
-            const user = await User.findById(req.user.id);
-            const userOOP = user.toOOPInstance();
-
-            if (!userOOP.getPermissions().includes('process_refunds')) {
-                return res.status(403).json({ message: 'Access denied' });
-            }
-
-            // Find payment record
-            const payment = await Payment.findById(paymentId)
-                .populate('challanId')
-                .populate('citizenId', 'name email phone');
-
-            if (!payment) {
-                return res.status(404).json({ message: 'Payment not found' });
-            }
-
-            if (payment.status !== 'completed') {
-                return res.status(400).json({ message: 'Can only refund completed payments' });
-            }
-
-            // Use appropriate gateway adapter for refund
-            const paymentGateway = PaymentGatewayFactory.createGateway(payment.gateway);
-
-            const refundResult = await paymentGateway.refundPayment(
-                payment.gatewayTransactionId,
-                refundAmount || payment.amount
-            );
-
-            if (!refundResult.success) {
-                return res.status(400).json({
-                    message: 'Refund failed',
-                    error: refundResult.error,
-                    gateway: payment.gateway
-                });
-            }
-
-            // Update payment record
-            payment.status = 'refunded';
-            payment.refundDate = new Date();
-            payment.refundAmount = refundAmount || payment.amount;
-            await payment.save();
-
-            // Update challan status
-            if (payment.challanId) {
-                payment.challanId.status = 'cancelled';
-                await payment.challanId.save();
-            }
-
-            res.json({
-                message: 'Refund processed successfully',
-                refund: {
-                    refundId: refundResult.refundId,
-                    amount: refundResult.amount,
-                    status: refundResult.status,
-                    gateway: payment.gateway
-                },
-                payment: payment.toJSON()
-            });
-
-        } catch (error) {
-            console.error('Refund payment error:', error);
-            res.status(500).json({ message: error.message });
-        }
-    }
-
-    /**
-     * Get Payment Statistics - Using OOP Dashboard Methods
-     */
-    async getPaymentStatistics(req, res) {
-        try {
-            const user = await User.findById(req.user.id);
-            const userOOP = user.toOOPInstance();
-
-            // Get role-specific payment statistics
-            let stats = {};
-
-            if (userOOP.constructor.name === 'Citizen') {
-                stats = await this.getCitizenPaymentStats(req.user.id);
-            } else if (userOOP.constructor.name === 'Officer') {
-                stats = await this.getOfficerPaymentStats(req.user.id);
-            } else if (userOOP.constructor.name === 'Admin') {
-                stats = await this.getAdminPaymentStats();
-            }
-
-            res.json(stats);
-
-        } catch (error) {
-            console.error('Get payment statistics error:', error);
-            res.status(500).json({ message: error.message });
-        }
-    }
-
-    /**
-     * Retry Failed Payment - Using Strategy Pattern
-     */
-    async retryFailedPayment(req, res) {
-        const { paymentId, newPaymentMethod, newPaymentDetails } = req.body;
-
-        try {
-            // Find original payment
-            const originalPayment = await Payment.findById(paymentId)
-                .populate('challanId');
-
-            if (!originalPayment) {
-                return res.status(404).json({ message: 'Payment not found' });
-            }
-
-            if (originalPayment.citizenId.toString() !== req.user.id) {
-                return res.status(403).json({ message: 'Access denied' });
-            }
-
-            if (originalPayment.status !== 'failed') {
-                return res.status(400).json({ message: 'Can only retry failed payments' });
-            }
-
-            // Use Strategy Pattern for new payment method
-            const paymentResult = this.paymentProcessor.processPayment(
-                originalPayment.amount,
-                newPaymentDetails,
-                newPaymentMethod
-            );
-
-            if (!paymentResult.success) {
-                return res.status(400).json({
-                    message: 'Payment retry failed',
-                    error: paymentResult.error
-                });
-            }
-
-            // Create new payment record
-            const newPayment = new Payment({
-                transactionId: paymentResult.transactionId,
-                challanId: originalPayment.challanId._id,
-                citizenId: req.user.id,
-                amount: originalPayment.amount,
-                fee: paymentResult.fee || 0,
-                totalAmount: paymentResult.amount,
-                paymentMethod: paymentResult.paymentMethod,
-                gateway: paymentResult.gateway,
-                status: 'completed'
-            });
-
-            await newPayment.save();
-
-            // Update challan status
-            originalPayment.challanId.status = 'paid';
-            originalPayment.challanId.paymentDate = new Date();
-            await originalPayment.challanId.save();
-
-            res.json({
-                message: 'Payment retry successful',
-                payment: newPayment.toJSON(),
-                originalPaymentId: paymentId
-            });
-
-        } catch (error) {
-            console.error('Retry payment error:', error);
-            res.status(500).json({ message: error.message });
-        }
-    }
-
-    // =========================================================================
-    // HELPER METHODS - Role-specific Statistics
-    // =========================================================================
-
-    async getCitizenPaymentStats(citizenId) {
-        const payments = await Payment.find({ citizenId });
-
-        return {
-            totalPayments: payments.length,
-            totalAmountPaid: payments.reduce((sum, p) => sum + p.amount, 0),
-            totalFeesPaid: payments.reduce((sum, p) => sum + p.fee, 0),
-            completedPayments: payments.filter(p => p.status === 'completed').length,
-            failedPayments: payments.filter(p => p.status === 'failed').length,
-            refundedPayments: payments.filter(p => p.status === 'refunded').length,
-            paymentMethods: this.getPaymentMethodBreakdown(payments)
-        };
-    }
-
-    async getOfficerPaymentStats(officerId) {
-        // Get challans issued by officer
-        const challans = await Challan.find({ officerId });
-        const challanIds = challans.map(c => c._id);
-
-        const payments = await Payment.find({ challanId: { $in: challanIds } });
-
-        return {
-            challansIssued: challans.length,
-            totalFinesIssued: challans.reduce((sum, c) => sum + c.fineAmount, 0),
-            paidChallans: payments.filter(p => p.status === 'completed').length,
-            totalCollected: payments
-                .filter(p => p.status === 'completed')
-                .reduce((sum, p) => sum + p.amount, 0),
-            collectionRate: challans.length > 0 ?
-                (payments.filter(p => p.status === 'completed').length / challans.length * 100).toFixed(2) : 0
-        };
-    }
-
-    async getAdminPaymentStats() {
-        const payments = await Payment.find({});
-        const challans = await Challan.find({});
-
-        return {
-            totalPayments: payments.length,
-            totalRevenue: payments
-                .filter(p => p.status === 'completed')
-                .reduce((sum, p) => sum + p.amount, 0),
-            totalFees: payments
-                .filter(p => p.status === 'completed')
-                .reduce((sum, p) => sum + p.fee, 0),
-            totalChallans: challans.length,
-            paymentRate: challans.length > 0 ?
-                (payments.filter(p => p.status === 'completed').length / challans.length * 100).toFixed(2) : 0,
-            gatewayBreakdown: this.getGatewayBreakdown(payments),
-            monthlyRevenue: await this.getMonthlyRevenue()
-        };
-    }
-
-    getPaymentMethodBreakdown(payments) {
-        const breakdown = {};
-        payments.forEach(payment => {
-            breakdown[payment.paymentMethod] = (breakdown[payment.paymentMethod] || 0) + 1;
-        });
-        return breakdown;
-    }
-
-    getGatewayBreakdown(payments) {
-        const breakdown = {};
-        payments.forEach(payment => {
-            if (payment.gateway) {
-                breakdown[payment.gateway] = (breakdown[payment.gateway] || 0) + payment.amount;
-            }
-        });
-        return breakdown;
-    }
-
-    async getMonthlyRevenue() {
-        const sixMonthsAgo = new Date();
-        sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-
-        const payments = await Payment.find({
-            status: 'completed',
-            paymentDate: { $gte: sixMonthsAgo }
-        });
-
-        const monthlyData = {};
-        payments.forEach(payment => {
-            const month = payment.paymentDate.toISOString().slice(0, 7); // YYYY-MM
-            monthlyData[month] = (monthlyData[month] || 0) + payment.amount;
-        });
-
-        return monthlyData;
-    }
-}
-
-// Export single instance
+/**
+ * Refactored Payment Controller
+ * Uses Strategy Pattern, Adapter Pattern, and OOP principles
+ */
+
+const Challan = require('../models/Challan');
+const { Payment } = require('../models/Payment');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const User = require('../models/User');
+const {
+    PaymentProcessor,
+    EChallanFacade
+} = require('../patterns/DesignPatterns');
+const { ChallanLifecycle } = require('../patterns/ChallanLifecycle');
+
+class PaymentController {
+    constructor() {
+        this.paymentProcessor = new PaymentProcessor();
+        this.eChallanFacade = new EChallanFacade();
+    }
+
+    /**
+     * Process Payment - Using Strategy and Adapter Patterns
+     * Replaces: processPayment function
+     */
+    async processPayment(req, res) {
+        const { challanId, paymentMethod, paymentDetails, paymentToken } = req.body;
+
+        try {
+            // Validate user permissions
+            const user = await User.findById(req.user.id);
+            const userOOP = user.toOOPInstance();
+
+            if (!userOOP.getPermissions().includes('make_payments')) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            // Find and validate challan
+            const challan = await Challan.findById(challanId);
+            if (!challan) {
+                return res.status(404).json({ message: 'Challan not found' });
+            }
+
+            // Ensure only challan owner can pay
+            if (challan.citizenId.toString() !== req.user.id) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            // Check the challan can still be paid
+            if (!ChallanLifecycle.canTransition(challan.status, 'paid')) {
+                return res.status(409).json({ message: `Cannot pay a challan with status '${challan.status}'` });
+            }
+
+            // Use Facade Pattern; the strategy validates and prices the charge, the configured gateway (if any) makes it.
+            // Picking a gateway adapter is what /process-with-gateway is for.
+            const paymentResult = await this.eChallanFacade.processPayment(
+                req.user.id,
+                challanId,
+                {
+                    method: paymentMethod,
+                    details: paymentDetails,
+                    paymentToken
+                }
+            );
+
+            if (!paymentResult.success) {
+                // A declined charge is recorded; its id can be passed to the retry endpoint
+                return res.status(paymentResult.statusCode || 400).json({
+                    message: paymentResult.error,
+                    ...(paymentResult.paymentId ? { paymentId: paymentResult.paymentId } : {})
+                });
+            }
+
+            res.json({
+                message: paymentResult.payment.status === 'pending' ? paymentResult.message : 'Payment processed successfully',
+                payment: paymentResult.payment,
+                challan: paymentResult.challan,
+                // Net banking: send the payer to their bank to approve the payment
+                ...(paymentResult.redirectUrl ? { redirectUrl: paymentResult.redirectUrl, expiresAt: paymentResult.expiresAt } : {})
+            });
+
+        } catch (error) {
+            console.error('Payment processing error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Process Payment with Gateway Selection - Using Adapter Pattern
+     */
+    async processPaymentWithGateway(req, res) {
+        const { challanId, paymentMethod, paymentDetails, paymentToken, gatewayType } = req.body;
+
+        try {
+            // Use Facade Pattern; the gateway is chosen through the Adapter Pattern
+            const result = await this.eChallanFacade.processGatewayPayment(req.user.id, challanId, {
+                method: paymentMethod,
+                details: paymentDetails,
+                paymentToken,
+                gateway: gatewayType
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({
+                    message: result.error,
+                    ...(result.gatewayError ? { error: result.gatewayError, gateway: gatewayType } : {}),
+                    ...(result.paymentId ? { paymentId: result.paymentId } : {})
+                });
+            }
+
+            // Populate challan data
+            const updatedChallan = await Challan.findById(challanId)
+                .populate('citizenId', 'name email')
+                .populate('officerId', 'name');
+
+            res.json({
+                message: result.payment.status === 'pending' ? result.message : 'Payment processed successfully',
+                payment: result.payment,
+                challan: updatedChallan.toJSON(),
+                gateway: result.gateway
+            });
+
+        } catch (error) {
+            console.error('Gateway payment error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Gateway Webhook - Called by the gateway, authenticated by the signature over the raw body
+     */
+    async handleGatewayWebhook(req, res) {
+        try {
+            const result = await this.eChallanFacade.receiveGatewayWebhook(req.params.gateway, req.rawBody, req.headers);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                received: true,
+                outcome: result.outcome,
+                duplicate: Boolean(result.duplicate)
+            });
+
+        } catch (error) {
+            console.error('Webhook error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Get Payment History - Using OOP Methods
+     */
+    async getPaymentHistory(req, res) {
+        try {
+            const user = await User.findById(req.user.id);
+            const userOOP = user.toOOPInstance();
+
+            // Check permissions
+            if (!userOOP.getPermissions().includes('view_payment_history')) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            // Get payment history using multiple approaches
+            const payments = await Payment.find({ citizenId: req.user.id })
+                .populate({
+                    path: 'challanId',
+                    populate: {
+                        path: 'officerId',
+                        select: 'name badgeNumber'
+                    }
+                })
+                .sort({ paymentDate: -1 });
+
+            // Transform to include challan details
+            const paymentHistory = payments.map(payment => ({
+                id: payment._id,
+                transactionId: payment.transactionId,
+                amount: payment.amount,
+                fee: payment.fee,
+                totalAmount: payment.totalAmount,
+                paymentMethod: payment.paymentMethod,
+                gateway: payment.gateway,
+                status: payment.status,
+                paymentDate: payment.paymentDate,
+                challan: payment.challanId ? {
+                    id: payment.challanId._id,
+                    challanNumber: payment.challanId.challanNumber,
+                    violationType: payment.challanId.violationType,
+                    vehicleNumber: payment.challanId.vehicleNumber,
+                    location: payment.challanId.location,
+                    officer: payment.challanId.officerId ? {
+                        name: payment.challanId.officerId.name,
+                        badgeNumber: payment.challanId.officerId.badgeNumber
+                    } : null
+                } : null
+            }));
+
+            res.json(paymentHistory);
+
+        } catch (error) {
+            console.error('Get payment history error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Get Payment Receipt - PDF receipt; citizens can only fetch receipts for their own challans
+     */
+    async getPaymentReceipt(req, res) {
+        try {
+            const payment = await Payment.findById(req.params.id);
+            if (!payment) {
+                return res.status(404).json({ message: 'Payment not found' });
+            }
+
+            const challan = await Challan.findById(payment.challanId);
+            if (!challan) {
+                return res.status(404).json({ message: 'Challan not found' });
+            }
+
+            if (req.user.role === 'citizen' && challan.citizenId.toString() !== req.user.id) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            const result = await this.eChallanFacade.generatePaymentReceipt(payment, challan);
+            if (!result.success) {
+                return res.status(result.statusCode || 500).json({ message: result.error });
+            }
+
+            res.set({
+                'Content-Type': 'application/pdf',
+                'Content-Length': result.buffer.length,
+                'Content-Disposition': `inline; filename="${result.filename}"`,
+                'Cache-Control': 'private, no-store'
+            });
+            res.send(result.buffer);
+
+        } catch (error) {
+            console.error('Error in getPaymentReceipt:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Refund Payment - Part or all of a payment; large refunds wait for a second admin
+     */
+    async refundPayment(req, res) {
+        const { paymentId, refundAmount, reason } = req.body;
+
+        try {
+            const result = await this.eChallanFacade.requestRefund(req.user.id, paymentId, {
+                amount: refundAmount,
+                reason
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({
+                    message: result.error,
+                    ...(result.refund ? { refund: result.refund } : {})
+                });
+            }
+
+            res.status(result.refund.status === 'pending_approval' ? 202 : 200).json({
+                message: result.message,
+                refund: result.refund,
+                payment: result.payment,
+                ...(result.challan ? { challan: result.challan } : {})
+            });
+
+        } catch (error) {
+            console.error('Refund payment error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async getRefunds(req, res) {
+        try {
+            const result = await this.eChallanFacade.getRefunds({
+                status: req.query.status,
+                paymentId: req.query.paymentId
+            });
+
+            if (!result.success) {
+                return res.status(400).json({ message: result.error });
+            }
+
+            res.json({ refunds: result.refunds });
+
+        } catch (error) {
+            console.error('Get refunds error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async approveRefund(req, res) {
+        try {
+            const result = await this.eChallanFacade.approveRefund(req.user.id, req.params.id);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({
+                    message: result.error,
+                    ...(result.refund ? { refund: result.refund } : {})
+                });
+            }
+
+            res.json({
+                message: result.message,
+                refund: result.refund,
+                payment: result.payment,
+                challan: result.challan
+            });
+
+        } catch (error) {
+            console.error('Approve refund error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async rejectRefund(req, res) {
+        try {
+            const result = await this.eChallanFacade.rejectRefund(req.user.id, req.params.id, req.body.reason);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                message: result.message,
+                refund: result.refund
+            });
+
+        } catch (error) {
+            console.error('Reject refund error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Get Payment Statistics - Using OOP Dashboard Methods
+     */
+    async getPaymentStatistics(req, res) {
+        try {
+            const user = await User.findById(req.user.id);
+            const userOOP = user.toOOPInstance();
+
+            // Get role-specific payment statistics
+            let stats = {};
+
+            if (userOOP.constructor.name === 'Citizen') {
+                stats = await this.getCitizenPaymentStats(user._id);
+            } else if (userOOP.constructor.name === 'Officer') {
+                stats = await this.getOfficerPaymentStats(user._id);
+            } else if (userOOP.constructor.name === 'Admin') {
+                stats = await this.getAdminPaymentStats();
+            }
+
+            res.json(stats);
+
+        } catch (error) {
+            console.error('Get payment statistics error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Retry Failed Payment - Using Strategy Pattern
+     * Charged like a new payment through the facade, for what the challan owes now
+     */
+    async retryFailedPayment(req, res) {
+        const { paymentId } = req.params;
+        const { newPaymentMethod, newPaymentDetails, newPaymentToken } = req.body;
+
+        try {
+            const result = await this.eChallanFacade.retryPayment(req.user.id, paymentId, {
+                method: newPaymentMethod,
+                details: newPaymentDetails,
+                paymentToken: newPaymentToken
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({
+                    message: result.statusCode === 402 ? 'Payment retry failed' : result.error,
+                    ...(result.gatewayError ? { error: result.gatewayError } : {}),
+                    ...(result.paymentId ? { paymentId: result.paymentId } : {})
+                });
+            }
+
+            const settled = result.payment.status !== 'pending';
+            res.json({
+                message: settled ? 'Payment retry successful' : 'Payment retry accepted and awaiting settlement by the gateway',
+                payment: result.payment,
+                challan: result.challan,
+                originalPaymentId: result.originalPaymentId
+            });
+
+        } catch (error) {
+            console.error('Retry payment error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    // =========================================================================
+    // INSTALLMENT PAYMENT PLANS
+    // =========================================================================
+
+    async requestPaymentPlan(req, res) {
+        const { challanId, numberOfInstallments, reason } = req.body;
+
+        try {
+            const result = await this.eChallanFacade.requestPaymentPlan(req.user.id, challanId, {
+                numberOfInstallments,
+                reason
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.status(201).json({
+                message: result.message,
+                plan: result.plan
+            });
+
+        } catch (error) {
+            console.error('Payment plan request error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async getPaymentPlans(req, res) {
+        try {
+            const { status, challanId } = req.query;
+            const query = {};
+
+            // Citizens only see their own plans
+            if (req.user.role === 'citizen') {
+                query.citizenId = req.user.id;
+            }
+            if (status) {
+                query.status = status;
+            }
+            if (challanId) {
+                query.challanId = challanId;
+            }
+
+            const plans = await PaymentPlan.find(query)
+                .populate('challanId', 'challanNumber vehicleNumber fineAmount status')
+                .populate('citizenId', 'name email')
+                .sort({ createdAt: -1 });
+
+            res.json({
+                plans: plans.map(plan => plan.toJSON())
+            });
+
+        } catch (error) {
+            console.error('Get payment plans error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async getPaymentPlan(req, res) {
+        try {
+            const plan = await PaymentPlan.findById(req.params.id)
+                .populate('challanId', 'challanNumber vehicleNumber fineAmount amountPaid status dueDate');
+            if (!plan) {
+                return res.status(404).json({ message: 'Payment plan not found' });
+            }
+
+            if (req.user.role === 'citizen' && plan.citizenId.toString() !== req.user.id) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            const payments = await Payment.find({ paymentPlanId: plan._id }).sort({ installmentNumber: 1 });
+
+            res.json({
+                plan: plan.toJSON(),
+                payments: payments.map(payment => payment.toJSON())
+            });
+
+        } catch (error) {
+            console.error('Get payment plan error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async approvePaymentPlan(req, res) {
+        try {
+            const result = await this.eChallanFacade.approvePaymentPlan(req.user.id, req.params.id);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                message: result.message,
+                plan: result.plan,
+                challan: result.challan
+            });
+
+        } catch (error) {
+            console.error('Approve payment plan error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async rejectPaymentPlan(req, res) {
+        try {
+            const result = await this.eChallanFacade.rejectPaymentPlan(req.user.id, req.params.id, req.body.reason);
+
+            if (!result.success) {
+                return res.status(400).json({ message: result.error });
+            }
+
+            res.json({
+                message: result.message,
+                plan: result.plan
+            });
+
+        } catch (error) {
+            console.error('Reject payment plan error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async payInstallment(req, res) {
+        const { paymentMethod, paymentDetails, paymentToken } = req.body;
+
+        try {
+            const result = await this.eChallanFacade.payInstallment(req.user.id, req.params.id, {
+                method: paymentMethod,
+                details: paymentDetails || {},
+                paymentToken
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                message: result.message,
+                payment: result.payment,
+                plan: result.plan,
+                challan: result.challan,
+                // Net banking: send the payer to their bank to approve the installment
+                ...(result.redirectUrl ? { redirectUrl: result.redirectUrl, expiresAt: result.expiresAt } : {})
+            });
+
+        } catch (error) {
+            console.error('Installment payment error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    // =========================================================================
+    // PAYMENT INTENTS - Two-phase checkout
+    // =========================================================================
+
+    async createPaymentIntent(req, res) {
+        const { challanIds } = req.body;
+
+        try {
+            const result = await this.eChallanFacade.createPaymentIntent(req.user.id, challanIds);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.status(201).json({
+                message: result.message,
+                intent: result.intent
+            });
+
+        } catch (error) {
+            console.error('Create payment intent error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async getPaymentIntent(req, res) {
+        try {
+            const result = await this.eChallanFacade.getPaymentIntent(req.user.id, req.params.intentId);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({ intent: result.intent });
+
+        } catch (error) {
+            console.error('Get payment intent error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Confirm Payment Intent - Takes a payment token from POST /api/payment-tokens, never card details
+     */
+    async confirmPaymentIntent(req, res) {
+        const { paymentMethod, paymentToken, bankCode } = req.body;
+
+        try {
+            const result = await this.eChallanFacade.confirmPaymentIntent(req.user.id, req.params.intentId, {
+                paymentMethod,
+                paymentToken,
+                bankCode
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({
+                    message: result.error,
+                    ...(result.intent ? { intent: result.intent } : {})
+                });
+            }
+
+            res.json({
+                message: result.message,
+                intent: result.intent,
+                ...(result.payments ? { payments: result.payments, challans: result.challans } : {})
+            });
+
+        } catch (error) {
+            console.error('Confirm payment intent error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async cancelPaymentIntent(req, res) {
+        try {
+            const result = await this.eChallanFacade.cancelPaymentIntent(req.user.id, req.params.intentId);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                message: result.message,
+                intent: result.intent
+            });
+
+        } catch (error) {
+            console.error('Cancel payment intent error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Quote Batch Payment - Combined amount and fee for a cart of challans
+     */
+    async quoteBatchPayment(req, res) {
+        const { challanIds, paymentMethod } = req.body;
+
+        try {
+            const result = await this.eChallanFacade.quoteChallanPayment(req.user.id, challanIds, paymentMethod);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({ quote: result.quote });
+
+        } catch (error) {
+            console.error('Quote batch payment error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Pay Batch - One charge for several challans; all of them are marked paid or none
+     */
+    async payBatch(req, res) {
+        const { challanIds, paymentMethod, paymentToken, bankCode } = req.body;
+
+        try {
+            const result = await this.eChallanFacade.payChallans(req.user.id, challanIds, {
+                paymentMethod,
+                paymentToken,
+                bankCode
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({
+                    message: result.error,
+                    ...(result.intent ? { intent: result.intent } : {})
+                });
+            }
+
+            res.json({
+                message: result.message,
+                intent: result.intent,
+                ...(result.payments ? { payments: result.payments, challans: result.challans } : {})
+            });
+
+        } catch (error) {
+            console.error('Batch payment error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    // =========================================================================
+    // NET BANKING
+    // =========================================================================
+
+    /**
+     * Net Banking Callback - The bank's signed response, brought back by the payer's browser
+     */
+    async confirmNetBankingPayment(req, res) {
+        try {
+            const result = await this.eChallanFacade.confirmNetBankingPayment(req.body);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                message: result.message,
+                outcome: result.outcome,
+                payment: result.payment,
+                challanNumber: result.challanNumber
+            });
+
+        } catch (error) {
+            console.error('Net banking callback error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Simulated Bank - Approves or declines a net banking request when no real bank is configured
+     */
+    async authorizeSimulatedBankPayment(req, res) {
+        const { approve, ...bankRequest } = req.body;
+
+        try {
+            const result = this.eChallanFacade.authorizeSimulatedBankPayment(bankRequest, Boolean(approve));
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({ redirectUrl: result.redirectUrl });
+
+        } catch (error) {
+            console.error('Simulated bank error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    // =========================================================================
+    // CASH COLLECTION
+    // =========================================================================
+
+    async recordCashPayment(req, res) {
+        const { challanId, receiptNumber, amountTendered, location } = req.body;
+
+        try {
+            const result = await this.eChallanFacade.recordCashPayment(req.user.id, challanId, {
+                receiptNumber,
+                amountTendered,
+                location
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.status(201).json({
+                message: 'Cash payment recorded',
+                payment: result.payment,
+                challan: result.challan
+            });
+
+        } catch (error) {
+            console.error('Cash payment error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    // Collectors see their own day; reconcilers can look at anyone's
+    async getCashSummary(req, res) {
+        const { date, collectedBy } = req.query;
+
+        try {
+            if (collectedBy && collectedBy !== req.user.id && !req.user.canPerformAction('reconcile_cash')) {
+                return res.status(403).json({ message: 'Access denied' });
+            }
+
+            const result = await this.eChallanFacade.getCashSummary(collectedBy || req.user.id, date || undefined);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            const { success, ...summary } = result;
+            res.json(summary);
+
+        } catch (error) {
+            console.error('Cash summary error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async submitCashUp(req, res) {
+        const { date, declaredAmount, notes } = req.body;
+
+        try {
+            const result = await this.eChallanFacade.submitCashUp(req.user.id, {
+                businessDate: date || undefined,
+                declaredAmount,
+                notes
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.status(201).json({
+                message: result.message,
+                cashUp: result.cashUp
+            });
+
+        } catch (error) {
+            console.error('Cash-up error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async getCashUps(req, res) {
+        const { date, status, collectedBy } = req.query;
+
+        try {
+            const result = await this.eChallanFacade.getCashUps({ businessDate: date, status, collectedBy });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                cashUps: result.cashUps,
+                totals: result.totals
+            });
+
+        } catch (error) {
+            console.error('Get cash-ups error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    // =========================================================================
+    // FINANCIAL LEDGER
+    // =========================================================================
+
+    async getTrialBalance(req, res) {
+        try {
+            const result = await this.eChallanFacade.getTrialBalance({ asOf: req.query.asOf });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                asOf: result.asOf,
+                trialBalance: result.trialBalance,
+                summary: result.summary
+            });
+
+        } catch (error) {
+            console.error('Trial balance error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    // Citizens see their own balance; admins can look up any citizen's
+    async getBalance(req, res) {
+        try {
+            const citizenId = req.user.role === 'admin' && req.query.citizenId ? req.query.citizenId : req.user.id;
+            const result = await this.eChallanFacade.getCitizenBalance(citizenId);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                citizenId: result.citizenId,
+                summary: result.summary,
+                challans: result.challans
+            });
+
+        } catch (error) {
+            console.error('Get balance error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    // Import waiting settlement files, or check recent payments with the gateway ({ source: 'gateway' })
+    async runReconciliation(req, res) {
+        try {
+            const { source = 'files', gateway, from, to } = req.body || {};
+            if (!['files', 'gateway'].includes(source)) {
+                return res.status(400).json({ message: "Source must be 'files' or 'gateway'" });
+            }
+
+            const result = source === 'gateway'
+                ? await this.eChallanFacade.reconcileWithGateway({ gateway, from, to, runBy: req.user.id })
+                : await this.eChallanFacade.reconcileSettlementFiles({ runBy: req.user.id });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.status(result.report ? 201 : 200).json({
+                message: result.message,
+                report: result.report
+            });
+
+        } catch (error) {
+            console.error('Run reconciliation error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async getReconciliationReports(req, res) {
+        try {
+            const result = await this.eChallanFacade.getReconciliationReports({ status: req.query.status });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json(result.reports);
+
+        } catch (error) {
+            console.error('Get reconciliation reports error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async getReconciliationReport(req, res) {
+        try {
+            const result = await this.eChallanFacade.getReconciliationReport(req.params.id);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json(result.report);
+
+        } catch (error) {
+            console.error('Get reconciliation report error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    async resolveDiscrepancy(req, res) {
+        try {
+            const result = await this.eChallanFacade.resolveReconciliationDiscrepancy(
+                req.user.id,
+                req.params.id,
+                req.params.discrepancyId,
+                { status: req.body.status, note: req.body.note }
+            );
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                message: result.message,
+                report: result.report
+            });
+
+        } catch (error) {
+            console.error('Resolve discrepancy error:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    // =========================================================================
+    // HELPER METHODS - Role-specific Statistics
+    // Money figures come from the ledger; counts come from the payment and challan documents
+    // =========================================================================
+
+    async getCitizenPaymentStats(citizenId) {
+        const payments = await Payment.find({ citizenId });
+        const ledger = await this.eChallanFacade.getLedgerSummary({ citizenId });
+
+        return {
+            totalPayments: payments.length,
+            totalAmountPaid: ledger.collected,
+            totalFeesPaid: ledger.feesCharged,
+            totalRefunded: ledger.refunded,
+            outstandingBalance: ledger.outstanding,
+            completedPayments: payments.filter(p => p.status === 'completed').length,
+            failedPayments: payments.filter(p => p.status === 'failed').length,
+            refundedPayments: payments.filter(p => p.status === 'refunded').length,
+            partiallyRefundedPayments: payments.filter(p => p.status === 'partially_refunded').length,
+            paymentMethods: this.getPaymentMethodBreakdown(payments)
+        };
+    }
+
+    async getOfficerPaymentStats(officerId) {
+        // Get challans issued by officer
+        const challans = await Challan.find({ officerId });
+        const challanIds = challans.map(c => c._id);
+
+        const payments = await Payment.find({ challanId: { $in: challanIds } });
+        const ledger = await this.eChallanFacade.getLedgerSummary({ challanId: { $in: challanIds } });
+
+        return {
+            challansIssued: challans.length,
+            totalFinesIssued: Math.round((ledger.finesAssessed + ledger.penaltiesAssessed - ledger.waived) * 100) / 100,
+            paidChallans: payments.filter(p => p.status === 'completed').length,
+            totalCollected: ledger.netCollected,
+            collectionRate: challans.length > 0 ?
+                (payments.filter(p => p.status === 'completed').length / challans.length * 100).toFixed(2) : 0,
+            offenceBreakdown: this.getOffenceBreakdown(challans, payments)
+        };
+    }
+
+    async getAdminPaymentStats() {
+        const payments = await Payment.find({});
+        const challans = await Challan.find({});
+        const ledger = await this.eChallanFacade.getLedgerSummary();
+
+        return {
+            totalPayments: payments.length,
+            // Fines and penalties collected less refunds; fees charged on top are reported on their own
+            totalRevenue: ledger.netCollected,
+            totalFees: ledger.feesCharged,
+            totalGatewayFees: ledger.gatewayFees,
+            totalRefunded: ledger.refunded,
+            totalWaived: ledger.waived,
+            outstandingFines: ledger.outstanding,
+            ledger,
+            totalChallans: challans.length,
+            paymentRate: challans.length > 0 ?
+                (payments.filter(p => p.status === 'completed').length / challans.length * 100).toFixed(2) : 0,
+            gatewayBreakdown: await this.getGatewayBreakdown(),
+            offenceBreakdown: this.getOffenceBreakdown(challans, payments),
+            monthlyRevenue: await this.getMonthlyRevenue()
+        };
+    }
+
+    getPaymentMethodBreakdown(payments) {
+        const breakdown = {};
+        payments.forEach(payment => {
+            breakdown[payment.paymentMethod] = (breakdown[payment.paymentMethod] || 0) + 1;
+        });
+        return breakdown;
+    }
+
+    // Net amount collected through each gateway
+    async getGatewayBreakdown() {
+        const byGateway = await this.eChallanFacade.getLedgerSummary({ gateway: { $exists: true } }, '$gateway');
+        const breakdown = {};
+        Object.entries(byGateway).forEach(([gateway, summary]) => {
+            breakdown[gateway] = summary.netCollected;
+        });
+        return breakdown;
+    }
+
+    // Offences issued, fines charged and amounts collected per violation type, from the line items
+    getOffenceBreakdown(challans, payments) {
+        const breakdown = {};
+        const entryFor = violationType => {
+            breakdown[violationType] = breakdown[violationType] || { offences: 0, finesIssued: 0, collected: 0 };
+            return breakdown[violationType];
+        };
+
+        challans.forEach(challan => {
+            const offences = challan.offences && challan.offences.length > 0
+                ? challan.offences.filter(offence => offence.status === 'active')
+                : [{ violationType: challan.violationType, fineAmount: challan.originalFineAmount || challan.fineAmount }];
+
+            offences.forEach(offence => {
+                const entry = entryFor(offence.violationType);
+                entry.offences += 1;
+                entry.finesIssued += offence.fineAmount;
+            });
+        });
+
+        payments
+            .filter(payment => payment.status === 'completed')
+            .forEach(payment => {
+                (payment.allocations || []).forEach(allocation => {
+                    entryFor(allocation.violationType).collected += allocation.amount;
+                });
+            });
+
+        return breakdown;
+    }
+
+    async getMonthlyRevenue() {
+        const sixMonthsAgo = new Date();
+        sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
+
+        // Net amount collected per month (YYYY-MM), refunds taken off in the month they were made
+        const byMonth = await this.eChallanFacade.getLedgerSummary(
+            { type: { $in: ['payment', 'refund'] }, postedAt: { $gte: sixMonthsAgo } },
+            { $dateToString: { format: '%Y-%m', date: '$postedAt' } }
+        );
+
+        const monthlyData = {};
+        Object.entries(byMonth).forEach(([month, summary]) => {
+            monthlyData[month] = summary.netCollected;
+        });
+
+        return monthlyData;
+    }
+}
+
+// Export single instance
 module.exports = new PaymentController();
\ No newline at end of file
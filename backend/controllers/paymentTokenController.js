@@ -0,0 +1,41 @@
+/**
+ * Payment Token Controller
+ * Plays the gateway's tokenisation endpoint: the only handler that receives raw card or UPI details.
+ * It is not audited, and the details are handed straight to the token vault.
+ */
+
+const { EChallanFacade } = require('../patterns/DesignPatterns');
+
+class PaymentTokenController {
+    constructor() {
+        this.eChallanFacade = new EChallanFacade();
+    }
+
+    /**
+     * Create Token - Returns a single-use token and the masked details to show the payer
+     */
+    createToken(req, res) {
+        const { paymentMethod, paymentDetails } = req.body;
+
+        try {
+            const result = this.eChallanFacade.tokenizePaymentMethod(paymentMethod, paymentDetails || {});
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.status(201).json({
+                paymentToken: result.token.id,
+                paymentMethod: result.token.method,
+                display: result.token.display,
+                expiresAt: result.token.expiresAt
+            });
+
+        } catch (error) {
+            console.error('Payment tokenisation error:', error.message);
+            res.status(500).json({ message: 'Could not tokenise the payment details' });
+        }
+    }
+}
+
+module.exports = new PaymentTokenController();
@@ -0,0 +1,142 @@
+/**
+ * Public Controller
+ * Challan lookup, guest payment and document verification for people without an account
+ */
+
+const { EChallanFacade } = require('../patterns/DesignPatterns');
+const Challan = require('../models/Challan');
+const { Payment } = require('../models/Payment');
+
+class PublicController {
+    constructor() {
+        this.eChallanFacade = new EChallanFacade();
+    }
+
+    /**
+     * Lookup Challans - Vehicle number plus the chassis number digits or the PIN from a mailed notice
+     */
+    async lookupChallans(req, res) {
+        try {
+            const result = await this.eChallanFacade.lookupPublicChallans({
+                vehicleNumber: req.body.vehicleNumber,
+                chassisDigits: req.body.chassisDigits,
+                pin: req.body.pin
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                message: result.message,
+                vehicleNumber: result.vehicleNumber,
+                challans: result.challans,
+                lookupToken: result.lookupToken
+            });
+
+        } catch (error) {
+            console.error('Error in lookupChallans:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Pay Challan as Guest - Needs the lookup token for the challan's vehicle
+     */
+    async payChallan(req, res) {
+        const { paymentMethod, paymentDetails, paymentToken, guestContact } = req.body;
+
+        try {
+            if (!paymentMethod || (!paymentDetails && !paymentToken)) {
+                return res.status(400).json({ message: 'Payment method and a payment token are required' });
+            }
+
+            const result = await this.eChallanFacade.processGuestPayment(req.lookup, req.params.id, {
+                method: paymentMethod,
+                details: paymentDetails,
+                paymentToken
+            }, guestContact);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ message: result.error });
+            }
+
+            res.json({
+                message: result.message,
+                payment: {
+                    id: result.payment.id,
+                    transactionId: result.payment.transactionId,
+                    amount: result.payment.amount,
+                    fee: result.payment.fee,
+                    totalAmount: result.payment.totalAmount,
+                    status: result.payment.status,
+                    paymentDate: result.payment.paymentDate
+                },
+                challan: {
+                    id: result.challan.id,
+                    challanNumber: result.challan.challanNumber,
+                    status: result.challan.status
+                },
+                ...(result.redirectUrl ? { redirectUrl: result.redirectUrl, expiresAt: result.expiresAt } : {})
+            });
+
+        } catch (error) {
+            console.error('Error in payChallan:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Verify Challan - Checks the signed code from a notice or receipt QR and reports the current status
+     */
+    async verifyChallan(req, res) {
+        try {
+            const result = await this.eChallanFacade.verifyChallanCode(req.params.token);
+
+            if (!result.success) {
+                return res.status(result.statusCode || 400).json({ authentic: false, message: result.error });
+            }
+
+            res.json({
+                message: result.message,
+                ...result.verification
+            });
+
+        } catch (error) {
+            console.error('Error in verifyChallan:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Get Receipt PDF - For any payment on the looked-up vehicle's challans
+     */
+    async getPaymentReceipt(req, res) {
+        try {
+            const payment = await Payment.findById(req.params.id);
+            const challan = payment ? await Challan.findById(payment.challanId) : null;
+            if (!payment || !challan || challan.vehicleNumber !== req.lookup.registrationNumber) {
+                return res.status(404).json({ message: 'Payment not found' });
+            }
+
+            const result = await this.eChallanFacade.generatePaymentReceipt(payment, challan);
+            if (!result.success) {
+                return res.status(result.statusCode || 500).json({ message: result.error });
+            }
+
+            res.set({
+                'Content-Type': 'application/pdf',
+                'Content-Length': result.buffer.length,
+                'Content-Disposition': `inline; filename="${result.filename}"`,
+                'Cache-Control': 'private, no-store'
+            });
+            res.send(result.buffer);
+
+        } catch (error) {
+            console.error('Error in public getPaymentReceipt:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+}
+
+module.exports = new PublicController();
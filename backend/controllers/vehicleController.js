@@ -0,0 +1,112 @@
+/**
+ * Vehicle Controller
+ * Vehicle registry: registration, lookup and ownership transfers
+ */
+
+const { EChallanFacade } = require('../patterns/DesignPatterns');
+const Vehicle = require('../models/Vehicle');
+
+class VehicleController {
+    constructor() {
+        this.eChallanFacade = new EChallanFacade();
+    }
+
+    /**
+     * Register Vehicle - Admins add a vehicle against its owner
+     */
+    async registerVehicle(req, res) {
+        try {
+            const result = await this.eChallanFacade.registerVehicle(req.user.id, {
+                registrationNumber: req.body.registrationNumber,
+                vehicleType: req.body.vehicleType,
+                make: req.body.make,
+                model: req.body.model,
+                color: req.body.color,
+                chassisNumber: req.body.chassisNumber,
+                ownerId: req.body.ownerId,
+                ownerEmail: req.body.ownerEmail,
+                registeredAt: req.body.registeredAt
+            });
+
+            if (!result.success) {
+                return res.status(400).json({ message: result.error });
+            }
+
+            res.status(201).json({
+                message: result.message,
+                vehicle: result.vehicle
+            });
+
+        } catch (error) {
+            console.error('Error in registerVehicle:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Get My Vehicles - Vehicles currently owned by the logged-in citizen
+     */
+    async getMyVehicles(req, res) {
+        try {
+            const vehicles = await Vehicle.find({ currentOwnerId: req.user.id }).sort({ registrationNumber: 1 });
+
+            res.json({
+                vehicles: vehicles.map(vehicle => vehicle.toJSON())
+            });
+
+        } catch (error) {
+            console.error('Error in getMyVehicles:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Get Vehicle - Lookup by registration number with ownership history
+     */
+    async getVehicle(req, res) {
+        try {
+            const vehicle = await Vehicle.findByRegistration(req.params.registrationNumber)
+                .populate('currentOwnerId', 'name email phone')
+                .populate('ownershipHistory.ownerId', 'name email');
+
+            if (!vehicle) {
+                return res.status(404).json({ message: 'Vehicle not found' });
+            }
+
+            res.json({ vehicle: vehicle.toJSON() });
+
+        } catch (error) {
+            console.error('Error in getVehicle:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+
+    /**
+     * Transfer Ownership - Close the current owner's period and start a new one
+     */
+    async transferOwnership(req, res) {
+        try {
+            const result = await this.eChallanFacade.transferVehicleOwnership(req.user.id, req.params.id, {
+                ownerId: req.body.newOwnerId,
+                ownerEmail: req.body.newOwnerEmail,
+                effectiveDate: req.body.effectiveDate,
+                reason: req.body.reason
+            });
+
+            if (!result.success) {
+                return res.status(400).json({ message: result.error });
+            }
+
+            res.json({
+                message: result.message,
+                vehicle: result.vehicle
+            });
+
+        } catch (error) {
+            console.error('Error in transferOwnership:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+}
+
+module.exports = new VehicleController();
@@ -0,0 +1,39 @@
+/**
+ * Violation Type Controller
+ * Registered violation types with their fields and current fine ranges
+ */
+
+const { EChallanFacade } = require('../patterns/DesignPatterns');
+const { violationTypeRegistry } = require('../patterns/ViolationRegistry');
+
+class ViolationTypeController {
+    constructor() {
+        this.eChallanFacade = new EChallanFacade();
+    }
+
+    /**
+     * Get Violation Types - Priced from the fine schedule in force now (or at ?asOf=)
+     */
+    async getViolationTypes(req, res) {
+        try {
+            const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+            if (isNaN(asOf.getTime())) {
+                return res.status(400).json({ message: 'Invalid asOf date' });
+            }
+
+            const fineSchedule = await this.eChallanFacade.getFineScheduleAt(asOf);
+
+            res.json({
+                asOf,
+                fineScheduleVersion: fineSchedule.version,
+                violationTypes: violationTypeRegistry.describe(fineSchedule)
+            });
+
+        } catch (error) {
+            console.error('Error in getViolationTypes:', error);
+            res.status(500).json({ message: error.message });
+        }
+    }
+}
+
+module.exports = new ViolationTypeController();
@@ -0,0 +1,43 @@
+/**
+ * Card Data Middleware
+ * Keeps raw card numbers, CVVs and PINs out of the payment controllers and the audit log. Payment
+ * routes take a payment token instead (POST /api/payment-tokens); a request that still carries the
+ * raw values is refused before it is audited or handled.
+ */
+
+const RAW_CARD_FIELDS = ['cardNumber', 'cvv', 'pin'];
+
+// Name of the first raw card field anywhere in the body, however deeply nested
+const findRawCardField = (value) => {
+    if (!value || typeof value !== 'object') {
+        return null;
+    }
+    for (const [key, nested] of Object.entries(value)) {
+        if (RAW_CARD_FIELDS.includes(key) && nested !== undefined && nested !== null && nested !== '') {
+            return key;
+        }
+        const found = findRawCardField(nested);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+};
+
+class CardDataMiddleware {
+    /**
+     * Reject Raw Card Data - Put first on any route that takes a payment method
+     */
+    rejectRawCardData = (req, res, next) => {
+        const field = findRawCardField(req.body);
+        if (field) {
+            return res.status(400).json({
+                message: `Payment requests must not contain ${field}. Exchange the payment details for a token at POST /api/payment-tokens and send the paymentToken instead.`
+            });
+        }
+        next();
+    };
+}
+
+module.exports = new CardDataMiddleware();
+module.exports.findRawCardField = findRawCardField;
@@ -0,0 +1,41 @@
+/**
+ * Device Authentication Middleware
+ * Cameras authenticate with their device id and API key instead of a user token.
+ */
+const Device = require('../models/Device');
+
+class DeviceAuthMiddleware {
+    /**
+     * Protect Device Route - Expects X-Device-Id and X-Device-Key headers
+     */
+    protectDevice = async (req, res, next) => {
+        try {
+            const deviceId = req.get('X-Device-Id');
+            const apiKey = req.get('X-Device-Key');
+
+            if (!deviceId || !apiKey) {
+                return res.status(401).json({ message: 'Device credentials required' });
+            }
+
+            const device = await Device.findOne({ deviceId: deviceId.trim().toUpperCase() });
+            if (!device || !device.verifyApiKey(apiKey)) {
+                return res.status(401).json({ message: 'Invalid device credentials' });
+            }
+
+            if (!device.isActive) {
+                return res.status(403).json({ message: 'Device is deactivated' });
+            }
+
+            await Device.updateOne({ _id: device._id }, { $set: { lastSeenAt: new Date() } });
+
+            req.device = device;
+            next();
+
+        } catch (error) {
+            console.error('Device auth error:', error);
+            return res.status(401).json({ message: 'Device authentication failed' });
+        }
+    };
+}
+
+module.exports = new DeviceAuthMiddleware();
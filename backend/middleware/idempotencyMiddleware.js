@@ -0,0 +1,95 @@
+/**
+ * Idempotency Middleware
+ * Honours the Idempotency-Key header on payment routes. The first request with a key runs normally and
+ * its response is stored; repeats with the same key and body get that response replayed. Requests
+ * without the header are processed as before.
+ */
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { ConfigurationManager } = require('../patterns/DesignPatterns');
+
+class IdempotencyMiddleware {
+    constructor() {
+        this.config = ConfigurationManager.getInstance();
+    }
+
+    /**
+     * Idempotent Route - Runs after authentication, so the key is scoped to the caller
+     */
+    idempotent = (endpoint) => {
+        return async (req, res, next) => {
+            const key = req.get('Idempotency-Key');
+            if (key === undefined) {
+                return next();
+            }
+
+            if (!key.trim() || key.length > 255) {
+                return res.status(400).json({ message: 'Idempotency-Key must be 1 to 255 characters' });
+            }
+
+            const owner = req.user ? `user:${req.user.id}` : `lookup:${req.lookup.vehicleId}`;
+            const fingerprint = IdempotencyKey.fingerprintRequest({
+                method: req.method,
+                path: req.baseUrl + req.path,
+                body: req.body
+            });
+
+            try {
+                const record = await IdempotencyKey.create({
+                    key,
+                    owner,
+                    endpoint,
+                    fingerprint,
+                    expiresAt: new Date(Date.now() + this.config.get('payments.idempotencyKeyTtlHours') * 60 * 60 * 1000)
+                });
+
+                this.recordResponse(res, record);
+                next();
+
+            } catch (error) {
+                if (error.code !== 11000) {
+                    console.error('Idempotency check failed:', error);
+                    return res.status(500).json({ message: 'Could not check the Idempotency-Key' });
+                }
+
+                const existing = await IdempotencyKey.findOne({ owner, key });
+                if (!existing) {
+                    // Expired between the insert and the lookup; the client can simply retry
+                    return res.status(409).json({ message: 'Idempotency-Key is being reset, please retry' });
+                }
+
+                if (!existing.matchesRequest(endpoint, fingerprint)) {
+                    return res.status(422).json({ message: 'Idempotency-Key was already used for a different request' });
+                }
+
+                if (existing.status === 'processing') {
+                    res.set('Retry-After', '1');
+                    return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+                }
+
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.responseStatus).json(existing.responseBody);
+            }
+        };
+    };
+
+    // Store the response before sending it. Server errors release the key so the request can be retried.
+    recordResponse(res, record) {
+        const sendJson = res.json.bind(res);
+
+        res.json = (body) => {
+            const saved = res.statusCode >= 500
+                ? IdempotencyKey.deleteOne({ _id: record._id })
+                : IdempotencyKey.updateOne({ _id: record._id }, {
+                    $set: { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+                });
+
+            saved
+                .catch(error => console.error('Failed to store idempotent response:', error))
+                .finally(() => sendJson(body));
+
+            return res;
+        };
+    }
+}
+
+module.exports = new IdempotencyMiddleware();
@@ -0,0 +1,80 @@
+/**
+ * Multipart upload middleware for evidence files and camera detection images.
+ * Files are kept in memory so they can be hashed before being handed to evidence storage.
+ */
+const multer = require('multer');
+const { ConfigurationManager } = require('../patterns/DesignPatterns');
+const Evidence = require('../models/Evidence');
+
+const DETECTION_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+class UploadMiddleware {
+    constructor() {
+        this.config = ConfigurationManager.getInstance();
+    }
+
+    /**
+     * Evidence Upload - accepts up to maxFilesPerUpload files in the 'files' field
+     */
+    evidenceFiles = () => {
+        const { maxFilesPerUpload } = this.config.get('evidence');
+        return this.handleErrors(this.createUpload(Evidence.MIME_TYPES).array('files', maxFilesPerUpload));
+    };
+
+    /**
+     * Detection Upload - a single camera image in the 'image' field
+     */
+    detectionImage = () => {
+        return this.handleErrors(this.createUpload(DETECTION_IMAGE_TYPES).single('image'), 'image');
+    };
+
+    createUpload(allowedTypes) {
+        const { maxFileSizeMb, maxFilesPerUpload } = this.config.get('evidence');
+        return multer({
+            storage: multer.memoryStorage(),
+            limits: {
+                fileSize: maxFileSizeMb * 1024 * 1024,
+                files: maxFilesPerUpload
+            },
+            fileFilter: (req, file, callback) => {
+                if (!allowedTypes.includes(file.mimetype)) {
+                    return callback(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+                }
+                callback(null, true);
+            }
+        });
+    }
+
+    // Report upload problems as 400s instead of passing them to the global error handler
+    handleErrors(upload, field = 'files') {
+        return (req, res, next) => {
+            upload(req, res, (error) => {
+                if (error instanceof multer.MulterError) {
+                    return res.status(400).json({ message: this.describeUploadError(error, field) });
+                }
+                if (error) {
+                    return next(error);
+                }
+                next();
+            });
+        };
+    }
+
+    describeUploadError(error, field = 'files') {
+        const { maxFileSizeMb, maxFilesPerUpload } = this.config.get('evidence');
+        const allowedTypes = field === 'image' ? DETECTION_IMAGE_TYPES : Evidence.MIME_TYPES;
+
+        switch (error.code) {
+            case 'LIMIT_FILE_SIZE':
+                return `Evidence files must be ${maxFileSizeMb} MB or smaller`;
+            case 'LIMIT_FILE_COUNT':
+                return `At most ${maxFilesPerUpload} evidence files can be uploaded at once`;
+            case 'LIMIT_UNEXPECTED_FILE':
+                return `Evidence must be uploaded in the '${field}' field as one of: ${allowedTypes.join(', ')}`;
+            default:
+                return error.message;
+        }
+    }
+}
+
+module.exports = new UploadMiddleware();
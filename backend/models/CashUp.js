@@ -0,0 +1,59 @@
+/**
+ * CashUp Model
+ * A collector's end-of-day declaration of the cash they took. The expected amount is the total of
+ * their cash payments for that business day (UTC); any difference from the declared amount is
+ * recorded as the variance for an admin to follow up.
+ */
+
+const mongoose = require('mongoose');
+
+const cashUpSchema = new mongoose.Schema({
+    collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    businessDate: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+    paymentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }],
+    paymentCount: { type: Number, default: 0 },
+    expectedAmount: { type: Number, required: true },
+    declaredAmount: { type: Number, required: true, min: 0 },
+    variance: { type: Number, default: 0 },
+    status: { type: String, enum: ['balanced', 'short', 'over'], required: true },
+    notes: { type: String },
+    submittedAt: { type: Date, default: Date.now }
+});
+
+// One cash-up per collector per day
+cashUpSchema.index({ collectedBy: 1, businessDate: 1 }, { unique: true });
+
+// 'YYYY-MM-DD' for a moment in time
+cashUpSchema.statics.toBusinessDate = function (date = new Date()) {
+    return new Date(date).toISOString().slice(0, 10);
+};
+
+// [start, end) of a business day, for querying the payments taken on it
+cashUpSchema.statics.businessDayRange = function (businessDate) {
+    const start = new Date(`${businessDate}T00:00:00.000Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(businessDate) || isNaN(start)) {
+        throw Object.assign(new Error(`Invalid business date: ${businessDate}`), { statusCode: 400 });
+    }
+    return { start, end: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+};
+
+// Compare the declared cash with the recorded payments and set the variance and status
+cashUpSchema.methods.reconcile = function () {
+    this.variance = Math.round((this.declaredAmount - this.expectedAmount) * 100) / 100;
+    if (this.variance === 0) {
+        this.status = 'balanced';
+    } else {
+        this.status = this.variance < 0 ? 'short' : 'over';
+    }
+    return this.status;
+};
+
+cashUpSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    return obj;
+};
+
+module.exports = mongoose.model('CashUp', cashUpSchema);
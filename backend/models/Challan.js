@@ -1,186 +1,533 @@
-/**
- * Challan Mongoose Model with OOP Integration
- * Maintains existing database schema while adding violation-specific fields
- */
-
-const mongoose = require('mongoose');
-const { Violation } = require('../patterns/ClassHierarchy');
-const { ViolationFactory } = require('../patterns/DesignPatterns');
-
-const challanSchema = new mongoose.Schema({
-    challanNumber: {
-        type: String,
-        required: true,
-        unique: true,
-        default: function () {
-            return 'CH' + Date.now() + Math.floor(Math.random() * 1000);
-        }
-    },
-    citizenId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    officerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    vehicleNumber: { type: String, required: true },
-    violationType: {
-        type: String,
-        required: true,
-        enum: ['Speeding', 'Red Light', 'Wrong Parking', 'No Helmet', 'Mobile Usage', 'Other']
-    },
-    location: { type: String, required: true },
-    dateTime: { type: Date, required: true, default: Date.now },
-    fineAmount: { type: Number, required: true },
-    status: {
-        type: String,
-        enum: ['pending', 'paid', 'disputed', 'cancelled'],
-        default: 'pending'
-    },
-    description: { type: String },
-    evidenceUrl: { type: String },
-    paymentDate: { type: Date },
-    dueDate: {
-        type: Date,
-        default: function () {
-            return new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days
-        }
-    },
-
-    // NEW: Violation-specific fields for different types
-    // Speeding violation fields
-    speedLimit: { type: Number },
-    actualSpeed: { type: Number },
-    radarReading: { type: String },
-
-    // Parking violation fields
-    zoneType: { type: String, enum: ['no-parking', 'handicap', 'fire-lane', 'expired-meter'] },
-    duration: { type: Number }, // minutes parked illegally
-
-    // Helmet violation fields
-    passengerCount: { type: Number, default: 1 },
-    vehicleType: { type: String, enum: ['motorcycle', 'scooter'] },
-
-    // Red light violation fields
-    intersectionId: { type: String },
-    cameraId: { type: String },
-    timeAfterRed: { type: Number }, // seconds after red light
-
-    // Dispute information
-    disputeReason: { type: String },
-    disputeDate: { type: Date },
-
-    createdAt: { type: Date, default: Date.now },
-    updatedAt: { type: Date, default: Date.now }
-});
-
-// Update timestamp on save
-challanSchema.pre('save', function (next) {
-    this.updatedAt = Date.now();
-    next();
-});
-
-// NEW: Convert to OOP Violation instance
-challanSchema.methods.toViolationInstance = function () {
-    const violationData = {
-        id: this._id.toString(),
-        vehicleNumber: this.vehicleNumber,
-        location: this.location,
-        dateTime: this.dateTime,
-        officerId: this.officerId.toString(),
-        citizenId: this.citizenId.toString(),
-        description: this.description,
-        status: this.status,
-        violationType: this.violationType,
-
-        // Violation-specific data
-        speedLimit: this.speedLimit,
-        actualSpeed: this.actualSpeed,
-        radarReading: this.radarReading,
-        zoneType: this.zoneType,
-        duration: this.duration,
-        passengerCount: this.passengerCount,
-        vehicleType: this.vehicleType,
-        intersectionId: this.intersectionId,
-        cameraId: this.cameraId,
-        timeAfterRed: this.timeAfterRed
-    };
-
-    try {
-        return ViolationFactory.createViolation(violationData);
-    } catch (error) {
-        console.error('Error creating violation instance:', error);
-        return null;
-    }
-};
-
-// NEW: Calculate fine using OOP violation classes
-challanSchema.methods.calculateFine = function () {
-    const violationInstance = this.toViolationInstance();
-    if (violationInstance) {
-        return violationInstance.calculateFine();
-    }
-    return this.fineAmount; // Fallback to existing amount
-};
-
-// NEW: Process violation using OOP
-challanSchema.methods.processViolation = function () {
-    const violationInstance = this.toViolationInstance();
-    if (violationInstance) {
-        return violationInstance.processViolation();
-    }
-    return this.toJSON();
-};
-
-// NEW: Static method to create from OOP violation
-challanSchema.statics.fromViolationInstance = function (violation, additionalData = {}) {
-    const violationData = violation.toJSON();
-
-    return new this({
-        ...violationData,
-        ...additionalData,
-        _id: undefined // Let MongoDB generate new ID
-    });
-};
-
-// NEW: Enhanced toJSON method
-challanSchema.methods.toJSON = function () {
-    const obj = this.toObject();
-    obj.id = obj._id;
-    delete obj._id;
-    delete obj.__v;
-    return obj;
-};
-
-module.exports = mongoose.model('Challan', challanSchema);
-
-
-// =============================================================================
-// MODEL FACTORY - Creates Models with OOP Integration
-// =============================================================================
-
-class ModelFactory {
-    static createUser(userData) {
-        const User = require('./User');
-        return new User(userData);
-    }
-
-    static createChallan(challanData) {
-        const Challan = require('./Challan');
-        return new Challan(challanData);
-    }
-
-    static createPayment(paymentData) {
-        const { Payment } = require('./Payment');
-        return new Payment(paymentData);
-    }
-
-    // Create challan from violation instance
-    static createChallanFromViolation(violation, additionalData = {}) {
-        const Challan = require('./Challan');
-        return Challan.fromViolationInstance(violation, additionalData);
-    }
-
-    // Create user from OOP instance
-    static createUserFromOOP(oopUser) {
-        const User = require('./User');
-        return User.fromOOPInstance(oopUser);
-    }
-}
-
+/**
+ * Challan Mongoose Model with OOP Integration
+ * Maintains existing database schema while adding violation-specific fields
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Violation } = require('../patterns/ClassHierarchy');
+const { CHALLAN_STATUSES, ChallanLifecycle, ChallanTransitionError } = require('../patterns/ChallanLifecycle');
+const { violationTypeRegistry } = require('../patterns/ViolationRegistry');
+const { scaleFines } = require('../patterns/OffenceCombination');
+
+const FIELD_SCHEMA_TYPES = { number: Number, string: String, boolean: Boolean, enum: String };
+
+// One path per field declared by the registered violation types. Declared fields are
+// only enforced for new challans so challans issued under older rules stay saveable.
+const violationFieldPaths = violationTypeRegistry.getAllFields().reduce((paths, field) => {
+    paths[field.name] = {
+        type: FIELD_SCHEMA_TYPES[field.type],
+        ...(field.type === 'enum' ? { enum: field.options } : {}),
+        required: function () {
+            return this.isNew && violationTypeRegistry.getFields(this.violationType)
+                .some(declared => declared.name === field.name && declared.required);
+        }
+    };
+    return paths;
+}, {});
+
+// One offence on the challan, priced by its own violation class
+const offenceSchema = new mongoose.Schema({
+    itemNumber: { type: Number, required: true },
+    violationType: {
+        type: String,
+        required: true,
+        validate: {
+            validator: function (violationType) {
+                if (!violationTypeRegistry.isTypeName(violationType)) {
+                    throw new Error(`Unknown violation type: ${violationType}`);
+                }
+
+                const errors = this.ownerDocument().isNew
+                    ? violationTypeRegistry.validateFields(violationType, this.details || {})
+                    : [];
+                if (errors.length > 0) {
+                    throw new Error(`Offence ${this.itemNumber}: ${errors.join('; ')}`);
+                }
+                return true;
+            },
+            message: props => props.reason ? props.reason.message : `Invalid violation type: ${props.value}`
+        }
+    },
+    // Fields the violation type declares in the registry
+    details: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Fine from the violation class (after repeat-offender escalation) and the
+    // amount charged for this item once the combination rule has been applied
+    baseFineAmount: { type: Number, required: true },
+    fineAmount: { type: Number, required: true },
+    demeritPoints: { type: Number, default: 0 },
+    status: {
+        type: String,
+        enum: ['active', 'withdrawn'],
+        default: 'active'
+    },
+    withdrawnReason: { type: String },
+    withdrawnAt: { type: Date },
+    amountPaid: { type: Number, default: 0 }
+}, { _id: false, minimize: false });
+
+// Append-only record of every status change
+const statusHistorySchema = new mongoose.Schema({
+    from: { type: String, enum: [...CHALLAN_STATUSES, null] },
+    to: { type: String, enum: CHALLAN_STATUSES, required: true },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actorRole: { type: String },
+    reason: { type: String },
+    timestamp: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Device that measured the violation and its calibration when the reading was taken,
+// frozen at issue so the challan can be defended even after the device is recalibrated
+const deviceReadingSchema = new mongoose.Schema({
+    deviceRef: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true },
+    deviceId: { type: String, required: true },
+    deviceType: { type: String },
+    calibrationStatus: { type: String, enum: ['valid', 'expired', 'uncalibrated'], required: true },
+    calibrationCertificate: { type: String },
+    calibratedAt: { type: Date },
+    calibrationExpiresAt: { type: Date }
+}, { _id: false });
+
+const challanSchema = new mongoose.Schema({
+    challanNumber: {
+        type: String,
+        required: true,
+        unique: true,
+        default: function () {
+            return 'CH' + Date.now() + Math.floor(Math.random() * 1000);
+        }
+    },
+    citizenId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    officerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle' },
+    vehicleNumber: { type: String, required: true },
+    violationType: {
+        type: String,
+        required: true,
+        validate: {
+            validator: function (violationType) {
+                if (!violationTypeRegistry.isTypeName(violationType)) {
+                    throw new Error(`Unknown violation type: ${violationType}`);
+                }
+
+                const errors = this.isNew
+                    ? violationTypeRegistry.validateFields(violationType, this, { skipRequired: true })
+                    : [];
+                if (errors.length > 0) {
+                    throw new Error(errors.join('; '));
+                }
+                return true;
+            },
+            message: props => props.reason ? props.reason.message : `Invalid violation type: ${props.value}`
+        }
+    },
+    location: { type: String, required: true },
+    dateTime: { type: Date, required: true, default: Date.now },
+    fineAmount: { type: Number, required: true },
+
+    // Repeat-offender escalation and demerit points at the time of issue
+    priorViolationCount: { type: Number, default: 0 },
+    repeatOffenderMultiplier: { type: Number, default: 1 },
+    demeritPoints: { type: Number, default: 0 },
+
+    // Offence line items; violationType and the violation-specific fields mirror the first offence
+    offences: [offenceSchema],
+    combinationRule: { type: String },
+
+    // Fine schedule the fine was priced from (version 0 = built-in rates)
+    fineScheduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'FineSchedule' },
+    fineScheduleVersion: { type: Number },
+
+    // Late-payment penalties (fineAmount = originalFineAmount + penaltyAmount)
+    originalFineAmount: { type: Number },
+    penaltyAmount: { type: Number, default: 0 },
+    penaltyPeriods: { type: Number, default: 0 },
+    overdueSince: { type: Date },
+
+    // Installment plan (penalties are suspended while a plan is active)
+    paymentPlanId: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentPlan' },
+    amountPaid: { type: Number, default: 0 },
+    // Held while a payment is charged and recorded, so a second submit cannot charge the challan again
+    paymentLock: {
+        lockId: { type: String },
+        acquiredAt: { type: Date }
+    },
+    status: {
+        type: String,
+        enum: CHALLAN_STATUSES,
+        default: 'pending'
+    },
+    statusHistory: [statusHistorySchema],
+    description: { type: String },
+    evidenceUrl: { type: String },
+    // Camera detection the challan was issued from, when it came through the review queue
+    detectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Detection' },
+    device: { type: deviceReadingSchema, default: undefined },
+    // Printed on the mailed notice so the owner can look the challan up without an account
+    lookupPin: { type: String, select: false },
+    paymentDate: { type: Date },
+    dueDate: {
+        type: Date,
+        default: function () {
+            return new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // 30 days
+        }
+    },
+
+    // Violation-specific fields, declared by each type in the violation registry
+    ...violationFieldPaths,
+
+    // Dispute information
+    disputeReason: { type: String },
+    disputeDate: { type: Date },
+
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Update timestamp on save
+challanSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Remember the persisted status so direct writes can be detected on save
+challanSchema.post('init', function () {
+    this.$locals.persistedStatus = this.status;
+    this.$locals.persistedHistoryLength = this.statusHistory.length;
+});
+
+// Status may only change through ChallanLifecycle, and history is append-only
+challanSchema.pre('save', function (next) {
+    if (this.isNew) {
+        if (this.originalFineAmount === undefined) {
+            this.originalFineAmount = this.fineAmount;
+        }
+        if (this.statusHistory.length === 0) {
+            ChallanLifecycle.recordInitialStatus(this, { actorId: this.officerId });
+        }
+        return next();
+    }
+
+    if (this.statusHistory.length < (this.$locals.persistedHistoryLength || 0)) {
+        return next(new Error('Challan status history is append-only'));
+    }
+
+    if (this.isModified('status')) {
+        const lastEntry = this.statusHistory[this.statusHistory.length - 1];
+        if (!lastEntry || lastEntry.to !== this.status) {
+            return next(new ChallanTransitionError(this.$locals.persistedStatus, this.status));
+        }
+    }
+
+    next();
+});
+
+// Block query updates that would bypass the lifecycle engine
+challanSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function (next) {
+    const update = this.getUpdate() || {};
+    const touchedFields = [
+        ...Object.keys(update),
+        ...['$set', '$unset', '$push', '$pull', '$pop'].flatMap(op => Object.keys(update[op] || {}))
+    ];
+
+    if (touchedFields.includes('status') || touchedFields.includes('statusHistory')) {
+        return next(new Error('Challan status must be changed through ChallanLifecycle'));
+    }
+
+    next();
+});
+
+// Move to a new status, recording who made the change and why
+challanSchema.methods.transitionTo = function (status, { actorId, actorRole, reason } = {}) {
+    return ChallanLifecycle.transition(this, status, { actorId, actorRole, reason });
+};
+
+// Reset the base fine (e.g. after an edit or a dispute decision) and clear penalties.
+// Offence line items are rescaled so they keep adding up to the base fine.
+challanSchema.methods.setBaseFine = function (amount) {
+    const activeOffences = this.getActiveOffences();
+    const itemTotal = activeOffences.reduce((sum, offence) => sum + offence.fineAmount, 0);
+    if (activeOffences.length > 0 && Math.round((itemTotal - amount) * 100) !== 0) {
+        const scaled = scaleFines(activeOffences.map(offence => offence.fineAmount), amount);
+        activeOffences.forEach((offence, index) => {
+            offence.fineAmount = scaled[index];
+        });
+    }
+
+    this.originalFineAmount = amount;
+    this.penaltyAmount = 0;
+    this.penaltyPeriods = 0;
+    this.fineAmount = amount;
+    return this;
+};
+
+challanSchema.methods.getActiveOffences = function () {
+    return (this.offences || []).filter(offence => offence.status === 'active');
+};
+
+/**
+ * Price the active offences with an OffenceCombinationRule strategy and reset the
+ * base fine to the combined total. Withdrawn offences are charged nothing.
+ */
+challanSchema.methods.applyOffenceCombination = function (combinationRule) {
+    const activeOffences = this.getActiveOffences();
+    if (activeOffences.length === 0) {
+        throw new Error('Challan has no active offences');
+    }
+
+    const { fines, total, capped } = combinationRule.combine(activeOffences.map(offence => offence.baseFineAmount));
+    activeOffences.forEach((offence, index) => {
+        offence.fineAmount = fines[index];
+    });
+    this.offences
+        .filter(offence => offence.status === 'withdrawn')
+        .forEach(offence => {
+            offence.fineAmount = 0;
+        });
+
+    this.combinationRule = combinationRule.getRuleType();
+    this.demeritPoints = activeOffences.reduce((sum, offence) => sum + offence.demeritPoints, 0);
+    this.setBaseFine(total);
+
+    return { total, capped };
+};
+
+// Withdraw offences (e.g. when a dispute over them is upheld); the fine must be recombined afterwards
+challanSchema.methods.withdrawOffences = function (itemNumbers, reason) {
+    const withdrawn = itemNumbers.map(itemNumber => {
+        const offence = this.offences.find(item => item.itemNumber === Number(itemNumber));
+        if (!offence || offence.status !== 'active') {
+            throw new Error(`Offence ${itemNumber} is not an active offence on this challan`);
+        }
+        return offence;
+    });
+
+    if (withdrawn.length >= this.getActiveOffences().length) {
+        throw new Error('Cannot withdraw every offence, cancel the challan instead');
+    }
+
+    withdrawn.forEach(offence => {
+        offence.status = 'withdrawn';
+        offence.withdrawnReason = reason;
+        offence.withdrawnAt = new Date();
+    });
+
+    return withdrawn;
+};
+
+/**
+ * Split a payment across the active offences in item order. Whatever is left once
+ * every item is covered pays the late penalty. Challans issued before line items
+ * existed are treated as a single offence.
+ */
+challanSchema.methods.allocatePayment = function (amount) {
+    const activeOffences = this.getActiveOffences();
+    if (activeOffences.length === 0) {
+        return [{ itemNumber: 1, violationType: this.violationType, amount }];
+    }
+
+    let remaining = amount;
+    const allocations = [];
+    activeOffences.forEach(offence => {
+        const due = Math.round((offence.fineAmount - (offence.amountPaid || 0)) * 100) / 100;
+        const allocated = Math.min(due, remaining);
+        if (allocated > 0) {
+            offence.amountPaid = Math.round(((offence.amountPaid || 0) + allocated) * 100) / 100;
+            remaining = Math.round((remaining - allocated) * 100) / 100;
+            allocations.push({ itemNumber: offence.itemNumber, violationType: offence.violationType, amount: allocated });
+        }
+    });
+
+    return allocations;
+};
+
+// Undo the line-item allocations of a refunded payment
+challanSchema.methods.releasePaymentAllocations = function (allocations = []) {
+    allocations.forEach(allocation => {
+        const offence = (this.offences || []).find(item => item.itemNumber === allocation.itemNumber);
+        if (offence) {
+            offence.amountPaid = Math.max(0, Math.round(((offence.amountPaid || 0) - allocation.amount) * 100) / 100);
+        }
+    });
+    return this;
+};
+
+// What a payment changes on a challan, so a checkout that fails part way can put it back
+const PAYMENT_STATE_FIELDS = ['status', 'statusHistory', 'amountPaid', 'paymentDate', 'offences'];
+
+challanSchema.methods.snapshotPaymentState = function () {
+    const state = this.toObject({ depopulate: true });
+    return Object.fromEntries(PAYMENT_STATE_FIELDS.map(field => [field, state[field]]));
+};
+
+challanSchema.methods.restorePaymentState = function (snapshot) {
+    PAYMENT_STATE_FIELDS.forEach(field => this.set(field, snapshot[field]));
+    return this;
+};
+
+// Amount still owed after any installment payments
+challanSchema.methods.getOutstandingAmount = function () {
+    return Math.round((this.fineAmount - (this.amountPaid || 0)) * 100) / 100;
+};
+
+/**
+ * Bring late-payment penalties up to date using a PenaltyRule strategy.
+ * Marks the challan overdue the first time it is found past its due date.
+ */
+challanSchema.methods.applyLatePenalty = function (penaltyRule, asOf = new Date()) {
+    const unchanged = { changed: false, becameOverdue: false, penaltyAmount: this.penaltyAmount };
+
+    if (!['pending', 'overdue'].includes(this.status) || !this.dueDate || asOf <= this.dueDate) {
+        return unchanged;
+    }
+
+    const becameOverdue = this.status === 'pending';
+    if (becameOverdue) {
+        this.transitionTo('overdue', { actorRole: 'system', reason: 'Payment due date passed' });
+        this.overdueSince = asOf;
+    }
+
+    if (this.originalFineAmount === undefined) {
+        this.originalFineAmount = this.fineAmount;
+    }
+
+    const periods = penaltyRule.getElapsedPeriods(this.dueDate, asOf);
+    const penaltyAmount = penaltyRule.calculatePenalty(this.originalFineAmount, periods);
+    const changed = becameOverdue || periods !== this.penaltyPeriods || penaltyAmount !== this.penaltyAmount;
+
+    this.penaltyPeriods = periods;
+    this.penaltyAmount = penaltyAmount;
+    this.fineAmount = Math.round((this.originalFineAmount + penaltyAmount) * 100) / 100;
+
+    return { changed, becameOverdue, penaltyAmount, periods };
+};
+
+// NEW: Convert to OOP Violation instance
+challanSchema.methods.toViolationInstance = function () {
+    const violationData = {
+        id: this._id.toString(),
+        vehicleNumber: this.vehicleNumber,
+        location: this.location,
+        dateTime: this.dateTime,
+        officerId: this.officerId.toString(),
+        citizenId: this.citizenId.toString(),
+        description: this.description,
+        status: this.status,
+        violationType: this.violationType,
+
+        // Violation-specific data
+        ...violationTypeRegistry.pickFields(this.violationType, this)
+    };
+
+    try {
+        return violationTypeRegistry.createViolation(violationData);
+    } catch (error) {
+        console.error('Error creating violation instance:', error);
+        return null;
+    }
+};
+
+// NEW: Calculate fine using OOP violation classes
+challanSchema.methods.calculateFine = function () {
+    const violationInstance = this.toViolationInstance();
+    if (violationInstance) {
+        return violationInstance.calculateFine();
+    }
+    return this.fineAmount; // Fallback to existing amount
+};
+
+// NEW: Process violation using OOP
+challanSchema.methods.processViolation = function () {
+    const violationInstance = this.toViolationInstance();
+    if (violationInstance) {
+        return violationInstance.processViolation();
+    }
+    return this.toJSON();
+};
+
+// NEW: Static method to create from OOP violation
+challanSchema.statics.fromViolationInstance = function (violation, additionalData = {}) {
+    const violationData = violation.toJSON();
+
+    return new this({
+        ...violationData,
+        ...additionalData,
+        _id: undefined // Let MongoDB generate new ID
+    });
+};
+
+/**
+ * Claim the challan for one payment. Resolves to the challan as read under the lock, or null when
+ * another payment holds the lock (a lock older than staleAfterMs is assumed abandoned and taken over).
+ */
+challanSchema.statics.acquirePaymentLock = function (challanId, lockId, { staleAfterMs = 2 * 60 * 1000 } = {}) {
+    return this.findOneAndUpdate(
+        {
+            _id: challanId,
+            $or: [
+                { 'paymentLock.lockId': { $exists: false } },
+                { 'paymentLock.acquiredAt': { $lt: new Date(Date.now() - staleAfterMs) } }
+            ]
+        },
+        { $set: { paymentLock: { lockId, acquiredAt: new Date() } } },
+        { new: true }
+    );
+};
+
+// Only the holder can release, so a payment that outlived its lock cannot free someone else's
+challanSchema.statics.releasePaymentLock = function (challanId, lockId) {
+    return this.updateOne({ _id: challanId, 'paymentLock.lockId': lockId }, { $unset: { paymentLock: 1 } });
+};
+
+challanSchema.statics.generateLookupPin = function () {
+    return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+};
+
+// NEW: Enhanced toJSON method
+challanSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    delete obj.lookupPin;
+    delete obj.paymentLock;
+    return obj;
+};
+
+module.exports = mongoose.model('Challan', challanSchema);
+
+
+// =============================================================================
+// MODEL FACTORY - Creates Models with OOP Integration
+// =============================================================================
+
+class ModelFactory {
+    static createUser(userData) {
+        const User = require('./User');
+        return new User(userData);
+    }
+
+    static createChallan(challanData) {
+        const Challan = require('./Challan');
+        return new Challan(challanData);
+    }
+
+    static createPayment(paymentData) {
+        const { Payment } = require('./Payment');
+        return new Payment(paymentData);
+    }
+
+    // Create challan from violation instance
+    static createChallanFromViolation(violation, additionalData = {}) {
+        const Challan = require('./Challan');
+        return Challan.fromViolationInstance(violation, additionalData);
+    }
+
+    // Create user from OOP instance
+    static createUserFromOOP(oopUser) {
+        const User = require('./User');
+        return User.fromOOPInstance(oopUser);
+    }
+}
+
 module.exports.ModelFactory = ModelFactory;
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * Demerit Point Model
+ * Append-only ledger of demerit points per licence and per vehicle.
+ * Points are reversed with a negative entry instead of being edited or deleted.
+ */
+
+const mongoose = require('mongoose');
+
+const demeritPointSchema = new mongoose.Schema({
+    challanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Challan', required: true, index: true },
+    citizenId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    licenseNumber: { type: String, index: true },
+    vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', index: true },
+    vehicleNumber: { type: String },
+    violationType: { type: String, required: true },
+    offenceItemNumber: { type: Number },
+    entryType: {
+        type: String,
+        enum: ['issued', 'reversed'],
+        default: 'issued'
+    },
+    points: { type: Number, required: true },
+    reason: { type: String },
+    // Time of the violation; the rolling window is measured from this
+    occurredAt: { type: Date, required: true },
+    createdAt: { type: Date, default: Date.now }
+});
+
+demeritPointSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Demerit ledger entries cannot be modified'));
+    }
+    next();
+});
+
+// Net points for a licence or vehicle since the start of the window
+demeritPointSchema.statics.getActivePoints = async function (filter, windowStart) {
+    const entries = await this.find({ ...filter, occurredAt: { $gte: windowStart } });
+    return entries.reduce((total, entry) => total + entry.points, 0);
+};
+
+// Build the negative entry that cancels the points issued for a challan
+demeritPointSchema.methods.buildReversal = function (reason) {
+    if (this.entryType !== 'issued') {
+        throw new Error('Only issued points can be reversed');
+    }
+
+    return new this.constructor({
+        challanId: this.challanId,
+        citizenId: this.citizenId,
+        licenseNumber: this.licenseNumber,
+        vehicleId: this.vehicleId,
+        vehicleNumber: this.vehicleNumber,
+        violationType: this.violationType,
+        offenceItemNumber: this.offenceItemNumber,
+        entryType: 'reversed',
+        points: -this.points,
+        reason,
+        occurredAt: this.occurredAt
+    });
+};
+
+demeritPointSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    return obj;
+};
+
+module.exports = mongoose.model('DemeritPoint', demeritPointSchema);
@@ -0,0 +1,151 @@
+/**
+ * Detection Model
+ * A violation reported by a registered camera. Detections wait in a review queue as
+ * draft challans until an officer approves them (issuing a challan) or rejects them.
+ */
+
+const mongoose = require('mongoose');
+const Vehicle = require('./Vehicle');
+
+const DETECTION_TYPES = ['speed', 'red_light'];
+const DETECTION_STATUSES = ['pending_review', 'unmatched', 'duplicate', 'approved', 'rejected'];
+const REVIEWABLE_STATUSES = ['pending_review', 'unmatched'];
+
+const detectionSchema = new mongoose.Schema({
+    deviceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true },
+    // The device's own id for the detection, used to ignore resubmissions
+    externalId: { type: String },
+    detectionType: { type: String, enum: DETECTION_TYPES, required: true },
+    rawPlate: { type: String, required: true },
+    plate: { type: String, required: true, index: true },
+    plateConfidence: { type: Number, min: 0, max: 1 },
+    detectedAt: { type: Date, required: true },
+
+    // Speed detections (km/h)
+    measuredSpeed: { type: Number, min: 0 },
+    speedLimit: { type: Number, min: 0 },
+    radarReading: { type: String },
+
+    // Red-light detections
+    lightPhase: { type: String, enum: ['red', 'amber', 'green'] },
+    timeAfterRed: { type: Number, min: 0 },
+
+    // Image submitted with the detection, kept in evidence storage
+    image: {
+        storageAdapter: { type: String },
+        storageKey: { type: String },
+        thumbnailKey: { type: String },
+        mimeType: { type: String },
+        size: { type: Number },
+        sha256: { type: String }
+    },
+
+    // Vehicle and owner matched from the plate at the time of detection
+    vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle' },
+    citizenId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+    status: { type: String, enum: DETECTION_STATUSES, default: 'pending_review', index: true },
+    duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Detection' },
+    challanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Challan' },
+    review: {
+        reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reviewedAt: { type: Date },
+        notes: { type: String }
+    },
+
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+detectionSchema.index(
+    { deviceId: 1, externalId: 1 },
+    { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+);
+detectionSchema.index({ plate: 1, detectionType: 1, detectedAt: 1 });
+
+detectionSchema.pre('validate', function (next) {
+    if (this.rawPlate && !this.plate) {
+        this.plate = Vehicle.normalizeRegistration(this.rawPlate);
+    }
+    next();
+});
+
+detectionSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+/**
+ * Check the reading actually shows a violation before it is queued.
+ * Returns a list of problems; an empty list means the detection can be queued.
+ */
+detectionSchema.methods.getReadingProblems = function () {
+    const problems = [];
+
+    if (this.detectionType === 'speed') {
+        if (this.measuredSpeed === undefined || this.speedLimit === undefined) {
+            problems.push('Speed detections need measuredSpeed and speedLimit');
+        } else if (this.measuredSpeed <= this.speedLimit) {
+            problems.push('Measured speed is not above the speed limit');
+        }
+    }
+
+    if (this.detectionType === 'red_light' && this.lightPhase !== 'red') {
+        problems.push('Red-light detections must be captured during the red phase');
+    }
+
+    return problems;
+};
+
+// Violation type and fields for the challan this detection becomes
+detectionSchema.methods.toViolationData = function (device) {
+    if (this.detectionType === 'speed') {
+        return {
+            violationType: 'Speeding',
+            speedLimit: this.speedLimit,
+            actualSpeed: this.measuredSpeed,
+            radarReading: this.radarReading || `${device.deviceId}: ${this.measuredSpeed} km/h`
+        };
+    }
+
+    return {
+        violationType: 'Red Light',
+        cameraId: device.deviceId,
+        intersectionId: device.intersectionId,
+        timeAfterRed: this.timeAfterRed
+    };
+};
+
+detectionSchema.methods.isReviewable = function () {
+    return REVIEWABLE_STATUSES.includes(this.status);
+};
+
+// Earlier detection of the same plate and offence within the window, if any
+detectionSchema.statics.findDuplicate = function (detection, windowMs) {
+    const time = new Date(detection.detectedAt).getTime();
+    return this.findOne({
+        _id: { $ne: detection._id },
+        plate: detection.plate,
+        detectionType: detection.detectionType,
+        status: { $ne: 'duplicate' },
+        detectedAt: { $gte: new Date(time - windowMs), $lte: new Date(time + windowMs) }
+    }).sort({ detectedAt: 1 });
+};
+
+detectionSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    if (obj.image) {
+        obj.hasImage = Boolean(obj.image.storageKey);
+        obj.image = { mimeType: obj.image.mimeType, size: obj.image.size, sha256: obj.image.sha256 };
+    }
+    return obj;
+};
+
+detectionSchema.statics.TYPES = DETECTION_TYPES;
+detectionSchema.statics.STATUSES = DETECTION_STATUSES;
+detectionSchema.statics.REVIEWABLE_STATUSES = REVIEWABLE_STATUSES;
+
+module.exports = mongoose.model('Detection', detectionSchema);
@@ -0,0 +1,156 @@
+/**
+ * Device Model
+ * Registered enforcement devices (ANPR, speed and red-light cameras, radar units)
+ * allowed to submit detections. Only a hash of each device's API key is stored.
+ * Calibration certificates are kept as a history so a reading can be checked against
+ * the certificate that was in force when it was taken.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const DEVICE_TYPES = ['anpr_camera', 'speed_camera', 'red_light_camera', 'radar_unit'];
+
+// Detection types each kind of device is able to measure
+const DEVICE_DETECTION_TYPES = {
+    anpr_camera: ['speed', 'red_light'],
+    speed_camera: ['speed'],
+    radar_unit: ['speed'],
+    red_light_camera: ['red_light']
+};
+
+const CALIBRATION_STATUSES = ['valid', 'expired', 'uncalibrated'];
+
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+
+const calibrationSchema = new mongoose.Schema({
+    certificateNumber: { type: String, required: true, trim: true },
+    issuedBy: { type: String },
+    calibratedAt: { type: Date, required: true },
+    expiresAt: { type: Date, required: true },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recordedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const deviceSchema = new mongoose.Schema({
+    // Identifier the device sends with every request, e.g. "CAM-0042"
+    deviceId: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    name: { type: String },
+    type: { type: String, enum: DEVICE_TYPES, required: true },
+    location: { type: String, required: true },
+    intersectionId: { type: String },
+    apiKeyHash: { type: String, required: true },
+    apiKeyRotatedAt: { type: Date },
+    // Oldest first; the last entry is the current certificate
+    calibrations: [calibrationSchema],
+    isActive: { type: Boolean, default: true },
+    lastSeenAt: { type: Date },
+    registeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+deviceSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+deviceSchema.statics.hashApiKey = hashApiKey;
+
+deviceSchema.statics.generateApiKey = function () {
+    return 'dk_' + crypto.randomBytes(24).toString('hex');
+};
+
+// Replace the device's API key and return the new plain key (it is only shown once)
+deviceSchema.methods.issueApiKey = function () {
+    const apiKey = this.constructor.generateApiKey();
+    this.apiKeyHash = hashApiKey(apiKey);
+    if (!this.isNew) {
+        this.apiKeyRotatedAt = new Date();
+    }
+    return apiKey;
+};
+
+deviceSchema.methods.verifyApiKey = function (apiKey) {
+    if (!apiKey || !this.apiKeyHash) {
+        return false;
+    }
+    const expected = Buffer.from(this.apiKeyHash, 'hex');
+    const actual = Buffer.from(hashApiKey(apiKey), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+deviceSchema.methods.canReport = function (detectionType) {
+    return (DEVICE_DETECTION_TYPES[this.type] || []).includes(detectionType);
+};
+
+// Add a new calibration certificate; certificates must be recorded in date order
+deviceSchema.methods.recordCalibration = function ({ certificateNumber, issuedBy, calibratedAt, expiresAt }, recordedBy) {
+    const from = new Date(calibratedAt);
+    const to = new Date(expiresAt);
+
+    if (!certificateNumber) {
+        throw new Error('Calibration certificate number is required');
+    }
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+        throw new Error('Calibration and expiry dates are required');
+    }
+    if (to <= from) {
+        throw new Error('Calibration expiry must be after the calibration date');
+    }
+
+    const latest = this.calibrations[this.calibrations.length - 1];
+    if (latest && from < latest.calibratedAt) {
+        throw new Error('Calibration date is earlier than the current certificate');
+    }
+
+    this.calibrations.push({ certificateNumber, issuedBy, calibratedAt: from, expiresAt: to, recordedBy });
+    return this.calibrations[this.calibrations.length - 1];
+};
+
+// Certificate the device was working under at the given time (the latest issued before it)
+deviceSchema.methods.getCalibrationAt = function (date = new Date()) {
+    const at = new Date(date);
+    return this.calibrations
+        .filter(calibration => calibration.calibratedAt <= at)
+        .sort((a, b) => b.calibratedAt - a.calibratedAt)[0] || null;
+};
+
+deviceSchema.methods.getCalibrationState = function (date = new Date()) {
+    const calibration = this.getCalibrationAt(date);
+    if (!calibration) {
+        return { status: 'uncalibrated' };
+    }
+
+    return {
+        status: new Date(date) <= calibration.expiresAt ? 'valid' : 'expired',
+        certificateNumber: calibration.certificateNumber,
+        calibratedAt: calibration.calibratedAt,
+        expiresAt: calibration.expiresAt
+    };
+};
+
+// What a violation needs to know about the device that took a reading at the given time
+deviceSchema.methods.toReadingSnapshot = function (date = new Date()) {
+    return {
+        id: this._id,
+        deviceId: this.deviceId,
+        type: this.type,
+        calibration: this.getCalibrationState(date)
+    };
+};
+
+deviceSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    delete obj.apiKeyHash;
+    obj.calibrationState = this.getCalibrationState();
+    return obj;
+};
+
+deviceSchema.statics.TYPES = DEVICE_TYPES;
+deviceSchema.statics.CALIBRATION_STATUSES = CALIBRATION_STATUSES;
+
+module.exports = mongoose.model('Device', deviceSchema);
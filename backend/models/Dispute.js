@@ -0,0 +1,125 @@
+/**
+ * Dispute Model
+ * Stores a citizen's dispute against a challan, its evidence and the reviewer's decision
+ */
+
+const mongoose = require('mongoose');
+
+const DISPUTE_OUTCOMES = ['upheld', 'fine_reduced', 'rejected'];
+
+const evidenceSchema = new mongoose.Schema({
+    url: { type: String, required: true },
+    fileName: { type: String },
+    mimeType: { type: String },
+    description: { type: String },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now }
+});
+
+const disputeSchema = new mongoose.Schema({
+    challanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Challan', required: true, index: true },
+    citizenId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: { type: String, required: true },
+    // Offence line items being disputed; empty means the whole challan
+    offenceItemNumbers: [{ type: Number }],
+    evidence: [evidenceSchema],
+    status: {
+        type: String,
+        enum: ['open', 'under_review', 'resolved'],
+        default: 'open'
+    },
+    originalFineAmount: { type: Number, required: true },
+
+    // Reviewer assignment (officer holding the approve_disputes permission)
+    reviewerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    assignedAt: { type: Date },
+
+    // Reviewer decision
+    decision: {
+        outcome: { type: String, enum: DISPUTE_OUTCOMES },
+        revisedFineAmount: { type: Number },
+        notes: { type: String },
+        decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        decidedAt: { type: Date }
+    },
+
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+disputeSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+disputeSchema.methods.isOpen = function () {
+    return this.status !== 'resolved';
+};
+
+disputeSchema.methods.isPartial = function () {
+    return Boolean(this.offenceItemNumbers && this.offenceItemNumbers.length > 0);
+};
+
+/**
+ * Record the reviewer's decision and return the changes to apply to the challan.
+ * upheld       - the citizen's dispute is accepted, the challan is cancelled, or only the
+ *                disputed offences are withdrawn when the dispute covers some of them
+ * fine_reduced - the challan goes back to pending with the revised fine
+ * rejected     - the challan goes back to pending with the original fine
+ */
+disputeSchema.methods.resolve = function (decisionData, reviewerId) {
+    const { outcome, revisedFineAmount, notes } = decisionData;
+
+    if (!this.isOpen()) {
+        throw new Error('Dispute has already been resolved');
+    }
+    if (!DISPUTE_OUTCOMES.includes(outcome)) {
+        throw new Error(`Invalid dispute outcome: ${outcome}`);
+    }
+
+    let challanUpdate;
+
+    switch (outcome) {
+        case 'upheld':
+            challanUpdate = this.isPartial()
+                ? { status: 'pending', withdrawOffenceItems: [...this.offenceItemNumbers] }
+                : { status: 'cancelled', fineAmount: this.originalFineAmount };
+            break;
+        case 'fine_reduced': {
+            const revisedFine = Number(revisedFineAmount);
+            if (!Number.isFinite(revisedFine) || revisedFine <= 0 || revisedFine >= this.originalFineAmount) {
+                throw new Error('Revised fine must be greater than 0 and less than the original fine');
+            }
+            challanUpdate = { status: 'pending', fineAmount: revisedFine };
+            break;
+        }
+        case 'rejected':
+            // The fine stands as it was, with any late penalties it had accrued
+            challanUpdate = { status: 'pending' };
+            break;
+    }
+
+    this.status = 'resolved';
+    this.decision = {
+        outcome,
+        revisedFineAmount: outcome === 'fine_reduced' ? challanUpdate.fineAmount : undefined,
+        notes,
+        decidedBy: reviewerId,
+        decidedAt: new Date()
+    };
+
+    return challanUpdate;
+};
+
+disputeSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    return obj;
+};
+
+disputeSchema.statics.OUTCOMES = DISPUTE_OUTCOMES;
+
+module.exports = mongoose.model('Dispute', disputeSchema);
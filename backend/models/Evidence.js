@@ -0,0 +1,84 @@
+/**
+ * Evidence Model
+ * Metadata for an uploaded evidence file (photo, video clip or radar printout).
+ * The bytes live in evidence storage; the SHA-256 recorded at upload proves they are unchanged.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const EVIDENCE_KINDS = ['photo', 'video', 'radar_printout'];
+
+// Accepted upload types and the kind of evidence each one is by default
+const MIME_TYPE_KINDS = {
+    'image/jpeg': 'photo',
+    'image/png': 'photo',
+    'image/webp': 'photo',
+    'video/mp4': 'video',
+    'video/quicktime': 'video',
+    'video/webm': 'video',
+    'application/pdf': 'radar_printout'
+};
+
+const hashBuffer = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const evidenceSchema = new mongoose.Schema({
+    challanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Challan', required: true, index: true },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    kind: { type: String, enum: EVIDENCE_KINDS, required: true },
+    originalName: { type: String },
+    mimeType: { type: String, enum: Object.keys(MIME_TYPE_KINDS), required: true },
+    size: { type: Number, required: true },
+    sha256: { type: String, required: true, match: /^[a-f0-9]{64}$/ },
+    storageAdapter: { type: String, required: true },
+    storageKey: { type: String, required: true, unique: true },
+    thumbnailKey: { type: String },
+    description: { type: String },
+    capturedAt: { type: Date },
+    // Set when the file is a camera image attached on approval of a detection
+    detectionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Detection' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Evidence is immutable once stored; a correction is a new upload
+evidenceSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error('Evidence records cannot be modified'));
+    }
+    next();
+});
+
+// Kind for an upload: photos can also be radar printouts, other types keep their default kind
+evidenceSchema.statics.resolveKind = function (mimeType, requestedKind) {
+    const defaultKind = MIME_TYPE_KINDS[mimeType];
+    if (!defaultKind) {
+        throw new Error(`Unsupported evidence file type: ${mimeType}`);
+    }
+    if (requestedKind === 'radar_printout' && defaultKind === 'photo') {
+        return requestedKind;
+    }
+    return defaultKind;
+};
+
+evidenceSchema.statics.hashBuffer = hashBuffer;
+
+evidenceSchema.methods.verifyIntegrity = function (buffer) {
+    return hashBuffer(buffer) === this.sha256;
+};
+
+evidenceSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    obj.hasThumbnail = Boolean(obj.thumbnailKey);
+    delete obj._id;
+    delete obj.__v;
+    // Storage locations are internal; files are served through the evidence endpoints
+    delete obj.storageKey;
+    delete obj.thumbnailKey;
+    return obj;
+};
+
+evidenceSchema.statics.KINDS = EVIDENCE_KINDS;
+evidenceSchema.statics.MIME_TYPES = Object.keys(MIME_TYPE_KINDS);
+
+module.exports = mongoose.model('Evidence', evidenceSchema);
@@ -0,0 +1,91 @@
+/**
+ * Fine Schedule Model
+ * Versioned fine rates with the date they come into force.
+ * A schedule is frozen once in force so challans priced from it stay reproducible.
+ */
+
+const mongoose = require('mongoose');
+const { violationTypeRegistry } = require('../patterns/ViolationRegistry');
+
+const fineRateSchema = new mongoose.Schema({
+    violationType: { type: String, required: true },
+    baseFine: { type: Number, required: true, min: 0 },
+    maxFine: { type: Number, min: 0 },
+    description: { type: String },
+    parameters: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { _id: false, minimize: false });
+
+// Every violation type must be priced exactly once, with a cap no lower than the base fine
+function validateRates(rates = []) {
+    const problems = [];
+    const requiredTypes = violationTypeRegistry.getTypeNames();
+    const seen = new Set();
+
+    rates.forEach(rate => {
+        if (!requiredTypes.includes(rate.violationType)) {
+            problems.push(`Unknown violation type '${rate.violationType}'`);
+        }
+        if (seen.has(rate.violationType)) {
+            problems.push(`Duplicate rate for '${rate.violationType}'`);
+        }
+        seen.add(rate.violationType);
+
+        if (rate.maxFine !== undefined && rate.maxFine !== null && rate.maxFine < rate.baseFine) {
+            problems.push(`maxFine for '${rate.violationType}' is lower than its baseFine`);
+        }
+    });
+
+    requiredTypes
+        .filter(type => !seen.has(type))
+        .forEach(type => problems.push(`Missing rate for '${type}'`));
+
+    return problems;
+}
+
+const fineScheduleSchema = new mongoose.Schema({
+    version: { type: Number, required: true, unique: true, min: 1 },
+    name: { type: String, required: true },
+    effectiveFrom: { type: Date, required: true, index: true },
+    rates: {
+        type: [fineRateSchema],
+        validate: {
+            validator: rates => validateRates(rates).length === 0,
+            message: props => validateRates(props.value).join('; ')
+        }
+    },
+    notes: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+fineScheduleSchema.statics.validateRates = validateRates;
+
+fineScheduleSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Latest schedule whose effectiveFrom is on or before the given time
+fineScheduleSchema.statics.findInForceAt = function (date = new Date()) {
+    return this.findOne({ effectiveFrom: { $lte: date } }).sort({ effectiveFrom: -1, version: -1 });
+};
+
+fineScheduleSchema.statics.getNextVersion = async function () {
+    const latest = await this.findOne().sort({ version: -1 }).select('version');
+    return latest ? latest.version + 1 : 1;
+};
+
+fineScheduleSchema.methods.isInForce = function (asOf = new Date()) {
+    return this.effectiveFrom <= asOf;
+};
+
+fineScheduleSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    return obj;
+};
+
+module.exports = mongoose.model('FineSchedule', fineScheduleSchema);
@@ -0,0 +1,51 @@
+/**
+ * IdempotencyKey Model
+ * Remembers the outcome of a request sent with an Idempotency-Key header, so a retried or
+ * double-submitted payment gets the original response instead of being charged again.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// JSON with object keys sorted, so the same body always hashes the same way
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+const idempotencyKeySchema = new mongoose.Schema({
+    key: { type: String, required: true, maxlength: 255 },
+    // Who sent it ('user:<id>' or 'lookup:<vehicle id>'); keys from different callers never collide
+    owner: { type: String, required: true },
+    endpoint: { type: String, required: true },
+    // Hash of the request, so reusing a key for a different request is refused rather than replayed
+    fingerprint: { type: String, required: true },
+    status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+    responseStatus: { type: Number },
+    responseBody: { type: mongoose.Schema.Types.Mixed },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+});
+
+idempotencyKeySchema.index({ owner: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+idempotencyKeySchema.statics.fingerprintRequest = function ({ method, path, body }) {
+    return crypto.createHash('sha256')
+        .update(`${method.toUpperCase()} ${path}\n${canonicalJson(body || {})}`)
+        .digest('hex');
+};
+
+idempotencyKeySchema.methods.matchesRequest = function (endpoint, fingerprint) {
+    return this.endpoint === endpoint && this.fingerprint === fingerprint;
+};
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
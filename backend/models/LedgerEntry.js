@@ -0,0 +1,84 @@
+/**
+ * Ledger Entry Model
+ * Append-only double-entry journal for fines and payments. Every entry is a set of lines whose debits
+ * equal its credits. Entries are never changed or removed; a correction is a new entry. Each entry is
+ * tagged with the challan and citizen it concerns, so balances can be read per challan and per citizen.
+ */
+
+const mongoose = require('mongoose');
+
+// Chart of accounts; assets, expenses and contra-revenue accounts normally carry a debit balance
+const ACCOUNTS = {
+    fines_receivable: { name: 'Fines receivable', type: 'asset' },
+    gateway_clearing: { name: 'Gateway and bank clearing', type: 'asset' },
+    cash_on_hand: { name: 'Cash on hand', type: 'asset' },
+    fine_revenue: { name: 'Fine revenue', type: 'revenue' },
+    penalty_revenue: { name: 'Late penalty revenue', type: 'revenue' },
+    fee_income: { name: 'Processing fees charged to payers', type: 'revenue' },
+    fine_waivers: { name: 'Fines waived', type: 'contra_revenue' },
+    penalty_waivers: { name: 'Penalties waived', type: 'contra_revenue' },
+    refunds: { name: 'Refunds', type: 'contra_revenue' },
+    gateway_fees: { name: 'Gateway fees', type: 'expense' }
+};
+
+const ENTRY_TYPES = ['fine_assessed', 'penalty_assessed', 'waiver', 'payment', 'gateway_fee', 'refund'];
+
+const APPEND_ONLY = 'Ledger entries are append-only; post a correcting entry instead';
+
+const toCents = amount => Math.round((amount || 0) * 100);
+
+const lineSchema = new mongoose.Schema({
+    account: { type: String, enum: Object.keys(ACCOUNTS), required: true },
+    debit: { type: Number, default: 0, min: 0 },
+    credit: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+    type: { type: String, enum: ENTRY_TYPES, required: true },
+    description: { type: String, required: true },
+    lines: {
+        type: [lineSchema],
+        validate: [
+            {
+                validator: lines => lines.length >= 2
+                    && lines.every(line => (toCents(line.debit) > 0) !== (toCents(line.credit) > 0)),
+                message: 'A ledger entry needs at least two lines, each a debit or a credit'
+            },
+            {
+                validator: lines => lines.reduce((sum, line) => sum + toCents(line.debit) - toCents(line.credit), 0) === 0,
+                message: 'Ledger entry debits must equal its credits'
+            }
+        ]
+    },
+    challanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Challan', index: true },
+    citizenId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    refundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' },
+    gateway: { type: String },
+    // What the entry was posted for; posting the same thing twice is refused by this key
+    sourceKey: { type: String, required: true, unique: true },
+    postedAt: { type: Date, default: Date.now, index: true }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+ledgerEntrySchema.pre('save', function (next) {
+    next(this.isNew ? undefined : new Error(APPEND_ONLY));
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']
+    .forEach(operation => {
+        ledgerEntrySchema.pre(operation, { document: false, query: true }, function (next) {
+            next(new Error(APPEND_ONLY));
+        });
+    });
+
+ledgerEntrySchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    return obj;
+};
+
+module.exports.LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+module.exports.ACCOUNTS = ACCOUNTS;
+module.exports.ENTRY_TYPES = ENTRY_TYPES;
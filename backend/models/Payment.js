@@ -1,71 +1,234 @@
-/**
- * Payment Model
- * Stores payment transaction records separately from challans
- */
-
-const mongoose = require('mongoose');
-
-
-const paymentSchema = new mongoose.Schema({
-    transactionId: { type: String, required: true, unique: true },
-    challanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Challan', required: true },
-    citizenId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    amount: { type: Number, required: true },
-    fee: { type: Number, default: 0 },
-    totalAmount: { type: Number, required: true },
-    paymentMethod: {
-        type: String,
-        enum: ['credit_card', 'debit_card', 'upi', 'net_banking', 'cash'],
-        required: true
-    },
-    gateway: { type: String },
-    gatewayTransactionId: { type: String },
-    status: {
-        type: String,
-        enum: ['pending', 'completed', 'failed', 'refunded'],
-        default: 'pending'
-    },
-    paymentDate: { type: Date, default: Date.now },
-    refundDate: { type: Date },
-    refundAmount: { type: Number },
-
-    // Payment details (encrypted in real implementation)
-    paymentDetails: {
-        cardLast4: { type: String },
-        cardType: { type: String },
-        upiId: { type: String },
-        bankName: { type: String }
-    },
-
-    createdAt: { type: Date, default: Date.now },
-    updatedAt: { type: Date, default: Date.now }
-});
-
-paymentSchema.pre('save', function (next) {
-    this.updatedAt = Date.now();
-    next();
-});
-
-// Calculate total amount including fees
-paymentSchema.pre('save', function (next) {
-    if (this.isModified('amount') || this.isModified('fee')) {
-        this.totalAmount = this.amount + this.fee;
-    }
-    next();
-});
-
-paymentSchema.methods.toJSON = function () {
-    const obj = this.toObject();
-    obj.id = obj._id;
-    delete obj._id;
-    delete obj.__v;
-    // Don't expose sensitive payment details in JSON
-    if (obj.paymentDetails) {
-        delete obj.paymentDetails.cardNumber;
-        delete obj.paymentDetails.cvv;
-        delete obj.paymentDetails.pin;
-    }
-    return obj;
-};
-
-module.exports.Payment = mongoose.model('Payment', paymentSchema);
+/**
+ * Payment Model
+ * Stores payment transaction records separately from challans
+ */
+
+const mongoose = require('mongoose');
+
+// Share of the payment applied to one offence line item on the challan
+const allocationSchema = new mongoose.Schema({
+    itemNumber: { type: Number, required: true },
+    violationType: { type: String },
+    amount: { type: Number, required: true }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+    transactionId: { type: String, required: true, unique: true },
+    challanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Challan', required: true },
+    paymentPlanId: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentPlan' },
+    // Checkout this payment was made through; one intent can pay several challans with one charge
+    paymentIntentId: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentIntent' },
+    installmentNumber: { type: Number },
+    // Guest payments come through the public lookup and are linked to the challan only
+    payerType: { type: String, enum: ['citizen', 'guest'], default: 'citizen' },
+    citizenId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function () { return this.payerType !== 'guest'; }
+    },
+    guestContact: {
+        name: { type: String },
+        email: { type: String },
+        phone: { type: String }
+    },
+    amount: { type: Number, required: true },
+    penaltyAmount: { type: Number, default: 0 }, // late-payment penalty included in amount
+    allocations: [allocationSchema],
+    fee: { type: Number, default: 0 },
+    totalAmount: { type: Number, required: true },
+    paymentMethod: {
+        type: String,
+        enum: ['credit_card', 'debit_card', 'upi', 'net_banking', 'cash'],
+        required: true
+    },
+    gateway: { type: String },
+    gatewayTransactionId: { type: String },
+    status: {
+        type: String,
+        enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded', 'disputed'],
+        default: 'pending'
+    },
+    paymentDate: { type: Date, default: Date.now },
+    refundDate: { type: Date }, // date of the latest refund
+    refundAmount: { type: Number }, // total refunded so far; each part is in the Refund ledger
+    failureReason: { type: String },
+    // Settled after the challan was already paid another way, so it was never counted on the challan and is refunded
+    duplicate: { type: Boolean, default: false },
+    // Chargeback raised by the payer's bank, reported through the gateway webhook
+    dispute: {
+        gatewayDisputeId: { type: String },
+        reason: { type: String },
+        amount: { type: Number },
+        openedAt: { type: Date },
+        closedAt: { type: Date },
+        outcome: { type: String, enum: ['won', 'lost'] }
+    },
+
+    // Payment details (encrypted in real implementation)
+    paymentDetails: {
+        cardLast4: { type: String },
+        cardType: { type: String },
+        upiId: { type: String },
+        bankName: { type: String }
+    },
+
+    // Cash taken by an officer at the roadside or a clerk at a counter, against a numbered paper receipt
+    cashCollection: {
+        receiptNumber: { type: String },
+        collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        location: { type: String },
+        amountTendered: { type: Number },
+        changeGiven: { type: Number },
+        cashUpId: { type: mongoose.Schema.Types.ObjectId, ref: 'CashUp' }
+    },
+
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// A paper receipt number can only be used once
+paymentSchema.index(
+    { 'cashCollection.receiptNumber': 1 },
+    { unique: true, partialFilterExpression: { 'cashCollection.receiptNumber': { $type: 'string' } } }
+);
+
+paymentSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// Calculate total amount including fees
+paymentSchema.pre('save', function (next) {
+    if (this.isModified('amount') || this.isModified('fee')) {
+        this.totalAmount = this.amount + this.fee;
+    }
+    next();
+});
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+// Payments that took the payer's money, whatever has been refunded since
+const CAPTURED_STATUSES = ['completed', 'partially_refunded', 'refunded', 'disputed'];
+
+// What can still be returned to the payer: the amount paid against the challan less what was already
+// refunded. The processing fee is kept.
+paymentSchema.methods.getRefundableAmount = function () {
+    return roundAmount(this.amount - (this.refundAmount || 0));
+};
+
+// Record part or all of the captured amount as refunded. Returns true once nothing is left to refund.
+paymentSchema.methods.recordRefund = function (amount, refundedAt = new Date()) {
+    if (!(amount > 0) || roundAmount(amount) > this.getRefundableAmount()) {
+        throw new Error(`Refund amount must be between 0 and the refundable balance of ${this.getRefundableAmount()}`);
+    }
+
+    this.refundAmount = roundAmount((this.refundAmount || 0) + amount);
+    this.refundDate = refundedAt;
+    this.status = this.getRefundableAmount() === 0 ? 'refunded' : 'partially_refunded';
+    return this.status === 'refunded';
+};
+
+/**
+ * Whether all the money a challan's payments captured has gone back to the payers. A challan paid in
+ * installments, or partly and then in full, is only refunded once every one of its payments is.
+ * A lost chargeback returns the payment even when the gateway took back less than it. Duplicate
+ * payments never paid the challan, so they are left out.
+ */
+paymentSchema.statics.isChallanRefunded = function (payments) {
+    const captured = payments.filter(payment => CAPTURED_STATUSES.includes(payment.status) && !payment.duplicate);
+    const total = roundAmount(captured.reduce((sum, payment) => sum + payment.amount, 0));
+    const returned = roundAmount(captured.reduce((sum, payment) =>
+        sum + (payment.status === 'refunded' ? payment.amount : (payment.refundAmount || 0)), 0));
+    return captured.length > 0 && returned >= total;
+};
+
+/**
+ * Apply a confirmed gateway webhook event (see services/paymentWebhooks) to this payment.
+ * Returns the outcome and what the challan needs as a result: 'paid', 'refunded' or null.
+ * Events that do not fit the current status (late or repeated deliveries) change nothing.
+ */
+paymentSchema.methods.applyGatewayEvent = function (event) {
+    const ignored = { outcome: 'ignored', challanAction: null };
+    const occurredAt = event.occurredAt || new Date();
+
+    switch (event.type) {
+        case 'payment.succeeded':
+            if (this.status !== 'pending') {
+                return ignored;
+            }
+            this.status = 'completed';
+            this.paymentDate = occurredAt;
+            return { outcome: 'completed', challanAction: 'paid' };
+
+        case 'payment.failed':
+            if (this.status !== 'pending') {
+                return ignored;
+            }
+            this.status = 'failed';
+            this.failureReason = event.reason || 'Declined by the gateway';
+            return { outcome: 'failed', challanAction: null };
+
+        case 'payment.refunded': {
+            // The event carries the total refunded on the charge so far; only an increase is new
+            if (!['completed', 'partially_refunded', 'disputed'].includes(this.status)) {
+                return ignored;
+            }
+            const refundedTotal = Math.min(event.amount !== undefined ? event.amount : this.amount, this.amount);
+            const refunded = roundAmount(refundedTotal - (this.refundAmount || 0));
+            if (refunded <= 0) {
+                return ignored;
+            }
+            const full = this.recordRefund(refunded, occurredAt);
+            return { outcome: full ? 'refunded' : 'partially_refunded', challanAction: full ? 'refunded' : null };
+        }
+
+        case 'dispute.opened':
+            if (this.status !== 'completed') {
+                return ignored;
+            }
+            this.status = 'disputed';
+            this.dispute = {
+                gatewayDisputeId: event.disputeId,
+                reason: event.reason,
+                amount: event.amount !== undefined ? event.amount : this.amount,
+                openedAt: occurredAt
+            };
+            return { outcome: 'disputed', challanAction: null };
+
+        case 'dispute.won':
+        case 'dispute.lost':
+            if (this.status !== 'disputed') {
+                return ignored;
+            }
+            this.dispute.closedAt = occurredAt;
+            this.dispute.outcome = event.type === 'dispute.won' ? 'won' : 'lost';
+            if (event.type === 'dispute.won') {
+                this.status = 'completed';
+                return { outcome: 'dispute_won', challanAction: null };
+            }
+            // A lost chargeback returns the money to the payer, so it is recorded as a refund
+            this.status = 'refunded';
+            this.refundDate = occurredAt;
+            this.refundAmount = this.dispute.amount;
+            return { outcome: 'dispute_lost', challanAction: 'refunded' };
+
+        default:
+            throw new Error(`Unsupported gateway event: ${event.type}`);
+    }
+};
+
+paymentSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    // Don't expose sensitive payment details in JSON
+    if (obj.paymentDetails) {
+        delete obj.paymentDetails.cardNumber;
+        delete obj.paymentDetails.cvv;
+        delete obj.paymentDetails.pin;
+    }
+    return obj;
+};
+
+module.exports.Payment = mongoose.model('Payment', paymentSchema);
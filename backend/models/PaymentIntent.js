@@ -0,0 +1,98 @@
+/**
+ * Payment Intent Model
+ * Two-phase checkout: the intent locks the amount due on one or more challans until it expires, and is
+ * then confirmed with a tokenised payment method. The outcome is read back by polling the intent.
+ */
+
+const mongoose = require('mongoose');
+
+const intentItemSchema = new mongoose.Schema({
+    challanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Challan', required: true },
+    challanNumber: { type: String },
+    amount: { type: Number, required: true },
+    penaltyAmount: { type: Number, default: 0 }
+}, { _id: false });
+
+const paymentIntentSchema = new mongoose.Schema({
+    citizenId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    items: {
+        type: [intentItemSchema],
+        validate: [items => items.length > 0, 'A payment intent needs at least one challan']
+    },
+    amount: { type: Number, required: true }, // locked total before the payment method's fee
+    currency: { type: String, default: 'usd' },
+    status: {
+        type: String,
+        enum: ['requires_payment_method', 'requires_action', 'processing', 'succeeded', 'failed', 'canceled', 'expired'],
+        default: 'requires_payment_method'
+    },
+    expiresAt: { type: Date, required: true },
+
+    // Set on confirmation; only what can be shown back to the payer
+    paymentMethod: {
+        type: { type: String, enum: ['credit_card', 'debit_card', 'upi', 'net_banking'] },
+        brand: { type: String },
+        last4: { type: String },
+        upiId: { type: String },
+        bankName: { type: String }
+    },
+    fee: { type: Number },
+    totalAmount: { type: Number },
+    transactionId: { type: String },
+    gatewayTransactionId: { type: String },
+    paymentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }],
+    // Where the payer must go to finish (net banking)
+    nextAction: {
+        redirectUrl: { type: String },
+        expiresAt: { type: Date }
+    },
+    lastError: { type: String },
+    // Set when the charge went through but could not be recorded against every challan
+    rollback: {
+        reason: { type: String },
+        refundId: { type: String },
+        refundedAmount: { type: Number },
+        problems: [{ type: String }],
+        rolledBackAt: { type: Date }
+    },
+    confirmedAt: { type: Date },
+    completedAt: { type: Date }
+}, { timestamps: true });
+
+paymentIntentSchema.methods.isExpired = function (now = new Date()) {
+    return this.status === 'requires_payment_method' && this.expiresAt <= now;
+};
+
+/**
+ * Follow the payments made for the intent once they settle later (gateway webhook, bank callback,
+ * expired bank session). Returns true when the intent's status changed.
+ */
+paymentIntentSchema.methods.syncWithPayments = function (payments) {
+    if (!['processing', 'requires_action'].includes(this.status) || payments.length === 0) {
+        return false;
+    }
+
+    const failed = payments.find(payment => payment.status === 'failed');
+    if (failed) {
+        this.status = 'failed';
+        this.lastError = failed.failureReason;
+    } else if (payments.every(payment => payment.status !== 'pending')) {
+        this.status = 'succeeded';
+    } else {
+        return false;
+    }
+
+    this.nextAction = undefined;
+    this.completedAt = new Date();
+    return true;
+};
+
+paymentIntentSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    return obj;
+};
+
+module.exports.PaymentIntent = mongoose.model('PaymentIntent', paymentIntentSchema);
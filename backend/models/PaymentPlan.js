@@ -0,0 +1,136 @@
+/**
+ * Payment Plan Model
+ * Installment schedule for paying a large fine over time
+ */
+
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const installmentSchema = new mongoose.Schema({
+    number: { type: Number, required: true },
+    amount: { type: Number, required: true },
+    dueDate: { type: Date, required: true },
+    status: {
+        type: String,
+        enum: ['pending', 'paid', 'missed'],
+        default: 'pending'
+    },
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    paidAt: { type: Date }
+}, { _id: false });
+
+const paymentPlanSchema = new mongoose.Schema({
+    challanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Challan', required: true, index: true },
+    citizenId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    numberOfInstallments: { type: Number, required: true, min: 2 },
+    intervalDays: { type: Number, required: true, min: 1 },
+    totalAmount: { type: Number },
+    status: {
+        type: String,
+        enum: ['requested', 'active', 'completed', 'rejected', 'voided'],
+        default: 'requested'
+    },
+    installments: [installmentSchema],
+
+    // Approval
+    requestReason: { type: String },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    rejectionReason: { type: String },
+
+    // Voiding after a missed installment
+    voidedAt: { type: Date },
+    voidReason: { type: String },
+
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+paymentPlanSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+/**
+ * Split the total into equal installments (the last one absorbs rounding)
+ * with the first installment due one interval after the start date.
+ */
+paymentPlanSchema.methods.generateSchedule = function (totalAmount, startDate = new Date()) {
+    const count = this.numberOfInstallments;
+    const baseAmount = Math.floor((totalAmount / count) * 100) / 100;
+    const start = new Date(startDate).getTime();
+
+    this.totalAmount = totalAmount;
+    this.installments = [];
+
+    for (let i = 1; i <= count; i++) {
+        const amount = i === count
+            ? Math.round((totalAmount - baseAmount * (count - 1)) * 100) / 100
+            : baseAmount;
+
+        this.installments.push({
+            number: i,
+            amount,
+            dueDate: new Date(start + i * this.intervalDays * DAY_MS)
+        });
+    }
+
+    return this.installments;
+};
+
+paymentPlanSchema.methods.getNextInstallment = function () {
+    return this.installments.find(installment => installment.status === 'pending');
+};
+
+paymentPlanSchema.methods.getAmountPaid = function () {
+    return this.installments
+        .filter(installment => installment.status === 'paid')
+        .reduce((sum, installment) => sum + installment.amount, 0);
+};
+
+// Mark an installment paid; returns true when it was the last one
+paymentPlanSchema.methods.recordInstallmentPayment = function (installmentNumber, paymentId) {
+    const installment = this.installments.find(i => i.number === installmentNumber);
+    if (!installment || installment.status !== 'pending') {
+        throw new Error(`Installment ${installmentNumber} is not payable`);
+    }
+
+    installment.status = 'paid';
+    installment.paymentId = paymentId;
+    installment.paidAt = new Date();
+
+    if (!this.getNextInstallment()) {
+        this.status = 'completed';
+        return true;
+    }
+
+    return false;
+};
+
+// Installments whose due date plus grace period has passed without payment
+paymentPlanSchema.methods.findMissedInstallments = function (asOf = new Date(), graceDays = 0) {
+    const cutoff = new Date(asOf).getTime() - graceDays * DAY_MS;
+    return this.installments.filter(i => i.status === 'pending' && i.dueDate.getTime() < cutoff);
+};
+
+paymentPlanSchema.methods.voidPlan = function (reason, missedInstallments = []) {
+    missedInstallments.forEach(installment => {
+        installment.status = 'missed';
+    });
+
+    this.status = 'voided';
+    this.voidedAt = new Date();
+    this.voidReason = reason;
+    return this;
+};
+
+paymentPlanSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    return obj;
+};
+
+module.exports.PaymentPlan = mongoose.model('PaymentPlan', paymentPlanSchema);
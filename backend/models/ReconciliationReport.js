@@ -0,0 +1,109 @@
+/**
+ * Reconciliation Report Model
+ * One run of matching gateway settlements to Payment records (see services/settlementReconciliation).
+ * Each difference found is kept with the action it needs, and stays open until an admin resolves
+ * or dismisses it.
+ */
+
+const mongoose = require('mongoose');
+const { RESOLUTION_ACTIONS } = require('../services/settlementReconciliation');
+
+const discrepancySchema = new mongoose.Schema({
+    type: { type: String, enum: Object.keys(RESOLUTION_ACTIONS), required: true },
+    gateway: { type: String, required: true },
+    gatewayTransactionId: { type: String, required: true },
+    paymentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }],
+    expectedAmount: { type: Number },
+    reportedAmount: { type: Number },
+    difference: { type: Number },
+    ourStatus: { type: String },
+    gatewayStatus: { type: String },
+    source: { type: String }, // settlement file and line
+    note: { type: String },
+    action: { type: String, required: true },
+    actionDescription: { type: String },
+
+    status: { type: String, enum: ['open', 'resolved', 'dismissed'], default: 'open' },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: { type: Date },
+    resolutionNote: { type: String }
+});
+
+const reconciliationReportSchema = new mongoose.Schema({
+    source: { type: String, enum: ['files', 'gateway'], required: true },
+    gateways: [{ type: String }],
+    periodStart: { type: Date },
+    periodEnd: { type: Date },
+    files: [{
+        _id: false,
+        name: { type: String },
+        sha256: { type: String, index: true },
+        rows: { type: Number }
+    }],
+    // Settlement rows that could not be read are not reconciled; correct the file and import it again
+    parseErrors: [{
+        _id: false,
+        file: { type: String },
+        line: { type: Number },
+        message: { type: String }
+    }],
+    totals: {
+        settlements: { type: Number, default: 0 },
+        settledAmount: { type: Number, default: 0 },
+        payments: { type: Number, default: 0 },
+        matched: { type: Number, default: 0 },
+        discrepancies: { type: Number, default: 0 }
+    },
+    discrepancies: [discrepancySchema],
+    status: {
+        type: String,
+        enum: ['clean', 'needs_attention', 'resolved'],
+        default: 'clean',
+        index: true
+    },
+    runBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } // unset when run by the scheduled job
+}, { timestamps: true });
+
+// Clean when nothing was found, resolved once every difference has been dealt with
+reconciliationReportSchema.methods.refreshStatus = function () {
+    if (this.discrepancies.length === 0) {
+        this.status = 'clean';
+    } else {
+        this.status = this.discrepancies.some(discrepancy => discrepancy.status === 'open') ? 'needs_attention' : 'resolved';
+    }
+    return this.status;
+};
+
+reconciliationReportSchema.methods.resolveDiscrepancy = function (discrepancyId, { status, note }, userId) {
+    const discrepancy = this.discrepancies.id(discrepancyId);
+    if (!discrepancy) {
+        throw Object.assign(new Error('Discrepancy not found'), { statusCode: 404 });
+    }
+    if (discrepancy.status !== 'open') {
+        throw Object.assign(new Error(`Discrepancy is already ${discrepancy.status}`), { statusCode: 409 });
+    }
+    if (!['resolved', 'dismissed'].includes(status)) {
+        throw Object.assign(new Error("Status must be 'resolved' or 'dismissed'"), { statusCode: 400 });
+    }
+    if (!note || !String(note).trim()) {
+        throw Object.assign(new Error('Say what was done about the discrepancy'), { statusCode: 400 });
+    }
+
+    discrepancy.status = status;
+    discrepancy.resolutionNote = String(note).trim();
+    discrepancy.resolvedBy = userId;
+    discrepancy.resolvedAt = new Date();
+    this.refreshStatus();
+    return discrepancy;
+};
+
+reconciliationReportSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    obj.discrepancies = (obj.discrepancies || []).map(({ _id, ...discrepancy }) => ({ id: _id, ...discrepancy }));
+    return obj;
+};
+
+module.exports.ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
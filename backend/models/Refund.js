@@ -0,0 +1,50 @@
+/**
+ * Refund Model
+ * Ledger of money returned against a payment. A payment can be refunded in several parts, up to the
+ * amount paid against the challan. Refunds above the approval threshold wait for a second admin.
+ */
+
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment', required: true, index: true },
+    challanId: { type: mongoose.Schema.Types.ObjectId, ref: 'Challan' },
+    amount: {
+        type: Number,
+        required: true,
+        validate: [amount => amount > 0, 'Refund amount must be greater than zero']
+    },
+    reason: { type: String, required: true },
+    status: {
+        type: String,
+        enum: ['pending_approval', 'processed', 'rejected', 'failed'],
+        default: 'pending_approval',
+        index: true
+    },
+    // 'admin' refunds are requested here; 'gateway' refunds were made at the gateway and reported by webhook;
+    // 'duplicate' refunds return a charge that settled after the challan was already paid
+    source: { type: String, enum: ['admin', 'gateway', 'duplicate'], default: 'admin' },
+
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedAt: { type: Date },
+    rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rejectionReason: { type: String },
+
+    gateway: { type: String },
+    gatewayRefundId: { type: String },
+    failureReason: { type: String },
+    processedAt: { type: Date },
+    // This refund returned the last of the money paid on the challan, so the challan was marked refunded
+    fullRefund: { type: Boolean, default: false }
+}, { timestamps: true });
+
+refundSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    return obj;
+};
+
+module.exports.Refund = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,112 @@
+/**
+ * Vehicle Model
+ * Registry of vehicles with their current owner and full ownership history
+ */
+
+const mongoose = require('mongoose');
+
+const VEHICLE_TYPES = ['car', 'motorcycle', 'scooter', 'truck', 'bus', 'other'];
+
+// Registration numbers are stored uppercase without spaces or dashes ("abc-1234" -> "ABC1234")
+const normalizeRegistration = (registrationNumber) =>
+    String(registrationNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const ownershipSchema = new mongoose.Schema({
+    ownerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    from: { type: Date, required: true },
+    to: { type: Date, default: null },
+    transferReason: { type: String },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recordedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const vehicleSchema = new mongoose.Schema({
+    registrationNumber: { type: String, required: true, unique: true, set: normalizeRegistration },
+    vehicleType: { type: String, enum: VEHICLE_TYPES, required: true },
+    make: { type: String },
+    model: { type: String },
+    color: { type: String },
+    // Printed on the registration certificate; its last digits let an owner look up challans without an account
+    chassisNumber: { type: String, uppercase: true, trim: true },
+    currentOwnerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    ownershipHistory: [ownershipSchema],
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+vehicleSchema.statics.normalizeRegistration = normalizeRegistration;
+
+vehicleSchema.statics.findByRegistration = function (registrationNumber) {
+    return this.findOne({ registrationNumber: normalizeRegistration(registrationNumber) });
+};
+
+vehicleSchema.statics.VEHICLE_TYPES = VEHICLE_TYPES;
+
+// True when the given digits are the end of the chassis number (at least minDigits of them)
+vehicleSchema.methods.matchesChassisSuffix = function (suffix, minDigits = 4) {
+    const digits = String(suffix || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return Boolean(this.chassisNumber) && digits.length >= minDigits && this.chassisNumber.endsWith(digits);
+};
+
+vehicleSchema.pre('save', function (next) {
+    this.updatedAt = Date.now();
+
+    // Every vehicle starts with an open ownership period for its first owner
+    if (this.isNew && this.ownershipHistory.length === 0) {
+        this.ownershipHistory.push({
+            ownerId: this.currentOwnerId,
+            from: this.createdAt || new Date(),
+            transferReason: 'Initial registration'
+        });
+    }
+    next();
+});
+
+// Owner responsible for the vehicle at a given moment, or null if it was not registered yet
+vehicleSchema.methods.getOwnerAt = function (date = new Date()) {
+    const time = new Date(date).getTime();
+    const period = this.ownershipHistory.find(entry =>
+        entry.from.getTime() <= time && (!entry.to || time < entry.to.getTime())
+    );
+    return period ? period.ownerId : null;
+};
+
+/**
+ * Close the current ownership period and open a new one for the new owner.
+ * The vehicle still has to be saved by the caller.
+ */
+vehicleSchema.methods.transferOwnership = function (newOwnerId, { effectiveDate = new Date(), reason, recordedBy } = {}) {
+    if (this.currentOwnerId && this.currentOwnerId.toString() === newOwnerId.toString()) {
+        throw new Error('Vehicle is already owned by this citizen');
+    }
+
+    const effective = new Date(effectiveDate);
+    const currentPeriod = this.ownershipHistory.find(entry => !entry.to);
+    if (currentPeriod) {
+        if (effective <= currentPeriod.from) {
+            throw new Error('Transfer date must be after the start of the current ownership');
+        }
+        currentPeriod.to = effective;
+    }
+
+    const previousOwnerId = this.currentOwnerId;
+    this.ownershipHistory.push({
+        ownerId: newOwnerId,
+        from: effective,
+        transferReason: reason,
+        recordedBy
+    });
+    this.currentOwnerId = newOwnerId;
+
+    return { previousOwnerId, newOwnerId, effectiveDate: effective };
+};
+
+vehicleSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    return obj;
+};
+
+module.exports = mongoose.model('Vehicle', vehicleSchema);
@@ -0,0 +1,31 @@
+/**
+ * WebhookEvent Model
+ * One row per gateway webhook delivery we have accepted. Gateways redeliver until they get a 2xx,
+ * so the unique (gateway, eventId) index is what stops an event being applied twice.
+ */
+
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+    gateway: { type: String, required: true },
+    eventId: { type: String, required: true },
+    type: { type: String, required: true },
+    transactionId: { type: String },
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    status: { type: String, enum: ['processing', 'processed'], default: 'processing' },
+    outcome: { type: String },
+    receivedAt: { type: Date, default: Date.now },
+    processedAt: { type: Date }
+});
+
+webhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+
+webhookEventSchema.methods.toJSON = function () {
+    const obj = this.toObject();
+    obj.id = obj._id;
+    delete obj._id;
+    delete obj.__v;
+    return obj;
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,95 @@
+/**
+ * State Machine for Challan Lifecycle
+ * Problem: Challan status was written directly by controllers, payments and refunds,
+ *          so a challan could jump between any two statuses with no record of who moved it
+ * Solution: A single lifecycle engine defines the legal transitions and appends every
+ *           change to the challan's statusHistory
+ */
+
+const CHALLAN_STATUSES = ['pending', 'overdue', 'disputed', 'payment_plan', 'paid', 'refunded', 'cancelled'];
+
+const TRANSITIONS = {
+    pending: ['disputed', 'paid', 'overdue', 'payment_plan', 'cancelled'],
+    overdue: ['disputed', 'paid', 'payment_plan', 'cancelled'],
+    disputed: ['pending', 'cancelled'],
+    payment_plan: ['paid', 'pending', 'overdue', 'cancelled'],
+    paid: ['refunded'],
+    refunded: [],
+    cancelled: []
+};
+
+class ChallanTransitionError extends Error {
+    constructor(fromStatus, toStatus) {
+        super(`Cannot change challan status from '${fromStatus}' to '${toStatus}'`);
+        this.name = 'ChallanTransitionError';
+        this.statusCode = 409;
+        this.fromStatus = fromStatus;
+        this.toStatus = toStatus;
+        this.allowedTransitions = ChallanLifecycle.getAllowedTransitions(fromStatus);
+    }
+}
+
+class ChallanLifecycle {
+    static getStatuses() {
+        return [...CHALLAN_STATUSES];
+    }
+
+    static getAllowedTransitions(status) {
+        return [...(TRANSITIONS[status] || [])];
+    }
+
+    static canTransition(fromStatus, toStatus) {
+        return this.getAllowedTransitions(fromStatus).includes(toStatus);
+    }
+
+    static assertTransition(fromStatus, toStatus) {
+        if (!this.canTransition(fromStatus, toStatus)) {
+            throw new ChallanTransitionError(fromStatus, toStatus);
+        }
+    }
+
+    /**
+     * Move a challan to a new status and append the change to its history.
+     * The challan still has to be saved by the caller.
+     */
+    static transition(challan, toStatus, { actorId, actorRole, reason } = {}) {
+        const fromStatus = challan.status;
+        this.assertTransition(fromStatus, toStatus);
+
+        challan.status = toStatus;
+        challan.statusHistory.push({
+            from: fromStatus,
+            to: toStatus,
+            actorId,
+            actorRole: actorRole || 'system',
+            reason,
+            timestamp: new Date()
+        });
+
+        if (toStatus === 'paid') {
+            challan.paymentDate = new Date();
+        }
+
+        return challan;
+    }
+
+    // Record the status a challan was issued with as the first history entry
+    static recordInitialStatus(challan, { actorId, actorRole, reason } = {}) {
+        challan.statusHistory.push({
+            from: null,
+            to: challan.status,
+            actorId,
+            actorRole: actorRole || 'officer',
+            reason: reason || 'Challan issued',
+            timestamp: new Date()
+        });
+
+        return challan;
+    }
+}
+
+module.exports = {
+    CHALLAN_STATUSES,
+    ChallanLifecycle,
+    ChallanTransitionError
+};
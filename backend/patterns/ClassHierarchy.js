@@ -1,553 +1,783 @@
-/**
- * Abstract User Base Class
- * Demonstrates: Abstraction, Encapsulation
- */
-class User {
-    #id;
-    #email;
-    #password;
-    #isActive;
-
-    constructor(userData) {
-        if (this.constructor === User) {
-            throw new Error("Cannot instantiate abstract User class");
-        }
-
-        this.#id = userData.id;
-        this.#email = userData.email;
-        this.#password = userData.password;
-        this.#isActive = userData.isActive || true;
-        this.name = userData.name;
-        this.phone = userData.phone;
-        this.address = userData.address;
-        this.createdAt = userData.createdAt || new Date();
-    }
-
-    // Encapsulation - Getters for private fields
-    getId() { return this.#id; }
-    getEmail() { return this.#email; }
-    getIsActive() { return this.#isActive; }
-
-    // Encapsulation - Setters with validation
-    setIsActive(status) {
-        if (typeof status !== 'boolean') {
-            throw new Error('Active status must be boolean');
-        }
-        this.#isActive = status;
-    }
-
-    // Abstract method - must be implemented by subclasses (Polymorphism)
-    getPermissions() {
-        throw new Error("getPermissions() method must be implemented by subclass");
-    }
-
-    // Abstract method - dashboard access varies by role
-    getDashboardData() {
-        throw new Error("getDashboardData() method must be implemented by subclass");
-    }
-
-    // Common method for all users
-    updateProfile(profileData) {
-        this.name = profileData.name || this.name;
-        this.phone = profileData.phone || this.phone;
-        this.address = profileData.address || this.address;
-        return this.toJSON();
-    }
-
-    // Method that can be overridden (Polymorphism)
-    toJSON() {
-        return {
-            id: this.#id,
-            name: this.name,
-            email: this.#email,
-            phone: this.phone,
-            address: this.address,
-            isActive: this.#isActive,
-            createdAt: this.createdAt,
-            role: this.constructor.name.toLowerCase()
-        };
-    }
-}
-
-/**
- * Abstract Violation Base Class
- * Demonstrates: Abstraction, Template Method Pattern
- */
-class Violation {
-    constructor(violationData) {
-        if (this.constructor === Violation) {
-            throw new Error("Cannot instantiate abstract Violation class");
-        }
-
-        this.id = violationData.id;
-        this.vehicleNumber = violationData.vehicleNumber;
-        this.location = violationData.location;
-        this.dateTime = violationData.dateTime || new Date();
-        this.officerId = violationData.officerId;
-        this.citizenId = violationData.citizenId;
-        this.description = violationData.description;
-        this.status = violationData.status || 'pending';
-    }
-
-    // Abstract methods - must be implemented by subclasses
-    calculateFine() {
-        throw new Error("calculateFine() method must be implemented by subclass");
-    }
-
-    getViolationType() {
-        throw new Error("getViolationType() method must be implemented by subclass");
-    }
-
-    // Template method - defines the algorithm, subclasses implement steps
-    processViolation() {
-        const fine = this.calculateFine();
-        const type = this.getViolationType();
-
-        return {
-            ...this.toJSON(),
-            fineAmount: fine,
-            violationType: type,
-            processed: true,
-            processedAt: new Date()
-        };
-    }
-
-    toJSON() {
-        return {
-            id: this.id,
-            vehicleNumber: this.vehicleNumber,
-            location: this.location,
-            dateTime: this.dateTime,
-            officerId: this.officerId,
-            citizenId: this.citizenId,
-            description: this.description,
-            status: this.status
-        };
-    }
-}
-
-/**
- * Citizen Class
- * Demonstrates: Inheritance, Method Overriding
- */
-class Citizen extends User {
-    constructor(userData) {
-        super(userData);
-        this.licenseNumber = userData.licenseNumber;
-        this.vehicleNumbers = userData.vehicleNumbers || [];
-    }
-
-    // Polymorphism - implements abstract method
-    getPermissions() {
-        return [
-            'view_own_challans',
-            'make_payments',
-            'update_profile',
-            'view_payment_history',
-            'dispute_challan'
-        ];
-    }
-
-    // Polymorphism - implements abstract method
-    async getDashboardData() {
-        // This would interact with database/services
-        return {
-            role: 'citizen',
-            totalChallans: 0,
-            pendingChallans: 0,
-            paidChallans: 0,
-            totalFineAmount: 0,
-            recentActivity: []
-        };
-    }
-
-    // Citizen-specific methods
-    addVehicle(vehicleNumber) {
-        if (!this.vehicleNumbers.includes(vehicleNumber)) {
-            this.vehicleNumbers.push(vehicleNumber);
-        }
-        return this.vehicleNumbers;
-    }
-
-    removeVehicle(vehicleNumber) {
-        this.vehicleNumbers = this.vehicleNumbers.filter(v => v !== vehicleNumber);
-        return this.vehicleNumbers;
-    }
-
-    // Method overriding - extends parent behavior
-    toJSON() {
-        return {
-            ...super.toJSON(),
-            licenseNumber: this.licenseNumber,
-            vehicleNumbers: this.vehicleNumbers
-        };
-    }
-}
-
-/**
- * Officer Class
- * Demonstrates: Inheritance, Method Overriding
- */
-class Officer extends User {
-    constructor(userData) {
-        super(userData);
-        this.badgeNumber = userData.badgeNumber;
-        this.department = userData.department;
-        this.rank = userData.rank || 'Constable';
-    }
-
-    // Polymorphism - implements abstract method
-    getPermissions() {
-        return [
-            'create_challans',
-            'view_own_challans',
-            'update_own_challans',
-            'upload_evidence',
-            'search_citizens',
-            'view_reports'
-        ];
-    }
-
-    // Polymorphism - implements abstract method
-    async getDashboardData() {
-        return {
-            role: 'officer',
-            issuedChallans: 0,
-            todayChallans: 0,
-            thisMonthChallans: 0,
-            recentChallans: []
-        };
-    }
-
-    // Officer-specific methods
-    canEditChallan(challanOfficerId) {
-        return this.getId() === challanOfficerId;
-    }
-
-    // Method overriding
-    toJSON() {
-        return {
-            ...super.toJSON(),
-            badgeNumber: this.badgeNumber,
-            department: this.department,
-            rank: this.rank
-        };
-    }
-}
-
-/**
- * Admin Class
- * Demonstrates: Inheritance, Method Overriding
- */
-class Admin extends User {
-    constructor(userData) {
-        super(userData);
-        this.accessLevel = userData.accessLevel || 'standard';
-        this.lastLogin = userData.lastLogin;
-    }
-
-    // Polymorphism - implements abstract method
-    getPermissions() {
-        const basePermissions = [
-            'view_all_challans',
-            'delete_challans',
-            'manage_users',
-            'view_system_reports',
-            'system_configuration'
-        ];
-
-        if (this.accessLevel === 'super') {
-            basePermissions.push('manage_admins', 'system_maintenance');
-        }
-
-        return basePermissions;
-    }
-
-    // Polymorphism - implements abstract method
-    async getDashboardData() {
-        return {
-            role: 'admin',
-            totalUsers: 0,
-            totalChallans: 0,
-            totalRevenue: 0,
-            systemHealth: 'good',
-            recentActivity: []
-        };
-    }
-
-    // Admin-specific methods
-    canPerformAction(action) {
-        return this.getPermissions().includes(action);
-    }
-
-    updateLastLogin() {
-        this.lastLogin = new Date();
-    }
-
-    // Method overriding
-    toJSON() {
-        return {
-            ...super.toJSON(),
-            accessLevel: this.accessLevel,
-            lastLogin: this.lastLogin
-        };
-    }
-}
-
-
-class SpeedingViolation extends Violation {
-    constructor(violationData) {
-        super(violationData);
-        this.speedLimit = violationData.speedLimit;
-        this.actualSpeed = violationData.actualSpeed;
-        this.radarReading = violationData.radarReading;
-    }
-
-    calculateFine() {
-        const speedDifference = this.actualSpeed - this.speedLimit;
-        let baseFine = 500; // Base fine for speeding
-
-        if (speedDifference > 20) {
-            baseFine *= 2;
-        } else if (speedDifference > 10) {
-            baseFine *= 1.5;
-        }
-
-        return baseFine;
-    }
-
-    getViolationType() {
-        return 'Speeding';
-    }
-
-    toJSON() {
-        return {
-            ...super.toJSON(),
-            speedLimit: this.speedLimit,
-            actualSpeed: this.actualSpeed,
-            radarReading: this.radarReading
-        };
-    }
-}
-
-class ParkingViolation extends Violation {
-    constructor(violationData) {
-        super(violationData);
-        this.zoneType = violationData.zoneType; // 'no-parking', 'handicap', 'fire-lane'
-        this.duration = violationData.duration; // how long parked illegally
-    }
-
-    calculateFine() {
-        const fineMap = {
-            'no-parking': 200,
-            'handicap': 1000,
-            'fire-lane': 1500,
-            'expired-meter': 100
-        };
-
-        let baseFine = fineMap[this.zoneType] || 200;
-
-        // Increase fine for longer duration
-        if (this.duration > 120) { // 2 hours
-            baseFine *= 1.5;
-        }
-
-        return baseFine;
-    }
-
-    getViolationType() {
-        return 'Wrong Parking';
-    }
-
-    toJSON() {
-        return {
-            ...super.toJSON(),
-            zoneType: this.zoneType,
-            duration: this.duration
-        };
-    }
-}
-
-class HelmetViolation extends Violation {
-    constructor(violationData) {
-        super(violationData);
-        this.passengerCount = violationData.passengerCount || 1;
-        this.vehicleType = violationData.vehicleType; // 'motorcycle', 'scooter'
-    }
-
-    calculateFine() {
-        const baseFine = 300;
-        // Fine multiplied by number of people without helmets
-        return baseFine * this.passengerCount;
-    }
-
-    getViolationType() {
-        return 'No Helmet';
-    }
-
-    toJSON() {
-        return {
-            ...super.toJSON(),
-            passengerCount: this.passengerCount,
-            vehicleType: this.vehicleType
-        };
-    }
-}
-
-class RedLightViolation extends Violation {
-    constructor(violationData) {
-        super(violationData);
-        this.intersectionId = violationData.intersectionId;
-        this.cameraId = violationData.cameraId;
-        this.timeAfterRed = violationData.timeAfterRed; // seconds
-    }
-
-    calculateFine() {
-        let baseFine = 1000;
-
-        // Higher fine for flagrant violations (running red light well after it turned red)
-        if (this.timeAfterRed > 3) {
-            baseFine *= 1.5;
-        }
-
-        return baseFine;
-    }
-
-    getViolationType() {
-        return 'Red Light';
-    }
-
-    toJSON() {
-        return {
-            ...super.toJSON(),
-            intersectionId: this.intersectionId,
-            cameraId: this.cameraId,
-            timeAfterRed: this.timeAfterRed
-        };
-    }
-}
-
-
-/**
- * User Manager Class
- * Demonstrates: Encapsulation, Single Responsibility
- */
-class UserManager {
-    #users;
-
-    constructor() {
-        this.#users = new Map();
-    }
-
-    createUser(userData) {
-        let user;
-
-        switch (userData.role) {
-            case 'citizen':
-                user = new Citizen(userData);
-                break;
-            case 'officer':
-                user = new Officer(userData);
-                break;
-            case 'admin':
-                user = new Admin(userData);
-                break;
-            default:
-                throw new Error(`Invalid user role: ${userData.role}`);
-        }
-
-        this.#users.set(user.getId(), user);
-        return user;
-    }
-
-    getUser(userId) {
-        return this.#users.get(userId);
-    }
-
-    getUsersByRole(role) {
-        return Array.from(this.#users.values())
-            .filter(user => user.constructor.name.toLowerCase() === role);
-    }
-
-    validateUserPermission(userId, action) {
-        const user = this.getUser(userId);
-        if (!user) {
-            throw new Error('User not found');
-        }
-
-        return user.getPermissions().includes(action);
-    }
-}
-
-/**
- * Violation Manager Class
- * Demonstrates: Encapsulation, Business Logic Organization
- */
-class ViolationManager {
-    #violations;
-
-    constructor() {
-        this.#violations = new Map();
-    }
-
-    createViolation(violationData) {
-        // This would use Factory pattern (implemented in next section)
-        const violation = ViolationFactory.createViolation(violationData);
-        const processedViolation = violation.processViolation();
-
-        this.#violations.set(violation.id, violation);
-        return processedViolation;
-    }
-
-    getViolation(violationId) {
-        return this.#violations.get(violationId);
-    }
-
-    getViolationsByUser(userId, userRole) {
-        return Array.from(this.#violations.values())
-            .filter(violation => {
-                if (userRole === 'citizen') {
-                    return violation.citizenId === userId;
-                } else if (userRole === 'officer') {
-                    return violation.officerId === userId;
-                }
-                return true; // admin can see all
-            });
-    }
-
-    updateViolationStatus(violationId, newStatus) {
-        const violation = this.getViolation(violationId);
-        if (!violation) {
-            throw new Error('Violation not found');
-        }
-
-        violation.status = newStatus;
-        if (newStatus === 'paid') {
-            violation.paymentDate = new Date();
-        }
-
-        return violation;
-    }
-}
-
-
-module.exports = {
-    // Abstract Classes
-    User,
-    Violation,
-
-    // Concrete User Classes
-    Citizen,
-    Officer,
-    Admin,
-
-    // Concrete Violation Classes
-    SpeedingViolation,
-    ParkingViolation,
-    HelmetViolation,
-    RedLightViolation,
-
-    // Manager Classes
-    UserManager,
-    ViolationManager
+﻿/**
+ * Abstract User Base Class
+ * Demonstrates: Abstraction, Encapsulation
+ */
+class User {
+    #id;
+    #email;
+    #password;
+    #isActive;
+
+    constructor(userData) {
+        if (this.constructor === User) {
+            throw new Error("Cannot instantiate abstract User class");
+        }
+
+        this.#id = userData.id;
+        this.#email = userData.email;
+        this.#password = userData.password;
+        this.#isActive = userData.isActive || true;
+        this.name = userData.name;
+        this.phone = userData.phone;
+        this.address = userData.address;
+        this.createdAt = userData.createdAt || new Date();
+    }
+
+    // Encapsulation - Getters for private fields
+    getId() { return this.#id; }
+    getEmail() { return this.#email; }
+    getIsActive() { return this.#isActive; }
+
+    // Encapsulation - Setters with validation
+    setIsActive(status) {
+        if (typeof status !== 'boolean') {
+            throw new Error('Active status must be boolean');
+        }
+        this.#isActive = status;
+    }
+
+    // Abstract method - must be implemented by subclasses (Polymorphism)
+    getPermissions() {
+        throw new Error("getPermissions() method must be implemented by subclass");
+    }
+
+    // Abstract method - dashboard access varies by role
+    getDashboardData() {
+        throw new Error("getDashboardData() method must be implemented by subclass");
+    }
+
+    // Common method for all users
+    updateProfile(profileData) {
+        this.name = profileData.name || this.name;
+        this.phone = profileData.phone || this.phone;
+        this.address = profileData.address || this.address;
+        return this.toJSON();
+    }
+
+    // Method that can be overridden (Polymorphism)
+    toJSON() {
+        return {
+            id: this.#id,
+            name: this.name,
+            email: this.#email,
+            phone: this.phone,
+            address: this.address,
+            isActive: this.#isActive,
+            createdAt: this.createdAt,
+            role: this.constructor.name.toLowerCase()
+        };
+    }
+}
+
+/**
+ * Abstract Violation Base Class
+ * Demonstrates: Abstraction, Template Method Pattern
+ */
+class Violation {
+    constructor(violationData) {
+        if (this.constructor === Violation) {
+            throw new Error("Cannot instantiate abstract Violation class");
+        }
+
+        this.id = violationData.id;
+        this.vehicleNumber = violationData.vehicleNumber;
+        this.location = violationData.location;
+        this.dateTime = violationData.dateTime || new Date();
+        this.officerId = violationData.officerId;
+        this.citizenId = violationData.citizenId;
+        this.description = violationData.description;
+        this.status = violationData.status || 'pending';
+
+        // Repeat-offender escalation, set from the offender's recent history
+        this.priorViolationCount = 0;
+        this.repeatOffenderMultiplier = 1;
+
+        // Fine schedule in force at dateTime; built-in rates until one is applied
+        this.fineSchedule = null;
+
+        // Device that took the reading and its calibration state at dateTime, if any
+        this.device = violationData.device || null;
+        if (this.constructor.requiresCalibratedDevice) {
+            this.assertDeviceCalibrated();
+        }
+    }
+
+    // Measured violations cannot rest on a reading from a device outside its calibration
+    assertDeviceCalibrated() {
+        if (!this.device) {
+            return;
+        }
+
+        const calibration = this.device.calibration || { status: 'uncalibrated' };
+        if (calibration.status === 'valid') {
+            return;
+        }
+
+        const reason = calibration.status === 'expired'
+            ? `its calibration lapsed on ${new Date(calibration.expiresAt).toISOString().slice(0, 10)}`
+            : 'it has no calibration certificate for that time';
+        throw new Error(`Readings from device ${this.device.deviceId} cannot be used for ${this.getViolationType()}: ${reason}`);
+    }
+
+    applyFineSchedule(fineSchedule) {
+        this.fineSchedule = fineSchedule;
+        return this;
+    }
+
+    // Rate from the applied schedule. Subclasses declare a static defaultRate,
+    // used until a fine schedule is published or when a schedule has no rate for the type
+    getFineRate() {
+        const type = this.getViolationType();
+        const scheduled = this.fineSchedule
+            ? (this.fineSchedule.rates || []).find(rate => rate.violationType === type)
+            : null;
+        return scheduled || { violationType: type, ...this.constructor.defaultRate };
+    }
+
+    // Version 0 means the built-in rates
+    getFineScheduleVersion() {
+        return this.fineSchedule ? this.fineSchedule.version : 0;
+    }
+
+    // Lowest fine this violation type can carry under the current rate
+    getMinimumFine() {
+        return this.getFineRate().baseFine;
+    }
+
+    capFine(amount) {
+        const { maxFine } = this.getFineRate();
+        return maxFine ? Math.min(amount, maxFine) : amount;
+    }
+
+    setOffenderHistory(priorViolationCount, repeatOffenderMultiplier = 1) {
+        this.priorViolationCount = priorViolationCount;
+        this.repeatOffenderMultiplier = repeatOffenderMultiplier;
+        return this;
+    }
+
+    // Abstract methods - must be implemented by subclasses
+    calculateFine() {
+        throw new Error("calculateFine() method must be implemented by subclass");
+    }
+
+    getViolationType() {
+        throw new Error("getViolationType() method must be implemented by subclass");
+    }
+
+    // Template method - defines the algorithm, subclasses implement steps
+    processViolation() {
+        const baseFine = this.calculateFine();
+        const fine = Math.round(baseFine * this.repeatOffenderMultiplier * 100) / 100;
+        const type = this.getViolationType();
+
+        return {
+            ...this.toJSON(),
+            baseFineAmount: baseFine,
+            fineAmount: fine,
+            priorViolationCount: this.priorViolationCount,
+            repeatOffenderMultiplier: this.repeatOffenderMultiplier,
+            fineScheduleVersion: this.getFineScheduleVersion(),
+            violationType: type,
+            processed: true,
+            processedAt: new Date()
+        };
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            vehicleNumber: this.vehicleNumber,
+            location: this.location,
+            dateTime: this.dateTime,
+            officerId: this.officerId,
+            citizenId: this.citizenId,
+            description: this.description,
+            status: this.status
+        };
+    }
+}
+
+/**
+ * Citizen Class
+ * Demonstrates: Inheritance, Method Overriding
+ */
+class Citizen extends User {
+    constructor(userData) {
+        super(userData);
+        this.licenseNumber = userData.licenseNumber;
+        this.licenseStatus = userData.licenseStatus || 'valid';
+        this.vehicleNumbers = userData.vehicleNumbers || [];
+    }
+
+    // Polymorphism - implements abstract method
+    getPermissions() {
+        return [
+            'view_own_challans',
+            'make_payments',
+            'update_profile',
+            'view_payment_history',
+            'dispute_challan'
+        ];
+    }
+
+    // Polymorphism - implements abstract method
+    async getDashboardData() {
+        // This would interact with database/services
+        return {
+            role: 'citizen',
+            totalChallans: 0,
+            pendingChallans: 0,
+            paidChallans: 0,
+            totalFineAmount: 0,
+            recentActivity: []
+        };
+    }
+
+    // Citizen-specific methods
+    addVehicle(vehicleNumber) {
+        if (!this.vehicleNumbers.includes(vehicleNumber)) {
+            this.vehicleNumbers.push(vehicleNumber);
+        }
+        return this.vehicleNumbers;
+    }
+
+    removeVehicle(vehicleNumber) {
+        this.vehicleNumbers = this.vehicleNumbers.filter(v => v !== vehicleNumber);
+        return this.vehicleNumbers;
+    }
+
+    // Method overriding - extends parent behavior
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            licenseNumber: this.licenseNumber,
+            licenseStatus: this.licenseStatus,
+            vehicleNumbers: this.vehicleNumbers
+        };
+    }
+}
+
+/**
+ * Officer Class
+ * Demonstrates: Inheritance, Method Overriding
+ */
+class Officer extends User {
+    constructor(userData) {
+        super(userData);
+        this.badgeNumber = userData.badgeNumber;
+        this.department = userData.department;
+        this.rank = userData.rank || 'Constable';
+    }
+
+    // Polymorphism - implements abstract method
+    getPermissions() {
+        return [
+            'create_challans',
+            'view_own_challans',
+            'update_own_challans',
+            'upload_evidence',
+            'review_detections',
+            'search_citizens',
+            'lookup_vehicles',
+            'view_reports',
+            'collect_cash'
+        ];
+    }
+
+    // Polymorphism - implements abstract method
+    async getDashboardData() {
+        return {
+            role: 'officer',
+            issuedChallans: 0,
+            todayChallans: 0,
+            thisMonthChallans: 0,
+            recentChallans: []
+        };
+    }
+
+    // Officer-specific methods
+    canEditChallan(challanOfficerId) {
+        return this.getId() === challanOfficerId;
+    }
+
+    // Method overriding
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            badgeNumber: this.badgeNumber,
+            department: this.department,
+            rank: this.rank
+        };
+    }
+}
+
+/**
+ * Admin Class
+ * Demonstrates: Inheritance, Method Overriding
+ */
+class Admin extends User {
+    constructor(userData) {
+        super(userData);
+        this.accessLevel = userData.accessLevel || 'standard';
+        this.lastLogin = userData.lastLogin;
+    }
+
+    // Polymorphism - implements abstract method
+    getPermissions() {
+        const basePermissions = [
+            'view_all_challans',
+            'delete_challans',
+            'manage_users',
+            'view_system_reports',
+            'system_configuration',
+            'approve_payment_plans',
+            'lookup_vehicles',
+            'manage_vehicles',
+            'manage_fine_schedules',
+            'manage_devices',
+            'collect_cash',
+            'reconcile_cash',
+            'process_refunds',
+            'reconcile_payments'
+        ];
+
+        if (this.accessLevel === 'super') {
+            basePermissions.push('manage_admins', 'system_maintenance');
+        }
+
+        return basePermissions;
+    }
+
+    // Polymorphism - implements abstract method
+    async getDashboardData() {
+        return {
+            role: 'admin',
+            totalUsers: 0,
+            totalChallans: 0,
+            totalRevenue: 0,
+            systemHealth: 'good',
+            recentActivity: []
+        };
+    }
+
+    // Admin-specific methods
+    canPerformAction(action) {
+        return this.getPermissions().includes(action);
+    }
+
+    updateLastLogin() {
+        this.lastLogin = new Date();
+    }
+
+    // Method overriding
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            accessLevel: this.accessLevel,
+            lastLogin: this.lastLogin
+        };
+    }
+}
+
+
+class SpeedingViolation extends Violation {
+    static requiresCalibratedDevice = true;
+
+    static defaultRate = {
+        baseFine: 500,
+        maxFine: 1000,
+        description: 'Exceeding speed limit',
+        parameters: {
+            // Multiplier applied when the speed is more than `overLimitBy` over the limit
+            tiers: [
+                { overLimitBy: 10, multiplier: 1.5 },
+                { overLimitBy: 20, multiplier: 2 }
+            ]
+        }
+    };
+
+    constructor(violationData) {
+        super(violationData);
+        this.speedLimit = violationData.speedLimit;
+        this.actualSpeed = violationData.actualSpeed;
+        this.radarReading = violationData.radarReading;
+    }
+
+    calculateFine() {
+        const { baseFine, parameters = {} } = this.getFineRate();
+        const speedDifference = this.actualSpeed - this.speedLimit;
+
+        // Highest tier the speed difference exceeds
+        const tier = (parameters.tiers || [])
+            .filter(t => speedDifference > t.overLimitBy)
+            .sort((a, b) => b.overLimitBy - a.overLimitBy)[0];
+
+        return this.capFine(tier ? baseFine * tier.multiplier : baseFine);
+    }
+
+    getViolationType() {
+        return 'Speeding';
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            speedLimit: this.speedLimit,
+            actualSpeed: this.actualSpeed,
+            radarReading: this.radarReading
+        };
+    }
+}
+
+class ParkingViolation extends Violation {
+    static defaultRate = {
+        baseFine: 200,
+        maxFine: 2250,
+        description: 'Parking in restricted area',
+        parameters: {
+            zoneFines: {
+                'no-parking': 200,
+                'handicap': 1000,
+                'fire-lane': 1500,
+                'expired-meter': 100
+            },
+            longDurationMinutes: 120,
+            longDurationMultiplier: 1.5
+        }
+    };
+
+    constructor(violationData) {
+        super(violationData);
+        this.zoneType = violationData.zoneType; // 'no-parking', 'handicap', 'fire-lane'
+        this.duration = violationData.duration; // how long parked illegally
+    }
+
+    calculateFine() {
+        const { baseFine, parameters = {} } = this.getFineRate();
+        const zoneFines = parameters.zoneFines || {};
+
+        let fine = zoneFines[this.zoneType] !== undefined ? zoneFines[this.zoneType] : baseFine;
+
+        // Increase fine for longer duration
+        if (parameters.longDurationMinutes && this.duration > parameters.longDurationMinutes) {
+            fine *= parameters.longDurationMultiplier || 1;
+        }
+
+        return this.capFine(fine);
+    }
+
+    getMinimumFine() {
+        const { baseFine, parameters = {} } = this.getFineRate();
+        return Math.min(baseFine, ...Object.values(parameters.zoneFines || {}));
+    }
+
+    getViolationType() {
+        return 'Wrong Parking';
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            zoneType: this.zoneType,
+            duration: this.duration
+        };
+    }
+}
+
+class HelmetViolation extends Violation {
+    static defaultRate = {
+        baseFine: 300,
+        maxFine: 900,
+        description: 'Riding without helmet (per rider)',
+        parameters: {}
+    };
+
+    constructor(violationData) {
+        super(violationData);
+        this.passengerCount = violationData.passengerCount || 1;
+        this.vehicleType = violationData.vehicleType; // 'motorcycle', 'scooter'
+    }
+
+    calculateFine() {
+        const { baseFine } = this.getFineRate();
+        // Fine multiplied by number of people without helmets
+        return this.capFine(baseFine * this.passengerCount);
+    }
+
+    getViolationType() {
+        return 'No Helmet';
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            passengerCount: this.passengerCount,
+            vehicleType: this.vehicleType
+        };
+    }
+}
+
+class RedLightViolation extends Violation {
+    static requiresCalibratedDevice = true;
+
+    static defaultRate = {
+        baseFine: 1000,
+        maxFine: 1500,
+        description: 'Running red light',
+        parameters: {
+            flagrantAfterSeconds: 3,
+            flagrantMultiplier: 1.5
+        }
+    };
+
+    constructor(violationData) {
+        super(violationData);
+        this.intersectionId = violationData.intersectionId;
+        this.cameraId = violationData.cameraId;
+        this.timeAfterRed = violationData.timeAfterRed; // seconds
+    }
+
+    calculateFine() {
+        const { baseFine, parameters = {} } = this.getFineRate();
+        let fine = baseFine;
+
+        // Higher fine for flagrant violations (running red light well after it turned red)
+        if (parameters.flagrantAfterSeconds !== undefined && this.timeAfterRed > parameters.flagrantAfterSeconds) {
+            fine *= parameters.flagrantMultiplier || 1;
+        }
+
+        return this.capFine(fine);
+    }
+
+    getViolationType() {
+        return 'Red Light';
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            intersectionId: this.intersectionId,
+            cameraId: this.cameraId,
+            timeAfterRed: this.timeAfterRed
+        };
+    }
+}
+
+class MobileUsageViolation extends Violation {
+    static defaultRate = {
+        baseFine: 500,
+        maxFine: 1000,
+        description: 'Using a handheld mobile phone while driving',
+        parameters: {
+            textingMultiplier: 2,
+            stationaryMultiplier: 0.5
+        }
+    };
+
+    constructor(violationData) {
+        super(violationData);
+        this.usageType = violationData.usageType || 'handheld'; // 'handheld', 'texting'
+        this.vehicleMoving = violationData.vehicleMoving !== undefined ? Boolean(violationData.vehicleMoving) : true;
+    }
+
+    calculateFine() {
+        const { baseFine, parameters = {} } = this.getFineRate();
+        let fine = baseFine;
+
+        // Texting takes the driver's eyes off the road, not just a hand off the wheel
+        if (this.usageType === 'texting') {
+            fine *= parameters.textingMultiplier || 1;
+        }
+
+        // Lower fine when caught in a stationary vehicle (e.g. waiting at a signal)
+        if (!this.vehicleMoving) {
+            fine *= parameters.stationaryMultiplier || 1;
+        }
+
+        return this.capFine(fine);
+    }
+
+    getViolationType() {
+        return 'Mobile Usage';
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            usageType: this.usageType,
+            vehicleMoving: this.vehicleMoving
+        };
+    }
+}
+
+class OtherViolation extends Violation {
+    static defaultRate = {
+        baseFine: 100,
+        maxFine: 5000,
+        description: 'Other offence under the cited statute (officer sets the fine within these bounds)',
+        parameters: {}
+    };
+
+    constructor(violationData) {
+        super(violationData);
+        this.statuteReference = violationData.statuteReference;
+        this.officerSpecifiedFine = violationData.officerSpecifiedFine !== undefined && violationData.officerSpecifiedFine !== ''
+            ? Number(violationData.officerSpecifiedFine)
+            : undefined;
+    }
+
+    // Officer sets the fine, which must stay within the scheduled bounds
+    calculateFine() {
+        const { baseFine, maxFine } = this.getFineRate();
+
+        if (this.officerSpecifiedFine === undefined) {
+            return baseFine;
+        }
+        if (isNaN(this.officerSpecifiedFine) || this.officerSpecifiedFine < baseFine ||
+            (maxFine && this.officerSpecifiedFine > maxFine)) {
+            throw new Error(`Fine for other violations must be between ${baseFine} and ${maxFine}`);
+        }
+
+        return this.officerSpecifiedFine;
+    }
+
+    getViolationType() {
+        return 'Other';
+    }
+
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            statuteReference: this.statuteReference,
+            officerSpecifiedFine: this.officerSpecifiedFine
+        };
+    }
+}
+
+
+/**
+ * User Manager Class
+ * Demonstrates: Encapsulation, Single Responsibility
+ */
+class UserManager {
+    #users;
+
+    constructor() {
+        this.#users = new Map();
+    }
+
+    createUser(userData) {
+        let user;
+
+        switch (userData.role) {
+            case 'citizen':
+                user = new Citizen(userData);
+                break;
+            case 'officer':
+                user = new Officer(userData);
+                break;
+            case 'admin':
+                user = new Admin(userData);
+                break;
+            default:
+                throw new Error(`Invalid user role: ${userData.role}`);
+        }
+
+        this.#users.set(user.getId(), user);
+        return user;
+    }
+
+    getUser(userId) {
+        return this.#users.get(userId);
+    }
+
+    getUsersByRole(role) {
+        return Array.from(this.#users.values())
+            .filter(user => user.constructor.name.toLowerCase() === role);
+    }
+
+    validateUserPermission(userId, action) {
+        const user = this.getUser(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        return user.getPermissions().includes(action);
+    }
+}
+
+/**
+ * Violation Manager Class
+ * Demonstrates: Encapsulation, Business Logic Organization
+ */
+class ViolationManager {
+    #violations;
+
+    constructor() {
+        this.#violations = new Map();
+    }
+
+    createViolation(violationData) {
+        // Required lazily: DesignPatterns depends on this module
+        const { ViolationFactory } = require('./DesignPatterns');
+        const violation = ViolationFactory.createViolation(violationData);
+        const processedViolation = violation.processViolation();
+
+        this.#violations.set(violation.id, violation);
+        return processedViolation;
+    }
+
+    getViolation(violationId) {
+        return this.#violations.get(violationId);
+    }
+
+    getViolationsByUser(userId, userRole) {
+        return Array.from(this.#violations.values())
+            .filter(violation => {
+                if (userRole === 'citizen') {
+                    return violation.citizenId === userId;
+                } else if (userRole === 'officer') {
+                    return violation.officerId === userId;
+                }
+                return true; // admin can see all
+            });
+    }
+
+    updateViolationStatus(violationId, newStatus) {
+        const violation = this.getViolation(violationId);
+        if (!violation) {
+            throw new Error('Violation not found');
+        }
+
+        violation.status = newStatus;
+        if (newStatus === 'paid') {
+            violation.paymentDate = new Date();
+        }
+
+        return violation;
+    }
+}
+
+
+module.exports = {
+    // Abstract Classes
+    User,
+    Violation,
+
+    // Concrete User Classes
+    Citizen,
+    Officer,
+    Admin,
+
+    // Concrete Violation Classes
+    SpeedingViolation,
+    ParkingViolation,
+    HelmetViolation,
+    RedLightViolation,
+    MobileUsageViolation,
+    OtherViolation,
+
+    // Manager Classes
+    UserManager,
+    ViolationManager
 };
\ No newline at end of file
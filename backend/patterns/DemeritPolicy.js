@@ -0,0 +1,71 @@
+/**
+ * Demerit Points and Repeat-Offender Escalation
+ * Problem: Every violation was priced in isolation, so a driver with ten recent challans
+ *          paid the same fine as a first-time offender and nothing tracked licence risk
+ * Solution: A configurable policy assigns demerit points per violation type, scales fines
+ *           by the number of prior violations in a rolling window and decides when a
+ *           licence needs a suspension review
+ */
+
+const { violationTypeRegistry } = require('./ViolationRegistry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DemeritPolicy {
+    constructor({
+        points = {},
+        defaultPoints = 1,
+        windowDays = 365,
+        escalationSteps = [1, 1.5, 2],
+        suspensionThreshold = 12
+    } = {}) {
+        if (!escalationSteps.length) {
+            throw new Error('At least one escalation step is required');
+        }
+
+        // Configured points override the points each violation type registers
+        this.points = { ...violationTypeRegistry.getDemeritPoints(), ...points };
+        this.defaultPoints = defaultPoints;
+        this.windowDays = windowDays;
+        this.escalationSteps = escalationSteps;
+        this.suspensionThreshold = suspensionThreshold;
+    }
+
+    getPoints(violationType) {
+        return this.points[violationType] !== undefined ? this.points[violationType] : this.defaultPoints;
+    }
+
+    // Start of the rolling window used for prior violations and active points
+    getWindowStart(asOf = new Date()) {
+        return new Date(new Date(asOf).getTime() - this.windowDays * DAY_MS);
+    }
+
+    // Fine multiplier for an offender with this many prior violations in the window
+    getFineMultiplier(priorViolationCount) {
+        const step = Math.min(priorViolationCount, this.escalationSteps.length - 1);
+        return this.escalationSteps[step];
+    }
+
+    shouldFlagForSuspension(activePoints) {
+        return activePoints >= this.suspensionThreshold;
+    }
+
+    toJSON() {
+        return {
+            points: this.points,
+            defaultPoints: this.defaultPoints,
+            windowDays: this.windowDays,
+            escalationSteps: this.escalationSteps,
+            suspensionThreshold: this.suspensionThreshold
+        };
+    }
+
+    // Build the policy from the 'demerits' section of ConfigurationManager
+    static fromConfiguration(demeritConfig = {}) {
+        return new DemeritPolicy(demeritConfig);
+    }
+}
+
+module.exports = {
+    DemeritPolicy
+};
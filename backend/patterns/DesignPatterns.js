@@ -1,1464 +1,5823 @@
-﻿/**
- * Violation Factory
- * Problem: Need to create different violation types without coupling client code to specific classes
- * Solution: Factory pattern encapsulates object creation logic
- */
-const { SpeedingViolation, ParkingViolation, HelmetViolation, RedLightViolation, UserManager, ViolationManager } = require('./ClassHierarchy');
-const User = require('../models/User');
-const Challan = require('../models/Challan');
-const { Payment } = require('../models/Payment');
-
-class ViolationFactory {
-    static createViolation(violationData) {
-        const { violationType, ...data } = violationData;
-
-        switch (violationType.toLowerCase()) {
-            case 'speeding':
-                return new SpeedingViolation(data);
-            case 'wrong parking':
-            case 'parking':
-                return new ParkingViolation(data);
-            case 'no helmet':
-            case 'helmet':
-                return new HelmetViolation(data);
-            case 'red light':
-                return new RedLightViolation(data);
-            default:
-                throw new Error(`Unknown violation type: ${violationType}`);
-        }
-    }
-
-    static getSupportedViolationTypes() {
-        return ['speeding', 'wrong parking', 'no helmet', 'red light'];
-    }
-
-    static getViolationInfo(violationType) {
-        const infoMap = {
-            'speeding': { baseMinFine: 500, maxFine: 1000, description: 'Exceeding speed limit' },
-            'wrong parking': { baseMinFine: 100, maxFine: 1500, description: 'Parking in restricted area' },
-            'no helmet': { baseMinFine: 300, maxFine: 900, description: 'Riding without helmet' },
-            'red light': { baseMinFine: 1000, maxFine: 1500, description: 'Running red light' }
-        };
-
-        return infoMap[violationType.toLowerCase()];
-    }
-}
-
-
-/**
- * Payment Strategy Interface
- * Problem: Need to support multiple payment methods with different processing logic
- * Solution: Strategy pattern allows switching payment algorithms at runtime
- */
-
-// Abstract Strategy
-class PaymentStrategy {
-    processPayment(amount, paymentDetails) {
-        throw new Error("processPayment method must be implemented");
-    }
-
-    validatePaymentDetails(paymentDetails) {
-        throw new Error("validatePaymentDetails method must be implemented");
-    }
-
-    getTransactionFee(amount) {
-        throw new Error("getTransactionFee method must be implemented");
-    }
-}
-
-// Concrete Strategies
-class CreditCardPaymentStrategy extends PaymentStrategy {
-    processPayment(amount, paymentDetails) {
-        this.validatePaymentDetails(paymentDetails);
-
-        const fee = this.getTransactionFee(amount);
-        const totalAmount = amount + fee;
-
-        // Simulate credit card processing
-        const transactionId = 'CC_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-
-        return {
-            success: true,
-            transactionId,
-            amount: totalAmount,
-            fee,
-            paymentMethod: 'credit_card',
-            processedAt: new Date(),
-            gateway: 'stripe'
-        };
-    }
-
-    validatePaymentDetails(paymentDetails) {
-        const { cardNumber, expiryDate, cvv, holderName } = paymentDetails;
-
-        if (!cardNumber || cardNumber.length < 16) {
-            throw new Error('Invalid card number');
-        }
-        if (!cvv || cvv.length < 3) {
-            throw new Error('Invalid CVV');
-        }
-        if (!holderName) {
-            throw new Error('Card holder name required');
-        }
-    }
-
-    getTransactionFee(amount) {
-        return Math.max(amount * 0.029, 10); // 2.9% or minimum $10
-    }
-}
-
-class DebitCardPaymentStrategy extends PaymentStrategy {
-    processPayment(amount, paymentDetails) {
-        this.validatePaymentDetails(paymentDetails);
-
-        const fee = this.getTransactionFee(amount);
-        const totalAmount = amount + fee;
-
-        const transactionId = 'DC_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-
-        return {
-            success: true,
-            transactionId,
-            amount: totalAmount,
-            fee,
-            paymentMethod: 'debit_card',
-            processedAt: new Date(),
-            gateway: 'razorpay'
-        };
-    }
-
-    validatePaymentDetails(paymentDetails) {
-        const { cardNumber, pin, holderName } = paymentDetails;
-
-        if (!cardNumber || cardNumber.length < 16) {
-            throw new Error('Invalid card number');
-        }
-        if (!pin || pin.length !== 4) {
-            throw new Error('Invalid PIN');
-        }
-    }
-
-    getTransactionFee(amount) {
-        return Math.min(amount * 0.015, 25); // 1.5% or maximum $25
-    }
-}
-
-class UPIPaymentStrategy extends PaymentStrategy {
-    processPayment(amount, paymentDetails) {
-        this.validatePaymentDetails(paymentDetails);
-
-        const fee = this.getTransactionFee(amount);
-        const totalAmount = amount + fee;
-
-        const transactionId = 'UPI_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-
-        return {
-            success: true,
-            transactionId,
-            amount: totalAmount,
-            fee,
-            paymentMethod: 'upi',
-            processedAt: new Date(),
-            gateway: 'payu'
-        };
-    }
-
-    validatePaymentDetails(paymentDetails) {
-        const { upiId, pin } = paymentDetails;
-
-        if (!upiId || !upiId.includes('@')) {
-            throw new Error('Invalid UPI ID');
-        }
-        if (!pin || pin.length !== 4) {
-            throw new Error('Invalid UPI PIN');
-        }
-    }
-
-    getTransactionFee(amount) {
-        return 0; // UPI is typically free
-    }
-}
-
-// Payment Context Class
-class PaymentProcessor {
-    constructor() {
-        this.strategy = null;
-    }
-
-    setPaymentStrategy(strategy) {
-        this.strategy = strategy;
-    }
-
-    processPayment(amount, paymentDetails, paymentMethod) {
-        // Set strategy based on payment method
-        switch (paymentMethod) {
-            case 'credit_card':
-                this.setPaymentStrategy(new CreditCardPaymentStrategy());
-                break;
-            case 'debit_card':
-                this.setPaymentStrategy(new DebitCardPaymentStrategy());
-                break;
-            case 'upi':
-                this.setPaymentStrategy(new UPIPaymentStrategy());
-                break;
-            default:
-                throw new Error(`Unsupported payment method: ${paymentMethod}`);
-        }
-
-        return this.strategy.processPayment(amount, paymentDetails);
-    }
-}
-
-/**
- * Observer Pattern for Notifications
- * Problem: Need to notify multiple parties when challan status changes
- * Solution: Observer pattern decouples notification logic from business logic
- */
-
-// Subject (Observable)
-class ChallanNotificationSubject {
-    constructor() {
-        this.observers = [];
-    }
-
-    addObserver(observer) {
-        this.observers.push(observer);
-    }
-
-    removeObserver(observer) {
-        this.observers = this.observers.filter(obs => obs !== observer);
-    }
-
-    notifyObservers(event, data) {
-        this.observers.forEach(observer => {
-            try {
-                observer.update(event, data);
-            } catch (error) {
-                console.error('Observer notification error:', error.message);
-            }
-        });
-    }
-}
-
-// Observer Interface
-class NotificationObserver {
-    update(event, data) {
-        throw new Error("update method must be implemented");
-    }
-}
-
-// Concrete Observers
-class EmailNotificationObserver extends NotificationObserver {
-    constructor(emailService) {
-        super();
-        this.emailService = emailService;
-    }
-
-    update(event, data) {
-        try {
-            switch (event) {
-                case 'challan_created':
-                    this.sendChallanCreatedEmail(data);
-                    break;
-                case 'payment_received':
-                    this.sendPaymentConfirmationEmail(data);
-                    break;
-                case 'challan_disputed':
-                    this.sendDisputeNotificationEmail(data);
-                    break;
-                default:
-                    console.log(`Unhandled email event: ${event}`);
-            }
-        } catch (error) {
-            console.error('Email notification error:', error.message);
-        }
-    }
-
-    sendChallanCreatedEmail(data) {
-        const emailContent = {
-            to: data.citizenEmail,
-            subject: 'New Traffic Violation - E-Challan Issued',
-            template: 'challan_created',
-            data: data
-        };
-
-        if (this.emailService && typeof this.emailService.sendEmail === 'function') {
-            this.emailService.sendEmail(emailContent);
-        } else {
-            console.log('Mock Email (Challan Created):', emailContent);
-        }
-    }
-
-    sendPaymentConfirmationEmail(data) {
-        const emailContent = {
-            to: data.citizenEmail,
-            subject: 'Payment Confirmation - E-Challan',
-            template: 'payment_confirmation',
-            data: data
-        };
-
-        if (this.emailService && typeof this.emailService.sendEmail === 'function') {
-            this.emailService.sendEmail(emailContent);
-        } else {
-            console.log('Mock Email (Payment Confirmation):', emailContent);
-        }
-    }
-
-    sendDisputeNotificationEmail(data) {
-        const emailContent = {
-            to: data.officerEmail,
-            subject: 'Challan Disputed - Review Required',
-            template: 'challan_disputed',
-            data: data
-        };
-
-        if (this.emailService && typeof this.emailService.sendEmail === 'function') {
-            this.emailService.sendEmail(emailContent);
-        } else {
-            console.log('Mock Email (Dispute Notification):', emailContent);
-        }
-    }
-}
-
-class SMSNotificationObserver extends NotificationObserver {
-    constructor(smsService) {
-        super();
-        this.smsService = smsService;
-    }
-
-    update(event, data) {
-        try {
-            switch (event) {
-                case 'challan_created':
-                    this.sendChallanCreatedSMS(data);
-                    break;
-                case 'payment_received':
-                    this.sendPaymentConfirmationSMS(data);
-                    break;
-                default:
-                    console.log(`Unhandled SMS event: ${event}`);
-            }
-        } catch (error) {
-            console.error('SMS notification error:', error.message);
-        }
-    }
-
-    sendChallanCreatedSMS(data) {
-        const message = `New traffic violation issued. Challan: ${data.challanNumber}. Fine: $${data.fineAmount}. Pay online to avoid penalties.`;
-
-        if (this.smsService && typeof this.smsService.sendSMS === 'function') {
-            this.smsService.sendSMS(data.citizenPhone, message);
-        } else {
-            console.log('Mock SMS (Challan Created):', { to: data.citizenPhone, message });
-        }
-    }
-
-    sendPaymentConfirmationSMS(data) {
-        const message = `Payment confirmed for Challan ${data.challanNumber}. Amount: $${data.amount}. Thank you.`;
-
-        if (this.smsService && typeof this.smsService.sendSMS === 'function') {
-            this.smsService.sendSMS(data.citizenPhone, message);
-        } else {
-            console.log('Mock SMS (Payment Confirmation):', { to: data.citizenPhone, message });
-        }
-    }
-}
-
-class DatabaseLogObserver extends NotificationObserver {
-    constructor(logService) {
-        super();
-        this.logService = logService;
-    }
-
-    update(event, data) {
-        try {
-            const logEntry = {
-                timestamp: new Date(),
-                event: event,
-                challanId: data.challanId,
-                userId: data.userId,
-                details: data
-            };
-
-            if (this.logService && typeof this.logService.logActivity === 'function') {
-                this.logService.logActivity(logEntry);
-            } else {
-                console.log('Mock Log Activity:', logEntry);
-            }
-        } catch (error) {
-            console.error('Database log error:', error.message);
-        }
-    }
-}
-
-/**
- * Singleton Pattern for Database and Configuration
- * Problem: Need single instance of database connection and app configuration
- * Solution: Singleton ensures only one instance exists throughout application
- */
-
-class DatabaseConnection {
-    constructor() {
-        if (DatabaseConnection.instance) {
-            return DatabaseConnection.instance;
-        }
-
-        this.connection = null;
-        this.isConnected = false;
-        DatabaseConnection.instance = this;
-    }
-
-    static getInstance() {
-        if (!DatabaseConnection.instance) {
-            DatabaseConnection.instance = new DatabaseConnection();
-        }
-        return DatabaseConnection.instance;
-    }
-
-    async connect(connectionString) {
-        if (this.isConnected) {
-            return this.connection;
-        }
-
-        try {
-            const mongoose = require('mongoose');
-            this.connection = await mongoose.connect(connectionString);
-            this.isConnected = true;
-            console.log('Database connected successfully');
-            return this.connection;
-        } catch (error) {
-            console.error('Database connection failed:', error);
-            throw error;
-        }
-    }
-
-    getConnection() {
-        if (!this.isConnected) {
-            throw new Error('Database not connected. Call connect() first.');
-        }
-        return this.connection;
-    }
-
-    async disconnect() {
-        if (this.isConnected) {
-            await this.connection.disconnect();
-            this.isConnected = false;
-            this.connection = null;
-        }
-    }
-}
-
-class ConfigurationManager {
-    constructor() {
-        if (ConfigurationManager.instance) {
-            return ConfigurationManager.instance;
-        }
-
-        this.config = {};
-        this.loadConfiguration();
-        ConfigurationManager.instance = this;
-    }
-
-    static getInstance() {
-        if (!ConfigurationManager.instance) {
-            ConfigurationManager.instance = new ConfigurationManager();
-        }
-        return ConfigurationManager.instance;
-    }
-
-    loadConfiguration() {
-        this.config = {
-            database: {
-                uri: process.env.MONGO_URI,
-                options: {
-                    useNewUrlParser: true,
-                    useUnifiedTopology: true
-                }
-            },
-            jwt: {
-                secret: process.env.JWT_SECRET,
-                expiresIn: process.env.JWT_EXPIRES_IN || '30d'
-            },
-            email: {
-                host: process.env.EMAIL_HOST,
-                port: process.env.EMAIL_PORT,
-                user: process.env.EMAIL_USER,
-                password: process.env.EMAIL_PASSWORD
-            },
-            app: {
-                port: process.env.PORT || 5001,
-                environment: process.env.NODE_ENV || 'development'
-            }
-        };
-    }
-
-    get(key) {
-        const keys = key.split('.');
-        let value = this.config;
-
-        for (const k of keys) {
-            value = value[k];
-            if (value === undefined) break;
-        }
-
-        return value;
-    }
-
-    set(key, value) {
-        const keys = key.split('.');
-        let current = this.config;
-
-        for (let i = 0; i < keys.length - 1; i++) {
-            if (!current[keys[i]]) {
-                current[keys[i]] = {};
-            }
-            current = current[keys[i]];
-        }
-
-        current[keys[keys.length - 1]] = value;
-    }
-}
-
-/**
- * Adapter Pattern for Payment Gateways
- * Problem: Different payment gateways have different APIs
- * Solution: Adapter pattern creates uniform interface for different gateways
- */
-
-// Target Interface (what our application expects)
-class PaymentGatewayInterface {
-    processPayment(paymentData) {
-        throw new Error("processPayment method must be implemented");
-    }
-
-    refundPayment(transactionId, amount) {
-        throw new Error("refundPayment method must be implemented");
-    }
-
-    getTransactionStatus(transactionId) {
-        throw new Error("getTransactionStatus method must be implemented");
-    }
-}
-
-// Adaptee (external API - Stripe)
-class StripeAPI {
-    createCharge(amount, currency, source, description) {
-        // Simulate Stripe API call
-        return {
-            id: 'ch_' + Math.random().toString(36).substr(2, 9),
-            amount: amount * 100, // Stripe uses cents
-            currency,
-            status: 'succeeded',
-            created: Math.floor(Date.now() / 1000)
-        };
-    }
-
-    createRefund(chargeId, amount) {
-        return {
-            id: 're_' + Math.random().toString(36).substr(2, 9),
-            charge: chargeId,
-            amount: amount * 100,
-            status: 'succeeded'
-        };
-    }
-
-    retrieveCharge(chargeId) {
-        return {
-            id: chargeId,
-            status: 'succeeded',
-            amount: 50000, // $500 in cents
-            currency: 'usd'
-        };
-    }
-}
-
-// Adapter
-class StripeAdapter extends PaymentGatewayInterface {
-    constructor() {
-        super();
-        this.stripeAPI = new StripeAPI();
-    }
-
-    processPayment(paymentData) {
-        try {
-            const { amount, currency = 'usd', cardToken, description } = paymentData;
-
-            const stripeResponse = this.stripeAPI.createCharge(
-                amount,
-                currency,
-                cardToken,
-                description
-            );
-
-            return {
-                success: true,
-                transactionId: stripeResponse.id,
-                amount: amount,
-                currency: stripeResponse.currency,
-                status: stripeResponse.status,
-                gateway: 'stripe',
-                processedAt: new Date()
-            };
-        } catch (error) {
-            return {
-                success: false,
-                error: error.message,
-                gateway: 'stripe'
-            };
-        }
-    }
-
-    refundPayment(transactionId, amount) {
-        try {
-            const refundResponse = this.stripeAPI.createRefund(transactionId, amount);
-
-            return {
-                success: true,
-                refundId: refundResponse.id,
-                amount: amount,
-                status: refundResponse.status,
-                gateway: 'stripe'
-            };
-        } catch (error) {
-            return {
-                success: false,
-                error: error.message,
-                gateway: 'stripe'
-            };
-        }
-    }
-
-    getTransactionStatus(transactionId) {
-        try {
-            const charge = this.stripeAPI.retrieveCharge(transactionId);
-
-            return {
-                transactionId: charge.id,
-                status: charge.status,
-                amount: charge.amount / 100, // Convert from cents
-                currency: charge.currency,
-                gateway: 'stripe'
-            };
-        } catch (error) {
-            return {
-                success: false,
-                error: error.message,
-                gateway: 'stripe'
-            };
-        }
-    }
-}
-
-// Another Adaptee (PayPal API)
-class PayPalAPI {
-    executePayment(paymentId, payerId) {
-        return {
-            id: paymentId,
-            state: 'approved',
-            transactions: [{
-                amount: { total: '500.00', currency: 'USD' },
-                related_resources: [{
-                    sale: {
-                        id: 'sale_' + Math.random().toString(36).substr(2, 9),
-                        state: 'completed'
-                    }
-                }]
-            }]
-        };
-    }
-
-    refundSale(saleId, amount) {
-        return {
-            id: 'refund_' + Math.random().toString(36).substr(2, 9),
-            state: 'completed',
-            amount: { total: amount.toString(), currency: 'USD' }
-        };
-    }
-}
-
-// Another Adapter
-class PayPalAdapter extends PaymentGatewayInterface {
-    constructor() {
-        super();
-        this.paypalAPI = new PayPalAPI();
-    }
-
-    processPayment(paymentData) {
-        try {
-            const { paymentId, payerId } = paymentData;
-
-            const paypalResponse = this.paypalAPI.executePayment(paymentId, payerId);
-
-            return {
-                success: true,
-                transactionId: paypalResponse.transactions[0].related_resources[0].sale.id,
-                amount: parseFloat(paypalResponse.transactions[0].amount.total),
-                currency: paypalResponse.transactions[0].amount.currency.toLowerCase(),
-                status: paypalResponse.state,
-                gateway: 'paypal',
-                processedAt: new Date()
-            };
-        } catch (error) {
-            return {
-                success: false,
-                error: error.message,
-                gateway: 'paypal'
-            };
-        }
-    }
-
-    refundPayment(transactionId, amount) {
-        try {
-            const refundResponse = this.paypalAPI.refundSale(transactionId, amount);
-
-            return {
-                success: true,
-                refundId: refundResponse.id,
-                amount: parseFloat(refundResponse.amount.total),
-                status: refundResponse.state,
-                gateway: 'paypal'
-            };
-        } catch (error) {
-            return {
-                success: false,
-                error: error.message,
-                gateway: 'paypal'
-            };
-        }
-    }
-
-    getTransactionStatus(transactionId) {
-        // Simplified for demo
-        return {
-            transactionId,
-            status: 'completed',
-            amount: 500.00,
-            currency: 'usd',
-            gateway: 'paypal'
-        };
-    }
-}
-
-// Payment Gateway Factory (combining Factory + Adapter patterns)
-class PaymentGatewayFactory {
-    static createGateway(gatewayType) {
-        switch (gatewayType.toLowerCase()) {
-            case 'stripe':
-                return new StripeAdapter();
-            case 'paypal':
-                return new PayPalAdapter();
-            default:
-                throw new Error(`Unsupported payment gateway: ${gatewayType}`);
-        }
-    }
-}
-
-/**
- * Facade Pattern for E-Challan Management
- * Problem: Complex interactions between multiple subsystems for challan operations
- * Solution: Facade provides simplified interface to coordinate multiple operations
- */
-
-class EChallanFacade {
-    constructor() {
-        this.userManager = new (require('./ClassHierarchy').UserManager)();
-        this.violationManager = new (require('./ClassHierarchy').ViolationManager)();
-        this.paymentProcessor = new PaymentProcessor();
-        this.notificationSubject = new ChallanNotificationSubject();
-
-        // Setup notification observers
-        this.setupNotificationObservers();
-    }
-
-    setupNotificationObservers() {
-        try {
-            let emailService, smsService, logService;
-
-            try {
-                emailService = require('../utils/emailService');
-            } catch (error) {
-                emailService = {
-                    sendEmail: (emailContent) => {
-                        console.log('📧 Mock Email:', emailContent);
-                        return Promise.resolve({ success: true });
-                    }
-                };
-            }
-
-            try {
-                smsService = require('../utils/smsService');
-            } catch (error) {
-                smsService = {
-                    sendSMS: (phone, message) => {
-                        console.log('📱 Mock SMS:', { phone, message });
-                        return Promise.resolve({ success: true });
-                    }
-                };
-            }
-
-            try {
-                logService = require('../utils/logService');
-            } catch (error) {
-                logService = {
-                    logActivity: (logEntry) => {
-                        console.log('📝 Mock Log:', logEntry);
-                        return Promise.resolve({ success: true });
-                    }
-                };
-            }
-
-            this.notificationSubject.addObserver(new EmailNotificationObserver(emailService));
-            this.notificationSubject.addObserver(new SMSNotificationObserver(smsService));
-            this.notificationSubject.addObserver(new DatabaseLogObserver(logService));
-
-            console.log('✅ Notification observers setup successfully');
-        } catch (error) {
-            console.error('❌ Error setting up notification observers:', error.message);
-        }
-    }
-
-    async createChallan(officerId, violationData) {
-        try {
-            // 1. Validate officer permissions
-            const officer = await User.findById(officerId);
-            if (!officer) {
-                throw new Error('Officer not found');
-            }
-
-            const officerOOP = officer.toOOPInstance();
-            if (!officerOOP.getPermissions().includes('create_challans')) {
-                throw new Error('Officer not authorized to create challans');
-            }
-
-            // 2. Find citizen
-            const citizen = await User.findOne({ email: violationData.citizenEmail, role: 'citizen' });
-            if (!citizen) {
-                throw new Error('Citizen not found');
-            }
-
-            // 3. Create violation using factory pattern
-            const violation = ViolationFactory.createViolation({
-                ...violationData,
-                citizenId: citizen._id.toString(),
-                officerId: officerId
-            });
-
-            // 4. Process violation and get calculated fine
-            const processedViolation = violation.processViolation();
-
-            // 5. REAL MongoDB save using the integrated model
-            const challanDoc = new Challan({
-                citizenId: citizen._id,
-                officerId: officerId,
-                vehicleNumber: violationData.vehicleNumber,
-                violationType: processedViolation.violationType,
-                location: violationData.location,
-                description: violationData.description,
-                fineAmount: processedViolation.fineAmount,
-
-                // Violation-specific fields based on type
-                speedLimit: violationData.speedLimit,
-                actualSpeed: violationData.actualSpeed,
-                radarReading: violationData.radarReading,
-                zoneType: violationData.zoneType,
-                duration: violationData.duration,
-                passengerCount: violationData.passengerCount || 1,
-                vehicleType: violationData.vehicleType,
-                intersectionId: violationData.intersectionId,
-                cameraId: violationData.cameraId,
-                timeAfterRed: violationData.timeAfterRed,
-
-                evidenceUrl: violationData.evidenceUrl,
-                dateTime: new Date()
-            });
-
-            const savedChallan = await challanDoc.save();
-
-            // 6. Send notifications using Observer pattern
-            this.notificationSubject.notifyObservers('challan_created', {
-                challanId: savedChallan._id.toString(),
-                challanNumber: savedChallan.challanNumber,
-                citizenEmail: citizen.email,
-                citizenPhone: citizen.phone,
-                officerId: officerId,
-                fineAmount: savedChallan.fineAmount,
-                violationType: savedChallan.violationType
-            });
-
-            return {
-                success: true,
-                challan: savedChallan.toJSON(),
-                message: 'Challan created successfully and saved to database'
-            };
-
-        } catch (error) {
-            console.error('Error creating challan:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
-    }
-
-    async processPayment(citizenId, challanId, paymentData) {
-        try {
-            // 1. Validate citizen
-            const citizen = await User.findById(citizenId);
-            if (!citizen) {
-                throw new Error('Citizen not found');
-            }
-
-            // 2. Find challan in database
-            const challan = await Challan.findById(challanId);
-            if (!challan) {
-                throw new Error('Challan not found');
-            }
-
-            if (challan.citizenId.toString() !== citizenId) {
-                throw new Error('Unauthorized access to challan');
-            }
-
-            if (challan.status === 'paid') {
-                throw new Error('Challan already paid');
-            }
-
-            // 3. Process payment using Strategy pattern
-            const paymentResult = this.paymentProcessor.processPayment(
-                challan.fineAmount,
-                paymentData.details,
-                paymentData.method
-            );
-
-            if (!paymentResult.success) {
-                throw new Error('Payment processing failed: ' + paymentResult.error);
-            }
-
-            // 4. Save payment record to database
-            const paymentDoc = new Payment({
-                transactionId: paymentResult.transactionId,
-                challanId: challan._id,
-                citizenId: citizenId,
-                amount: challan.fineAmount,
-                fee: paymentResult.fee,
-                totalAmount: paymentResult.amount,
-                paymentMethod: paymentData.method,
-                gateway: paymentResult.gateway,
-                gatewayTransactionId: paymentResult.transactionId,
-                status: 'completed',
-                paymentDetails: {
-                    cardLast4: paymentData.details.cardNumber ? paymentData.details.cardNumber.slice(-4) : null,
-                    upiId: paymentData.details.upiId
-                }
-            });
-
-            const savedPayment = await paymentDoc.save();
-
-            // 5. Update challan status
-            challan.status = 'paid';
-            challan.paymentDate = new Date();
-            await challan.save();
-
-            // 6. Send notifications using Observer pattern
-            this.notificationSubject.notifyObservers('payment_received', {
-                challanId: challan._id.toString(),
-                challanNumber: challan.challanNumber,
-                citizenEmail: citizen.email,
-                citizenPhone: citizen.phone,
-                amount: paymentResult.amount,
-                transactionId: paymentResult.transactionId
-            });
-
-            return {
-                success: true,
-                payment: savedPayment.toJSON(),
-                challan: challan.toJSON(),
-                message: 'Payment processed successfully and saved to database'
-            };
-
-        } catch (error) {
-            console.error('Error processing payment:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
-    }
-
-    async getUserDashboard(userId) {
-        try {
-            const user = await User.findById(userId);
-            if (!user) {
-                throw new Error('User not found');
-            }
-
-            const userOOP = user.toOOPInstance();
-            let dashboardData = {};
-
-            if (user.role === 'citizen') {
-                // Get citizen's challans from database
-                const challans = await Challan.find({ citizenId: userId });
-
-                dashboardData = {
-                    role: 'citizen',
-                    totalChallans: challans.length,
-                    pendingChallans: challans.filter(c => c.status === 'pending').length,
-                    paidChallans: challans.filter(c => c.status === 'paid').length,
-                    totalFineAmount: challans.reduce((sum, c) => sum + c.fineAmount, 0),
-                    recentChallans: challans.slice(-5).map(c => c.toJSON())
-                };
-
-            } else if (user.role === 'officer') {
-                // Get officer's issued challans from database
-                const challans = await Challan.find({ officerId: userId });
-                const today = new Date().toDateString();
-
-                // Get payment data for collection amount
-                const challanIds = challans.map(c => c._id);
-                const payments = await Payment.find({
-                    challanId: { $in: challanIds },
-                    status: 'completed'
-                });
-
-                dashboardData = {
-                    role: 'officer',
-                    issuedChallans: challans.length,        
-                    todayChallans: challans.filter(c =>
-                        new Date(c.dateTime).toDateString() === today
-                    ).length,
-                    thisMonthChallans: challans.filter(c => {
-                        const challanMonth = new Date(c.dateTime).getMonth();
-                        const currentMonth = new Date().getMonth();
-                        return challanMonth === currentMonth;
-                    }).length,
-                    collectionAmount: payments.reduce((sum, p) => sum + p.amount, 0),
-                    recentChallans: challans.slice(-5).map(c => c.toJSON())
-                };
-            }
-
-            return {
-                success: true,
-                user: userOOP.toJSON(),
-                dashboard: dashboardData,
-                message: 'Dashboard data retrieved from database'
-            };
-
-        } catch (error) {
-            console.error('Error getting dashboard:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
-    }
-
-    // Get all challans
-    async getAllChallans(userId, userRole, page = 1, limit = 10) {
-        try {
-            const skip = (page - 1) * limit;
-            let query = {};
-
-            // Role-based filtering
-            if (userRole === 'citizen') {
-                query.citizenId = userId;
-            } else if (userRole === 'officer') {
-                // Officers can see their own challans or all (depending on permissions)
-                query.officerId = userId;
-            }
-
-            const challans = await Challan.find(query)
-                .populate('citizenId', 'name email')
-                .populate('officerId', 'name badgeNumber')
-                .sort({ dateTime: -1 })
-                .skip(skip)
-                .limit(parseInt(limit));
-
-            const total = await Challan.countDocuments(query);
-
-            return {
-                success: true,
-                challans: challans.map(c => c.toJSON()),
-                pagination: {
-                    page: parseInt(page),
-                    limit: parseInt(limit),
-                    total,
-                    pages: Math.ceil(total / limit)
-                },
-                message: 'Challans retrieved from database'
-            };
-
-        } catch (error) {
-            console.error('Error getting challans:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
-    }
-
-    // Get payment history
-    async getPaymentHistory(userId, userRole) {
-        try {
-            let query = {};
-
-            if (userRole === 'citizen') {
-                query.citizenId = userId;
-            }
-
-            const payments = await Payment.find(query)
-                .populate('challanId', 'challanNumber vehicleNumber violationType')
-                .sort({ paymentDate: -1 });
-
-            return {
-                success: true,
-                payments: payments.map(p => p.toJSON()),
-                message: 'Payment history retrieved from database'
-            };
-
-        } catch (error) {
-            console.error('Error getting payment history:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
-    }
-}
-
-/**
- * Decorator Pattern for User Permissions
- * Problem: Need to dynamically add/remove permissions and features to users
- * Solution: Decorator pattern allows adding behavior without modifying original classes
- */
-
-// Base Component (User Wrapper)
-class UserPermissionComponent {
-    constructor(user) {
-        this.user = user;
-    }
-
-    getPermissions() {
-        return this.user.getPermissions();
-    }
-
-    getDashboardData() {
-        return this.user.getDashboardData();
-    }
-
-    canPerformAction(action) {
-        return this.getPermissions().includes(action);
-    }
-
-    getUser() {
-        return this.user;
-    }
-}
-
-// Base Decorator
-class UserPermissionDecorator extends UserPermissionComponent {
-    constructor(userComponent) {
-        super(userComponent.getUser());
-        this.wrappedComponent = userComponent;
-    }
-
-    getPermissions() {
-        return this.wrappedComponent.getPermissions();
-    }
-
-    getDashboardData() {
-        return this.wrappedComponent.getDashboardData();
-    }
-}
-
-// Concrete Decorators
-class SupervisorPermissionDecorator extends UserPermissionDecorator {
-    constructor(userComponent) {
-        super(userComponent);
-        this.additionalPermissions = [
-            'view_team_performance',
-            'assign_cases',
-            'approve_disputes',
-            'generate_team_reports'
-        ];
-    }
-
-    getPermissions() {
-        const basePermissions = super.getPermissions();
-        return [...basePermissions, ...this.additionalPermissions];
-    }
-
-    async getDashboardData() {
-        const baseDashboard = await super.getDashboardData();
-
-        return {
-            ...baseDashboard,
-            supervisorFeatures: {
-                teamMembers: 5,
-                pendingApprovals: 3,
-                teamPerformance: 85
-            }
-        };
-    }
-
-    getTeamMembers() {
-        // Supervisor-specific functionality
-        return ['officer1', 'officer2', 'officer3'];
-    }
-}
-
-class TemporaryAccessDecorator extends UserPermissionDecorator {
-    constructor(userComponent, temporaryPermissions, expiryDate) {
-        super(userComponent);
-        this.temporaryPermissions = temporaryPermissions;
-        this.expiryDate = expiryDate;
-    }
-
-    getPermissions() {
-        const basePermissions = super.getPermissions();
-
-        // Check if temporary access has expired
-        if (new Date() > this.expiryDate) {
-            return basePermissions;
-        }
-
-        return [...basePermissions, ...this.temporaryPermissions];
-    }
-
-    async getDashboardData() {
-        const baseDashboard = await super.getDashboardData();
-
-        if (new Date() <= this.expiryDate) {
-            return {
-                ...baseDashboard,
-                temporaryAccess: {
-                    permissions: this.temporaryPermissions,
-                    expiresAt: this.expiryDate,
-                    isActive: true
-                }
-            };
-        }
-
-        return baseDashboard;
-    }
-
-    isTemporaryAccessActive() {
-        return new Date() <= this.expiryDate;
-    }
-}
-
-class AuditTrailDecorator extends UserPermissionDecorator {
-    constructor(userComponent, auditService) {
-        super(userComponent);
-        this.auditService = auditService;
-        this.actionLog = [];
-    }
-
-    canPerformAction(action) {
-        const canPerform = super.canPerformAction(action);
-
-        // Log the permission check
-        this.logAction('permission_check', {
-            action: action,
-            result: canPerform,
-            timestamp: new Date(),
-            userId: this.user.getId()
-        });
-
-        return canPerform;
-    }
-
-    async getDashboardData() {
-        const dashboardData = await super.getDashboardData();
-
-        // Log dashboard access
-        this.logAction('dashboard_access', {
-            timestamp: new Date(),
-            userId: this.user.getId()
-        });
-
-        return {
-            ...dashboardData,
-            auditInfo: {
-                totalActions: this.actionLog.length,
-                lastAction: this.actionLog[this.actionLog.length - 1]
-            }
-        };
-    }
-
-    logAction(actionType, details) {
-        const logEntry = {
-            actionType,
-            details,
-            timestamp: new Date()
-        };
-
-        this.actionLog.push(logEntry);
-
-        // Send to audit service
-        if (this.auditService) {
-            this.auditService.logUserAction(logEntry);
-        }
-    }
-
-    getActionLog() {
-        return this.actionLog;
-    }
-}
-
-class FeatureToggleDecorator extends UserPermissionDecorator {
-    constructor(userComponent, enabledFeatures = []) {
-        super(userComponent);
-        this.enabledFeatures = new Set(enabledFeatures);
-    }
-
-    getPermissions() {
-        const basePermissions = super.getPermissions();
-        const filteredPermissions = basePermissions.filter(permission =>
-            this.isFeatureEnabled(permission)
-        );
-
-        return filteredPermissions;
-    }
-
-    async getDashboardData() {
-        const baseDashboard = await super.getDashboardData();
-
-        // Filter dashboard features based on enabled features
-        const filteredDashboard = { ...baseDashboard };
-
-        if (!this.isFeatureEnabled('advanced_reports')) {
-            delete filteredDashboard.reports;
-        }
-
-        if (!this.isFeatureEnabled('notifications')) {
-            delete filteredDashboard.notifications;
-        }
-
-        return {
-            ...filteredDashboard,
-            enabledFeatures: Array.from(this.enabledFeatures)
-        };
-    }
-
-    isFeatureEnabled(feature) {
-        return this.enabledFeatures.has(feature) || this.enabledFeatures.has('*');
-    }
-
-    enableFeature(feature) {
-        this.enabledFeatures.add(feature);
-    }
-
-    disableFeature(feature) {
-        this.enabledFeatures.delete(feature);
-    }
-}
-
-// Permission Decorator Factory
-class PermissionDecoratorFactory {
-    static createDecoratedUser(user, decoratorConfigs = []) {
-        let decoratedUser = new UserPermissionComponent(user);
-
-        decoratorConfigs.forEach(config => {
-            switch (config.type) {
-                case 'supervisor':
-                    decoratedUser = new SupervisorPermissionDecorator(decoratedUser);
-                    break;
-                case 'temporary':
-                    decoratedUser = new TemporaryAccessDecorator(
-                        decoratedUser,
-                        config.permissions,
-                        config.expiryDate
-                    );
-                    break;
-                case 'audit':
-                    decoratedUser = new AuditTrailDecorator(decoratedUser, config.auditService);
-                    break;
-                case 'feature_toggle':
-                    decoratedUser = new FeatureToggleDecorator(decoratedUser, config.features);
-                    break;
-            }
-        });
-
-        return decoratedUser;
-    }
-}
-
-// Usage Example for Decorator Pattern
-class UserPermissionManager {
-    static setupUserWithDecorators(user, userRole, specialAccess = []) {
-        const decoratorConfigs = [];
-
-        // Add supervisor permissions for senior officers
-        if (userRole === 'officer' && specialAccess.includes('supervisor')) {
-            decoratorConfigs.push({ type: 'supervisor' });
-        }
-
-        // Add temporary access for specific scenarios
-        if (specialAccess.includes('temporary_admin')) {
-            decoratorConfigs.push({
-                type: 'temporary',
-                permissions: ['delete_challans', 'modify_fines'],
-                expiryDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
-            });
-        }
-
-        // Add audit trail for admin users
-        if (userRole === 'admin') {
-            decoratorConfigs.push({
-                type: 'audit',
-                auditService: require('../services/auditService')
-            });
-        }
-
-        // Add feature toggles based on user preferences
-        if (specialAccess.includes('beta_features')) {
-            decoratorConfigs.push({
-                type: 'feature_toggle',
-                features: ['advanced_search', 'bulk_operations', 'analytics_dashboard']
-            });
-        }
-
-        return PermissionDecoratorFactory.createDecoratedUser(user, decoratorConfigs);
-    }
-}
-
-module.exports = {
-    // Factory Pattern
-    ViolationFactory,
-
-    // Strategy Pattern
-    PaymentStrategy,
-    CreditCardPaymentStrategy,
-    DebitCardPaymentStrategy,
-    UPIPaymentStrategy,
-    PaymentProcessor,
-
-    // Observer Pattern
-    ChallanNotificationSubject,
-    NotificationObserver,
-    EmailNotificationObserver,
-    SMSNotificationObserver,
-    DatabaseLogObserver,
-
-    // Singleton Pattern
-    DatabaseConnection,
-    ConfigurationManager,
-
-    // Adapter Pattern
-    PaymentGatewayInterface,
-    StripeAdapter,
-    PayPalAdapter,
-    PaymentGatewayFactory,
-
-    // Facade Pattern
-    EChallanFacade,
-
-    // Decorator Pattern
-    UserPermissionComponent,
-    UserPermissionDecorator,
-    SupervisorPermissionDecorator,
-    TemporaryAccessDecorator,
-    AuditTrailDecorator,
-    FeatureToggleDecorator,
-    PermissionDecoratorFactory,
-    UserPermissionManager
+﻿/**
+ * Violation Factory
+ * Problem: Need to create different violation types without coupling client code to specific classes
+ * Solution: Factory pattern encapsulates object creation logic; the types themselves
+ *           come from the violation type registry
+ */
+const {
+    UserManager,
+    ViolationManager
+} = require('./ClassHierarchy');
+const { violationTypeRegistry } = require('./ViolationRegistry');
+const crypto = require('crypto');
+const path = require('path');
+const User = require('../models/User');
+const Challan = require('../models/Challan');
+const { Payment } = require('../models/Payment');
+const Dispute = require('../models/Dispute');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const Vehicle = require('../models/Vehicle');
+const DemeritPoint = require('../models/DemeritPoint');
+const FineSchedule = require('../models/FineSchedule');
+const Evidence = require('../models/Evidence');
+const Device = require('../models/Device');
+const Detection = require('../models/Detection');
+const WebhookEvent = require('../models/WebhookEvent');
+const { ChallanLifecycle } = require('./ChallanLifecycle');
+const { PenaltyRuleFactory } = require('./PenaltyRules');
+const { DemeritPolicy } = require('./DemeritPolicy');
+const { OffenceCombinationRuleFactory } = require('./OffenceCombination');
+const { EvidenceStorageFactory } = require('../services/evidenceStorage');
+const { ThumbnailService } = require('../services/thumbnailService');
+const { PdfDocumentService } = require('../services/pdfDocumentService');
+const { PublicLookupTokenService } = require('../services/publicLookupToken');
+const { ChallanVerificationTokenService } = require('../services/challanVerificationToken');
+const { PaymentWebhookFactory } = require('../services/paymentWebhooks');
+const { WebhookSimulator } = require('../services/webhookSimulator');
+const { SimulatedGatewayAPI } = require('../services/gatewaySimulator');
+const { NetBankingService, BANKS: NET_BANKING_BANKS } = require('../services/netBanking');
+const CashUp = require('../models/CashUp');
+const { PaymentIntent } = require('../models/PaymentIntent');
+const { Refund } = require('../models/Refund');
+const { LedgerEntry } = require('../models/LedgerEntry');
+const { PaymentTokenVault, TOKENISABLE_METHODS } = require('../services/paymentTokens');
+const { FinancialLedger } = require('../services/ledger');
+const { SettlementFileParser, SettlementFileInbox, SettlementReconciler, SETTLED_PAYMENT_STATUSES } = require('../services/settlementReconciliation');
+const { ReconciliationReport } = require('../models/ReconciliationReport');
+
+class ViolationFactory {
+    static createViolation(violationData) {
+        return violationTypeRegistry.createViolation(violationData);
+    }
+
+    static getSupportedViolationTypes() {
+        return violationTypeRegistry.getTypeNames();
+    }
+
+    // Fine range for a violation type, read from the same rates the violation classes price from
+    static getViolationInfo(violationType, fineSchedule = null) {
+        const info = violationTypeRegistry
+            .describe(fineSchedule)
+            .find(type => type.name === violationTypeRegistry.resolve(violationType)?.name);
+        if (!info) {
+            throw new Error(`Unknown violation type: ${violationType}`);
+        }
+
+        return {
+            baseMinFine: info.minFine,
+            maxFine: info.maxFine,
+            description: info.description,
+            fineScheduleVersion: info.fineScheduleVersion
+        };
+    }
+}
+
+
+/**
+ * Payment Strategy Interface
+ * Problem: Need to support multiple payment methods with different processing logic
+ * Solution: Strategy pattern allows switching payment algorithms at runtime
+ */
+
+// Abstract Strategy
+class PaymentStrategy {
+    processPayment(amount, paymentDetails) {
+        throw new Error("processPayment method must be implemented");
+    }
+
+    validatePaymentDetails(paymentDetails) {
+        throw new Error("validatePaymentDetails method must be implemented");
+    }
+
+    getTransactionFee(amount) {
+        throw new Error("getTransactionFee method must be implemented");
+    }
+}
+
+// Concrete Strategies
+class CreditCardPaymentStrategy extends PaymentStrategy {
+    processPayment(amount, paymentDetails) {
+        this.validatePaymentDetails(paymentDetails);
+
+        const fee = this.getTransactionFee(amount);
+        const totalAmount = amount + fee;
+
+        // Simulate credit card processing
+        const transactionId = 'CC_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+        return {
+            success: true,
+            transactionId,
+            amount: totalAmount,
+            fee,
+            paymentMethod: 'credit_card',
+            processedAt: new Date(),
+            gateway: 'stripe'
+        };
+    }
+
+    validatePaymentDetails(paymentDetails) {
+        const { cardNumber, expiryDate, cvv, holderName } = paymentDetails;
+
+        if (!cardNumber || cardNumber.length < 16) {
+            throw new Error('Invalid card number');
+        }
+        if (!cvv || cvv.length < 3) {
+            throw new Error('Invalid CVV');
+        }
+        if (!holderName) {
+            throw new Error('Card holder name required');
+        }
+    }
+
+    getTransactionFee(amount) {
+        return Math.max(amount * 0.029, 10); // 2.9% or minimum $10
+    }
+}
+
+class DebitCardPaymentStrategy extends PaymentStrategy {
+    processPayment(amount, paymentDetails) {
+        this.validatePaymentDetails(paymentDetails);
+
+        const fee = this.getTransactionFee(amount);
+        const totalAmount = amount + fee;
+
+        const transactionId = 'DC_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+        return {
+            success: true,
+            transactionId,
+            amount: totalAmount,
+            fee,
+            paymentMethod: 'debit_card',
+            processedAt: new Date(),
+            gateway: 'razorpay'
+        };
+    }
+
+    validatePaymentDetails(paymentDetails) {
+        const { cardNumber, pin, holderName } = paymentDetails;
+
+        if (!cardNumber || cardNumber.length < 16) {
+            throw new Error('Invalid card number');
+        }
+        if (!pin || pin.length !== 4) {
+            throw new Error('Invalid PIN');
+        }
+    }
+
+    getTransactionFee(amount) {
+        return Math.min(amount * 0.015, 25); // 1.5% or maximum $25
+    }
+}
+
+class UPIPaymentStrategy extends PaymentStrategy {
+    processPayment(amount, paymentDetails) {
+        this.validatePaymentDetails(paymentDetails);
+
+        const fee = this.getTransactionFee(amount);
+        const totalAmount = amount + fee;
+
+        const transactionId = 'UPI_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+        return {
+            success: true,
+            transactionId,
+            amount: totalAmount,
+            fee,
+            paymentMethod: 'upi',
+            processedAt: new Date(),
+            gateway: 'payu'
+        };
+    }
+
+    validatePaymentDetails(paymentDetails) {
+        const { upiId, pin } = paymentDetails;
+
+        if (!upiId || !upiId.includes('@')) {
+            throw new Error('Invalid UPI ID');
+        }
+        if (!pin || pin.length !== 4) {
+            throw new Error('Invalid UPI PIN');
+        }
+    }
+
+    getTransactionFee(amount) {
+        return 0; // UPI is typically free
+    }
+}
+
+// Net banking is confirmed by the bank after a redirect, so the payment starts out pending
+class NetBankingPaymentStrategy extends PaymentStrategy {
+    processPayment(amount, paymentDetails) {
+        this.validatePaymentDetails(paymentDetails);
+
+        const fee = this.getTransactionFee(amount);
+        const totalAmount = amount + fee;
+
+        const transactionId = 'NB_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+        return {
+            success: true,
+            status: 'pending',
+            requiresRedirect: true,
+            transactionId,
+            amount: totalAmount,
+            fee,
+            paymentMethod: 'net_banking',
+            bankCode: paymentDetails.bankCode,
+            bankName: NET_BANKING_BANKS[paymentDetails.bankCode],
+            processedAt: new Date(),
+            gateway: 'netbanking'
+        };
+    }
+
+    validatePaymentDetails(paymentDetails) {
+        const { bankCode } = paymentDetails;
+
+        if (!bankCode || !NET_BANKING_BANKS[bankCode]) {
+            throw new Error(`Unsupported bank: ${bankCode}. Choose one of ${Object.keys(NET_BANKING_BANKS).join(', ')}`);
+        }
+    }
+
+    getTransactionFee(amount) {
+        return 5; // flat bank charge
+    }
+}
+
+// Cash handed to an officer or counter clerk, who records it against a numbered paper receipt
+class CashPaymentStrategy extends PaymentStrategy {
+    processPayment(amount, paymentDetails) {
+        this.validatePaymentDetails(paymentDetails);
+
+        const { amountTendered } = paymentDetails;
+        if (amountTendered !== undefined && Number(amountTendered) < amount) {
+            throw new Error(`Cash tendered (${amountTendered}) does not cover the amount due (${amount})`);
+        }
+
+        const transactionId = 'CASH_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+
+        return {
+            success: true,
+            transactionId,
+            amount,
+            fee: this.getTransactionFee(amount),
+            changeGiven: amountTendered !== undefined ? Math.round((Number(amountTendered) - amount) * 100) / 100 : 0,
+            paymentMethod: 'cash',
+            processedAt: new Date(),
+            gateway: 'cash'
+        };
+    }
+
+    validatePaymentDetails(paymentDetails) {
+        const { receiptNumber, collectedBy } = paymentDetails;
+
+        if (!receiptNumber || !String(receiptNumber).trim()) {
+            throw new Error('Cash receipt number required');
+        }
+        if (!collectedBy) {
+            throw new Error('Collecting officer required');
+        }
+    }
+
+    getTransactionFee(amount) {
+        return 0;
+    }
+}
+
+// Payment Context Class
+class PaymentProcessor {
+    constructor() {
+        this.strategy = null;
+    }
+
+    setPaymentStrategy(strategy) {
+        this.strategy = strategy;
+    }
+
+    processPayment(amount, paymentDetails, paymentMethod) {
+        this.selectStrategy(paymentMethod);
+        return this.strategy.processPayment(amount, paymentDetails);
+    }
+
+    // Check the details without charging, e.g. before they are tokenised
+    validatePaymentDetails(paymentDetails, paymentMethod) {
+        this.selectStrategy(paymentMethod);
+        this.strategy.validatePaymentDetails(paymentDetails);
+    }
+
+    // The fee the strategy would add to an amount, to show the total before charging
+    getTransactionFee(amount, paymentMethod) {
+        this.selectStrategy(paymentMethod);
+        return Math.round(this.strategy.getTransactionFee(amount) * 100) / 100;
+    }
+
+    selectStrategy(paymentMethod) {
+        // Set strategy based on payment method
+        switch (paymentMethod) {
+            case 'credit_card':
+                this.setPaymentStrategy(new CreditCardPaymentStrategy());
+                break;
+            case 'debit_card':
+                this.setPaymentStrategy(new DebitCardPaymentStrategy());
+                break;
+            case 'upi':
+                this.setPaymentStrategy(new UPIPaymentStrategy());
+                break;
+            case 'net_banking':
+                this.setPaymentStrategy(new NetBankingPaymentStrategy());
+                break;
+            case 'cash':
+                this.setPaymentStrategy(new CashPaymentStrategy());
+                break;
+            default:
+                throw new Error(`Unsupported payment method: ${paymentMethod}`);
+        }
+    }
+}
+
+/**
+ * Observer Pattern for Notifications
+ * Problem: Need to notify multiple parties when challan status changes
+ * Solution: Observer pattern decouples notification logic from business logic
+ */
+
+// Subject (Observable)
+class ChallanNotificationSubject {
+    constructor() {
+        this.observers = [];
+    }
+
+    addObserver(observer) {
+        this.observers.push(observer);
+    }
+
+    removeObserver(observer) {
+        this.observers = this.observers.filter(obs => obs !== observer);
+    }
+
+    notifyObservers(event, data) {
+        this.observers.forEach(observer => {
+            try {
+                observer.update(event, data);
+            } catch (error) {
+                console.error('Observer notification error:', error.message);
+            }
+        });
+    }
+}
+
+// Observer Interface
+class NotificationObserver {
+    update(event, data) {
+        throw new Error("update method must be implemented");
+    }
+}
+
+// Concrete Observers
+class EmailNotificationObserver extends NotificationObserver {
+    constructor(emailService) {
+        super();
+        this.emailService = emailService;
+    }
+
+    update(event, data) {
+        try {
+            switch (event) {
+                case 'challan_created':
+                    this.sendChallanCreatedEmail(data);
+                    break;
+                case 'payment_received':
+                    this.sendPaymentConfirmationEmail(data);
+                    break;
+                case 'payment_failed':
+                    this.sendPaymentFailedEmail(data);
+                    break;
+                case 'challan_disputed':
+                    this.sendDisputeNotificationEmail(data);
+                    break;
+                case 'dispute_resolved':
+                    this.sendDisputeResolvedEmail(data);
+                    break;
+                case 'challan_overdue':
+                    this.sendOverdueNoticeEmail(data);
+                    break;
+                case 'license_suspension_review':
+                    this.sendSuspensionReviewEmail(data);
+                    break;
+                case 'payment_plan_approved':
+                case 'payment_plan_voided':
+                    this.sendPaymentPlanEmail(event, data);
+                    break;
+                default:
+                    console.log(`Unhandled email event: ${event}`);
+            }
+        } catch (error) {
+            console.error('Email notification error:', error.message);
+        }
+    }
+
+    sendChallanCreatedEmail(data) {
+        const emailContent = {
+            to: data.citizenEmail,
+            subject: 'New Traffic Violation - E-Challan Issued',
+            template: 'challan_created',
+            data: data
+        };
+
+        if (this.emailService && typeof this.emailService.sendEmail === 'function') {
+            this.emailService.sendEmail(emailContent);
+        } else {
+            console.log('Mock Email (Challan Created):', emailContent);
+        }
+    }
+
+    sendPaymentConfirmationEmail(data) {
+        const emailContent = {
+            to: data.citizenEmail,
+            subject: 'Payment Confirmation - E-Challan',
+            template: 'payment_confirmation',
+            data: data
+        };
+
+        if (this.emailService && typeof this.emailService.sendEmail === 'function') {
+            this.emailService.sendEmail(emailContent);
+        } else {
+            console.log('Mock Email (Payment Confirmation):', emailContent);
+        }
+    }
+
+    sendPaymentFailedEmail(data) {
+        const emailContent = {
+            to: data.citizenEmail,
+            subject: 'Payment Not Completed - E-Challan',
+            template: 'payment_failed',
+            data: data
+        };
+
+        if (this.emailService && typeof this.emailService.sendEmail === 'function') {
+            this.emailService.sendEmail(emailContent);
+        } else {
+            console.log('Mock Email (Payment Failed):', emailContent);
+        }
+    }
+
+    sendDisputeNotificationEmail(data) {
+        const emailContent = {
+            to: data.officerEmail,
+            subject: 'Challan Disputed - Review Required',
+            template: 'challan_disputed',
+            data: data
+        };
+
+        if (this.emailService && typeof this.emailService.sendEmail === 'function') {
+            this.emailService.sendEmail(emailContent);
+        } else {
+            console.log('Mock Email (Dispute Notification):', emailContent);
+        }
+    }
+
+    sendDisputeResolvedEmail(data) {
+        const emailContent = {
+            to: data.citizenEmail,
+            subject: 'Dispute Decision - E-Challan',
+            template: 'dispute_resolved',
+            data: data
+        };
+
+        if (this.emailService && typeof this.emailService.sendEmail === 'function') {
+            this.emailService.sendEmail(emailContent);
+        } else {
+            console.log('Mock Email (Dispute Resolved):', emailContent);
+        }
+    }
+
+    sendOverdueNoticeEmail(data) {
+        const emailContent = {
+            to: data.citizenEmail,
+            subject: 'Overdue Challan - Late Payment Penalty Applied',
+            template: 'challan_overdue',
+            data: data
+        };
+
+        if (this.emailService && typeof this.emailService.sendEmail === 'function') {
+            this.emailService.sendEmail(emailContent);
+        } else {
+            console.log('Mock Email (Challan Overdue):', emailContent);
+        }
+    }
+
+    sendSuspensionReviewEmail(data) {
+        const emailContent = {
+            to: data.citizenEmail,
+            subject: 'Licence Flagged for Suspension Review - E-Challan',
+            template: 'license_suspension_review',
+            data: data
+        };
+
+        if (this.emailService && typeof this.emailService.sendEmail === 'function') {
+            this.emailService.sendEmail(emailContent);
+        } else {
+            console.log('Mock Email (Suspension Review):', emailContent);
+        }
+    }
+
+    sendPaymentPlanEmail(event, data) {
+        const emailContent = {
+            to: data.citizenEmail,
+            subject: event === 'payment_plan_approved'
+                ? 'Payment Plan Approved - E-Challan'
+                : 'Payment Plan Cancelled - E-Challan',
+            template: event,
+            data: data
+        };
+
+        if (this.emailService && typeof this.emailService.sendEmail === 'function') {
+            this.emailService.sendEmail(emailContent);
+        } else {
+            console.log('Mock Email (Payment Plan):', emailContent);
+        }
+    }
+}
+
+class SMSNotificationObserver extends NotificationObserver {
+    constructor(smsService) {
+        super();
+        this.smsService = smsService;
+    }
+
+    update(event, data) {
+        try {
+            switch (event) {
+                case 'challan_created':
+                    this.sendChallanCreatedSMS(data);
+                    break;
+                case 'payment_received':
+                    this.sendPaymentConfirmationSMS(data);
+                    break;
+                case 'dispute_resolved':
+                    this.sendDisputeResolvedSMS(data);
+                    break;
+                case 'challan_overdue':
+                    this.sendOverdueNoticeSMS(data);
+                    break;
+                case 'payment_plan_voided':
+                    this.sendPaymentPlanVoidedSMS(data);
+                    break;
+                default:
+                    console.log(`Unhandled SMS event: ${event}`);
+            }
+        } catch (error) {
+            console.error('SMS notification error:', error.message);
+        }
+    }
+
+    sendChallanCreatedSMS(data) {
+        const message = `New traffic violation issued. Challan: ${data.challanNumber}. Fine: $${data.fineAmount}. Pay online to avoid penalties.`;
+
+        if (this.smsService && typeof this.smsService.sendSMS === 'function') {
+            this.smsService.sendSMS(data.citizenPhone, message);
+        } else {
+            console.log('Mock SMS (Challan Created):', { to: data.citizenPhone, message });
+        }
+    }
+
+    sendPaymentConfirmationSMS(data) {
+        const message = `Payment confirmed for Challan ${data.challanNumber}. Amount: $${data.amount}. Thank you.`;
+
+        if (this.smsService && typeof this.smsService.sendSMS === 'function') {
+            this.smsService.sendSMS(data.citizenPhone, message);
+        } else {
+            console.log('Mock SMS (Payment Confirmation):', { to: data.citizenPhone, message });
+        }
+    }
+
+    sendDisputeResolvedSMS(data) {
+        const message = `Your dispute for Challan ${data.challanNumber} was decided: ${data.outcome.replace('_', ' ')}. Fine: $${data.fineAmount}.`;
+
+        if (this.smsService && typeof this.smsService.sendSMS === 'function') {
+            this.smsService.sendSMS(data.citizenPhone, message);
+        } else {
+            console.log('Mock SMS (Dispute Resolved):', { to: data.citizenPhone, message });
+        }
+    }
+
+    sendOverdueNoticeSMS(data) {
+        const message = `Challan ${data.challanNumber} is overdue. Late penalty: $${data.penaltyAmount}. Amount now due: $${data.fineAmount}.`;
+
+        if (this.smsService && typeof this.smsService.sendSMS === 'function') {
+            this.smsService.sendSMS(data.citizenPhone, message);
+        } else {
+            console.log('Mock SMS (Challan Overdue):', { to: data.citizenPhone, message });
+        }
+    }
+
+    sendPaymentPlanVoidedSMS(data) {
+        const message = `Payment plan for Challan ${data.challanNumber} was cancelled: ${data.reason}. Amount due: $${data.amountDue}. Late penalties now apply.`;
+
+        if (this.smsService && typeof this.smsService.sendSMS === 'function') {
+            this.smsService.sendSMS(data.citizenPhone, message);
+        } else {
+            console.log('Mock SMS (Payment Plan Voided):', { to: data.citizenPhone, message });
+        }
+    }
+}
+
+class DatabaseLogObserver extends NotificationObserver {
+    constructor(logService) {
+        super();
+        this.logService = logService;
+    }
+
+    update(event, data) {
+        try {
+            const logEntry = {
+                timestamp: new Date(),
+                event: event,
+                challanId: data.challanId,
+                userId: data.userId,
+                details: data
+            };
+
+            if (this.logService && typeof this.logService.logActivity === 'function') {
+                this.logService.logActivity(logEntry);
+            } else {
+                console.log('Mock Log Activity:', logEntry);
+            }
+        } catch (error) {
+            console.error('Database log error:', error.message);
+        }
+    }
+}
+
+/**
+ * Singleton Pattern for Database and Configuration
+ * Problem: Need single instance of database connection and app configuration
+ * Solution: Singleton ensures only one instance exists throughout application
+ */
+
+class DatabaseConnection {
+    constructor() {
+        if (DatabaseConnection.instance) {
+            return DatabaseConnection.instance;
+        }
+
+        this.connection = null;
+        this.isConnected = false;
+        DatabaseConnection.instance = this;
+    }
+
+    static getInstance() {
+        if (!DatabaseConnection.instance) {
+            DatabaseConnection.instance = new DatabaseConnection();
+        }
+        return DatabaseConnection.instance;
+    }
+
+    async connect(connectionString) {
+        if (this.isConnected) {
+            return this.connection;
+        }
+
+        try {
+            const mongoose = require('mongoose');
+            this.connection = await mongoose.connect(connectionString);
+            this.isConnected = true;
+            console.log('Database connected successfully');
+            return this.connection;
+        } catch (error) {
+            console.error('Database connection failed:', error);
+            throw error;
+        }
+    }
+
+    getConnection() {
+        if (!this.isConnected) {
+            throw new Error('Database not connected. Call connect() first.');
+        }
+        return this.connection;
+    }
+
+    async disconnect() {
+        if (this.isConnected) {
+            await this.connection.disconnect();
+            this.isConnected = false;
+            this.connection = null;
+        }
+    }
+}
+
+class ConfigurationManager {
+    constructor() {
+        if (ConfigurationManager.instance) {
+            return ConfigurationManager.instance;
+        }
+
+        this.config = {};
+        this.loadConfiguration();
+        ConfigurationManager.instance = this;
+    }
+
+    static getInstance() {
+        if (!ConfigurationManager.instance) {
+            ConfigurationManager.instance = new ConfigurationManager();
+        }
+        return ConfigurationManager.instance;
+    }
+
+    loadConfiguration() {
+        this.config = {
+            database: {
+                uri: process.env.MONGO_URI,
+                options: {
+                    useNewUrlParser: true,
+                    useUnifiedTopology: true
+                }
+            },
+            jwt: {
+                secret: process.env.JWT_SECRET,
+                expiresIn: process.env.JWT_EXPIRES_IN || '30d'
+            },
+            email: {
+                host: process.env.EMAIL_HOST,
+                port: process.env.EMAIL_PORT,
+                user: process.env.EMAIL_USER,
+                password: process.env.EMAIL_PASSWORD
+            },
+            app: {
+                port: process.env.PORT || 5001,
+                environment: process.env.NODE_ENV || 'development',
+                // Frontend address printed on notices and encoded in their QR codes
+                publicUrl: process.env.PUBLIC_APP_URL || 'http://localhost:3000',
+                authorityName: process.env.AUTHORITY_NAME || 'Traffic Enforcement Authority'
+            },
+            penalties: {
+                rule: process.env.PENALTY_RULE || 'percentage',
+                flatAmount: Number(process.env.PENALTY_FLAT_AMOUNT) || 100,
+                rate: Number(process.env.PENALTY_RATE) || 0.1,
+                periodDays: Number(process.env.PENALTY_PERIOD_DAYS) || 30,
+                graceDays: Number(process.env.PENALTY_GRACE_DAYS) || 0,
+                maxPeriods: Number(process.env.PENALTY_MAX_PERIODS) || 12
+            },
+            demerits: {
+                windowDays: Number(process.env.DEMERIT_WINDOW_DAYS) || 365,
+                suspensionThreshold: Number(process.env.DEMERIT_SUSPENSION_THRESHOLD) || 12,
+                escalationSteps: (process.env.REPEAT_OFFENDER_MULTIPLIERS || '1,1.5,2').split(',').map(Number)
+            },
+            offences: {
+                rule: process.env.OFFENCE_COMBINATION_RULE || 'sum',
+                additionalRate: Number(process.env.OFFENCE_ADDITIONAL_RATE) || 0.5,
+                maxTotalFine: Number(process.env.OFFENCE_MAX_TOTAL_FINE) || null,
+                maxPerChallan: Number(process.env.MAX_OFFENCES_PER_CHALLAN) || 5
+            },
+            evidence: {
+                storage: process.env.EVIDENCE_STORAGE || 'local',
+                localPath: process.env.EVIDENCE_STORAGE_PATH || path.join(__dirname, '..', 'uploads', 'evidence'),
+                maxFileSizeMb: Number(process.env.EVIDENCE_MAX_FILE_MB) || 25,
+                maxFilesPerUpload: Number(process.env.EVIDENCE_MAX_FILES) || 10,
+                thumbnailWidth: Number(process.env.EVIDENCE_THUMBNAIL_WIDTH) || 320
+            },
+            publicLookup: {
+                maxAttempts: Number(process.env.PUBLIC_LOOKUP_MAX_ATTEMPTS) || 10,
+                windowMs: Number(process.env.PUBLIC_LOOKUP_WINDOW_MS) || 15 * 60 * 1000,
+                tokenExpiresIn: process.env.PUBLIC_LOOKUP_TOKEN_TTL || '15m',
+                chassisDigits: Number(process.env.PUBLIC_LOOKUP_CHASSIS_DIGITS) || 4
+            },
+            verification: {
+                // Signs the QR codes on printed documents; keep it stable or older notices stop verifying
+                secret: process.env.VERIFICATION_SECRET || process.env.JWT_SECRET,
+                maxRequests: Number(process.env.VERIFICATION_MAX_REQUESTS) || 60
+            },
+            detections: {
+                dedupWindowSeconds: Number(process.env.DETECTION_DEDUP_WINDOW_SECONDS) || 120,
+                maxClockSkewSeconds: Number(process.env.DETECTION_MAX_CLOCK_SKEW_SECONDS) || 300
+            },
+            payments: {
+                lockTimeoutSeconds: Number(process.env.PAYMENT_LOCK_TIMEOUT_SECONDS) || 120,
+                idempotencyKeyTtlHours: Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+                // Gateway adapter that makes the charges; unset keeps the built-in payment strategies
+                gateway: process.env.PAYMENT_GATEWAY || null,
+                simulator: {
+                    scenario: process.env.PAYMENT_SIMULATOR_SCENARIO || null,
+                    timeoutMs: Number(process.env.PAYMENT_SIMULATOR_TIMEOUT_MS) || 3000,
+                    settlementDelayMs: Number(process.env.PAYMENT_SIMULATOR_SETTLEMENT_DELAY_MS) || 5000,
+                    webhookUrl: process.env.PAYMENT_SIMULATOR_WEBHOOK_URL
+                        || `http://localhost:${process.env.PORT || 5001}/api/payments/webhooks`
+                },
+                // Two-phase checkout: how long an intent holds its amount, and a payment token lives
+                intentExpiryMinutes: Number(process.env.PAYMENT_INTENT_EXPIRY_MINUTES) || 15,
+                maxChallansPerIntent: Number(process.env.PAYMENT_INTENT_MAX_CHALLANS) || 10,
+                tokenTtlMinutes: Number(process.env.PAYMENT_TOKEN_TTL_MINUTES) || 15,
+                // Refunds above this amount wait for a second admin to approve them
+                refundApprovalThreshold: Number(process.env.REFUND_APPROVAL_THRESHOLD) || 1000
+            },
+            netBanking: {
+                // Shared with the bank to sign the redirect and the bank's response
+                secret: process.env.NETBANKING_SECRET || process.env.JWT_SECRET,
+                // Unset sends payers to the frontend's simulated bank page
+                bankUrl: process.env.NETBANKING_BANK_URL || null,
+                sessionMinutes: Number(process.env.NETBANKING_SESSION_MINUTES) || 15
+            },
+            webhooks: {
+                // Shared signing secrets from each gateway's dashboard
+                secrets: {
+                    stripe: process.env.STRIPE_WEBHOOK_SECRET,
+                    paypal: process.env.PAYPAL_WEBHOOK_SECRET,
+                    simulator: process.env.SIMULATOR_WEBHOOK_SECRET
+                },
+                toleranceSeconds: Number(process.env.WEBHOOK_TOLERANCE_SECONDS) || 300
+            },
+            paymentPlans: {
+                minFineAmount: Number(process.env.PAYMENT_PLAN_MIN_FINE) || 1000,
+                maxInstallments: Number(process.env.PAYMENT_PLAN_MAX_INSTALLMENTS) || 6,
+                intervalDays: Number(process.env.PAYMENT_PLAN_INTERVAL_DAYS) || 30,
+                graceDays: Number(process.env.PAYMENT_PLAN_GRACE_DAYS) || 7
+            },
+            reconciliation: {
+                // 'files' imports settlement files dropped in settlementPath; 'gateway' asks PAYMENT_GATEWAY about each payment
+                source: process.env.RECONCILIATION_SOURCE || 'files',
+                settlementPath: process.env.SETTLEMENT_FILES_PATH || path.join(__dirname, '..', 'uploads', 'settlements'),
+                lookbackHours: Number(process.env.RECONCILIATION_LOOKBACK_HOURS) || 24,
+                amountTolerance: Number(process.env.RECONCILIATION_AMOUNT_TOLERANCE) || 0.01
+            },
+            jobs: {
+                enabled: process.env.JOBS_ENABLED !== 'false',
+                overduePenaltyInterval: Number(process.env.OVERDUE_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+                paymentPlanDefaultInterval: Number(process.env.PAYMENT_PLAN_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+                reconciliationInterval: Number(process.env.RECONCILIATION_JOB_INTERVAL_MS) || 24 * 60 * 60 * 1000
+            }
+        };
+    }
+
+    get(key) {
+        const keys = key.split('.');
+        let value = this.config;
+
+        for (const k of keys) {
+            value = value[k];
+            if (value === undefined) break;
+        }
+
+        return value;
+    }
+
+    set(key, value) {
+        const keys = key.split('.');
+        let current = this.config;
+
+        for (let i = 0; i < keys.length - 1; i++) {
+            if (!current[keys[i]]) {
+                current[keys[i]] = {};
+            }
+            current = current[keys[i]];
+        }
+
+        current[keys[keys.length - 1]] = value;
+    }
+}
+
+/**
+ * Adapter Pattern for Payment Gateways
+ * Problem: Different payment gateways have different APIs
+ * Solution: Adapter pattern creates uniform interface for different gateways
+ */
+
+// Target Interface (what our application expects)
+class PaymentGatewayInterface {
+    processPayment(paymentData) {
+        throw new Error("processPayment method must be implemented");
+    }
+
+    refundPayment(transactionId, amount) {
+        throw new Error("refundPayment method must be implemented");
+    }
+
+    getTransactionStatus(transactionId) {
+        throw new Error("getTransactionStatus method must be implemented");
+    }
+}
+
+// Adaptee (external API - Stripe)
+class StripeAPI {
+    createCharge(amount, currency, source, description) {
+        // Simulate Stripe API call
+        return {
+            id: 'ch_' + Math.random().toString(36).substr(2, 9),
+            amount: amount * 100, // Stripe uses cents
+            currency,
+            status: 'succeeded',
+            created: Math.floor(Date.now() / 1000)
+        };
+    }
+
+    createRefund(chargeId, amount) {
+        return {
+            id: 're_' + Math.random().toString(36).substr(2, 9),
+            charge: chargeId,
+            amount: amount * 100,
+            status: 'succeeded'
+        };
+    }
+
+    retrieveCharge(chargeId) {
+        return {
+            id: chargeId,
+            status: 'succeeded',
+            amount: 50000, // $500 in cents
+            currency: 'usd'
+        };
+    }
+}
+
+// Adapter
+class StripeAdapter extends PaymentGatewayInterface {
+    constructor() {
+        super();
+        this.stripeAPI = new StripeAPI();
+    }
+
+    processPayment(paymentData) {
+        try {
+            const { amount, currency = 'usd', cardToken, description } = paymentData;
+
+            const stripeResponse = this.stripeAPI.createCharge(
+                amount,
+                currency,
+                cardToken,
+                description
+            );
+
+            return {
+                success: true,
+                transactionId: stripeResponse.id,
+                amount: amount,
+                currency: stripeResponse.currency,
+                status: stripeResponse.status,
+                gateway: 'stripe',
+                processedAt: new Date()
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                gateway: 'stripe'
+            };
+        }
+    }
+
+    refundPayment(transactionId, amount) {
+        try {
+            const refundResponse = this.stripeAPI.createRefund(transactionId, amount);
+
+            return {
+                success: true,
+                refundId: refundResponse.id,
+                amount: amount,
+                status: refundResponse.status,
+                gateway: 'stripe'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                gateway: 'stripe'
+            };
+        }
+    }
+
+    getTransactionStatus(transactionId) {
+        try {
+            const charge = this.stripeAPI.retrieveCharge(transactionId);
+
+            return {
+                transactionId: charge.id,
+                status: charge.status,
+                amount: charge.amount / 100, // Convert from cents
+                currency: charge.currency,
+                gateway: 'stripe'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                gateway: 'stripe'
+            };
+        }
+    }
+}
+
+// Another Adaptee (PayPal API)
+class PayPalAPI {
+    executePayment(paymentId, payerId) {
+        return {
+            id: paymentId,
+            state: 'approved',
+            transactions: [{
+                amount: { total: '500.00', currency: 'USD' },
+                related_resources: [{
+                    sale: {
+                        id: 'sale_' + Math.random().toString(36).substr(2, 9),
+                        state: 'completed'
+                    }
+                }]
+            }]
+        };
+    }
+
+    refundSale(saleId, amount) {
+        return {
+            id: 'refund_' + Math.random().toString(36).substr(2, 9),
+            state: 'completed',
+            amount: { total: amount.toString(), currency: 'USD' }
+        };
+    }
+}
+
+// Another Adapter
+class PayPalAdapter extends PaymentGatewayInterface {
+    constructor() {
+        super();
+        this.paypalAPI = new PayPalAPI();
+    }
+
+    processPayment(paymentData) {
+        try {
+            const { paymentId, payerId } = paymentData;
+
+            const paypalResponse = this.paypalAPI.executePayment(paymentId, payerId);
+
+            return {
+                success: true,
+                transactionId: paypalResponse.transactions[0].related_resources[0].sale.id,
+                amount: parseFloat(paypalResponse.transactions[0].amount.total),
+                currency: paypalResponse.transactions[0].amount.currency.toLowerCase(),
+                status: paypalResponse.state,
+                gateway: 'paypal',
+                processedAt: new Date()
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                gateway: 'paypal'
+            };
+        }
+    }
+
+    refundPayment(transactionId, amount) {
+        try {
+            const refundResponse = this.paypalAPI.refundSale(transactionId, amount);
+
+            return {
+                success: true,
+                refundId: refundResponse.id,
+                amount: parseFloat(refundResponse.amount.total),
+                status: refundResponse.state,
+                gateway: 'paypal'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                gateway: 'paypal'
+            };
+        }
+    }
+
+    getTransactionStatus(transactionId) {
+        // Simplified for demo
+        return {
+            transactionId,
+            status: 'completed',
+            amount: 500.00,
+            currency: 'usd',
+            gateway: 'paypal'
+        };
+    }
+}
+
+// Adapter for the local gateway simulator, whose outcomes can be scripted (see services/gatewaySimulator)
+class SimulatedGatewayAdapter extends PaymentGatewayInterface {
+    constructor(simulatorAPI) {
+        super();
+        this.simulatorAPI = simulatorAPI;
+    }
+
+    async processPayment(paymentData) {
+        try {
+            const { amount, currency = 'usd', description, ...source } = paymentData;
+
+            const charge = await this.simulatorAPI.createCharge(amount, currency, source, description);
+
+            if (charge.status === 'failed') {
+                return {
+                    success: false,
+                    error: charge.failureMessage,
+                    declineCode: charge.failureCode,
+                    transactionId: charge.id,
+                    gateway: 'simulator'
+                };
+            }
+
+            return {
+                success: true,
+                transactionId: charge.id,
+                amount: charge.amount,
+                currency: charge.currency,
+                status: charge.status,
+                gateway: 'simulator',
+                processedAt: new Date()
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                declineCode: error.code,
+                gateway: 'simulator'
+            };
+        }
+    }
+
+    async refundPayment(transactionId, amount) {
+        try {
+            const refund = this.simulatorAPI.createRefund(transactionId, amount);
+
+            return {
+                success: true,
+                refundId: refund.id,
+                amount: refund.amount,
+                remainingAmount: refund.balance,
+                status: refund.status,
+                gateway: 'simulator'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                gateway: 'simulator'
+            };
+        }
+    }
+
+    async getTransactionStatus(transactionId) {
+        try {
+            const charge = this.simulatorAPI.retrieveCharge(transactionId);
+
+            return {
+                transactionId: charge.id,
+                status: charge.status,
+                amount: charge.amount,
+                amountRefunded: charge.amountRefunded,
+                currency: charge.currency,
+                gateway: 'simulator'
+            };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                gateway: 'simulator'
+            };
+        }
+    }
+}
+
+// Payment Gateway Factory (combining Factory + Adapter patterns)
+class PaymentGatewayFactory {
+    static createGateway(gatewayType) {
+        switch (gatewayType.toLowerCase()) {
+            case 'stripe':
+                return new StripeAdapter();
+            case 'paypal':
+                return new PayPalAdapter();
+            case 'simulator':
+                return new SimulatedGatewayAdapter(this.getSimulatorAPI());
+            default:
+                throw new Error(`Unsupported payment gateway: ${gatewayType}`);
+        }
+    }
+
+    // The gateway selected by PAYMENT_GATEWAY, or null when payments use the built-in strategies
+    static fromConfiguration(paymentConfig = ConfigurationManager.getInstance().get('payments')) {
+        return paymentConfig.gateway ? this.createGateway(paymentConfig.gateway) : null;
+    }
+
+    // One simulator per process, so refunds and status checks see the charges it made
+    static getSimulatorAPI() {
+        if (!this.simulatorAPI) {
+            const config = ConfigurationManager.getInstance();
+            const { webhookUrl, ...options } = config.get('payments.simulator');
+            const secret = config.get('webhooks.secrets.simulator');
+
+            // Delayed charges confirm themselves with a signed webhook, as a real gateway would
+            const webhooks = secret ? new WebhookSimulator({ gateway: 'simulator', secret, targetUrl: webhookUrl }) : null;
+
+            this.simulatorAPI = new SimulatedGatewayAPI({
+                ...options,
+                onSettled: webhooks
+                    ? charge => webhooks.send({ type: 'payment.succeeded', transactionId: charge.id, amount: charge.amount })
+                    : null
+            });
+        }
+        return this.simulatorAPI;
+    }
+}
+
+/**
+ * Facade Pattern for E-Challan Management
+ * Problem: Complex interactions between multiple subsystems for challan operations
+ * Solution: Facade provides simplified interface to coordinate multiple operations
+ */
+
+class EChallanFacade {
+    constructor() {
+        this.userManager = new (require('./ClassHierarchy').UserManager)();
+        this.violationManager = new (require('./ClassHierarchy').ViolationManager)();
+        this.paymentProcessor = new PaymentProcessor();
+        this.notificationSubject = new ChallanNotificationSubject();
+        this.financialLedger = new FinancialLedger();
+
+        // Setup notification observers
+        this.setupNotificationObservers();
+    }
+
+    setupNotificationObservers() {
+        try {
+            let emailService, smsService, logService;
+
+            try {
+                emailService = require('../utils/emailService');
+            } catch (error) {
+                emailService = {
+                    sendEmail: (emailContent) => {
+                        console.log('📧 Mock Email:', emailContent);
+                        return Promise.resolve({ success: true });
+                    }
+                };
+            }
+
+            try {
+                smsService = require('../utils/smsService');
+            } catch (error) {
+                smsService = {
+                    sendSMS: (phone, message) => {
+                        console.log('📱 Mock SMS:', { phone, message });
+                        return Promise.resolve({ success: true });
+                    }
+                };
+            }
+
+            try {
+                logService = require('../utils/logService');
+            } catch (error) {
+                logService = {
+                    logActivity: (logEntry) => {
+                        console.log('📝 Mock Log:', logEntry);
+                        return Promise.resolve({ success: true });
+                    }
+                };
+            }
+
+            this.notificationSubject.addObserver(new EmailNotificationObserver(emailService));
+            this.notificationSubject.addObserver(new SMSNotificationObserver(smsService));
+            this.notificationSubject.addObserver(new DatabaseLogObserver(logService));
+
+            console.log('✅ Notification observers setup successfully');
+        } catch (error) {
+            console.error('❌ Error setting up notification observers:', error.message);
+        }
+    }
+
+    async createChallan(officerId, violationData) {
+        try {
+            // 1. Validate officer permissions
+            const officer = await User.findById(officerId);
+            if (!officer) {
+                throw new Error('Officer not found');
+            }
+
+            const officerOOP = officer.toOOPInstance();
+            if (!officerOOP.getPermissions().includes('create_challans')) {
+                throw new Error('Officer not authorized to create challans');
+            }
+
+            // 2. Resolve the citizen from the vehicle's owner at the time of the violation
+            const violationTime = violationData.dateTime ? new Date(violationData.dateTime) : new Date();
+            if (isNaN(violationTime.getTime()) || violationTime > new Date()) {
+                throw new Error('Invalid violation date and time');
+            }
+
+            const vehicle = await Vehicle.findByRegistration(violationData.vehicleNumber);
+            if (!vehicle) {
+                throw new Error(`Vehicle ${violationData.vehicleNumber} is not registered`);
+            }
+
+            const ownerId = vehicle.getOwnerAt(violationTime);
+            const citizen = ownerId ? await User.findById(ownerId) : null;
+            if (!citizen) {
+                throw new Error(`No registered owner for vehicle ${vehicle.registrationNumber} at the time of the violation`);
+            }
+
+            // Device behind a measured reading, with the calibration it was under at the violation time
+            let device = null;
+            if (violationData.deviceId) {
+                const deviceDoc = await Device.findOne({ deviceId: String(violationData.deviceId).trim().toUpperCase() });
+                if (!deviceDoc) {
+                    throw new Error(`Device ${violationData.deviceId} is not registered`);
+                }
+                device = deviceDoc.toReadingSnapshot(violationTime);
+            }
+
+            // 3. Check each offence's type-specific fields
+            const offenceInputs = this.getOffenceInputs(violationData);
+            offenceInputs.forEach((input, index) => {
+                const fieldErrors = violationTypeRegistry.validateFields(input.violationType, input);
+                if (fieldErrors.length > 0) {
+                    const prefix = offenceInputs.length > 1 ? `Offence ${index + 1}: ` : '';
+                    throw new Error(prefix + fieldErrors.join('; '));
+                }
+            });
+
+            // 4. Price each offence with its own violation class (factory pattern) from the fine
+            //    schedule in force at the violation time, escalated for repeat offenders
+            const fineSchedule = await this.getFineScheduleAt(violationTime);
+            const demeritPolicy = this.getDemeritPolicy();
+            const priorViolationCount = await this.countPriorViolations(citizen._id, vehicle._id, violationTime, demeritPolicy);
+
+            const processedViolations = offenceInputs.map(input => ViolationFactory.createViolation({
+                ...input,
+                vehicleNumber: vehicle.registrationNumber,
+                location: violationData.location,
+                description: violationData.description,
+                dateTime: violationTime,
+                device,
+                citizenId: citizen._id.toString(),
+                officerId: officerId
+            })
+                .applyFineSchedule(fineSchedule)
+                .setOffenderHistory(priorViolationCount, demeritPolicy.getFineMultiplier(priorViolationCount))
+                .processViolation());
+            const [primaryViolation] = processedViolations;
+
+            // 5. REAL MongoDB save using the integrated model
+            const challanDoc = new Challan({
+                citizenId: citizen._id,
+                officerId: officerId,
+                vehicleId: vehicle._id,
+                vehicleNumber: vehicle.registrationNumber,
+                violationType: primaryViolation.violationType,
+                location: violationData.location,
+                description: violationData.description,
+                offences: processedViolations.map((processed, index) => ({
+                    itemNumber: index + 1,
+                    violationType: processed.violationType,
+                    details: violationTypeRegistry.pickFields(processed.violationType, processed),
+                    baseFineAmount: processed.fineAmount,
+                    fineAmount: processed.fineAmount,
+                    demeritPoints: demeritPolicy.getPoints(processed.violationType)
+                })),
+                priorViolationCount: primaryViolation.priorViolationCount,
+                repeatOffenderMultiplier: primaryViolation.repeatOffenderMultiplier,
+                fineScheduleId: fineSchedule._id,
+                fineScheduleVersion: primaryViolation.fineScheduleVersion,
+
+                // Violation-specific fields of the first offence, with the class defaults applied
+                ...violationTypeRegistry.pickFields(primaryViolation.violationType, primaryViolation),
+
+                evidenceUrl: violationData.evidenceUrl,
+                detectionId: violationData.detectionId,
+                lookupPin: Challan.generateLookupPin(),
+                device: device ? {
+                    deviceRef: device.id,
+                    deviceId: device.deviceId,
+                    deviceType: device.type,
+                    calibrationStatus: device.calibration.status,
+                    calibrationCertificate: device.calibration.certificateNumber,
+                    calibratedAt: device.calibration.calibratedAt,
+                    calibrationExpiresAt: device.calibration.expiresAt
+                } : undefined,
+                dateTime: violationTime
+            });
+
+            // Combine the offence fines into the challan total
+            challanDoc.applyOffenceCombination(this.getOffenceCombinationRule());
+
+            const savedChallan = await challanDoc.save();
+            await this.recordDemeritPoints(savedChallan, citizen, demeritPolicy);
+            await this.recordLedger({ challan: savedChallan });
+
+            // 6. Send notifications using Observer pattern
+            this.notificationSubject.notifyObservers('challan_created', {
+                challanId: savedChallan._id.toString(),
+                challanNumber: savedChallan.challanNumber,
+                citizenEmail: citizen.email,
+                citizenPhone: citizen.phone,
+                officerId: officerId,
+                fineAmount: savedChallan.fineAmount,
+                violationType: savedChallan.offences.map(offence => offence.violationType).join(', ')
+            });
+
+            return {
+                success: true,
+                challan: savedChallan.toJSON(),
+                message: 'Challan created successfully and saved to database'
+            };
+
+        } catch (error) {
+            console.error('Error creating challan:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Register a vehicle in the registry against its first owner
+    async registerVehicle(actorId, vehicleData) {
+        try {
+            const owner = await this.findCitizenForVehicle(vehicleData);
+
+            const registrationNumber = Vehicle.normalizeRegistration(vehicleData.registrationNumber);
+            if (!registrationNumber) {
+                throw new Error('Registration number is required');
+            }
+
+            const existingVehicle = await Vehicle.findOne({ registrationNumber });
+            if (existingVehicle) {
+                throw new Error(`Vehicle ${registrationNumber} is already registered`);
+            }
+
+            const registeredAt = vehicleData.registeredAt ? new Date(vehicleData.registeredAt) : new Date();
+            const vehicle = new Vehicle({
+                registrationNumber,
+                vehicleType: vehicleData.vehicleType,
+                make: vehicleData.make,
+                model: vehicleData.model,
+                color: vehicleData.color,
+                chassisNumber: vehicleData.chassisNumber,
+                currentOwnerId: owner._id,
+                ownershipHistory: [{
+                    ownerId: owner._id,
+                    from: registeredAt,
+                    transferReason: 'Initial registration',
+                    recordedBy: actorId
+                }]
+            });
+
+            const savedVehicle = await vehicle.save();
+
+            // Keep the citizen's vehicle list in step with the registry
+            await User.updateOne({ _id: owner._id }, { $addToSet: { vehicleNumbers: registrationNumber } });
+
+            return {
+                success: true,
+                vehicle: savedVehicle.toJSON(),
+                message: 'Vehicle registered successfully'
+            };
+
+        } catch (error) {
+            console.error('Error registering vehicle:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Record a change of ownership, keeping the previous owner's period on record
+    async transferVehicleOwnership(actorId, vehicleId, transferData) {
+        try {
+            const vehicle = await Vehicle.findById(vehicleId);
+            if (!vehicle) {
+                throw new Error('Vehicle not found');
+            }
+
+            const newOwner = await this.findCitizenForVehicle(transferData);
+
+            const transfer = vehicle.transferOwnership(newOwner._id, {
+                effectiveDate: transferData.effectiveDate || new Date(),
+                reason: transferData.reason,
+                recordedBy: actorId
+            });
+
+            const savedVehicle = await vehicle.save();
+
+            await User.updateOne(
+                { _id: transfer.previousOwnerId },
+                { $pull: { vehicleNumbers: vehicle.registrationNumber } }
+            );
+            await User.updateOne(
+                { _id: newOwner._id },
+                { $addToSet: { vehicleNumbers: vehicle.registrationNumber } }
+            );
+
+            return {
+                success: true,
+                vehicle: savedVehicle.toJSON(),
+                message: `Vehicle ${vehicle.registrationNumber} transferred to ${newOwner.name}`
+            };
+
+        } catch (error) {
+            console.error('Error transferring vehicle ownership:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Resolve the owning citizen by id or email
+    async findCitizenForVehicle({ ownerId, ownerEmail }) {
+        const query = ownerId ? { _id: ownerId } : { email: ownerEmail };
+        if (!ownerId && !ownerEmail) {
+            throw new Error('Owner id or email is required');
+        }
+
+        const owner = await User.findOne({ ...query, role: 'citizen' });
+        if (!owner) {
+            throw new Error('Owner must be a registered citizen');
+        }
+
+        return owner;
+    }
+
+    async processPayment(citizenId, challanId, paymentData) {
+        try {
+            // 1. Validate citizen
+            const citizen = await User.findById(citizenId);
+            if (!citizen) {
+                throw new Error('Citizen not found');
+            }
+
+            // 2. Find challan in database
+            const challan = await Challan.findById(challanId);
+            if (!challan) {
+                throw new Error('Challan not found');
+            }
+
+            if (challan.citizenId.toString() !== citizenId) {
+                throw new Error('Unauthorized access to challan');
+            }
+
+            // The strategy always checks and prices the charge here; choosing an adapter is processGatewayPayment's job
+            const { gateway, ...strategyPayment } = paymentData;
+            return await this.withChallanPaymentLock(challan._id, locked => this.settleChallan(locked, strategyPayment, { citizen }));
+
+        } catch (error) {
+            console.error('Error processing payment:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode,
+                paymentId: error.paymentId
+            };
+        }
+    }
+
+    /**
+     * Pay a challan again after a declined payment, by card or UPI. It is charged like a new payment:
+     * under the challan's payment lock, for what is outstanding now (penalties may have accrued since).
+     */
+    async retryPayment(citizenId, paymentId, paymentData) {
+        try {
+            const citizen = await User.findById(citizenId);
+            if (!citizen) {
+                throw new Error('Citizen not found');
+            }
+
+            const originalPayment = await Payment.findById(paymentId);
+            if (!originalPayment) {
+                throw Object.assign(new Error('Payment not found'), { statusCode: 404 });
+            }
+
+            if (!originalPayment.citizenId || originalPayment.citizenId.toString() !== citizenId) {
+                throw Object.assign(new Error('Access denied'), { statusCode: 403 });
+            }
+
+            if (originalPayment.status !== 'failed') {
+                throw Object.assign(new Error('Can only retry failed payments'), { statusCode: 400 });
+            }
+
+            if (['net_banking', 'cash'].includes(paymentData.method)) {
+                throw Object.assign(new Error('Retry by card or UPI, or pay the challan again by net banking'), { statusCode: 400 });
+            }
+
+            const result = await this.withChallanPaymentLock(originalPayment.challanId, locked => this.settleChallan(locked, paymentData, { citizen }));
+            return { ...result, originalPaymentId: originalPayment._id.toString() };
+
+        } catch (error) {
+            console.error('Error retrying payment:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode,
+                gatewayError: error.gatewayError,
+                paymentId: error.paymentId
+            };
+        }
+    }
+
+    /**
+     * Run a payment while holding the challan's payment lock, so concurrent submits cannot both charge it.
+     * The callback gets the challan as read under the lock and must do its charging and saving inside it.
+     */
+    async withChallanPaymentLock(challanId, pay) {
+        const lockId = crypto.randomUUID();
+        const staleAfterMs = ConfigurationManager.getInstance().get('payments.lockTimeoutSeconds') * 1000;
+
+        const challan = await Challan.acquirePaymentLock(challanId, lockId, { staleAfterMs });
+        if (!challan) {
+            throw Object.assign(new Error('A payment for this challan is already in progress'), { statusCode: 409 });
+        }
+
+        try {
+            return await pay(challan);
+        } finally {
+            await Challan.releasePaymentLock(challan._id, lockId);
+        }
+    }
+
+    /**
+     * Charge the outstanding amount on a challan and mark it paid (call inside withChallanPaymentLock).
+     * The payer is either the logged-in citizen or a guest who looked the vehicle up publicly.
+     * Cash is recorded by the officer or clerk who took it (collector) on behalf of the owner.
+     */
+    async settleChallan(challan, paymentData, { citizen = null, guestContact = null, collector = null } = {}) {
+        // payment_plan -> paid is a legal transition, so plan challans are refused here rather than by the lifecycle
+        if (challan.status === 'payment_plan') {
+            throw Object.assign(new Error('Challan is on an active payment plan, pay the next installment instead'), { statusCode: 409 });
+        }
+
+        if (paymentData.method === 'cash' && !collector) {
+            throw Object.assign(new Error('Cash payments are recorded by the officer or clerk who takes the cash'), { statusCode: 403 });
+        }
+
+        // Refuse before charging if the challan cannot move to paid
+        ChallanLifecycle.assertTransition(challan.status, 'paid');
+        await this.assertNoPendingPayment(challan._id);
+
+        // Bring late penalties up to date so the penalised amount is charged
+        challan.applyLatePenalty(this.getPenaltyRule());
+        const amountDue = challan.getOutstandingAmount();
+
+        // 3. Process payment using Strategy pattern
+        const paymentResult = await this.chargePayment(amountDue, paymentData);
+        const settled = paymentResult.success && paymentResult.status !== 'pending';
+
+        // 4. Record the payment; declined attempts are saved as 'failed' so they can be retried
+        const paymentDoc = new Payment({
+            transactionId: paymentResult.transactionId,
+            challanId: challan._id,
+            payerType: citizen ? 'citizen' : 'guest',
+            citizenId: citizen ? citizen._id : undefined,
+            guestContact: citizen ? undefined : guestContact,
+            amount: amountDue,
+            penaltyAmount: challan.penaltyAmount,
+            fee: paymentResult.fee,
+            totalAmount: paymentResult.amount,
+            paymentMethod: paymentData.method,
+            gateway: paymentResult.gateway,
+            gatewayTransactionId: paymentResult.gatewayTransactionId,
+            status: settled ? 'completed' : (paymentResult.success ? 'pending' : 'failed'),
+            failureReason: paymentResult.success ? undefined : paymentResult.error,
+            paymentDetails: {
+                cardLast4: paymentResult.paymentDetails.last4 || null,
+                cardType: paymentResult.paymentDetails.brand,
+                upiId: paymentResult.paymentDetails.upiId,
+                bankName: paymentResult.bankName
+            },
+            cashCollection: paymentData.method === 'cash' ? {
+                receiptNumber: String(paymentData.details.receiptNumber).trim(),
+                collectedBy: collector._id,
+                location: paymentData.details.location,
+                amountTendered: paymentData.details.amountTendered,
+                changeGiven: paymentResult.changeGiven
+            } : undefined
+        });
+
+        // 5. A settled payment pays the challan; a pending one waits for the gateway or bank
+        const actor = collector || citizen;
+        if (settled) {
+            this.completeChallanPayment(challan, paymentDoc, {
+                actorId: actor ? actor._id : undefined,
+                actorRole: actor ? actor.role : 'guest',
+                reason: collector
+                    ? `Cash receipt ${paymentDoc.cashCollection.receiptNumber}`
+                    : `Payment ${paymentResult.transactionId}`
+            });
+        }
+
+        const savedPayment = await paymentDoc.save();
+
+        if (savedPayment.status === 'failed') {
+            throw Object.assign(new Error('Payment processing failed: ' + paymentResult.error), {
+                statusCode: 402,
+                gatewayError: paymentResult.error,
+                paymentId: savedPayment._id.toString()
+            });
+        }
+
+        // Net banking continues at the bank; its signed callback completes the payment
+        if (paymentResult.requiresRedirect) {
+            return {
+                success: true,
+                payment: savedPayment.toJSON(),
+                challan: challan.toJSON(),
+                ...this.getNetBankingService().createBankRedirect(savedPayment, paymentData.details.bankCode),
+                message: `Continue at ${paymentResult.bankName} to complete the payment`
+            };
+        }
+
+        // The gateway confirms a pending charge later through its webhook, which marks the challan paid
+        if (savedPayment.status === 'pending') {
+            return {
+                success: true,
+                payment: savedPayment.toJSON(),
+                challan: challan.toJSON(),
+                message: 'Payment accepted and awaiting settlement by the gateway'
+            };
+        }
+
+        await challan.save();
+        await this.recordLedger({ challan, payments: [savedPayment] });
+
+        // 6. Send notifications using Observer pattern
+        await this.notifyPaymentOutcome('payment_received', challan, savedPayment, citizen);
+
+        return {
+            success: true,
+            payment: savedPayment.toJSON(),
+            challan: challan.toJSON(),
+            message: 'Payment processed successfully and saved to database'
+        };
+    }
+
+    /**
+     * Mark a challan paid by a settled payment, splitting the payment across the offences it pays.
+     * Every path that pays a whole challan finishes here: a checkout that settles at once, each
+     * challan of a batch, and a pending charge the gateway or bank later confirms.
+     */
+    completeChallanPayment(challan, payment, transition) {
+        if (payment.allocations.length === 0) {
+            payment.allocations = challan.allocatePayment(payment.amount);
+        }
+        challan.amountPaid = Math.round(((challan.amountPaid || 0) + payment.amount) * 100) / 100;
+        challan.transitionTo('paid', transition);
+    }
+
+    // Tell the payer how a payment ended; the registered owner hears about guest payments
+    async notifyPaymentOutcome(event, challan, payment, payer = null) {
+        const recipient = payer || await User.findById(payment.citizenId || challan.citizenId) || payment.guestContact || {};
+        this.notificationSubject.notifyObservers(event, {
+            challanId: challan._id.toString(),
+            challanNumber: challan.challanNumber,
+            citizenEmail: recipient.email,
+            citizenPhone: recipient.phone,
+            amount: payment.totalAmount,
+            transactionId: payment.transactionId,
+            reason: payment.failureReason
+        });
+    }
+
+    /**
+     * Charge an amount with the payment method's strategy. When PAYMENT_GATEWAY selects a gateway
+     * adapter (such as the simulator) the strategy only validates the details and adds its fee, and
+     * the adapter makes the charge, which can be declined, time out or settle later ('pending').
+     * paymentData carries either a paymentToken or (cash, net banking, older callers) the details.
+     * Only /process-with-gateway names a gateway in paymentData.gateway: that adapter takes the details
+     * in its own format and makes the charge, with no strategy fee.
+     */
+    async chargePayment(amount, paymentData) {
+        const { details, display } = this.resolvePaymentDetails(paymentData);
+        paymentData = { ...paymentData, details };
+
+        if (paymentData.gateway) {
+            const charge = await PaymentGatewayFactory.createGateway(paymentData.gateway).processPayment({
+                amount,
+                currency: 'USD',
+                ...details
+            });
+            return {
+                success: charge.success,
+                status: charge.status,
+                error: charge.error,
+                declineCode: charge.declineCode,
+                amount: charge.amount || amount,
+                fee: 0,
+                gateway: charge.gateway,
+                transactionId: charge.transactionId || `GW_${crypto.randomUUID()}`,
+                gatewayTransactionId: charge.transactionId,
+                paymentDetails: display,
+                bankName: details.bankName
+            };
+        }
+        const paymentResult = {
+            ...this.paymentProcessor.processPayment(amount, details, paymentData.method),
+            paymentDetails: display
+        };
+
+        // Net banking is settled by the bank redirect and cash is taken in person; neither goes to the card gateway
+        const gateway = ['credit_card', 'debit_card', 'upi'].includes(paymentData.method)
+            ? PaymentGatewayFactory.fromConfiguration()
+            : null;
+        if (!gateway) {
+            return {
+                ...paymentResult,
+                status: paymentResult.status || 'succeeded',
+                gatewayTransactionId: paymentResult.transactionId
+            };
+        }
+
+        const charge = await gateway.processPayment({
+            ...paymentData.details,
+            amount: paymentResult.amount,
+            currency: 'usd',
+            description: `${paymentData.method} payment`
+        });
+
+        return {
+            ...paymentResult,
+            success: charge.success,
+            status: charge.status,
+            error: charge.error,
+            declineCode: charge.declineCode,
+            gateway: charge.gateway,
+            // A charge that timed out has no gateway id; keep the strategy's reference for the failed record
+            transactionId: charge.transactionId || paymentResult.transactionId,
+            gatewayTransactionId: charge.transactionId
+        };
+    }
+
+    // One token vault per process, shared by every facade, so any of them can redeem a token
+    static getPaymentTokenVault() {
+        if (!this.paymentTokenVault) {
+            this.paymentTokenVault = new PaymentTokenVault({
+                ttlMinutes: ConfigurationManager.getInstance().get('payments.tokenTtlMinutes')
+            });
+        }
+        return this.paymentTokenVault;
+    }
+
+    /**
+     * Swap card or UPI details for a single-use payment token, as a gateway's client-side
+     * tokenisation would. The strategy checks the details first so mistakes show up before checkout.
+     */
+    tokenizePaymentMethod(method, details = {}) {
+        try {
+            if (!TOKENISABLE_METHODS.includes(method)) {
+                throw new Error(`Payment method ${method} cannot be tokenised`);
+            }
+            this.paymentProcessor.validatePaymentDetails(details, method);
+
+            return { success: true, token: EChallanFacade.getPaymentTokenVault().tokenize(method, details) };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode || 400
+            };
+        }
+    }
+
+    // The details to charge, and the masked version that may be stored and shown
+    resolvePaymentDetails(paymentData) {
+        const vault = EChallanFacade.getPaymentTokenVault();
+        if (paymentData.paymentToken) {
+            return vault.redeem(paymentData.paymentToken, paymentData.method);
+        }
+
+        const details = paymentData.details || {};
+        return {
+            details,
+            display: TOKENISABLE_METHODS.includes(paymentData.method) ? vault.describe(paymentData.method, details) : {}
+        };
+    }
+
+    // Net banking sessions the payer abandoned are failed so the challans can be paid again
+    async expireNetBankingSessions(filter) {
+        const sessionMinutes = ConfigurationManager.getInstance().get('netBanking.sessionMinutes');
+        await Payment.updateMany({
+            ...filter,
+            status: 'pending',
+            paymentMethod: 'net_banking',
+            paymentDate: { $lt: new Date(Date.now() - sessionMinutes * 60 * 1000) }
+        }, { status: 'failed', failureReason: 'The net banking session expired before the bank confirmed the payment' });
+    }
+
+    // A challan can only have one payment in flight
+    async assertNoPendingPayment(challanId) {
+        await this.expireNetBankingSessions({ challanId });
+
+        if (await Payment.exists({ challanId, status: 'pending' })) {
+            throw Object.assign(new Error('An earlier payment for this challan is still awaiting settlement'), { statusCode: 409 });
+        }
+    }
+
+    /**
+     * Checkout phase one: lock the amount due on one or more of the citizen's challans. The intent
+     * holds that amount until it expires and is charged by confirmPaymentIntent.
+     */
+    async createPaymentIntent(citizenId, challanIds) {
+        try {
+            const { items, amount } = await this.loadCheckoutItems(citizenId, challanIds);
+
+            const intent = await PaymentIntent.create({
+                citizenId,
+                items,
+                amount,
+                expiresAt: new Date(Date.now() + ConfigurationManager.getInstance().get('payments.intentExpiryMinutes') * 60 * 1000)
+            });
+
+            return {
+                success: true,
+                intent: intent.toJSON(),
+                message: 'Payment intent created'
+            };
+
+        } catch (error) {
+            console.error('Error creating payment intent:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // The amount due on each challan in a checkout, after checking every one of them can be paid now
+    async loadCheckoutItems(citizenId, challanIds) {
+        const ids = [...new Set([].concat(challanIds || []).filter(Boolean).map(String))];
+        if (ids.length === 0) {
+            throw Object.assign(new Error('Choose at least one challan to pay'), { statusCode: 400 });
+        }
+        const maxChallans = ConfigurationManager.getInstance().get('payments.maxChallansPerIntent');
+        if (ids.length > maxChallans) {
+            throw Object.assign(new Error(`At most ${maxChallans} challans can be paid together`), { statusCode: 400 });
+        }
+
+        const found = await Challan.find({ _id: { $in: ids } });
+        const challans = ids.map(id => found.find(challan => challan._id.toString() === id));
+        if (challans.includes(undefined)) {
+            throw Object.assign(new Error('Challan not found'), { statusCode: 404 });
+        }
+
+        const items = [];
+        for (const challan of challans) {
+            if (challan.citizenId.toString() !== citizenId) {
+                throw Object.assign(new Error('Unauthorized access to challan'), { statusCode: 403 });
+            }
+            if (challan.status === 'payment_plan') {
+                throw new Error(`Challan ${challan.challanNumber} is on an active payment plan, pay the next installment instead`);
+            }
+
+            // Lock the penalised amount
+            if (challan.applyLatePenalty(this.getPenaltyRule()).changed) {
+                await challan.save();
+                await this.recordLedger({ challan });
+            }
+            ChallanLifecycle.assertTransition(challan.status, 'paid');
+            await this.assertNoPendingPayment(challan._id);
+
+            items.push({
+                challanId: challan._id,
+                challanNumber: challan.challanNumber,
+                amount: challan.getOutstandingAmount(),
+                penaltyAmount: challan.penaltyAmount
+            });
+        }
+
+        return {
+            items,
+            amount: Math.round(items.reduce((sum, item) => sum + item.amount, 0) * 100) / 100
+        };
+    }
+
+    /**
+     * Price a cart of challans for a payment method: one charge for the combined amount, so a
+     * minimum fee is paid once rather than on every challan.
+     */
+    async quoteChallanPayment(citizenId, challanIds, paymentMethod) {
+        try {
+            const { items, amount } = await this.loadCheckoutItems(citizenId, challanIds);
+            const fee = this.paymentProcessor.getTransactionFee(amount, paymentMethod);
+            const separateFees = items.reduce((sum, item) => sum + this.paymentProcessor.getTransactionFee(item.amount, paymentMethod), 0);
+
+            return {
+                success: true,
+                quote: {
+                    items,
+                    paymentMethod,
+                    amount,
+                    fee,
+                    totalAmount: Math.round((amount + fee) * 100) / 100,
+                    saving: Math.max(0, Math.round((separateFees - fee) * 100) / 100)
+                }
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    /**
+     * Pay several challans in one step: a payment intent for the cart, confirmed straight away.
+     * The payer is charged once and every challan is marked paid, or none is.
+     */
+    async payChallans(citizenId, challanIds, confirmation) {
+        const created = await this.createPaymentIntent(citizenId, challanIds);
+        if (!created.success) {
+            return created;
+        }
+        return await this.confirmPaymentIntent(citizenId, created.intent.id.toString(), confirmation);
+    }
+
+    async getPaymentIntent(citizenId, intentId) {
+        try {
+            const intent = await this.findCitizenPaymentIntent(citizenId, intentId);
+            await this.refreshPaymentIntent(intent);
+
+            return {
+                success: true,
+                intent: intent.toJSON()
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    async cancelPaymentIntent(citizenId, intentId) {
+        try {
+            const intent = await this.findCitizenPaymentIntent(citizenId, intentId);
+            await this.refreshPaymentIntent(intent);
+
+            if (intent.status !== 'requires_payment_method') {
+                throw Object.assign(new Error(`Payment intent is ${intent.status.replace(/_/g, ' ')} and cannot be canceled`), { statusCode: 409 });
+            }
+
+            intent.status = 'canceled';
+            await intent.save();
+
+            return {
+                success: true,
+                intent: intent.toJSON(),
+                message: 'Payment intent canceled'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    /**
+     * Checkout phase two: charge the intent's locked amount with a payment token (card, UPI) or a bank
+     * (net banking). Card and UPI charges usually finish here; delayed charges and net banking finish
+     * later, and the intent follows them when it is next read.
+     */
+    async confirmPaymentIntent(citizenId, intentId, { paymentMethod, paymentToken, bankCode } = {}) {
+        let intent;
+        try {
+            const citizen = await User.findById(citizenId);
+            if (!citizen) {
+                throw Object.assign(new Error('Citizen not found'), { statusCode: 404 });
+            }
+
+            intent = await this.findCitizenPaymentIntent(citizenId, intentId);
+            await this.refreshPaymentIntent(intent);
+            if (intent.status !== 'requires_payment_method') {
+                throw Object.assign(new Error(`Payment intent is ${intent.status.replace(/_/g, ' ')} and cannot be confirmed`), {
+                    statusCode: intent.status === 'expired' ? 410 : 409
+                });
+            }
+
+            let paymentData;
+            if (paymentMethod === 'net_banking') {
+                paymentData = { method: paymentMethod, details: { bankCode } };
+            } else if (TOKENISABLE_METHODS.includes(paymentMethod)) {
+                if (!paymentToken) {
+                    throw Object.assign(new Error('A payment token is required; tokenise the payment details first'), { statusCode: 400 });
+                }
+                paymentData = { method: paymentMethod, ...EChallanFacade.getPaymentTokenVault().redeem(paymentToken, paymentMethod) };
+            } else {
+                throw Object.assign(new Error(`Payment method ${paymentMethod} cannot be used to confirm a payment intent`), { statusCode: 400 });
+            }
+
+            // Claim the intent so a second confirmation cannot charge it again
+            const claimed = await PaymentIntent.findOneAndUpdate(
+                { _id: intent._id, status: 'requires_payment_method' },
+                { status: 'processing', confirmedAt: new Date() },
+                { new: true }
+            );
+            if (!claimed) {
+                throw Object.assign(new Error('Payment intent is already being confirmed'), { statusCode: 409 });
+            }
+            intent = claimed;
+
+            return await this.withChallanPaymentLocks(
+                intent.items.map(item => item.challanId),
+                challans => this.settlePaymentIntent(intent, challans, paymentData, citizen)
+            );
+
+        } catch (error) {
+            console.error('Error confirming payment intent:', error.message);
+
+            // Refused before anything was charged; the payer starts a new checkout
+            if (intent && intent.status === 'processing' && intent.paymentIds.length === 0) {
+                intent.status = 'failed';
+                intent.lastError = error.message;
+                intent.completedAt = new Date();
+                await intent.save();
+            }
+
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode,
+                intent: intent ? intent.toJSON() : undefined
+            };
+        }
+    }
+
+    // Hold the payment lock of every challan in a checkout while it is charged
+    async withChallanPaymentLocks(challanIds, pay, locked = []) {
+        if (locked.length === challanIds.length) {
+            return await pay(locked);
+        }
+        return await this.withChallanPaymentLock(challanIds[locked.length],
+            challan => this.withChallanPaymentLocks(challanIds, pay, [...locked, challan]));
+    }
+
+    // Charge a claimed intent once and record a payment per challan (call inside withChallanPaymentLocks)
+    async settlePaymentIntent(intent, challans, paymentData, citizen) {
+        // Checked again under the locks: another payment, a plan or a new penalty may have changed a challan
+        for (const [index, challan] of challans.entries()) {
+            if (challan.status === 'payment_plan') {
+                throw new Error(`Challan ${challan.challanNumber} is on an active payment plan, pay the next installment instead`);
+            }
+            ChallanLifecycle.assertTransition(challan.status, 'paid');
+            await this.assertNoPendingPayment(challan._id);
+
+            challan.applyLatePenalty(this.getPenaltyRule());
+            if (challan.getOutstandingAmount() !== intent.items[index].amount) {
+                throw Object.assign(new Error(`The amount due on challan ${challan.challanNumber} has changed, please start the payment again`), { statusCode: 409 });
+            }
+        }
+
+        const paymentResult = await this.chargePayment(intent.amount, paymentData);
+        const settled = paymentResult.success && paymentResult.status !== 'pending';
+        const display = paymentResult.paymentDetails;
+        const fees = this.splitAmount(paymentResult.fee || 0, intent.items.map(item => item.amount));
+
+        intent.paymentMethod = {
+            type: paymentData.method,
+            brand: display.brand,
+            last4: display.last4,
+            upiId: display.upiId,
+            bankName: paymentResult.bankName
+        };
+        intent.fee = paymentResult.fee;
+        intent.totalAmount = paymentResult.amount;
+        intent.transactionId = paymentResult.transactionId;
+        intent.gatewayTransactionId = paymentResult.gatewayTransactionId;
+
+        // The charge is recorded against every challan or none: a save failing part way undoes the rest
+        const snapshots = challans.map(challan => challan.snapshotPaymentState());
+        const payments = [];
+        try {
+            for (const [index, challan] of challans.entries()) {
+                const item = intent.items[index];
+                const payment = new Payment({
+                    transactionId: challans.length > 1 ? `${paymentResult.transactionId}-${index + 1}` : paymentResult.transactionId,
+                    challanId: challan._id,
+                    paymentIntentId: intent._id,
+                    citizenId: citizen._id,
+                    amount: item.amount,
+                    penaltyAmount: challan.penaltyAmount,
+                    fee: fees[index],
+                    totalAmount: Math.round((item.amount + fees[index]) * 100) / 100,
+                    paymentMethod: paymentData.method,
+                    gateway: paymentResult.gateway,
+                    gatewayTransactionId: paymentResult.gatewayTransactionId,
+                    status: settled ? 'completed' : (paymentResult.success ? 'pending' : 'failed'),
+                    failureReason: paymentResult.success ? undefined : paymentResult.error,
+                    paymentDetails: {
+                        cardLast4: display.last4 || null,
+                        cardType: display.brand,
+                        upiId: display.upiId,
+                        bankName: paymentResult.bankName
+                    }
+                });
+                if (settled) {
+                    this.completeChallanPayment(challan, payment, {
+                        actorId: citizen._id,
+                        actorRole: citizen.role,
+                        reason: `Payment ${payment.transactionId}`
+                    });
+                }
+                payments.push(await payment.save());
+            }
+
+            if (settled) {
+                for (const challan of challans) {
+                    await challan.save();
+                }
+            }
+        } catch (error) {
+            await this.rollBackPaymentIntent(intent, paymentResult, { challans, snapshots, payments }, error);
+            throw Object.assign(new Error(intent.lastError), { statusCode: 500 });
+        }
+
+        intent.paymentIds = payments.map(payment => payment._id);
+
+        if (!paymentResult.success) {
+            intent.status = 'failed';
+            intent.lastError = paymentResult.error;
+            intent.completedAt = new Date();
+            await intent.save();
+            throw Object.assign(new Error('Payment processing failed: ' + paymentResult.error), { statusCode: 402 });
+        }
+
+        // Net banking continues at the bank with the combined amount
+        if (paymentResult.requiresRedirect) {
+            intent.status = 'requires_action';
+            intent.nextAction = this.getNetBankingService().createBankRedirect(
+                { gatewayTransactionId: paymentResult.gatewayTransactionId, totalAmount: paymentResult.amount },
+                paymentData.details.bankCode
+            );
+            await intent.save();
+            return {
+                success: true,
+                intent: intent.toJSON(),
+                message: `Continue at ${paymentResult.bankName} to complete the payment`
+            };
+        }
+
+        if (!settled) {
+            await intent.save();
+            return {
+                success: true,
+                intent: intent.toJSON(),
+                message: 'Payment accepted and awaiting settlement by the gateway'
+            };
+        }
+
+        for (const [index, challan] of challans.entries()) {
+            const payment = payments[index];
+            await this.recordLedger({ challan, payments: [payment] });
+            await this.notifyPaymentOutcome('payment_received', challan, payment, citizen);
+        }
+
+        intent.status = 'succeeded';
+        intent.completedAt = new Date();
+        await intent.save();
+
+        return {
+            success: true,
+            intent: intent.toJSON(),
+            payments: payments.map(payment => payment.toJSON()),
+            challans: challans.map(challan => challan.toJSON()),
+            message: 'Payment processed successfully and saved to database'
+        };
+    }
+
+    /**
+     * Undo a checkout that was charged but could not be recorded in full: every challan goes back to
+     * its state before the payment, the payments already saved are removed and the charge is refunded.
+     * A step that fails is logged and noted on the intent so the money can be returned by hand.
+     */
+    async rollBackPaymentIntent(intent, paymentResult, { challans, snapshots, payments }, cause) {
+        console.error(`Rolling back payment intent ${intent._id}:`, cause.message);
+        const problems = [];
+
+        for (const [index, challan] of challans.entries()) {
+            try {
+                challan.restorePaymentState(snapshots[index]);
+                await challan.save();
+            } catch (error) {
+                problems.push(`challan ${challan.challanNumber} could not be restored (${error.message})`);
+            }
+        }
+
+        try {
+            await Payment.deleteMany({ _id: { $in: payments.map(payment => payment._id) } });
+        } catch (error) {
+            problems.push(`its payment records could not be removed (${error.message})`);
+        }
+
+        const refund = await this.refundIntentCharge(paymentResult);
+        if (!refund.success) {
+            problems.push(`the charge could not be refunded (${refund.error})`);
+        }
+
+        intent.status = 'failed';
+        intent.paymentIds = [];
+        intent.completedAt = new Date();
+        intent.rollback = {
+            reason: cause.message,
+            refundId: refund.refundId,
+            refundedAmount: refund.amount,
+            problems,
+            rolledBackAt: new Date()
+        };
+        intent.lastError = problems.length === 0
+            ? `The payment could not be recorded and ${refund.amount ? `$${refund.amount} was refunded` : 'nothing was charged'}`
+            : `The payment could not be recorded and needs manual attention: ${problems.join('; ')}`;
+        if (problems.length > 0) {
+            console.error(`Payment intent ${intent._id} needs manual attention:`, problems.join('; '));
+        }
+
+        try {
+            await intent.save();
+        } catch (error) {
+            console.error(`Could not save rolled back payment intent ${intent._id}:`, error.message);
+        }
+    }
+
+    /**
+     * Return a checkout's charge. Only charges through a configured gateway move real money; the
+     * built-in strategies and a net banking payment not yet approved at the bank have nothing to return.
+     */
+    async refundIntentCharge(paymentResult) {
+        if (!paymentResult.success || paymentResult.requiresRedirect) {
+            return { success: true, amount: 0 };
+        }
+
+        const gateway = ['credit_card', 'debit_card', 'upi'].includes(paymentResult.paymentMethod)
+            ? PaymentGatewayFactory.fromConfiguration()
+            : null;
+        if (!gateway) {
+            return { success: true, refundId: `void_${paymentResult.transactionId}`, amount: paymentResult.amount };
+        }
+
+        try {
+            return await gateway.refundPayment(paymentResult.gatewayTransactionId, paymentResult.amount);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Split an amount (a fee) across items in proportion to their amounts; the last item takes the rounding
+    splitAmount(total, amounts) {
+        const sum = amounts.reduce((acc, amount) => acc + amount, 0);
+        let remaining = Math.round(total * 100) / 100;
+
+        return amounts.map((amount, index) => {
+            if (index === amounts.length - 1) {
+                return remaining;
+            }
+            const share = sum > 0 ? Math.round(total * amount / sum * 100) / 100 : 0;
+            remaining = Math.round((remaining - share) * 100) / 100;
+            return share;
+        });
+    }
+
+    async findCitizenPaymentIntent(citizenId, intentId) {
+        const intent = await PaymentIntent.findById(intentId);
+        if (!intent || intent.citizenId.toString() !== citizenId) {
+            throw Object.assign(new Error('Payment intent not found'), { statusCode: 404 });
+        }
+        return intent;
+    }
+
+    // Apply expiry, and the outcome of payments that settled after the intent was confirmed
+    async refreshPaymentIntent(intent) {
+        if (!intent) {
+            return null;
+        }
+
+        if (intent.isExpired()) {
+            intent.status = 'expired';
+            await intent.save();
+        } else if (['processing', 'requires_action'].includes(intent.status) && intent.paymentIds.length) {
+            await this.expireNetBankingSessions({ _id: { $in: intent.paymentIds } });
+            if (intent.syncWithPayments(await Payment.find({ _id: { $in: intent.paymentIds } }))) {
+                await intent.save();
+            }
+        }
+
+        return intent;
+    }
+
+    // "Asha Rao" -> "A*** R**": enough for an owner to recognise, not enough to identify them
+    maskName(name) {
+        return String(name || '')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(part => part[0] + '*'.repeat(Math.max(part.length - 1, 2)))
+            .join(' ');
+    }
+
+    // What the public lookup shows for a challan: amounts and the offence, no contact details
+    toPublicChallanSummary(challan, owner) {
+        return {
+            id: challan._id,
+            challanNumber: challan.challanNumber,
+            vehicleNumber: challan.vehicleNumber,
+            ownerName: owner ? this.maskName(owner.name) : undefined,
+            violationType: challan.violationType,
+            offences: challan.getActiveOffences().map(offence => ({
+                itemNumber: offence.itemNumber,
+                violationType: offence.violationType,
+                fineAmount: offence.fineAmount
+            })),
+            location: challan.location,
+            dateTime: challan.dateTime,
+            status: challan.status,
+            fineAmount: challan.fineAmount,
+            penaltyAmount: challan.penaltyAmount,
+            outstandingAmount: challan.getOutstandingAmount(),
+            dueDate: challan.dueDate
+        };
+    }
+
+    getPublicLookupTokens() {
+        const config = ConfigurationManager.getInstance();
+        return new PublicLookupTokenService({
+            secret: config.get('jwt.secret'),
+            expiresIn: config.get('publicLookup.tokenExpiresIn')
+        });
+    }
+
+    /**
+     * Public lookup: a vehicle number plus either the last digits of its chassis number or the PIN from
+     * a mailed notice. Lists the vehicle's unpaid challans and issues a lookup token for paying them.
+     */
+    async lookupPublicChallans({ vehicleNumber, chassisDigits, pin }) {
+        try {
+            // Same answer for an unknown vehicle and a wrong code, so the lookup can't be used to probe plates
+            const noMatch = Object.assign(
+                new Error('No match for that vehicle number and verification code'),
+                { statusCode: 404 }
+            );
+
+            if (!vehicleNumber || (!chassisDigits && !pin)) {
+                throw new Error('Vehicle number and either the chassis number digits or the notice PIN are required');
+            }
+
+            const vehicle = await Vehicle.findByRegistration(vehicleNumber);
+            if (!vehicle) {
+                throw noMatch;
+            }
+
+            let verified = false;
+            if (chassisDigits) {
+                verified = vehicle.matchesChassisSuffix(chassisDigits, ConfigurationManager.getInstance().get('publicLookup.chassisDigits'));
+            } else if (/^\d{6}$/.test(String(pin))) {
+                verified = Boolean(await Challan.exists({ vehicleNumber: vehicle.registrationNumber, lookupPin: String(pin) }));
+            }
+            if (!verified) {
+                throw noMatch;
+            }
+
+            const challans = await Challan.find({
+                vehicleNumber: vehicle.registrationNumber,
+                status: { $in: ['pending', 'overdue'] }
+            }).sort({ dateTime: -1 });
+
+            // Show the amount that would be charged today, penalties included
+            const penaltyRule = this.getPenaltyRule();
+            challans.forEach(challan => challan.applyLatePenalty(penaltyRule));
+
+            const ownerIds = [...new Set(challans.map(challan => challan.citizenId.toString()))];
+            const owners = await User.find({ _id: { $in: ownerIds } }).select('name');
+            const ownerNames = new Map(owners.map(owner => [owner._id.toString(), owner]));
+
+            return {
+                success: true,
+                vehicleNumber: vehicle.registrationNumber,
+                challans: challans.map(challan => this.toPublicChallanSummary(challan, ownerNames.get(challan.citizenId.toString()))),
+                lookupToken: this.getPublicLookupTokens().issue(vehicle),
+                message: challans.length > 0 ? `${challans.length} unpaid challan(s) found` : 'No unpaid challans for this vehicle'
+            };
+
+        } catch (error) {
+            console.error('Error in public challan lookup:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // Pay a challan on a vehicle the guest has looked up; the payment is linked to the challan, not a user
+    async processGuestPayment(lookup, challanId, paymentData, guestContact = {}) {
+        try {
+            const challan = await Challan.findById(challanId);
+            if (!challan || challan.vehicleNumber !== lookup.registrationNumber) {
+                throw Object.assign(new Error('Challan not found'), { statusCode: 404 });
+            }
+
+            return await this.withChallanPaymentLock(challan._id, locked => this.settleChallan(locked, paymentData, {
+                guestContact: {
+                    name: guestContact.name,
+                    email: guestContact.email,
+                    phone: guestContact.phone
+                }
+            }));
+
+        } catch (error) {
+            console.error('Error processing guest payment:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // Pay through a selectable gateway adapter (Stripe, PayPal, the simulator) instead of the built-in strategies
+    async processGatewayPayment(citizenId, challanId, paymentData) {
+        try {
+            const citizen = await User.findById(citizenId);
+            if (!citizen) {
+                throw new Error('Citizen not found');
+            }
+
+            const challan = await Challan.findById(challanId);
+            if (!challan) {
+                throw Object.assign(new Error('Challan not found'), { statusCode: 404 });
+            }
+
+            if (challan.citizenId.toString() !== citizenId) {
+                throw Object.assign(new Error('Access denied'), { statusCode: 403 });
+            }
+
+            const gateway = paymentData.gateway || ConfigurationManager.getInstance().get('payments.gateway');
+            if (!gateway) {
+                throw Object.assign(new Error('Payment gateway is required'), { statusCode: 400 });
+            }
+
+            const result = await this.withChallanPaymentLock(challan._id, locked => this.settleChallan(locked, { ...paymentData, gateway }, { citizen }));
+            return { ...result, gateway: result.payment.gateway };
+
+        } catch (error) {
+            console.error('Gateway payment error:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode,
+                gatewayError: error.gatewayError,
+                paymentId: error.paymentId
+            };
+        }
+    }
+
+    /**
+     * Receive a gateway webhook: check its signature against the raw body, then apply the event.
+     * Event types we do not act on are acknowledged so the gateway stops redelivering them.
+     */
+    async receiveGatewayWebhook(gateway, rawBody, headers) {
+        try {
+            const adapter = PaymentWebhookFactory.fromConfiguration(gateway, ConfigurationManager.getInstance().get('webhooks'));
+
+            if (!rawBody) {
+                throw Object.assign(new Error('Webhook body is required'), { statusCode: 400 });
+            }
+            const body = rawBody.toString('utf8');
+            adapter.verifySignature(body, headers);
+
+            let payload;
+            try {
+                payload = JSON.parse(body);
+            } catch (error) {
+                throw Object.assign(new Error('Webhook body is not valid JSON'), { statusCode: 400 });
+            }
+
+            const event = adapter.parseEvent(payload);
+            if (!event) {
+                return { success: true, outcome: 'ignored', message: 'Event type not handled' };
+            }
+
+            return await this.handleGatewayEvent(adapter.getGatewayName(), event);
+
+        } catch (error) {
+            console.error(`Error receiving ${gateway} webhook:`, error.message);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // Apply a verified event once, however many times the gateway delivers it
+    async handleGatewayEvent(gateway, event) {
+        let record;
+        try {
+            record = await WebhookEvent.create({
+                gateway,
+                eventId: event.eventId,
+                type: event.type,
+                transactionId: event.transactionId
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+            const existing = await WebhookEvent.findOne({ gateway, eventId: event.eventId });
+            if (existing && existing.status === 'processing') {
+                throw Object.assign(new Error('Event is already being processed'), { statusCode: 409 });
+            }
+            return { success: true, outcome: existing ? existing.outcome : 'duplicate', duplicate: true, message: 'Event already processed' };
+        }
+
+        try {
+            // A checkout covering several challans made one charge, recorded as one payment per challan
+            const payments = await Payment.find({ gateway, gatewayTransactionId: event.transactionId });
+            let outcome = 'unknown_transaction';
+
+            for (const payment of payments) {
+                outcome = await this.withChallanPaymentLock(payment.challanId, async challan => {
+                    // Read again under the lock; a checkout or earlier event may have just changed it
+                    const current = await Payment.findById(payment._id);
+                    return await this.applyGatewayEvent(current, challan, event);
+                });
+            }
+            if (payments.length === 0) {
+                console.warn(`${gateway} webhook ${event.eventId} refers to unknown transaction ${event.transactionId}`);
+            }
+
+            // Let a checkout waiting on this charge see the outcome
+            const intentIds = [...new Set(payments.filter(payment => payment.paymentIntentId).map(payment => payment.paymentIntentId.toString()))];
+            for (const intentId of intentIds) {
+                await this.refreshPaymentIntent(await PaymentIntent.findById(intentId));
+            }
+
+            record.status = 'processed';
+            record.outcome = outcome;
+            record.paymentId = payments.length ? payments[0]._id : undefined;
+            record.processedAt = new Date();
+            await record.save();
+
+            return { success: true, outcome, message: `Event ${event.type} processed` };
+
+        } catch (error) {
+            // Forget the delivery so the gateway's retry is processed again
+            await WebhookEvent.deleteOne({ _id: record._id });
+            throw error;
+        }
+    }
+
+    // Update the payment and its challan for one gateway event (call inside withChallanPaymentLock)
+    async applyGatewayEvent(payment, challan, event) {
+        const refundedBefore = payment.refundAmount || 0;
+        const { outcome, challanAction } = payment.applyGatewayEvent(event);
+        if (outcome === 'ignored') {
+            return outcome;
+        }
+
+        const reason = `${event.type} from ${payment.gateway} (${event.eventId})`;
+        let challanRefunded = false;
+
+        // An installment that settled late is recorded against its plan, if the plan is still running
+        const plan = challanAction === 'paid' && payment.paymentPlanId ? await PaymentPlan.findById(payment.paymentPlanId) : null;
+
+        if (plan && plan.status === 'active' && challan.status === 'payment_plan') {
+            this.completeInstallmentPayment(challan, plan, payment, { actorRole: 'gateway', reason });
+            await plan.save();
+        } else if (challanAction === 'paid') {
+            // A challan put on a payment plan meanwhile is settled by its installments, like one paid another way
+            if (challan.status !== 'payment_plan' && !payment.paymentPlanId && ChallanLifecycle.canTransition(challan.status, 'paid')) {
+                this.completeChallanPayment(challan, payment, { actorRole: 'gateway', reason });
+            } else {
+                // Settled after the challan was paid another way; it is kept off the challan and handed back below
+                payment.duplicate = true;
+            }
+        } else if (challanAction === 'refunded') {
+            challan.releasePaymentAllocations(payment.allocations);
+            challanRefunded = ChallanLifecycle.canTransition(challan.status, 'refunded') && await this.isChallanRefunded(challan, payment);
+            if (challanRefunded) {
+                challan.transitionTo('refunded', { actorRole: 'gateway', reason });
+            }
+        }
+
+        // Money returned at the gateway (a refund made there, or a lost chargeback) goes in the refund ledger too
+        const refunded = Math.round(((payment.refundAmount || 0) - refundedBefore) * 100) / 100;
+        if (refunded > 0) {
+            this.deductRefundFromChallan(challan, payment, refunded);
+        }
+
+        await payment.save();
+        if (challan.isModified()) {
+            await challan.save();
+        }
+
+        const refunds = [];
+        if (refunded > 0) {
+            const refund = await Refund.create({
+                paymentId: payment._id,
+                challanId: payment.challanId,
+                amount: refunded,
+                reason: outcome === 'dispute_lost' ? `Chargeback lost: ${payment.dispute.reason || 'no reason given'}` : (event.reason || `Refunded at ${payment.gateway}`),
+                status: 'processed',
+                source: 'gateway',
+                gateway: payment.gateway,
+                gatewayRefundId: event.eventId,
+                processedAt: event.occurredAt || new Date(),
+                fullRefund: challanRefunded
+            });
+            refunds.push({ refund, payment });
+        }
+        await this.recordLedger({ challan, payments: [payment], refunds });
+
+        if (payment.duplicate && outcome === 'completed') {
+            await this.refundDuplicatePayment(payment, challan);
+        }
+
+        if (outcome === 'completed' || outcome === 'failed') {
+            await this.notifyPaymentOutcome(outcome === 'completed' ? 'payment_received' : 'payment_failed', challan, payment);
+        }
+
+        return outcome;
+    }
+
+    getNetBankingService() {
+        const config = ConfigurationManager.getInstance();
+        const publicUrl = config.get('app.publicUrl');
+        return new NetBankingService({
+            secret: config.get('netBanking.secret'),
+            bankUrl: config.get('netBanking.bankUrl') || `${publicUrl}/netbanking/bank`,
+            returnUrl: `${publicUrl}/payments/netbanking/return`,
+            sessionMinutes: config.get('netBanking.sessionMinutes')
+        });
+    }
+
+    /**
+     * The bank's answer, brought back by the payer's browser. Once its signature checks out it is
+     * applied like a gateway webhook, so a refreshed return page cannot apply it twice.
+     */
+    async confirmNetBankingPayment(params) {
+        try {
+            const response = this.getNetBankingService().verifyBankResponse(params);
+
+            const result = await this.handleGatewayEvent('netbanking', {
+                eventId: response.bankReference || `${response.merchantReference}:${response.status}`,
+                type: response.status === 'success' ? 'payment.succeeded' : 'payment.failed',
+                transactionId: response.merchantReference,
+                reason: response.status === 'success' ? undefined : 'The payment was not completed at the bank',
+                occurredAt: new Date()
+            });
+
+            const payment = await Payment.findOne({ gateway: 'netbanking', gatewayTransactionId: response.merchantReference })
+                .populate('challanId', 'challanNumber status');
+            if (!payment) {
+                throw Object.assign(new Error('Net banking payment not found'), { statusCode: 404 });
+            }
+            // A checkout for several challans went to the bank as one payment
+            const intent = payment.paymentIntentId ? await PaymentIntent.findById(payment.paymentIntentId) : null;
+
+            return {
+                success: true,
+                outcome: result.outcome,
+                payment: {
+                    id: payment._id,
+                    transactionId: intent ? intent.transactionId : payment.transactionId,
+                    status: payment.status,
+                    totalAmount: intent ? intent.totalAmount : payment.totalAmount,
+                    failureReason: payment.failureReason
+                },
+                paymentIntentId: intent ? intent._id : undefined,
+                challanNumber: intent
+                    ? intent.items.map(item => item.challanNumber).join(', ')
+                    : (payment.challanId ? payment.challanId.challanNumber : undefined),
+                message: payment.status === 'completed' ? 'Payment completed' : 'Payment was not completed'
+            };
+
+        } catch (error) {
+            console.error('Error confirming net banking payment:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    /**
+     * Stand-in for the bank when NETBANKING_BANK_URL is not set: checks the signed request and returns
+     * the signed response the bank would send the payer back with.
+     */
+    authorizeSimulatedBankPayment(params, approve) {
+        try {
+            if (ConfigurationManager.getInstance().get('netBanking.bankUrl')) {
+                throw Object.assign(new Error('The simulated bank is disabled while a real bank is configured'), { statusCode: 404 });
+            }
+
+            const service = this.getNetBankingService();
+            const request = service.verifyBankRequest(params);
+            const response = service.signBankResponse({
+                merchantReference: request.merchantReference,
+                status: approve ? 'success' : 'failure',
+                bankReference: `${request.bankCode}${Date.now()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`
+            });
+
+            return {
+                success: true,
+                redirectUrl: `${request.returnUrl}?${new URLSearchParams(response).toString()}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    /**
+     * Record cash an officer or counter clerk has taken for a challan. The paper receipt number must be
+     * unique, and nothing more can be collected on a day the collector has already cashed up.
+     */
+    async recordCashPayment(collectorId, challanId, { receiptNumber, amountTendered, location } = {}) {
+        try {
+            const collector = await User.findById(collectorId);
+            if (!collector) {
+                throw Object.assign(new Error('Collector not found'), { statusCode: 404 });
+            }
+
+            const challan = await Challan.findById(challanId);
+            if (!challan) {
+                throw Object.assign(new Error('Challan not found'), { statusCode: 404 });
+            }
+
+            const businessDate = CashUp.toBusinessDate();
+            if (await CashUp.exists({ collectedBy: collector._id, businessDate })) {
+                throw Object.assign(new Error(`Cash for ${businessDate} has already been cashed up`), { statusCode: 409 });
+            }
+
+            if (receiptNumber && await Payment.exists({ 'cashCollection.receiptNumber': String(receiptNumber).trim() })) {
+                throw Object.assign(new Error(`Receipt number ${receiptNumber} has already been used`), { statusCode: 409 });
+            }
+
+            const owner = await User.findById(challan.citizenId);
+
+            return await this.withChallanPaymentLock(challan._id, locked => this.settleChallan(locked, {
+                method: 'cash',
+                details: { receiptNumber, amountTendered, location, collectedBy: collector._id }
+            }, { citizen: owner, collector }));
+
+        } catch (error) {
+            console.error('Error recording cash payment:', error.message);
+            return {
+                success: false,
+                error: error.code === 11000 ? `Receipt number ${receiptNumber} has already been used` : error.message,
+                statusCode: error.code === 11000 ? 409 : error.statusCode
+            };
+        }
+    }
+
+    // Cash a collector took on one business day, and their cash-up for it if submitted
+    async getCashSummary(collectorId, businessDate = CashUp.toBusinessDate()) {
+        try {
+            const { start, end } = CashUp.businessDayRange(businessDate);
+
+            const payments = await Payment.find({
+                paymentMethod: 'cash',
+                'cashCollection.collectedBy': collectorId,
+                paymentDate: { $gte: start, $lt: end }
+            })
+                .populate('challanId', 'challanNumber vehicleNumber')
+                .sort({ paymentDate: 1 });
+
+            const cashUp = await CashUp.findOne({ collectedBy: collectorId, businessDate });
+
+            return {
+                success: true,
+                businessDate,
+                payments: payments.map(payment => payment.toJSON()),
+                paymentCount: payments.length,
+                totalCollected: Math.round(payments.reduce((sum, payment) => sum + payment.amount, 0) * 100) / 100,
+                cashUp: cashUp ? cashUp.toJSON() : null
+            };
+
+        } catch (error) {
+            console.error('Error getting cash summary:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // End-of-day cash-up: compare the cash the collector counted with the cash payments they recorded
+    async submitCashUp(collectorId, { businessDate = CashUp.toBusinessDate(), declaredAmount, notes } = {}) {
+        try {
+            const declared = Number(declaredAmount);
+            if (declaredAmount === undefined || declaredAmount === null || declaredAmount === '' || !(declared >= 0)) {
+                throw Object.assign(new Error('Declared cash amount is required'), { statusCode: 400 });
+            }
+
+            const { start } = CashUp.businessDayRange(businessDate);
+            if (start > new Date()) {
+                throw Object.assign(new Error('Cannot cash up a future day'), { statusCode: 400 });
+            }
+
+            if (await CashUp.exists({ collectedBy: collectorId, businessDate })) {
+                throw Object.assign(new Error(`Cash for ${businessDate} has already been cashed up`), { statusCode: 409 });
+            }
+
+            const summary = await this.getCashSummary(collectorId, businessDate);
+            if (!summary.success) {
+                throw Object.assign(new Error(summary.error), { statusCode: summary.statusCode });
+            }
+
+            const cashUp = new CashUp({
+                collectedBy: collectorId,
+                businessDate,
+                paymentIds: summary.payments.map(payment => payment.id),
+                paymentCount: summary.paymentCount,
+                expectedAmount: summary.totalCollected,
+                declaredAmount: declared,
+                notes
+            });
+            cashUp.reconcile();
+            await cashUp.save();
+
+            await Payment.updateMany(
+                { _id: { $in: cashUp.paymentIds } },
+                { 'cashCollection.cashUpId': cashUp._id }
+            );
+
+            return {
+                success: true,
+                cashUp: cashUp.toJSON(),
+                message: cashUp.status === 'balanced'
+                    ? 'Cash-up balanced'
+                    : `Cash-up ${cashUp.status} by ${Math.abs(cashUp.variance).toFixed(2)}`
+            };
+
+        } catch (error) {
+            console.error('Error submitting cash-up:', error.message);
+            return {
+                success: false,
+                error: error.code === 11000 ? `Cash for ${businessDate} has already been cashed up` : error.message,
+                statusCode: error.code === 11000 ? 409 : error.statusCode
+            };
+        }
+    }
+
+    // Cash-ups for review, with totals so shortfalls stand out
+    async getCashUps({ businessDate, status, collectedBy } = {}) {
+        try {
+            const query = {};
+            if (businessDate) query.businessDate = businessDate;
+            if (status) query.status = status;
+            if (collectedBy) query.collectedBy = collectedBy;
+
+            const cashUps = await CashUp.find(query)
+                .populate('collectedBy', 'name email badgeNumber')
+                .sort({ businessDate: -1, submittedAt: -1 });
+
+            const total = field => Math.round(cashUps.reduce((sum, cashUp) => sum + cashUp[field], 0) * 100) / 100;
+
+            return {
+                success: true,
+                cashUps: cashUps.map(cashUp => cashUp.toJSON()),
+                totals: {
+                    expectedAmount: total('expectedAmount'),
+                    declaredAmount: total('declaredAmount'),
+                    variance: total('variance')
+                }
+            };
+
+        } catch (error) {
+            console.error('Error getting cash-ups:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    /**
+     * Refund part or all of a payment, up to what is left of the amount paid against the challan.
+     * Refunds up to the approval threshold are paid out at once; larger ones wait in the ledger until
+     * another admin approves them. The challan only becomes 'refunded' once nothing is left to refund.
+     */
+    async requestRefund(adminId, paymentId, { amount, reason } = {}) {
+        try {
+            if (!reason || !String(reason).trim()) {
+                throw Object.assign(new Error('A reason is required for every refund'), { statusCode: 400 });
+            }
+
+            const payment = await Payment.findById(paymentId);
+            if (!payment) {
+                throw Object.assign(new Error('Payment not found'), { statusCode: 404 });
+            }
+
+            return await this.withChallanPaymentLock(payment.challanId, async challan => {
+                const available = await this.getUnclaimedRefundAmount(payment);
+                const refundAmount = amount === undefined || amount === null || amount === ''
+                    ? available
+                    : Math.round(Number(amount) * 100) / 100;
+                await this.assertRefundable(payment, challan, refundAmount, available);
+
+                const threshold = ConfigurationManager.getInstance().get('payments.refundApprovalThreshold');
+                const refund = await Refund.create({
+                    paymentId: payment._id,
+                    challanId: payment.challanId,
+                    amount: refundAmount,
+                    reason: String(reason).trim(),
+                    requestedBy: adminId,
+                    gateway: payment.gateway
+                });
+
+                if (refundAmount > threshold) {
+                    return {
+                        success: true,
+                        refund: refund.toJSON(),
+                        payment: payment.toJSON(),
+                        message: `Refunds above $${threshold} need the approval of another admin`
+                    };
+                }
+
+                return await this.processRefund(refund, payment, challan, { _id: adminId });
+            });
+
+        } catch (error) {
+            console.error('Error requesting refund:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // Approve a refund that was held for approval; the approver cannot be the admin who asked for it
+    async approveRefund(adminId, refundId) {
+        try {
+            const refund = await this.findPendingRefund(refundId);
+            if (refund.requestedBy && refund.requestedBy.toString() === adminId.toString()) {
+                throw Object.assign(new Error('A refund must be approved by a different admin than the one who requested it'), { statusCode: 403 });
+            }
+
+            const payment = await Payment.findById(refund.paymentId);
+            if (!payment) {
+                throw Object.assign(new Error('Payment not found'), { statusCode: 404 });
+            }
+
+            return await this.withChallanPaymentLock(payment.challanId, async challan => {
+                // Other refunds may have been paid out since this one was requested
+                const available = await this.getUnclaimedRefundAmount(payment, refund._id);
+                await this.assertRefundable(payment, challan, refund.amount, available);
+
+                refund.approvedBy = adminId;
+                refund.approvedAt = new Date();
+                return await this.processRefund(refund, payment, challan, { _id: adminId });
+            });
+
+        } catch (error) {
+            console.error('Error approving refund:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    async rejectRefund(adminId, refundId, rejectionReason) {
+        try {
+            const refund = await this.findPendingRefund(refundId);
+
+            refund.status = 'rejected';
+            refund.rejectedBy = adminId;
+            refund.rejectionReason = rejectionReason;
+            await refund.save();
+
+            return {
+                success: true,
+                refund: refund.toJSON(),
+                message: 'Refund rejected'
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    async getRefunds({ status, paymentId } = {}) {
+        try {
+            const query = {};
+            if (status) query.status = status;
+            if (paymentId) query.paymentId = paymentId;
+
+            const refunds = await Refund.find(query)
+                .populate('paymentId', 'transactionId amount refundAmount status paymentMethod')
+                .populate('requestedBy', 'name email')
+                .populate('approvedBy', 'name email')
+                .sort({ createdAt: -1 });
+
+            return {
+                success: true,
+                refunds: refunds.map(refund => refund.toJSON())
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    async findPendingRefund(refundId) {
+        const refund = await Refund.findById(refundId);
+        if (!refund) {
+            throw Object.assign(new Error('Refund not found'), { statusCode: 404 });
+        }
+        if (refund.status !== 'pending_approval') {
+            throw Object.assign(new Error(`Refund is ${refund.status.replace(/_/g, ' ')} and cannot be changed`), { statusCode: 409 });
+        }
+        return refund;
+    }
+
+    // Refundable balance less refunds still waiting for approval, so approvals cannot overshoot it
+    async getUnclaimedRefundAmount(payment, excludeRefundId = null) {
+        const pending = await Refund.find({
+            paymentId: payment._id,
+            status: 'pending_approval',
+            ...(excludeRefundId ? { _id: { $ne: excludeRefundId } } : {})
+        });
+        const held = pending.reduce((sum, refund) => sum + refund.amount, 0);
+        return Math.max(0, Math.round((payment.getRefundableAmount() - held) * 100) / 100);
+    }
+
+    async assertRefundable(payment, challan, amount, available) {
+        if (!['completed', 'partially_refunded'].includes(payment.status)) {
+            throw Object.assign(new Error('Can only refund completed payments'), { statusCode: 400 });
+        }
+        if (!(amount > 0) || amount > available) {
+            throw Object.assign(new Error(`Refund amount must be between 0 and the refundable balance of ${available}`), { statusCode: 400 });
+        }
+        // Returning the last of the challan's money moves it to 'refunded', which its current status must allow;
+        // a duplicate payment was never the challan's money
+        if (!payment.duplicate && amount === payment.getRefundableAmount() && !ChallanLifecycle.canTransition(challan.status, 'refunded')
+            && await this.isChallanRefunded(challan, { _id: payment._id, amount: payment.amount, status: 'refunded' })) {
+            throw Object.assign(new Error(`Cannot refund a challan with status '${challan.status}'`), { statusCode: 409 });
+        }
+    }
+
+    // Whether the challan's payments, with this one as given, have all been refunded
+    async isChallanRefunded(challan, payment) {
+        const others = await Payment.find({ challanId: challan._id, _id: { $ne: payment._id } });
+        return Payment.isChallanRefunded([...others, payment]);
+    }
+
+    // Pay out an approved refund and record it against the payment and, once all its money is returned, the challan
+    async processRefund(refund, payment, challan, actor) {
+        const result = await this.returnPaymentFunds(payment, refund.amount);
+        if (!result.success) {
+            refund.status = 'failed';
+            refund.failureReason = result.error;
+            await refund.save();
+            return {
+                success: false,
+                error: `Refund failed: ${result.error}`,
+                statusCode: 402,
+                refund: refund.toJSON()
+            };
+        }
+
+        refund.status = 'processed';
+        refund.gatewayRefundId = result.refundId;
+        refund.processedAt = new Date();
+        const paymentRefunded = payment.recordRefund(refund.amount, refund.processedAt);
+        refund.fullRefund = !payment.duplicate && paymentRefunded && await this.isChallanRefunded(challan, payment);
+        await refund.save();
+        await payment.save();
+
+        this.deductRefundFromChallan(challan, payment, refund.amount);
+        if (paymentRefunded) {
+            challan.releasePaymentAllocations(payment.allocations);
+        }
+        if (refund.fullRefund) {
+            challan.transitionTo('refunded', {
+                actorId: actor._id,
+                actorRole: 'admin',
+                reason: `Refund: ${refund.reason}`
+            });
+        }
+        await challan.save();
+        await this.recordLedger({ challan, refunds: [{ refund, payment }] });
+
+        return {
+            success: true,
+            refund: refund.toJSON(),
+            payment: payment.toJSON(),
+            challan: challan.toJSON(),
+            message: refund.fullRefund
+                ? 'Challan fully refunded'
+                : (paymentRefunded ? 'Payment fully refunded' : 'Partial refund processed')
+        };
+    }
+
+    /**
+     * Hand back a charge that settled after its challan was already paid another way. A refund the
+     * gateway refuses stays in the ledger as failed, next to the payment flagged as a duplicate,
+     * for an admin to settle by hand.
+     */
+    async refundDuplicatePayment(payment, challan) {
+        const refund = await Refund.create({
+            paymentId: payment._id,
+            challanId: challan._id,
+            amount: payment.getRefundableAmount(),
+            reason: `Duplicate payment: challan ${challan.challanNumber} was already '${challan.status}'`,
+            source: 'duplicate',
+            gateway: payment.gateway
+        });
+        return await this.processRefund(refund, payment, challan, {});
+    }
+
+    // Money handed back no longer counts towards what has been paid on the challan. A duplicate payment
+    // was never counted, so returning it leaves the challan as it is.
+    deductRefundFromChallan(challan, payment, amount) {
+        if (payment.duplicate) {
+            return;
+        }
+        challan.amountPaid = Math.max(0, Math.round(((challan.amountPaid || 0) - amount) * 100) / 100);
+    }
+
+    // Card payments go back through the gateway that took them; cash and bank payments are repaid by the office
+    async returnPaymentFunds(payment, amount) {
+        if (!['stripe', 'paypal', 'simulator'].includes(payment.gateway)) {
+            return { success: true, refundId: null };
+        }
+        try {
+            return await PaymentGatewayFactory.createGateway(payment.gateway).refundPayment(payment.gatewayTransactionId, amount);
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    // =========================================================================
+    // FINANCIAL LEDGER
+    // =========================================================================
+
+    /**
+     * Post what has happened to a challan, its payments and its refunds to the ledger. Called after
+     * each change is saved; entries already posted are skipped, so calling it again is harmless.
+     * A posting failure is logged rather than undoing the payment, and the backfill script catches up.
+     */
+    async recordLedger({ challan, payments = [], refunds = [] }) {
+        try {
+            if (challan) {
+                await this.postChallanAssessment(challan);
+            }
+            for (const payment of payments) {
+                for (const entry of this.financialLedger.paymentEntries(payment, challan)) {
+                    await this.postLedgerEntry(entry);
+                }
+            }
+            for (const { refund, payment } of refunds) {
+                const entry = this.financialLedger.refundEntry(refund, payment, challan);
+                if (entry) {
+                    await this.postLedgerEntry(entry);
+                }
+            }
+        } catch (error) {
+            console.error(`Error posting challan ${challan ? challan.challanNumber : ''} to the ledger:`, error.message);
+        }
+    }
+
+    // Bring the fine and penalty assessed on a challan up to its current amounts
+    async postChallanAssessment(challan, attempts = 3) {
+        const posted = await LedgerEntry.find({
+            challanId: challan._id,
+            type: { $in: ['fine_assessed', 'penalty_assessed', 'waiver'] }
+        });
+        const entries = this.financialLedger.assessmentEntries(
+            challan,
+            this.financialLedger.assessedAmounts(posted),
+            posted.length
+        );
+
+        for (const entry of entries) {
+            // The first assessment is dated with the challan, so a backfill lands in the right month
+            const postedAt = posted.length === 0 && entry.type === 'fine_assessed' ? challan.createdAt : undefined;
+            if (!await this.postLedgerEntry({ ...entry, postedAt })) {
+                // Another request took this sequence number; start again from what it posted
+                if (attempts > 1) {
+                    return this.postChallanAssessment(challan, attempts - 1);
+                }
+                throw new Error('The ledger for this challan kept changing while it was being posted');
+            }
+        }
+    }
+
+    // Returns false when an entry for the same source was already posted
+    async postLedgerEntry(entry) {
+        try {
+            await LedgerEntry.create({ ...entry, postedAt: entry.postedAt || new Date() });
+            return true;
+        } catch (error) {
+            if (error.code === 11000) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    // Debit and credit totals per account, optionally grouped by an expression (a month, a gateway, a challan)
+    async getLedgerTotals(match = {}, groupBy = null) {
+        const rows = await LedgerEntry.aggregate([
+            { $match: match },
+            { $unwind: '$lines' },
+            {
+                $group: {
+                    _id: { account: '$lines.account', key: groupBy },
+                    debit: { $sum: '$lines.debit' },
+                    credit: { $sum: '$lines.credit' }
+                }
+            }
+        ]);
+        return rows.map(row => ({ account: row._id.account, key: row._id.key, debit: row.debit, credit: row.credit }));
+    }
+
+    // Reporting figures from the ledger (see FinancialLedger.summarize), optionally per group
+    async getLedgerSummary(match = {}, groupBy = null) {
+        const rows = await this.getLedgerTotals(match, groupBy);
+        return groupBy ? this.financialLedger.summarizeBy(rows) : this.financialLedger.summarize(rows);
+    }
+
+    async getTrialBalance({ asOf } = {}) {
+        try {
+            const asOfDate = asOf ? new Date(asOf) : new Date();
+            if (isNaN(asOfDate.getTime())) {
+                throw Object.assign(new Error('Invalid asOf date'), { statusCode: 400 });
+            }
+
+            const rows = await this.getLedgerTotals({ postedAt: { $lte: asOfDate } });
+            return {
+                success: true,
+                asOf: asOfDate,
+                trialBalance: this.financialLedger.trialBalance(rows),
+                summary: this.financialLedger.summarize(rows),
+                message: 'Trial balance retrieved'
+            };
+
+        } catch (error) {
+            console.error('Error building trial balance:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // What a citizen owes on each challan, and what they have paid and been refunded, from the ledger
+    async getCitizenBalance(citizenId) {
+        try {
+            const citizen = await User.findById(citizenId);
+            if (!citizen) {
+                throw Object.assign(new Error('Citizen not found'), { statusCode: 404 });
+            }
+
+            const rows = await this.getLedgerTotals({ citizenId: citizen._id }, '$challanId');
+            const byChallan = this.financialLedger.summarizeBy(rows);
+            const challans = await Challan.find({ _id: { $in: Object.keys(byChallan) } })
+                .select('challanNumber status fineAmount');
+
+            return {
+                success: true,
+                citizenId,
+                summary: this.financialLedger.summarize(rows),
+                challans: challans.map(challan => ({
+                    challanId: challan._id,
+                    challanNumber: challan.challanNumber,
+                    status: challan.status,
+                    ...byChallan[challan._id.toString()]
+                })),
+                message: 'Balance retrieved'
+            };
+
+        } catch (error) {
+            console.error('Error getting citizen balance:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // =========================================================================
+    // SETTLEMENT RECONCILIATION
+    // =========================================================================
+
+    getSettlementReconciler() {
+        return new SettlementReconciler({
+            amountTolerance: ConfigurationManager.getInstance().get('reconciliation.amountTolerance')
+        });
+    }
+
+    /**
+     * Import the settlement files waiting in the settlement directory and reconcile them in one report.
+     * Payments the files' gateways took between the earliest and latest settlement times are expected in
+     * the files. A file with the same contents as one imported before is skipped.
+     */
+    async reconcileSettlementFiles({ directory, runBy } = {}) {
+        try {
+            const inbox = new SettlementFileInbox(directory || ConfigurationManager.getInstance().get('reconciliation.settlementPath'));
+            const names = await inbox.list();
+            if (names.length === 0) {
+                return { success: true, report: null, message: 'No settlement files to import' };
+            }
+
+            const parser = new SettlementFileParser();
+            const files = [];
+            const rows = [];
+            const parseErrors = [];
+            for (const name of names) {
+                const { content, sha256 } = await inbox.read(name);
+                const previous = await ReconciliationReport.findOne({ 'files.sha256': sha256 }).select('_id');
+                if (previous || files.some(file => file.sha256 === sha256)) {
+                    parseErrors.push({ file: name, message: `Skipped: the same file was already imported${previous ? ` in report ${previous._id}` : ''}` });
+                    continue;
+                }
+                const parsed = parser.parse(content, name);
+                files.push({ name, sha256, rows: parsed.rows.length });
+                rows.push(...parsed.rows);
+                parseErrors.push(...parsed.errors);
+            }
+
+            const gateways = [...new Set(rows.map(row => row.gateway))];
+            const times = rows.filter(row => row.settledAt).map(row => row.settledAt.getTime());
+            const period = times.length > 0
+                ? { start: new Date(times.reduce((a, b) => Math.min(a, b))), end: new Date(times.reduce((a, b) => Math.max(a, b))) }
+                : null;
+            const payments = gateways.length === 0 ? [] : await Payment.find({
+                gateway: { $in: gateways },
+                $or: [
+                    { gatewayTransactionId: { $in: rows.map(row => row.transactionId) } },
+                    ...(period ? [{ status: { $in: SETTLED_PAYMENT_STATUSES }, paymentDate: { $gte: period.start, $lte: period.end } }] : [])
+                ]
+            });
+
+            // Without settlement times the files cover no known period, so only the rows in them are checked
+            const result = this.getSettlementReconciler().reconcile(rows, payments, { expectAll: Boolean(period) });
+            const report = await this.saveReconciliationReport({ source: 'files', gateways, period, files, parseErrors, result, runBy });
+
+            for (const name of names) {
+                await inbox.markImported(name);
+            }
+
+            return {
+                success: true,
+                report: report.toJSON(),
+                message: this.describeReconciliation(report)
+            };
+
+        } catch (error) {
+            console.error('Error reconciling settlement files:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    /**
+     * Ask the gateway adapter for the status of every payment it took in a period (by default the last
+     * RECONCILIATION_LOOKBACK_HOURS). This cannot find charges the gateway made with no payment on
+     * record; settlement files can.
+     */
+    async reconcileWithGateway({ gateway, from, to, runBy } = {}) {
+        try {
+            const config = ConfigurationManager.getInstance();
+            const gatewayType = String(gateway || config.get('payments.gateway') || '').toLowerCase();
+            if (!gatewayType) {
+                throw Object.assign(new Error('Choose a gateway to reconcile'), { statusCode: 400 });
+            }
+
+            let adapter;
+            try {
+                adapter = PaymentGatewayFactory.createGateway(gatewayType);
+            } catch (error) {
+                throw Object.assign(error, { statusCode: 400 });
+            }
+
+            const end = to ? new Date(to) : new Date();
+            const start = from ? new Date(from) : new Date(end.getTime() - config.get('reconciliation.lookbackHours') * 60 * 60 * 1000);
+            if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+                throw Object.assign(new Error('Invalid reconciliation period'), { statusCode: 400 });
+            }
+
+            const payments = await Payment.find({
+                gateway: gatewayType,
+                gatewayTransactionId: { $exists: true, $ne: null },
+                status: { $in: [...SETTLED_PAYMENT_STATUSES, 'pending'] },
+                paymentDate: { $gte: start, $lte: end }
+            });
+
+            const parser = new SettlementFileParser();
+            const settlements = [];
+            const parseErrors = [];
+            for (const transactionId of new Set(payments.map(payment => payment.gatewayTransactionId))) {
+                const status = await adapter.getTransactionStatus(transactionId);
+                if (status.success === false) {
+                    // Not found at the gateway: reported below as a payment with no settlement
+                    parseErrors.push({ file: `${gatewayType} status lookup`, message: `${transactionId}: ${status.error}` });
+                    continue;
+                }
+                try {
+                    settlements.push(parser.toSettlement({
+                        transactionId,
+                        amount: status.amount,
+                        refunded: status.amountRefunded,
+                        status: status.status,
+                        currency: status.currency
+                    }, gatewayType));
+                } catch (error) {
+                    parseErrors.push({ file: `${gatewayType} status lookup`, message: error.message });
+                }
+            }
+
+            const result = this.getSettlementReconciler().reconcile(settlements, payments);
+            const report = await this.saveReconciliationReport({
+                source: 'gateway',
+                gateways: [gatewayType],
+                period: { start, end },
+                parseErrors,
+                result,
+                runBy
+            });
+
+            return {
+                success: true,
+                report: report.toJSON(),
+                message: this.describeReconciliation(report)
+            };
+
+        } catch (error) {
+            console.error('Error reconciling with gateway:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    async saveReconciliationReport({ source, gateways, period, files = [], parseErrors = [], result, runBy }) {
+        const report = new ReconciliationReport({
+            source,
+            gateways,
+            periodStart: period ? period.start : undefined,
+            periodEnd: period ? period.end : undefined,
+            files,
+            parseErrors,
+            totals: result.totals,
+            discrepancies: result.discrepancies,
+            runBy
+        });
+        report.refreshStatus();
+        await report.save();
+
+        if (report.status === 'needs_attention') {
+            console.warn(`⚠️ Settlement reconciliation ${report._id} found ${report.discrepancies.length} discrepancies`);
+        }
+        return report;
+    }
+
+    describeReconciliation(report) {
+        const { settlements, matched, discrepancies } = report.totals;
+        return discrepancies === 0
+            ? `All ${matched} settlements match the payment records`
+            : `${matched} of ${settlements} settlements matched; ${discrepancies} discrepancies need attention`;
+    }
+
+    async getReconciliationReports({ status } = {}) {
+        try {
+            const reports = await ReconciliationReport.find(status ? { status } : {})
+                .select('-discrepancies')
+                .sort({ createdAt: -1 })
+                .limit(50);
+
+            return {
+                success: true,
+                reports: reports.map(report => report.toJSON())
+            };
+
+        } catch (error) {
+            console.error('Error getting reconciliation reports:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    async getReconciliationReport(reportId) {
+        try {
+            const report = await ReconciliationReport.findById(reportId)
+                .populate('runBy', 'name')
+                .populate('discrepancies.resolvedBy', 'name');
+            if (!report) {
+                throw Object.assign(new Error('Reconciliation report not found'), { statusCode: 404 });
+            }
+
+            return {
+                success: true,
+                report: report.toJSON()
+            };
+
+        } catch (error) {
+            console.error('Error getting reconciliation report:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // Record what an admin did about a discrepancy ('resolved') or why it needs nothing ('dismissed')
+    async resolveReconciliationDiscrepancy(adminId, reportId, discrepancyId, { status, note } = {}) {
+        try {
+            const report = await ReconciliationReport.findById(reportId);
+            if (!report) {
+                throw Object.assign(new Error('Reconciliation report not found'), { statusCode: 404 });
+            }
+
+            const discrepancy = report.resolveDiscrepancy(discrepancyId, { status, note }, adminId);
+            await report.save();
+
+            return {
+                success: true,
+                report: report.toJSON(),
+                message: `Discrepancy ${discrepancy.status}`
+            };
+
+        } catch (error) {
+            console.error('Error resolving reconciliation discrepancy:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    async getUserDashboard(userId) {
+        try {
+            const user = await User.findById(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
+
+            const userOOP = user.toOOPInstance();
+            let dashboardData = {};
+
+            if (user.role === 'citizen') {
+                // Get citizen's challans from database
+                const challans = await Challan.find({ citizenId: userId });
+
+                dashboardData = {
+                    role: 'citizen',
+                    totalChallans: challans.length,
+                    pendingChallans: challans.filter(c => c.status === 'pending').length,
+                    overdueChallans: challans.filter(c => c.status === 'overdue').length,
+                    paidChallans: challans.filter(c => c.status === 'paid').length,
+                    totalFineAmount: challans.reduce((sum, c) => sum + c.fineAmount, 0),
+                    recentChallans: challans.slice(-5).map(c => c.toJSON())
+                };
+
+            } else if (user.role === 'officer') {
+                // Get officer's issued challans from database
+                const challans = await Challan.find({ officerId: userId });
+                const today = new Date().toDateString();
+
+                // Get payment data for collection amount
+                const challanIds = challans.map(c => c._id);
+                const payments = await Payment.find({
+                    challanId: { $in: challanIds },
+                    status: 'completed'
+                });
+
+                dashboardData = {
+                    role: 'officer',
+                    issuedChallans: challans.length,        
+                    todayChallans: challans.filter(c =>
+                        new Date(c.dateTime).toDateString() === today
+                    ).length,
+                    thisMonthChallans: challans.filter(c => {
+                        const challanMonth = new Date(c.dateTime).getMonth();
+                        const currentMonth = new Date().getMonth();
+                        return challanMonth === currentMonth;
+                    }).length,
+                    collectionAmount: payments.reduce((sum, p) => sum + p.amount, 0),
+                    recentChallans: challans.slice(-5).map(c => c.toJSON())
+                };
+            }
+
+            return {
+                success: true,
+                user: userOOP.toJSON(),
+                dashboard: dashboardData,
+                message: 'Dashboard data retrieved from database'
+            };
+
+        } catch (error) {
+            console.error('Error getting dashboard:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Get all challans
+    async getAllChallans(userId, userRole, page = 1, limit = 10) {
+        try {
+            const skip = (page - 1) * limit;
+            let query = {};
+
+            // Role-based filtering
+            if (userRole === 'citizen') {
+                query.citizenId = userId;
+            } else if (userRole === 'officer') {
+                // Officers can see their own challans or all (depending on permissions)
+                query.officerId = userId;
+            }
+
+            const challans = await Challan.find(query)
+                .populate('citizenId', 'name email')
+                .populate('officerId', 'name badgeNumber')
+                .sort({ dateTime: -1 })
+                .skip(skip)
+                .limit(parseInt(limit));
+
+            const total = await Challan.countDocuments(query);
+
+            return {
+                success: true,
+                challans: challans.map(c => c.toJSON()),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    pages: Math.ceil(total / limit)
+                },
+                message: 'Challans retrieved from database'
+            };
+
+        } catch (error) {
+            console.error('Error getting challans:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Get payment history
+    async getPaymentHistory(userId, userRole) {
+        try {
+            let query = {};
+
+            if (userRole === 'citizen') {
+                query.citizenId = userId;
+            }
+
+            const payments = await Payment.find(query)
+                .populate('challanId', 'challanNumber vehicleNumber violationType')
+                .sort({ paymentDate: -1 });
+
+            return {
+                success: true,
+                payments: payments.map(p => p.toJSON()),
+                message: 'Payment history retrieved from database'
+            };
+
+        } catch (error) {
+            console.error('Error getting payment history:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // File a dispute against a pending challan
+    async fileDispute(citizenId, challanId, disputeData) {
+        try {
+            const citizen = await User.findById(citizenId);
+            if (!citizen) {
+                throw new Error('Citizen not found');
+            }
+
+            const challan = await Challan.findById(challanId);
+            if (!challan) {
+                throw new Error('Challan not found');
+            }
+
+            if (challan.citizenId.toString() !== citizenId) {
+                throw new Error('Unauthorized access to challan');
+            }
+
+            ChallanLifecycle.assertTransition(challan.status, 'disputed');
+
+            if (!disputeData.reason) {
+                throw new Error('Dispute reason is required');
+            }
+
+            const existingDispute = await Dispute.findOne({
+                challanId: challan._id,
+                status: { $ne: 'resolved' }
+            });
+            if (existingDispute) {
+                throw new Error('Challan already has an open dispute');
+            }
+
+            // A dispute may cover only some offences; covering all of them disputes the whole challan
+            const activeItemNumbers = challan.getActiveOffences().map(offence => offence.itemNumber);
+            const disputedItems = [...new Set((disputeData.offenceItemNumbers || []).map(Number))];
+            disputedItems.forEach(itemNumber => {
+                if (!activeItemNumbers.includes(itemNumber)) {
+                    throw new Error(`Offence ${itemNumber} is not an active offence on this challan`);
+                }
+            });
+            const offenceItemNumbers = disputedItems.length < activeItemNumbers.length ? disputedItems : [];
+
+            // 1. Create dispute record with any evidence submitted up front
+            const dispute = new Dispute({
+                challanId: challan._id,
+                citizenId: citizen._id,
+                reason: disputeData.reason,
+                offenceItemNumbers,
+                originalFineAmount: challan.originalFineAmount || challan.fineAmount,
+                evidence: (disputeData.evidence || []).map(item => ({
+                    ...item,
+                    uploadedBy: citizen._id
+                }))
+            });
+
+            // 2. Assign to the least loaded reviewer, if one is available
+            const reviewer = await this.findDisputeReviewer();
+            if (reviewer) {
+                dispute.reviewerId = reviewer._id;
+                dispute.assignedAt = new Date();
+                dispute.status = 'under_review';
+            }
+
+            const savedDispute = await dispute.save();
+
+            // 3. Update challan status
+            challan.transitionTo('disputed', {
+                actorId: citizenId,
+                actorRole: 'citizen',
+                reason: disputeData.reason
+            });
+            challan.disputeReason = disputeData.reason;
+            challan.disputeDate = new Date();
+            await challan.save();
+
+            // 4. Notify the issuing officer using Observer pattern
+            const officer = await User.findById(challan.officerId);
+            this.notificationSubject.notifyObservers('challan_disputed', {
+                challanId: challan._id.toString(),
+                challanNumber: challan.challanNumber,
+                disputeId: savedDispute._id.toString(),
+                userId: citizenId,
+                officerEmail: officer ? officer.email : undefined,
+                reviewerId: reviewer ? reviewer._id.toString() : undefined,
+                reason: disputeData.reason
+            });
+
+            return {
+                success: true,
+                dispute: savedDispute.toJSON(),
+                challan: challan.toJSON(),
+                message: 'Dispute filed successfully'
+            };
+
+        } catch (error) {
+            console.error('Error filing dispute:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // Attach additional evidence to an open dispute
+    async addDisputeEvidence(userId, challanId, evidenceItems) {
+        try {
+            const dispute = await Dispute.findOne({ challanId, status: { $ne: 'resolved' } });
+            if (!dispute) {
+                throw new Error('No open dispute found for this challan');
+            }
+
+            if (dispute.citizenId.toString() !== userId) {
+                throw new Error('Unauthorized access to dispute');
+            }
+
+            if (!Array.isArray(evidenceItems) || evidenceItems.length === 0) {
+                throw new Error('At least one evidence item is required');
+            }
+
+            evidenceItems.forEach(item => {
+                dispute.evidence.push({ ...item, uploadedBy: userId });
+            });
+
+            const savedDispute = await dispute.save();
+
+            return {
+                success: true,
+                dispute: savedDispute.toJSON(),
+                message: 'Evidence added to dispute'
+            };
+
+        } catch (error) {
+            console.error('Error adding dispute evidence:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Assign (or reassign) an open dispute to a reviewer
+    async assignDisputeReviewer(assignerId, challanId, reviewerId) {
+        try {
+            const dispute = await Dispute.findOne({ challanId, status: { $ne: 'resolved' } });
+            if (!dispute) {
+                throw new Error('No open dispute found for this challan');
+            }
+
+            const reviewer = await User.findById(reviewerId);
+            if (!reviewer || !reviewer.isActive) {
+                throw new Error('Reviewer not found');
+            }
+
+            if (!this.hasDecoratedPermission(reviewer, 'approve_disputes')) {
+                throw new Error('Reviewer does not hold the approve_disputes permission');
+            }
+
+            dispute.reviewerId = reviewer._id;
+            dispute.assignedBy = assignerId;
+            dispute.assignedAt = new Date();
+            dispute.status = 'under_review';
+
+            const savedDispute = await dispute.save();
+
+            return {
+                success: true,
+                dispute: savedDispute.toJSON(),
+                message: 'Dispute assigned to reviewer'
+            };
+
+        } catch (error) {
+            console.error('Error assigning dispute:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Record the reviewer's decision and apply it to the challan
+    async decideDispute(reviewerId, challanId, decisionData) {
+        try {
+            const reviewer = await User.findById(reviewerId);
+            if (!reviewer) {
+                throw new Error('Reviewer not found');
+            }
+
+            if (!this.hasDecoratedPermission(reviewer, 'approve_disputes')) {
+                throw new Error('Reviewer not authorized to decide disputes');
+            }
+
+            const dispute = await Dispute.findOne({ challanId, status: { $ne: 'resolved' } });
+            if (!dispute) {
+                throw new Error('No open dispute found for this challan');
+            }
+
+            if (dispute.reviewerId && dispute.reviewerId.toString() !== reviewerId) {
+                throw new Error('Dispute is assigned to another reviewer');
+            }
+
+            const challan = await Challan.findById(challanId);
+            if (!challan) {
+                throw new Error('Challan not found');
+            }
+
+            // 1. Resolve the dispute and apply the outcome to the challan
+            if (!dispute.reviewerId) {
+                dispute.reviewerId = reviewer._id;
+                dispute.assignedAt = new Date();
+            }
+            const challanUpdate = dispute.resolve(decisionData, reviewer._id);
+            ChallanLifecycle.assertTransition(challan.status, challanUpdate.status);
+
+            const decisionReason = `Dispute ${dispute.decision.outcome}`;
+            if (challanUpdate.withdrawOffenceItems) {
+                // Only the disputed offences are dropped; the rest are recombined into a new total
+                challan.withdrawOffences(challanUpdate.withdrawOffenceItems, decisionReason);
+                challan.applyOffenceCombination(this.getOffenceCombinationRule(challan.combinationRule));
+            } else if (challanUpdate.fineAmount !== undefined) {
+                challan.setBaseFine(challanUpdate.fineAmount);
+            }
+            challan.transitionTo(challanUpdate.status, {
+                actorId: reviewer._id,
+                actorRole: reviewer.role,
+                reason: decisionReason
+            });
+            // A challan already past its due date goes straight back to overdue with its penalties
+            challan.applyLatePenalty(this.getPenaltyRule());
+
+            // Nothing is saved until both records are valid, and the challan goes first, so a failure part way
+            // never leaves a resolved dispute over a challan that is still disputed
+            await dispute.validate();
+            await challan.validate();
+            await challan.save();
+            const savedDispute = await dispute.save();
+            await this.recordLedger({ challan });
+
+            if (challan.status === 'cancelled') {
+                await this.reverseDemeritPoints(challan._id, decisionReason);
+            } else if (challanUpdate.withdrawOffenceItems) {
+                await this.reverseDemeritPoints(challan._id, decisionReason, challanUpdate.withdrawOffenceItems);
+            }
+
+            // 2. Notify the citizen using Observer pattern
+            const citizen = await User.findById(challan.citizenId);
+            this.notificationSubject.notifyObservers('dispute_resolved', {
+                challanId: challan._id.toString(),
+                challanNumber: challan.challanNumber,
+                disputeId: savedDispute._id.toString(),
+                userId: reviewerId,
+                citizenEmail: citizen ? citizen.email : undefined,
+                citizenPhone: citizen ? citizen.phone : undefined,
+                outcome: savedDispute.decision.outcome,
+                fineAmount: challan.fineAmount,
+                status: challan.status
+            });
+
+            return {
+                success: true,
+                dispute: savedDispute.toJSON(),
+                challan: challan.toJSON(),
+                message: 'Dispute decision recorded'
+            };
+
+        } catch (error) {
+            console.error('Error deciding dispute:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    getEvidenceStorage() {
+        return EvidenceStorageFactory.fromConfiguration(ConfigurationManager.getInstance().get('evidence'));
+    }
+
+    // Only the challan's citizen, its issuing officer and admins may retrieve its evidence
+    canAccessEvidence(userId, userRole, challan) {
+        if (userRole === 'admin') {
+            return true;
+        }
+        return [challan.citizenId, challan.officerId]
+            .some(id => id && (id._id || id).toString() === userId);
+    }
+
+    // Store uploaded evidence files for a challan with their SHA-256 and a thumbnail where possible
+    async uploadEvidence(officerId, challanId, files, metadata = {}) {
+        const storage = this.getEvidenceStorage();
+        const storedKeys = [];
+
+        try {
+            const officer = await User.findById(officerId);
+            if (!officer) {
+                throw new Error('Officer not found');
+            }
+
+            if (!this.hasDecoratedPermission(officer, 'upload_evidence')) {
+                throw new Error('Officer not authorized to upload evidence');
+            }
+
+            const challan = await Challan.findById(challanId);
+            if (!challan) {
+                throw new Error('Challan not found');
+            }
+
+            if (challan.officerId.toString() !== officerId) {
+                throw new Error('Only the issuing officer can add evidence to this challan');
+            }
+
+            if (!Array.isArray(files) || files.length === 0) {
+                throw new Error('At least one evidence file is required');
+            }
+
+            const capturedAt = metadata.capturedAt ? new Date(metadata.capturedAt) : undefined;
+            if (capturedAt && isNaN(capturedAt.getTime())) {
+                throw new Error('Invalid capture date');
+            }
+
+            const thumbnails = new ThumbnailService({
+                width: ConfigurationManager.getInstance().get('evidence.thumbnailWidth')
+            });
+
+            // 1. Hash and store each file, then its thumbnail
+            const evidenceDocs = [];
+            for (const file of files) {
+                const evidence = new Evidence({
+                    challanId: challan._id,
+                    uploadedBy: officerId,
+                    kind: Evidence.resolveKind(file.mimetype, metadata.kind),
+                    originalName: file.originalname,
+                    mimeType: file.mimetype,
+                    size: file.size,
+                    sha256: Evidence.hashBuffer(file.buffer),
+                    storageAdapter: storage.getAdapterName(),
+                    description: metadata.description,
+                    capturedAt
+                });
+
+                let thumbnail;
+                try {
+                    thumbnail = await thumbnails.generate(file.buffer, file.mimetype);
+                } catch (error) {
+                    throw new Error(`Could not read image '${file.originalname}'`);
+                }
+
+                evidence.storageKey = `${challan._id}/${evidence._id}`;
+                await storage.save(evidence.storageKey, file.buffer, { contentType: file.mimetype });
+                storedKeys.push(evidence.storageKey);
+
+                if (thumbnail) {
+                    evidence.thumbnailKey = `${challan._id}/${evidence._id}-thumb.jpg`;
+                    await storage.save(evidence.thumbnailKey, thumbnail, { contentType: 'image/jpeg' });
+                    storedKeys.push(evidence.thumbnailKey);
+                }
+
+                evidenceDocs.push(evidence);
+            }
+
+            // 2. Record the metadata once every file is stored
+            const savedEvidence = await Evidence.insertMany(evidenceDocs);
+
+            return {
+                success: true,
+                evidence: savedEvidence.map(evidence => evidence.toJSON()),
+                message: `${savedEvidence.length} evidence file(s) uploaded`
+            };
+
+        } catch (error) {
+            // Don't leave orphaned files behind when the upload fails part way
+            await Promise.all(storedKeys.map(key => storage.remove(key).catch(() => undefined)));
+
+            console.error('Error uploading evidence:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Read an evidence file (or its thumbnail), refusing to serve bytes that no longer match the upload hash.
+    // Works for Evidence records and for the image stored with a camera detection.
+    async getEvidenceFile(evidence, { thumbnail = false } = {}) {
+        try {
+            if (!evidence || !evidence.storageKey) {
+                throw Object.assign(new Error('No file stored for this evidence'), { statusCode: 404 });
+            }
+
+            const storage = EvidenceStorageFactory.createAdapter(evidence.storageAdapter, {
+                rootPath: ConfigurationManager.getInstance().get('evidence.localPath')
+            });
+
+            if (thumbnail) {
+                if (!evidence.thumbnailKey) {
+                    throw Object.assign(new Error('No thumbnail for this evidence'), { statusCode: 404 });
+                }
+                return {
+                    success: true,
+                    buffer: await storage.read(evidence.thumbnailKey),
+                    contentType: 'image/jpeg'
+                };
+            }
+
+            const buffer = await storage.read(evidence.storageKey);
+            if (Evidence.hashBuffer(buffer) !== evidence.sha256) {
+                throw Object.assign(new Error('Evidence file failed its integrity check'), { statusCode: 409 });
+            }
+
+            return {
+                success: true,
+                buffer,
+                contentType: evidence.mimeType
+            };
+
+        } catch (error) {
+            console.error('Error reading evidence:', error);
+            return {
+                success: false,
+                error: error.code === 'ENOENT' ? 'Evidence file is missing from storage' : error.message,
+                statusCode: error.statusCode || (error.code === 'ENOENT' ? 404 : 500)
+            };
+        }
+    }
+
+    // Register an enforcement device; the plain API key is only returned here
+    async registerDevice(adminId, deviceData) {
+        try {
+            const admin = await User.findById(adminId);
+            if (!admin || !this.hasDecoratedPermission(admin, 'manage_devices')) {
+                throw new Error('Not authorized to manage devices');
+            }
+
+            const existingDevice = await Device.findOne({ deviceId: String(deviceData.deviceId || '').trim().toUpperCase() });
+            if (existingDevice) {
+                throw new Error(`Device ${existingDevice.deviceId} is already registered`);
+            }
+
+            const device = new Device({
+                deviceId: deviceData.deviceId,
+                name: deviceData.name,
+                type: deviceData.type,
+                location: deviceData.location,
+                intersectionId: deviceData.intersectionId,
+                registeredBy: adminId
+            });
+            if (deviceData.calibration && deviceData.calibration.certificateNumber) {
+                device.recordCalibration(deviceData.calibration, adminId);
+            }
+            const apiKey = device.issueApiKey();
+
+            const savedDevice = await device.save();
+
+            return {
+                success: true,
+                device: savedDevice.toJSON(),
+                apiKey,
+                message: 'Device registered. Store the API key now, it will not be shown again'
+            };
+
+        } catch (error) {
+            console.error('Error registering device:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Change a device's details or take it out of service; its type and credentials are not editable here
+    async updateDevice(adminId, deviceId, updates = {}) {
+        try {
+            const admin = await User.findById(adminId);
+            if (!admin || !this.hasDecoratedPermission(admin, 'manage_devices')) {
+                throw new Error('Not authorized to manage devices');
+            }
+
+            const device = await Device.findById(deviceId);
+            if (!device) {
+                throw Object.assign(new Error('Device not found'), { statusCode: 404 });
+            }
+
+            ['name', 'location', 'intersectionId'].forEach(field => {
+                if (updates[field] !== undefined) {
+                    device[field] = updates[field];
+                }
+            });
+            if (updates.isActive !== undefined) {
+                device.isActive = updates.isActive === true || updates.isActive === 'true';
+            }
+
+            const savedDevice = await device.save();
+
+            return {
+                success: true,
+                device: savedDevice.toJSON(),
+                message: 'Device updated'
+            };
+
+        } catch (error) {
+            console.error('Error updating device:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // Record a new calibration certificate; earlier certificates stay on the device's history
+    async recordDeviceCalibration(adminId, deviceId, calibrationData) {
+        try {
+            const admin = await User.findById(adminId);
+            if (!admin || !this.hasDecoratedPermission(admin, 'manage_devices')) {
+                throw new Error('Not authorized to manage devices');
+            }
+
+            const device = await Device.findById(deviceId);
+            if (!device) {
+                throw Object.assign(new Error('Device not found'), { statusCode: 404 });
+            }
+
+            device.recordCalibration(calibrationData, adminId);
+            const savedDevice = await device.save();
+
+            return {
+                success: true,
+                device: savedDevice.toJSON(),
+                message: 'Calibration certificate recorded'
+            };
+
+        } catch (error) {
+            console.error('Error recording device calibration:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // Replace a device's API key; the old key stops working immediately
+    async rotateDeviceKey(adminId, deviceId) {
+        try {
+            const admin = await User.findById(adminId);
+            if (!admin || !this.hasDecoratedPermission(admin, 'manage_devices')) {
+                throw new Error('Not authorized to manage devices');
+            }
+
+            const device = await Device.findById(deviceId);
+            if (!device) {
+                throw Object.assign(new Error('Device not found'), { statusCode: 404 });
+            }
+
+            const apiKey = device.issueApiKey();
+            const savedDevice = await device.save();
+
+            return {
+                success: true,
+                device: savedDevice.toJSON(),
+                apiKey,
+                message: 'API key rotated. Store the new key now, it will not be shown again'
+            };
+
+        } catch (error) {
+            console.error('Error rotating device key:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    /**
+     * Record a camera detection for officer review.
+     * A resubmission with the same externalId returns the original detection, and a second
+     * detection of the same plate and offence within the dedup window is kept as a duplicate.
+     */
+    async ingestDetection(device, reading, imageFile) {
+        const storage = this.getEvidenceStorage();
+        const storedKeys = [];
+
+        try {
+            const { dedupWindowSeconds, maxClockSkewSeconds } = ConfigurationManager.getInstance().get('detections');
+
+            if (!device.canReport(reading.detectionType)) {
+                throw new Error(`Device ${device.deviceId} cannot report ${reading.detectionType || 'unknown'} detections`);
+            }
+
+            if (reading.externalId) {
+                const existing = await Detection.findOne({ deviceId: device._id, externalId: reading.externalId });
+                if (existing) {
+                    return {
+                        success: true,
+                        created: false,
+                        detection: existing.toJSON(),
+                        message: 'Detection already received'
+                    };
+                }
+            }
+
+            const detectedAt = new Date(reading.detectedAt);
+            if (isNaN(detectedAt.getTime()) || detectedAt.getTime() > Date.now() + maxClockSkewSeconds * 1000) {
+                throw new Error('Invalid detection time');
+            }
+
+            const detection = new Detection({
+                deviceId: device._id,
+                externalId: reading.externalId || undefined,
+                detectionType: reading.detectionType,
+                rawPlate: reading.plate,
+                plate: Vehicle.normalizeRegistration(reading.plate),
+                plateConfidence: reading.plateConfidence,
+                detectedAt,
+                measuredSpeed: reading.measuredSpeed,
+                speedLimit: reading.speedLimit,
+                radarReading: reading.radarReading,
+                lightPhase: reading.lightPhase,
+                timeAfterRed: reading.timeAfterRed
+            });
+
+            const problems = detection.getReadingProblems();
+            if (problems.length > 0) {
+                throw new Error(problems.join('; '));
+            }
+
+            // The violation class refuses readings from a device outside its calibration
+            ViolationFactory.createViolation({
+                ...detection.toViolationData(device),
+                dateTime: detectedAt,
+                device: device.toReadingSnapshot(detectedAt)
+            });
+
+            // 1. Keep repeat captures of the same offence out of the review queue
+            const original = await Detection.findDuplicate(detection, dedupWindowSeconds * 1000);
+            if (original) {
+                detection.status = 'duplicate';
+                detection.duplicateOf = original._id;
+            } else {
+                // 2. Match the plate to the vehicle and its owner at the time of the detection
+                const vehicle = await Vehicle.findByRegistration(detection.plate);
+                const ownerId = vehicle ? vehicle.getOwnerAt(detectedAt) : null;
+                if (vehicle && ownerId) {
+                    detection.vehicleId = vehicle._id;
+                    detection.citizenId = ownerId;
+                    detection.status = 'pending_review';
+                } else {
+                    detection.status = 'unmatched';
+                }
+
+                // 3. Store the image with the evidence files; duplicates rely on the original's image
+                if (!imageFile) {
+                    throw new Error('A detection image is required');
+                }
+
+                let thumbnail;
+                try {
+                    thumbnail = await new ThumbnailService({
+                        width: ConfigurationManager.getInstance().get('evidence.thumbnailWidth')
+                    }).generate(imageFile.buffer, imageFile.mimetype);
+                } catch (error) {
+                    throw new Error('Could not read the detection image');
+                }
+
+                detection.image = {
+                    storageAdapter: storage.getAdapterName(),
+                    storageKey: `detections/${detection._id}`,
+                    mimeType: imageFile.mimetype,
+                    size: imageFile.size,
+                    sha256: Evidence.hashBuffer(imageFile.buffer)
+                };
+                await storage.save(detection.image.storageKey, imageFile.buffer, { contentType: imageFile.mimetype });
+                storedKeys.push(detection.image.storageKey);
+
+                if (thumbnail) {
+                    detection.image.thumbnailKey = `detections/${detection._id}-thumb.jpg`;
+                    await storage.save(detection.image.thumbnailKey, thumbnail, { contentType: 'image/jpeg' });
+                    storedKeys.push(detection.image.thumbnailKey);
+                }
+            }
+
+            const savedDetection = await detection.save();
+
+            return {
+                success: true,
+                created: true,
+                detection: savedDetection.toJSON(),
+                message: savedDetection.status === 'duplicate'
+                    ? 'Detection recorded as a duplicate'
+                    : 'Detection queued for review'
+            };
+
+        } catch (error) {
+            await Promise.all(storedKeys.map(key => storage.remove(key).catch(() => undefined)));
+
+            // Two concurrent submissions of the same externalId: hand back the one that won
+            if (error.code === 11000 && reading.externalId) {
+                const existing = await Detection.findOne({ deviceId: device._id, externalId: reading.externalId });
+                if (existing) {
+                    return { success: true, created: false, detection: existing.toJSON(), message: 'Detection already received' };
+                }
+            }
+
+            console.error('Error ingesting detection:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Issue a challan from a queued detection. The reviewing officer becomes the issuing officer
+     * and may correct a misread plate; the camera image is attached to the challan as evidence.
+     */
+    async approveDetection(officerId, detectionId, reviewData = {}) {
+        let claimed = null;
+
+        try {
+            const officer = await User.findById(officerId);
+            if (!officer || !this.hasDecoratedPermission(officer, 'review_detections')) {
+                throw new Error('Officer not authorized to review detections');
+            }
+
+            // 1. Claim the detection so two officers cannot issue a challan for it
+            claimed = await Detection.findOneAndUpdate(
+                { _id: detectionId, status: { $in: Detection.REVIEWABLE_STATUSES } },
+                {
+                    $set: {
+                        status: 'approved',
+                        'review.reviewedBy': officerId,
+                        'review.reviewedAt': new Date(),
+                        'review.notes': reviewData.notes
+                    }
+                }
+            );
+            if (!claimed) {
+                const exists = await Detection.exists({ _id: detectionId });
+                throw Object.assign(
+                    new Error(exists ? 'Detection has already been reviewed' : 'Detection not found'),
+                    { statusCode: exists ? 409 : 404 }
+                );
+            }
+
+            const device = await Device.findById(claimed.deviceId);
+            if (!device) {
+                throw new Error('Device that reported this detection is no longer registered');
+            }
+
+            // 2. Issue the challan through the normal pricing and notification path
+            const result = await this.createChallan(officerId, {
+                ...claimed.toViolationData(device),
+                vehicleNumber: reviewData.vehicleNumber || claimed.plate,
+                location: device.location,
+                description: reviewData.notes || `Detected by ${device.name || device.deviceId}`,
+                dateTime: claimed.detectedAt,
+                deviceId: device.deviceId,
+                detectionId: claimed._id
+            });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            // 3. Attach the camera image as evidence
+            if (claimed.image && claimed.image.storageKey) {
+                await Evidence.create({
+                    challanId: result.challan.id,
+                    uploadedBy: officerId,
+                    kind: 'photo',
+                    originalName: `${device.deviceId}-${claimed._id}`,
+                    mimeType: claimed.image.mimeType,
+                    size: claimed.image.size,
+                    sha256: claimed.image.sha256,
+                    storageAdapter: claimed.image.storageAdapter,
+                    storageKey: claimed.image.storageKey,
+                    thumbnailKey: claimed.image.thumbnailKey,
+                    description: `Camera ${device.deviceId}`,
+                    capturedAt: claimed.detectedAt,
+                    detectionId: claimed._id
+                });
+            }
+
+            const detection = await Detection.findByIdAndUpdate(claimed._id, {
+                $set: {
+                    challanId: result.challan.id,
+                    vehicleId: result.challan.vehicleId,
+                    citizenId: result.challan.citizenId
+                }
+            }, { new: true });
+
+            return {
+                success: true,
+                detection: detection.toJSON(),
+                challan: result.challan,
+                message: 'Detection approved and challan issued'
+            };
+
+        } catch (error) {
+            // Put the detection back in the queue if no challan was issued
+            if (claimed) {
+                await Detection.updateOne(
+                    { _id: claimed._id, challanId: { $exists: false } },
+                    { $set: { status: claimed.status, review: claimed.toObject().review || {} } }
+                ).catch(() => undefined);
+            }
+
+            console.error('Error approving detection:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // Close a queued detection without issuing a challan
+    async rejectDetection(officerId, detectionId, reviewData = {}) {
+        try {
+            const officer = await User.findById(officerId);
+            if (!officer || !this.hasDecoratedPermission(officer, 'review_detections')) {
+                throw new Error('Officer not authorized to review detections');
+            }
+
+            if (!reviewData.reason) {
+                throw new Error('A reason is required to reject a detection');
+            }
+
+            const detection = await Detection.findOneAndUpdate(
+                { _id: detectionId, status: { $in: Detection.REVIEWABLE_STATUSES } },
+                {
+                    $set: {
+                        status: 'rejected',
+                        'review.reviewedBy': officerId,
+                        'review.reviewedAt': new Date(),
+                        'review.notes': reviewData.reason
+                    }
+                },
+                { new: true }
+            );
+            if (!detection) {
+                const exists = await Detection.exists({ _id: detectionId });
+                throw Object.assign(
+                    new Error(exists ? 'Detection has already been reviewed' : 'Detection not found'),
+                    { statusCode: exists ? 409 : 404 }
+                );
+            }
+
+            return {
+                success: true,
+                detection: detection.toJSON(),
+                message: 'Detection rejected'
+            };
+
+        } catch (error) {
+            console.error('Error rejecting detection:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    getPdfDocumentService() {
+        return new PdfDocumentService({ authorityName: ConfigurationManager.getInstance().get('app.authorityName') });
+    }
+
+    getChallanVerificationTokens() {
+        return new ChallanVerificationTokenService({
+            secret: ConfigurationManager.getInstance().get('verification.secret')
+        });
+    }
+
+    // Public page where a printed notice or receipt can be checked against the live challan
+    getChallanVerificationUrl(challan) {
+        const publicUrl = ConfigurationManager.getInstance().get('app.publicUrl').replace(/\/+$/, '');
+        return `${publicUrl}/verify/${this.getChallanVerificationTokens().sign(challan)}`;
+    }
+
+    /**
+     * Check a scanned verification code against the live challan.
+     * Only what is already printed on the document is returned, plus the current status.
+     */
+    async verifyChallanCode(token) {
+        try {
+            let code;
+            try {
+                code = this.getChallanVerificationTokens().verify(token);
+            } catch (error) {
+                throw Object.assign(new Error('This code was not issued by this authority'), { statusCode: 400 });
+            }
+
+            const challan = await Challan.findById(code.challanId);
+            if (!challan || challan.challanNumber !== code.challanNumber) {
+                throw Object.assign(new Error('This challan is no longer on record'), { statusCode: 404 });
+            }
+
+            return {
+                success: true,
+                verification: {
+                    authentic: true,
+                    authorityName: ConfigurationManager.getInstance().get('app.authorityName'),
+                    challanNumber: challan.challanNumber,
+                    violationType: challan.violationType,
+                    violationDate: challan.dateTime,
+                    issuedAt: code.issuedAt,
+                    status: challan.status,
+                    printedFineAmount: code.fineAmount,
+                    fineAmount: challan.fineAmount,
+                    outstandingAmount: ['paid', 'refunded', 'cancelled'].includes(challan.status) ? 0 : challan.getOutstandingAmount()
+                },
+                message: `Challan ${challan.challanNumber} is genuine`
+            };
+
+        } catch (error) {
+            console.error('Error verifying challan code:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // Render the printable notice for a challan (access is checked by the caller)
+    async generateChallanNotice(challan) {
+        try {
+            const [citizen, officer, pinRecord] = await Promise.all([
+                User.findById(challan.citizenId).select('name'),
+                User.findById(challan.officerId).select('name badgeNumber'),
+                Challan.findById(challan._id).select('+lookupPin')
+            ]);
+
+            const violationInstance = challan.toViolationInstance();
+            const violation = violationInstance ? violationInstance.toJSON() : challan.toJSON();
+            const outstandingAmount = challan.getOutstandingAmount();
+            const publicUrl = ConfigurationManager.getInstance().get('app.publicUrl');
+
+            const paymentInstructions = ['pending', 'overdue'].includes(challan.status) && outstandingAmount > 0
+                ? [
+                    `Pay online at ${publicUrl} by signing in and opening challan ${challan.challanNumber}.`,
+                    ...(pinRecord && pinRecord.lookupPin
+                        ? [`Without an account, pay at ${publicUrl}/lookup using vehicle ${challan.vehicleNumber} and PIN ${pinRecord.lookupPin}.`]
+                        : []),
+                    'Credit card, debit card and UPI payments are accepted.',
+                    `Pay by ${challan.dueDate.toISOString().slice(0, 10)} to avoid late payment penalties.`,
+                    'To contest this challan, file a dispute online before paying.'
+                ]
+                : ['No payment is due on this challan.'];
+
+            const buffer = await this.getPdfDocumentService().renderChallanNotice({
+                challan,
+                violation,
+                fields: violationTypeRegistry.getFields(challan.violationType),
+                citizenName: citizen ? citizen.name : undefined,
+                officerName: officer ? `${officer.name}${officer.badgeNumber ? ` (${officer.badgeNumber})` : ''}` : undefined,
+                outstandingAmount,
+                paymentInstructions,
+                verificationUrl: this.getChallanVerificationUrl(challan)
+            });
+
+            return {
+                success: true,
+                buffer,
+                filename: `challan-${challan.challanNumber}.pdf`
+            };
+
+        } catch (error) {
+            console.error('Error generating challan notice:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Render the receipt for a completed (or since refunded) payment
+    async generatePaymentReceipt(payment, challan) {
+        try {
+            if (!['completed', 'partially_refunded', 'refunded'].includes(payment.status)) {
+                throw Object.assign(new Error('Receipts are only available for completed payments'), { statusCode: 409 });
+            }
+
+            const citizen = payment.citizenId ? await User.findById(payment.citizenId).select('name') : null;
+            const guestName = payment.guestContact && payment.guestContact.name;
+
+            const buffer = await this.getPdfDocumentService().renderPaymentReceipt({
+                payment,
+                challan,
+                citizenName: citizen ? citizen.name : (guestName || 'Guest payer'),
+                verificationUrl: this.getChallanVerificationUrl(challan)
+            });
+
+            return {
+                success: true,
+                buffer,
+                filename: `receipt-${payment.transactionId}.pdf`
+            };
+
+        } catch (error) {
+            console.error('Error generating payment receipt:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // Mark challans past their due date overdue and bring their penalties up to date
+    async applyOverduePenalties(asOf = new Date()) {
+        try {
+            const penaltyRule = this.getPenaltyRule();
+            const challans = await Challan.find({
+                status: { $in: ['pending', 'overdue'] },
+                dueDate: { $lt: asOf }
+            }).populate('citizenId', 'email phone');
+
+            let markedOverdue = 0;
+            let penaltiesUpdated = 0;
+
+            for (const challan of challans) {
+                const result = challan.applyLatePenalty(penaltyRule, asOf);
+                if (!result.changed) {
+                    continue;
+                }
+
+                await challan.save();
+                await this.recordLedger({ challan });
+                penaltiesUpdated++;
+
+                if (result.becameOverdue) {
+                    markedOverdue++;
+
+                    // Notify citizen using Observer pattern
+                    this.notificationSubject.notifyObservers('challan_overdue', {
+                        challanId: challan._id.toString(),
+                        challanNumber: challan.challanNumber,
+                        userId: challan.citizenId._id.toString(),
+                        citizenEmail: challan.citizenId.email,
+                        citizenPhone: challan.citizenId.phone,
+                        dueDate: challan.dueDate,
+                        originalFineAmount: challan.originalFineAmount,
+                        penaltyAmount: challan.penaltyAmount,
+                        fineAmount: challan.fineAmount
+                    });
+                }
+            }
+
+            return {
+                success: true,
+                processed: challans.length,
+                markedOverdue,
+                penaltiesUpdated,
+                rule: penaltyRule.toJSON(),
+                message: 'Overdue penalties applied'
+            };
+
+        } catch (error) {
+            console.error('Error applying overdue penalties:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    getPenaltyRule() {
+        return PenaltyRuleFactory.fromConfiguration(ConfigurationManager.getInstance().get('penalties'));
+    }
+
+    // Rule from configuration, or the rule a challan was issued under when recombining its offences
+    getOffenceCombinationRule(ruleType = null) {
+        const { maxPerChallan, ...combinationConfig } = ConfigurationManager.getInstance().get('offences');
+        return OffenceCombinationRuleFactory.fromConfiguration({
+            ...combinationConfig,
+            ...(ruleType ? { rule: ruleType } : {})
+        });
+    }
+
+    // Offences listed on the request, or the single violationType with its fields
+    getOffenceInputs(violationData) {
+        const offences = Array.isArray(violationData.offences) && violationData.offences.length > 0
+            ? violationData.offences
+            : [violationData];
+
+        const maxPerChallan = ConfigurationManager.getInstance().get('offences.maxPerChallan');
+        if (offences.length > maxPerChallan) {
+            throw new Error(`A challan can list at most ${maxPerChallan} offences`);
+        }
+
+        return offences.map(offence => {
+            if (!violationTypeRegistry.has(offence.violationType)) {
+                throw new Error(`Unknown violation type: ${offence.violationType}`);
+            }
+            return {
+                violationType: offence.violationType,
+                ...violationTypeRegistry.pickFields(offence.violationType, offence)
+            };
+        });
+    }
+
+    // Published schedule in force at the given time, or the built-in rates before any is published
+    async getFineScheduleAt(date = new Date()) {
+        const schedule = await FineSchedule.findInForceAt(date);
+        return schedule || violationTypeRegistry.getDefaultFineSchedule();
+    }
+
+    getDemeritPolicy() {
+        return DemeritPolicy.fromConfiguration(ConfigurationManager.getInstance().get('demerits'));
+    }
+
+    // Challans against the same citizen or vehicle in the rolling window before this violation
+    async countPriorViolations(citizenId, vehicleId, violationTime, policy) {
+        return await Challan.countDocuments({
+            $or: [{ citizenId }, { vehicleId }],
+            dateTime: { $gte: policy.getWindowStart(violationTime), $lt: violationTime },
+            status: { $ne: 'cancelled' }
+        });
+    }
+
+    // Add one ledger entry per offence and flag the licence once it crosses the threshold
+    async recordDemeritPoints(challan, citizen, policy) {
+        const entries = await DemeritPoint.insertMany(challan.getActiveOffences().map(offence => ({
+            challanId: challan._id,
+            citizenId: citizen._id,
+            licenseNumber: citizen.licenseNumber,
+            vehicleId: challan.vehicleId,
+            vehicleNumber: challan.vehicleNumber,
+            violationType: offence.violationType,
+            offenceItemNumber: offence.itemNumber,
+            points: offence.demeritPoints,
+            reason: `Challan ${challan.challanNumber}`,
+            occurredAt: challan.dateTime
+        })));
+
+        if (!citizen.licenseNumber) {
+            return { entries, flagged: false };
+        }
+
+        const activePoints = await DemeritPoint.getActivePoints(
+            { licenseNumber: citizen.licenseNumber },
+            policy.getWindowStart(challan.dateTime)
+        );
+
+        const alreadyFlagged = citizen.licenseStatus && citizen.licenseStatus !== 'valid';
+        if (alreadyFlagged || !policy.shouldFlagForSuspension(activePoints)) {
+            return { entries, activePoints, flagged: false };
+        }
+
+        await User.updateOne(
+            { _id: citizen._id },
+            { licenseStatus: 'suspension_review', licenseFlaggedAt: new Date() }
+        );
+
+        this.notificationSubject.notifyObservers('license_suspension_review', {
+            challanId: challan._id.toString(),
+            challanNumber: challan.challanNumber,
+            userId: citizen._id.toString(),
+            citizenEmail: citizen.email,
+            citizenPhone: citizen.phone,
+            licenseNumber: citizen.licenseNumber,
+            activePoints,
+            suspensionThreshold: policy.suspensionThreshold
+        });
+
+        return { entries, activePoints, flagged: true };
+    }
+
+    // Cancel the points issued for a challan, or only for some of its offences, e.g. when a dispute is upheld
+    async reverseDemeritPoints(challanId, reason, offenceItemNumbers = null) {
+        const entries = await DemeritPoint.find({ challanId });
+        const reversedItems = entries
+            .filter(entry => entry.entryType === 'reversed')
+            .map(entry => entry.offenceItemNumber);
+
+        const toReverse = entries.filter(entry =>
+            entry.entryType === 'issued' &&
+            !reversedItems.includes(entry.offenceItemNumber) &&
+            (!offenceItemNumbers || offenceItemNumbers.includes(entry.offenceItemNumber))
+        );
+
+        if (toReverse.length === 0) {
+            return [];
+        }
+
+        return await DemeritPoint.insertMany(toReverse.map(entry => entry.buildReversal(reason)));
+    }
+
+    // Licence and vehicle history shown to officers reviewing a challan
+    async getOffenderHistory(challan) {
+        const policy = this.getDemeritPolicy();
+        const windowStart = policy.getWindowStart();
+        const citizenId = challan.citizenId._id || challan.citizenId;
+        const citizen = await User.findById(citizenId);
+
+        const licensePoints = citizen && citizen.licenseNumber
+            ? await DemeritPoint.getActivePoints({ licenseNumber: citizen.licenseNumber }, windowStart)
+            : 0;
+        const vehiclePoints = challan.vehicleId
+            ? await DemeritPoint.getActivePoints({ vehicleId: challan.vehicleId }, windowStart)
+            : 0;
+
+        const otherFilters = [{ citizenId }];
+        if (challan.vehicleId) {
+            otherFilters.push({ vehicleId: challan.vehicleId });
+        }
+        const recentChallans = await Challan.find({
+            _id: { $ne: challan._id },
+            $or: otherFilters,
+            dateTime: { $gte: windowStart }
+        })
+            .select('challanNumber vehicleNumber violationType fineAmount status dateTime demeritPoints')
+            .sort({ dateTime: -1 });
+
+        return {
+            licenseNumber: citizen ? citizen.licenseNumber : undefined,
+            licenseStatus: citizen ? citizen.licenseStatus : undefined,
+            licensePoints,
+            vehiclePoints,
+            suspensionThreshold: policy.suspensionThreshold,
+            windowDays: policy.windowDays,
+            recentChallans: recentChallans.map(c => c.toJSON())
+        };
+    }
+
+    // Citizen requests to pay a large fine in installments
+    async requestPaymentPlan(citizenId, challanId, planData) {
+        try {
+            const challan = await Challan.findById(challanId);
+            if (!challan) {
+                throw new Error('Challan not found');
+            }
+
+            if (challan.citizenId.toString() !== citizenId) {
+                throw new Error('Unauthorized access to challan');
+            }
+
+            ChallanLifecycle.assertTransition(challan.status, 'payment_plan');
+
+            const planConfig = ConfigurationManager.getInstance().get('paymentPlans');
+            if (challan.fineAmount < planConfig.minFineAmount) {
+                throw new Error(`Payment plans are only available for fines of $${planConfig.minFineAmount} or more`);
+            }
+
+            const numberOfInstallments = parseInt(planData.numberOfInstallments);
+            if (!numberOfInstallments || numberOfInstallments < 2 || numberOfInstallments > planConfig.maxInstallments) {
+                throw new Error(`Number of installments must be between 2 and ${planConfig.maxInstallments}`);
+            }
+
+            const existingPlan = await PaymentPlan.findOne({
+                challanId: challan._id,
+                status: { $in: ['requested', 'active'] }
+            });
+            if (existingPlan) {
+                throw new Error('Challan already has a pending or active payment plan');
+            }
+
+            const plan = new PaymentPlan({
+                challanId: challan._id,
+                citizenId,
+                numberOfInstallments,
+                intervalDays: planConfig.intervalDays,
+                requestReason: planData.reason
+            });
+
+            const savedPlan = await plan.save();
+
+            return {
+                success: true,
+                plan: savedPlan.toJSON(),
+                message: 'Payment plan requested and awaiting approval'
+            };
+
+        } catch (error) {
+            console.error('Error requesting payment plan:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    // Admin approves a requested plan and the installment schedule is generated
+    async approvePaymentPlan(adminId, planId) {
+        try {
+            const plan = await PaymentPlan.findById(planId);
+            if (!plan) {
+                throw new Error('Payment plan not found');
+            }
+
+            if (plan.status !== 'requested') {
+                throw new Error(`Cannot approve a payment plan with status '${plan.status}'`);
+            }
+
+            const challan = await Challan.findById(plan.challanId);
+            if (!challan) {
+                throw new Error('Challan not found');
+            }
+
+            // Penalties accrued up to approval are included in the plan total
+            challan.applyLatePenalty(this.getPenaltyRule());
+            ChallanLifecycle.assertTransition(challan.status, 'payment_plan');
+
+            plan.generateSchedule(challan.getOutstandingAmount());
+            plan.status = 'active';
+            plan.reviewedBy = adminId;
+            plan.reviewedAt = new Date();
+            const savedPlan = await plan.save();
+
+            challan.transitionTo('payment_plan', {
+                actorId: adminId,
+                actorRole: 'admin',
+                reason: `Payment plan ${savedPlan._id} approved`
+            });
+            challan.paymentPlanId = savedPlan._id;
+            await challan.save();
+            await this.recordLedger({ challan });
+
+            const citizen = await User.findById(plan.citizenId);
+            this.notificationSubject.notifyObservers('payment_plan_approved', {
+                challanId: challan._id.toString(),
+                challanNumber: challan.challanNumber,
+                planId: savedPlan._id.toString(),
+                userId: adminId,
+                citizenEmail: citizen ? citizen.email : undefined,
+                citizenPhone: citizen ? citizen.phone : undefined,
+                totalAmount: savedPlan.totalAmount,
+                installments: savedPlan.installments.length,
+                firstDueDate: savedPlan.installments[0].dueDate
+            });
+
+            return {
+                success: true,
+                plan: savedPlan.toJSON(),
+                challan: challan.toJSON(),
+                message: 'Payment plan approved'
+            };
+
+        } catch (error) {
+            console.error('Error approving payment plan:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    async rejectPaymentPlan(adminId, planId, reason) {
+        try {
+            const plan = await PaymentPlan.findById(planId);
+            if (!plan) {
+                throw new Error('Payment plan not found');
+            }
+
+            if (plan.status !== 'requested') {
+                throw new Error(`Cannot reject a payment plan with status '${plan.status}'`);
+            }
+
+            plan.status = 'rejected';
+            plan.reviewedBy = adminId;
+            plan.reviewedAt = new Date();
+            plan.rejectionReason = reason;
+            const savedPlan = await plan.save();
+
+            return {
+                success: true,
+                plan: savedPlan.toJSON(),
+                message: 'Payment plan rejected'
+            };
+
+        } catch (error) {
+            console.error('Error rejecting payment plan:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Pay the next installment of an active plan using the Strategy pattern
+    async payInstallment(citizenId, planId, paymentData) {
+        try {
+            const citizen = await User.findById(citizenId);
+            if (!citizen) {
+                throw new Error('Citizen not found');
+            }
+
+            const plan = await PaymentPlan.findById(planId);
+            if (!plan) {
+                throw new Error('Payment plan not found');
+            }
+
+            if (plan.citizenId.toString() !== citizenId) {
+                throw new Error('Unauthorized access to payment plan');
+            }
+
+            if (plan.status !== 'active') {
+                throw new Error(`Cannot pay an installment on a payment plan with status '${plan.status}'`);
+            }
+
+            // Re-read the plan under the lock so a double submit cannot pay the same installment twice
+            return await this.withChallanPaymentLock(plan.challanId, async challan => {
+                const currentPlan = await PaymentPlan.findById(plan._id);
+                if (currentPlan.status !== 'active') {
+                    throw new Error(`Cannot pay an installment on a payment plan with status '${currentPlan.status}'`);
+                }
+
+                return await this.chargeInstallment(citizen, currentPlan, challan, paymentData);
+            });
+
+        } catch (error) {
+            console.error('Error paying installment:', error);
+            return {
+                success: false,
+                error: error.message,
+                statusCode: error.statusCode
+            };
+        }
+    }
+
+    /**
+     * Charge the next installment of a plan and record it (call inside withChallanPaymentLock).
+     * It is charged like any other payment, through the configured gateway, so a declined installment
+     * is saved as 'failed' and one still settling waits for the gateway's webhook (or the bank's callback).
+     */
+    async chargeInstallment(citizen, plan, challan, paymentData) {
+        if (paymentData.method === 'cash') {
+            throw Object.assign(new Error('Cash payments are recorded by the officer or clerk who takes the cash'), { statusCode: 403 });
+        }
+        await this.assertNoPendingPayment(challan._id);
+
+        const installment = plan.getNextInstallment();
+
+        // 1. Charge the installment using Strategy pattern
+        const paymentResult = await this.chargePayment(installment.amount, paymentData);
+        const settled = paymentResult.success && paymentResult.status !== 'pending';
+
+        // 2. Save payment record linked to the installment
+        const paymentDoc = new Payment({
+            transactionId: paymentResult.transactionId,
+            challanId: challan._id,
+            citizenId: citizen._id,
+            paymentPlanId: plan._id,
+            installmentNumber: installment.number,
+            amount: installment.amount,
+            fee: paymentResult.fee,
+            totalAmount: paymentResult.amount,
+            paymentMethod: paymentData.method,
+            gateway: paymentResult.gateway,
+            gatewayTransactionId: paymentResult.gatewayTransactionId,
+            status: settled ? 'completed' : (paymentResult.success ? 'pending' : 'failed'),
+            failureReason: paymentResult.success ? undefined : paymentResult.error,
+            paymentDetails: {
+                cardLast4: paymentResult.paymentDetails.last4 || null,
+                cardType: paymentResult.paymentDetails.brand,
+                upiId: paymentResult.paymentDetails.upiId,
+                bankName: paymentResult.bankName
+            }
+        });
+
+        // 3. Update plan and challan; the challan is paid only with the last installment
+        const planCompleted = settled && this.completeInstallmentPayment(challan, plan, paymentDoc, {
+            actorId: citizen._id,
+            actorRole: 'citizen',
+            reason: `Final installment of payment plan ${plan._id}`
+        });
+
+        const savedPayment = await paymentDoc.save();
+
+        if (savedPayment.status === 'failed') {
+            throw Object.assign(new Error('Payment processing failed: ' + paymentResult.error), {
+                statusCode: 402,
+                paymentId: savedPayment._id.toString()
+            });
+        }
+
+        if (savedPayment.status === 'pending') {
+            return {
+                success: true,
+                payment: savedPayment.toJSON(),
+                plan: plan.toJSON(),
+                challan: challan.toJSON(),
+                ...(paymentResult.requiresRedirect
+                    ? this.getNetBankingService().createBankRedirect(savedPayment, paymentData.details.bankCode)
+                    : {}),
+                message: paymentResult.requiresRedirect
+                    ? `Continue at ${paymentResult.bankName} to pay installment ${installment.number}`
+                    : `Installment ${installment.number} accepted and awaiting settlement by the gateway`
+            };
+        }
+
+        await plan.save();
+        await challan.save();
+        await this.recordLedger({ challan, payments: [savedPayment] });
+
+        // 4. Send notifications using Observer pattern
+        this.notificationSubject.notifyObservers('payment_received', {
+            challanId: challan._id.toString(),
+            challanNumber: challan.challanNumber,
+            userId: citizen._id.toString(),
+            citizenEmail: citizen.email,
+            citizenPhone: citizen.phone,
+            amount: paymentResult.amount,
+            transactionId: paymentResult.transactionId,
+            installmentNumber: installment.number,
+            planCompleted
+        });
+
+        return {
+            success: true,
+            payment: savedPayment.toJSON(),
+            plan: plan.toJSON(),
+            challan: challan.toJSON(),
+            message: planCompleted
+                ? 'Final installment paid, challan settled'
+                : `Installment ${installment.number} of ${plan.installments.length} paid`
+        };
+    }
+
+    // The installment counterpart of completeChallanPayment; returns true when it paid the last installment
+    completeInstallmentPayment(challan, plan, payment, transition) {
+        payment.allocations = challan.allocatePayment(payment.amount);
+        challan.amountPaid = Math.round(((challan.amountPaid || 0) + payment.amount) * 100) / 100;
+
+        const planCompleted = plan.recordInstallmentPayment(payment.installmentNumber, payment._id);
+        if (planCompleted) {
+            challan.transitionTo('paid', transition);
+        }
+        return planCompleted;
+    }
+
+    // Void active plans with a missed installment so penalty rules apply again
+    async voidDefaultedPaymentPlans(asOf = new Date()) {
+        try {
+            const { graceDays } = ConfigurationManager.getInstance().get('paymentPlans');
+            const plans = await PaymentPlan.find({ status: 'active' });
+
+            let voided = 0;
+
+            for (const plan of plans) {
+                const missed = plan.findMissedInstallments(asOf, graceDays);
+                if (missed.length === 0) {
+                    continue;
+                }
+
+                plan.voidPlan(`Installment ${missed[0].number} missed`, missed);
+                await plan.save();
+
+                const challan = await Challan.findById(plan.challanId).populate('citizenId', 'email phone');
+                if (challan && challan.status === 'payment_plan') {
+                    const nextStatus = challan.dueDate && asOf > challan.dueDate ? 'overdue' : 'pending';
+                    challan.transitionTo(nextStatus, {
+                        actorRole: 'system',
+                        reason: plan.voidReason
+                    });
+                    challan.paymentPlanId = undefined;
+
+                    // Penalties resume on the original fine from the original due date
+                    if (nextStatus === 'overdue') {
+                        challan.applyLatePenalty(this.getPenaltyRule(), asOf);
+                    }
+                    await challan.save();
+                    await this.recordLedger({ challan });
+
+                    this.notificationSubject.notifyObservers('payment_plan_voided', {
+                        challanId: challan._id.toString(),
+                        challanNumber: challan.challanNumber,
+                        planId: plan._id.toString(),
+                        userId: challan.citizenId._id.toString(),
+                        citizenEmail: challan.citizenId.email,
+                        citizenPhone: challan.citizenId.phone,
+                        reason: plan.voidReason,
+                        amountDue: challan.getOutstandingAmount()
+                    });
+                }
+
+                voided++;
+            }
+
+            return {
+                success: true,
+                processed: plans.length,
+                voided,
+                message: 'Defaulted payment plans voided'
+            };
+
+        } catch (error) {
+            console.error('Error voiding defaulted payment plans:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    // Pick the active supervisor with the fewest open disputes
+    async findDisputeReviewer() {
+        const candidates = await User.find({
+            role: 'officer',
+            isActive: true,
+            specialAccess: 'supervisor'
+        });
+
+        const reviewers = candidates.filter(c => this.hasDecoratedPermission(c, 'approve_disputes'));
+        if (reviewers.length === 0) {
+            return null;
+        }
+
+        const workloads = await Promise.all(reviewers.map(r =>
+            Dispute.countDocuments({ reviewerId: r._id, status: { $ne: 'resolved' } })
+        ));
+
+        let selected = 0;
+        workloads.forEach((load, index) => {
+            if (load < workloads[selected]) {
+                selected = index;
+            }
+        });
+
+        return reviewers[selected];
+    }
+
+    // Check a permission including those added by decorators (e.g. supervisor)
+    hasDecoratedPermission(user, permission) {
+        const decoratedUser = UserPermissionManager.setupUserWithDecorators(
+            user.toOOPInstance(),
+            user.role,
+            user.specialAccess || []
+        );
+        return decoratedUser.getPermissions().includes(permission);
+    }
+}
+
+/**
+ * Decorator Pattern for User Permissions
+ * Problem: Need to dynamically add/remove permissions and features to users
+ * Solution: Decorator pattern allows adding behavior without modifying original classes
+ */
+
+// Base Component (User Wrapper)
+class UserPermissionComponent {
+    constructor(user) {
+        this.user = user;
+    }
+
+    getPermissions() {
+        return this.user.getPermissions();
+    }
+
+    getDashboardData() {
+        return this.user.getDashboardData();
+    }
+
+    canPerformAction(action) {
+        return this.getPermissions().includes(action);
+    }
+
+    getUser() {
+        return this.user;
+    }
+}
+
+// Base Decorator
+class UserPermissionDecorator extends UserPermissionComponent {
+    constructor(userComponent) {
+        super(userComponent.getUser());
+        this.wrappedComponent = userComponent;
+    }
+
+    getPermissions() {
+        return this.wrappedComponent.getPermissions();
+    }
+
+    getDashboardData() {
+        return this.wrappedComponent.getDashboardData();
+    }
+}
+
+// Concrete Decorators
+class SupervisorPermissionDecorator extends UserPermissionDecorator {
+    constructor(userComponent) {
+        super(userComponent);
+        this.additionalPermissions = [
+            'view_team_performance',
+            'assign_cases',
+            'approve_disputes',
+            'generate_team_reports'
+        ];
+    }
+
+    getPermissions() {
+        const basePermissions = super.getPermissions();
+        return [...basePermissions, ...this.additionalPermissions];
+    }
+
+    async getDashboardData() {
+        const baseDashboard = await super.getDashboardData();
+
+        return {
+            ...baseDashboard,
+            supervisorFeatures: {
+                teamMembers: 5,
+                pendingApprovals: 3,
+                teamPerformance: 85
+            }
+        };
+    }
+
+    getTeamMembers() {
+        // Supervisor-specific functionality
+        return ['officer1', 'officer2', 'officer3'];
+    }
+}
+
+// Counter clerks taking cash at an office, whatever their role
+class CashCounterPermissionDecorator extends UserPermissionDecorator {
+    constructor(userComponent) {
+        super(userComponent);
+        this.additionalPermissions = ['collect_cash'];
+    }
+
+    getPermissions() {
+        const basePermissions = super.getPermissions();
+        return [...new Set([...basePermissions, ...this.additionalPermissions])];
+    }
+}
+
+class TemporaryAccessDecorator extends UserPermissionDecorator {
+    constructor(userComponent, temporaryPermissions, expiryDate) {
+        super(userComponent);
+        this.temporaryPermissions = temporaryPermissions;
+        this.expiryDate = expiryDate;
+    }
+
+    getPermissions() {
+        const basePermissions = super.getPermissions();
+
+        // Check if temporary access has expired
+        if (new Date() > this.expiryDate) {
+            return basePermissions;
+        }
+
+        return [...basePermissions, ...this.temporaryPermissions];
+    }
+
+    async getDashboardData() {
+        const baseDashboard = await super.getDashboardData();
+
+        if (new Date() <= this.expiryDate) {
+            return {
+                ...baseDashboard,
+                temporaryAccess: {
+                    permissions: this.temporaryPermissions,
+                    expiresAt: this.expiryDate,
+                    isActive: true
+                }
+            };
+        }
+
+        return baseDashboard;
+    }
+
+    isTemporaryAccessActive() {
+        return new Date() <= this.expiryDate;
+    }
+}
+
+class AuditTrailDecorator extends UserPermissionDecorator {
+    constructor(userComponent, auditService) {
+        super(userComponent);
+        this.auditService = auditService;
+        this.actionLog = [];
+    }
+
+    canPerformAction(action) {
+        const canPerform = super.canPerformAction(action);
+
+        // Log the permission check
+        this.logAction('permission_check', {
+            action: action,
+            result: canPerform,
+            timestamp: new Date(),
+            userId: this.user.getId()
+        });
+
+        return canPerform;
+    }
+
+    async getDashboardData() {
+        const dashboardData = await super.getDashboardData();
+
+        // Log dashboard access
+        this.logAction('dashboard_access', {
+            timestamp: new Date(),
+            userId: this.user.getId()
+        });
+
+        return {
+            ...dashboardData,
+            auditInfo: {
+                totalActions: this.actionLog.length,
+                lastAction: this.actionLog[this.actionLog.length - 1]
+            }
+        };
+    }
+
+    logAction(actionType, details) {
+        const logEntry = {
+            actionType,
+            details,
+            timestamp: new Date()
+        };
+
+        this.actionLog.push(logEntry);
+
+        // Send to audit service
+        if (this.auditService) {
+            this.auditService.logUserAction(logEntry);
+        }
+    }
+
+    getActionLog() {
+        return this.actionLog;
+    }
+}
+
+class FeatureToggleDecorator extends UserPermissionDecorator {
+    constructor(userComponent, enabledFeatures = []) {
+        super(userComponent);
+        this.enabledFeatures = new Set(enabledFeatures);
+    }
+
+    getPermissions() {
+        const basePermissions = super.getPermissions();
+        const filteredPermissions = basePermissions.filter(permission =>
+            this.isFeatureEnabled(permission)
+        );
+
+        return filteredPermissions;
+    }
+
+    async getDashboardData() {
+        const baseDashboard = await super.getDashboardData();
+
+        // Filter dashboard features based on enabled features
+        const filteredDashboard = { ...baseDashboard };
+
+        if (!this.isFeatureEnabled('advanced_reports')) {
+            delete filteredDashboard.reports;
+        }
+
+        if (!this.isFeatureEnabled('notifications')) {
+            delete filteredDashboard.notifications;
+        }
+
+        return {
+            ...filteredDashboard,
+            enabledFeatures: Array.from(this.enabledFeatures)
+        };
+    }
+
+    isFeatureEnabled(feature) {
+        return this.enabledFeatures.has(feature) || this.enabledFeatures.has('*');
+    }
+
+    enableFeature(feature) {
+        this.enabledFeatures.add(feature);
+    }
+
+    disableFeature(feature) {
+        this.enabledFeatures.delete(feature);
+    }
+}
+
+// Permission Decorator Factory
+class PermissionDecoratorFactory {
+    static createDecoratedUser(user, decoratorConfigs = []) {
+        let decoratedUser = new UserPermissionComponent(user);
+
+        decoratorConfigs.forEach(config => {
+            switch (config.type) {
+                case 'supervisor':
+                    decoratedUser = new SupervisorPermissionDecorator(decoratedUser);
+                    break;
+                case 'cash_counter':
+                    decoratedUser = new CashCounterPermissionDecorator(decoratedUser);
+                    break;
+                case 'temporary':
+                    decoratedUser = new TemporaryAccessDecorator(
+                        decoratedUser,
+                        config.permissions,
+                        config.expiryDate
+                    );
+                    break;
+                case 'audit':
+                    decoratedUser = new AuditTrailDecorator(decoratedUser, config.auditService);
+                    break;
+                case 'feature_toggle':
+                    decoratedUser = new FeatureToggleDecorator(decoratedUser, config.features);
+                    break;
+            }
+        });
+
+        return decoratedUser;
+    }
+}
+
+// Usage Example for Decorator Pattern
+class UserPermissionManager {
+    static setupUserWithDecorators(user, userRole, specialAccess = []) {
+        const decoratorConfigs = [];
+
+        // Add supervisor permissions for senior officers
+        if (userRole === 'officer' && specialAccess.includes('supervisor')) {
+            decoratorConfigs.push({ type: 'supervisor' });
+        }
+
+        if (specialAccess.includes('cash_counter')) {
+            decoratorConfigs.push({ type: 'cash_counter' });
+        }
+
+        // Add temporary access for specific scenarios
+        if (specialAccess.includes('temporary_admin')) {
+            decoratorConfigs.push({
+                type: 'temporary',
+                permissions: ['delete_challans', 'modify_fines'],
+                expiryDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
+            });
+        }
+
+        // Add audit trail for admin users
+        if (userRole === 'admin') {
+            decoratorConfigs.push({
+                type: 'audit',
+                auditService: require('../services/auditService')
+            });
+        }
+
+        // Add feature toggles based on user preferences
+        if (specialAccess.includes('beta_features')) {
+            decoratorConfigs.push({
+                type: 'feature_toggle',
+                features: ['advanced_search', 'bulk_operations', 'analytics_dashboard']
+            });
+        }
+
+        return PermissionDecoratorFactory.createDecoratedUser(user, decoratorConfigs);
+    }
+}
+
+module.exports = {
+    // Factory Pattern
+    ViolationFactory,
+
+    // Strategy Pattern
+    PaymentStrategy,
+    CreditCardPaymentStrategy,
+    DebitCardPaymentStrategy,
+    UPIPaymentStrategy,
+    NetBankingPaymentStrategy,
+    CashPaymentStrategy,
+    PaymentProcessor,
+
+    // Observer Pattern
+    ChallanNotificationSubject,
+    NotificationObserver,
+    EmailNotificationObserver,
+    SMSNotificationObserver,
+    DatabaseLogObserver,
+
+    // Singleton Pattern
+    DatabaseConnection,
+    ConfigurationManager,
+
+    // Adapter Pattern
+    PaymentGatewayInterface,
+    StripeAdapter,
+    PayPalAdapter,
+    SimulatedGatewayAdapter,
+    PaymentGatewayFactory,
+
+    // Facade Pattern
+    EChallanFacade,
+
+    // Decorator Pattern
+    UserPermissionComponent,
+    UserPermissionDecorator,
+    SupervisorPermissionDecorator,
+    CashCounterPermissionDecorator,
+    TemporaryAccessDecorator,
+    AuditTrailDecorator,
+    FeatureToggleDecorator,
+    PermissionDecoratorFactory,
+    UserPermissionManager
 };
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ * Strategy Pattern for Combining Offences on One Challan
+ * Problem: A single stop can involve several offences, and simply adding their fines
+ *          is not always the policy (some jurisdictions discount the lesser offences or
+ *          cap the total for one stop)
+ * Solution: Each offence is priced by its own Violation class, then an
+ *           OffenceCombinationRule strategy turns the individual fines into the amount
+ *           charged per line item, with an optional cap on the challan total
+ */
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Scale fines so they add up to exactly the given total, keeping their proportions.
+ * Rounding differences go to the largest fine so the line items always sum to the total.
+ */
+function scaleFines(fines, total) {
+    const currentTotal = fines.reduce((sum, fine) => sum + fine, 0);
+    if (fines.length === 0) {
+        return [];
+    }
+    if (currentTotal === 0) {
+        return fines.map((fine, index) => (index === 0 ? roundAmount(total) : 0));
+    }
+
+    const scaled = fines.map(fine => roundAmount(fine * total / currentTotal));
+    const difference = roundAmount(total - scaled.reduce((sum, fine) => sum + fine, 0));
+    if (difference !== 0) {
+        const largest = scaled.indexOf(Math.max(...scaled));
+        scaled[largest] = roundAmount(scaled[largest] + difference);
+    }
+
+    return scaled;
+}
+
+// Abstract Strategy
+class OffenceCombinationRule {
+    constructor({ maxTotalFine = null } = {}) {
+        if (this.constructor === OffenceCombinationRule) {
+            throw new Error("Cannot instantiate abstract OffenceCombinationRule class");
+        }
+
+        this.maxTotalFine = maxTotalFine || null;
+    }
+
+    // Amount charged for each offence, in the same order as the individual fines
+    combineFines(fines) {
+        throw new Error("combineFines method must be implemented");
+    }
+
+    getRuleType() {
+        throw new Error("getRuleType method must be implemented");
+    }
+
+    // Combined line-item fines and total, with the cap applied across all items
+    combine(fines) {
+        let combined = this.combineFines(fines.map(Number)).map(roundAmount);
+        let total = roundAmount(combined.reduce((sum, fine) => sum + fine, 0));
+        const capped = Boolean(this.maxTotalFine) && total > this.maxTotalFine;
+
+        if (capped) {
+            combined = scaleFines(combined, this.maxTotalFine);
+            total = roundAmount(this.maxTotalFine);
+        }
+
+        return { fines: combined, total, capped };
+    }
+
+    toJSON() {
+        return {
+            type: this.getRuleType(),
+            maxTotalFine: this.maxTotalFine
+        };
+    }
+}
+
+// Concrete Strategies
+class SumCombinationRule extends OffenceCombinationRule {
+    combineFines(fines) {
+        return fines;
+    }
+
+    getRuleType() {
+        return 'sum';
+    }
+}
+
+class HighestPlusFractionCombinationRule extends OffenceCombinationRule {
+    constructor(options = {}) {
+        super(options);
+        this.additionalRate = options.additionalRate !== undefined ? options.additionalRate : 0.5;
+    }
+
+    // The most serious offence is charged in full, every other offence at a fraction
+    combineFines(fines) {
+        const highest = fines.indexOf(Math.max(...fines));
+        return fines.map((fine, index) => (index === highest ? fine : fine * this.additionalRate));
+    }
+
+    getRuleType() {
+        return 'highest_plus_fraction';
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), additionalRate: this.additionalRate };
+    }
+}
+
+// Combination Rule Factory
+class OffenceCombinationRuleFactory {
+    static createRule(ruleType, options = {}) {
+        switch ((ruleType || '').toLowerCase()) {
+            case 'sum':
+                return new SumCombinationRule(options);
+            case 'highest_plus_fraction':
+                return new HighestPlusFractionCombinationRule(options);
+            default:
+                throw new Error(`Unsupported offence combination rule: ${ruleType}`);
+        }
+    }
+
+    // Build the rule from the 'offences' section of ConfigurationManager
+    static fromConfiguration(offenceConfig = {}) {
+        const { rule, ...options } = offenceConfig;
+        return this.createRule(rule || 'sum', options);
+    }
+}
+
+module.exports = {
+    OffenceCombinationRule,
+    SumCombinationRule,
+    HighestPlusFractionCombinationRule,
+    OffenceCombinationRuleFactory,
+    scaleFines
+};
@@ -0,0 +1,144 @@
+/**
+ * Strategy Pattern for Late-Payment Penalties
+ * Problem: Overdue challans need a surcharge, and the surcharge policy (flat, percentage,
+ *          compounding) must be configurable without touching the overdue job
+ * Solution: Each surcharge policy is a PenaltyRule strategy that prices the penalty from
+ *           the original fine and the number of elapsed penalty periods
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Abstract Strategy
+class PenaltyRule {
+    constructor({ periodDays = 30, graceDays = 0, maxPeriods = 12 } = {}) {
+        if (this.constructor === PenaltyRule) {
+            throw new Error("Cannot instantiate abstract PenaltyRule class");
+        }
+
+        this.periodDays = periodDays;
+        this.graceDays = graceDays;
+        this.maxPeriods = maxPeriods;
+    }
+
+    // Number of started penalty periods after the due date (and grace period)
+    getElapsedPeriods(dueDate, asOf = new Date()) {
+        const lateMs = new Date(asOf).getTime() - new Date(dueDate).getTime() - this.graceDays * DAY_MS;
+        if (lateMs <= 0) {
+            return 0;
+        }
+
+        const periods = Math.ceil(lateMs / (this.periodDays * DAY_MS));
+        return this.maxPeriods ? Math.min(periods, this.maxPeriods) : periods;
+    }
+
+    calculatePenalty(originalFine, periods) {
+        throw new Error("calculatePenalty method must be implemented");
+    }
+
+    getRuleType() {
+        throw new Error("getRuleType method must be implemented");
+    }
+
+    roundAmount(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    toJSON() {
+        return {
+            type: this.getRuleType(),
+            periodDays: this.periodDays,
+            graceDays: this.graceDays,
+            maxPeriods: this.maxPeriods
+        };
+    }
+}
+
+// Concrete Strategies
+class FlatPenaltyRule extends PenaltyRule {
+    constructor(options = {}) {
+        super(options);
+        this.flatAmount = options.flatAmount || 100;
+    }
+
+    calculatePenalty(originalFine, periods) {
+        return this.roundAmount(this.flatAmount * periods);
+    }
+
+    getRuleType() {
+        return 'flat';
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), flatAmount: this.flatAmount };
+    }
+}
+
+class PercentagePenaltyRule extends PenaltyRule {
+    constructor(options = {}) {
+        super(options);
+        this.rate = options.rate || 0.1;
+    }
+
+    // Simple interest on the original fine for each period
+    calculatePenalty(originalFine, periods) {
+        return this.roundAmount(originalFine * this.rate * periods);
+    }
+
+    getRuleType() {
+        return 'percentage';
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), rate: this.rate };
+    }
+}
+
+class CompoundingPenaltyRule extends PenaltyRule {
+    constructor(options = {}) {
+        super(options);
+        this.rate = options.rate || 0.1;
+    }
+
+    // Each period's surcharge is charged on the fine plus earlier surcharges
+    calculatePenalty(originalFine, periods) {
+        return this.roundAmount(originalFine * (Math.pow(1 + this.rate, periods) - 1));
+    }
+
+    getRuleType() {
+        return 'compounding';
+    }
+
+    toJSON() {
+        return { ...super.toJSON(), rate: this.rate };
+    }
+}
+
+// Penalty Rule Factory
+class PenaltyRuleFactory {
+    static createRule(ruleType, options = {}) {
+        switch ((ruleType || '').toLowerCase()) {
+            case 'flat':
+                return new FlatPenaltyRule(options);
+            case 'percentage':
+                return new PercentagePenaltyRule(options);
+            case 'compounding':
+                return new CompoundingPenaltyRule(options);
+            default:
+                throw new Error(`Unsupported penalty rule: ${ruleType}`);
+        }
+    }
+
+    // Build the rule from the 'penalties' section of ConfigurationManager
+    static fromConfiguration(penaltyConfig = {}) {
+        const { rule, ...options } = penaltyConfig;
+        return this.createRule(rule || 'percentage', options);
+    }
+}
+
+module.exports = {
+    PenaltyRule,
+    FlatPenaltyRule,
+    PercentagePenaltyRule,
+    CompoundingPenaltyRule,
+    PenaltyRuleFactory
+};
@@ -0,0 +1,308 @@
+/**
+ * Registry Pattern for Violation Types
+ * Problem: Adding a violation type meant editing the factory switch, the Challan enum,
+ *          the fine info table and the challan form separately, and they drifted apart
+ * Solution: Each violation type is registered once with its name, aliases, class (pricing),
+ *           field schema, extra validation and demerit points. The factory, the Challan model,
+ *           the API and the frontend form all read from this registry.
+ *
+ * Types must be registered before models/Challan.js is loaded, since the Challan schema
+ * gets one path per declared field.
+ */
+
+const {
+    SpeedingViolation,
+    ParkingViolation,
+    HelmetViolation,
+    RedLightViolation,
+    MobileUsageViolation,
+    OtherViolation
+} = require('./ClassHierarchy');
+
+const FIELD_TYPES = ['number', 'string', 'boolean', 'enum'];
+
+class ViolationTypeRegistry {
+    constructor() {
+        this.types = new Map();
+        this.aliases = new Map();
+    }
+
+    /**
+     * Register a violation type.
+     * fields: [{ name, label, type: 'number'|'string'|'boolean'|'enum', required, options, min, max, unit }]
+     * validate: optional (data) => [error messages] for rules spanning several fields
+     */
+    register({ name, aliases = [], violationClass, description, fields = [], validate, demeritPoints = 1 }) {
+        if (!name || typeof violationClass !== 'function') {
+            throw new Error('A violation type needs a name and a violation class');
+        }
+        if (this.types.has(name)) {
+            throw new Error(`Violation type '${name}' is already registered`);
+        }
+
+        fields.forEach(field => this.checkField(name, field));
+
+        const definition = { name, aliases, violationClass, description, fields, validate, demeritPoints };
+        this.types.set(name, definition);
+        [name, ...aliases].forEach(alias => this.aliases.set(alias.toLowerCase(), name));
+
+        return this;
+    }
+
+    // Field names are shared Challan paths, so the same name must mean the same thing everywhere
+    checkField(typeName, field) {
+        if (!field.name || !FIELD_TYPES.includes(field.type)) {
+            throw new Error(`Invalid field '${field.name}' for violation type '${typeName}'`);
+        }
+        if (field.type === 'enum' && (!Array.isArray(field.options) || field.options.length === 0)) {
+            throw new Error(`Enum field '${field.name}' for violation type '${typeName}' needs options`);
+        }
+
+        const existing = this.getAllFields().find(f => f.name === field.name);
+        if (existing && existing.type !== field.type) {
+            throw new Error(`Field '${field.name}' is already declared with type '${existing.type}'`);
+        }
+    }
+
+    // Definition for a canonical name or alias (case-insensitive)
+    resolve(violationType) {
+        const name = this.aliases.get(String(violationType || '').toLowerCase());
+        return name ? this.types.get(name) : undefined;
+    }
+
+    has(violationType) {
+        return Boolean(this.resolve(violationType));
+    }
+
+    isTypeName(name) {
+        return this.types.has(name);
+    }
+
+    getTypeNames() {
+        return Array.from(this.types.keys());
+    }
+
+    getDefinitions() {
+        return Array.from(this.types.values());
+    }
+
+    // Every declared field across all types, one entry per field name
+    getAllFields() {
+        const fields = new Map();
+        this.getDefinitions().forEach(definition => {
+            definition.fields.forEach(field => {
+                if (!fields.has(field.name)) {
+                    fields.set(field.name, field);
+                }
+            });
+        });
+        return Array.from(fields.values());
+    }
+
+    getFields(violationType) {
+        const definition = this.resolve(violationType);
+        return definition ? definition.fields : [];
+    }
+
+    // Copy only the fields the type declares from a request body or document
+    pickFields(violationType, data = {}) {
+        return this.getFields(violationType).reduce((picked, field) => {
+            if (data[field.name] !== undefined) {
+                picked[field.name] = data[field.name];
+            }
+            return picked;
+        }, {});
+    }
+
+    createViolation(violationData) {
+        const { violationType, ...data } = violationData;
+        const definition = this.resolve(violationType);
+        if (!definition) {
+            throw new Error(`Unknown violation type: ${violationType}`);
+        }
+
+        return new definition.violationClass(data);
+    }
+
+    /**
+     * Check the type's declared fields (required, number ranges, enum options)
+     * plus its own validate() rules. Returns a list of error messages.
+     * With skipRequired, missing required fields are left to the caller and the
+     * type's own rules only run once every required field is present.
+     */
+    validateFields(violationType, data = {}, { skipRequired = false } = {}) {
+        const definition = this.resolve(violationType);
+        if (!definition) {
+            return [`Unknown violation type: ${violationType}`];
+        }
+
+        const errors = [];
+        let requiredMissing = false;
+
+        definition.fields.forEach(field => {
+            const value = data[field.name];
+            const missing = value === undefined || value === null || value === '';
+
+            if (missing) {
+                if (field.required) {
+                    requiredMissing = true;
+                    if (!skipRequired) {
+                        errors.push(`${field.label || field.name} is required`);
+                    }
+                }
+                return;
+            }
+
+            if (field.type === 'number') {
+                const number = Number(value);
+                if (isNaN(number)) {
+                    errors.push(`${field.label || field.name} must be a number`);
+                } else if (field.min !== undefined && number < field.min) {
+                    errors.push(`${field.label || field.name} must be at least ${field.min}`);
+                } else if (field.max !== undefined && number > field.max) {
+                    errors.push(`${field.label || field.name} must be at most ${field.max}`);
+                }
+            }
+
+            if (field.type === 'enum' && !field.options.includes(value)) {
+                errors.push(`${field.label || field.name} must be one of: ${field.options.join(', ')}`);
+            }
+        });
+
+        if (errors.length === 0 && !requiredMissing && typeof definition.validate === 'function') {
+            errors.push(...definition.validate(data));
+        }
+
+        return errors;
+    }
+
+    getDemeritPoints() {
+        return this.getDefinitions().reduce((points, definition) => {
+            points[definition.name] = definition.demeritPoints;
+            return points;
+        }, {});
+    }
+
+    // Built-in rates declared by each violation class
+    getDefaultRates() {
+        return this.getDefinitions().map(definition => ({
+            violationType: definition.name,
+            ...definition.violationClass.defaultRate
+        }));
+    }
+
+    // Schedule version 0: the built-in rates, used until a fine schedule is published
+    getDefaultFineSchedule() {
+        return {
+            version: 0,
+            name: 'Built-in fine rates',
+            effectiveFrom: new Date(0),
+            rates: this.getDefaultRates()
+        };
+    }
+
+    // Metadata for the API and the challan form, priced from the given schedule
+    describe(fineSchedule = null) {
+        return this.getDefinitions().map(definition => {
+            const violation = new definition.violationClass({}).applyFineSchedule(fineSchedule);
+            const rate = violation.getFineRate();
+
+            return {
+                name: definition.name,
+                aliases: definition.aliases,
+                description: definition.description || rate.description,
+                fields: definition.fields,
+                minFine: violation.getMinimumFine(),
+                maxFine: rate.maxFine,
+                demeritPoints: definition.demeritPoints,
+                requiresCalibratedDevice: Boolean(definition.violationClass.requiresCalibratedDevice),
+                fineScheduleVersion: violation.getFineScheduleVersion()
+            };
+        });
+    }
+}
+
+const violationTypeRegistry = new ViolationTypeRegistry();
+
+violationTypeRegistry
+    .register({
+        name: 'Speeding',
+        aliases: ['speed'],
+        violationClass: SpeedingViolation,
+        description: 'Exceeding speed limit',
+        demeritPoints: 3,
+        fields: [
+            { name: 'speedLimit', label: 'Speed Limit', type: 'number', required: true, min: 0, unit: 'km/h' },
+            { name: 'actualSpeed', label: 'Actual Speed', type: 'number', required: true, min: 0, unit: 'km/h' },
+            { name: 'radarReading', label: 'Radar Reading', type: 'string' }
+        ],
+        validate: data => Number(data.actualSpeed) > Number(data.speedLimit)
+            ? []
+            : ['Actual Speed must be above the Speed Limit']
+    })
+    .register({
+        name: 'Wrong Parking',
+        aliases: ['parking', 'improper parking'],
+        violationClass: ParkingViolation,
+        description: 'Parking in restricted area',
+        demeritPoints: 1,
+        fields: [
+            {
+                name: 'zoneType',
+                label: 'Zone Type',
+                type: 'enum',
+                required: true,
+                options: ['no-parking', 'handicap', 'fire-lane', 'expired-meter']
+            },
+            { name: 'duration', label: 'Duration', type: 'number', min: 0, unit: 'minutes' }
+        ]
+    })
+    .register({
+        name: 'No Helmet',
+        aliases: ['helmet'],
+        violationClass: HelmetViolation,
+        description: 'Riding without helmet',
+        demeritPoints: 2,
+        fields: [
+            { name: 'passengerCount', label: 'Riders Without Helmet', type: 'number', min: 1 },
+            { name: 'vehicleType', label: 'Vehicle Type', type: 'enum', options: ['motorcycle', 'scooter'] }
+        ]
+    })
+    .register({
+        name: 'Red Light',
+        aliases: ['red light violation'],
+        violationClass: RedLightViolation,
+        description: 'Running red light',
+        demeritPoints: 4,
+        fields: [
+            { name: 'intersectionId', label: 'Intersection', type: 'string' },
+            { name: 'cameraId', label: 'Camera', type: 'string' },
+            { name: 'timeAfterRed', label: 'Time After Red', type: 'number', min: 0, unit: 'seconds' }
+        ]
+    })
+    .register({
+        name: 'Mobile Usage',
+        aliases: ['mobile', 'mobile phone usage'],
+        violationClass: MobileUsageViolation,
+        description: 'Using a mobile phone while driving',
+        demeritPoints: 3,
+        fields: [
+            { name: 'usageType', label: 'Usage', type: 'enum', options: ['handheld', 'texting'] },
+            { name: 'vehicleMoving', label: 'Vehicle Was Moving', type: 'boolean' }
+        ]
+    })
+    .register({
+        name: 'Other',
+        violationClass: OtherViolation,
+        description: 'Other offence under a cited statute',
+        demeritPoints: 1,
+        fields: [
+            { name: 'statuteReference', label: 'Statute Reference', type: 'string', required: true },
+            { name: 'officerSpecifiedFine', label: 'Fine Amount', type: 'number', min: 0 }
+        ]
+    });
+
+module.exports = {
+    ViolationTypeRegistry,
+    violationTypeRegistry
+};
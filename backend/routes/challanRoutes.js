@@ -1,56 +1,116 @@
-﻿/**
- * Challan Routes - Updated for OOP Controllers
- */
-
-const express = require('express');
-
-const challanController = require('../controllers/challanController');
-const authMiddleware = require('../middleware/authMiddleware');
-
-const challanRouter = express.Router();
-
-// Dashboard statistics - available to all authenticated users
-challanRouter.get('/stats',
-    authMiddleware.protect,
-    authMiddleware.rateLimitByRole(),
-    challanController.getDashboardStats.bind(challanController)
-);
-
-// Challan collection routes
-challanRouter.route('/')
-    .get(
-        authMiddleware.protect,
-        authMiddleware.requireAnyPermission('view_challans', 'view_own_challans'), // ← Changed this
-        authMiddleware.rateLimitByRole(),
-        authMiddleware.auditAction('view_challans'),
-        challanController.getChallans.bind(challanController)
-    )
-    .post(
-        authMiddleware.protect,
-        authMiddleware.authorize('officer', 'admin'),
-        authMiddleware.requirePermission('create_challans'),
-        authMiddleware.auditAction('create_challan'),
-        challanController.createChallan.bind(challanController)
-    );
-
-// Individual challan routes
-challanRouter.route('/:id')
-    .get(
-        authMiddleware.protect,
-        authMiddleware.auditAction('view_specific_challan'),
-        challanController.getChallanById.bind(challanController)
-    )
-    .put(
-        authMiddleware.protect,
-        authMiddleware.auditAction('update_challan'),
-        challanController.updateChallan.bind(challanController)
-    )
-    .delete(
-        authMiddleware.protect,
-        authMiddleware.authorize('officer', 'admin'),
-        authMiddleware.requirePermission('delete_challans'),
-        authMiddleware.auditAction('delete_challan'),
-        challanController.deleteChallan.bind(challanController)
-    );
-
+﻿/**
+ * Challan Routes - Updated for OOP Controllers
+ */
+
+const express = require('express');
+
+const challanController = require('../controllers/challanController');
+const evidenceController = require('../controllers/evidenceController');
+const authMiddleware = require('../middleware/authMiddleware');
+const uploadMiddleware = require('../middleware/uploadMiddleware');
+
+const challanRouter = express.Router();
+
+// Dashboard statistics - available to all authenticated users
+challanRouter.get('/stats',
+    authMiddleware.protect,
+    authMiddleware.rateLimitByRole(),
+    challanController.getDashboardStats.bind(challanController)
+);
+
+// Challan collection routes
+challanRouter.route('/')
+    .get(
+        authMiddleware.protect,
+        authMiddleware.requireAnyPermission('view_challans', 'view_own_challans'), // ← Changed this
+        authMiddleware.rateLimitByRole(),
+        authMiddleware.auditAction('view_challans'),
+        challanController.getChallans.bind(challanController)
+    )
+    .post(
+        authMiddleware.protect,
+        authMiddleware.authorize('officer', 'admin'),
+        authMiddleware.requirePermission('create_challans'),
+        authMiddleware.auditAction('create_challan'),
+        challanController.createChallan.bind(challanController)
+    );
+
+// Individual challan routes
+challanRouter.route('/:id')
+    .get(
+        authMiddleware.protect,
+        authMiddleware.auditAction('view_specific_challan'),
+        challanController.getChallanById.bind(challanController)
+    )
+    .put(
+        authMiddleware.protect,
+        authMiddleware.auditAction('update_challan'),
+        challanController.updateChallan.bind(challanController)
+    )
+    .delete(
+        authMiddleware.protect,
+        authMiddleware.authorize('officer', 'admin'),
+        authMiddleware.requirePermission('delete_challans'),
+        authMiddleware.auditAction('delete_challan'),
+        challanController.deleteChallan.bind(challanController)
+    );
+
+// Printable notice
+challanRouter.get('/:id/notice.pdf',
+    authMiddleware.protect,
+    authMiddleware.auditAction('download_challan_notice'),
+    challanController.getChallanNotice.bind(challanController)
+);
+
+// Evidence routes
+challanRouter.route('/:id/evidence')
+    .get(
+        authMiddleware.protect,
+        authMiddleware.auditAction('view_evidence'),
+        evidenceController.getChallanEvidence.bind(evidenceController)
+    )
+    .post(
+        authMiddleware.protect,
+        authMiddleware.authorize('officer'),
+        authMiddleware.requirePermission('upload_evidence'),
+        authMiddleware.auditAction('upload_evidence'),
+        uploadMiddleware.evidenceFiles(),
+        evidenceController.uploadEvidence.bind(evidenceController)
+    );
+
+// Dispute routes
+challanRouter.route('/:id/dispute')
+    .get(
+        authMiddleware.protect,
+        authMiddleware.auditAction('view_dispute'),
+        challanController.getDispute.bind(challanController)
+    )
+    .post(
+        authMiddleware.protect,
+        authMiddleware.requirePermission('dispute_challan'),
+        authMiddleware.auditAction('file_dispute'),
+        challanController.fileDispute.bind(challanController)
+    );
+
+challanRouter.post('/:id/dispute/evidence',
+    authMiddleware.protect,
+    authMiddleware.requirePermission('dispute_challan'),
+    authMiddleware.auditAction('add_dispute_evidence'),
+    challanController.addDisputeEvidence.bind(challanController)
+);
+
+challanRouter.put('/:id/dispute/assign',
+    authMiddleware.protect,
+    authMiddleware.requireAnyPermission('assign_cases', 'manage_users'),
+    authMiddleware.auditAction('assign_dispute'),
+    challanController.assignDispute.bind(challanController)
+);
+
+challanRouter.put('/:id/dispute/decision',
+    authMiddleware.protect,
+    authMiddleware.requirePermission('approve_disputes'),
+    authMiddleware.auditAction('decide_dispute'),
+    challanController.decideDispute.bind(challanController)
+);
+
 module.exports.challanRoutes = challanRouter;
\ No newline at end of file
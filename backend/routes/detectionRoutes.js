@@ -0,0 +1,52 @@
+/**
+ * Detection Routes - Camera ingestion (device credentials) and the officer review queue
+ */
+const express = require('express');
+const detectionController = require('../controllers/detectionController');
+const authMiddleware = require('../middleware/authMiddleware');
+const deviceAuthMiddleware = require('../middleware/deviceAuthMiddleware');
+const uploadMiddleware = require('../middleware/uploadMiddleware');
+
+const detectionRouter = express.Router();
+
+detectionRouter.route('/')
+    .post(
+        deviceAuthMiddleware.protectDevice,
+        uploadMiddleware.detectionImage(),
+        detectionController.ingestDetection.bind(detectionController)
+    )
+    .get(
+        authMiddleware.protect,
+        authMiddleware.requireAnyPermission('review_detections', 'manage_devices'),
+        detectionController.getDetections.bind(detectionController)
+    );
+
+detectionRouter.get('/:id',
+    authMiddleware.protect,
+    authMiddleware.requireAnyPermission('review_detections', 'manage_devices'),
+    detectionController.getDetectionById.bind(detectionController)
+);
+
+detectionRouter.get('/:id/image',
+    authMiddleware.protect,
+    authMiddleware.requireAnyPermission('review_detections', 'manage_devices'),
+    detectionController.getDetectionImage.bind(detectionController)
+);
+
+detectionRouter.post('/:id/approve',
+    authMiddleware.protect,
+    authMiddleware.authorize('officer'),
+    authMiddleware.requirePermission('review_detections'),
+    authMiddleware.auditAction('approve_detection'),
+    detectionController.approveDetection.bind(detectionController)
+);
+
+detectionRouter.post('/:id/reject',
+    authMiddleware.protect,
+    authMiddleware.authorize('officer'),
+    authMiddleware.requirePermission('review_detections'),
+    authMiddleware.auditAction('reject_detection'),
+    detectionController.rejectDetection.bind(detectionController)
+);
+
+module.exports.detectionRoutes = detectionRouter;
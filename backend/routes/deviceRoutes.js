@@ -0,0 +1,56 @@
+/**
+ * Device Routes - Admin registry of enforcement cameras, their calibration and API keys
+ */
+const express = require('express');
+const deviceController = require('../controllers/deviceController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const deviceRouter = express.Router();
+
+deviceRouter.route('/')
+    .get(
+        authMiddleware.protect,
+        authMiddleware.authorize('admin'),
+        authMiddleware.requirePermission('manage_devices'),
+        deviceController.getDevices.bind(deviceController)
+    )
+    .post(
+        authMiddleware.protect,
+        authMiddleware.authorize('admin'),
+        authMiddleware.requirePermission('manage_devices'),
+        authMiddleware.auditAction('register_device'),
+        deviceController.registerDevice.bind(deviceController)
+    );
+
+deviceRouter.route('/:id')
+    .get(
+        authMiddleware.protect,
+        authMiddleware.authorize('admin'),
+        authMiddleware.requirePermission('manage_devices'),
+        deviceController.getDeviceById.bind(deviceController)
+    )
+    .put(
+        authMiddleware.protect,
+        authMiddleware.authorize('admin'),
+        authMiddleware.requirePermission('manage_devices'),
+        authMiddleware.auditAction('update_device'),
+        deviceController.updateDevice.bind(deviceController)
+    );
+
+deviceRouter.post('/:id/calibrations',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('manage_devices'),
+    authMiddleware.auditAction('record_device_calibration'),
+    deviceController.recordCalibration.bind(deviceController)
+);
+
+deviceRouter.post('/:id/rotate-key',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('manage_devices'),
+    authMiddleware.auditAction('rotate_device_key'),
+    deviceController.rotateKey.bind(deviceController)
+);
+
+module.exports.deviceRoutes = deviceRouter;
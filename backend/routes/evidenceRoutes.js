@@ -0,0 +1,21 @@
+/**
+ * Evidence Routes - Stored evidence files, served only to the citizen, the issuing officer and admins
+ */
+const express = require('express');
+const evidenceController = require('../controllers/evidenceController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const evidenceRouter = express.Router();
+
+evidenceRouter.get('/:id/file',
+    authMiddleware.protect,
+    authMiddleware.auditAction('download_evidence'),
+    evidenceController.downloadEvidence.bind(evidenceController)
+);
+
+evidenceRouter.get('/:id/thumbnail',
+    authMiddleware.protect,
+    evidenceController.downloadThumbnail.bind(evidenceController)
+);
+
+module.exports.evidenceRoutes = evidenceRouter;
@@ -0,0 +1,51 @@
+/**
+ * Fine Schedule Routes - Versioned fine rates
+ */
+const express = require('express');
+const fineScheduleController = require('../controllers/fineScheduleController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const fineScheduleRouter = express.Router();
+
+fineScheduleRouter.get('/',
+    authMiddleware.protect,
+    authMiddleware.authorize('officer', 'admin'),
+    fineScheduleController.getFineSchedules.bind(fineScheduleController)
+);
+
+fineScheduleRouter.get('/current',
+    authMiddleware.protect,
+    fineScheduleController.getCurrentFineSchedule.bind(fineScheduleController)
+);
+
+fineScheduleRouter.get('/:id',
+    authMiddleware.protect,
+    authMiddleware.authorize('officer', 'admin'),
+    fineScheduleController.getFineSchedule.bind(fineScheduleController)
+);
+
+fineScheduleRouter.post('/',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('manage_fine_schedules'),
+    authMiddleware.auditAction('create_fine_schedule'),
+    fineScheduleController.createFineSchedule.bind(fineScheduleController)
+);
+
+fineScheduleRouter.put('/:id',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('manage_fine_schedules'),
+    authMiddleware.auditAction('update_fine_schedule'),
+    fineScheduleController.updateFineSchedule.bind(fineScheduleController)
+);
+
+fineScheduleRouter.delete('/:id',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('manage_fine_schedules'),
+    authMiddleware.auditAction('delete_fine_schedule'),
+    fineScheduleController.deleteFineSchedule.bind(fineScheduleController)
+);
+
+module.exports.fineScheduleRoutes = fineScheduleRouter;
@@ -0,0 +1,25 @@
+/**
+ * Job Routes - Admin control of scheduled jobs
+ */
+const express = require('express');
+const jobController = require('../controllers/jobController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const jobRouter = express.Router();
+
+jobRouter.get('/',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('system_configuration'),
+    jobController.getJobs.bind(jobController)
+);
+
+jobRouter.post('/:name/run',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('system_configuration'),
+    authMiddleware.auditAction('run_job'),
+    jobController.runJob.bind(jobController)
+);
+
+module.exports.jobRoutes = jobRouter;
@@ -104,7 +104,7 @@ router.post('/adapter', async (req, res) => {
 
         // Demonstrate Adapter Pattern
         const paymentGateway = PaymentGatewayFactory.createGateway(gateway);
-        const result = paymentGateway.processPayment(paymentData);
+        const result = await paymentGateway.processPayment(paymentData);
 
         res.status(200).json({
             message: 'Adapter Pattern Demonstration',
@@ -114,7 +114,7 @@ router.post('/adapter', async (req, res) => {
             result: result,
             adapterInfo: {
                 purpose: 'Converts different gateway APIs to a common interface',
-                supportedGateways: ['stripe', 'paypal'],
+                supportedGateways: ['stripe', 'paypal', 'simulator'],
                 originalAPI: `${gateway} has its own unique API structure`,
                 adaptedInterface: 'All gateways now use: processPayment(), refundPayment(), getTransactionStatus()'
             }
@@ -1,55 +1,271 @@
-/**
- * Payment Routes - Updated for OOP Controllers
- */
-const paymentController = require('../controllers/paymentController');
-const authMiddleware = require('../middleware/authMiddleware');
-const express = require('express');
-const paymentRouter = express.Router();
-
-
-// Payment processing routes
-paymentRouter.post('/process',
-    authMiddleware.protect,
-    authMiddleware.requirePermission('make_payments'),
-    authMiddleware.auditAction('process_payment'),
-    paymentController.processPayment.bind(paymentController)
-);
-
-paymentRouter.post('/process-with-gateway',
-    authMiddleware.protect,
-    authMiddleware.requirePermission('make_payments'),
-    authMiddleware.auditAction('process_payment_gateway'),
-    paymentController.processPaymentWithGateway.bind(paymentController)
-);
-
-// Payment history and management
-paymentRouter.get('/history',
-    authMiddleware.protect,
-    authMiddleware.requirePermission('view_payment_history'),
-    authMiddleware.auditAction('view_payment_history'),
-    paymentController.getPaymentHistory.bind(paymentController)
-);
-
-paymentRouter.get('/statistics',
-    authMiddleware.protect,
-    authMiddleware.auditAction('view_payment_statistics'),
-    paymentController.getPaymentStatistics.bind(paymentController)
-);
-
-// Admin-only payment routes
-paymentRouter.post('/refund',
-    authMiddleware.protect,
-    authMiddleware.authorize('admin'),
-    authMiddleware.requirePermission('process_refunds'),
-    authMiddleware.auditAction('process_refund'),
-    paymentController.refundPayment.bind(paymentController)
-);
-
-paymentRouter.post('/retry/:paymentId',
-    authMiddleware.protect,
-    authMiddleware.requirePermission('make_payments'),
-    authMiddleware.auditAction('retry_payment'),
-    paymentController.retryFailedPayment.bind(paymentController)
-);
-
+/**
+ * Payment Routes - Updated for OOP Controllers
+ */
+const paymentController = require('../controllers/paymentController');
+const authMiddleware = require('../middleware/authMiddleware');
+const idempotencyMiddleware = require('../middleware/idempotencyMiddleware');
+const cardDataMiddleware = require('../middleware/cardDataMiddleware');
+const express = require('express');
+const paymentRouter = express.Router();
+
+
+// Payment processing routes
+paymentRouter.post('/process',
+    cardDataMiddleware.rejectRawCardData,
+    authMiddleware.protect,
+    authMiddleware.requirePermission('make_payments'),
+    authMiddleware.auditAction('process_payment'),
+    idempotencyMiddleware.idempotent('process_payment'),
+    paymentController.processPayment.bind(paymentController)
+);
+
+paymentRouter.post('/process-with-gateway',
+    cardDataMiddleware.rejectRawCardData,
+    authMiddleware.protect,
+    authMiddleware.requirePermission('make_payments'),
+    authMiddleware.auditAction('process_payment_gateway'),
+    idempotencyMiddleware.idempotent('process_payment_gateway'),
+    paymentController.processPaymentWithGateway.bind(paymentController)
+);
+
+// Two-phase checkout: lock the amount for one or more challans, then confirm with a payment token
+paymentRouter.post('/intents',
+    authMiddleware.protect,
+    authMiddleware.requirePermission('make_payments'),
+    authMiddleware.auditAction('create_payment_intent'),
+    paymentController.createPaymentIntent.bind(paymentController)
+);
+
+paymentRouter.get('/intents/:intentId',
+    authMiddleware.protect,
+    authMiddleware.requirePermission('make_payments'),
+    paymentController.getPaymentIntent.bind(paymentController)
+);
+
+paymentRouter.post('/intents/:intentId/confirm',
+    cardDataMiddleware.rejectRawCardData,
+    authMiddleware.protect,
+    authMiddleware.requirePermission('make_payments'),
+    authMiddleware.auditAction('confirm_payment_intent'),
+    idempotencyMiddleware.idempotent('confirm_payment_intent'),
+    paymentController.confirmPaymentIntent.bind(paymentController)
+);
+
+paymentRouter.post('/intents/:intentId/cancel',
+    authMiddleware.protect,
+    authMiddleware.requirePermission('make_payments'),
+    authMiddleware.auditAction('cancel_payment_intent'),
+    paymentController.cancelPaymentIntent.bind(paymentController)
+);
+
+// Cart checkout: several challans, one charge
+paymentRouter.post('/batch/quote',
+    authMiddleware.protect,
+    authMiddleware.requirePermission('make_payments'),
+    paymentController.quoteBatchPayment.bind(paymentController)
+);
+
+paymentRouter.post('/batch',
+    cardDataMiddleware.rejectRawCardData,
+    authMiddleware.protect,
+    authMiddleware.requirePermission('make_payments'),
+    authMiddleware.auditAction('batch_payment'),
+    idempotencyMiddleware.idempotent('batch_payment'),
+    paymentController.payBatch.bind(paymentController)
+);
+
+// Gateway callbacks; no user token, the HMAC signature identifies the gateway
+paymentRouter.post('/webhooks/:gateway',
+    paymentController.handleGatewayWebhook.bind(paymentController)
+);
+
+// Net banking: the bank's signed response comes back through the payer's browser, so no user token
+paymentRouter.post('/netbanking/callback',
+    paymentController.confirmNetBankingPayment.bind(paymentController)
+);
+
+// Stands in for the bank when NETBANKING_BANK_URL is not set
+paymentRouter.post('/netbanking/simulated-bank/authorize',
+    paymentController.authorizeSimulatedBankPayment.bind(paymentController)
+);
+
+// Cash taken by officers at the roadside or clerks at a counter, and the daily cash-up
+paymentRouter.post('/cash',
+    authMiddleware.protect,
+    authMiddleware.requirePermission('collect_cash'),
+    authMiddleware.auditAction('record_cash_payment'),
+    idempotencyMiddleware.idempotent('record_cash_payment'),
+    paymentController.recordCashPayment.bind(paymentController)
+);
+
+paymentRouter.get('/cash/summary',
+    authMiddleware.protect,
+    authMiddleware.requireAnyPermission('collect_cash', 'reconcile_cash'),
+    paymentController.getCashSummary.bind(paymentController)
+);
+
+paymentRouter.post('/cash/cash-ups',
+    authMiddleware.protect,
+    authMiddleware.requirePermission('collect_cash'),
+    authMiddleware.auditAction('submit_cash_up'),
+    paymentController.submitCashUp.bind(paymentController)
+);
+
+paymentRouter.get('/cash/cash-ups',
+    authMiddleware.protect,
+    authMiddleware.requirePermission('reconcile_cash'),
+    authMiddleware.auditAction('view_cash_ups'),
+    paymentController.getCashUps.bind(paymentController)
+);
+
+// Payment history and management
+paymentRouter.get('/history',
+    authMiddleware.protect,
+    authMiddleware.requirePermission('view_payment_history'),
+    authMiddleware.auditAction('view_payment_history'),
+    paymentController.getPaymentHistory.bind(paymentController)
+);
+
+paymentRouter.get('/statistics',
+    authMiddleware.protect,
+    authMiddleware.auditAction('view_payment_statistics'),
+    paymentController.getPaymentStatistics.bind(paymentController)
+);
+
+// Amounts owed and paid per challan, from the ledger
+paymentRouter.get('/balance',
+    authMiddleware.protect,
+    authMiddleware.requireAnyPermission('view_payment_history', 'view_system_reports'),
+    paymentController.getBalance.bind(paymentController)
+);
+
+paymentRouter.get('/:id/receipt.pdf',
+    authMiddleware.protect,
+    authMiddleware.auditAction('download_payment_receipt'),
+    paymentController.getPaymentReceipt.bind(paymentController)
+);
+
+// Admin-only payment routes
+paymentRouter.post('/refund',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('process_refunds'),
+    authMiddleware.auditAction('process_refund'),
+    paymentController.refundPayment.bind(paymentController)
+);
+
+paymentRouter.get('/refunds',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('process_refunds'),
+    paymentController.getRefunds.bind(paymentController)
+);
+
+paymentRouter.put('/refunds/:id/approve',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('process_refunds'),
+    authMiddleware.auditAction('approve_refund'),
+    paymentController.approveRefund.bind(paymentController)
+);
+
+paymentRouter.put('/refunds/:id/reject',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('process_refunds'),
+    authMiddleware.auditAction('reject_refund'),
+    paymentController.rejectRefund.bind(paymentController)
+);
+
+paymentRouter.get('/ledger/trial-balance',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('view_system_reports'),
+    authMiddleware.auditAction('view_trial_balance'),
+    paymentController.getTrialBalance.bind(paymentController)
+);
+
+// Settlement reconciliation
+paymentRouter.post('/reconciliation/run',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('reconcile_payments'),
+    authMiddleware.auditAction('run_reconciliation'),
+    paymentController.runReconciliation.bind(paymentController)
+);
+
+paymentRouter.get('/reconciliation/reports',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('reconcile_payments'),
+    paymentController.getReconciliationReports.bind(paymentController)
+);
+
+paymentRouter.get('/reconciliation/reports/:id',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('reconcile_payments'),
+    paymentController.getReconciliationReport.bind(paymentController)
+);
+
+paymentRouter.put('/reconciliation/reports/:id/discrepancies/:discrepancyId',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('reconcile_payments'),
+    authMiddleware.auditAction('resolve_reconciliation_discrepancy'),
+    paymentController.resolveDiscrepancy.bind(paymentController)
+);
+
+paymentRouter.post('/retry/:paymentId',
+    cardDataMiddleware.rejectRawCardData,
+    authMiddleware.protect,
+    authMiddleware.requirePermission('make_payments'),
+    authMiddleware.auditAction('retry_payment'),
+    idempotencyMiddleware.idempotent('retry_payment'),
+    paymentController.retryFailedPayment.bind(paymentController)
+);
+
+// Installment payment plans
+paymentRouter.post('/plans',
+    authMiddleware.protect,
+    authMiddleware.requirePermission('make_payments'),
+    authMiddleware.auditAction('request_payment_plan'),
+    paymentController.requestPaymentPlan.bind(paymentController)
+);
+
+paymentRouter.get('/plans',
+    authMiddleware.protect,
+    paymentController.getPaymentPlans.bind(paymentController)
+);
+
+paymentRouter.get('/plans/:id',
+    authMiddleware.protect,
+    paymentController.getPaymentPlan.bind(paymentController)
+);
+
+paymentRouter.put('/plans/:id/approve',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('approve_payment_plans'),
+    authMiddleware.auditAction('approve_payment_plan'),
+    paymentController.approvePaymentPlan.bind(paymentController)
+);
+
+paymentRouter.put('/plans/:id/reject',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('approve_payment_plans'),
+    authMiddleware.auditAction('reject_payment_plan'),
+    paymentController.rejectPaymentPlan.bind(paymentController)
+);
+
+paymentRouter.post('/plans/:id/pay',
+    cardDataMiddleware.rejectRawCardData,
+    authMiddleware.protect,
+    authMiddleware.requirePermission('make_payments'),
+    authMiddleware.auditAction('pay_installment'),
+    idempotencyMiddleware.idempotent('pay_installment'),
+    paymentController.payInstallment.bind(paymentController)
+);
+
 module.exports.paymentRoutes = paymentRouter;
\ No newline at end of file
@@ -0,0 +1,15 @@
+/**
+ * Payment Token Routes
+ */
+const paymentTokenController = require('../controllers/paymentTokenController');
+const authMiddleware = require('../middleware/authMiddleware');
+const express = require('express');
+const paymentTokenRouter = express.Router();
+
+// No login, so guests paying through the public lookup can tokenise too
+paymentTokenRouter.post('/',
+    authMiddleware.rateLimitByIp({ requests: 30 }),
+    paymentTokenController.createToken.bind(paymentTokenController)
+);
+
+module.exports.paymentTokenRoutes = paymentTokenRouter;
@@ -0,0 +1,31 @@
+/**
+ * Public Routes - Challan lookup and guest payment, no account needed
+ */
+const express = require('express');
+const publicController = require('../controllers/publicController');
+const authMiddleware = require('../middleware/authMiddleware');
+const idempotencyMiddleware = require('../middleware/idempotencyMiddleware');
+const cardDataMiddleware = require('../middleware/cardDataMiddleware');
+
+const publicRouter = express.Router();
+
+// Guessing chassis digits or PINs is the risk here, so lookups are limited per client
+publicRouter.post('/challans/lookup',
+    authMiddleware.rateLimitByIp(),
+    publicController.lookupChallans.bind(publicController)
+);
+
+publicRouter.post('/challans/:id/pay',
+    cardDataMiddleware.rejectRawCardData,
+    authMiddleware.rateLimitByIp(),
+    authMiddleware.protectLookup,
+    idempotencyMiddleware.idempotent('guest_payment'),
+    publicController.payChallan.bind(publicController)
+);
+
+publicRouter.get('/payments/:id/receipt.pdf',
+    authMiddleware.protectLookup,
+    publicController.getPaymentReceipt.bind(publicController)
+);
+
+module.exports.publicRoutes = publicRouter;
@@ -0,0 +1,38 @@
+/**
+ * Vehicle Routes - Vehicle registry and ownership history
+ */
+const express = require('express');
+const vehicleController = require('../controllers/vehicleController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const vehicleRouter = express.Router();
+
+vehicleRouter.post('/',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('manage_vehicles'),
+    authMiddleware.auditAction('register_vehicle'),
+    vehicleController.registerVehicle.bind(vehicleController)
+);
+
+vehicleRouter.get('/mine',
+    authMiddleware.protect,
+    authMiddleware.authorize('citizen'),
+    vehicleController.getMyVehicles.bind(vehicleController)
+);
+
+vehicleRouter.get('/:registrationNumber',
+    authMiddleware.protect,
+    authMiddleware.requirePermission('lookup_vehicles'),
+    vehicleController.getVehicle.bind(vehicleController)
+);
+
+vehicleRouter.post('/:id/transfer',
+    authMiddleware.protect,
+    authMiddleware.authorize('admin'),
+    authMiddleware.requirePermission('manage_vehicles'),
+    authMiddleware.auditAction('transfer_vehicle_ownership'),
+    vehicleController.transferOwnership.bind(vehicleController)
+);
+
+module.exports.vehicleRoutes = vehicleRouter;
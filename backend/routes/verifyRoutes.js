@@ -0,0 +1,16 @@
+/**
+ * Verify Routes - Anyone can check the QR code on a printed challan notice or receipt
+ */
+const express = require('express');
+const publicController = require('../controllers/publicController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { ConfigurationManager } = require('../patterns/DesignPatterns');
+
+const verifyRouter = express.Router();
+
+verifyRouter.get('/:token',
+    authMiddleware.rateLimitByIp({ requests: ConfigurationManager.getInstance().get('verification.maxRequests') }),
+    publicController.verifyChallan.bind(publicController)
+);
+
+module.exports.verifyRoutes = verifyRouter;
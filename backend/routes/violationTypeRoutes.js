@@ -0,0 +1,15 @@
+/**
+ * Violation Type Routes - Metadata for building challan forms
+ */
+const express = require('express');
+const violationTypeController = require('../controllers/violationTypeController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const violationTypeRouter = express.Router();
+
+violationTypeRouter.get('/',
+    authMiddleware.protect,
+    violationTypeController.getViolationTypes.bind(violationTypeController)
+);
+
+module.exports.violationTypeRoutes = violationTypeRouter;
@@ -0,0 +1,58 @@
+/**
+ * Post existing challans, payments and refunds to the financial ledger.
+ *
+ *   node scripts/backfillLedger.js
+ *
+ * Safe to run more than once: entries already in the ledger are skipped, so it also catches up on
+ * anything a failed posting left out. A challan's first assessment is dated with the challan and
+ * payments and refunds with when they were made; penalties and waivers are dated with the run.
+ */
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const Challan = require('../models/Challan');
+const { Payment } = require('../models/Payment');
+const { Refund } = require('../models/Refund');
+const { LedgerEntry } = require('../models/LedgerEntry');
+const { EChallanFacade } = require('../patterns/DesignPatterns');
+const { POSTED_PAYMENT_STATUSES } = require('../services/ledger');
+
+async function main() {
+    await mongoose.connect(process.env.MONGO_URI);
+    // The unique source key is what keeps a second run from posting twice
+    await LedgerEntry.init();
+
+    const facade = new EChallanFacade();
+    const entriesBefore = await LedgerEntry.countDocuments();
+    let challanCount = 0;
+
+    for await (const challan of Challan.find({}).sort({ createdAt: 1 }).cursor()) {
+        const payments = await Payment.find({ challanId: challan._id, status: { $in: POSTED_PAYMENT_STATUSES } })
+            .sort({ paymentDate: 1 });
+        const refunds = await Refund.find({ challanId: challan._id, status: 'processed' }).sort({ processedAt: 1 });
+
+        await facade.recordLedger({
+            challan,
+            payments,
+            refunds: refunds
+                .map(refund => ({ refund, payment: payments.find(payment => payment._id.equals(refund.paymentId)) }))
+                .filter(({ payment }) => payment)
+        });
+        challanCount++;
+    }
+
+    const entriesPosted = await LedgerEntry.countDocuments() - entriesBefore;
+    const { trialBalance } = await facade.getTrialBalance();
+    console.log(`Checked ${challanCount} challans, posted ${entriesPosted} ledger entries`);
+    console.log(`Trial balance: debits ${trialBalance.totalDebit}, credits ${trialBalance.totalCredit}`);
+
+    await mongoose.disconnect();
+    process.exit(trialBalance.balanced ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('Ledger backfill failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,50 @@
+/**
+ * Send a signed gateway webhook to a running server.
+ *
+ *   node scripts/simulateWebhook.js <gateway> <event type> <gateway transaction id> [amount] [reason]
+ *   node scripts/simulateWebhook.js stripe payment.succeeded ch_abc123 500
+ *   node scripts/simulateWebhook.js paypal dispute.opened sale_xyz 500 "Not recognised"
+ *
+ * Uses the same STRIPE_WEBHOOK_SECRET / PAYPAL_WEBHOOK_SECRET as the server. WEBHOOK_TARGET_URL
+ * overrides the default http://localhost:<PORT>/api/payments/webhooks.
+ */
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { ConfigurationManager } = require('../patterns/DesignPatterns');
+const { WebhookSimulator } = require('../services/webhookSimulator');
+
+const EVENT_TYPES = ['payment.succeeded', 'payment.failed', 'payment.refunded', 'dispute.opened', 'dispute.won', 'dispute.lost'];
+
+async function main() {
+    const [gateway, type, transactionId, amount, reason] = process.argv.slice(2);
+
+    if (!gateway || !EVENT_TYPES.includes(type) || !transactionId) {
+        console.error('Usage: node scripts/simulateWebhook.js <stripe|paypal> <event type> <transaction id> [amount] [reason]');
+        console.error(`Event types: ${EVENT_TYPES.join(', ')}`);
+        process.exit(1);
+    }
+
+    const config = ConfigurationManager.getInstance();
+    const simulator = new WebhookSimulator({
+        gateway,
+        secret: config.get('webhooks.secrets')[gateway.toLowerCase()],
+        targetUrl: process.env.WEBHOOK_TARGET_URL || `http://localhost:${config.get('app.port')}/api/payments/webhooks`
+    });
+
+    const result = await simulator.send({
+        type,
+        transactionId,
+        amount: amount !== undefined ? Number(amount) : undefined,
+        reason
+    });
+
+    console.log(`${simulator.targetUrl} -> ${result.status}`, result.body);
+    process.exit(result.status < 300 ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('Webhook simulation failed:', error.message);
+    process.exit(1);
+});
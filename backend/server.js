@@ -1,91 +1,125 @@
-﻿/**
- * Updated server.js to use refactored routes and patterns
- */
-const express = require('express');
-const dotenv = require('dotenv');
-const cors = require('cors');
-const { DatabaseConnection, ConfigurationManager } = require('./patterns/DesignPatterns');
-
-// Load environment variables
-dotenv.config();
-
-// Initialize singletons
-const dbConnection = DatabaseConnection.getInstance();
-const config = ConfigurationManager.getInstance();
-
-// Initialize Express application
-const app = express();
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Enhanced error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Global error handler:', err);
-
-    if (err.name === 'ValidationError') {
-        return res.status(400).json({
-            message: 'Validation Error',
-            errors: Object.values(err.errors).map(e => e.message)
-        });
-    }
-
-    if (err.name === 'CastError') {
-        return res.status(400).json({ message: 'Invalid ID format' });
-    }
-
-    res.status(500).json({
-        message: 'Internal server error',
-        ...(config.get('app.environment') === 'development' && { stack: err.stack })
-    });
-});
-
-// API Routes - Using refactored routes
-const { authRoutes } = require('./routes/authRoutes');
-const { challanRoutes } = require('./routes/challanRoutes');
-const { paymentRoutes } = require('./routes/paymentRoutes');
-const patternTestRoutes = require('./routes/patternTestRoutes');
-
-app.use('/api/auth', authRoutes);
-app.use('/api/challans', challanRoutes);
-app.use('/api/payments', paymentRoutes);
-app.use('/api/test', patternTestRoutes);
-
-// Health check with system status
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'Server is running',
-        timestamp: new Date().toISOString(),
-        environment: config.get('app.environment'),
-        database: dbConnection.isConnected ? 'connected' : 'disconnected',
-        version: '2.0.0' // Updated version with design patterns
-    });
-});
-
-// Database connection and server startup
-const PORT = config.get('app.port');
-
-const startServer = async () => {
-    try {
-        // Connect to database using singleton
-        await dbConnection.connect(config.get('database.uri'));
-
-        if (require.main === module) {
-            app.listen(PORT, () => {
-                console.log(`Server running on port ${PORT}`);
-                console.log(`Environment: ${config.get('app.environment')}`);
-                console.log(`Database: Connected`);
-            });
-        }
-    } catch (error) {
-        console.error('❌ Server startup failed:', error);
-        process.exit(1);
-    }
-};
-
-if (require.main === module) {
-    startServer();
-}
-
+﻿/**
+ * Updated server.js to use refactored routes and patterns
+ */
+const express = require('express');
+const dotenv = require('dotenv');
+const cors = require('cors');
+const { DatabaseConnection, ConfigurationManager } = require('./patterns/DesignPatterns');
+
+// Load environment variables
+dotenv.config();
+
+// Initialize singletons
+const dbConnection = DatabaseConnection.getInstance();
+const config = ConfigurationManager.getInstance();
+
+// Initialize Express application
+const app = express();
+
+// Middleware
+app.use(cors());
+app.use(express.json({
+    // Webhook signatures are computed over the exact bytes received, so keep them for those routes
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+            req.rawBody = buf;
+        }
+    }
+}));
+
+// Enhanced error handling middleware
+app.use((err, req, res, next) => {
+    console.error('Global error handler:', err);
+
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({
+            message: 'Validation Error',
+            errors: Object.values(err.errors).map(e => e.message)
+        });
+    }
+
+    if (err.name === 'CastError') {
+        return res.status(400).json({ message: 'Invalid ID format' });
+    }
+
+    res.status(500).json({
+        message: 'Internal server error',
+        ...(config.get('app.environment') === 'development' && { stack: err.stack })
+    });
+});
+
+// API Routes - Using refactored routes
+const { authRoutes } = require('./routes/authRoutes');
+const { challanRoutes } = require('./routes/challanRoutes');
+const { paymentRoutes } = require('./routes/paymentRoutes');
+const patternTestRoutes = require('./routes/patternTestRoutes');
+const { jobRoutes } = require('./routes/jobRoutes');
+const { vehicleRoutes } = require('./routes/vehicleRoutes');
+const { fineScheduleRoutes } = require('./routes/fineScheduleRoutes');
+const { violationTypeRoutes } = require('./routes/violationTypeRoutes');
+const { evidenceRoutes } = require('./routes/evidenceRoutes');
+const { deviceRoutes } = require('./routes/deviceRoutes');
+const { detectionRoutes } = require('./routes/detectionRoutes');
+const { publicRoutes } = require('./routes/publicRoutes');
+const { verifyRoutes } = require('./routes/verifyRoutes');
+const { paymentTokenRoutes } = require('./routes/paymentTokenRoutes');
+
+app.use('/api/auth', authRoutes);
+app.use('/api/challans', challanRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/test', patternTestRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/fine-schedules', fineScheduleRoutes);
+app.use('/api/violation-types', violationTypeRoutes);
+app.use('/api/evidence', evidenceRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/detections', detectionRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/verify', verifyRoutes);
+app.use('/api/payment-tokens', paymentTokenRoutes);
+
+// Health check with system status
+app.get('/api/health', (req, res) => {
+    res.json({
+        status: 'Server is running',
+        timestamp: new Date().toISOString(),
+        environment: config.get('app.environment'),
+        database: dbConnection.isConnected ? 'connected' : 'disconnected',
+        version: '2.0.0' // Updated version with design patterns
+    });
+});
+
+// Database connection and server startup
+const PORT = config.get('app.port');
+
+const startServer = async () => {
+    try {
+        // Connect to database using singleton
+        await dbConnection.connect(config.get('database.uri'));
+
+        if (require.main === module) {
+            // Start scheduled background jobs (overdue penalties, etc.)
+            if (config.get('jobs.enabled')) {
+                const { jobScheduler } = require('./services/jobScheduler');
+                const { registerScheduledJobs } = require('./services/scheduledJobs');
+                registerScheduledJobs(jobScheduler).start();
+            }
+
+            app.listen(PORT, () => {
+                console.log(`Server running on port ${PORT}`);
+                console.log(`Environment: ${config.get('app.environment')}`);
+                console.log(`Database: Connected`);
+            });
+        }
+    } catch (error) {
+        console.error('❌ Server startup failed:', error);
+        process.exit(1);
+    }
+};
+
+if (require.main === module) {
+    startServer();
+}
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,43 @@
+// Audit service used by the AuditTrailDecorator to record admin actions
+class AuditService {
+    constructor() {
+        this.entries = [];
+        this.maxEntries = 1000;
+    }
+
+    logUserAction(logEntry) {
+        const auditEntry = {
+            id: this.generateAuditId(),
+            ...logEntry,
+            timestamp: logEntry.timestamp || new Date()
+        };
+
+        this.entries.push(auditEntry);
+        this.maintainEntryLimit();
+
+        return Promise.resolve({
+            success: true,
+            auditId: auditEntry.id
+        });
+    }
+
+    generateAuditId() {
+        return 'AUDIT_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    maintainEntryLimit() {
+        if (this.entries.length > this.maxEntries) {
+            this.entries = this.entries.slice(-this.maxEntries);
+        }
+    }
+
+    getEntriesByUser(userId) {
+        return this.entries.filter(entry => entry.details && entry.details.userId === userId);
+    }
+
+    getRecentEntries(limit = 50) {
+        return this.entries.slice(-limit).reverse();
+    }
+}
+
+module.exports = new AuditService();
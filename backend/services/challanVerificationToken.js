@@ -0,0 +1,48 @@
+/**
+ * Signed verification codes for printed challans.
+ * The QR code on a notice or receipt carries a token signed with the server's verification key, so
+ * anyone holding the paper can check it against the live record without logging in.
+ * The token holds only the challan reference and the amount printed, never the owner's details.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const VERIFICATION_SCOPE = 'challan_verification';
+
+class ChallanVerificationTokenService {
+    constructor({ secret } = {}) {
+        if (!secret) {
+            throw new Error('Challan verification codes need a signing secret');
+        }
+        this.secret = secret;
+    }
+
+    // Codes do not expire: a notice printed years ago should still verify (or show it was cancelled)
+    sign(challan) {
+        return jwt.sign(
+            {
+                scope: VERIFICATION_SCOPE,
+                challanId: challan._id.toString(),
+                challanNumber: challan.challanNumber,
+                fineAmount: challan.fineAmount
+            },
+            this.secret,
+            { algorithm: 'HS256' }
+        );
+    }
+
+    verify(token) {
+        const payload = jwt.verify(token, this.secret, { algorithms: ['HS256'] });
+        if (payload.scope !== VERIFICATION_SCOPE) {
+            throw new Error('Not a challan verification code');
+        }
+        return {
+            challanId: payload.challanId,
+            challanNumber: payload.challanNumber,
+            fineAmount: payload.fineAmount,
+            issuedAt: new Date(payload.iat * 1000)
+        };
+    }
+}
+
+module.exports = { ChallanVerificationTokenService, VERIFICATION_SCOPE };
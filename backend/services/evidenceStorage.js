@@ -0,0 +1,111 @@
+/**
+ * Adapter Pattern for Evidence Storage
+ * Problem: Evidence files are written to local disk today but should be movable to
+ *          S3-compatible object storage without touching the upload and download code
+ * Solution: Callers only use the EvidenceStorageAdapter interface with opaque storage keys;
+ *           each backend implements save/read/exists/remove for those keys
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Abstract Adapter
+class EvidenceStorageAdapter {
+    constructor() {
+        if (this.constructor === EvidenceStorageAdapter) {
+            throw new Error("Cannot instantiate abstract EvidenceStorageAdapter class");
+        }
+    }
+
+    async save(key, buffer, { contentType } = {}) {
+        throw new Error("save method must be implemented");
+    }
+
+    // Resolves to the stored bytes as a Buffer
+    async read(key) {
+        throw new Error("read method must be implemented");
+    }
+
+    async exists(key) {
+        throw new Error("exists method must be implemented");
+    }
+
+    async remove(key) {
+        throw new Error("remove method must be implemented");
+    }
+
+    getAdapterName() {
+        throw new Error("getAdapterName method must be implemented");
+    }
+}
+
+class LocalDiskStorageAdapter extends EvidenceStorageAdapter {
+    constructor({ rootPath } = {}) {
+        super();
+        if (!rootPath) {
+            throw new Error('Local evidence storage needs a root path');
+        }
+        this.rootPath = path.resolve(rootPath);
+    }
+
+    // Keys are relative paths; anything resolving outside the root is refused
+    resolveKey(key) {
+        const filePath = path.resolve(this.rootPath, key);
+        if (!filePath.startsWith(this.rootPath + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async save(key, buffer) {
+        const filePath = this.resolveKey(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        // 'wx' refuses to overwrite, so stored evidence is never replaced in place
+        await fs.writeFile(filePath, buffer, { flag: 'wx' });
+        return { key, size: buffer.length };
+    }
+
+    async read(key) {
+        return await fs.readFile(this.resolveKey(key));
+    }
+
+    async exists(key) {
+        try {
+            await fs.access(this.resolveKey(key));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async remove(key) {
+        await fs.rm(this.resolveKey(key), { force: true });
+    }
+
+    getAdapterName() {
+        return 'local';
+    }
+}
+
+// Storage Adapter Factory
+class EvidenceStorageFactory {
+    static createAdapter(adapterName, options = {}) {
+        switch ((adapterName || '').toLowerCase()) {
+            case 'local':
+                return new LocalDiskStorageAdapter(options);
+            default:
+                throw new Error(`Unsupported evidence storage: ${adapterName}`);
+        }
+    }
+
+    // Build the adapter from the 'evidence' section of ConfigurationManager
+    static fromConfiguration(evidenceConfig = {}) {
+        return this.createAdapter(evidenceConfig.storage || 'local', { rootPath: evidenceConfig.localPath });
+    }
+}
+
+module.exports = {
+    EvidenceStorageAdapter,
+    LocalDiskStorageAdapter,
+    EvidenceStorageFactory
+};
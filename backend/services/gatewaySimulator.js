@@ -0,0 +1,161 @@
+/**
+ * Simulated card gateway for demo environments and integration tests.
+ * Behaves like a processor's charge API, but the outcome of each charge is chosen by the card
+ * number (or forced for every charge by a configured scenario), so declines, timeouts, delayed
+ * settlement and refund failures can be produced on demand. Charges live in memory only.
+ *
+ * Test cards:
+ *   4000000000000002  declined
+ *   4000000000009995  insufficient funds
+ *   4000000000000408  gateway timeout (no charge is made)
+ *   4000000000000202  delayed settlement (pending, settles after settlementDelayMs)
+ *   4000000000005126  charge succeeds, refunds are declined
+ * Any other valid card number succeeds. Refunds may be partial, up to the unrefunded balance.
+ */
+
+const crypto = require('crypto');
+
+const TEST_CARDS = {
+    '4000000000000002': 'declined',
+    '4000000000009995': 'insufficient_funds',
+    '4000000000000408': 'timeout',
+    '4000000000000202': 'delayed_settlement',
+    '4000000000005126': 'refund_fails'
+};
+
+const SCENARIOS = ['success', 'declined', 'insufficient_funds', 'timeout', 'delayed_settlement', 'refund_fails'];
+
+const DECLINES = {
+    declined: { code: 'card_declined', message: 'Your card was declined' },
+    insufficient_funds: { code: 'insufficient_funds', message: 'Your card has insufficient funds' }
+};
+
+const roundAmount = amount => Math.round(amount * 100) / 100;
+const generateId = prefix => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+class GatewayTimeoutError extends Error {
+    constructor(message = 'The payment gateway did not respond in time') {
+        super(message);
+        this.name = 'GatewayTimeoutError';
+        this.code = 'timeout';
+    }
+}
+
+class SimulatedGatewayAPI {
+    /**
+     * scenario: force one outcome for every charge (e.g. 'declined' to demo failures with UPI); null reads the card number
+     * onSettled(charge): called when a delayed charge settles, e.g. to send the gateway's webhook
+     */
+    constructor({ scenario = null, timeoutMs = 3000, settlementDelayMs = 5000, onSettled = null } = {}) {
+        if (scenario && !SCENARIOS.includes(scenario)) {
+            throw new Error(`Unknown gateway simulator scenario: ${scenario}`);
+        }
+
+        this.scenario = scenario;
+        this.timeoutMs = timeoutMs;
+        this.settlementDelayMs = settlementDelayMs;
+        this.onSettled = onSettled;
+        this.charges = new Map();
+    }
+
+    resolveScenario(source = {}) {
+        if (this.scenario) {
+            return this.scenario;
+        }
+        const cardNumber = String(source.cardNumber || '').replace(/[\s-]/g, '');
+        return TEST_CARDS[cardNumber] || 'success';
+    }
+
+    async createCharge(amount, currency, source, description) {
+        const scenario = this.resolveScenario(source);
+
+        if (scenario === 'timeout') {
+            await new Promise(resolve => setTimeout(resolve, this.timeoutMs));
+            throw new GatewayTimeoutError();
+        }
+
+        const charge = {
+            id: generateId('sim_ch'),
+            amount: roundAmount(amount),
+            currency,
+            description,
+            scenario,
+            status: 'succeeded',
+            amountRefunded: 0,
+            refunds: [],
+            created: new Date()
+        };
+
+        if (DECLINES[scenario]) {
+            charge.status = 'failed';
+            charge.failureCode = DECLINES[scenario].code;
+            charge.failureMessage = DECLINES[scenario].message;
+        } else if (scenario === 'delayed_settlement') {
+            charge.status = 'pending';
+            charge.settlesAt = new Date(Date.now() + this.settlementDelayMs);
+            setTimeout(() => this.settleCharge(charge.id), this.settlementDelayMs).unref();
+        }
+
+        this.charges.set(charge.id, charge);
+        return { ...charge };
+    }
+
+    // Settle a pending charge now (called by its timer; tests can call it directly)
+    settleCharge(chargeId) {
+        const charge = this.charges.get(chargeId);
+        if (!charge || charge.status !== 'pending') {
+            return null;
+        }
+
+        charge.status = 'succeeded';
+        charge.settledAt = new Date();
+
+        if (this.onSettled) {
+            Promise.resolve()
+                .then(() => this.onSettled({ ...charge }))
+                .catch(error => console.error(`Gateway simulator could not report settlement of ${chargeId}:`, error.message));
+        }
+
+        return { ...charge };
+    }
+
+    // Refund all or part of a settled charge; omitting the amount refunds the unrefunded balance
+    createRefund(chargeId, amount) {
+        const charge = this.retrieveCharge(chargeId);
+
+        if (charge.status !== 'succeeded') {
+            throw new Error(`Cannot refund a charge with status '${charge.status}'`);
+        }
+        if (charge.scenario === 'refund_fails') {
+            throw new Error('Refund declined by the card issuer');
+        }
+
+        const balance = roundAmount(charge.amount - charge.amountRefunded);
+        const refundAmount = amount === undefined || amount === null ? balance : roundAmount(Number(amount));
+        if (!(refundAmount > 0) || refundAmount > balance) {
+            throw new Error(`Refund amount must be between 0 and the unrefunded balance of ${balance}`);
+        }
+
+        const refund = { id: generateId('sim_re'), charge: chargeId, amount: refundAmount, status: 'succeeded', created: new Date() };
+        const stored = this.charges.get(chargeId);
+        stored.refunds.push(refund);
+        stored.amountRefunded = roundAmount(stored.amountRefunded + refundAmount);
+
+        return { ...refund, amountRefunded: stored.amountRefunded, balance: roundAmount(stored.amount - stored.amountRefunded) };
+    }
+
+    retrieveCharge(chargeId) {
+        const charge = this.charges.get(chargeId);
+        if (!charge) {
+            throw new Error(`No such charge: ${chargeId}`);
+        }
+        return { ...charge, refunds: [...charge.refunds] };
+    }
+}
+
+module.exports = {
+    SimulatedGatewayAPI,
+    GatewayTimeoutError,
+    TEST_CARDS,
+    SCENARIOS
+};
@@ -0,0 +1,115 @@
+// Job scheduler for recurring background work (overdue penalties, etc.)
+class JobScheduler {
+    constructor() {
+        this.jobs = new Map();
+        this.isRunning = false;
+    }
+
+    register(name, handler, intervalMs) {
+        if (this.jobs.has(name)) {
+            throw new Error(`Job '${name}' is already registered`);
+        }
+        if (typeof handler !== 'function') {
+            throw new Error('Job handler must be a function');
+        }
+        if (!intervalMs || intervalMs <= 0) {
+            throw new Error('Job interval must be a positive number of milliseconds');
+        }
+
+        this.jobs.set(name, {
+            name,
+            handler,
+            intervalMs,
+            timer: null,
+            running: false,
+            runCount: 0,
+            lastRunAt: null,
+            lastResult: null,
+            lastError: null
+        });
+
+        if (this.isRunning) {
+            this.scheduleJob(this.jobs.get(name));
+        }
+
+        return this;
+    }
+
+    start() {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        this.jobs.forEach(job => this.scheduleJob(job));
+        console.log(`⏱️ Job scheduler started with ${this.jobs.size} job(s)`);
+    }
+
+    stop() {
+        this.jobs.forEach(job => {
+            if (job.timer) {
+                clearInterval(job.timer);
+                job.timer = null;
+            }
+        });
+        this.isRunning = false;
+    }
+
+    scheduleJob(job) {
+        job.timer = setInterval(() => this.runJob(job.name), job.intervalMs);
+
+        // Don't keep the process alive just for scheduled jobs
+        if (typeof job.timer.unref === 'function') {
+            job.timer.unref();
+        }
+    }
+
+    async runJob(name) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job: ${name}`);
+        }
+
+        // Skip overlapping runs of the same job
+        if (job.running) {
+            return { success: false, skipped: true, error: `Job '${name}' is already running` };
+        }
+
+        job.running = true;
+        job.lastRunAt = new Date();
+
+        try {
+            job.lastResult = await job.handler();
+            job.lastError = null;
+        } catch (error) {
+            console.error(`Job '${name}' failed:`, error.message);
+            job.lastResult = null;
+            job.lastError = error.message;
+        } finally {
+            job.running = false;
+            job.runCount++;
+        }
+
+        return job.lastError
+            ? { success: false, error: job.lastError }
+            : { success: true, result: job.lastResult };
+    }
+
+    getStatus() {
+        return Array.from(this.jobs.values()).map(job => ({
+            name: job.name,
+            intervalMs: job.intervalMs,
+            scheduled: Boolean(job.timer),
+            running: job.running,
+            runCount: job.runCount,
+            lastRunAt: job.lastRunAt,
+            lastResult: job.lastResult,
+            lastError: job.lastError
+        }));
+    }
+}
+
+module.exports = {
+    JobScheduler,
+    jobScheduler: new JobScheduler()
+};
@@ -0,0 +1,256 @@
+/**
+ * Double-entry ledger postings.
+ * Turns challans, payments and refunds into balanced journal entries (see models/LedgerEntry) and
+ * reads figures back out of account totals. Nothing here touches the database: the facade stores the
+ * entries and aggregates the lines.
+ *
+ *   Fine or penalty assessed   Dr fines receivable           Cr fine / penalty revenue
+ *   Fine or penalty waived     Dr fine / penalty waivers     Cr fines receivable
+ *   Payment                    Dr gateway clearing or cash   Cr fines receivable, Cr fee income
+ *   Gateway fee                Dr gateway fees               Cr gateway clearing
+ *   Refund                     Dr refunds                    Cr gateway clearing or cash
+ */
+
+const { ACCOUNTS } = require('../models/LedgerEntry');
+
+// Payments that took the money; a disputed payment keeps it until the chargeback is decided
+const POSTED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded', 'disputed'];
+
+const round = amount => Math.round(amount * 100) / 100;
+
+// The challan's citizen, whether or not it was populated
+const citizenOf = challan => challan.citizenId && (challan.citizenId._id || challan.citizenId);
+
+const isDebitNormal = account => ['asset', 'expense', 'contra_revenue'].includes(ACCOUNTS[account].type);
+
+class FinancialLedger {
+    // Where money for a payment method lands before it reaches the bank account
+    fundsAccount(paymentMethod) {
+        return paymentMethod === 'cash' ? 'cash_on_hand' : 'gateway_clearing';
+    }
+
+    // Net fine and penalty already assessed on a challan, from its assessment and waiver entries
+    assessedAmounts(entries) {
+        const totals = this.accountTotals(entries.flatMap(entry => entry.lines));
+        return {
+            fine: round(totals.fine_revenue.credit - totals.fine_revenue.debit - totals.fine_waivers.debit + totals.fine_waivers.credit),
+            penalty: round(totals.penalty_revenue.credit - totals.penalty_revenue.debit - totals.penalty_waivers.debit + totals.penalty_waivers.credit)
+        };
+    }
+
+    // What the challan should have assessed now; nothing is owed on a cancelled challan
+    assessmentTargets(challan) {
+        if (challan.status === 'cancelled') {
+            return { fine: 0, penalty: 0 };
+        }
+        const penalty = round(challan.penaltyAmount || 0);
+        return { fine: round(challan.fineAmount - penalty), penalty };
+    }
+
+    /**
+     * Entries that bring the ledger in line with the challan: new fines and penalties are assessed,
+     * reductions (a dispute decision, a cancelled challan, a penalty reset) are waived. Each entry takes
+     * the next sequence number for the challan, which keeps its source key unique.
+     */
+    assessmentEntries(challan, assessed, nextSequence) {
+        const target = this.assessmentTargets(challan);
+        const fineChange = round(target.fine - assessed.fine);
+        const penaltyChange = round(target.penalty - assessed.penalty);
+        const base = {
+            challanId: challan._id,
+            citizenId: citizenOf(challan)
+        };
+        const entries = [];
+
+        if (fineChange > 0) {
+            entries.push({
+                ...base,
+                type: 'fine_assessed',
+                description: `Fine assessed on challan ${challan.challanNumber}`,
+                lines: [
+                    { account: 'fines_receivable', debit: fineChange },
+                    { account: 'fine_revenue', credit: fineChange }
+                ]
+            });
+        }
+        if (penaltyChange > 0) {
+            entries.push({
+                ...base,
+                type: 'penalty_assessed',
+                description: `Late penalty assessed on challan ${challan.challanNumber}`,
+                lines: [
+                    { account: 'fines_receivable', debit: penaltyChange },
+                    { account: 'penalty_revenue', credit: penaltyChange }
+                ]
+            });
+        }
+
+        const waived = [
+            { account: 'fine_waivers', amount: -fineChange },
+            { account: 'penalty_waivers', amount: -penaltyChange }
+        ].filter(waiver => waiver.amount > 0);
+        if (waived.length > 0) {
+            const total = round(waived.reduce((sum, waiver) => sum + waiver.amount, 0));
+            entries.push({
+                ...base,
+                type: 'waiver',
+                description: challan.status === 'cancelled'
+                    ? `Challan ${challan.challanNumber} cancelled`
+                    : `Amount waived on challan ${challan.challanNumber}`,
+                lines: [
+                    ...waived.map(waiver => ({ account: waiver.account, debit: waiver.amount })),
+                    { account: 'fines_receivable', credit: total }
+                ]
+            });
+        }
+
+        return entries.map((entry, index) => ({
+            ...entry,
+            sourceKey: `challan:${challan._id}:${nextSequence + index}`
+        }));
+    }
+
+    // The payment, and the gateway's cut of the fee it charged; nothing until the money is taken
+    paymentEntries(payment, challan) {
+        if (!POSTED_PAYMENT_STATUSES.includes(payment.status)) {
+            return [];
+        }
+
+        const fee = round(payment.fee || 0);
+        const funds = this.fundsAccount(payment.paymentMethod);
+        const base = {
+            challanId: challan._id,
+            citizenId: citizenOf(challan),
+            paymentId: payment._id,
+            gateway: payment.gateway,
+            postedAt: payment.paymentDate || new Date()
+        };
+
+        const entries = [{
+            ...base,
+            type: 'payment',
+            description: `Payment ${payment.transactionId} for challan ${challan.challanNumber}`,
+            sourceKey: `payment:${payment._id}`,
+            lines: [
+                { account: funds, debit: round(payment.amount + fee) },
+                { account: 'fines_receivable', credit: round(payment.amount) },
+                ...(fee > 0 ? [{ account: 'fee_income', credit: fee }] : [])
+            ]
+        }];
+
+        if (fee > 0 && funds === 'gateway_clearing') {
+            entries.push({
+                ...base,
+                type: 'gateway_fee',
+                description: `${payment.gateway || 'Gateway'} fee on payment ${payment.transactionId}`,
+                sourceKey: `payment:${payment._id}:fee`,
+                lines: [
+                    { account: 'gateway_fees', debit: fee },
+                    { account: 'gateway_clearing', credit: fee }
+                ]
+            });
+        }
+
+        return entries;
+    }
+
+    refundEntry(refund, payment, challan) {
+        if (refund.status !== 'processed') {
+            return null;
+        }
+
+        return {
+            type: 'refund',
+            description: `Refund of payment ${payment.transactionId} for challan ${challan.challanNumber}`,
+            challanId: challan._id,
+            citizenId: citizenOf(challan),
+            paymentId: payment._id,
+            refundId: refund._id,
+            gateway: payment.gateway,
+            sourceKey: `refund:${refund._id}`,
+            postedAt: refund.processedAt || new Date(),
+            lines: [
+                { account: 'refunds', debit: round(refund.amount) },
+                { account: this.fundsAccount(payment.paymentMethod), credit: round(refund.amount) }
+            ]
+        };
+    }
+
+    // Debit and credit totals for every account in the chart, from lines or aggregated rows
+    accountTotals(rows) {
+        const totals = Object.fromEntries(Object.keys(ACCOUNTS).map(account => [account, { debit: 0, credit: 0 }]));
+        rows.forEach(row => {
+            totals[row.account].debit = round(totals[row.account].debit + (row.debit || 0));
+            totals[row.account].credit = round(totals[row.account].credit + (row.credit || 0));
+        });
+        return totals;
+    }
+
+    // Each account's balance on its normal side; the two columns must agree
+    trialBalance(rows) {
+        const totals = this.accountTotals(rows);
+        const accounts = Object.entries(ACCOUNTS).map(([account, { name, type }]) => {
+            const net = round(totals[account].debit - totals[account].credit);
+            return {
+                account,
+                name,
+                type,
+                debit: net > 0 ? net : 0,
+                credit: net < 0 ? -net : 0,
+                balance: isDebitNormal(account) ? net : round(-net)
+            };
+        });
+
+        const totalDebit = round(accounts.reduce((sum, account) => sum + account.debit, 0));
+        const totalCredit = round(accounts.reduce((sum, account) => sum + account.credit, 0));
+        return { accounts, totalDebit, totalCredit, balanced: totalDebit === totalCredit };
+    }
+
+    /**
+     * Reporting figures. Fines and penalties are net of reversals; collected is what was paid against
+     * fines, without the fees charged on top, and net collected is that less refunds. Net revenue is
+     * fines and penalties assessed less waivers and refunds, whether or not they have been paid yet.
+     * A negative outstanding amount is money paid on a challan that was later reduced or cancelled.
+     */
+    summarize(rows) {
+        const totals = this.accountTotals(rows);
+        const balanceOf = account => round(isDebitNormal(account)
+            ? totals[account].debit - totals[account].credit
+            : totals[account].credit - totals[account].debit);
+
+        const finesAssessed = balanceOf('fine_revenue');
+        const penaltiesAssessed = balanceOf('penalty_revenue');
+        const waived = round(balanceOf('fine_waivers') + balanceOf('penalty_waivers'));
+        const refunded = balanceOf('refunds');
+        const feesCharged = balanceOf('fee_income');
+        const collected = round(totals.gateway_clearing.debit + totals.cash_on_hand.debit - feesCharged);
+
+        return {
+            finesAssessed,
+            penaltiesAssessed,
+            waived,
+            collected,
+            refunded,
+            netCollected: round(collected - refunded),
+            feesCharged,
+            gatewayFees: balanceOf('gateway_fees'),
+            outstanding: balanceOf('fines_receivable'),
+            netRevenue: round(finesAssessed + penaltiesAssessed - waived - refunded)
+        };
+    }
+
+    // Rows aggregated with a grouping key (a month, a gateway, a challan) -> summary per key
+    summarizeBy(rows) {
+        const groups = {};
+        rows.forEach(row => {
+            const key = row.key === null || row.key === undefined ? 'none' : String(row.key);
+            (groups[key] = groups[key] || []).push(row);
+        });
+        return Object.fromEntries(Object.entries(groups).map(([key, group]) => [key, this.summarize(group)]));
+    }
+}
+
+module.exports = {
+    FinancialLedger,
+    POSTED_PAYMENT_STATUSES
+};
@@ -0,0 +1,116 @@
+/**
+ * Net banking redirect flow.
+ * 1. Initiate: the payment is saved as pending and the payer is sent to the bank with a signed request
+ *    (merchant reference, amount, bank, return address, expiry).
+ * 2. Callback: the bank sends the payer back to the return address with a signed response
+ *    (merchant reference, success or failure, the bank's own reference).
+ * 3. Confirm: the response signature is checked before the payment is completed or failed.
+ * Both directions are signed with an HMAC-SHA256 secret shared with the bank. Without a real bank
+ * configured, the frontend's simulated bank page plays the bank (see signBankResponse).
+ */
+
+const crypto = require('crypto');
+
+// Banks offered at checkout, by the code sent in paymentDetails.bankCode
+const BANKS = {
+    SBI: 'State Bank of India',
+    HDFC: 'HDFC Bank',
+    ICICI: 'ICICI Bank',
+    AXIS: 'Axis Bank',
+    KOTAK: 'Kotak Mahindra Bank'
+};
+
+const REQUEST_FIELDS = ['merchantReference', 'amount', 'bankCode', 'returnUrl', 'expiresAt'];
+const RESPONSE_FIELDS = ['merchantReference', 'status', 'bankReference'];
+
+class NetBankingSignatureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NetBankingSignatureError';
+        this.statusCode = 400;
+    }
+}
+
+class NetBankingService {
+    constructor({ secret, bankUrl, returnUrl, sessionMinutes = 15 } = {}) {
+        if (!secret) {
+            throw new Error('Net banking signing secret is not configured');
+        }
+        this.secret = secret;
+        this.bankUrl = bankUrl;
+        this.returnUrl = returnUrl;
+        this.sessionMinutes = sessionMinutes;
+    }
+
+    // Fields in a fixed order, so both sides sign exactly the same string
+    sign(params, fields) {
+        const message = fields.map(field => `${field}=${params[field] === undefined ? '' : params[field]}`).join('&');
+        return crypto.createHmac('sha256', this.secret).update(message).digest('hex');
+    }
+
+    verify(params, fields) {
+        const expected = Buffer.from(this.sign(params, fields));
+        const given = Buffer.from(String(params.signature || ''));
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            throw new NetBankingSignatureError('Invalid net banking signature');
+        }
+    }
+
+    // Step 1: where to send the payer for a pending net banking payment
+    createBankRedirect(payment, bankCode, now = new Date()) {
+        const request = {
+            merchantReference: payment.gatewayTransactionId,
+            amount: Number(payment.totalAmount).toFixed(2),
+            bankCode,
+            returnUrl: this.returnUrl,
+            expiresAt: new Date(now.getTime() + this.sessionMinutes * 60 * 1000).toISOString()
+        };
+        request.signature = this.sign(request, REQUEST_FIELDS);
+
+        return {
+            redirectUrl: `${this.bankUrl}?${new URLSearchParams(request).toString()}`,
+            expiresAt: request.expiresAt
+        };
+    }
+
+    // Checked by the bank (or the simulated bank) before it shows the payer the amount
+    verifyBankRequest(params, now = new Date()) {
+        this.verify(params, REQUEST_FIELDS);
+        if (new Date(params.expiresAt) < now) {
+            throw new NetBankingSignatureError('The net banking session has expired');
+        }
+        return {
+            merchantReference: params.merchantReference,
+            amount: Number(params.amount),
+            bankCode: params.bankCode,
+            bankName: BANKS[params.bankCode],
+            returnUrl: params.returnUrl
+        };
+    }
+
+    // The bank's answer, as query parameters for the return address
+    signBankResponse({ merchantReference, status, bankReference }) {
+        const response = { merchantReference, status, bankReference };
+        response.signature = this.sign(response, RESPONSE_FIELDS);
+        return response;
+    }
+
+    // Steps 2 and 3: accept the bank's answer only if it carries our shared signature
+    verifyBankResponse(params) {
+        this.verify(params, RESPONSE_FIELDS);
+        if (!['success', 'failure'].includes(params.status)) {
+            throw new NetBankingSignatureError(`Unknown net banking status: ${params.status}`);
+        }
+        return {
+            merchantReference: params.merchantReference,
+            status: params.status,
+            bankReference: params.bankReference
+        };
+    }
+}
+
+module.exports = {
+    NetBankingService,
+    NetBankingSignatureError,
+    BANKS
+};
@@ -0,0 +1,95 @@
+/**
+ * Payment method tokens.
+ * Stands in for a gateway's client-side tokenisation (a hosted card field or SDK): the browser swaps the
+ * card or UPI details for a short-lived, single-use token before checkout, so payment requests, the
+ * payment controller and the audit log only ever see the token. Only the facade redeems a token, at
+ * the moment it charges. Tokens live in memory and are lost on restart.
+ */
+
+const crypto = require('crypto');
+
+const TOKENISABLE_METHODS = ['credit_card', 'debit_card', 'upi'];
+
+class PaymentTokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaymentTokenError';
+        this.statusCode = 400;
+    }
+}
+
+// First digits -> card network, for showing the payer which card they used
+const cardBrand = cardNumber => {
+    if (/^4/.test(cardNumber)) return 'visa';
+    if (/^(5[1-5]|2[2-7])/.test(cardNumber)) return 'mastercard';
+    if (/^3[47]/.test(cardNumber)) return 'amex';
+    if (/^(60|65|81|82)/.test(cardNumber)) return 'rupay';
+    return 'card';
+};
+
+class PaymentTokenVault {
+    constructor({ ttlMinutes = 15 } = {}) {
+        this.ttlMinutes = ttlMinutes;
+        this.tokens = new Map();
+    }
+
+    // What can be shown back to the payer: never the full card number, CVV or PIN
+    describe(method, details) {
+        if (method === 'upi') {
+            return { upiId: details.upiId };
+        }
+        const cardNumber = String(details.cardNumber || '').replace(/[\s-]/g, '');
+        return {
+            brand: cardBrand(cardNumber),
+            last4: cardNumber.slice(-4),
+            expiryDate: details.expiryDate
+        };
+    }
+
+    // Details must already be validated by the payment method's strategy
+    tokenize(method, details, now = new Date()) {
+        if (!TOKENISABLE_METHODS.includes(method)) {
+            throw new PaymentTokenError(`Payment method ${method} cannot be tokenised`);
+        }
+        this.sweep(now);
+
+        const token = {
+            id: `pm_tok_${crypto.randomBytes(12).toString('hex')}`,
+            method,
+            display: this.describe(method, details),
+            expiresAt: new Date(now.getTime() + this.ttlMinutes * 60 * 1000)
+        };
+        this.tokens.set(token.id, { ...token, details: { ...details } });
+
+        return token;
+    }
+
+    // Hand the details over once; a token cannot be charged twice
+    redeem(tokenId, method, now = new Date()) {
+        const stored = this.tokens.get(tokenId);
+        this.tokens.delete(tokenId);
+
+        if (!stored || stored.expiresAt <= now) {
+            throw new PaymentTokenError('Payment token is invalid, used or expired');
+        }
+        if (stored.method !== method) {
+            throw new PaymentTokenError(`Payment token is for ${stored.method}, not ${method}`);
+        }
+
+        return { details: stored.details, display: stored.display };
+    }
+
+    sweep(now = new Date()) {
+        for (const [id, token] of this.tokens) {
+            if (token.expiresAt <= now) {
+                this.tokens.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = {
+    PaymentTokenVault,
+    PaymentTokenError,
+    TOKENISABLE_METHODS
+};
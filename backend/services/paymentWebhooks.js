@@ -0,0 +1,322 @@
+/**
+ * Adapter Pattern for Payment Gateway Webhooks
+ * Problem: Gateways confirm payments, refunds and disputes asynchronously, each with its own
+ *          signature scheme and event format
+ * Solution: One webhook adapter per gateway checks the HMAC signature on the raw request body and
+ *           translates the gateway's event into a common shape the facade can apply:
+ *           { eventId, type, transactionId, amount, reason, disputeId, occurredAt }
+ *
+ * Common event types: payment.succeeded, payment.failed, payment.refunded,
+ *                     dispute.opened, dispute.won, dispute.lost
+ */
+
+const crypto = require('crypto');
+
+const hmacSha256 = (secret, message, encoding = 'hex') =>
+    crypto.createHmac('sha256', secret).update(message).digest(encoding);
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+class WebhookSignatureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookSignatureError';
+        this.statusCode = 401;
+    }
+}
+
+// Abstract Adapter
+class PaymentWebhookAdapter {
+    constructor({ secret, toleranceSeconds = 300 } = {}) {
+        if (this.constructor === PaymentWebhookAdapter) {
+            throw new Error("Cannot instantiate abstract PaymentWebhookAdapter class");
+        }
+        if (!secret) {
+            throw Object.assign(new Error(`No webhook secret configured for ${this.getGatewayName()}`), { statusCode: 503 });
+        }
+        this.secret = secret;
+        this.toleranceSeconds = toleranceSeconds;
+    }
+
+    // Throws WebhookSignatureError unless the headers carry a valid signature for exactly these bytes
+    verifySignature(rawBody, headers, now = Date.now()) {
+        throw new Error("verifySignature method must be implemented");
+    }
+
+    // Gateway payload -> common event, or null for event types we do not act on
+    parseEvent(payload) {
+        throw new Error("parseEvent method must be implemented");
+    }
+
+    // Headers a gateway would send with this body; used by the webhook simulator
+    signPayload(rawBody, now = Date.now()) {
+        throw new Error("signPayload method must be implemented");
+    }
+
+    // Gateway-format payload for a common event; used by the webhook simulator
+    createPayload(event) {
+        throw new Error("createPayload method must be implemented");
+    }
+
+    getGatewayName() {
+        throw new Error("getGatewayName method must be implemented");
+    }
+
+    assertFresh(timestampSeconds, now) {
+        if (!Number.isFinite(timestampSeconds) || Math.abs(now / 1000 - timestampSeconds) > this.toleranceSeconds) {
+            throw new WebhookSignatureError('Webhook timestamp is outside the allowed tolerance');
+        }
+    }
+}
+
+// Stripe-style: Stripe-Signature: t=<unix seconds>,v1=<hex HMAC of "t.body">
+class StripeWebhookAdapter extends PaymentWebhookAdapter {
+    static EVENT_TYPES = {
+        'charge.succeeded': 'payment.succeeded',
+        'charge.failed': 'payment.failed',
+        'charge.refunded': 'payment.refunded',
+        'charge.dispute.created': 'dispute.opened'
+    };
+
+    verifySignature(rawBody, headers, now = Date.now()) {
+        const header = headers['stripe-signature'];
+        if (!header) {
+            throw new WebhookSignatureError('Missing Stripe-Signature header');
+        }
+
+        const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+        this.assertFresh(Number(parts.t), now);
+
+        const expected = hmacSha256(this.secret, `${parts.t}.${rawBody}`);
+        if (!parts.v1 || !safeEqual(parts.v1, expected)) {
+            throw new WebhookSignatureError('Invalid webhook signature');
+        }
+    }
+
+    parseEvent(payload) {
+        const object = (payload.data && payload.data.object) || {};
+        let type = StripeWebhookAdapter.EVENT_TYPES[payload.type];
+
+        if (payload.type === 'charge.dispute.closed') {
+            type = object.status === 'won' ? 'dispute.won' : 'dispute.lost';
+        }
+        if (!type) {
+            return null;
+        }
+
+        const isDispute = type.startsWith('dispute.');
+        const cents = type === 'payment.refunded' ? object.amount_refunded : object.amount;
+
+        return {
+            eventId: payload.id,
+            type,
+            transactionId: isDispute ? object.charge : object.id,
+            amount: cents !== undefined ? cents / 100 : undefined,
+            reason: object.failure_message || object.reason,
+            disputeId: isDispute ? object.id : undefined,
+            occurredAt: payload.created ? new Date(payload.created * 1000) : new Date()
+        };
+    }
+
+    signPayload(rawBody, now = Date.now()) {
+        const timestamp = Math.floor(now / 1000);
+        return { 'Stripe-Signature': `t=${timestamp},v1=${hmacSha256(this.secret, `${timestamp}.${rawBody}`)}` };
+    }
+
+    createPayload(event) {
+        const cents = event.amount !== undefined ? Math.round(event.amount * 100) : undefined;
+        const stripeType = {
+            'payment.succeeded': 'charge.succeeded',
+            'payment.failed': 'charge.failed',
+            'payment.refunded': 'charge.refunded',
+            'dispute.opened': 'charge.dispute.created',
+            'dispute.won': 'charge.dispute.closed',
+            'dispute.lost': 'charge.dispute.closed'
+        }[event.type];
+
+        const object = event.type.startsWith('dispute.')
+            ? {
+                id: event.disputeId,
+                object: 'dispute',
+                charge: event.transactionId,
+                amount: cents,
+                reason: event.reason,
+                status: event.type === 'dispute.opened' ? 'needs_response' : event.type.replace('dispute.', '')
+            }
+            : {
+                id: event.transactionId,
+                object: 'charge',
+                amount: event.type === 'payment.refunded' ? undefined : cents,
+                amount_refunded: event.type === 'payment.refunded' ? cents : undefined,
+                failure_message: event.type === 'payment.failed' ? event.reason : undefined
+            };
+
+        return {
+            id: event.eventId,
+            type: stripeType,
+            created: Math.floor((event.occurredAt || new Date()).getTime() / 1000),
+            data: { object }
+        };
+    }
+
+    getGatewayName() {
+        return 'stripe';
+    }
+}
+
+// PayPal-style: PayPal-Transmission-Id/-Time headers and PayPal-Transmission-Sig,
+// a base64 HMAC of "<transmission id>|<transmission time>|<body>"
+class PayPalWebhookAdapter extends PaymentWebhookAdapter {
+    static EVENT_TYPES = {
+        'PAYMENT.SALE.COMPLETED': 'payment.succeeded',
+        'PAYMENT.SALE.DENIED': 'payment.failed',
+        'PAYMENT.SALE.REFUNDED': 'payment.refunded',
+        'CUSTOMER.DISPUTE.CREATED': 'dispute.opened'
+    };
+
+    verifySignature(rawBody, headers, now = Date.now()) {
+        const transmissionId = headers['paypal-transmission-id'];
+        const transmissionTime = headers['paypal-transmission-time'];
+        const signature = headers['paypal-transmission-sig'];
+        if (!transmissionId || !transmissionTime || !signature) {
+            throw new WebhookSignatureError('Missing PayPal transmission headers');
+        }
+
+        this.assertFresh(Date.parse(transmissionTime) / 1000, now);
+
+        const expected = hmacSha256(this.secret, `${transmissionId}|${transmissionTime}|${rawBody}`, 'base64');
+        if (!safeEqual(signature, expected)) {
+            throw new WebhookSignatureError('Invalid webhook signature');
+        }
+    }
+
+    parseEvent(payload) {
+        const resource = payload.resource || {};
+        let type = PayPalWebhookAdapter.EVENT_TYPES[payload.event_type];
+
+        if (payload.event_type === 'CUSTOMER.DISPUTE.RESOLVED') {
+            const outcome = resource.dispute_outcome && resource.dispute_outcome.outcome_code;
+            type = outcome === 'RESOLVED_SELLER_FAVOUR' ? 'dispute.won' : 'dispute.lost';
+        }
+        if (!type) {
+            return null;
+        }
+
+        const isDispute = type.startsWith('dispute.');
+        const amount = isDispute
+            ? resource.dispute_amount && resource.dispute_amount.value
+            : resource.amount && resource.amount.total;
+        let transactionId = resource.id;
+        if (type === 'payment.refunded') {
+            transactionId = resource.sale_id;
+        } else if (isDispute) {
+            transactionId = resource.disputed_transactions && resource.disputed_transactions[0].seller_transaction_id;
+        }
+
+        return {
+            eventId: payload.id,
+            type,
+            transactionId,
+            amount: amount !== undefined ? parseFloat(amount) : undefined,
+            reason: resource.reason || resource.reason_code,
+            disputeId: isDispute ? resource.dispute_id : undefined,
+            occurredAt: payload.create_time ? new Date(payload.create_time) : new Date()
+        };
+    }
+
+    signPayload(rawBody, now = Date.now()) {
+        const transmissionId = crypto.randomUUID();
+        const transmissionTime = new Date(now).toISOString();
+        return {
+            'PayPal-Transmission-Id': transmissionId,
+            'PayPal-Transmission-Time': transmissionTime,
+            'PayPal-Transmission-Sig': hmacSha256(this.secret, `${transmissionId}|${transmissionTime}|${rawBody}`, 'base64')
+        };
+    }
+
+    createPayload(event) {
+        const amount = event.amount !== undefined ? event.amount.toFixed(2) : undefined;
+        const eventType = {
+            'payment.succeeded': 'PAYMENT.SALE.COMPLETED',
+            'payment.failed': 'PAYMENT.SALE.DENIED',
+            'payment.refunded': 'PAYMENT.SALE.REFUNDED',
+            'dispute.opened': 'CUSTOMER.DISPUTE.CREATED',
+            'dispute.won': 'CUSTOMER.DISPUTE.RESOLVED',
+            'dispute.lost': 'CUSTOMER.DISPUTE.RESOLVED'
+        }[event.type];
+
+        let resource;
+        if (event.type.startsWith('dispute.')) {
+            resource = {
+                dispute_id: event.disputeId,
+                reason: event.reason,
+                dispute_amount: { value: amount, currency_code: 'USD' },
+                disputed_transactions: [{ seller_transaction_id: event.transactionId }],
+                ...(event.type === 'dispute.opened' ? {} : {
+                    dispute_outcome: {
+                        outcome_code: event.type === 'dispute.won' ? 'RESOLVED_SELLER_FAVOUR' : 'RESOLVED_BUYER_FAVOUR'
+                    }
+                })
+            };
+        } else if (event.type === 'payment.refunded') {
+            resource = { id: `refund_${event.eventId}`, sale_id: event.transactionId, amount: { total: amount, currency: 'USD' } };
+        } else {
+            resource = { id: event.transactionId, amount: { total: amount, currency: 'USD' }, reason_code: event.reason };
+        }
+
+        return {
+            id: event.eventId,
+            event_type: eventType,
+            create_time: (event.occurredAt || new Date()).toISOString(),
+            resource
+        };
+    }
+
+    getGatewayName() {
+        return 'paypal';
+    }
+}
+
+// The local gateway simulator (services/gatewaySimulator) signs its webhooks the way Stripe does
+class SimulatorWebhookAdapter extends StripeWebhookAdapter {
+    getGatewayName() {
+        return 'simulator';
+    }
+}
+
+// Webhook Adapter Factory
+class PaymentWebhookFactory {
+    static createAdapter(gateway, options = {}) {
+        switch ((gateway || '').toLowerCase()) {
+            case 'stripe':
+                return new StripeWebhookAdapter(options);
+            case 'paypal':
+                return new PayPalWebhookAdapter(options);
+            case 'simulator':
+                return new SimulatorWebhookAdapter(options);
+            default:
+                throw Object.assign(new Error(`Unsupported payment gateway: ${gateway}`), { statusCode: 404 });
+        }
+    }
+
+    // Build the adapter from the 'webhooks' section of ConfigurationManager
+    static fromConfiguration(gateway, webhookConfig = {}) {
+        return this.createAdapter(gateway, {
+            secret: (webhookConfig.secrets || {})[(gateway || '').toLowerCase()],
+            toleranceSeconds: webhookConfig.toleranceSeconds
+        });
+    }
+}
+
+module.exports = {
+    PaymentWebhookAdapter,
+    StripeWebhookAdapter,
+    PayPalWebhookAdapter,
+    SimulatorWebhookAdapter,
+    PaymentWebhookFactory,
+    WebhookSignatureError
+};
@@ -0,0 +1,227 @@
+/**
+ * PDF documents for citizens: challan notices and payment receipts.
+ * Both carry a QR code with a signed link to the public verification page for the challan.
+ */
+
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const MARGIN = 50;
+const LABEL_WIDTH = 170;
+
+const formatAmount = amount => `$${Number(amount || 0).toFixed(2)}`;
+const formatDate = date => (date ? new Date(date).toISOString().slice(0, 10) : '-');
+const formatDateTime = date => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : '-');
+
+class PdfDocumentService {
+    constructor({ authorityName = 'Traffic Enforcement Authority' } = {}) {
+        this.authorityName = authorityName;
+    }
+
+    /**
+     * Challan notice.
+     * notice: { challan, violation (toViolationInstance().toJSON()), fields (registry field definitions),
+     *           citizenName, officerName, outstandingAmount, verificationUrl, paymentInstructions: [string] }
+     */
+    async renderChallanNotice(notice) {
+        const { challan } = notice;
+        const qrCode = await this.createQrCode(notice.verificationUrl);
+
+        return this.render(`Challan ${challan.challanNumber}`, doc => {
+            this.writeHeader(doc, 'Traffic Violation Notice', challan.challanNumber);
+
+            this.writeSection(doc, 'Notice', [
+                ['Challan number', challan.challanNumber],
+                ['Issued on', formatDate(challan.createdAt)],
+                ['Status', challan.status],
+                ['Vehicle', challan.vehicleNumber],
+                ['Registered owner', notice.citizenName],
+                ['Issuing officer', notice.officerName]
+            ]);
+
+            this.writeSection(doc, 'Violation', [
+                ['Violation', challan.violationType],
+                ['Date and time', formatDateTime(notice.violation.dateTime)],
+                ['Location', notice.violation.location],
+                ...(notice.fields || [])
+                    .filter(field => notice.violation[field.name] !== undefined && notice.violation[field.name] !== null)
+                    .map(field => [field.label, `${notice.violation[field.name]}${field.unit ? ` ${field.unit}` : ''}`]),
+                ...(challan.device ? [
+                    ['Recorded by device', challan.device.deviceId],
+                    ['Calibration certificate', `${challan.device.calibrationCertificate || '-'} (valid to ${formatDate(challan.device.calibrationExpiresAt)})`]
+                ] : []),
+                ...(notice.violation.description ? [['Description', notice.violation.description]] : [])
+            ]);
+
+            const offences = challan.offences || [];
+            if (offences.length > 1) {
+                this.writeSection(doc, 'Offences', offences.map(offence => [
+                    `${offence.itemNumber}. ${offence.violationType}`,
+                    offence.status === 'withdrawn' ? 'Withdrawn' : formatAmount(offence.fineAmount)
+                ]));
+            }
+
+            this.writeSection(doc, 'Amount due', [
+                ['Fine', formatAmount(challan.fineAmount - (challan.penaltyAmount || 0))],
+                ...(challan.penaltyAmount ? [['Late payment penalty', formatAmount(challan.penaltyAmount)]] : []),
+                ...(challan.amountPaid ? [['Already paid', formatAmount(challan.amountPaid)]] : []),
+                ['Outstanding', formatAmount(notice.outstandingAmount)],
+                ['Due date', formatDate(challan.dueDate)]
+            ]);
+
+            this.writeLines(doc, 'How to pay', notice.paymentInstructions || []);
+
+            this.writeVerification(doc, qrCode, notice.verificationUrl);
+        });
+    }
+
+    /**
+     * Payment receipt.
+     * receipt: { payment, challan, citizenName, verificationUrl }
+     */
+    async renderPaymentReceipt(receipt) {
+        const { payment, challan } = receipt;
+        const qrCode = await this.createQrCode(receipt.verificationUrl);
+
+        return this.render(`Receipt ${payment.transactionId}`, doc => {
+            this.writeHeader(doc, 'Payment Receipt', payment.transactionId);
+
+            this.writeSection(doc, 'Payment', [
+                ['Receipt number', payment.transactionId],
+                ['Paid on', formatDateTime(payment.paymentDate)],
+                ['Status', payment.status],
+                ['Paid by', receipt.citizenName],
+                ['Method', this.describePaymentMethod(payment)],
+                ...(payment.installmentNumber ? [['Installment', `#${payment.installmentNumber}`]] : [])
+            ]);
+
+            this.writeSection(doc, 'Challan', [
+                ['Challan number', challan.challanNumber],
+                ['Vehicle', challan.vehicleNumber],
+                ['Violation', challan.violationType],
+                ['Date of violation', formatDate(challan.dateTime)]
+            ]);
+
+            this.writeSection(doc, 'Amount', [
+                ...(payment.allocations || []).map(allocation => [
+                    `${allocation.itemNumber}. ${allocation.violationType || 'Offence'}`,
+                    formatAmount(allocation.amount)
+                ]),
+                ...(payment.penaltyAmount ? [['Late payment penalty', formatAmount(payment.penaltyAmount)]] : []),
+                ['Amount', formatAmount(payment.amount)],
+                ['Processing fee', formatAmount(payment.fee)],
+                ['Total charged', formatAmount(payment.totalAmount)],
+                ...(['partially_refunded', 'refunded'].includes(payment.status)
+                    ? [['Refunded', `${formatAmount(payment.refundAmount)} on ${formatDate(payment.refundDate)}`]]
+                    : [])
+            ]);
+
+            this.writeVerification(doc, qrCode, receipt.verificationUrl);
+        });
+    }
+
+    describePaymentMethod(payment) {
+        const method = (payment.paymentMethod || '').replace(/_/g, ' ');
+        const details = payment.paymentDetails || {};
+        if (details.cardLast4) {
+            return `${method} ending ${details.cardLast4}`;
+        }
+        if (details.upiId) {
+            return `${method} (${details.upiId})`;
+        }
+        if (details.bankName) {
+            return `${method} (${details.bankName})`;
+        }
+        if (payment.cashCollection && payment.cashCollection.receiptNumber) {
+            return `${method}, receipt ${payment.cashCollection.receiptNumber}`;
+        }
+        return method;
+    }
+
+    async createQrCode(url) {
+        return await QRCode.toBuffer(url, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+    }
+
+    // Run the layout callback against a new A4 document and resolve with the PDF bytes
+    render(title, layout) {
+        return new Promise((resolve, reject) => {
+            const doc = new PDFDocument({
+                size: 'A4',
+                margin: MARGIN,
+                info: { Title: title, Author: this.authorityName }
+            });
+            const chunks = [];
+
+            doc.on('data', chunk => chunks.push(chunk));
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+
+            try {
+                layout(doc);
+                doc.end();
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    writeHeader(doc, title, reference) {
+        doc.font('Helvetica-Bold').fontSize(18).text(this.authorityName);
+        doc.font('Helvetica').fontSize(13).text(title);
+        doc.fontSize(9).fillColor('#555555').text(`Reference ${reference}`).fillColor('black');
+        doc.moveDown();
+    }
+
+    writeSection(doc, heading, rows) {
+        if (rows.length === 0) {
+            return;
+        }
+
+        doc.font('Helvetica-Bold').fontSize(11).text(heading);
+        doc.moveDown(0.3);
+        doc.font('Helvetica').fontSize(10);
+
+        rows.forEach(([label, value]) => {
+            const y = doc.y;
+            doc.text(label, MARGIN, y, { width: LABEL_WIDTH });
+            const labelBottom = doc.y;
+            doc.text(String(value === undefined || value === null ? '-' : value), MARGIN + LABEL_WIDTH, y, {
+                width: doc.page.width - MARGIN * 2 - LABEL_WIDTH
+            });
+            doc.y = Math.max(labelBottom, doc.y);
+        });
+
+        doc.x = MARGIN;
+        doc.moveDown();
+    }
+
+    writeLines(doc, heading, lines) {
+        if (lines.length === 0) {
+            return;
+        }
+
+        doc.font('Helvetica-Bold').fontSize(11).text(heading);
+        doc.moveDown(0.3);
+        doc.font('Helvetica').fontSize(10);
+        lines.forEach(line => doc.text(line));
+        doc.moveDown();
+    }
+
+    writeVerification(doc, qrCode, verificationUrl) {
+        if (doc.y > doc.page.height - 200) {
+            doc.addPage();
+        }
+
+        // The URL carries a signed code too long to type, so print the page address and link the full URL
+        const verifyPage = verificationUrl.replace(/\/[^/]*$/, '');
+        const y = doc.y;
+        doc.image(qrCode, MARGIN, y, { width: 110 });
+        doc.fontSize(9).text(
+            'Scan the code with a phone camera, or with the scanner on the verification page below, to check that this document is genuine and see the current status of the challan.',
+            MARGIN + 130, y + 20, { width: doc.page.width - MARGIN * 2 - 130 }
+        );
+        doc.moveDown(0.5).fillColor('#1d4ed8').text(verifyPage, { link: verificationUrl }).fillColor('black');
+    }
+}
+
+module.exports = { PdfDocumentService };
@@ -0,0 +1,38 @@
+/**
+ * Short-lived tokens for the public challan lookup.
+ * A visitor who proves they hold the vehicle's papers (chassis digits or a notice PIN) gets a token
+ * scoped to that one vehicle, used to pay its challans and download receipts without an account.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const LOOKUP_SCOPE = 'public_lookup';
+
+class PublicLookupTokenService {
+    constructor({ secret, expiresIn = '15m' } = {}) {
+        if (!secret) {
+            throw new Error('Public lookup tokens need a signing secret');
+        }
+        this.secret = secret;
+        this.expiresIn = expiresIn;
+    }
+
+    issue(vehicle) {
+        return jwt.sign(
+            { scope: LOOKUP_SCOPE, vehicleId: vehicle._id.toString(), registrationNumber: vehicle.registrationNumber },
+            this.secret,
+            { expiresIn: this.expiresIn }
+        );
+    }
+
+    // Resolves the vehicle the token was issued for; user login tokens are refused
+    verify(token) {
+        const payload = jwt.verify(token, this.secret);
+        if (payload.scope !== LOOKUP_SCOPE) {
+            throw new Error('Not a lookup token');
+        }
+        return { vehicleId: payload.vehicleId, registrationNumber: payload.registrationNumber };
+    }
+}
+
+module.exports = { PublicLookupTokenService, LOOKUP_SCOPE };
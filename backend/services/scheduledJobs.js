@@ -0,0 +1,56 @@
+// Registers the application's recurring jobs with the job scheduler
+const { EChallanFacade, ConfigurationManager } = require('../patterns/DesignPatterns');
+
+const registerScheduledJobs = (scheduler) => {
+    const config = ConfigurationManager.getInstance();
+    const eChallanFacade = new EChallanFacade();
+
+    // Mark challans overdue after dueDate and apply late-payment penalties
+    scheduler.register(
+        'overdue_penalties',
+        async () => {
+            const result = await eChallanFacade.applyOverduePenalties();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            return result;
+        },
+        config.get('jobs.overduePenaltyInterval')
+    );
+
+    // Void payment plans with a missed installment so late penalties resume
+    scheduler.register(
+        'payment_plan_defaults',
+        async () => {
+            const result = await eChallanFacade.voidDefaultedPaymentPlans();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            return result;
+        },
+        config.get('jobs.paymentPlanDefaultInterval')
+    );
+
+    // Reconcile the settlement files dropped since the last run, or ask the gateway about recent payments
+    scheduler.register(
+        'settlement_reconciliation',
+        async () => {
+            const result = config.get('reconciliation.source') === 'gateway'
+                ? await eChallanFacade.reconcileWithGateway()
+                : await eChallanFacade.reconcileSettlementFiles();
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            return {
+                message: result.message,
+                reportId: result.report ? result.report.id : null,
+                status: result.report ? result.report.status : null
+            };
+        },
+        config.get('jobs.reconciliationInterval')
+    );
+
+    return scheduler;
+};
+
+module.exports = { registerScheduledJobs };
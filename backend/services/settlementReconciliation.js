@@ -0,0 +1,441 @@
+/**
+ * Gateway settlement reconciliation.
+ * A settlement is the gateway's own record of a charge: its transaction id, the amount it took, how much
+ * it has refunded and its status. Settlements come from files the gateways send (CSV or JSON, see
+ * SettlementFileParser) or from asking the gateway adapter about each payment (getTransactionStatus).
+ * SettlementReconciler matches them to Payment records by gatewayTransactionId and lists every
+ * difference with the action an admin should take. Nothing here touches the database.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// Payments that took the payer's money, so the gateway should report them settled
+const SETTLED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded', 'disputed'];
+
+// Gateway statuses -> settled, pending or failed
+const GATEWAY_STATUSES = {
+    succeeded: 'settled',
+    completed: 'settled',
+    settled: 'settled',
+    paid: 'settled',
+    captured: 'settled',
+    refunded: 'settled',
+    partially_refunded: 'settled',
+    pending: 'pending',
+    processing: 'pending',
+    failed: 'failed',
+    declined: 'failed',
+    canceled: 'failed',
+    cancelled: 'failed'
+};
+
+// What an admin should do about each kind of difference
+const RESOLUTION_ACTIONS = {
+    missing_payment: {
+        action: 'record_or_refund',
+        description: 'The gateway took money with no payment on record. Find the challan it was for and record the payment, or refund the payer.'
+    },
+    missing_settlement: {
+        action: 'confirm_with_gateway',
+        description: 'The payment is on record but the gateway did not settle it. Ask the gateway whether it was charged; if not, fail the payment so the challan can be paid again.'
+    },
+    duplicate_settlement: {
+        action: 'reverse_duplicate',
+        description: 'The gateway settled the same transaction more than once. Ask the gateway to reverse the extra settlement or refund the payer.'
+    },
+    duplicate_payment: {
+        action: 'remove_duplicate_payment',
+        description: 'One gateway charge is recorded against more than one payment. Refund or correct the extra payment record.'
+    },
+    amount_mismatch: {
+        action: 'correct_amount',
+        description: 'The gateway charged a different amount from the payment record. Refund an overcharge, or collect the shortfall from the payer.'
+    },
+    refund_mismatch: {
+        action: 'check_refunds',
+        description: 'The gateway refunded a different amount from the refund ledger. Record the missing refund, or follow up a refund the gateway has not made.'
+    },
+    status_mismatch: {
+        action: 'apply_gateway_status',
+        description: 'The gateway and the payment record disagree on whether the charge went through. Confirm with the gateway and update the payment, or refund the payer.'
+    }
+};
+
+const SETTLEMENT_FILE_TYPES = ['.csv', '.json'];
+
+const round = amount => Math.round(amount * 100) / 100;
+
+// Settlement file columns, by the names gateways use for them
+const COLUMN_ALIASES = {
+    transactionId: ['transactionid', 'transaction', 'chargeid', 'id', 'saleid', 'reference'],
+    amount: ['amount', 'grossamount', 'gross'],
+    refunded: ['refunded', 'amountrefunded', 'refundedamount'],
+    status: ['status', 'state'],
+    currency: ['currency'],
+    settledAt: ['settledat', 'settlementdate', 'date', 'created'],
+    gateway: ['gateway']
+};
+
+class SettlementFileParser {
+    // Gateway from the file name when rows do not say, e.g. stripe_2026-10-18.csv -> stripe
+    gatewayFromFileName(fileName) {
+        return path.basename(fileName).split(/[_.\-\s]/)[0].toLowerCase();
+    }
+
+    /**
+     * Returns the rows it could read and an error for each it could not, with the file line
+     * (CSV) or array position (JSON) so the file can be corrected.
+     */
+    parse(content, fileName) {
+        const extension = path.extname(fileName).toLowerCase();
+        const text = content.replace(/^\uFEFF/, ''); // spreadsheet exports often start with a byte order mark
+        let records;
+        try {
+            records = extension === '.json' ? this.readJson(text) : this.readCsv(text);
+        } catch (error) {
+            return { rows: [], errors: [{ file: fileName, line: null, message: error.message }] };
+        }
+
+        const defaultGateway = this.gatewayFromFileName(fileName);
+        const rows = [];
+        const errors = [];
+        records.forEach(({ line, record }) => {
+            try {
+                rows.push({ ...this.toSettlement(record, defaultGateway), file: fileName, line });
+            } catch (error) {
+                errors.push({ file: fileName, line, message: error.message });
+            }
+        });
+
+        return { rows, errors };
+    }
+
+    // An array of settlements, or { gateway, transactions: [...] }
+    readJson(content) {
+        const data = JSON.parse(content);
+        const transactions = Array.isArray(data) ? data : data.transactions;
+        if (!Array.isArray(transactions)) {
+            throw new Error('Expected an array of transactions');
+        }
+        return transactions.map((record, index) => ({
+            line: index + 1,
+            record: Array.isArray(data) || !data.gateway ? record : { gateway: data.gateway, ...record }
+        }));
+    }
+
+    readCsv(content) {
+        const lines = this.splitCsv(content);
+        if (lines.length === 0) {
+            return [];
+        }
+        const [header, ...body] = lines;
+        return body
+            .filter(({ fields }) => fields.some(field => field.trim() !== ''))
+            .map(({ line, fields }) => ({
+                line,
+                record: Object.fromEntries(header.fields.map((name, index) => [name, fields[index]]))
+            }));
+    }
+
+    // RFC 4180 fields: commas and line breaks inside double quotes, "" for a quote
+    splitCsv(content) {
+        const lines = [];
+        let fields = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let startLine = 1;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                fields.push(field);
+                lines.push({ line: startLine, fields });
+                fields = [];
+                field = '';
+                line++;
+                startLine = line;
+            } else {
+                field += char;
+            }
+        }
+        if (quoted) {
+            throw new Error(`Unterminated quoted field starting on line ${startLine}`);
+        }
+        if (field !== '' || fields.length > 0) {
+            fields.push(field);
+            lines.push({ line: startLine, fields });
+        }
+        return lines;
+    }
+
+    toSettlement(record, defaultGateway) {
+        const value = column => {
+            const key = Object.keys(record).find(name => COLUMN_ALIASES[column]
+                .includes(String(name).toLowerCase().replace(/[\s_\-]/g, '')));
+            const found = key === undefined ? undefined : record[key];
+            return typeof found === 'string' ? found.trim() : found;
+        };
+
+        const transactionId = value('transactionId');
+        if (!transactionId) {
+            throw new Error('Missing transaction id');
+        }
+
+        const amount = Number(value('amount'));
+        if (value('amount') === undefined || value('amount') === '' || !Number.isFinite(amount)) {
+            throw new Error(`Invalid amount for ${transactionId}`);
+        }
+
+        const refunded = value('refunded');
+        if (refunded !== undefined && refunded !== '' && !Number.isFinite(Number(refunded))) {
+            throw new Error(`Invalid refunded amount for ${transactionId}`);
+        }
+
+        const status = String(value('status') || 'succeeded').toLowerCase();
+        if (!GATEWAY_STATUSES[status]) {
+            throw new Error(`Unknown status '${status}' for ${transactionId}`);
+        }
+
+        const settledAt = value('settledAt') ? new Date(value('settledAt')) : null;
+        if (settledAt && isNaN(settledAt.getTime())) {
+            throw new Error(`Invalid settlement date for ${transactionId}`);
+        }
+
+        return {
+            gateway: String(value('gateway') || defaultGateway).toLowerCase(),
+            transactionId: String(transactionId),
+            amount: round(amount),
+            refunded: refunded === undefined || refunded === '' ? null : round(Number(refunded)),
+            status,
+            currency: value('currency') ? String(value('currency')).toLowerCase() : undefined,
+            settledAt
+        };
+    }
+}
+
+// The directory settlement files are dropped in; each is moved to imported/ once its report is saved
+class SettlementFileInbox {
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    async list() {
+        await fs.mkdir(this.directory, { recursive: true });
+        const entries = await fs.readdir(this.directory, { withFileTypes: true });
+        return entries
+            .filter(entry => entry.isFile() && SETTLEMENT_FILE_TYPES.includes(path.extname(entry.name).toLowerCase()))
+            .map(entry => entry.name)
+            .sort();
+    }
+
+    async read(name) {
+        const content = await fs.readFile(path.join(this.directory, name));
+        return {
+            content: content.toString('utf8'),
+            sha256: crypto.createHash('sha256').update(content).digest('hex')
+        };
+    }
+
+    // Prefixed with the import time, so a later file with the same name does not overwrite it
+    async markImported(name, importedAt = new Date()) {
+        const importedDirectory = path.join(this.directory, 'imported');
+        await fs.mkdir(importedDirectory, { recursive: true });
+        const stamp = importedAt.toISOString().replace(/[:.]/g, '-');
+        await fs.rename(path.join(this.directory, name), path.join(importedDirectory, `${stamp}_${name}`));
+    }
+}
+
+class SettlementReconciler {
+    constructor({ amountTolerance = 0.01 } = {}) {
+        this.amountTolerance = amountTolerance;
+    }
+
+    /**
+     * Match settlements to payments by gateway and gatewayTransactionId. Payments are every record the
+     * settlements might cover; when expectAll is set, a settled payment without a settlement is reported
+     * missing (leave it unset when the settlements do not cover a whole period).
+     */
+    reconcile(settlements, payments, { expectAll = true } = {}) {
+        const keyOf = (gateway, transactionId) => `${gateway}:${transactionId}`;
+        const settlementsByKey = new Map();
+        settlements.forEach(settlement => {
+            const key = keyOf(settlement.gateway, settlement.transactionId);
+            settlementsByKey.set(key, [...(settlementsByKey.get(key) || []), settlement]);
+        });
+        const paymentsByKey = new Map();
+        payments
+            .filter(payment => payment.gateway && payment.gatewayTransactionId)
+            .forEach(payment => {
+                const key = keyOf(payment.gateway, payment.gatewayTransactionId);
+                paymentsByKey.set(key, [...(paymentsByKey.get(key) || []), payment]);
+            });
+
+        const discrepancies = [];
+        let matched = 0;
+
+        settlementsByKey.forEach((found, key) => {
+            const [settlement] = found;
+            const charged = (paymentsByKey.get(key) || []).filter(payment => payment.status !== 'failed');
+            const failed = (paymentsByKey.get(key) || []).filter(payment => payment.status === 'failed');
+            const gatewayState = GATEWAY_STATUSES[settlement.status];
+            const before = discrepancies.length;
+            const flag = (type, details = {}) => discrepancies.push(this.discrepancy(type, settlement, details));
+
+            if (found.length > 1) {
+                flag('duplicate_settlement', {
+                    reportedAmount: round(found.reduce((sum, row) => sum + row.amount, 0)),
+                    paymentIds: charged.map(payment => payment._id),
+                    note: `Settled ${found.length} times`
+                });
+            }
+
+            if (gatewayState === 'pending') {
+                return; // not settled yet; the next settlement will show it
+            }
+
+            if (gatewayState === 'failed') {
+                const settled = charged.filter(payment => SETTLED_PAYMENT_STATUSES.includes(payment.status));
+                if (settled.length > 0) {
+                    flag('status_mismatch', {
+                        paymentIds: settled.map(payment => payment._id),
+                        ourStatus: settled[0].status,
+                        note: 'The gateway reports the charge failed'
+                    });
+                }
+                if (discrepancies.length === before) matched++;
+                return;
+            }
+
+            if (charged.length === 0) {
+                if (failed.length > 0) {
+                    flag('status_mismatch', {
+                        paymentIds: failed.map(payment => payment._id),
+                        ourStatus: 'failed',
+                        reportedAmount: settlement.amount,
+                        note: 'The payment is recorded as failed but the gateway took the money'
+                    });
+                } else {
+                    flag('missing_payment', { reportedAmount: settlement.amount });
+                }
+                return;
+            }
+
+            // A cart checkout is one charge split across a payment per challan, all from the same intent
+            const intents = new Set(charged.map(payment => String(payment.paymentIntentId || payment._id)));
+            if (intents.size > 1) {
+                flag('duplicate_payment', {
+                    paymentIds: charged.map(payment => payment._id),
+                    note: `${charged.length} payments share this gateway transaction`
+                });
+            }
+
+            const pending = charged.filter(payment => payment.status === 'pending');
+            if (pending.length > 0) {
+                flag('status_mismatch', {
+                    paymentIds: pending.map(payment => payment._id),
+                    ourStatus: 'pending',
+                    note: 'The gateway settled a payment still recorded as pending'
+                });
+            }
+
+            const expectedAmount = round(charged.reduce((sum, payment) => sum + payment.totalAmount, 0));
+            if (Math.abs(expectedAmount - settlement.amount) > this.amountTolerance) {
+                flag('amount_mismatch', {
+                    paymentIds: charged.map(payment => payment._id),
+                    expectedAmount,
+                    reportedAmount: settlement.amount
+                });
+            }
+
+            if (settlement.refunded !== null && settlement.refunded !== undefined) {
+                const expectedRefund = round(charged.reduce((sum, payment) => sum + (payment.refundAmount || 0), 0));
+                if (Math.abs(expectedRefund - settlement.refunded) > this.amountTolerance) {
+                    flag('refund_mismatch', {
+                        paymentIds: charged.map(payment => payment._id),
+                        expectedAmount: expectedRefund,
+                        reportedAmount: settlement.refunded
+                    });
+                }
+            }
+
+            if (discrepancies.length === before) matched++;
+        });
+
+        if (expectAll) {
+            paymentsByKey.forEach((found, key) => {
+                const settled = found.filter(payment => SETTLED_PAYMENT_STATUSES.includes(payment.status));
+                if (settled.length === 0 || settlementsByKey.has(key)) {
+                    return;
+                }
+                discrepancies.push(this.discrepancy('missing_settlement', {
+                    gateway: settled[0].gateway,
+                    transactionId: settled[0].gatewayTransactionId
+                }, {
+                    paymentIds: settled.map(payment => payment._id),
+                    ourStatus: settled[0].status,
+                    expectedAmount: round(settled.reduce((sum, payment) => sum + payment.totalAmount, 0))
+                }));
+            });
+        }
+
+        return {
+            matched,
+            discrepancies,
+            totals: {
+                settlements: settlements.length,
+                settledAmount: round(settlements
+                    .filter(settlement => GATEWAY_STATUSES[settlement.status] === 'settled')
+                    .reduce((sum, settlement) => sum + settlement.amount, 0)),
+                payments: payments.length,
+                matched,
+                discrepancies: discrepancies.length
+            }
+        };
+    }
+
+    discrepancy(type, settlement, { paymentIds = [], expectedAmount, reportedAmount, ourStatus, note } = {}) {
+        const amounts = expectedAmount !== undefined && reportedAmount !== undefined
+            ? { expectedAmount, reportedAmount, difference: round(reportedAmount - expectedAmount) }
+            : { expectedAmount, reportedAmount };
+        return {
+            type,
+            gateway: settlement.gateway,
+            gatewayTransactionId: settlement.transactionId,
+            paymentIds,
+            ...amounts,
+            ourStatus,
+            gatewayStatus: settlement.status,
+            source: settlement.file ? `${settlement.file}${settlement.line ? `:${settlement.line}` : ''}` : undefined,
+            note,
+            action: RESOLUTION_ACTIONS[type].action,
+            actionDescription: RESOLUTION_ACTIONS[type].description
+        };
+    }
+}
+
+module.exports = {
+    SettlementFileParser,
+    SettlementFileInbox,
+    SettlementReconciler,
+    SETTLED_PAYMENT_STATUSES,
+    RESOLUTION_ACTIONS
+};
@@ -0,0 +1,34 @@
+/**
+ * Thumbnail generation for evidence previews.
+ * Photos get a small JPEG preview; video clips and PDF printouts have none
+ * (frame extraction would need ffmpeg on the server).
+ */
+
+const sharp = require('sharp');
+
+const THUMBNAIL_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+class ThumbnailService {
+    constructor({ width = 320 } = {}) {
+        this.width = width;
+    }
+
+    canGenerate(mimeType) {
+        return THUMBNAIL_MIME_TYPES.includes(mimeType);
+    }
+
+    // Resolves to a JPEG buffer, or null when the type has no preview
+    async generate(buffer, mimeType) {
+        if (!this.canGenerate(mimeType)) {
+            return null;
+        }
+
+        return await sharp(buffer)
+            .rotate() // honour EXIF orientation from phone cameras
+            .resize({ width: this.width, withoutEnlargement: true })
+            .jpeg({ quality: 70 })
+            .toBuffer();
+    }
+}
+
+module.exports = { ThumbnailService };
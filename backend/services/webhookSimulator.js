@@ -0,0 +1,55 @@
+/**
+ * Local stand-in for a gateway's webhook sender.
+ * Builds the payload a gateway would send for an event, signs it with the same secret the
+ * server verifies against, and delivers it, so the asynchronous payment flow can be exercised
+ * offline (demos, manual testing, integration tests).
+ */
+
+const crypto = require('crypto');
+const { PaymentWebhookFactory } = require('./paymentWebhooks');
+
+class WebhookSimulator {
+    constructor({ gateway, secret, targetUrl = 'http://localhost:5001/api/payments/webhooks' } = {}) {
+        this.adapter = PaymentWebhookFactory.createAdapter(gateway, { secret });
+        this.targetUrl = `${targetUrl.replace(/\/+$/, '')}/${this.adapter.getGatewayName()}`;
+    }
+
+    /**
+     * Body and headers for one delivery.
+     * event: { type, transactionId, amount, reason, disputeId, eventId, occurredAt } (eventId is generated if omitted)
+     */
+    buildDelivery(event, now = Date.now()) {
+        const payload = this.adapter.createPayload({
+            eventId: `evt_${crypto.randomBytes(8).toString('hex')}`,
+            disputeId: event.type.startsWith('dispute.') ? `dp_${crypto.randomBytes(6).toString('hex')}` : undefined,
+            ...event
+        });
+        const body = JSON.stringify(payload);
+
+        return {
+            body,
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.adapter.signPayload(body, now)
+            }
+        };
+    }
+
+    // POST the event to the server; resolves with the HTTP status and parsed response
+    async send(event) {
+        const delivery = this.buildDelivery(event);
+        const response = await fetch(this.targetUrl, {
+            method: 'POST',
+            headers: delivery.headers,
+            body: delivery.body
+        });
+
+        return {
+            status: response.status,
+            body: await response.json().catch(() => null),
+            delivery
+        };
+    }
+}
+
+module.exports = { WebhookSimulator };
@@ -0,0 +1,806 @@
+// test/challan.test.js - Unit Tests for Challan Workflows
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const Dispute = require('../models/Dispute');
+const Challan = require('../models/Challan');
+const Vehicle = require('../models/Vehicle');
+const DemeritPoint = require('../models/DemeritPoint');
+const FineSchedule = require('../models/FineSchedule');
+const { ChallanLifecycle, ChallanTransitionError } = require('../patterns/ChallanLifecycle');
+const { PenaltyRuleFactory } = require('../patterns/PenaltyRules');
+const { JobScheduler } = require('../services/jobScheduler');
+const { DemeritPolicy } = require('../patterns/DemeritPolicy');
+const { OffenceCombinationRuleFactory } = require('../patterns/OffenceCombination');
+const { SpeedingViolation, ParkingViolation, HelmetViolation } = require('../patterns/ClassHierarchy');
+const { violationTypeRegistry } = require('../patterns/ViolationRegistry');
+const { EChallanFacade } = require('../patterns/DesignPatterns');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Challan Workflow Unit Tests', () => {
+
+    // Dispute Adjudication Tests
+    describe('Dispute Model - Decisions', () => {
+        let dispute;
+        const reviewerId = new mongoose.Types.ObjectId();
+
+        beforeEach(() => {
+            dispute = new Dispute({
+                challanId: new mongoose.Types.ObjectId(),
+                citizenId: new mongoose.Types.ObjectId(),
+                reason: 'Speed camera was miscalibrated',
+                originalFineAmount: 1000,
+                evidence: [{ url: 'https://example.com/calibration.pdf', mimeType: 'application/pdf' }]
+            });
+        });
+
+        it('should require a reason and original fine', () => {
+            const invalid = new Dispute({
+                challanId: new mongoose.Types.ObjectId(),
+                citizenId: new mongoose.Types.ObjectId()
+            });
+            const error = invalid.validateSync();
+
+            expect(error.errors).to.have.property('reason');
+            expect(error.errors).to.have.property('originalFineAmount');
+        });
+
+        it('should cancel the challan when the dispute is upheld', () => {
+            const update = dispute.resolve({ outcome: 'upheld' }, reviewerId);
+
+            expect(update).to.deep.equal({ status: 'cancelled', fineAmount: 1000 });
+            expect(dispute.status).to.equal('resolved');
+            expect(dispute.decision.outcome).to.equal('upheld');
+            expect(dispute.decision.decidedBy.toString()).to.equal(reviewerId.toString());
+        });
+
+        it('should only withdraw the disputed offences when a partial dispute is upheld', () => {
+            dispute.offenceItemNumbers = [2];
+            const update = dispute.resolve({ outcome: 'upheld' }, reviewerId);
+
+            expect(update).to.deep.equal({ status: 'pending', withdrawOffenceItems: [2] });
+        });
+
+        it('should return the challan to pending with a reduced fine', () => {
+            const update = dispute.resolve({ outcome: 'fine_reduced', revisedFineAmount: 400 }, reviewerId);
+
+            expect(update).to.deep.equal({ status: 'pending', fineAmount: 400 });
+            expect(dispute.decision.revisedFineAmount).to.equal(400);
+        });
+
+        it('should reject a revised fine that is not lower than the original', () => {
+            expect(() => {
+                dispute.resolve({ outcome: 'fine_reduced', revisedFineAmount: 1500 }, reviewerId);
+            }).to.throw('Revised fine must be greater than 0 and less than the original fine');
+        });
+
+        it('should return the challan to pending without changing the fine when rejected', () => {
+            const update = dispute.resolve({ outcome: 'rejected', notes: 'Camera certified' }, reviewerId);
+
+            expect(update).to.deep.equal({ status: 'pending' });
+        });
+
+        it('should not allow a resolved dispute to be decided again', () => {
+            dispute.resolve({ outcome: 'rejected' }, reviewerId);
+
+            expect(() => dispute.resolve({ outcome: 'upheld' }, reviewerId))
+                .to.throw('Dispute has already been resolved');
+        });
+
+        it('should throw for an unknown outcome', () => {
+            expect(() => dispute.resolve({ outcome: 'maybe' }, reviewerId))
+                .to.throw('Invalid dispute outcome: maybe');
+        });
+    });
+
+    // The database calls are replaced, so the order the decision is saved in can be followed
+    describe('EChallanFacade - Dispute Decisions', () => {
+        const facade = new EChallanFacade();
+        const reviewer = new User({ name: 'Reviewer', email: 'reviewer@example.com', password: 'secret123', role: 'admin' });
+        const originals = {};
+        let challan;
+        let dispute;
+        let saves;
+
+        beforeEach(() => {
+            saves = [];
+            challan = new Challan({
+                challanNumber: 'CH-DISPUTE-1',
+                citizenId: new mongoose.Types.ObjectId(),
+                officerId: new mongoose.Types.ObjectId(),
+                vehicleNumber: 'ABC123',
+                violationType: 'No Helmet',
+                location: 'Highway 1',
+                fineAmount: 1000,
+                dueDate: new Date(Date.now() + 30 * DAY_MS)
+            });
+            challan.transitionTo('disputed', { actorRole: 'citizen', reason: 'Not me' });
+            dispute = new Dispute({ challanId: challan._id, citizenId: challan.citizenId, reason: 'Not me', originalFineAmount: 1000 });
+            challan.save = async function () { saves.push('challan'); return this; };
+            dispute.save = async function () { saves.push('dispute'); return this; };
+
+            Object.assign(originals, { userFindById: User.findById, findOne: Dispute.findOne, challanFindById: Challan.findById });
+            User.findById = async id => (id && id.toString() === reviewer._id.toString() ? reviewer : null);
+            Dispute.findOne = async () => dispute;
+            Challan.findById = async () => challan;
+            facade.hasDecoratedPermission = () => true;
+            facade.recordLedger = async () => {};
+            facade.reverseDemeritPoints = async () => ({ success: true });
+            facade.notificationSubject = { notifyObservers: () => {} };
+        });
+
+        afterEach(() => {
+            User.findById = originals.userFindById;
+            Dispute.findOne = originals.findOne;
+            Challan.findById = originals.challanFindById;
+        });
+
+        it('should save the challan before marking the dispute resolved', async () => {
+            const result = await facade.decideDispute(reviewer._id.toString(), challan._id, { outcome: 'fine_reduced', revisedFineAmount: 400 });
+
+            expect(result.success).to.be.true;
+            expect(saves).to.deep.equal(['challan', 'dispute']);
+            expect(challan).to.include({ status: 'pending', fineAmount: 400 });
+            expect(dispute.status).to.equal('resolved');
+        });
+
+        it('should save nothing when the challan cannot take the decision', async () => {
+            challan.transitionTo('pending', { actorRole: 'admin', reason: 'Reopened' });
+            challan.transitionTo('paid', { actorRole: 'citizen', reason: 'Paid while the dispute was open' });
+
+            const result = await facade.decideDispute(reviewer._id.toString(), challan._id, { outcome: 'upheld' });
+
+            expect(result.success).to.be.false;
+            expect(saves).to.be.empty;
+        });
+
+        it('should save nothing when the challan fails validation', async () => {
+            challan.location = undefined;
+
+            const result = await facade.decideDispute(reviewer._id.toString(), challan._id, { outcome: 'rejected' });
+
+            expect(result.success).to.be.false;
+            expect(saves).to.be.empty;
+        });
+    });
+
+    // Lifecycle State Machine Tests
+    describe('ChallanLifecycle - Status Transitions', () => {
+        const actorId = new mongoose.Types.ObjectId();
+        let challan;
+
+        beforeEach(() => {
+            challan = new Challan({
+                citizenId: new mongoose.Types.ObjectId(),
+                officerId: new mongoose.Types.ObjectId(),
+                vehicleNumber: 'ABC123',
+                violationType: 'Speeding',
+                location: 'Highway 1',
+                fineAmount: 500
+            });
+        });
+
+        it('should allow the documented transitions', () => {
+            expect(ChallanLifecycle.canTransition('pending', 'disputed')).to.be.true;
+            expect(ChallanLifecycle.canTransition('disputed', 'pending')).to.be.true;
+            expect(ChallanLifecycle.canTransition('disputed', 'cancelled')).to.be.true;
+            expect(ChallanLifecycle.canTransition('pending', 'paid')).to.be.true;
+            expect(ChallanLifecycle.canTransition('paid', 'refunded')).to.be.true;
+        });
+
+        it('should reject illegal transitions with a 409 error', () => {
+            try {
+                ChallanLifecycle.assertTransition('paid', 'pending');
+                expect.fail('Expected transition to be rejected');
+            } catch (error) {
+                expect(error).to.be.instanceOf(ChallanTransitionError);
+                expect(error.statusCode).to.equal(409);
+                expect(error.allowedTransitions).to.deep.equal(['refunded']);
+            }
+        });
+
+        it('should append each transition to statusHistory', () => {
+            challan.transitionTo('disputed', { actorId, actorRole: 'citizen', reason: 'Wrong vehicle' });
+            challan.transitionTo('pending', { actorId, actorRole: 'officer', reason: 'Dispute rejected' });
+
+            expect(challan.status).to.equal('pending');
+            expect(challan.statusHistory).to.have.length(2);
+            expect(challan.statusHistory[0].from).to.equal('pending');
+            expect(challan.statusHistory[0].to).to.equal('disputed');
+            expect(challan.statusHistory[1].reason).to.equal('Dispute rejected');
+            expect(challan.statusHistory[1].actorId.toString()).to.equal(actorId.toString());
+        });
+
+        it('should set paymentDate when a challan is paid', () => {
+            challan.transitionTo('paid', { actorId, actorRole: 'citizen' });
+
+            expect(challan.paymentDate).to.be.instanceOf(Date);
+        });
+
+        it('should leave the challan untouched on an illegal transition', () => {
+            expect(() => challan.transitionTo('refunded', { actorId })).to.throw(ChallanTransitionError);
+            expect(challan.status).to.equal('pending');
+            expect(challan.statusHistory).to.have.length(0);
+        });
+    });
+
+    // Edits through PUT /api/challans/:id, with the database calls replaced
+    describe('Challan Controller - Manual Edits', () => {
+        const challanController = require('../controllers/challanController');
+        const officerId = new mongoose.Types.ObjectId().toString();
+        const officer = { id: officerId, role: 'officer', name: 'Officer', email: 'officer@example.com' };
+        const originals = {};
+        let challan;
+
+        // Stands in for both `await Challan.findById(id)` and `Challan.findById(id).populate(...)`
+        const query = result => ({
+            populate() { return this; },
+            then(resolve, reject) { return Promise.resolve(result).then(resolve, reject); }
+        });
+
+        const update = async (user, body) => {
+            const res = {
+                statusCode: 200,
+                status(code) { this.statusCode = code; return this; },
+                json(body) { this.body = body; return this; }
+            };
+            await challanController.updateChallan({ user, params: { id: challan._id.toString() }, body }, res);
+            return res;
+        };
+
+        beforeEach(() => {
+            challan = new Challan({
+                challanNumber: 'CH-EDIT-1',
+                citizenId: new mongoose.Types.ObjectId(),
+                officerId,
+                vehicleNumber: 'ABC123',
+                violationType: 'Speeding',
+                location: 'Highway 1',
+                fineAmount: 1000
+            });
+            challan.save = async function () { return this; };
+            originals.findById = Challan.findById;
+            originals.recordLedger = challanController.eChallanFacade.recordLedger;
+            originals.reverseDemeritPoints = challanController.eChallanFacade.reverseDemeritPoints;
+            Challan.findById = () => query(challan);
+            challanController.eChallanFacade.recordLedger = async () => {};
+            challanController.eChallanFacade.reverseDemeritPoints = async () => ({ success: true });
+        });
+
+        afterEach(() => {
+            Challan.findById = originals.findById;
+            challanController.eChallanFacade.recordLedger = originals.recordLedger;
+            challanController.eChallanFacade.reverseDemeritPoints = originals.reverseDemeritPoints;
+        });
+
+        it('should not let an admin mark a challan paid, refunded or disputed by hand', () => {
+            const adminStrategy = challanController.getUpdateStrategy('admin');
+
+            for (const status of ['paid', 'refunded', 'disputed', 'payment_plan']) {
+                expect(() => adminStrategy.processUpdate({ status }, challan))
+                    .to.throw(`A challan becomes '${status}' through its payment, refund, dispute or plan, not by editing it`);
+            }
+            expect(adminStrategy.processUpdate({ status: 'cancelled', location: 'Highway 2' }, challan))
+                .to.deep.equal({ status: 'cancelled', location: 'Highway 2' });
+
+            challan.status = 'paid';
+            expect(() => adminStrategy.processUpdate({ fineAmount: 500 }, challan))
+                .to.throw("Cannot change the fine of a challan with status 'paid'");
+        });
+
+        it('should only let the fine change while the challan is pending or overdue', async () => {
+            const res = await update(officer, { fineAmount: 800 });
+            expect(res.statusCode).to.equal(200);
+            expect(challan.fineAmount).to.equal(800);
+
+            for (const status of ['paid', 'payment_plan', 'disputed']) {
+                challan.status = status;
+                const refused = await update(officer, { fineAmount: 500 });
+
+                expect(refused.statusCode).to.equal(409);
+                expect(refused.body.message).to.equal(`Cannot change the fine of a challan with status '${status}'`);
+                expect(challan.fineAmount).to.equal(800);
+            }
+        });
+    });
+
+    // Late-Payment Penalty Tests
+    describe('Penalty Rules - Strategy Pattern', () => {
+        const dueDate = new Date('2025-01-01T00:00:00Z');
+
+        it('should count started periods after the grace period', () => {
+            const rule = PenaltyRuleFactory.createRule('flat', { periodDays: 30, graceDays: 5 });
+
+            expect(rule.getElapsedPeriods(dueDate, new Date(dueDate.getTime() + 3 * DAY_MS))).to.equal(0);
+            expect(rule.getElapsedPeriods(dueDate, new Date(dueDate.getTime() + 6 * DAY_MS))).to.equal(1);
+            expect(rule.getElapsedPeriods(dueDate, new Date(dueDate.getTime() + 40 * DAY_MS))).to.equal(2);
+        });
+
+        it('should cap periods at maxPeriods', () => {
+            const rule = PenaltyRuleFactory.createRule('flat', { periodDays: 1, maxPeriods: 3 });
+
+            expect(rule.getElapsedPeriods(dueDate, new Date(dueDate.getTime() + 10 * DAY_MS))).to.equal(3);
+        });
+
+        it('should price flat, percentage and compounding penalties', () => {
+            const flat = PenaltyRuleFactory.createRule('flat', { flatAmount: 50 });
+            const percentage = PenaltyRuleFactory.createRule('percentage', { rate: 0.1 });
+            const compounding = PenaltyRuleFactory.createRule('compounding', { rate: 0.1 });
+
+            expect(flat.calculatePenalty(1000, 3)).to.equal(150);
+            expect(percentage.calculatePenalty(1000, 3)).to.equal(300);
+            expect(compounding.calculatePenalty(1000, 3)).to.equal(331);
+        });
+
+        it('should build a rule from configuration', () => {
+            const rule = PenaltyRuleFactory.fromConfiguration({ rule: 'compounding', rate: 0.05, periodDays: 7 });
+
+            expect(rule.getRuleType()).to.equal('compounding');
+            expect(rule.periodDays).to.equal(7);
+        });
+
+        it('should throw for an unsupported rule', () => {
+            expect(() => PenaltyRuleFactory.createRule('daily')).to.throw('Unsupported penalty rule: daily');
+        });
+    });
+
+    describe('Challan Model - Late Penalties', () => {
+        let challan;
+        const rule = PenaltyRuleFactory.createRule('percentage', { rate: 0.1, periodDays: 30 });
+
+        beforeEach(() => {
+            challan = new Challan({
+                citizenId: new mongoose.Types.ObjectId(),
+                officerId: new mongoose.Types.ObjectId(),
+                vehicleNumber: 'ABC123',
+                violationType: 'Red Light',
+                location: 'Main St',
+                fineAmount: 1000,
+                dueDate: new Date(Date.now() - 45 * DAY_MS)
+            });
+        });
+
+        it('should mark the challan overdue and keep the original fine', () => {
+            const result = challan.applyLatePenalty(rule);
+
+            expect(result.becameOverdue).to.be.true;
+            expect(challan.status).to.equal('overdue');
+            expect(challan.originalFineAmount).to.equal(1000);
+            expect(challan.penaltyPeriods).to.equal(2);
+            expect(challan.penaltyAmount).to.equal(200);
+            expect(challan.fineAmount).to.equal(1200);
+            expect(challan.statusHistory[0].to).to.equal('overdue');
+        });
+
+        it('should be idempotent within the same period', () => {
+            challan.applyLatePenalty(rule);
+            const result = challan.applyLatePenalty(rule);
+
+            expect(result.changed).to.be.false;
+            expect(challan.fineAmount).to.equal(1200);
+            expect(challan.statusHistory).to.have.length(1);
+        });
+
+        it('should not penalise challans that are not yet due or not payable', () => {
+            challan.dueDate = new Date(Date.now() + DAY_MS);
+            expect(challan.applyLatePenalty(rule).changed).to.be.false;
+
+            challan.dueDate = new Date(Date.now() - 45 * DAY_MS);
+            challan.transitionTo('disputed', { actorRole: 'citizen' });
+            expect(challan.applyLatePenalty(rule).changed).to.be.false;
+            expect(challan.fineAmount).to.equal(1000);
+        });
+
+        it('should keep accrued penalties when a dispute on an overdue challan is rejected', () => {
+            challan.applyLatePenalty(rule);
+            challan.transitionTo('disputed', { actorRole: 'citizen' });
+
+            const dispute = new Dispute({ challanId: challan._id, citizenId: challan.citizenId, reason: 'Not me', originalFineAmount: 1000 });
+            const update = dispute.resolve({ outcome: 'rejected' }, new mongoose.Types.ObjectId());
+            challan.transitionTo(update.status, { actorRole: 'officer', reason: 'Dispute rejected' });
+            challan.applyLatePenalty(rule);
+
+            expect(challan.status).to.equal('overdue');
+            expect(challan.penaltyAmount).to.equal(200);
+            expect(challan.fineAmount).to.equal(1200);
+        });
+
+        it('should reset penalties when the base fine changes', () => {
+            challan.applyLatePenalty(rule);
+            challan.setBaseFine(600);
+
+            expect(challan.fineAmount).to.equal(600);
+            expect(challan.penaltyAmount).to.equal(0);
+            expect(challan.originalFineAmount).to.equal(600);
+        });
+    });
+
+    describe('JobScheduler - Scheduled Jobs', () => {
+        let scheduler;
+
+        beforeEach(() => {
+            scheduler = new JobScheduler();
+        });
+
+        afterEach(() => {
+            scheduler.stop();
+        });
+
+        it('should run a registered job and record its result', async () => {
+            scheduler.register('test_job', async () => ({ processed: 3 }), 1000);
+
+            const result = await scheduler.runJob('test_job');
+            const [status] = scheduler.getStatus();
+
+            expect(result.success).to.be.true;
+            expect(status.runCount).to.equal(1);
+            expect(status.lastResult).to.deep.equal({ processed: 3 });
+        });
+
+        it('should record job failures without throwing', async () => {
+            scheduler.register('failing_job', async () => { throw new Error('boom'); }, 1000);
+
+            const result = await scheduler.runJob('failing_job');
+
+            expect(result.success).to.be.false;
+            expect(scheduler.getStatus()[0].lastError).to.equal('boom');
+        });
+
+        it('should reject duplicate job names', () => {
+            scheduler.register('test_job', () => {}, 1000);
+
+            expect(() => scheduler.register('test_job', () => {}, 1000))
+                .to.throw("Job 'test_job' is already registered");
+        });
+    });
+
+    // Vehicle Registry Tests
+    describe('Vehicle Model - Ownership History', () => {
+        let vehicle;
+        const firstOwner = new mongoose.Types.ObjectId();
+        const secondOwner = new mongoose.Types.ObjectId();
+        const registeredAt = new Date('2023-01-01T00:00:00Z');
+
+        beforeEach(() => {
+            vehicle = new Vehicle({
+                registrationNumber: 'abc-1234',
+                vehicleType: 'car',
+                currentOwnerId: firstOwner,
+                ownershipHistory: [{ ownerId: firstOwner, from: registeredAt }]
+            });
+        });
+
+        it('should normalise registration numbers', () => {
+            expect(Vehicle.normalizeRegistration(' ab c-12 34 ')).to.equal('ABC1234');
+            expect(vehicle.registrationNumber).to.equal('ABC1234');
+        });
+
+        it('should reject unknown vehicle types', () => {
+            vehicle.vehicleType = 'spaceship';
+            const error = vehicle.validateSync();
+            expect(error.errors.vehicleType).to.exist;
+        });
+
+        it('should resolve the owner at a given time across a transfer', () => {
+            const transferDate = new Date('2024-06-01T00:00:00Z');
+            vehicle.transferOwnership(secondOwner, { effectiveDate: transferDate, reason: 'Sold' });
+
+            expect(vehicle.currentOwnerId.toString()).to.equal(secondOwner.toString());
+            expect(vehicle.ownershipHistory).to.have.length(2);
+            expect(vehicle.ownershipHistory[0].to.getTime()).to.equal(transferDate.getTime());
+
+            expect(vehicle.getOwnerAt(new Date('2024-05-31T23:59:59Z')).toString()).to.equal(firstOwner.toString());
+            expect(vehicle.getOwnerAt(transferDate).toString()).to.equal(secondOwner.toString());
+        });
+
+        it('should have no owner before the vehicle was registered', () => {
+            expect(vehicle.getOwnerAt(new Date('2022-12-31T00:00:00Z'))).to.be.null;
+        });
+
+        it('should reject transfers to the current owner or before the current ownership', () => {
+            expect(() => vehicle.transferOwnership(firstOwner))
+                .to.throw('Vehicle is already owned by this citizen');
+            expect(() => vehicle.transferOwnership(secondOwner, { effectiveDate: new Date('2022-01-01') }))
+                .to.throw('Transfer date must be after the start of the current ownership');
+        });
+    });
+
+    // Demerit Points and Repeat-Offender Tests
+    describe('DemeritPolicy - Repeat Offenders', () => {
+        const policy = new DemeritPolicy({
+            windowDays: 365,
+            escalationSteps: [1, 1.5, 2],
+            suspensionThreshold: 12
+        });
+
+        it('should assign configured points per violation type', () => {
+            expect(policy.getPoints('Red Light')).to.equal(4);
+            expect(policy.getPoints('Wrong Parking')).to.equal(1);
+            expect(policy.getPoints('Unknown')).to.equal(1);
+
+            const custom = new DemeritPolicy({ points: { 'Speeding': 6 } });
+            expect(custom.getPoints('Speeding')).to.equal(6);
+            expect(custom.getPoints('Red Light')).to.equal(4);
+        });
+
+        it('should escalate the multiplier with prior violations and cap it', () => {
+            expect(policy.getFineMultiplier(0)).to.equal(1);
+            expect(policy.getFineMultiplier(1)).to.equal(1.5);
+            expect(policy.getFineMultiplier(2)).to.equal(2);
+            expect(policy.getFineMultiplier(7)).to.equal(2);
+        });
+
+        it('should measure the rolling window back from the given time', () => {
+            const asOf = new Date('2024-12-31T00:00:00Z');
+            expect(policy.getWindowStart(asOf).getTime()).to.equal(asOf.getTime() - 365 * DAY_MS);
+        });
+
+        it('should flag a licence at the suspension threshold', () => {
+            expect(policy.shouldFlagForSuspension(11)).to.be.false;
+            expect(policy.shouldFlagForSuspension(12)).to.be.true;
+        });
+
+        it('should scale the violation fine by the repeat-offender multiplier', () => {
+            const violation = new SpeedingViolation({ speedLimit: 60, actualSpeed: 75 });
+            violation.setOffenderHistory(1, policy.getFineMultiplier(1));
+
+            const processed = violation.processViolation();
+            expect(processed.baseFineAmount).to.equal(750);
+            expect(processed.fineAmount).to.equal(1125);
+            expect(processed.priorViolationCount).to.equal(1);
+        });
+    });
+
+    describe('DemeritPoint Model - Ledger', () => {
+        let entry;
+
+        beforeEach(() => {
+            entry = new DemeritPoint({
+                challanId: new mongoose.Types.ObjectId(),
+                citizenId: new mongoose.Types.ObjectId(),
+                licenseNumber: 'DL123',
+                vehicleId: new mongoose.Types.ObjectId(),
+                violationType: 'Speeding',
+                points: 3,
+                occurredAt: new Date()
+            });
+        });
+
+        it('should reverse issued points with a negative entry', () => {
+            const reversal = entry.buildReversal('Dispute upheld');
+
+            expect(reversal.entryType).to.equal('reversed');
+            expect(reversal.points).to.equal(-3);
+            expect(reversal.licenseNumber).to.equal('DL123');
+            expect(reversal.occurredAt.getTime()).to.equal(entry.occurredAt.getTime());
+        });
+
+        it('should not reverse a reversal', () => {
+            const reversal = entry.buildReversal('Dispute upheld');
+            expect(() => reversal.buildReversal('again')).to.throw('Only issued points can be reversed');
+        });
+    });
+
+    // Fine Schedule Tests
+    describe('FineSchedule - Versioned Fine Rates', () => {
+        const buildRates = (overrides = {}) => violationTypeRegistry.getDefaultRates().map(rate => ({
+            ...rate,
+            ...(overrides[rate.violationType] || {})
+        }));
+
+        it('should accept a schedule that prices every violation type', () => {
+            const schedule = new FineSchedule({
+                version: 1,
+                name: '2025 rates',
+                effectiveFrom: new Date(),
+                rates: buildRates()
+            });
+
+            expect(schedule.validateSync()).to.be.undefined;
+        });
+
+        it('should reject missing, duplicate and inconsistent rates', () => {
+            const rates = buildRates({ 'Red Light': { maxFine: 500 } })
+                .filter(rate => rate.violationType !== 'No Helmet');
+            rates.push({ ...rates[0] });
+
+            const schedule = new FineSchedule({ version: 2, name: 'Broken', effectiveFrom: new Date(), rates });
+            const error = schedule.validateSync();
+
+            expect(error.errors.rates.message).to.include("Missing rate for 'No Helmet'");
+            expect(error.errors.rates.message).to.include("Duplicate rate for 'Speeding'");
+            expect(error.errors.rates.message).to.include("maxFine for 'Red Light' is lower than its baseFine");
+        });
+
+        it('should only be in force from its effective date', () => {
+            const schedule = new FineSchedule({
+                version: 3,
+                name: 'Future rates',
+                effectiveFrom: new Date(Date.now() + DAY_MS),
+                rates: buildRates()
+            });
+
+            expect(schedule.isInForce()).to.be.false;
+            expect(schedule.isInForce(new Date(Date.now() + 2 * DAY_MS))).to.be.true;
+        });
+
+        it('should price violations from the applied schedule and record its version', () => {
+            const schedule = new FineSchedule({
+                version: 4,
+                name: 'Higher speeding fines',
+                effectiveFrom: new Date(),
+                rates: buildRates({ 'Speeding': { baseFine: 800, maxFine: 2000 } })
+            });
+
+            const violation = new SpeedingViolation({ speedLimit: 60, actualSpeed: 85 });
+            expect(violation.calculateFine()).to.equal(1000);
+
+            violation.applyFineSchedule(schedule);
+            const processed = violation.processViolation();
+            expect(processed.fineAmount).to.equal(1600);
+            expect(processed.fineScheduleVersion).to.equal(4);
+        });
+
+        it('should cap fines at the scheduled maximum', () => {
+            const helmet = new HelmetViolation({ passengerCount: 4 });
+            expect(helmet.calculateFine()).to.equal(900);
+
+            const parking = new ParkingViolation({ zoneType: 'fire-lane', duration: 180 });
+            expect(parking.calculateFine()).to.equal(2250);
+            expect(parking.getMinimumFine()).to.equal(100);
+        });
+    });
+
+    describe('Challan Model - Other Violations', () => {
+        it('should require a statute reference for other violations', () => {
+            const challan = new Challan({
+                citizenId: new mongoose.Types.ObjectId(),
+                officerId: new mongoose.Types.ObjectId(),
+                vehicleNumber: 'ABC123',
+                violationType: 'Other',
+                location: 'Highway 1',
+                fineAmount: 300
+            });
+
+            expect(challan.validateSync().errors.statuteReference).to.exist;
+
+            challan.statuteReference = 'MVA s.177';
+            expect(challan.validateSync()).to.be.undefined;
+            expect(challan.toViolationInstance().constructor.name).to.equal('OtherViolation');
+        });
+    });
+
+    // Multiple Offence Tests
+    describe('Offence Combination Rules - Strategy Pattern', () => {
+        it('should charge every offence in full with the sum rule', () => {
+            const rule = OffenceCombinationRuleFactory.createRule('sum');
+
+            expect(rule.combine([1000, 300])).to.deep.equal({ fines: [1000, 300], total: 1300, capped: false });
+        });
+
+        it('should charge the most serious offence in full and the others at a fraction', () => {
+            const rule = OffenceCombinationRuleFactory.createRule('highest_plus_fraction', { additionalRate: 0.5 });
+
+            expect(rule.combine([300, 1000, 500]).fines).to.deep.equal([150, 1000, 250]);
+        });
+
+        it('should scale line items down to the cap and keep them adding up', () => {
+            const rule = OffenceCombinationRuleFactory.createRule('sum', { maxTotalFine: 1000 });
+            const { fines, total, capped } = rule.combine([1000, 300, 200]);
+
+            expect(capped).to.be.true;
+            expect(total).to.equal(1000);
+            expect(Math.round(fines.reduce((sum, fine) => sum + fine, 0) * 100) / 100).to.equal(1000);
+            expect(fines[0]).to.be.greaterThan(fines[1]);
+        });
+
+        it('should build the rule from configuration and reject unknown rules', () => {
+            expect(OffenceCombinationRuleFactory.fromConfiguration({}).getRuleType()).to.equal('sum');
+            expect(() => OffenceCombinationRuleFactory.createRule('cheapest')).to.throw('Unsupported offence combination rule: cheapest');
+        });
+    });
+
+    describe('Challan Model - Offence Line Items', () => {
+        let challan;
+
+        beforeEach(() => {
+            challan = new Challan({
+                citizenId: new mongoose.Types.ObjectId(),
+                officerId: new mongoose.Types.ObjectId(),
+                vehicleNumber: 'ABC123',
+                violationType: 'Speeding',
+                speedLimit: 60,
+                actualSpeed: 90,
+                location: 'Highway 1',
+                offences: [
+                    {
+                        itemNumber: 1,
+                        violationType: 'Speeding',
+                        details: { speedLimit: 60, actualSpeed: 90 },
+                        baseFineAmount: 1000,
+                        fineAmount: 1000,
+                        demeritPoints: 3
+                    },
+                    {
+                        itemNumber: 2,
+                        violationType: 'No Helmet',
+                        details: { passengerCount: 1 },
+                        baseFineAmount: 300,
+                        fineAmount: 300,
+                        demeritPoints: 2
+                    }
+                ]
+            });
+            challan.applyOffenceCombination(OffenceCombinationRuleFactory.createRule('sum'));
+        });
+
+        it('should roll the offence fines and demerit points up into the challan', () => {
+            expect(challan.fineAmount).to.equal(1300);
+            expect(challan.originalFineAmount).to.equal(1300);
+            expect(challan.demeritPoints).to.equal(5);
+            expect(challan.combinationRule).to.equal('sum');
+            expect(challan.validateSync()).to.be.undefined;
+        });
+
+        it('should validate each offence against its registered type', () => {
+            challan.offences[1].details = { passengerCount: 0 };
+
+            const error = challan.validateSync();
+            expect(error.errors['offences.1.violationType'].message).to.equal('Offence 2: Riders Without Helmet must be at least 1');
+        });
+
+        it('should recombine the remaining offences after one is withdrawn', () => {
+            challan.withdrawOffences([2], 'Dispute upheld');
+            challan.applyOffenceCombination(OffenceCombinationRuleFactory.createRule('sum'));
+
+            expect(challan.fineAmount).to.equal(1000);
+            expect(challan.demeritPoints).to.equal(3);
+            expect(challan.offences[1].status).to.equal('withdrawn');
+            expect(challan.offences[1].fineAmount).to.equal(0);
+        });
+
+        it('should not withdraw every offence', () => {
+            expect(() => challan.withdrawOffences([1, 2], 'Dispute upheld'))
+                .to.throw('Cannot withdraw every offence, cancel the challan instead');
+            expect(() => challan.withdrawOffences([3], 'Dispute upheld'))
+                .to.throw('Offence 3 is not an active offence on this challan');
+        });
+
+        it('should rescale the offences when the base fine is changed', () => {
+            challan.setBaseFine(650);
+
+            expect(challan.offences.map(offence => offence.fineAmount)).to.deep.equal([500, 150]);
+        });
+    });
+
+    describe('Challan Model - Registered Violation Types', () => {
+        const buildChallan = (fields) => new Challan({
+            citizenId: new mongoose.Types.ObjectId(),
+            officerId: new mongoose.Types.ObjectId(),
+            vehicleNumber: 'ABC123',
+            location: 'Highway 1',
+            fineAmount: 500,
+            ...fields
+        });
+
+        it('should reject violation types that are not registered', () => {
+            const challan = buildChallan({ violationType: 'Hovercraft' });
+
+            expect(challan.validateSync().errors.violationType.message).to.equal('Unknown violation type: Hovercraft');
+        });
+
+        it('should require the fields the type declares as required', () => {
+            const errors = buildChallan({ violationType: 'Speeding', speedLimit: 60 }).validateSync().errors;
+
+            expect(errors.actualSpeed).to.exist;
+            expect(errors.speedLimit).to.not.exist;
+        });
+
+        it('should apply the type\'s own validation rules', () => {
+            const challan = buildChallan({ violationType: 'Speeding', speedLimit: 60, actualSpeed: 40 });
+
+            expect(challan.validateSync().errors.violationType.message).to.equal('Actual Speed must be above the Speed Limit');
+        });
+    });
+});
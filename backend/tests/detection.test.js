@@ -0,0 +1,204 @@
+// test/detection.test.js - Unit Tests for Camera Detections
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const Device = require('../models/Device');
+const Detection = require('../models/Detection');
+const uploadMiddleware = require('../middleware/uploadMiddleware');
+const { EChallanFacade } = require('../patterns/DesignPatterns');
+
+describe('Detection Unit Tests', () => {
+
+    const buildDevice = (fields = {}) => new Device({
+        deviceId: 'cam-0042',
+        name: 'MG Road northbound',
+        type: 'anpr_camera',
+        location: 'MG Road & 5th Cross',
+        intersectionId: 'INT-5',
+        apiKeyHash: Device.hashApiKey('placeholder'),
+        ...fields
+    });
+
+    const buildDetection = (fields = {}) => new Detection({
+        deviceId: new mongoose.Types.ObjectId(),
+        detectionType: 'speed',
+        rawPlate: 'ka-01 ab 1234',
+        plate: 'KA01AB1234',
+        detectedAt: new Date('2026-03-01T08:30:00Z'),
+        measuredSpeed: 92,
+        speedLimit: 60,
+        ...fields
+    });
+
+    describe('Device Model - Credentials', () => {
+        it('should only accept the key issued to the device', () => {
+            const device = buildDevice();
+            const apiKey = device.issueApiKey();
+
+            expect(apiKey).to.match(/^dk_[a-f0-9]{48}$/);
+            expect(device.verifyApiKey(apiKey)).to.be.true;
+            expect(device.verifyApiKey('dk_wrong')).to.be.false;
+            expect(device.verifyApiKey(undefined)).to.be.false;
+        });
+
+        it('should invalidate the old key when a new one is issued', () => {
+            const device = buildDevice();
+            const oldKey = device.issueApiKey();
+            const newKey = device.issueApiKey();
+
+            expect(device.verifyApiKey(oldKey)).to.be.false;
+            expect(device.verifyApiKey(newKey)).to.be.true;
+        });
+
+        it('should never expose the key hash', () => {
+            const json = buildDevice().toJSON();
+
+            expect(json).to.not.have.property('apiKeyHash');
+            expect(json.deviceId).to.equal('CAM-0042');
+        });
+
+        it('should check readings against the certificate in force when they were taken', () => {
+            const device = buildDevice();
+            device.recordCalibration({ certificateNumber: 'CAL-1', calibratedAt: '2025-01-01', expiresAt: '2026-01-01' });
+            device.recordCalibration({ certificateNumber: 'CAL-2', calibratedAt: '2026-02-01', expiresAt: '2027-02-01' });
+
+            expect(device.getCalibrationState(new Date('2025-06-01'))).to.include({ status: 'valid', certificateNumber: 'CAL-1' });
+            expect(device.getCalibrationState(new Date('2026-01-15'))).to.include({ status: 'expired', certificateNumber: 'CAL-1' });
+            expect(device.getCalibrationState(new Date('2026-03-01'))).to.include({ status: 'valid', certificateNumber: 'CAL-2' });
+            expect(device.getCalibrationState(new Date('2024-06-01'))).to.deep.equal({ status: 'uncalibrated' });
+        });
+
+        it('should refuse calibration certificates that expire before they start or predate the current one', () => {
+            const device = buildDevice();
+            device.recordCalibration({ certificateNumber: 'CAL-1', calibratedAt: '2026-01-01', expiresAt: '2027-01-01' });
+
+            expect(() => device.recordCalibration({ certificateNumber: 'CAL-2', calibratedAt: '2026-05-01', expiresAt: '2026-04-01' }))
+                .to.throw('Calibration expiry must be after the calibration date');
+            expect(() => device.recordCalibration({ certificateNumber: 'CAL-0', calibratedAt: '2025-06-01', expiresAt: '2026-06-01' }))
+                .to.throw('Calibration date is earlier than the current certificate');
+        });
+
+        it('should record when an existing device key is rotated', () => {
+            const device = buildDevice();
+            device.isNew = false;
+            device.issueApiKey();
+
+            expect(device.apiKeyRotatedAt).to.be.instanceOf(Date);
+        });
+
+        it('should limit detections to what the device type measures', () => {
+            expect(buildDevice().canReport('speed')).to.be.true;
+            expect(buildDevice().canReport('red_light')).to.be.true;
+            expect(buildDevice({ type: 'speed_camera' }).canReport('red_light')).to.be.false;
+            expect(buildDevice({ type: 'red_light_camera' }).canReport('speed')).to.be.false;
+        });
+    });
+
+    describe('Detection Model - Readings', () => {
+        it('should accept readings that show a violation', () => {
+            expect(buildDetection().getReadingProblems()).to.be.empty;
+            expect(buildDetection({
+                detectionType: 'red_light', measuredSpeed: undefined, speedLimit: undefined, lightPhase: 'red', timeAfterRed: 1.4
+            }).getReadingProblems()).to.be.empty;
+        });
+
+        it('should refuse readings that are not violations', () => {
+            expect(buildDetection({ measuredSpeed: 58 }).getReadingProblems())
+                .to.include('Measured speed is not above the speed limit');
+            expect(buildDetection({ speedLimit: undefined }).getReadingProblems())
+                .to.include('Speed detections need measuredSpeed and speedLimit');
+            expect(buildDetection({ detectionType: 'red_light', lightPhase: 'amber' }).getReadingProblems())
+                .to.include('Red-light detections must be captured during the red phase');
+        });
+
+        it('should map speed detections to a Speeding challan', () => {
+            const violation = buildDetection().toViolationData(buildDevice());
+
+            expect(violation).to.deep.equal({
+                violationType: 'Speeding',
+                speedLimit: 60,
+                actualSpeed: 92,
+                radarReading: 'CAM-0042: 92 km/h'
+            });
+        });
+
+        it('should map red-light detections to a Red Light challan from the camera', () => {
+            const violation = buildDetection({ detectionType: 'red_light', lightPhase: 'red', timeAfterRed: 1.4 })
+                .toViolationData(buildDevice());
+
+            expect(violation).to.deep.equal({
+                violationType: 'Red Light',
+                cameraId: 'CAM-0042',
+                intersectionId: 'INT-5',
+                timeAfterRed: 1.4
+            });
+        });
+
+        it('should only keep pending and unmatched detections in the review queue', () => {
+            expect(buildDetection().isReviewable()).to.be.true;
+            expect(buildDetection({ status: 'unmatched' }).isReviewable()).to.be.true;
+            expect(buildDetection({ status: 'duplicate' }).isReviewable()).to.be.false;
+            expect(buildDetection({ status: 'approved' }).isReviewable()).to.be.false;
+        });
+
+        it('should not expose where the image is stored', () => {
+            const json = buildDetection({
+                image: { storageAdapter: 'local', storageKey: 'detections/1', thumbnailKey: 'detections/1-thumb.jpg', mimeType: 'image/jpeg' }
+            }).toJSON();
+
+            expect(json.hasImage).to.be.true;
+            expect(json.image).to.not.have.property('storageKey');
+            expect(json.image).to.not.have.property('thumbnailKey');
+        });
+    });
+
+    describe('Detection Ingestion - Validation', () => {
+        const facade = new EChallanFacade();
+
+        it('should refuse detection types the device cannot measure', async () => {
+            const result = await facade.ingestDetection(buildDevice({ type: 'speed_camera' }), {
+                detectionType: 'red_light', plate: 'KA01AB1234', detectedAt: new Date(), lightPhase: 'red'
+            });
+
+            expect(result.success).to.be.false;
+            expect(result.error).to.equal('Device CAM-0042 cannot report red_light detections');
+        });
+
+        it('should refuse detections timestamped in the future', async () => {
+            const result = await facade.ingestDetection(buildDevice(), {
+                detectionType: 'speed', plate: 'KA01AB1234', measuredSpeed: 92, speedLimit: 60,
+                detectedAt: new Date(Date.now() + 60 * 60 * 1000)
+            });
+
+            expect(result.success).to.be.false;
+            expect(result.error).to.equal('Invalid detection time');
+        });
+
+        it('should refuse readings from a device whose calibration has lapsed', async () => {
+            const device = buildDevice();
+            device.recordCalibration({ certificateNumber: 'CAL-1', calibratedAt: '2025-01-01', expiresAt: '2026-01-01' });
+
+            const result = await facade.ingestDetection(device, {
+                detectionType: 'speed', plate: 'KA01AB1234', measuredSpeed: 92, speedLimit: 60, detectedAt: new Date()
+            });
+
+            expect(result.success).to.be.false;
+            expect(result.error).to.equal('Readings from device CAM-0042 cannot be used for Speeding: its calibration lapsed on 2026-01-01');
+        });
+
+        it('should refuse readings below the limit before touching storage', async () => {
+            const result = await facade.ingestDetection(buildDevice(), {
+                detectionType: 'speed', plate: 'KA01AB1234', measuredSpeed: 55, speedLimit: 60, detectedAt: new Date()
+            });
+
+            expect(result.success).to.be.false;
+            expect(result.error).to.equal('Measured speed is not above the speed limit');
+        });
+
+        it('should only accept photos as detection images', () => {
+            const error = { code: 'LIMIT_UNEXPECTED_FILE' };
+
+            expect(uploadMiddleware.describeUploadError(error, 'image'))
+                .to.equal("Evidence must be uploaded in the 'image' field as one of: image/jpeg, image/png, image/webp");
+        });
+    });
+});
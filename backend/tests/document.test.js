@@ -0,0 +1,152 @@
+// test/document.test.js - Unit Tests for Challan Notice and Receipt PDFs
+const { expect } = require('chai');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Challan = require('../models/Challan');
+const { Payment } = require('../models/Payment');
+const { PdfDocumentService } = require('../services/pdfDocumentService');
+const { ChallanVerificationTokenService } = require('../services/challanVerificationToken');
+const { EChallanFacade, ConfigurationManager } = require('../patterns/DesignPatterns');
+const { violationTypeRegistry } = require('../patterns/ViolationRegistry');
+
+describe('Document Unit Tests', () => {
+
+    const challan = new Challan({
+        challanNumber: 'CH1700000000123',
+        citizenId: new mongoose.Types.ObjectId(),
+        officerId: new mongoose.Types.ObjectId(),
+        vehicleNumber: 'KA01AB1234',
+        violationType: 'Speeding',
+        speedLimit: 60,
+        actualSpeed: 92,
+        location: 'MG Road',
+        fineAmount: 1000,
+        dueDate: new Date('2026-04-01T00:00:00Z'),
+        dateTime: new Date('2026-03-01T08:30:00Z')
+    });
+
+    const payment = new Payment({
+        transactionId: 'TXN-42',
+        challanId: challan._id,
+        citizenId: challan.citizenId,
+        amount: 1000,
+        fee: 29,
+        totalAmount: 1029,
+        paymentMethod: 'credit_card',
+        status: 'completed',
+        allocations: [{ itemNumber: 1, violationType: 'Speeding', amount: 1000 }],
+        paymentDetails: { cardLast4: '4242' }
+    });
+
+    // Record the sections written to the PDF so their content can be checked
+    const captureSections = (service) => {
+        const sections = {};
+        const writeSection = service.writeSection.bind(service);
+        service.writeSection = (doc, heading, rows) => {
+            sections[heading] = Object.fromEntries(rows);
+            writeSection(doc, heading, rows);
+        };
+        return sections;
+    };
+
+    describe('PDF Document Service', () => {
+        it('should render a challan notice with the violation details and amount due', async () => {
+            const service = new PdfDocumentService();
+            const sections = captureSections(service);
+
+            const pdf = await service.renderChallanNotice({
+                challan,
+                violation: challan.toViolationInstance().toJSON(),
+                fields: violationTypeRegistry.getFields('Speeding'),
+                citizenName: 'Asha Rao',
+                officerName: 'R. Kumar (B-17)',
+                outstandingAmount: challan.getOutstandingAmount(),
+                paymentInstructions: ['Pay online'],
+                verificationUrl: 'http://localhost:3000/verify/CH1700000000123'
+            });
+
+            expect(pdf.slice(0, 5).toString()).to.equal('%PDF-');
+            expect(sections.Notice['Challan number']).to.equal('CH1700000000123');
+            expect(sections.Violation['Speed Limit']).to.equal('60 km/h');
+            expect(sections.Violation['Actual Speed']).to.equal('92 km/h');
+            expect(sections['Amount due']).to.include({ Outstanding: '$1000.00', 'Due date': '2026-04-01' });
+        });
+
+        it('should render a receipt with the masked payment method and line items', async () => {
+            const service = new PdfDocumentService();
+            const sections = captureSections(service);
+
+            const pdf = await service.renderPaymentReceipt({
+                payment,
+                challan,
+                citizenName: 'Asha Rao',
+                verificationUrl: 'http://localhost:3000/verify/CH1700000000123'
+            });
+
+            expect(pdf.slice(0, 5).toString()).to.equal('%PDF-');
+            expect(sections.Payment.Method).to.equal('credit card ending 4242');
+            expect(sections.Amount).to.include({ '1. Speeding': '$1000.00', 'Total charged': '$1029.00' });
+        });
+    });
+
+    describe('Verification Codes', () => {
+        const codes = new ChallanVerificationTokenService({ secret: 'test-verification-key' });
+
+        it('should carry the challan reference and printed amount but no personal data', () => {
+            const code = codes.verify(codes.sign(challan));
+
+            expect(code).to.include({ challanId: challan._id.toString(), challanNumber: 'CH1700000000123', fineAmount: 1000 });
+            expect(code.issuedAt).to.be.instanceOf(Date);
+            expect(JSON.stringify(code)).to.not.include('KA01AB1234');
+        });
+
+        it('should reject codes that were altered after signing', () => {
+            const [header, , signature] = codes.sign(challan).split('.');
+            const alteredPayload = Buffer.from(JSON.stringify({
+                scope: 'challan_verification', challanId: challan._id.toString(), challanNumber: 'CH1700000000123', fineAmount: 10
+            })).toString('base64url');
+
+            expect(() => codes.verify(`${header}.${alteredPayload}.${signature}`)).to.throw();
+        });
+
+        it('should reject other tokens signed with the same key', () => {
+            const loginToken = jwt.sign({ id: challan.citizenId.toString() }, 'test-verification-key');
+
+            expect(() => codes.verify(loginToken)).to.throw('Not a challan verification code');
+        });
+    });
+
+    describe('Facade - Documents', () => {
+        const facade = new EChallanFacade();
+
+        before(() => ConfigurationManager.getInstance().set('verification.secret', 'test-verification-key'));
+
+        it('should point the QR code at the public verification page with a signed code', () => {
+            ConfigurationManager.getInstance().set('app.publicUrl', 'https://echallan.example.org/');
+
+            const url = facade.getChallanVerificationUrl(challan);
+            const token = url.replace('https://echallan.example.org/verify/', '');
+
+            expect(url).to.match(/^https:\/\/echallan\.example\.org\/verify\/[\w-]+\.[\w-]+\.[\w-]+$/);
+            expect(facade.getChallanVerificationTokens().verify(token).challanNumber).to.equal('CH1700000000123');
+
+            ConfigurationManager.getInstance().set('app.publicUrl', 'http://localhost:3000');
+        });
+
+        it('should report codes it did not sign as not authentic', async () => {
+            const forged = new ChallanVerificationTokenService({ secret: 'someone-else' }).sign(challan);
+            const result = await facade.verifyChallanCode(forged);
+
+            expect(result.success).to.be.false;
+            expect(result.statusCode).to.equal(400);
+        });
+
+        it('should not issue receipts for payments that did not complete', async () => {
+            const failed = new Payment({ ...payment.toObject(), _id: undefined, status: 'failed' });
+            const result = await facade.generatePaymentReceipt(failed, challan);
+
+            expect(result.success).to.be.false;
+            expect(result.statusCode).to.equal(409);
+        });
+    });
+});
@@ -0,0 +1,152 @@
+// test/evidence.test.js - Unit Tests for Evidence Storage
+const { expect } = require('chai');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Evidence = require('../models/Evidence');
+const { EvidenceStorageFactory, LocalDiskStorageAdapter } = require('../services/evidenceStorage');
+const { ThumbnailService } = require('../services/thumbnailService');
+const { EChallanFacade } = require('../patterns/DesignPatterns');
+
+describe('Evidence Unit Tests', () => {
+
+    describe('Evidence Model - Tamper Evidence', () => {
+        const buffer = Buffer.from('radar printout 87 km/h');
+
+        const buildEvidence = (fields = {}) => new Evidence({
+            challanId: new mongoose.Types.ObjectId(),
+            uploadedBy: new mongoose.Types.ObjectId(),
+            kind: 'radar_printout',
+            mimeType: 'application/pdf',
+            size: buffer.length,
+            sha256: Evidence.hashBuffer(buffer),
+            storageAdapter: 'local',
+            storageKey: 'challan/evidence',
+            ...fields
+        });
+
+        it('should hash uploads with SHA-256', () => {
+            expect(Evidence.hashBuffer(Buffer.from('abc')))
+                .to.equal('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+        });
+
+        it('should detect files that changed after upload', () => {
+            const evidence = buildEvidence();
+
+            expect(evidence.verifyIntegrity(buffer)).to.be.true;
+            expect(evidence.verifyIntegrity(Buffer.from('radar printout 47 km/h'))).to.be.false;
+        });
+
+        it('should only accept supported file types', () => {
+            const error = buildEvidence({ mimeType: 'application/zip' }).validateSync();
+
+            expect(error.errors.mimeType).to.exist;
+            expect(() => Evidence.resolveKind('application/zip')).to.throw('Unsupported evidence file type: application/zip');
+        });
+
+        it('should classify uploads by type and allow photographed radar printouts', () => {
+            expect(Evidence.resolveKind('image/jpeg')).to.equal('photo');
+            expect(Evidence.resolveKind('video/mp4')).to.equal('video');
+            expect(Evidence.resolveKind('image/png', 'radar_printout')).to.equal('radar_printout');
+            expect(Evidence.resolveKind('video/mp4', 'radar_printout')).to.equal('video');
+        });
+
+        it('should not expose storage locations', () => {
+            const json = buildEvidence({ thumbnailKey: 'challan/evidence-thumb.jpg' }).toJSON();
+
+            expect(json).to.not.have.property('storageKey');
+            expect(json).to.not.have.property('thumbnailKey');
+            expect(json.hasThumbnail).to.be.true;
+        });
+    });
+
+    describe('Evidence Storage - Local Disk Adapter', () => {
+        let rootPath;
+        let storage;
+
+        beforeEach(async () => {
+            rootPath = await fs.mkdtemp(path.join(os.tmpdir(), 'evidence-test-'));
+            storage = EvidenceStorageFactory.createAdapter('local', { rootPath });
+        });
+
+        afterEach(async () => {
+            await fs.rm(rootPath, { recursive: true, force: true });
+        });
+
+        it('should save, read and remove files by key', async () => {
+            await storage.save('challan1/evidence1', Buffer.from('photo bytes'));
+
+            expect(await storage.exists('challan1/evidence1')).to.be.true;
+            expect((await storage.read('challan1/evidence1')).toString()).to.equal('photo bytes');
+
+            await storage.remove('challan1/evidence1');
+            expect(await storage.exists('challan1/evidence1')).to.be.false;
+        });
+
+        it('should never overwrite stored evidence', async () => {
+            await storage.save('challan1/evidence1', Buffer.from('original'));
+
+            let error;
+            try {
+                await storage.save('challan1/evidence1', Buffer.from('replacement'));
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error).to.exist;
+            expect((await storage.read('challan1/evidence1')).toString()).to.equal('original');
+        });
+
+        it('should refuse keys outside the storage root', () => {
+            expect(() => storage.resolveKey('../outside')).to.throw('Invalid storage key: ../outside');
+        });
+
+        it('should build the configured adapter and reject unknown ones', () => {
+            expect(EvidenceStorageFactory.fromConfiguration({ localPath: rootPath })).to.be.instanceOf(LocalDiskStorageAdapter);
+            expect(() => EvidenceStorageFactory.createAdapter('tape')).to.throw('Unsupported evidence storage: tape');
+        });
+    });
+
+    describe('Thumbnail Service', () => {
+        it('should generate a JPEG preview no wider than the configured width', async () => {
+            const photo = await sharp({
+                create: { width: 1200, height: 800, channels: 3, background: { r: 200, g: 40, b: 40 } }
+            }).png().toBuffer();
+
+            const thumbnail = await new ThumbnailService({ width: 320 }).generate(photo, 'image/png');
+            const metadata = await sharp(thumbnail).metadata();
+
+            expect(metadata.format).to.equal('jpeg');
+            expect(metadata.width).to.equal(320);
+        });
+
+        it('should skip thumbnails for video clips and PDF printouts', async () => {
+            const thumbnails = new ThumbnailService();
+
+            expect(await thumbnails.generate(Buffer.from('pdf'), 'application/pdf')).to.be.null;
+            expect(await thumbnails.generate(Buffer.from('mp4'), 'video/mp4')).to.be.null;
+        });
+    });
+
+    describe('Evidence Access Control', () => {
+        const facade = new EChallanFacade();
+        const citizenId = new mongoose.Types.ObjectId();
+        const officerId = new mongoose.Types.ObjectId();
+        const challan = { citizenId, officerId };
+
+        it('should let the citizen, the issuing officer and admins retrieve evidence', () => {
+            expect(facade.canAccessEvidence(citizenId.toString(), 'citizen', challan)).to.be.true;
+            expect(facade.canAccessEvidence(officerId.toString(), 'officer', challan)).to.be.true;
+            expect(facade.canAccessEvidence(new mongoose.Types.ObjectId().toString(), 'admin', challan)).to.be.true;
+        });
+
+        it('should refuse other citizens and officers', () => {
+            const otherUserId = new mongoose.Types.ObjectId().toString();
+
+            expect(facade.canAccessEvidence(otherUserId, 'citizen', challan)).to.be.false;
+            expect(facade.canAccessEvidence(otherUserId, 'officer', challan)).to.be.false;
+        });
+    });
+});
@@ -0,0 +1,122 @@
+// test/lookup.test.js - Unit Tests for the Public Challan Lookup
+const { expect } = require('chai');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Challan = require('../models/Challan');
+const Vehicle = require('../models/Vehicle');
+const { Payment } = require('../models/Payment');
+const { PublicLookupTokenService } = require('../services/publicLookupToken');
+const { EChallanFacade } = require('../patterns/DesignPatterns');
+
+describe('Public Lookup Unit Tests', () => {
+
+    describe('Verification Factors', () => {
+        const vehicle = new Vehicle({
+            registrationNumber: 'MH12AB1234',
+            vehicleType: 'car',
+            chassisNumber: 'ma3ewdc1s00123456',
+            currentOwnerId: new mongoose.Types.ObjectId()
+        });
+
+        it('should accept the last digits of the chassis number', () => {
+            expect(vehicle.matchesChassisSuffix('3456')).to.be.true;
+            expect(vehicle.matchesChassisSuffix('s00123456')).to.be.true;
+        });
+
+        it('should refuse wrong or too few digits', () => {
+            expect(vehicle.matchesChassisSuffix('3457')).to.be.false;
+            expect(vehicle.matchesChassisSuffix('456')).to.be.false;
+            expect(vehicle.matchesChassisSuffix('')).to.be.false;
+        });
+
+        it('should refuse every suffix when no chassis number is on record', () => {
+            const unrecorded = new Vehicle({ registrationNumber: 'MH12AB9999', vehicleType: 'car' });
+
+            expect(unrecorded.matchesChassisSuffix('9999')).to.be.false;
+        });
+
+        it('should generate six-digit notice PINs and keep them out of JSON', () => {
+            const pin = Challan.generateLookupPin();
+            const challan = new Challan({ violationType: 'Speeding', fineAmount: 500, lookupPin: pin });
+
+            expect(pin).to.match(/^\d{6}$/);
+            expect(challan.toJSON()).to.not.have.property('lookupPin');
+        });
+    });
+
+    describe('Lookup Tokens', () => {
+        const tokens = new PublicLookupTokenService({ secret: 'test-secret' });
+        const vehicle = { _id: new mongoose.Types.ObjectId(), registrationNumber: 'MH12AB1234' };
+
+        it('should resolve the vehicle a token was issued for', () => {
+            const lookup = tokens.verify(tokens.issue(vehicle));
+
+            expect(lookup).to.deep.equal({ vehicleId: vehicle._id.toString(), registrationNumber: 'MH12AB1234' });
+        });
+
+        it('should refuse login tokens and tokens signed with another secret', () => {
+            const loginToken = jwt.sign({ id: vehicle._id.toString(), role: 'citizen' }, 'test-secret');
+            const foreignToken = new PublicLookupTokenService({ secret: 'other-secret' }).issue(vehicle);
+
+            expect(() => tokens.verify(loginToken)).to.throw('Not a lookup token');
+            expect(() => tokens.verify(foreignToken)).to.throw();
+        });
+    });
+
+    describe('Masked Challan Summaries', () => {
+        const facade = new EChallanFacade();
+
+        it('should mask owner names', () => {
+            expect(facade.maskName('Asha Rao')).to.equal('A*** R**');
+            expect(facade.maskName('Li')).to.equal('L**');
+        });
+
+        it('should leave personal details out of the summary', () => {
+            const challan = new Challan({
+                challanNumber: 'CH123',
+                vehicleNumber: 'MH12AB1234',
+                violationType: 'Speeding',
+                fineAmount: 500,
+                location: 'MG Road',
+                citizenId: new mongoose.Types.ObjectId(),
+                officerId: new mongoose.Types.ObjectId(),
+                dueDate: new Date()
+            });
+
+            const summary = facade.toPublicChallanSummary(challan, { name: 'Asha Rao', email: 'asha@example.com' });
+
+            expect(summary.ownerName).to.equal('A*** R**');
+            expect(summary.outstandingAmount).to.equal(500);
+            expect(summary).to.not.have.any.keys('citizenId', 'officerId', 'citizenEmail', 'statusHistory');
+        });
+
+        it('should require a verification factor before looking anything up', async () => {
+            const result = await facade.lookupPublicChallans({ vehicleNumber: 'MH12AB1234' });
+
+            expect(result.success).to.be.false;
+            expect(result.error).to.include('chassis number digits or the notice PIN');
+        });
+    });
+
+    describe('Guest Payments', () => {
+        const paymentFields = {
+            transactionId: 'TXN1',
+            challanId: new mongoose.Types.ObjectId(),
+            amount: 500,
+            totalAmount: 510,
+            paymentMethod: 'upi'
+        };
+
+        it('should record a guest payment against the challan without a citizen', () => {
+            const payment = new Payment({ ...paymentFields, payerType: 'guest', guestContact: { name: 'Ravi' } });
+
+            expect(payment.validateSync()).to.be.undefined;
+        });
+
+        it('should still require a citizen for citizen payments', () => {
+            const error = new Payment(paymentFields).validateSync();
+
+            expect(error.errors.citizenId).to.exist;
+        });
+    });
+});
@@ -1,301 +1,505 @@
-// test/patterns.test.js - Unit Tests for Design Patterns
-const { expect } = require('chai');
-const {
-    ViolationFactory,
-    PaymentProcessor,
-    ConfigurationManager,
-    EChallanFacade
-} = require('../patterns/DesignPatterns');
-const { Citizen, Officer, Admin } = require('../patterns/ClassHierarchy');
-
-describe('Design Patterns Unit Tests', () => {
-
-    // Factory Pattern Tests
-    describe('Factory Pattern - ViolationFactory', () => {
-        it('should create SpeedingViolation correctly', () => {
-            const violation = ViolationFactory.createViolation({
-                violationType: 'Speeding',
-                vehicleNumber: 'ABC123',
-                speedLimit: 50,
-                actualSpeed: 80,
-                location: 'Highway 1'
-            });
-
-            expect(violation.constructor.name).to.equal('SpeedingViolation');
-            expect(violation.getViolationType()).to.equal('Speeding');
-            expect(violation.calculateFine()).to.be.greaterThan(500);
-        });
-
-        it('should create ParkingViolation correctly', () => {
-            const violation = ViolationFactory.createViolation({
-                violationType: 'Wrong Parking',
-                vehicleNumber: 'XYZ789',
-                zoneType: 'handicap',
-                duration: 60,
-                location: 'Mall Parking'
-            });
-
-            expect(violation.constructor.name).to.equal('ParkingViolation');
-            expect(violation.getViolationType()).to.equal('Wrong Parking');
-            expect(violation.calculateFine()).to.equal(1000);
-        });
-
-        it('should throw error for invalid violation type', () => {
-            expect(() => {
-                ViolationFactory.createViolation({
-                    violationType: 'InvalidType',
-                    vehicleNumber: 'ABC123'
-                });
-            }).to.throw('Unknown violation type: InvalidType');
-        });
-    });
-
-    // Strategy Pattern Tests
-    describe('Strategy Pattern - PaymentProcessor', () => {
-        let paymentProcessor;
-
-        beforeEach(() => {
-            paymentProcessor = new PaymentProcessor();
-        });
-
-        it('should process credit card payment', () => {
-            const result = paymentProcessor.processPayment(
-                1000,
-                { cardNumber: '4111111111111111', cvv: '123', holderName: 'John Doe' },
-                'credit_card'
-            );
-
-            expect(result.success).to.be.true;
-            expect(result.paymentMethod).to.equal('credit_card');
-            expect(result.fee).to.be.greaterThan(0);
-        });
-
-        it('should process UPI payment with no fees', () => {
-            const result = paymentProcessor.processPayment(
-                500,
-                { upiId: 'test@paytm', pin: '1234' },
-                'upi'
-            );
-
-            expect(result.success).to.be.true;
-            expect(result.paymentMethod).to.equal('upi');
-            expect(result.fee).to.equal(0);
-        });
-
-        it('should fail with invalid payment method', () => {
-            expect(() => {
-                paymentProcessor.processPayment(1000, {}, 'invalid_method');
-            }).to.throw('Unsupported payment method: invalid_method');
-        });
-    });
-
-    // Singleton Pattern Tests
-    describe('Singleton Pattern - ConfigurationManager', () => {
-        it('should return same instance', () => {
-            const config1 = ConfigurationManager.getInstance();
-            const config2 = ConfigurationManager.getInstance();
-
-            expect(config1).to.equal(config2);
-        });
-
-        it('should store and retrieve configuration values', () => {
-            const config = ConfigurationManager.getInstance();
-            config.set('test.value', 'hello world');
-
-            expect(config.get('test.value')).to.equal('hello world');
-        });
-    });
-
-    // Observer Pattern Tests
-    describe('Observer Pattern - Notification System', () => {
-        it('should notify all observers when event occurs', (done) => {
-            const { ChallanNotificationSubject, EmailNotificationObserver } = require('../patterns/DesignPatterns');
-
-            const subject = new ChallanNotificationSubject();
-            let notified = false;
-
-            const mockEmailService = {
-                sendEmail: () => {
-                    notified = true;
-                    expect(notified).to.be.true;
-                    done();
-                    return Promise.resolve({ success: true });
-                }
-            };
-
-            const emailObserver = new EmailNotificationObserver(mockEmailService);
-            subject.addObserver(emailObserver);
-
-            subject.notifyObservers('challan_created', {
-                citizenEmail: 'test@test.com',
-                challanNumber: 'CH123',
-                fineAmount: 500
-            });
-        });
-    });
-});
-
-// test/oop.test.js - Unit Tests for OOP Principles
-describe('OOP Principles Unit Tests', () => {
-
-    // Inheritance Tests
-    describe('Inheritance - User Class Hierarchy', () => {
-        it('should create different user types with inheritance', () => {
-            const citizen = new Citizen({
-                id: '1',
-                name: 'John Doe',
-                email: 'john@test.com',
-                licenseNumber: 'DL123'
-            });
-
-            const officer = new Officer({
-                id: '2',
-                name: 'Jane Smith',
-                email: 'jane@police.com',
-                badgeNumber: 'BADGE001',
-                department: 'Traffic'
-            });
-
-            expect(citizen).to.be.instanceOf(Citizen);
-            expect(citizen).to.be.instanceOf(require('../patterns/ClassHierarchy').User);
-            expect(officer).to.be.instanceOf(Officer);
-            expect(officer).to.be.instanceOf(require('../patterns/ClassHierarchy').User);
-        });
-    });
-
-    // Polymorphism Tests
-    describe('Polymorphism - Method Overriding', () => {
-        it('should have different permissions for different user types', () => {
-            const citizen = new Citizen({
-                id: '1',
-                name: 'John Doe',
-                email: 'john@test.com'
-            });
-
-            const officer = new Officer({
-                id: '2',
-                name: 'Jane Smith',
-                email: 'jane@police.com',
-                badgeNumber: 'BADGE001'
-            });
-
-            const admin = new Admin({
-                id: '3',
-                name: 'Admin User',
-                email: 'admin@system.com'
-            });
-
-            expect(citizen.getPermissions()).to.include('view_own_challans');
-            expect(citizen.getPermissions()).to.not.include('create_challans');
-
-            expect(officer.getPermissions()).to.include('create_challans');
-            expect(officer.getPermissions()).to.not.include('delete_challans');
-
-            expect(admin.getPermissions()).to.include('delete_challans');
-            expect(admin.getPermissions()).to.include('manage_users');
-        });
-    });
-
-    // Encapsulation Tests
-    describe('Encapsulation - Private Fields', () => {
-        it('should protect private fields from direct access', () => {
-            const user = new Citizen({
-                id: '1',
-                name: 'John Doe',
-                email: 'john@test.com',
-                isActive: true
-            });
-
-            // Should access through getter
-            expect(user.getId()).to.equal('1');
-            expect(user.getEmail()).to.equal('john@test.com');
-            expect(user.getIsActive()).to.be.true;
-
-            // Private fields should not be directly accessible
-            expect(user.id).to.be.undefined;
-            expect(user.email).to.be.undefined;
-        });
-    });
-
-    // Abstraction Tests
-    describe('Abstraction - Abstract Classes', () => {
-        it('should not allow instantiation of abstract User class', () => {
-            const { User } = require('../patterns/ClassHierarchy');
-
-            expect(() => {
-                new User({ id: '1', name: 'Test' });
-            }).to.throw('Cannot instantiate abstract User class');
-        });
-
-        it('should require implementation of abstract methods', () => {
-            // Test that concrete classes implement abstract methods
-            const citizen = new Citizen({
-                id: '1',
-                name: 'John Doe',
-                email: 'john@test.com'
-            });
-
-            expect(() => citizen.getPermissions()).to.not.throw();
-            expect(() => citizen.getDashboardData()).to.not.throw();
-        });
-    });
-});
-
-// test/integration.test.js - Integration Tests
-describe('Integration Tests', () => {
-    describe('EChallanFacade Integration', () => {
-        let facade;
-
-        beforeEach(() => {
-            facade = new EChallanFacade();
-        });
-
-        it('should create challan and send notifications', async () => {
-            // This would require proper test database setup
-            // Mock test for demonstration
-            const mockResult = {
-                success: true,
-                challan: {
-                    id: 'test-challan-id',
-                    challanNumber: 'CH123',
-                    fineAmount: 500
-                }
-            };
-
-            // Test that facade coordinates multiple operations
-            expect(facade).to.have.property('notificationSubject');
-            expect(facade).to.have.property('paymentProcessor');
-            expect(facade).to.have.property('userManager');
-        });
-    });
-
-    describe('Database Integration with OOP', () => {
-        it('should convert Mongoose documents to OOP instances', () => {
-            // Mock Mongoose document
-            const mockUser = {
-                _id: 'test-id',
-                name: 'Test User',
-                email: 'test@test.com',
-                role: 'citizen',
-                toOOPInstance: function () {
-                    return new Citizen({
-                        id: this._id,
-                        name: this.name,
-                        email: this.email
-                    });
-                }
-            };
-
-            const oopUser = mockUser.toOOPInstance();
-            expect(oopUser).to.be.instanceOf(Citizen);
-            expect(oopUser.name).to.equal('Test User');
-
-        });
-    });
-});
-
-// Export test configuration
-module.exports = {
-    testTimeout: 5000,
-    testEnvironment: 'node'
+// test/patterns.test.js - Unit Tests for Design Patterns
+const { expect } = require('chai');
+const {
+    ViolationFactory,
+    PaymentProcessor,
+    UserPermissionManager,
+    ConfigurationManager,
+    EChallanFacade
+} = require('../patterns/DesignPatterns');
+const { Citizen, Officer, Admin, SpeedingViolation } = require('../patterns/ClassHierarchy');
+const { ViolationTypeRegistry, violationTypeRegistry } = require('../patterns/ViolationRegistry');
+
+describe('Design Patterns Unit Tests', () => {
+
+    // Factory Pattern Tests
+    describe('Factory Pattern - ViolationFactory', () => {
+        it('should create SpeedingViolation correctly', () => {
+            const violation = ViolationFactory.createViolation({
+                violationType: 'Speeding',
+                vehicleNumber: 'ABC123',
+                speedLimit: 50,
+                actualSpeed: 80,
+                location: 'Highway 1'
+            });
+
+            expect(violation.constructor.name).to.equal('SpeedingViolation');
+            expect(violation.getViolationType()).to.equal('Speeding');
+            expect(violation.calculateFine()).to.be.greaterThan(500);
+        });
+
+        it('should create ParkingViolation correctly', () => {
+            const violation = ViolationFactory.createViolation({
+                violationType: 'Wrong Parking',
+                vehicleNumber: 'XYZ789',
+                zoneType: 'handicap',
+                duration: 60,
+                location: 'Mall Parking'
+            });
+
+            expect(violation.constructor.name).to.equal('ParkingViolation');
+            expect(violation.getViolationType()).to.equal('Wrong Parking');
+            expect(violation.calculateFine()).to.equal(1000);
+        });
+
+        it('should create MobileUsageViolation correctly', () => {
+            const violation = ViolationFactory.createViolation({
+                violationType: 'Mobile Usage',
+                vehicleNumber: 'MOB123',
+                usageType: 'texting',
+                vehicleMoving: true,
+                location: 'Ring Road'
+            });
+
+            expect(violation.constructor.name).to.equal('MobileUsageViolation');
+            expect(violation.getViolationType()).to.equal('Mobile Usage');
+            expect(violation.calculateFine()).to.equal(1000);
+        });
+
+        it('should charge less for handheld use in a stationary vehicle', () => {
+            const violation = ViolationFactory.createViolation({
+                violationType: 'Mobile Usage',
+                usageType: 'handheld',
+                vehicleMoving: false
+            });
+
+            expect(violation.calculateFine()).to.equal(250);
+        });
+
+        it('should create OtherViolation with an officer-specified fine', () => {
+            const violation = ViolationFactory.createViolation({
+                violationType: 'Other',
+                statuteReference: 'MVA s.177',
+                officerSpecifiedFine: 750
+            });
+
+            expect(violation.constructor.name).to.equal('OtherViolation');
+            expect(violation.getViolationType()).to.equal('Other');
+            expect(violation.calculateFine()).to.equal(750);
+            expect(violation.processViolation().statuteReference).to.equal('MVA s.177');
+        });
+
+        it('should keep officer-specified fines within the scheduled bounds', () => {
+            const violation = ViolationFactory.createViolation({
+                violationType: 'Other',
+                statuteReference: 'MVA s.177',
+                officerSpecifiedFine: 10000
+            });
+
+            expect(() => violation.calculateFine()).to.throw('Fine for other violations must be between 100 and 5000');
+        });
+
+        it('should report fine ranges from the fine rates', () => {
+            const info = ViolationFactory.getViolationInfo('No Helmet');
+
+            expect(info.baseMinFine).to.equal(300);
+            expect(info.maxFine).to.equal(900);
+            expect(info.fineScheduleVersion).to.equal(0);
+        });
+
+        it('should refuse speed and red-light readings from a device whose calibration has lapsed', () => {
+            const device = {
+                deviceId: 'RADAR-0007',
+                calibration: { status: 'expired', expiresAt: new Date('2026-01-31T00:00:00Z') }
+            };
+
+            expect(() => ViolationFactory.createViolation({
+                violationType: 'Speeding', speedLimit: 50, actualSpeed: 80, device
+            })).to.throw('Readings from device RADAR-0007 cannot be used for Speeding: its calibration lapsed on 2026-01-31');
+            expect(() => ViolationFactory.createViolation({
+                violationType: 'Red Light', timeAfterRed: 2, device: { deviceId: 'CAM-1', calibration: { status: 'uncalibrated' } }
+            })).to.throw('Readings from device CAM-1 cannot be used for Red Light: it has no calibration certificate for that time');
+        });
+
+        it('should accept readings from a calibrated device and officer-observed violations', () => {
+            const device = { deviceId: 'RADAR-0007', calibration: { status: 'valid' } };
+
+            expect(ViolationFactory.createViolation({ violationType: 'Speeding', speedLimit: 50, actualSpeed: 80, device }).device)
+                .to.equal(device);
+            expect(() => ViolationFactory.createViolation({ violationType: 'Speeding', speedLimit: 50, actualSpeed: 80 }))
+                .to.not.throw();
+            expect(() => ViolationFactory.createViolation({
+                violationType: 'No Helmet', device: { deviceId: 'CAM-1', calibration: { status: 'expired' } }
+            })).to.not.throw();
+        });
+
+        it('should throw error for invalid violation type', () => {
+            expect(() => {
+                ViolationFactory.createViolation({
+                    violationType: 'InvalidType',
+                    vehicleNumber: 'ABC123'
+                });
+            }).to.throw('Unknown violation type: InvalidType');
+        });
+    });
+
+    // Registry Pattern Tests
+    describe('Registry Pattern - ViolationTypeRegistry', () => {
+        it('should resolve aliases case-insensitively to the registered type', () => {
+            expect(violationTypeRegistry.resolve('IMPROPER PARKING').name).to.equal('Wrong Parking');
+            expect(violationTypeRegistry.resolve('red light violation').name).to.equal('Red Light');
+            expect(violationTypeRegistry.has('Hovercraft')).to.be.false;
+        });
+
+        it('should back the factory with the registered types', () => {
+            expect(ViolationFactory.getSupportedViolationTypes()).to.deep.equal(violationTypeRegistry.getTypeNames());
+            expect(violationTypeRegistry.getTypeNames()).to.include.members(['Speeding', 'Mobile Usage', 'Other']);
+        });
+
+        it('should validate required fields, ranges, options and cross-field rules', () => {
+            expect(violationTypeRegistry.validateFields('Speeding', {})).to.deep.equal([
+                'Speed Limit is required',
+                'Actual Speed is required'
+            ]);
+            expect(violationTypeRegistry.validateFields('Speeding', { speedLimit: 60, actualSpeed: 50 }))
+                .to.deep.equal(['Actual Speed must be above the Speed Limit']);
+            expect(violationTypeRegistry.validateFields('Wrong Parking', { zoneType: 'driveway' })[0])
+                .to.match(/^Zone Type must be one of/);
+            expect(violationTypeRegistry.validateFields('No Helmet', { passengerCount: 0 }))
+                .to.deep.equal(['Riders Without Helmet must be at least 1']);
+            expect(violationTypeRegistry.validateFields('Speeding', { speedLimit: 60, actualSpeed: 90 })).to.be.empty;
+        });
+
+        it('should leave missing required fields to the caller with skipRequired', () => {
+            expect(violationTypeRegistry.validateFields('Speeding', { speedLimit: 60 }, { skipRequired: true })).to.be.empty;
+        });
+
+        it('should pick only the fields the type declares', () => {
+            const picked = violationTypeRegistry.pickFields('Speeding', {
+                speedLimit: 60,
+                actualSpeed: 90,
+                zoneType: 'handicap'
+            });
+
+            expect(picked).to.deep.equal({ speedLimit: 60, actualSpeed: 90 });
+        });
+
+        it('should describe types with fine ranges from the given schedule', () => {
+            const schedule = {
+                version: 4,
+                rates: violationTypeRegistry.getDefaultRates().map(rate => (
+                    rate.violationType === 'Speeding' ? { ...rate, baseFine: 800, maxFine: 4000 } : rate
+                ))
+            };
+            const speeding = violationTypeRegistry.describe(schedule).find(type => type.name === 'Speeding');
+
+            expect(speeding.minFine).to.equal(800);
+            expect(speeding.maxFine).to.equal(4000);
+            expect(speeding.fineScheduleVersion).to.equal(4);
+            expect(speeding.demeritPoints).to.equal(3);
+            expect(speeding.fields.map(field => field.name)).to.include('actualSpeed');
+        });
+
+        it('should register new types and reject duplicates or conflicting fields', () => {
+            const registry = new ViolationTypeRegistry();
+            registry.register({
+                name: 'Speeding',
+                violationClass: SpeedingViolation,
+                fields: [{ name: 'speedLimit', type: 'number' }]
+            });
+
+            expect(() => registry.register({ name: 'Speeding', violationClass: SpeedingViolation }))
+                .to.throw("Violation type 'Speeding' is already registered");
+            expect(() => registry.register({
+                name: 'Racing',
+                violationClass: SpeedingViolation,
+                fields: [{ name: 'speedLimit', type: 'string' }]
+            })).to.throw("Field 'speedLimit' is already declared with type 'number'");
+        });
+    });
+
+    // Strategy Pattern Tests
+    describe('Strategy Pattern - PaymentProcessor', () => {
+        let paymentProcessor;
+
+        beforeEach(() => {
+            paymentProcessor = new PaymentProcessor();
+        });
+
+        it('should process credit card payment', () => {
+            const result = paymentProcessor.processPayment(
+                1000,
+                { cardNumber: '4111111111111111', cvv: '123', holderName: 'John Doe' },
+                'credit_card'
+            );
+
+            expect(result.success).to.be.true;
+            expect(result.paymentMethod).to.equal('credit_card');
+            expect(result.fee).to.be.greaterThan(0);
+        });
+
+        it('should process UPI payment with no fees', () => {
+            const result = paymentProcessor.processPayment(
+                500,
+                { upiId: 'test@paytm', pin: '1234' },
+                'upi'
+            );
+
+            expect(result.success).to.be.true;
+            expect(result.paymentMethod).to.equal('upi');
+            expect(result.fee).to.equal(0);
+        });
+
+        it('should start a net banking payment as pending with a flat bank fee', () => {
+            const result = paymentProcessor.processPayment(500, { bankCode: 'HDFC' }, 'net_banking');
+
+            expect(result).to.include({ status: 'pending', requiresRedirect: true, fee: 5, amount: 505, bankName: 'HDFC Bank' });
+            expect(result.transactionId).to.match(/^NB_/);
+            expect(() => paymentProcessor.processPayment(500, { bankCode: 'XYZ' }, 'net_banking')).to.throw('Unsupported bank: XYZ');
+        });
+
+        it('should record cash against a receipt and work out the change', () => {
+            const result = paymentProcessor.processPayment(
+                450,
+                { receiptNumber: 'R-1001', collectedBy: 'officer1', amountTendered: 500 },
+                'cash'
+            );
+
+            expect(result).to.include({ success: true, fee: 0, changeGiven: 50, gateway: 'cash' });
+            expect(() => paymentProcessor.processPayment(450, { collectedBy: 'officer1' }, 'cash'))
+                .to.throw('Cash receipt number required');
+            expect(() => paymentProcessor.processPayment(450, { receiptNumber: 'R-1002', collectedBy: 'officer1', amountTendered: 400 }, 'cash'))
+                .to.throw('does not cover the amount due');
+        });
+
+        it('should fail with invalid payment method', () => {
+            expect(() => {
+                paymentProcessor.processPayment(1000, {}, 'invalid_method');
+            }).to.throw('Unsupported payment method: invalid_method');
+        });
+    });
+
+    // Singleton Pattern Tests
+    describe('Singleton Pattern - ConfigurationManager', () => {
+        it('should return same instance', () => {
+            const config1 = ConfigurationManager.getInstance();
+            const config2 = ConfigurationManager.getInstance();
+
+            expect(config1).to.equal(config2);
+        });
+
+        it('should store and retrieve configuration values', () => {
+            const config = ConfigurationManager.getInstance();
+            config.set('test.value', 'hello world');
+
+            expect(config.get('test.value')).to.equal('hello world');
+        });
+    });
+
+    // Observer Pattern Tests
+    describe('Observer Pattern - Notification System', () => {
+        it('should notify all observers when event occurs', (done) => {
+            const { ChallanNotificationSubject, EmailNotificationObserver } = require('../patterns/DesignPatterns');
+
+            const subject = new ChallanNotificationSubject();
+            let notified = false;
+
+            const mockEmailService = {
+                sendEmail: () => {
+                    notified = true;
+                    expect(notified).to.be.true;
+                    done();
+                    return Promise.resolve({ success: true });
+                }
+            };
+
+            const emailObserver = new EmailNotificationObserver(mockEmailService);
+            subject.addObserver(emailObserver);
+
+            subject.notifyObservers('challan_created', {
+                citizenEmail: 'test@test.com',
+                challanNumber: 'CH123',
+                fineAmount: 500
+            });
+        });
+    });
+});
+
+// test/oop.test.js - Unit Tests for OOP Principles
+describe('OOP Principles Unit Tests', () => {
+
+    // Inheritance Tests
+    describe('Inheritance - User Class Hierarchy', () => {
+        it('should create different user types with inheritance', () => {
+            const citizen = new Citizen({
+                id: '1',
+                name: 'John Doe',
+                email: 'john@test.com',
+                licenseNumber: 'DL123'
+            });
+
+            const officer = new Officer({
+                id: '2',
+                name: 'Jane Smith',
+                email: 'jane@police.com',
+                badgeNumber: 'BADGE001',
+                department: 'Traffic'
+            });
+
+            expect(citizen).to.be.instanceOf(Citizen);
+            expect(citizen).to.be.instanceOf(require('../patterns/ClassHierarchy').User);
+            expect(officer).to.be.instanceOf(Officer);
+            expect(officer).to.be.instanceOf(require('../patterns/ClassHierarchy').User);
+        });
+    });
+
+    // Polymorphism Tests
+    describe('Polymorphism - Method Overriding', () => {
+        it('should have different permissions for different user types', () => {
+            const citizen = new Citizen({
+                id: '1',
+                name: 'John Doe',
+                email: 'john@test.com'
+            });
+
+            const officer = new Officer({
+                id: '2',
+                name: 'Jane Smith',
+                email: 'jane@police.com',
+                badgeNumber: 'BADGE001'
+            });
+
+            const admin = new Admin({
+                id: '3',
+                name: 'Admin User',
+                email: 'admin@system.com'
+            });
+
+            expect(citizen.getPermissions()).to.include('view_own_challans');
+            expect(citizen.getPermissions()).to.not.include('create_challans');
+
+            expect(officer.getPermissions()).to.include('create_challans');
+            expect(officer.getPermissions()).to.not.include('delete_challans');
+
+            expect(admin.getPermissions()).to.include('delete_challans');
+            expect(admin.getPermissions()).to.include('manage_users');
+        });
+
+        it('should let officers collect cash and admins reconcile it', () => {
+            const citizen = new Citizen({ id: '1', name: 'John Doe', email: 'john@test.com' });
+            const officer = new Officer({ id: '2', name: 'Jane Smith', email: 'jane@police.com', badgeNumber: 'BADGE001' });
+            const admin = new Admin({ id: '3', name: 'Admin User', email: 'admin@system.com' });
+
+            expect(officer.getPermissions()).to.include('collect_cash').and.not.include('reconcile_cash');
+            expect(admin.getPermissions()).to.include.members(['collect_cash', 'reconcile_cash']);
+            expect(admin.getPermissions()).to.include('reconcile_payments');
+            expect(officer.getPermissions()).to.not.include('reconcile_payments');
+            expect(citizen.getPermissions()).to.not.include('collect_cash');
+            expect(UserPermissionManager.setupUserWithDecorators(citizen, 'citizen', ['cash_counter']).canPerformAction('collect_cash'))
+                .to.be.true;
+        });
+
+        it('should let only admins refund payments', () => {
+            const citizen = new Citizen({ id: '1', name: 'John Doe', email: 'john@test.com' });
+            const officer = new Officer({ id: '2', name: 'Jane Smith', email: 'jane@police.com', badgeNumber: 'BADGE001' });
+            const admin = new Admin({ id: '3', name: 'Admin User', email: 'admin@system.com' });
+
+            expect(admin.getPermissions()).to.include('process_refunds');
+            expect(officer.getPermissions()).to.not.include('process_refunds');
+            expect(citizen.getPermissions()).to.not.include('process_refunds');
+        });
+    });
+
+    // Encapsulation Tests
+    describe('Encapsulation - Private Fields', () => {
+        it('should protect private fields from direct access', () => {
+            const user = new Citizen({
+                id: '1',
+                name: 'John Doe',
+                email: 'john@test.com',
+                isActive: true
+            });
+
+            // Should access through getter
+            expect(user.getId()).to.equal('1');
+            expect(user.getEmail()).to.equal('john@test.com');
+            expect(user.getIsActive()).to.be.true;
+
+            // Private fields should not be directly accessible
+            expect(user.id).to.be.undefined;
+            expect(user.email).to.be.undefined;
+        });
+    });
+
+    // Abstraction Tests
+    describe('Abstraction - Abstract Classes', () => {
+        it('should not allow instantiation of abstract User class', () => {
+            const { User } = require('../patterns/ClassHierarchy');
+
+            expect(() => {
+                new User({ id: '1', name: 'Test' });
+            }).to.throw('Cannot instantiate abstract User class');
+        });
+
+        it('should require implementation of abstract methods', () => {
+            // Test that concrete classes implement abstract methods
+            const citizen = new Citizen({
+                id: '1',
+                name: 'John Doe',
+                email: 'john@test.com'
+            });
+
+            expect(() => citizen.getPermissions()).to.not.throw();
+            expect(() => citizen.getDashboardData()).to.not.throw();
+        });
+    });
+});
+
+// test/integration.test.js - Integration Tests
+describe('Integration Tests', () => {
+    describe('EChallanFacade Integration', () => {
+        let facade;
+
+        beforeEach(() => {
+            facade = new EChallanFacade();
+        });
+
+        it('should create challan and send notifications', async () => {
+            // This would require proper test database setup
+            // Mock test for demonstration
+            const mockResult = {
+                success: true,
+                challan: {
+                    id: 'test-challan-id',
+                    challanNumber: 'CH123',
+                    fineAmount: 500
+                }
+            };
+
+            // Test that facade coordinates multiple operations
+            expect(facade).to.have.property('notificationSubject');
+            expect(facade).to.have.property('paymentProcessor');
+            expect(facade).to.have.property('userManager');
+        });
+    });
+
+    describe('Database Integration with OOP', () => {
+        it('should convert Mongoose documents to OOP instances', () => {
+            // Mock Mongoose document
+            const mockUser = {
+                _id: 'test-id',
+                name: 'Test User',
+                email: 'test@test.com',
+                role: 'citizen',
+                toOOPInstance: function () {
+                    return new Citizen({
+                        id: this._id,
+                        name: this.name,
+                        email: this.email
+                    });
+                }
+            };
+
+            const oopUser = mockUser.toOOPInstance();
+            expect(oopUser).to.be.instanceOf(Citizen);
+            expect(oopUser.name).to.equal('Test User');
+
+        });
+    });
+});
+
+// Export test configuration
+module.exports = {
+    testTimeout: 5000,
+    testEnvironment: 'node'
 };
\ No newline at end of file
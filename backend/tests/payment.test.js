@@ -0,0 +1,1634 @@
+// test/payment.test.js - Unit Tests for Payment Workflows
+const { expect } = require('chai');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Challan = require('../models/Challan');
+const User = require('../models/User');
+const { PaymentPlan } = require('../models/PaymentPlan');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const CashUp = require('../models/CashUp');
+const { Payment } = require('../models/Payment');
+const { PaymentIntent } = require('../models/PaymentIntent');
+const { Refund } = require('../models/Refund');
+const { LedgerEntry } = require('../models/LedgerEntry');
+const cardDataMiddleware = require('../middleware/cardDataMiddleware');
+const authMiddleware = require('../middleware/authMiddleware');
+const idempotencyMiddleware = require('../middleware/idempotencyMiddleware');
+const { ChallanLifecycle } = require('../patterns/ChallanLifecycle');
+const { PenaltyRuleFactory } = require('../patterns/PenaltyRules');
+const { OffenceCombinationRuleFactory } = require('../patterns/OffenceCombination');
+const { SimulatedGatewayAPI } = require('../services/gatewaySimulator');
+const { NetBankingService } = require('../services/netBanking');
+const { PaymentTokenVault } = require('../services/paymentTokens');
+const { FinancialLedger } = require('../services/ledger');
+const {
+    SettlementFileParser,
+    SettlementFileInbox,
+    SettlementReconciler
+} = require('../services/settlementReconciliation');
+const { ReconciliationReport } = require('../models/ReconciliationReport');
+const {
+    SimulatedGatewayAdapter,
+    PaymentGatewayFactory,
+    ConfigurationManager,
+    EChallanFacade
+} = require('../patterns/DesignPatterns');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Swap a method or property for the length of one test, e.g. a model's database call; restoreReplaced puts it back
+const replaced = [];
+const replace = (target, name, value) => {
+    replaced.push([target, name, Object.prototype.hasOwnProperty.call(target, name), target[name]]);
+    target[name] = value;
+};
+const restoreReplaced = () => {
+    replaced.splice(0).reverse().forEach(([target, name, own, value]) => {
+        if (own) {
+            target[name] = value;
+        } else {
+            delete target[name];
+        }
+    });
+};
+
+describe('Payment Workflow Unit Tests', () => {
+
+    // Installment Payment Plan Tests
+    describe('PaymentPlan Model - Installments', () => {
+        let plan;
+        const start = new Date('2024-01-01T00:00:00Z');
+
+        beforeEach(() => {
+            plan = new PaymentPlan({
+                challanId: new mongoose.Types.ObjectId(),
+                citizenId: new mongoose.Types.ObjectId(),
+                numberOfInstallments: 3,
+                intervalDays: 30
+            });
+        });
+
+        it('should require at least two installments', () => {
+            plan.numberOfInstallments = 1;
+            const error = plan.validateSync();
+            expect(error.errors.numberOfInstallments).to.exist;
+        });
+
+        it('should split the total into installments that add up exactly', () => {
+            const installments = plan.generateSchedule(1000, start);
+
+            expect(installments).to.have.length(3);
+            expect(installments[0].amount).to.equal(333.33);
+            expect(installments[2].amount).to.equal(333.34);
+            const total = installments.reduce((sum, i) => sum + i.amount, 0);
+            expect(Math.round(total * 100) / 100).to.equal(1000);
+            expect(plan.totalAmount).to.equal(1000);
+        });
+
+        it('should space due dates one interval apart', () => {
+            plan.generateSchedule(900, start);
+
+            expect(plan.installments[0].dueDate.getTime()).to.equal(start.getTime() + 30 * DAY_MS);
+            expect(plan.installments[2].dueDate.getTime()).to.equal(start.getTime() + 90 * DAY_MS);
+        });
+
+        it('should complete the plan when the last installment is paid', () => {
+            plan.generateSchedule(900, start);
+            plan.status = 'active';
+
+            expect(plan.recordInstallmentPayment(1, new mongoose.Types.ObjectId())).to.be.false;
+            expect(plan.getNextInstallment().number).to.equal(2);
+            expect(plan.recordInstallmentPayment(2, new mongoose.Types.ObjectId())).to.be.false;
+            expect(plan.recordInstallmentPayment(3, new mongoose.Types.ObjectId())).to.be.true;
+
+            expect(plan.status).to.equal('completed');
+            expect(plan.getAmountPaid()).to.equal(900);
+        });
+
+        it('should not accept the same installment twice', () => {
+            plan.generateSchedule(900, start);
+            plan.recordInstallmentPayment(1, new mongoose.Types.ObjectId());
+
+            expect(() => plan.recordInstallmentPayment(1, new mongoose.Types.ObjectId()))
+                .to.throw('Installment 1 is not payable');
+        });
+
+        it('should find missed installments only after the grace period', () => {
+            plan.generateSchedule(900, start);
+            const firstDue = plan.installments[0].dueDate.getTime();
+
+            expect(plan.findMissedInstallments(new Date(firstDue + 5 * DAY_MS), 7)).to.have.length(0);
+            const missed = plan.findMissedInstallments(new Date(firstDue + 8 * DAY_MS), 7);
+            expect(missed).to.have.length(1);
+            expect(missed[0].number).to.equal(1);
+        });
+
+        it('should mark missed installments when voided', () => {
+            plan.generateSchedule(900, start);
+            const missed = plan.findMissedInstallments(new Date(start.getTime() + 40 * DAY_MS));
+
+            plan.voidPlan('Installment 1 missed', missed);
+
+            expect(plan.status).to.equal('voided');
+            expect(plan.voidReason).to.equal('Installment 1 missed');
+            expect(plan.installments[0].status).to.equal('missed');
+            expect(plan.installments[1].status).to.equal('pending');
+        });
+    });
+
+    describe('Challan - Payment Plan Status', () => {
+        let challan;
+
+        beforeEach(() => {
+            challan = new Challan({
+                citizenId: new mongoose.Types.ObjectId(),
+                officerId: new mongoose.Types.ObjectId(),
+                vehicleNumber: 'ABC123',
+                violationType: 'Speeding',
+                location: 'Highway 1',
+                fineAmount: 2000
+            });
+        });
+
+        it('should allow pending and overdue challans onto a payment plan', () => {
+            expect(ChallanLifecycle.canTransition('pending', 'payment_plan')).to.be.true;
+            expect(ChallanLifecycle.canTransition('overdue', 'payment_plan')).to.be.true;
+            expect(ChallanLifecycle.canTransition('disputed', 'payment_plan')).to.be.false;
+        });
+
+        it('should return a voided plan to overdue', () => {
+            challan.transitionTo('payment_plan', { actorRole: 'admin' });
+            expect(ChallanLifecycle.canTransition(challan.status, 'overdue')).to.be.true;
+        });
+
+        it('should not accrue late penalties while on a payment plan', () => {
+            challan.dueDate = new Date(Date.now() - 60 * DAY_MS);
+            challan.transitionTo('payment_plan', { actorRole: 'admin' });
+            const result = challan.applyLatePenalty(PenaltyRuleFactory.createRule('flat', { flatAmount: 100 }));
+
+            expect(result.changed).to.be.false;
+            expect(challan.fineAmount).to.equal(2000);
+        });
+
+        it('should subtract installments already paid from the outstanding amount', () => {
+            challan.amountPaid = 666.67;
+            expect(challan.getOutstandingAmount()).to.equal(1333.33);
+        });
+    });
+
+    // Line-Item Payment Allocation Tests
+    describe('Challan - Payments Across Offences', () => {
+        let challan;
+
+        beforeEach(() => {
+            challan = new Challan({
+                citizenId: new mongoose.Types.ObjectId(),
+                officerId: new mongoose.Types.ObjectId(),
+                vehicleNumber: 'ABC123',
+                violationType: 'Speeding',
+                location: 'Highway 1',
+                offences: [
+                    { itemNumber: 1, violationType: 'Speeding', baseFineAmount: 1000, fineAmount: 1000 },
+                    { itemNumber: 2, violationType: 'No Helmet', baseFineAmount: 300, fineAmount: 300 }
+                ]
+            });
+            challan.applyOffenceCombination(OffenceCombinationRuleFactory.createRule('sum'));
+        });
+
+        it('should pay the offences in item order', () => {
+            const allocations = challan.allocatePayment(1100);
+
+            expect(allocations).to.deep.equal([
+                { itemNumber: 1, violationType: 'Speeding', amount: 1000 },
+                { itemNumber: 2, violationType: 'No Helmet', amount: 100 }
+            ]);
+            expect(challan.offences[1].amountPaid).to.equal(100);
+        });
+
+        it('should leave the late penalty out of the line items', () => {
+            challan.penaltyAmount = 130;
+            challan.fineAmount = 1430;
+
+            const allocations = challan.allocatePayment(1430);
+            const allocated = allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+
+            expect(allocated).to.equal(1300);
+        });
+
+        it('should take a refunded payment back off its line items', () => {
+            const allocations = challan.allocatePayment(1300);
+            challan.releasePaymentAllocations(allocations);
+
+            expect(challan.offences.map(offence => offence.amountPaid)).to.deep.equal([0, 0]);
+        });
+
+        it('should treat a challan without line items as a single offence', () => {
+            const legacy = new Challan({ violationType: 'Speeding', fineAmount: 500 });
+
+            expect(legacy.allocatePayment(500)).to.deep.equal([{ itemNumber: 1, violationType: 'Speeding', amount: 500 }]);
+        });
+    });
+
+    describe('Idempotency Keys', () => {
+        const request = {
+            method: 'POST',
+            path: '/api/payments/process',
+            body: { challanId: 'c1', paymentMethod: 'upi', paymentDetails: { upiId: 'a@upi', pin: '1234' } }
+        };
+
+        it('should fingerprint the same request the same way regardless of key order', () => {
+            const reordered = {
+                ...request,
+                body: { paymentDetails: { pin: '1234', upiId: 'a@upi' }, paymentMethod: 'upi', challanId: 'c1' }
+            };
+
+            expect(IdempotencyKey.fingerprintRequest(reordered)).to.equal(IdempotencyKey.fingerprintRequest(request));
+        });
+
+        it('should give a different fingerprint to a different payment', () => {
+            const otherChallan = { ...request, body: { ...request.body, challanId: 'c2' } };
+            const otherRoute = { ...request, path: '/api/payments/process-with-gateway' };
+
+            expect(IdempotencyKey.fingerprintRequest(otherChallan)).to.not.equal(IdempotencyKey.fingerprintRequest(request));
+            expect(IdempotencyKey.fingerprintRequest(otherRoute)).to.not.equal(IdempotencyKey.fingerprintRequest(request));
+        });
+
+        it('should only replay a stored response for the same endpoint and request', () => {
+            const fingerprint = IdempotencyKey.fingerprintRequest(request);
+            const record = new IdempotencyKey({
+                key: 'k1', owner: 'user:1', endpoint: 'process_payment', fingerprint, expiresAt: new Date()
+            });
+
+            expect(record.matchesRequest('process_payment', fingerprint)).to.be.true;
+            expect(record.matchesRequest('process_payment_gateway', fingerprint)).to.be.false;
+            expect(record.matchesRequest('process_payment', 'other')).to.be.false;
+        });
+
+        // Minimal Express request/response doubles for the middleware
+        const run = (headers) => new Promise((resolve) => {
+            const req = { ...request, baseUrl: '/api/payments', path: '/process', user: { id: '1' }, get: name => headers[name] };
+            const res = {
+                status(code) { this.statusCode = code; return this; },
+                set() { return this; },
+                json(body) { resolve({ nextCalled: false, statusCode: this.statusCode, body }); return this; }
+            };
+            idempotencyMiddleware.idempotent('process_payment')(req, res, () => resolve({ nextCalled: true }));
+        });
+
+        it('should process requests without a key as before', async () => {
+            expect((await run({})).nextCalled).to.be.true;
+        });
+
+        it('should reject empty and oversized keys', async () => {
+            expect((await run({ 'Idempotency-Key': ' ' })).statusCode).to.equal(400);
+            expect((await run({ 'Idempotency-Key': 'k'.repeat(256) })).statusCode).to.equal(400);
+        });
+    });
+
+    describe('Challan - Payment Lock', () => {
+        it('should not expose the payment lock', () => {
+            const challan = new Challan({
+                violationType: 'Speeding',
+                fineAmount: 500,
+                paymentLock: { lockId: 'lock-1', acquiredAt: new Date() }
+            });
+
+            expect(challan.toJSON()).to.not.have.property('paymentLock');
+        });
+    });
+
+    describe('Gateway Simulator', () => {
+        const card = cardNumber => ({ amount: 100, cardNumber, cvv: '123', holderName: 'Test User' });
+        let simulator;
+        let gateway;
+
+        beforeEach(() => {
+            simulator = new SimulatedGatewayAPI({ timeoutMs: 5, settlementDelayMs: 60 * 1000 });
+            gateway = new SimulatedGatewayAdapter(simulator);
+        });
+
+        it('should approve ordinary cards and decline the test cards', async () => {
+            const approved = await gateway.processPayment(card('4111111111111111'));
+            const declined = await gateway.processPayment(card('4000000000000002'));
+            const noFunds = await gateway.processPayment(card('4000 0000 0000 9995'));
+
+            expect(approved).to.include({ success: true, status: 'succeeded', gateway: 'simulator' });
+            expect(declined).to.include({ success: false, declineCode: 'card_declined' });
+            expect(noFunds).to.include({ success: false, declineCode: 'insufficient_funds', error: 'Your card has insufficient funds' });
+            expect(declined.transactionId).to.exist;
+        });
+
+        it('should time out without creating a charge', async () => {
+            const result = await gateway.processPayment(card('4000000000000408'));
+
+            expect(result).to.include({ success: false, declineCode: 'timeout' });
+            expect(result.transactionId).to.be.undefined;
+            expect(simulator.charges.size).to.equal(0);
+        });
+
+        it('should leave delayed charges pending until they settle', async () => {
+            const settled = [];
+            simulator.onSettled = charge => settled.push(charge.id);
+
+            const result = await gateway.processPayment(card('4000000000000202'));
+            expect(result).to.include({ success: true, status: 'pending' });
+            expect((await gateway.refundPayment(result.transactionId)).success).to.be.false;
+
+            simulator.settleCharge(result.transactionId);
+            await Promise.resolve();
+
+            expect((await gateway.getTransactionStatus(result.transactionId)).status).to.equal('succeeded');
+            expect(settled).to.deep.equal([result.transactionId]);
+        });
+
+        it('should refund in parts up to the charged amount', async () => {
+            const { transactionId } = await gateway.processPayment(card('4111111111111111'));
+
+            expect(await gateway.refundPayment(transactionId, 40)).to.include({ success: true, amount: 40, remainingAmount: 60 });
+            expect((await gateway.refundPayment(transactionId, 60.01)).error).to.match(/unrefunded balance of 60/);
+            expect(await gateway.refundPayment(transactionId)).to.include({ success: true, amount: 60, remainingAmount: 0 });
+            expect((await gateway.getTransactionStatus(transactionId)).amountRefunded).to.equal(100);
+        });
+
+        it('should fail refunds for the refund-declining card and unknown charges', async () => {
+            const { transactionId } = await gateway.processPayment(card('4000000000005126'));
+
+            expect((await gateway.refundPayment(transactionId, 10)).error).to.equal('Refund declined by the card issuer');
+            expect((await gateway.refundPayment('sim_ch_missing', 10)).error).to.equal('No such charge: sim_ch_missing');
+        });
+
+        it('should force one outcome for every charge when a scenario is configured', async () => {
+            const forced = new SimulatedGatewayAdapter(new SimulatedGatewayAPI({ scenario: 'declined' }));
+
+            expect((await forced.processPayment({ amount: 100, upiId: 'user@upi' })).declineCode).to.equal('card_declined');
+            expect(() => new SimulatedGatewayAPI({ scenario: 'lost_in_post' })).to.throw('Unknown gateway simulator scenario: lost_in_post');
+        });
+
+        it('should be selected through the gateway factory and configuration', () => {
+            expect(PaymentGatewayFactory.createGateway('simulator')).to.be.instanceOf(SimulatedGatewayAdapter);
+            expect(PaymentGatewayFactory.createGateway('simulator').simulatorAPI)
+                .to.equal(PaymentGatewayFactory.createGateway('simulator').simulatorAPI);
+            expect(PaymentGatewayFactory.fromConfiguration({ gateway: 'simulator' })).to.be.instanceOf(SimulatedGatewayAdapter);
+            expect(PaymentGatewayFactory.fromConfiguration({ gateway: null })).to.be.null;
+        });
+
+        describe('Facade charges through the configured gateway', () => {
+            const config = ConfigurationManager.getInstance();
+            const facade = new EChallanFacade();
+            const paymentData = cardNumber => ({
+                method: 'credit_card',
+                details: { cardNumber, cvv: '123', holderName: 'Test User' }
+            });
+
+            before(() => {
+                config.set('payments.gateway', 'simulator');
+                PaymentGatewayFactory.simulatorAPI = new SimulatedGatewayAPI({ timeoutMs: 5 });
+            });
+            after(() => config.set('payments.gateway', null));
+
+            it('should report declines with the strategy fee and a reference for the failed record', async () => {
+                const result = await facade.chargePayment(500, paymentData('4000000000000002'));
+
+                expect(result).to.include({ success: false, gateway: 'simulator', declineCode: 'card_declined', fee: 14.5 });
+                expect(result.transactionId).to.equal(result.gatewayTransactionId);
+            });
+
+            it('should keep the strategy reference when the gateway times out', async () => {
+                const result = await facade.chargePayment(500, paymentData('4000000000000408'));
+
+                expect(result.success).to.be.false;
+                expect(result.transactionId).to.match(/^CC_/);
+                expect(result.gatewayTransactionId).to.be.undefined;
+            });
+
+            it('should still reject invalid details before contacting the gateway', async () => {
+                let error;
+                try {
+                    await facade.chargePayment(500, paymentData('4111'));
+                } catch (err) {
+                    error = err;
+                }
+
+                expect(error.message).to.equal('Invalid card number');
+            });
+        });
+
+        // The database calls of a payment are replaced, so the facade's own settling logic runs as it would
+        describe('Facade pays challans through a chosen gateway', () => {
+            const facade = new EChallanFacade();
+            const citizen = new User({ name: 'Test User', email: 'citizen@example.com', password: 'secret123', role: 'citizen' });
+            const notifications = [];
+            let challan;
+
+            beforeEach(() => {
+                PaymentGatewayFactory.simulatorAPI = new SimulatedGatewayAPI({ timeoutMs: 5 });
+                challan = new Challan({
+                    challanNumber: 'CH-GATEWAY-1',
+                    citizenId: citizen._id,
+                    officerId: new mongoose.Types.ObjectId(),
+                    vehicleNumber: 'ABC123',
+                    violationType: 'Speeding',
+                    location: 'Highway 1',
+                    dueDate: new Date(Date.now() + 30 * DAY_MS),
+                    offences: [
+                        { itemNumber: 1, violationType: 'Speeding', baseFineAmount: 600, fineAmount: 600 },
+                        { itemNumber: 2, violationType: 'No Helmet', baseFineAmount: 400, fineAmount: 400 }
+                    ]
+                });
+                challan.applyOffenceCombination(OffenceCombinationRuleFactory.createRule('sum'));
+                challan.save = async function () { return this; };
+                notifications.length = 0;
+
+                replace(User, 'findById', async () => citizen);
+                replace(Challan, 'findById', async () => challan);
+                replace(Payment.prototype, 'save', async function () { return this; });
+                replace(facade, 'withChallanPaymentLock', async (challanId, pay) => pay(challan));
+                replace(facade, 'assertNoPendingPayment', async () => {});
+                replace(facade, 'recordLedger', async () => {});
+                replace(facade, 'notificationSubject', { notifyObservers: (event, data) => notifications.push({ event, data }) });
+            });
+
+            afterEach(restoreReplaced);
+
+            const payWithGateway = () => facade.processGatewayPayment(citizen._id.toString(), challan._id.toString(), {
+                method: 'credit_card',
+                details: { cardNumber: '4242424242424242', cvv: '123', holderName: 'Test User' },
+                gateway: 'simulator'
+            });
+
+            it('should refuse a challan on an active payment plan', async () => {
+                challan.transitionTo('payment_plan', { actorRole: 'admin' });
+                challan.allocatePayment(500);
+                challan.amountPaid = 500;
+
+                const result = await payWithGateway();
+
+                expect(result).to.include({ success: false, error: 'Challan is on an active payment plan, pay the next installment instead' });
+                expect(challan.status).to.equal('payment_plan');
+                expect(challan.amountPaid).to.equal(500);
+            });
+
+            it('should charge only what is outstanding and split it across the offences', async () => {
+                // One installment was paid before the plan was voided
+                challan.allocatePayment(500);
+                challan.amountPaid = 500;
+
+                const result = await payWithGateway();
+
+                expect(result.success).to.be.true;
+                expect(result.gateway).to.equal('simulator');
+                expect(result.payment).to.include({ amount: 500, totalAmount: 500, fee: 0, status: 'completed' });
+                expect(result.payment.allocations.map(({ itemNumber, amount }) => ({ itemNumber, amount })))
+                    .to.deep.equal([{ itemNumber: 1, amount: 100 }, { itemNumber: 2, amount: 400 }]);
+                expect(challan).to.include({ status: 'paid', amountPaid: 1000 });
+                expect(challan.offences.map(offence => offence.amountPaid)).to.deep.equal([600, 400]);
+                expect(notifications.map(({ event }) => event)).to.deep.equal(['payment_received']);
+            });
+
+            describe('when the gateway confirms a pending charge', () => {
+                const pendingPayment = () => new Payment({
+                    transactionId: 'sim_ch_pending',
+                    challanId: challan._id,
+                    citizenId: citizen._id,
+                    amount: 1000,
+                    totalAmount: 1000,
+                    paymentMethod: 'credit_card',
+                    gateway: 'simulator',
+                    gatewayTransactionId: 'sim_ch_pending',
+                    status: 'pending'
+                });
+                const succeeded = { eventId: 'evt_1', type: 'payment.succeeded', transactionId: 'sim_ch_pending' };
+                const refunds = [];
+                let returned;
+
+                beforeEach(() => {
+                    refunds.length = 0;
+                    returned = [];
+                    replace(Refund, 'create', async data => {
+                        const refund = new Refund(data);
+                        refunds.push(refund);
+                        return refund;
+                    });
+                    replace(Refund.prototype, 'save', async function () { return this; });
+                    replace(facade, 'returnPaymentFunds', async (payment, amount) => {
+                        returned.push(amount);
+                        return { success: true, refundId: 'sim_re_1' };
+                    });
+                });
+
+                it('should settle the challan the same way as a checkout', async () => {
+                    const payment = pendingPayment();
+
+                    expect(await facade.applyGatewayEvent(payment, challan, succeeded)).to.equal('completed');
+                    expect(challan).to.include({ status: 'paid', amountPaid: 1000 });
+                    expect(payment.allocations.map(allocation => allocation.amount)).to.deep.equal([600, 400]);
+                    expect(payment.duplicate).to.be.false;
+                    expect(refunds).to.be.empty;
+                    expect(notifications[0].event).to.equal('payment_received');
+                    expect(notifications[0].data).to.include({ citizenEmail: 'citizen@example.com', amount: 1000 });
+                });
+
+                it('should refund a charge that settles after the challan was paid another way', async () => {
+                    const payment = pendingPayment();
+                    challan.allocatePayment(1000);
+                    challan.amountPaid = 1000;
+                    challan.transitionTo('paid', { actorRole: 'officer', reason: 'Cash at the roadside' });
+
+                    expect(await facade.applyGatewayEvent(payment, challan, succeeded)).to.equal('completed');
+                    expect(payment).to.include({ duplicate: true, status: 'refunded', refundAmount: 1000 });
+                    expect(returned).to.deep.equal([1000]);
+                    expect(refunds[0]).to.include({
+                        source: 'duplicate',
+                        status: 'processed',
+                        amount: 1000,
+                        reason: "Duplicate payment: challan CH-GATEWAY-1 was already 'paid'",
+                        fullRefund: false
+                    });
+                    expect(challan).to.include({ status: 'paid', amountPaid: 1000 });
+                    expect(challan.offences.map(offence => offence.amountPaid)).to.deep.equal([600, 400]);
+                });
+
+                it('should keep a duplicate charge the gateway would not refund on record as a failed refund', async () => {
+                    const payment = pendingPayment();
+                    challan.transitionTo('paid', { actorRole: 'officer', reason: 'Cash at the roadside' });
+                    replace(facade, 'returnPaymentFunds', async () => ({ success: false, error: 'Charge not found' }));
+
+                    expect(await facade.applyGatewayEvent(payment, challan, succeeded)).to.equal('completed');
+                    expect(payment).to.include({ duplicate: true, status: 'completed' });
+                    expect(refunds[0]).to.include({ source: 'duplicate', status: 'failed', failureReason: 'Charge not found' });
+                    expect(challan.status).to.equal('paid');
+                });
+
+                it('should refund a charge to a challan put on a payment plan meanwhile', async () => {
+                    const payment = pendingPayment();
+                    challan.transitionTo('payment_plan', { actorRole: 'admin' });
+
+                    expect(await facade.applyGatewayEvent(payment, challan, succeeded)).to.equal('completed');
+                    expect(challan.status).to.equal('payment_plan');
+                    expect(challan.amountPaid).to.equal(0);
+                    expect(payment.allocations).to.be.empty;
+                    expect(payment).to.include({ duplicate: true, status: 'refunded' });
+                });
+
+                it('should take a refund made at the gateway off the amount paid', async () => {
+                    const payment = pendingPayment();
+                    await facade.applyGatewayEvent(payment, challan, succeeded);
+
+                    const outcome = await facade.applyGatewayEvent(payment, challan, {
+                        eventId: 'evt_2', type: 'payment.refunded', transactionId: 'sim_ch_pending', amount: 400
+                    });
+
+                    expect(outcome).to.equal('partially_refunded');
+                    expect(challan).to.include({ status: 'paid', amountPaid: 600 });
+                    expect(refunds.map(refund => refund.amount)).to.deep.equal([400]);
+                });
+            });
+        });
+    });
+
+    describe('Net Banking', () => {
+        const service = new NetBankingService({
+            secret: 'test-netbanking-secret',
+            bankUrl: 'https://bank.example/pay',
+            returnUrl: 'https://app.example/payments/netbanking/return'
+        });
+        const payment = { gatewayTransactionId: 'NB_1', totalAmount: 505 };
+        const now = new Date('2024-03-01T10:00:00Z');
+        const bankRequest = () => {
+            const { redirectUrl } = service.createBankRedirect(payment, 'SBI', now);
+            return Object.fromEntries(new URL(redirectUrl).searchParams.entries());
+        };
+
+        it('should send the payer to the bank with a signed request that expires', () => {
+            const { redirectUrl, expiresAt } = service.createBankRedirect(payment, 'SBI', now);
+
+            expect(redirectUrl).to.match(/^https:\/\/bank\.example\/pay\?merchantReference=NB_1&amount=505\.00/);
+            expect(expiresAt).to.equal('2024-03-01T10:15:00.000Z');
+            expect(service.verifyBankRequest(bankRequest(), now)).to.include({ merchantReference: 'NB_1', amount: 505, bankName: 'State Bank of India' });
+        });
+
+        it('should reject tampered or expired bank requests', () => {
+            expect(() => service.verifyBankRequest({ ...bankRequest(), amount: '1.00' }, now)).to.throw('Invalid net banking signature');
+            expect(() => service.verifyBankRequest(bankRequest(), new Date('2024-03-01T10:16:00Z')))
+                .to.throw('The net banking session has expired');
+        });
+
+        it('should only accept bank responses signed with the shared secret', () => {
+            const response = service.signBankResponse({ merchantReference: 'NB_1', status: 'success', bankReference: 'SBI123' });
+
+            expect(service.verifyBankResponse(response)).to.deep.equal({ merchantReference: 'NB_1', status: 'success', bankReference: 'SBI123' });
+            expect(() => service.verifyBankResponse({ ...response, status: 'failure' })).to.throw('Invalid net banking signature');
+
+            const forged = new NetBankingService({ secret: 'someone-else' }).signBankResponse({ merchantReference: 'NB_1', status: 'success' });
+            expect(() => service.verifyBankResponse(forged)).to.throw('Invalid net banking signature');
+        });
+
+        describe('Facade simulated bank', () => {
+            const config = ConfigurationManager.getInstance();
+            const facade = new EChallanFacade();
+            let secret;
+
+            before(() => {
+                secret = config.get('netBanking.secret');
+                config.set('netBanking.secret', 'test-netbanking-secret');
+            });
+            after(() => config.set('netBanking.secret', secret));
+            afterEach(() => config.set('netBanking.bankUrl', null));
+
+            it('should answer a valid request with a signed redirect back to the app', () => {
+                const bank = facade.getNetBankingService();
+                const { redirectUrl } = bank.createBankRedirect(payment, 'AXIS');
+                const request = Object.fromEntries(new URL(redirectUrl).searchParams.entries());
+
+                const result = facade.authorizeSimulatedBankPayment(request, false);
+                const response = Object.fromEntries(new URL(result.redirectUrl).searchParams.entries());
+
+                expect(result.redirectUrl.startsWith(bank.returnUrl)).to.be.true;
+                expect(bank.verifyBankResponse(response)).to.include({ merchantReference: 'NB_1', status: 'failure' });
+            });
+
+            it('should be disabled while a real bank is configured', () => {
+                config.set('netBanking.bankUrl', 'https://bank.example/pay');
+
+                expect(facade.authorizeSimulatedBankPayment({}, true)).to.include({ success: false, statusCode: 404 });
+            });
+
+            it('should not send net banking payments through the card gateway', async () => {
+                config.set('payments.gateway', 'simulator');
+                try {
+                    const result = await facade.chargePayment(500, { method: 'net_banking', details: { bankCode: 'ICICI' } });
+                    expect(result).to.include({ status: 'pending', gateway: 'netbanking', requiresRedirect: true });
+                } finally {
+                    config.set('payments.gateway', null);
+                }
+            });
+        });
+    });
+
+    describe('Cash-up', () => {
+        const cashUp = declaredAmount => new CashUp({
+            collectedBy: new mongoose.Types.ObjectId(),
+            businessDate: '2024-03-01',
+            expectedAmount: 1250,
+            declaredAmount
+        });
+
+        it('should reconcile the counted cash against the recorded payments', () => {
+            const balanced = cashUp(1250);
+            const short = cashUp(1200);
+            const over = cashUp(1260.5);
+
+            expect(balanced.reconcile()).to.equal('balanced');
+            expect(short.reconcile()).to.equal('short');
+            expect(short.variance).to.equal(-50);
+            expect(over.reconcile()).to.equal('over');
+            expect(over.variance).to.equal(10.5);
+        });
+
+        it('should cover one calendar day per business date', () => {
+            const { start, end } = CashUp.businessDayRange('2024-03-01');
+
+            expect(end.getTime() - start.getTime()).to.equal(DAY_MS);
+            expect(CashUp.toBusinessDate(start)).to.equal('2024-03-01');
+            expect(() => CashUp.businessDayRange('yesterday')).to.throw();
+        });
+    });
+
+    describe('Payment Tokens', () => {
+        const card = { cardNumber: '4111 1111 1111 1111', cvv: '123', expiryDate: '12/27', holderName: 'Test User' };
+        const now = new Date('2024-03-01T10:00:00Z');
+
+        it('should keep only masked details on the token', () => {
+            const vault = new PaymentTokenVault();
+            const token = vault.tokenize('credit_card', card, now);
+
+            expect(token.id).to.match(/^pm_tok_/);
+            expect(token.display).to.deep.equal({ brand: 'visa', last4: '1111', expiryDate: '12/27' });
+            expect(JSON.stringify(token)).to.not.include('4111');
+            expect(() => vault.tokenize('net_banking', { bankCode: 'SBI' })).to.throw('cannot be tokenised');
+        });
+
+        it('should hand the details over once, for the method they were tokenised for', () => {
+            const vault = new PaymentTokenVault();
+            const token = vault.tokenize('credit_card', card, now);
+            const other = vault.tokenize('upi', { upiId: 'user@upi', pin: '1234' }, now);
+
+            expect(vault.redeem(token.id, 'credit_card', now).details.cardNumber).to.equal(card.cardNumber);
+            expect(() => vault.redeem(token.id, 'credit_card', now)).to.throw('Payment token is invalid, used or expired');
+            expect(() => vault.redeem(other.id, 'credit_card', now)).to.throw('Payment token is for upi, not credit_card');
+        });
+
+        it('should expire unused tokens', () => {
+            const vault = new PaymentTokenVault({ ttlMinutes: 5 });
+            const token = vault.tokenize('upi', { upiId: 'user@upi', pin: '1234' }, now);
+
+            expect(() => vault.redeem(token.id, 'upi', new Date('2024-03-01T10:05:00Z'))).to.throw('expired');
+        });
+
+        it('should validate details with the payment strategy before tokenising', () => {
+            const facade = new EChallanFacade();
+
+            expect(facade.tokenizePaymentMethod('credit_card', { ...card, cvv: '' })).to.include({ success: false, error: 'Invalid CVV' });
+            expect(facade.tokenizePaymentMethod('net_banking', { bankCode: 'SBI' }).statusCode).to.equal(400);
+            expect(facade.tokenizePaymentMethod('credit_card', card).token.display.last4).to.equal('1111');
+        });
+
+        it('should charge with a token and keep only the masked details', async () => {
+            const facade = new EChallanFacade();
+            const { token } = facade.tokenizePaymentMethod('credit_card', card);
+
+            const result = await facade.chargePayment(500, { method: 'credit_card', paymentToken: token.id });
+            expect(result).to.include({ success: true, fee: 14.5 });
+            expect(result.paymentDetails).to.deep.equal(token.display);
+
+            let error;
+            try {
+                await facade.chargePayment(500, { method: 'credit_card', paymentToken: token.id });
+            } catch (err) {
+                error = err;
+            }
+            expect(error.statusCode).to.equal(400);
+        });
+
+        it('should refuse payment requests carrying raw card data before they are audited', () => {
+            const run = body => {
+                const res = { statusCode: 200, status(code) { this.statusCode = code; return this; }, json(payload) { this.body = payload; return this; } };
+                let passed = false;
+                cardDataMiddleware.rejectRawCardData({ body }, res, () => { passed = true; });
+                return { passed, res };
+            };
+
+            const nested = run({ paymentMethod: 'credit_card', paymentDetails: { cardNumber: '4111111111111111' } });
+            expect(nested.passed).to.be.false;
+            expect(nested.res.statusCode).to.equal(400);
+            expect(nested.res.body.message).to.include('cardNumber');
+            expect(run({ paymentMethod: 'upi', paymentDetails: { pin: '1234' } }).passed).to.be.false;
+            expect(run({ paymentMethod: 'credit_card', paymentToken: 'pm_tok_1' }).passed).to.be.true;
+            expect(run({ paymentMethod: 'net_banking', paymentDetails: { bankCode: 'SBI' } }).passed).to.be.true;
+        });
+
+        it('should redact nested payment details in audit logs', () => {
+            const sanitized = authMiddleware.sanitizeRequestBody({
+                challanId: 'c1',
+                paymentToken: 'pm_tok_1',
+                paymentDetails: { cardNumber: '4111111111111111', cvv: '123', holderName: 'Test User' }
+            });
+
+            expect(sanitized).to.deep.equal({
+                challanId: 'c1',
+                paymentToken: '[REDACTED]',
+                paymentDetails: { cardNumber: '[REDACTED]', cvv: '[REDACTED]', holderName: 'Test User' }
+            });
+        });
+    });
+
+    describe('Payment Intents', () => {
+        const newIntent = (overrides = {}) => new PaymentIntent({
+            citizenId: new mongoose.Types.ObjectId(),
+            items: [
+                { challanId: new mongoose.Types.ObjectId(), challanNumber: 'CH1', amount: 300 },
+                { challanId: new mongoose.Types.ObjectId(), challanNumber: 'CH2', amount: 200 }
+            ],
+            amount: 500,
+            expiresAt: new Date('2024-03-01T10:15:00Z'),
+            ...overrides
+        });
+
+        it('should require at least one challan', () => {
+            const error = newIntent({ items: [] }).validateSync();
+            expect(error.errors.items.message).to.equal('A payment intent needs at least one challan');
+        });
+
+        it('should expire only while waiting for a payment method', () => {
+            const later = new Date('2024-03-01T10:20:00Z');
+
+            expect(newIntent().isExpired(new Date('2024-03-01T10:10:00Z'))).to.be.false;
+            expect(newIntent().isExpired(later)).to.be.true;
+            expect(newIntent({ status: 'processing' }).isExpired(later)).to.be.false;
+        });
+
+        it('should follow the payments made for it', () => {
+            const waiting = newIntent({ status: 'processing' });
+            expect(waiting.syncWithPayments([{ status: 'completed' }, { status: 'pending' }])).to.be.false;
+            expect(waiting.syncWithPayments([{ status: 'completed' }, { status: 'completed' }])).to.be.true;
+            expect(waiting.status).to.equal('succeeded');
+
+            const atBank = newIntent({ status: 'requires_action', nextAction: { redirectUrl: 'https://bank.example/pay' } });
+            atBank.syncWithPayments([{ status: 'failed', failureReason: 'The net banking session expired' }]);
+            expect(atBank).to.include({ status: 'failed', lastError: 'The net banking session expired' });
+            expect(atBank.nextAction.redirectUrl).to.be.undefined;
+
+            expect(newIntent().syncWithPayments([{ status: 'completed' }])).to.be.false;
+        });
+
+        it('should split the fee across challans in proportion, to the cent', () => {
+            const facade = new EChallanFacade();
+            const shares = facade.splitAmount(14.5, [300, 200, 100]);
+
+            expect(shares).to.deep.equal([7.25, 4.83, 2.42]);
+            expect(Math.round(shares.reduce((sum, share) => sum + share, 0) * 100) / 100).to.equal(14.5);
+            expect(facade.splitAmount(0, [300])).to.deep.equal([0]);
+        });
+    });
+
+    describe('Batch Checkout', () => {
+        const config = ConfigurationManager.getInstance();
+        const card = cardNumber => ({
+            method: 'credit_card',
+            details: { cardNumber, cvv: '123', holderName: 'Test User' }
+        });
+
+        it('should charge the strategy fee once on the combined amount', () => {
+            const facade = new EChallanFacade();
+
+            // $10 minimum card fee once, rather than on each of three $100 challans
+            expect(facade.paymentProcessor.getTransactionFee(300, 'credit_card')).to.equal(10);
+            expect(facade.paymentProcessor.getTransactionFee(500, 'credit_card')).to.equal(14.5);
+            expect(facade.paymentProcessor.getTransactionFee(300, 'net_banking')).to.equal(5);
+            expect(() => facade.paymentProcessor.getTransactionFee(300, 'cheque')).to.throw('Unsupported payment method');
+        });
+
+        it('should put a challan back as it was before a payment that is rolled back', () => {
+            const challan = new Challan({
+                challanNumber: 'CH-BATCH-1',
+                vehicleNumber: 'AB12CD3456',
+                violationType: 'Speeding',
+                fineAmount: 100,
+                location: 'Main Road',
+                officerId: new mongoose.Types.ObjectId(),
+                citizenId: new mongoose.Types.ObjectId(),
+                offences: [{ itemNumber: 1, violationType: 'Speeding', fineAmount: 100 }]
+            });
+            const snapshot = challan.snapshotPaymentState();
+
+            challan.allocatePayment(100);
+            challan.amountPaid = 100;
+            challan.transitionTo('paid', { actorRole: 'citizen', reason: 'Payment CC_1' });
+            challan.restorePaymentState(snapshot);
+
+            expect(challan.status).to.equal('pending');
+            expect(challan.amountPaid).to.equal(0);
+            expect(challan.paymentDate).to.be.undefined;
+            expect(challan.statusHistory).to.have.length(0);
+            expect(challan.offences[0].amountPaid).to.equal(0);
+        });
+
+        it('should have nothing to refund for a charge that did not go through or awaits the bank', async () => {
+            const facade = new EChallanFacade();
+
+            expect(await facade.refundIntentCharge({ success: false })).to.deep.equal({ success: true, amount: 0 });
+            expect(await facade.refundIntentCharge({ success: true, requiresRedirect: true, amount: 305 }))
+                .to.deep.equal({ success: true, amount: 0 });
+        });
+
+        it('should void charges made by the built-in strategies', async () => {
+            const facade = new EChallanFacade();
+            const charge = await facade.chargePayment(300, card('4111111111111111'));
+
+            const refund = await facade.refundIntentCharge(charge);
+            expect(refund).to.include({ success: true, amount: 310 });
+            expect(refund.refundId).to.equal(`void_${charge.transactionId}`);
+        });
+
+        describe('through the configured gateway', () => {
+            before(() => {
+                config.set('payments.gateway', 'simulator');
+                PaymentGatewayFactory.simulatorAPI = new SimulatedGatewayAPI({ timeoutMs: 5 });
+            });
+            after(() => config.set('payments.gateway', null));
+
+            it('should refund the whole combined charge', async () => {
+                const facade = new EChallanFacade();
+                const charge = await facade.chargePayment(300, card('4111111111111111'));
+
+                const refund = await facade.refundIntentCharge(charge);
+                expect(refund).to.include({ success: true, amount: 310, remainingAmount: 0 });
+            });
+
+            it('should report a refund the gateway declines', async () => {
+                const facade = new EChallanFacade();
+                const charge = await facade.chargePayment(300, card('4000000000005126'));
+
+                const refund = await facade.refundIntentCharge(charge);
+                expect(refund).to.include({ success: false, error: 'Refund declined by the card issuer' });
+            });
+        });
+    });
+
+    describe('Refunds', () => {
+        const buildPayment = (overrides = {}) => new Payment({
+            transactionId: 'TXN-REFUND-1',
+            challanId: new mongoose.Types.ObjectId(),
+            citizenId: new mongoose.Types.ObjectId(),
+            amount: 500,
+            fee: 14.5,
+            totalAmount: 514.5,
+            paymentMethod: 'credit_card',
+            gateway: 'simulator',
+            gatewayTransactionId: 'sim_ch_1',
+            status: 'completed',
+            ...overrides
+        });
+
+        it('should refund in parts up to the amount paid against the challan, keeping the fee', () => {
+            const payment = buildPayment();
+            expect(payment.getRefundableAmount()).to.equal(500);
+
+            expect(payment.recordRefund(150)).to.be.false;
+            expect(payment).to.include({ status: 'partially_refunded', refundAmount: 150 });
+            expect(payment.getRefundableAmount()).to.equal(350);
+
+            expect(() => payment.recordRefund(350.01)).to.throw('refundable balance of 350');
+            expect(payment.recordRefund(350)).to.be.true;
+            expect(payment.status).to.equal('refunded');
+        });
+
+        it('should need a reason and a positive amount for each refund', () => {
+            const error = new Refund({ paymentId: new mongoose.Types.ObjectId(), amount: 0 }).validateSync();
+
+            expect(error.errors.amount.message).to.equal('Refund amount must be greater than zero');
+            expect(error.errors.reason).to.exist;
+        });
+
+        it('should check a refund against the balance and the challan lifecycle', async () => {
+            const facade = new EChallanFacade();
+            const paid = { status: 'paid' };
+            const refunded = { status: 'refunded' };
+            const attempt = async (payment, challan, amount, available) => {
+                try {
+                    await facade.assertRefundable(payment, challan, amount, available);
+                    return null;
+                } catch (error) {
+                    return error;
+                }
+            };
+            replace(Payment, 'find', async () => []);
+
+            try {
+                expect(await attempt(buildPayment(), paid, 500, 500)).to.be.null;
+                expect(await attempt(buildPayment(), refunded, 200, 500)).to.be.null; // a partial refund leaves the challan alone
+                expect(await attempt(buildPayment(), refunded, 500, 500)).to.include({ statusCode: 409 });
+                expect(await attempt(buildPayment(), paid, 300, 200)).to.include({ statusCode: 400 });
+                expect(await attempt(buildPayment(), paid, 0, 500)).to.include({ statusCode: 400 });
+                expect((await attempt(buildPayment({ status: 'failed' }), paid, 100, 500)).message).to.equal('Can only refund completed payments');
+            } finally {
+                restoreReplaced();
+            }
+        });
+
+        it('should only count a challan as refunded once every payment on it is', () => {
+            const first = buildPayment({ status: 'refunded', refundAmount: 500 });
+            const second = buildPayment({ transactionId: 'TXN-REFUND-2' });
+
+            expect(Payment.isChallanRefunded([first, second])).to.be.false;
+            expect(Payment.isChallanRefunded([first, buildPayment({ status: 'failed' })])).to.be.true;
+
+            second.recordRefund(500);
+            expect(Payment.isChallanRefunded([first, second])).to.be.true;
+
+            // A lost chargeback returns the payment even when the gateway took back less
+            expect(Payment.isChallanRefunded([buildPayment({ status: 'refunded', refundAmount: 450 })])).to.be.true;
+            expect(Payment.isChallanRefunded([buildPayment({ status: 'pending' })])).to.be.false;
+        });
+
+        describe('on a challan paid in installments', () => {
+            const facade = new EChallanFacade();
+            const adminId = new mongoose.Types.ObjectId();
+            let challan;
+            let installments;
+
+            beforeEach(() => {
+                challan = new Challan({
+                    challanNumber: 'CH-REFUND-PLAN',
+                    citizenId: new mongoose.Types.ObjectId(),
+                    officerId: new mongoose.Types.ObjectId(),
+                    vehicleNumber: 'ABC123',
+                    violationType: 'Speeding',
+                    location: 'Highway 1',
+                    fineAmount: 1000,
+                    offences: [{ itemNumber: 1, violationType: 'Speeding', fineAmount: 1000 }]
+                });
+                challan.transitionTo('payment_plan', { actorRole: 'admin' });
+                installments = [1, 2].map(installmentNumber => buildPayment({
+                    transactionId: `TXN-PLAN-${installmentNumber}`,
+                    challanId: challan._id,
+                    paymentMethod: 'cash',
+                    gateway: 'cash',
+                    installmentNumber,
+                    allocations: challan.allocatePayment(500)
+                }));
+                challan.amountPaid = 1000;
+                challan.transitionTo('paid', { actorRole: 'citizen', reason: 'Final installment' });
+                challan.save = async function () { return this; };
+
+                replace(Payment, 'find', async ({ _id }) => installments.filter(payment => !payment._id.equals(_id.$ne)));
+                replace(Payment.prototype, 'save', async function () { return this; });
+                replace(Refund.prototype, 'save', async function () { return this; });
+                replace(facade, 'recordLedger', async () => {});
+            });
+
+            afterEach(restoreReplaced);
+
+            const refundInstallment = payment => facade.processRefund(
+                new Refund({ paymentId: payment._id, challanId: challan._id, amount: 500, reason: 'Paid twice', requestedBy: adminId }),
+                payment,
+                challan,
+                { _id: adminId }
+            );
+
+            it('should keep the challan paid while another installment has not been refunded', async () => {
+                const result = await refundInstallment(installments[0]);
+
+                expect(result).to.include({ success: true, message: 'Payment fully refunded' });
+                expect(result.refund.fullRefund).to.be.false;
+                expect(installments[0].status).to.equal('refunded');
+                expect(challan.status).to.equal('paid');
+                expect(challan.amountPaid).to.equal(500);
+                expect(challan.offences[0].amountPaid).to.equal(500);
+            });
+
+            it('should take a partial refund off the amount paid on the challan', async () => {
+                const result = await facade.processRefund(
+                    new Refund({ paymentId: installments[0]._id, challanId: challan._id, amount: 200, reason: 'Overcharged', requestedBy: adminId }),
+                    installments[0],
+                    challan,
+                    { _id: adminId }
+                );
+
+                expect(result).to.include({ success: true, message: 'Partial refund processed' });
+                expect(installments[0].status).to.equal('partially_refunded');
+                expect(challan.amountPaid).to.equal(800);
+            });
+
+            it('should refund the challan with the last installment', async () => {
+                await refundInstallment(installments[0]);
+                const result = await refundInstallment(installments[1]);
+
+                expect(result).to.include({ success: true, message: 'Challan fully refunded' });
+                expect(result.refund.fullRefund).to.be.true;
+                expect(challan.status).to.equal('refunded');
+                expect(challan.amountPaid).to.equal(0);
+                expect(challan.offences[0].amountPaid).to.equal(0);
+            });
+        });
+
+        it('should repay cash and bank payments outside the card gateway', async () => {
+            const facade = new EChallanFacade();
+
+            expect(await facade.returnPaymentFunds(buildPayment({ paymentMethod: 'cash', gateway: 'cash' }), 100))
+                .to.deep.equal({ success: true, refundId: null });
+        });
+
+        it('should return part of a card payment through the gateway that took it', async () => {
+            const facade = new EChallanFacade();
+            PaymentGatewayFactory.simulatorAPI = new SimulatedGatewayAPI({ timeoutMs: 5 });
+            const charge = await PaymentGatewayFactory.createGateway('simulator')
+                .processPayment({ cardNumber: '4111111111111111', amount: 514.5, currency: 'usd' });
+            const payment = buildPayment({ gatewayTransactionId: charge.transactionId });
+
+            const first = await facade.returnPaymentFunds(payment, 200);
+            expect(first).to.include({ success: true, amount: 200, remainingAmount: 314.5 });
+            expect(first.refundId).to.match(/^sim_re_/);
+
+            expect((await facade.returnPaymentFunds(payment, 400)).success).to.be.false;
+        });
+    });
+
+    describe('Financial Ledger', () => {
+        const ledger = new FinancialLedger();
+        const challan = {
+            _id: new mongoose.Types.ObjectId(),
+            citizenId: new mongoose.Types.ObjectId(),
+            challanNumber: 'CH-LEDGER-1',
+            status: 'overdue',
+            fineAmount: 550,
+            penaltyAmount: 50
+        };
+        const cardPayment = (overrides = {}) => new Payment({
+            transactionId: 'TXN-LEDGER-1',
+            challanId: challan._id,
+            citizenId: challan.citizenId,
+            amount: 550,
+            fee: 15,
+            totalAmount: 565,
+            paymentMethod: 'credit_card',
+            gateway: 'simulator',
+            status: 'completed',
+            ...overrides
+        });
+        const linesOf = entries => entries.flatMap(entry => entry.lines);
+
+        it('should only accept entries whose debits equal their credits', () => {
+            const entry = lines => new LedgerEntry({ type: 'payment', description: 'Test', sourceKey: 'test:1', lines });
+
+            expect(entry([
+                { account: 'gateway_clearing', debit: 100 },
+                { account: 'fines_receivable', credit: 99.99 }
+            ]).validateSync().errors.lines.message).to.equal('Ledger entry debits must equal its credits');
+            expect(entry([{ account: 'gateway_clearing', debit: 100, credit: 100 }]).validateSync().errors.lines).to.exist;
+            expect(entry([
+                { account: 'gateway_clearing', debit: 100.1 },
+                { account: 'fines_receivable', credit: 100 },
+                { account: 'fee_income', credit: 0.1 }
+            ]).validateSync()).to.be.undefined;
+        });
+
+        it('should refuse to change or delete posted entries', async () => {
+            const entry = new LedgerEntry({
+                type: 'refund',
+                description: 'Test',
+                sourceKey: 'test:2',
+                lines: [{ account: 'refunds', debit: 10 }, { account: 'gateway_clearing', credit: 10 }]
+            });
+            entry.isNew = false;
+            entry.description = 'Changed';
+
+            const failure = promise => promise.then(() => null, error => error.message);
+            expect(await failure(entry.save())).to.match(/append-only/);
+            expect(await failure(LedgerEntry.updateOne({ _id: entry._id }, { description: 'Changed' }))).to.match(/append-only/);
+            expect(await failure(LedgerEntry.deleteMany({}))).to.match(/append-only/);
+        });
+
+        it('should assess a new challan and then only the change in its fine and penalty', () => {
+            const [fine, penalty] = ledger.assessmentEntries(challan, { fine: 0, penalty: 0 }, 0);
+            expect(fine).to.include({ type: 'fine_assessed', sourceKey: `challan:${challan._id}:0` });
+            expect(fine.lines).to.deep.equal([
+                { account: 'fines_receivable', debit: 500 },
+                { account: 'fine_revenue', credit: 500 }
+            ]);
+            expect(penalty).to.include({ type: 'penalty_assessed', sourceKey: `challan:${challan._id}:1` });
+
+            expect(ledger.assessedAmounts([fine, penalty])).to.deep.equal({ fine: 500, penalty: 50 });
+            expect(ledger.assessmentEntries(challan, { fine: 500, penalty: 50 }, 2)).to.be.empty;
+
+            const [raised] = ledger.assessmentEntries({ ...challan, fineAmount: 575, penaltyAmount: 75 }, { fine: 500, penalty: 50 }, 2);
+            expect(raised).to.include({ type: 'penalty_assessed', sourceKey: `challan:${challan._id}:2` });
+            expect(raised.lines[0]).to.deep.equal({ account: 'fines_receivable', debit: 25 });
+        });
+
+        it('should waive what a dispute removes and everything on a cancelled challan', () => {
+            const [reduced] = ledger.assessmentEntries({ ...challan, fineAmount: 350 }, { fine: 500, penalty: 50 }, 2);
+            expect(reduced.type).to.equal('waiver');
+            expect(reduced.lines).to.deep.equal([
+                { account: 'fine_waivers', debit: 200 },
+                { account: 'fines_receivable', credit: 200 }
+            ]);
+
+            const [cancelled] = ledger.assessmentEntries({ ...challan, status: 'cancelled' }, { fine: 500, penalty: 50 }, 2);
+            expect(cancelled.description).to.equal('Challan CH-LEDGER-1 cancelled');
+            expect(cancelled.lines).to.deep.equal([
+                { account: 'fine_waivers', debit: 500 },
+                { account: 'penalty_waivers', debit: 50 },
+                { account: 'fines_receivable', credit: 550 }
+            ]);
+            expect(new LedgerEntry(cancelled).validateSync()).to.be.undefined;
+        });
+
+        it('should post a settled payment with its fee, and the gateway fee against clearing', () => {
+            const payment = cardPayment();
+            const [paid, gatewayFee] = ledger.paymentEntries(payment, challan);
+
+            expect(paid).to.include({ type: 'payment', sourceKey: `payment:${payment._id}`, gateway: 'simulator' });
+            expect(paid.lines).to.deep.equal([
+                { account: 'gateway_clearing', debit: 565 },
+                { account: 'fines_receivable', credit: 550 },
+                { account: 'fee_income', credit: 15 }
+            ]);
+            expect(gatewayFee).to.include({ type: 'gateway_fee', sourceKey: `payment:${payment._id}:fee` });
+            [paid, gatewayFee].forEach(entry => expect(new LedgerEntry(entry).validateSync()).to.be.undefined);
+
+            expect(ledger.paymentEntries(cardPayment({ status: 'pending' }), challan)).to.be.empty;
+            expect(ledger.paymentEntries(cardPayment({ status: 'failed' }), challan)).to.be.empty;
+
+            const cash = ledger.paymentEntries(cardPayment({ paymentMethod: 'cash', gateway: 'cash', fee: 0 }), challan);
+            expect(cash).to.have.length(1);
+            expect(cash[0].lines[0]).to.deep.equal({ account: 'cash_on_hand', debit: 550 });
+        });
+
+        it('should balance and report a fine paid by card and then partly refunded', () => {
+            const payment = cardPayment();
+            const refund = new Refund({ paymentId: payment._id, amount: 100, reason: 'Penalty applied in error', status: 'processed' });
+            const entries = [
+                ...ledger.assessmentEntries(challan, { fine: 0, penalty: 0 }, 0),
+                ...ledger.paymentEntries(payment, challan),
+                ledger.refundEntry(refund, payment, challan)
+            ];
+            expect(ledger.refundEntry(new Refund({ amount: 100, status: 'pending_approval' }), payment, challan)).to.be.null;
+
+            const trialBalance = ledger.trialBalance(linesOf(entries));
+            expect(trialBalance).to.include({ totalDebit: 565, totalCredit: 565, balanced: true });
+            expect(trialBalance.accounts.find(account => account.account === 'gateway_clearing'))
+                .to.include({ debit: 450, credit: 0, balance: 450 });
+            expect(trialBalance.accounts.find(account => account.account === 'fine_revenue'))
+                .to.include({ debit: 0, credit: 500, balance: 500 });
+
+            expect(ledger.summarize(linesOf(entries))).to.deep.equal({
+                finesAssessed: 500,
+                penaltiesAssessed: 50,
+                waived: 0,
+                collected: 550,
+                refunded: 100,
+                netCollected: 450,
+                feesCharged: 15,
+                gatewayFees: 15,
+                outstanding: 0,
+                netRevenue: 450
+            });
+        });
+
+        it('should summarise aggregated rows per group', () => {
+            const byGateway = ledger.summarizeBy([
+                { key: 'simulator', account: 'gateway_clearing', debit: 200, credit: 0 },
+                { key: 'simulator', account: 'fines_receivable', debit: 0, credit: 200 },
+                { key: null, account: 'fines_receivable', debit: 300, credit: 0 },
+                { key: null, account: 'fine_revenue', debit: 0, credit: 300 }
+            ]);
+
+            expect(byGateway.simulator).to.include({ collected: 200, outstanding: -200 });
+            expect(byGateway.none).to.include({ finesAssessed: 300, outstanding: 300 });
+        });
+    });
+
+    describe('Settlement Reconciliation', () => {
+        const parser = new SettlementFileParser();
+        const reconciler = new SettlementReconciler();
+        const payment = (overrides = {}) => new Payment({
+            transactionId: `TXN-RECON-${new mongoose.Types.ObjectId()}`,
+            challanId: new mongoose.Types.ObjectId(),
+            citizenId: new mongoose.Types.ObjectId(),
+            amount: 500,
+            fee: 15,
+            totalAmount: 515,
+            paymentMethod: 'credit_card',
+            gateway: 'stripe',
+            gatewayTransactionId: 'ch_1',
+            status: 'completed',
+            ...overrides
+        });
+        const settlement = (overrides = {}) => ({
+            gateway: 'stripe',
+            transactionId: 'ch_1',
+            amount: 515,
+            refunded: null,
+            status: 'succeeded',
+            settledAt: new Date('2026-10-18T10:00:00Z'),
+            ...overrides
+        });
+        const typesOf = result => result.discrepancies.map(discrepancy => discrepancy.type);
+
+        it('should read settlement CSV files with quoted fields and report bad rows by line', () => {
+            const csv = '﻿Transaction ID,Amount,Status,Settlement Date,Description\r\n' +
+                'ch_1,515.00,succeeded,2026-10-18T10:00:00Z,"Fine, red light"\r\n' +
+                'ch_2,abc,succeeded,2026-10-18T11:00:00Z,Bad amount\r\n' +
+                'ch_3,50,refused,2026-10-18T12:00:00Z,"Said ""no"""\r\n' +
+                'ch_4,20,failed,,\r\n';
+
+            const { rows, errors } = parser.parse(csv, 'stripe_2026-10-18.csv');
+
+            expect(rows.map(row => row.transactionId)).to.deep.equal(['ch_1', 'ch_4']);
+            expect(rows[0]).to.include({ gateway: 'stripe', amount: 515, status: 'succeeded', refunded: null, line: 2 });
+            expect(rows[1].settledAt).to.be.null;
+            expect(errors).to.deep.equal([
+                { file: 'stripe_2026-10-18.csv', line: 3, message: 'Invalid amount for ch_2' },
+                { file: 'stripe_2026-10-18.csv', line: 4, message: "Unknown status 'refused' for ch_3" }
+            ]);
+        });
+
+        it('should read JSON settlement files with the gateway named in the file', () => {
+            const json = JSON.stringify({
+                gateway: 'PayPal',
+                transactions: [{ id: 'PAY-1', gross: '99.5', amount_refunded: 10, state: 'completed' }, { amount: 5 }]
+            });
+
+            const { rows, errors } = parser.parse(json, 'settlement.json');
+
+            expect(rows).to.have.length(1);
+            expect(rows[0]).to.include({ gateway: 'paypal', transactionId: 'PAY-1', amount: 99.5, refunded: 10, line: 1 });
+            expect(errors[0]).to.include({ line: 2, message: 'Missing transaction id' });
+            expect(parser.parse('{"transactions": 1}', 'x.json').errors[0].message).to.equal('Expected an array of transactions');
+        });
+
+        it('should match settlements to payments by gateway transaction id', () => {
+            const result = reconciler.reconcile(
+                [settlement({ refunded: 100 })],
+                [payment({ refundAmount: 100, status: 'partially_refunded' })]
+            );
+
+            expect(result.discrepancies).to.be.empty;
+            expect(result.totals).to.include({ settlements: 1, settledAmount: 515, matched: 1 });
+        });
+
+        it('should not flag a batch checkout charge split across payments from one intent', () => {
+            const paymentIntentId = new mongoose.Types.ObjectId();
+            const result = reconciler.reconcile(
+                [settlement({ amount: 815 })],
+                [payment({ paymentIntentId }), payment({ paymentIntentId, amount: 300, fee: 0, totalAmount: 300 })]
+            );
+
+            expect(result.discrepancies).to.be.empty;
+        });
+
+        it('should flag missing, duplicate and mismatched transactions with the action to take', () => {
+            const result = reconciler.reconcile([
+                settlement({ transactionId: 'ch_unknown', amount: 40, file: 'stripe.csv', line: 7 }),
+                settlement({ transactionId: 'ch_dup' }),
+                settlement({ transactionId: 'ch_dup' }),
+                settlement({ transactionId: 'ch_short', amount: 500 }),
+                settlement({ transactionId: 'ch_refund', refunded: 50 }),
+                settlement({ transactionId: 'ch_two', amount: 1030 }),
+                settlement({ transactionId: 'ch_failed', status: 'failed' }),
+                settlement({ transactionId: 'ch_pending', status: 'pending', amount: 1 })
+            ], [
+                payment({ gatewayTransactionId: 'ch_dup' }),
+                payment({ gatewayTransactionId: 'ch_short' }),
+                payment({ gatewayTransactionId: 'ch_refund' }),
+                payment({ gatewayTransactionId: 'ch_two' }),
+                payment({ gatewayTransactionId: 'ch_two' }),
+                payment({ gatewayTransactionId: 'ch_failed' }),
+                payment({ gatewayTransactionId: 'ch_pending', status: 'pending' }),
+                payment({ gatewayTransactionId: 'ch_unsettled' }),
+                payment({ gatewayTransactionId: 'ch_declined', status: 'failed' })
+            ]);
+
+            expect(typesOf(result)).to.have.members([
+                'missing_payment',
+                'duplicate_settlement',
+                'amount_mismatch',
+                'refund_mismatch',
+                'duplicate_payment',
+                'status_mismatch',
+                'missing_settlement'
+            ]);
+            expect(result.matched).to.equal(0);
+
+            const find = type => result.discrepancies.find(discrepancy => discrepancy.type === type);
+            expect(find('missing_payment')).to.include({ gatewayTransactionId: 'ch_unknown', source: 'stripe.csv:7', action: 'record_or_refund' });
+            expect(find('amount_mismatch')).to.include({ expectedAmount: 515, reportedAmount: 500, difference: -15, action: 'correct_amount' });
+            expect(find('refund_mismatch')).to.include({ expectedAmount: 0, reportedAmount: 50 });
+            expect(find('duplicate_payment').paymentIds).to.have.length(2);
+            expect(find('status_mismatch')).to.include({ gatewayTransactionId: 'ch_failed', ourStatus: 'completed', gatewayStatus: 'failed' });
+            expect(find('missing_settlement')).to.include({ gatewayTransactionId: 'ch_unsettled', expectedAmount: 515, action: 'confirm_with_gateway' });
+        });
+
+        it('should flag a settled charge recorded as failed, and only expect settlements for a whole period', () => {
+            const failedPayment = payment({ status: 'failed' });
+
+            const result = reconciler.reconcile([settlement()], [failedPayment, payment({ gatewayTransactionId: 'ch_other' })], { expectAll: false });
+
+            expect(typesOf(result)).to.deep.equal(['status_mismatch']);
+            expect(result.discrepancies[0].paymentIds).to.deep.equal([failedPayment._id]);
+        });
+
+        it('should keep a report open until every discrepancy is resolved or dismissed', () => {
+            const adminId = new mongoose.Types.ObjectId();
+            const result = reconciler.reconcile([settlement({ transactionId: 'ch_unknown' }), settlement({ amount: 1 })], [payment()]);
+            const report = new ReconciliationReport({ source: 'files', totals: result.totals, discrepancies: result.discrepancies });
+            expect(report.validateSync()).to.be.undefined;
+            expect(report.refreshStatus()).to.equal('needs_attention');
+
+            const [first, second] = report.discrepancies;
+            const attempt = (id, update) => {
+                try {
+                    report.resolveDiscrepancy(id, update, adminId);
+                } catch (error) {
+                    return error.statusCode;
+                }
+            };
+            expect(attempt(new mongoose.Types.ObjectId(), { status: 'resolved', note: 'Done' })).to.equal(404);
+            expect(attempt(first._id, { status: 'open', note: 'Done' })).to.equal(400);
+            expect(attempt(first._id, { status: 'resolved', note: ' ' })).to.equal(400);
+
+            report.resolveDiscrepancy(first._id, { status: 'resolved', note: 'Refunded the payer' }, adminId);
+            expect(first).to.include({ status: 'resolved', resolutionNote: 'Refunded the payer' });
+            expect(report.status).to.equal('needs_attention');
+            expect(attempt(first._id, { status: 'dismissed', note: 'Again' })).to.equal(409);
+
+            report.resolveDiscrepancy(second._id, { status: 'dismissed', note: 'Gateway rounding' }, adminId);
+            expect(report.status).to.equal('resolved');
+            const [, dismissed] = report.toJSON().discrepancies;
+            expect(String(dismissed.id)).to.equal(String(second._id));
+            expect(dismissed.status).to.equal('dismissed');
+            expect(new ReconciliationReport({ source: 'gateway' }).refreshStatus()).to.equal('clean');
+        });
+
+        it('should list settlement files in the inbox and move them aside once imported', async () => {
+            const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'settlements-'));
+            try {
+                await fs.writeFile(path.join(directory, 'stripe_2026-10-18.csv'), 'id,amount\nch_1,515\n');
+                await fs.writeFile(path.join(directory, 'notes.txt'), 'not a settlement');
+                const inbox = new SettlementFileInbox(directory);
+
+                expect(await inbox.list()).to.deep.equal(['stripe_2026-10-18.csv']);
+                const { content, sha256 } = await inbox.read('stripe_2026-10-18.csv');
+                expect(content).to.equal('id,amount\nch_1,515\n');
+                expect(sha256).to.have.length(64);
+
+                await inbox.markImported('stripe_2026-10-18.csv', new Date('2026-10-19T02:00:00Z'));
+                expect(await inbox.list()).to.be.empty;
+                expect(await fs.readdir(path.join(directory, 'imported')))
+                    .to.deep.equal(['2026-10-19T02-00-00-000Z_stripe_2026-10-18.csv']);
+            } finally {
+                await fs.rm(directory, { recursive: true, force: true });
+            }
+        });
+    });
+
+    // Each payment route driven through the facade, with the database calls replaced
+    describe('Facade payment paths', () => {
+        const facade = new EChallanFacade();
+        const citizen = new User({ name: 'Path Citizen', email: 'path@example.com', password: 'secret123', role: 'citizen' });
+        const card = { cardNumber: '4242424242424242', cvv: '123', holderName: 'Path Citizen' };
+        const saved = [];
+        let challan;
+
+        beforeEach(() => {
+            challan = new Challan({
+                challanNumber: 'CH-PATH-1',
+                citizenId: citizen._id,
+                officerId: new mongoose.Types.ObjectId(),
+                vehicleNumber: 'ABC123',
+                violationType: 'Speeding',
+                location: 'Highway 1',
+                dueDate: new Date(Date.now() + 30 * DAY_MS),
+                offences: [{ itemNumber: 1, violationType: 'Speeding', baseFineAmount: 1000, fineAmount: 1000 }]
+            });
+            challan.applyOffenceCombination(OffenceCombinationRuleFactory.createRule('sum'));
+            challan.save = async function () { return this; };
+            saved.length = 0;
+
+            replace(User, 'findById', async () => citizen);
+            replace(Challan, 'findById', async () => challan);
+            replace(Payment.prototype, 'save', async function () { saved.push(this); return this; });
+            replace(facade, 'withChallanPaymentLock', async (challanId, pay) => pay(challan));
+            replace(facade, 'assertNoPendingPayment', async () => {});
+            replace(facade, 'recordLedger', async () => {});
+            replace(facade, 'notificationSubject', { notifyObservers: () => {} });
+        });
+
+        afterEach(restoreReplaced);
+
+        describe('/process', () => {
+            const pay = (details, extra = {}) => facade.processPayment(citizen._id.toString(), challan._id.toString(), {
+                method: 'credit_card',
+                details,
+                ...extra
+            });
+
+            it('should refuse bad card details even when a gateway is named', async () => {
+                const result = await pay({}, { gateway: 'stripe' });
+
+                expect(result).to.include({ success: false, error: 'Invalid card number' });
+                expect(challan.status).to.equal('pending');
+                expect(saved).to.be.empty;
+            });
+
+            it('should charge the payment method\'s fee on top of the fine', async () => {
+                const result = await pay(card, { gateway: 'stripe' });
+
+                expect(result.success).to.be.true;
+                expect(result.payment).to.include({ amount: 1000, fee: 29, totalAmount: 1029, status: 'completed' });
+                expect(challan).to.include({ status: 'paid', amountPaid: 1000 });
+            });
+        });
+
+        describe('/retry', () => {
+            let declined;
+            let locks;
+
+            beforeEach(() => {
+                declined = new Payment({
+                    transactionId: 'CC_DECLINED',
+                    challanId: challan._id,
+                    citizenId: citizen._id,
+                    amount: 1000,
+                    totalAmount: 1029,
+                    paymentMethod: 'credit_card',
+                    status: 'failed'
+                });
+                locks = 0;
+                replace(Payment, 'findById', async () => declined);
+                replace(facade, 'withChallanPaymentLock', async (challanId, pay) => {
+                    locks += 1;
+                    return pay(challan);
+                });
+            });
+
+            const retry = () => facade.retryPayment(citizen._id.toString(), declined._id.toString(), {
+                method: 'credit_card',
+                details: card
+            });
+
+            it('should charge what is outstanding now, under the challan\'s payment lock', async () => {
+                // Overdue since the declined attempt, so a late penalty has accrued
+                challan.dueDate = new Date(Date.now() - 20 * DAY_MS);
+
+                const result = await retry();
+
+                expect(result.success).to.be.true;
+                expect(locks).to.equal(1);
+                expect(challan.penaltyAmount).to.be.above(0);
+                expect(result.payment.amount).to.equal(challan.fineAmount);
+                expect(result.payment.allocations.map(allocation => allocation.amount)).to.deep.equal([1000]);
+                expect(challan).to.include({ status: 'paid', amountPaid: challan.fineAmount });
+                expect(result.originalPaymentId).to.equal(declined._id.toString());
+            });
+
+            it('should not charge twice when the retry is submitted again', async () => {
+                await retry();
+                const again = await retry();
+
+                expect(again).to.include({ success: false, statusCode: 409 });
+                expect(saved).to.have.length(1);
+            });
+
+            it('should refuse a challan that has since been put on a payment plan', async () => {
+                challan.transitionTo('payment_plan', { actorRole: 'admin' });
+
+                const result = await retry();
+
+                expect(result).to.include({
+                    success: false,
+                    statusCode: 409,
+                    error: 'Challan is on an active payment plan, pay the next installment instead'
+                });
+                expect(challan.status).to.equal('payment_plan');
+                expect(saved).to.be.empty;
+            });
+
+            it('should only retry the citizen\'s own failed payments', async () => {
+                declined.status = 'completed';
+                expect(await retry()).to.include({ success: false, statusCode: 400 });
+
+                declined.status = 'failed';
+                declined.citizenId = new mongoose.Types.ObjectId();
+                expect(await retry()).to.include({ success: false, statusCode: 403 });
+                expect(saved).to.be.empty;
+            });
+        });
+
+        describe('installments', () => {
+            const config = ConfigurationManager.getInstance();
+            let plan;
+
+            before(() => config.set('payments.gateway', 'simulator'));
+            after(() => config.set('payments.gateway', null));
+
+            beforeEach(() => {
+                replace(PaymentGatewayFactory, 'simulatorAPI', new SimulatedGatewayAPI({ timeoutMs: 5, settlementDelayMs: 60000 }));
+                plan = new PaymentPlan({ challanId: challan._id, citizenId: citizen._id, numberOfInstallments: 2, intervalDays: 30 });
+                plan.generateSchedule(1000, new Date());
+                plan.status = 'active';
+                plan.save = async function () { return this; };
+                challan.transitionTo('payment_plan', { actorRole: 'admin' });
+                replace(PaymentPlan, 'findById', async () => plan);
+            });
+
+            const payInstallment = cardNumber => facade.payInstallment(citizen._id.toString(), plan._id.toString(), {
+                method: 'credit_card',
+                details: { ...card, cardNumber }
+            });
+
+            it('should charge the installment through the configured gateway with the strategy fee', async () => {
+                const result = await payInstallment('4242424242424242');
+
+                expect(result.success).to.be.true;
+                expect(result.payment).to.include({ amount: 500, fee: 14.5, totalAmount: 514.5, gateway: 'simulator', status: 'completed' });
+                expect(result.payment.allocations.map(allocation => allocation.amount)).to.deep.equal([500]);
+                expect(plan.getNextInstallment().number).to.equal(2);
+                expect(challan).to.include({ status: 'payment_plan', amountPaid: 500 });
+            });
+
+            it('should save a declined installment as a failed payment and leave it unpaid', async () => {
+                const result = await payInstallment('4000000000000002');
+
+                expect(result).to.include({ success: false, statusCode: 402 });
+                expect(saved).to.have.length(1);
+                expect(saved[0]).to.include({ status: 'failed', installmentNumber: 1, gateway: 'simulator' });
+                expect(saved[0].failureReason).to.equal('Your card was declined');
+                expect(plan.getNextInstallment().number).to.equal(1);
+                expect(challan.amountPaid).to.equal(0);
+            });
+
+            it('should pay an installment that settles later once the gateway confirms it', async () => {
+                const result = await payInstallment('4000000000000202');
+
+                expect(result.success).to.be.true;
+                expect(result.payment.status).to.equal('pending');
+                expect(plan.getNextInstallment().number).to.equal(1);
+
+                const [payment] = saved;
+                const outcome = await facade.applyGatewayEvent(payment, challan, {
+                    eventId: 'evt_installment',
+                    type: 'payment.succeeded',
+                    transactionId: payment.gatewayTransactionId
+                });
+
+                expect(outcome).to.equal('completed');
+                expect(plan.getNextInstallment().number).to.equal(2);
+                expect(challan).to.include({ status: 'payment_plan', amountPaid: 500 });
+            });
+        });
+    });
+});
@@ -0,0 +1,189 @@
+// test/webhook.test.js - Unit Tests for Payment Gateway Webhooks
+const { expect } = require('chai');
+const mongoose = require('mongoose');
+const { Payment } = require('../models/Payment');
+const { PaymentWebhookFactory } = require('../services/paymentWebhooks');
+const { WebhookSimulator } = require('../services/webhookSimulator');
+const { EChallanFacade, ConfigurationManager } = require('../patterns/DesignPatterns');
+
+const SECRET = 'whsec_test';
+
+// Express lower-cases incoming header names
+const lowerCaseHeaders = headers => Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+describe('Webhook Unit Tests', () => {
+
+    ['stripe', 'paypal'].forEach(gateway => {
+        describe(`Signatures - ${gateway}`, () => {
+            const adapter = PaymentWebhookFactory.createAdapter(gateway, { secret: SECRET });
+            const simulator = new WebhookSimulator({ gateway, secret: SECRET });
+
+            it('should accept a signed delivery and read back the event', () => {
+                const { body, headers } = simulator.buildDelivery({
+                    eventId: 'evt_1', type: 'payment.refunded', transactionId: 'txn_1', amount: 250.5
+                });
+
+                adapter.verifySignature(body, lowerCaseHeaders(headers));
+                const event = adapter.parseEvent(JSON.parse(body));
+
+                expect(event).to.include({ eventId: 'evt_1', type: 'payment.refunded', transactionId: 'txn_1', amount: 250.5 });
+            });
+
+            it('should read dispute outcomes', () => {
+                ['dispute.opened', 'dispute.won', 'dispute.lost'].forEach(type => {
+                    const { body } = simulator.buildDelivery({ type, transactionId: 'txn_1', amount: 100, reason: 'fraudulent' });
+                    const event = adapter.parseEvent(JSON.parse(body));
+
+                    expect(event.type).to.equal(type);
+                    expect(event.transactionId).to.equal('txn_1');
+                    expect(event.disputeId).to.exist;
+                });
+            });
+
+            it('should reject a body changed after signing', () => {
+                const { body, headers } = simulator.buildDelivery({ type: 'payment.succeeded', transactionId: 'txn_1', amount: 100 });
+                const altered = body.replace('txn_1', 'txn_2');
+
+                expect(() => adapter.verifySignature(altered, lowerCaseHeaders(headers))).to.throw('Invalid webhook signature');
+            });
+
+            it('should reject deliveries signed with another secret or replayed later', () => {
+                const forged = new WebhookSimulator({ gateway, secret: 'other' })
+                    .buildDelivery({ type: 'payment.succeeded', transactionId: 'txn_1', amount: 100 });
+                const old = simulator.buildDelivery({ type: 'payment.succeeded', transactionId: 'txn_1', amount: 100 }, Date.now() - 10 * 60 * 1000);
+
+                expect(() => adapter.verifySignature(forged.body, lowerCaseHeaders(forged.headers))).to.throw('Invalid webhook signature');
+                expect(() => adapter.verifySignature(old.body, lowerCaseHeaders(old.headers))).to.throw('outside the allowed tolerance');
+                expect(() => adapter.verifySignature(old.body, {})).to.throw();
+            });
+        });
+    });
+
+    describe('Event Types', () => {
+        it('should ignore event types that need no action', () => {
+            const stripe = PaymentWebhookFactory.createAdapter('stripe', { secret: SECRET });
+            const paypal = PaymentWebhookFactory.createAdapter('paypal', { secret: SECRET });
+
+            expect(stripe.parseEvent({ id: 'evt_1', type: 'customer.created', data: { object: {} } })).to.be.null;
+            expect(paypal.parseEvent({ id: 'WH-1', event_type: 'BILLING.PLAN.CREATED', resource: {} })).to.be.null;
+        });
+
+        it('should read deliveries from the local gateway simulator', () => {
+            const { body, headers } = new WebhookSimulator({ gateway: 'simulator', secret: SECRET })
+                .buildDelivery({ type: 'payment.succeeded', transactionId: 'sim_ch_1', amount: 510 });
+            const adapter = PaymentWebhookFactory.createAdapter('simulator', { secret: SECRET });
+
+            adapter.verifySignature(body, lowerCaseHeaders(headers));
+            expect(adapter.getGatewayName()).to.equal('simulator');
+            expect(adapter.parseEvent(JSON.parse(body))).to.include({ type: 'payment.succeeded', transactionId: 'sim_ch_1', amount: 510 });
+        });
+
+        it('should refuse unknown gateways and gateways without a secret', () => {
+            expect(() => PaymentWebhookFactory.createAdapter('razorpay', { secret: SECRET })).to.throw('Unsupported payment gateway: razorpay');
+            expect(() => PaymentWebhookFactory.fromConfiguration('stripe', { secrets: {} })).to.throw('No webhook secret configured for stripe');
+        });
+    });
+
+    describe('Payment Model - Gateway Events', () => {
+        const buildPayment = (status) => new Payment({
+            transactionId: 'TXN-1',
+            challanId: new mongoose.Types.ObjectId(),
+            citizenId: new mongoose.Types.ObjectId(),
+            amount: 500,
+            totalAmount: 510,
+            paymentMethod: 'credit_card',
+            gateway: 'stripe',
+            gatewayTransactionId: 'ch_1',
+            status
+        });
+
+        it('should complete a pending payment and ask for the challan to be marked paid', () => {
+            const payment = buildPayment('pending');
+
+            expect(payment.applyGatewayEvent({ type: 'payment.succeeded' })).to.deep.equal({ outcome: 'completed', challanAction: 'paid' });
+            expect(payment.status).to.equal('completed');
+        });
+
+        it('should record why a pending payment failed', () => {
+            const payment = buildPayment('pending');
+
+            expect(payment.applyGatewayEvent({ type: 'payment.failed', reason: 'Card declined' }).outcome).to.equal('failed');
+            expect(payment.failureReason).to.equal('Card declined');
+        });
+
+        it('should ignore repeated and out-of-order events', () => {
+            expect(buildPayment('completed').applyGatewayEvent({ type: 'payment.succeeded' }).outcome).to.equal('ignored');
+            expect(buildPayment('completed').applyGatewayEvent({ type: 'payment.failed' }).outcome).to.equal('ignored');
+            expect(buildPayment('refunded').applyGatewayEvent({ type: 'payment.refunded' }).outcome).to.equal('ignored');
+        });
+
+        it('should refund a completed payment and release the challan', () => {
+            const payment = buildPayment('completed');
+
+            expect(payment.applyGatewayEvent({ type: 'payment.refunded', amount: 500 }))
+                .to.deep.equal({ outcome: 'refunded', challanAction: 'refunded' });
+            expect(payment.refundAmount).to.equal(500);
+        });
+
+        it('should keep the challan paid while only part of the payment is refunded', () => {
+            const payment = buildPayment('completed');
+
+            expect(payment.applyGatewayEvent({ type: 'payment.refunded', amount: 200 }))
+                .to.deep.equal({ outcome: 'partially_refunded', challanAction: null });
+            expect(payment).to.include({ status: 'partially_refunded', refundAmount: 200 });
+
+            // The amount is the running total on the charge, so a redelivery changes nothing
+            expect(payment.applyGatewayEvent({ type: 'payment.refunded', amount: 200 }).outcome).to.equal('ignored');
+            expect(payment.applyGatewayEvent({ type: 'payment.refunded', amount: 500 }))
+                .to.deep.equal({ outcome: 'refunded', challanAction: 'refunded' });
+            expect(payment.refundAmount).to.equal(500);
+        });
+
+        it('should hold a disputed payment until the dispute closes', () => {
+            const won = buildPayment('completed');
+            won.applyGatewayEvent({ type: 'dispute.opened', disputeId: 'dp_1', reason: 'fraudulent' });
+
+            expect(won.status).to.equal('disputed');
+            expect(won.applyGatewayEvent({ type: 'dispute.won' }).challanAction).to.be.null;
+            expect(won.status).to.equal('completed');
+
+            const lost = buildPayment('completed');
+            lost.applyGatewayEvent({ type: 'dispute.opened', disputeId: 'dp_2', amount: 500 });
+
+            expect(lost.applyGatewayEvent({ type: 'dispute.lost' })).to.deep.equal({ outcome: 'dispute_lost', challanAction: 'refunded' });
+            expect(lost.status).to.equal('refunded');
+            expect(lost.dispute.outcome).to.equal('lost');
+        });
+    });
+
+    describe('Facade - Webhook Receiver', () => {
+        const facade = new EChallanFacade();
+
+        before(() => ConfigurationManager.getInstance().set('webhooks.secrets', { stripe: SECRET, paypal: SECRET }));
+
+        it('should refuse unsigned or forged deliveries before touching any payment', async () => {
+            const forged = new WebhookSimulator({ gateway: 'stripe', secret: 'other' })
+                .buildDelivery({ type: 'payment.succeeded', transactionId: 'ch_1', amount: 500 });
+
+            const result = await facade.receiveGatewayWebhook('stripe', Buffer.from(forged.body), lowerCaseHeaders(forged.headers));
+
+            expect(result.success).to.be.false;
+            expect(result.statusCode).to.equal(401);
+        });
+
+        it('should report unknown gateways as not found', async () => {
+            const result = await facade.receiveGatewayWebhook('razorpay', Buffer.from('{}'), {});
+
+            expect(result.statusCode).to.equal(404);
+        });
+
+        it('should acknowledge event types it does not act on', async () => {
+            const body = JSON.stringify({ id: 'evt_9', type: 'customer.created', data: { object: {} } });
+            const headers = PaymentWebhookFactory.createAdapter('stripe', { secret: SECRET }).signPayload(body);
+
+            const result = await facade.receiveGatewayWebhook('stripe', Buffer.from(body), lowerCaseHeaders(headers));
+
+            expect(result).to.include({ success: true, outcome: 'ignored' });
+        });
+    });
+});
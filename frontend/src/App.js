@@ -9,6 +9,13 @@ import Challans from './pages/Challans';
 import Dashboard from './pages/Dashboard';
 import Profile from './pages/Profile';
 import PaymentHistory from './pages/PaymentHistory';
+import PublicLookup from './pages/PublicLookup';
+import VerifyChallan from './pages/VerifyChallan';
+import NetBankingBank from './pages/NetBankingBank';
+import NetBankingReturn from './pages/NetBankingReturn';
+import CashUp from './pages/CashUp';
+import TrialBalance from './pages/TrialBalance';
+import Reconciliation from './pages/Reconciliation';
 import './App.css';
 
 //comment for push
@@ -27,6 +34,11 @@ function App() {
                             <Route path="/" element={<Navigate to="/dashboard" replace />} />
                             <Route path="/login" element={<Login />} />
                             <Route path="/register" element={<Register />} />
+                            <Route path="/lookup" element={<PublicLookup />} />
+                            <Route path="/verify" element={<VerifyChallan />} />
+                            <Route path="/verify/:token" element={<VerifyChallan />} />
+                            <Route path="/netbanking/bank" element={<NetBankingBank />} />
+                            <Route path="/payments/netbanking/return" element={<NetBankingReturn />} />
                             <Route
                                 path="/dashboard"
                                 element={
@@ -59,6 +71,30 @@ function App() {
                                     </ProtectedRoute>
                                 }
                             />
+                            <Route
+                                path="/cash"
+                                element={
+                                    <ProtectedRoute roles={['officer', 'admin']}>
+                                        <CashUp />
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/ledger"
+                                element={
+                                    <ProtectedRoute roles={['admin']}>
+                                        <TrialBalance />
+                                    </ProtectedRoute>
+                                }
+                            />
+                            <Route
+                                path="/reconciliation"
+                                element={
+                                    <ProtectedRoute roles={['admin']}>
+                                        <Reconciliation />
+                                    </ProtectedRoute>
+                                }
+                            />
                         </Routes>
                     </div>
                 </div>
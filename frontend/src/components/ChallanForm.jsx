@@ -1,187 +1,327 @@
-import React, { useState } from 'react';
-import axios from 'axios';
-import { useAuth } from '../context/AuthContext';
-import API_BASE_URL from '../config/api';
-
-const ChallanForm = ({ onChallanCreated, onClose }) => {
-    const { user } = useAuth();
-    const [formData, setFormData] = useState({
-        citizenEmail: '',
-        vehicleNumber: '',
-        violationType: 'Speeding',
-        location: '',
-        fineAmount: '',
-        description: ''
-    });
-    const [loading, setLoading] = useState(false);
-
-    const violationTypes = [
-        'Speeding',
-        'Red Light Violation',
-        'Improper Parking',
-        'No Helmet',
-        'Mobile Phone Usage',
-        'Other'
-    ];
-
-    const handleSubmit = async (e) => {
-        e.preventDefault();
-        setLoading(true);
-
-        try {
-            const response = await axios.post(
-                `${API_BASE_URL}/challans`,
-                formData,
-                {
-                    headers: { Authorization: `Bearer ${user.token}` }
-                }
-            );
-
-            onChallanCreated(response.data);
-            setFormData({
-                citizenEmail: '',
-                vehicleNumber: '',
-                violationType: 'Speeding',
-                location: '',
-                fineAmount: '',
-                description: ''
-            });
-            onClose();
-        } catch (error) {
-            alert(error.response?.data?.message || 'Failed to create challan');
-        } finally {
-            setLoading(false);
-        }
-    };
-
-    return (
-        <div className="bg-white rounded-xl shadow-xl border border-gray-200">
-            <div className="flex justify-between items-center p-6 border-b border-gray-200">
-                <h2 className="text-xl font-semibold text-gray-900">Issue New E-Challan</h2>
-                <button
-                    onClick={onClose}
-                    className="text-gray-400 hover:text-gray-600 p-2 rounded-lg hover:bg-gray-100 transition-colors"
-                >
-                    X
-                </button>
-            </div>
-
-            <form onSubmit={handleSubmit} className="p-6 space-y-6">
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Citizen Email *
-                        </label>
-                        <input
-                            type="email"
-                            required
-                            value={formData.citizenEmail}
-                            onChange={(e) => setFormData({ ...formData, citizenEmail: e.target.value })}
-                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-                            placeholder="citizen@example.com"
-                        />
-                    </div>
-
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Vehicle Number *
-                        </label>
-                        <input
-                            type="text"
-                            required
-                            value={formData.vehicleNumber}
-                            onChange={(e) => setFormData({ ...formData, vehicleNumber: e.target.value })}
-                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-                            placeholder="ABC-1234"
-                        />
-                    </div>
-                </div>
-
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Violation Type *
-                        </label>
-                        <select
-                            value={formData.violationType}
-                            onChange={(e) => setFormData({ ...formData, violationType: e.target.value })}
-                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-                        >
-                            {violationTypes.map(type => (
-                                <option key={type} value={type}>{type}</option>
-                            ))}
-                        </select>
-                    </div>
-
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Fine Amount ($) *
-                        </label>
-                        <input
-                            type="number"
-                            required
-                            min="0"
-                            value={formData.fineAmount}
-                            onChange={(e) => setFormData({ ...formData, fineAmount: e.target.value })}
-                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-                            placeholder="500"
-                        />
-                    </div>
-                </div>
-
-                <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Location *
-                    </label>
-                    <input
-                        type="text"
-                        required
-                        value={formData.location}
-                        onChange={(e) => setFormData({ ...formData, location: e.target.value })}
-                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-                        placeholder="Street name, City"
-                    />
-                </div>
-
-                <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Additional Description
-                    </label>
-                    <textarea
-                        value={formData.description}
-                        onChange={(e) => setFormData({ ...formData, description: e.target.value })}
-                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-                        rows="4"
-                        placeholder="Additional details about the violation..."
-                    />
-                </div>
-
-                <div className="flex gap-3 pt-4 border-t border-gray-200">
-                    <button
-                        type="submit"
-                        disabled={loading}
-                        className="flex-1 bg-blue-600 text-white py-3 px-6 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed font-medium transition-colors flex items-center justify-center"
-                    >
-                        {loading ? (
-                            <>
-                                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                                Creating...
-                            </>
-                        ) : (
-                            'Issue Challan'
-                        )}
-                    </button>
-                    <button
-                        type="button"
-                        onClick={onClose}
-                        className="flex-1 bg-gray-100 text-gray-700 py-3 px-6 rounded-lg hover:bg-gray-200 font-medium transition-colors"
-                    >
-                        Cancel
-                    </button>
-                </div>
-            </form>
-        </div>
-    );
-};
-
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import API_BASE_URL from '../config/api';
+
+const emptyForm = {
+    vehicleNumber: '',
+    dateTime: '',
+    location: '',
+    deviceId: '',
+    description: ''
+};
+
+const ChallanForm = ({ onChallanCreated, onClose }) => {
+    const { user } = useAuth();
+    const [formData, setFormData] = useState(emptyForm);
+    // Each offence holds its violationType plus that type's own fields
+    const [offences, setOffences] = useState([]);
+    const [violationTypes, setViolationTypes] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    // Types, their fields and fine ranges come from the server-side violation type registry
+    useEffect(() => {
+        const fetchViolationTypes = async () => {
+            try {
+                const response = await axios.get(`${API_BASE_URL}/violation-types`, {
+                    headers: { Authorization: `Bearer ${user.token}` }
+                });
+                const types = response.data.violationTypes || [];
+                setViolationTypes(types);
+                setOffences(current => (current.length > 0 ? current : [{ violationType: types[0]?.name || '' }]));
+            } catch (error) {
+                alert(error.response?.data?.message || 'Failed to load violation types');
+            }
+        };
+
+        fetchViolationTypes();
+    }, [user.token]);
+
+    const getType = (name) => violationTypes.find(type => type.name === name);
+
+    const updateOffence = (index, changes) => {
+        setOffences(offences.map((offence, i) => (i === index ? { ...offence, ...changes } : offence)));
+    };
+
+    // Drop the type-specific fields when switching type so stale values are not sent
+    const handleTypeChange = (index, violationType) => {
+        setOffences(offences.map((offence, i) => (i === index ? { violationType } : offence)));
+    };
+
+    const addOffence = () => {
+        const unused = violationTypes.find(type => !offences.some(offence => offence.violationType === type.name));
+        setOffences([...offences, { violationType: (unused || violationTypes[0])?.name || '' }]);
+    };
+
+    const removeOffence = (index) => {
+        setOffences(offences.filter((_, i) => i !== index));
+    };
+
+    const renderField = (offence, index) => (field) => {
+        const label = `${field.label}${field.unit ? ` (${field.unit})` : ''}${field.required ? ' *' : ''}`;
+        const value = offence[field.name] ?? '';
+        const setValue = (fieldValue) => updateOffence(index, { [field.name]: fieldValue });
+
+        if (field.type === 'boolean') {
+            return (
+                <label key={field.name} className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                    <input
+                        type="checkbox"
+                        checked={offence[field.name] ?? true}
+                        onChange={(e) => setValue(e.target.checked)}
+                        className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    {field.label}
+                </label>
+            );
+        }
+
+        return (
+            <div key={field.name}>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {label}
+                </label>
+                {field.type === 'enum' ? (
+                    <select
+                        required={field.required}
+                        value={value}
+                        onChange={(e) => setValue(e.target.value)}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                    >
+                        <option value="">Select...</option>
+                        {field.options.map(option => (
+                            <option key={option} value={option}>{option}</option>
+                        ))}
+                    </select>
+                ) : (
+                    <input
+                        type={field.type === 'number' ? 'number' : 'text'}
+                        required={field.required}
+                        min={field.min}
+                        max={field.max}
+                        value={value}
+                        onChange={(e) => setValue(e.target.value)}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                    />
+                )}
+            </div>
+        );
+    };
+
+    // Speed and red-light readings can name the device that took them, so its calibration is checked
+    const needsDevice = offences.some(offence =>
+        violationTypes.find(type => type.name === offence.violationType)?.requiresCalibratedDevice
+    );
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/challans`,
+                {
+                    ...formData,
+                    deviceId: needsDevice && formData.deviceId ? formData.deviceId : undefined,
+                    violationType: offences[0]?.violationType,
+                    offences
+                },
+                {
+                    headers: { Authorization: `Bearer ${user.token}` }
+                }
+            );
+
+            onChallanCreated(response.data);
+            setFormData(emptyForm);
+            setOffences([{ violationType: violationTypes[0]?.name || '' }]);
+            onClose();
+        } catch (error) {
+            alert(error.response?.data?.message || 'Failed to create challan');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="bg-white rounded-xl shadow-xl border border-gray-200">
+            <div className="flex justify-between items-center p-6 border-b border-gray-200">
+                <h2 className="text-xl font-semibold text-gray-900">Issue New E-Challan</h2>
+                <button
+                    onClick={onClose}
+                    className="text-gray-400 hover:text-gray-600 p-2 rounded-lg hover:bg-gray-100 transition-colors"
+                >
+                    X
+                </button>
+            </div>
+
+            <form onSubmit={handleSubmit} className="p-6 space-y-6">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Vehicle Number *
+                        </label>
+                        <input
+                            type="text"
+                            required
+                            value={formData.vehicleNumber}
+                            onChange={(e) => setFormData({ ...formData, vehicleNumber: e.target.value })}
+                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                            placeholder="ABC-1234"
+                        />
+                        <p className="mt-1 text-xs text-gray-500">The challan is issued to the vehicle's registered owner</p>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Violation Date & Time
+                        </label>
+                        <input
+                            type="datetime-local"
+                            value={formData.dateTime}
+                            onChange={(e) => setFormData({ ...formData, dateTime: e.target.value })}
+                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                        />
+                    </div>
+                </div>
+
+                {offences.map((offence, index) => {
+                    const selectedType = getType(offence.violationType);
+
+                    return (
+                        <div key={index} className="border border-gray-200 rounded-lg p-4 space-y-4">
+                            <div className="flex justify-between items-center">
+                                <h3 className="text-sm font-semibold text-gray-900">Offence {index + 1}</h3>
+                                {offences.length > 1 && (
+                                    <button
+                                        type="button"
+                                        onClick={() => removeOffence(index)}
+                                        className="text-sm text-red-600 hover:text-red-800"
+                                    >
+                                        Remove
+                                    </button>
+                                )}
+                            </div>
+
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                        Violation Type *
+                                    </label>
+                                    <select
+                                        value={offence.violationType}
+                                        onChange={(e) => handleTypeChange(index, e.target.value)}
+                                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                                    >
+                                        {violationTypes.map(type => (
+                                            <option key={type.name} value={type.name}>{type.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+
+                                {selectedType && (
+                                    <div className="bg-gray-50 rounded-lg px-4 py-3 text-sm text-gray-600">
+                                        <p>{selectedType.description}</p>
+                                        <p className="mt-1 font-medium text-gray-900">
+                                            Fine: ${selectedType.minFine}
+                                            {selectedType.maxFine ? ` - $${selectedType.maxFine}` : ''}
+                                            {' '}· {selectedType.demeritPoints} demerit point{selectedType.demeritPoints === 1 ? '' : 's'}
+                                        </p>
+                                    </div>
+                                )}
+                            </div>
+
+                            {selectedType && selectedType.fields.length > 0 && (
+                                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                                    {selectedType.fields.map(renderField(offence, index))}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+
+                <div className="flex justify-between items-center">
+                    <button
+                        type="button"
+                        onClick={addOffence}
+                        disabled={violationTypes.length === 0}
+                        className="text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                    >
+                        + Add another offence
+                    </button>
+                    <p className="text-xs text-gray-500">Fines are calculated from the fine schedule when the challan is issued</p>
+                </div>
+
+                {needsDevice && (
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Device ID
+                        </label>
+                        <input
+                            type="text"
+                            value={formData.deviceId}
+                            onChange={(e) => setFormData({ ...formData, deviceId: e.target.value.toUpperCase() })}
+                            className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                            placeholder="e.g. RADAR-0007"
+                        />
+                        <p className="mt-1 text-xs text-gray-500">
+                            Radar gun or camera that took the reading. Readings from a device out of calibration are refused.
+                        </p>
+                    </div>
+                )}
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Location *
+                    </label>
+                    <input
+                        type="text"
+                        required
+                        value={formData.location}
+                        onChange={(e) => setFormData({ ...formData, location: e.target.value })}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                        placeholder="Street name, City"
+                    />
+                </div>
+
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Additional Description
+                    </label>
+                    <textarea
+                        value={formData.description}
+                        onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                        rows="4"
+                        placeholder="Additional details about the violation..."
+                    />
+                </div>
+
+                <div className="flex gap-3 pt-4 border-t border-gray-200">
+                    <button
+                        type="submit"
+                        disabled={loading || offences.length === 0}
+                        className="flex-1 bg-blue-600 text-white py-3 px-6 rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed font-medium transition-colors flex items-center justify-center"
+                    >
+                        {loading ? (
+                            <>
+                                <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                                Creating...
+                            </>
+                        ) : (
+                            'Issue Challan'
+                        )}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        className="flex-1 bg-gray-100 text-gray-700 py-3 px-6 rounded-lg hover:bg-gray-200 font-medium transition-colors"
+                    >
+                        Cancel
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
 export default ChallanForm;
\ No newline at end of file
@@ -1,611 +1,902 @@
-import React, { useState } from 'react';
-import axios from 'axios';
-import { useAuth } from '../context/AuthContext';
-import API_BASE_URL from '../config/api';
-
-const ChallanList = ({ challans, onChallanUpdate }) => {
-    const { user } = useAuth();
-    const [payingChallan, setPayingChallan] = useState(null);
-    const [paymentMethod, setPaymentMethod] = useState('Card');
-    const [paymentLoading, setPaymentLoading] = useState(false);
-    const [editingChallan, setEditingChallan] = useState(null);
-    const [editFormData, setEditFormData] = useState({});
-    const [editLoading, setEditLoading] = useState(false);
-
-    // Debug logging
-    console.log('ChallanList render - payingChallan state:', payingChallan);
-    console.log('User role:', user?.role);
-
-    const getStatusBadge = (status) => {
-        // Add null/undefined check
-        if (!status) {
-            status = 'pending'; // Default to pending if status is missing
-        }
-
-        const statusConfig = {
-            pending: {
-                bg: 'bg-amber-50',
-                text: 'text-amber-700',
-                border: 'border-amber-200'
-            },
-            paid: {
-                bg: 'bg-green-50',
-                text: 'text-green-700',
-                border: 'border-green-200'
-            },
-            disputed: {
-                bg: 'bg-red-50',
-                text: 'text-red-700',
-                border: 'border-red-200'
-            },
-            cancelled: {
-                bg: 'bg-gray-50',
-                text: 'text-gray-700',
-                border: 'border-gray-200'
-            }
-        };
-
-        const config = statusConfig[status] || statusConfig.pending;
-
-        return (
-            <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium border ${config.bg} ${config.text} ${config.border}`}>
-                {status.charAt(0).toUpperCase() + status.slice(1)}
-            </span>
-        );
-    };
-
-    const handlePayment = async (challanId) => {
-        setPaymentLoading(true);
-        try {
-            // Prepare payment data based on selected method
-            let paymentDetails = {};
-            let gatewayType = 'stripe';
-
-            if (paymentMethod === 'Card') {
-                paymentDetails = {
-                    cardNumber: '4111111111111111', // Test card number
-                    cvv: '123',
-                    expiryDate: '12/25',
-                    holderName: 'Test User'
-                };
-            } else if (paymentMethod === 'Digital Wallet') {
-                paymentDetails = {
-                    upiId: 'user@paytm',
-                    pin: '1234'
-                };
-            } else {
-                paymentDetails = {
-                    bankAccount: '1234567890',
-                    ifsc: 'TEST0001'
-                };
-            }
-
-            const response = await axios.post(
-                `${API_BASE_URL}/payments/process`,
-                {
-                    challanId,
-                    paymentMethod: paymentMethod === 'Card' ? 'credit_card' :
-                        paymentMethod === 'Digital Wallet' ? 'upi' : 'net_banking',
-                    paymentDetails,
-                    gatewayType
-                },
-                {
-                    headers: { Authorization: `Bearer ${user.token}` }
-                }
-            );
-
-            // Success notification
-            const notification = document.createElement('div');
-            notification.className = 'fixed top-4 right-4 bg-green-500 text-white px-6 py-3 rounded-lg shadow-lg z-50';
-            notification.innerHTML = 'Payment successful!';
-            document.body.appendChild(notification);
-            setTimeout(() => notification.remove(), 3000);
-
-            onChallanUpdate(response.data.challan);
-            setPayingChallan(null);
-        } catch (error) {
-            console.error('Payment error:', error.response?.data);
-            alert(error.response?.data?.message || 'Payment failed');
-        } finally {
-            setPaymentLoading(false);
-        }
-    };
-
-    const handleDelete = async (challanId) => {
-        if (window.confirm('Are you sure you want to delete this challan? This action cannot be undone.')) {
-            try {
-                await axios.delete(`${API_BASE_URL}/challans/${challanId}`, {
-                    headers: { Authorization: `Bearer ${user.token}` }
-                });
-
-                // Success notification
-                const notification = document.createElement('div');
-                notification.className = 'fixed top-4 right-4 bg-red-500 text-white px-6 py-3 rounded-lg shadow-lg z-50';
-                notification.innerHTML = 'Challan deleted successfully!';
-                document.body.appendChild(notification);
-                setTimeout(() => notification.remove(), 3000);
-
-                onChallanUpdate('DELETE', challanId);
-            } catch (error) {
-                alert(error.response?.data?.message || 'Failed to delete challan');
-            }
-        }
-    };
-
-    const handleEdit = (challan) => {
-        setEditingChallan(challan._id);
-        setEditFormData({
-            violationType: challan.violationType,
-            location: challan.location,
-            fineAmount: challan.fineAmount,
-            description: challan.description,
-            status: challan.status
-        });
-    };
-
-    const handleEditSubmit = async (challanId) => {
-        setEditLoading(true);
-
-        try {
-            const updateData = {};
-            const currentChallan = challans.find(c => c._id === challanId);
-
-            if (editFormData.violationType && editFormData.violationType !== currentChallan.violationType) {
-                updateData.violationType = editFormData.violationType;
-            }
-
-            if (editFormData.location && editFormData.location !== currentChallan.location) {
-                updateData.location = editFormData.location;
-            }
-
-            if (editFormData.fineAmount && Number(editFormData.fineAmount) !== currentChallan.fineAmount) {
-                updateData.fineAmount = Number(editFormData.fineAmount);
-            }
-
-            if (editFormData.description !== currentChallan.description) {
-                updateData.description = editFormData.description || '';
-            }
-
-            if (editFormData.status && editFormData.status !== currentChallan.status) {
-                updateData.status = editFormData.status;
-            }
-
-            if (Object.keys(updateData).length === 0) {
-                setEditingChallan(null);
-                setEditFormData({});
-                setEditLoading(false);
-                return;
-            }
-
-            const response = await axios.put(
-                `${API_BASE_URL}/challans/${challanId}`,
-                updateData,
-                {
-                    headers: {
-                        Authorization: `Bearer ${user.token}`,
-                        'Content-Type': 'application/json'
-                    }
-                }
-            );
-
-            // Success notification
-            const notification = document.createElement('div');
-            notification.className = 'fixed top-4 right-4 bg-blue-500 text-white px-6 py-3 rounded-lg shadow-lg z-50';
-            notification.innerHTML = 'Challan updated successfully!';
-            document.body.appendChild(notification);
-            setTimeout(() => notification.remove(), 3000);
-
-            onChallanUpdate(response.data);
-            setEditingChallan(null);
-            setEditFormData({});
-
-        } catch (error) {
-            const errorMessage = error.response?.data?.message || 'Failed to update challan';
-            alert(`Update failed: ${errorMessage}`);
-        } finally {
-            setEditLoading(false);
-        }
-    };
-
-    const handleCancelEdit = () => {
-        setEditingChallan(null);
-        setEditFormData({});
-    };
-
-    const violationTypes = [
-        'Speeding',
-        'Red Light Violation',
-        'Improper Parking',
-        'No Helmet',
-        'Mobile Phone Usage',
-        'Other'
-    ];
-
-    const statusOptions = [
-        'pending',
-        'paid',
-        'disputed',
-        'cancelled'
-    ];
-
-    const formatDate = (date) => {
-        if (!date) return 'Not set';
-        const parsedDate = new Date(date);
-        if (isNaN(parsedDate.getTime())) return 'Invalid Date';
-
-        return parsedDate.toLocaleDateString('en-IN', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
-    };
-
-    const formatDateTime = (date) => {
-        if (!date) return 'Not set';
-        const parsedDate = new Date(date);
-        if (isNaN(parsedDate.getTime())) return 'Invalid Date';
-
-        return parsedDate.toLocaleDateString('en-IN', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
-    };
-
-    if (challans.length === 0) {
-        return (
-            <div className="text-center py-16">
-                <div className="w-20 h-20 mx-auto bg-gray-100 rounded-full flex items-center justify-center mb-4">
-                </div>
-                <h3 className="text-lg font-medium text-gray-900 mb-2">No challans found</h3>
-                <p className="text-gray-500 max-w-sm mx-auto">
-                    {user.role === 'citizen'
-                        ? "You don't have any traffic violations. Keep driving safely!"
-                        : "No challans have been issued yet."
-                    }
-                </p>
-            </div>
-        );
-    }
-
-    return (
-        <>
-            <div className="space-y-6">
-                {challans.map((challan) => {
-                    const isEditing = editingChallan === challan._id;
-                    
-                    // Debug logging for each challan
-                    console.log(`Challan ${challan._id || challan.id} - Status: ${challan.status}, User role: ${user?.role}`);
-                    console.log('Full challan object:', challan);
-
-                    return (
-                        <div key={challan._id} className={`bg-white rounded-xl shadow-sm border transition-all duration-200 hover:shadow-md ${isEditing ? 'border-blue-300 ring-2 ring-blue-100' : 'border-gray-200'}`}>
-                            {/* Header */}
-                            <div className={`px-6 py-4 border-b border-gray-200 ${isEditing ? 'bg-blue-50' : 'bg-gray-50'}`}>
-                                <div className="flex items-center justify-between">
-                                    <div className="flex items-center space-x-4">
-                                        <div className="w-12 h-12 bg-white rounded-lg flex items-center justify-center shadow-sm border border-gray-200">
-                                            <div className="text-blue-600">
-                                            </div>
-                                        </div>
-                                        <div>
-                                            <h3 className="text-lg font-semibold text-gray-900">
-                                                {challan.challanNumber}
-                                            </h3>
-                                            <p className="text-sm text-gray-600 flex items-center">
-                                                {isEditing ? (
-                                                    <select
-                                                        value={editFormData.violationType || challan.violationType}
-                                                        onChange={(e) => setEditFormData({ ...editFormData, violationType: e.target.value })}
-                                                        className="bg-white border border-gray-300 rounded px-2 py-1 text-sm mr-2"
-                                                    >
-                                                        {violationTypes.map(type => (
-                                                            <option key={type} value={type}>{type}</option>
-                                                        ))}
-                                                    </select>
-                                                ) : (
-                                                    <>
-                                                        {challan.violationType}
-                                                        <span className="mx-2">•</span>
-                                                    </>
-                                                )}
-                                                {challan.vehicleNumber}
-                                            </p>
-                                        </div>
-                                    </div>
-                                    {isEditing ? (
-                                        <select
-                                            value={editFormData.status || challan.status}
-                                            onChange={(e) => setEditFormData({ ...editFormData, status: e.target.value })}
-                                            className="bg-white border border-gray-300 rounded px-3 py-1 text-sm"
-                                        >
-                                            {statusOptions.map(status => (
-                                                <option key={status} value={status}>
-                                                    {status.charAt(0).toUpperCase() + status.slice(1)}
-                                                </option>
-                                            ))}
-                                        </select>
-                                    ) : (
-                                        getStatusBadge(challan.status)
-                                    )}
-                                </div>
-                            </div>
-
-                            {/* Content */}
-                            <div className="p-6">
-                                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
-                                    {/* Location */}
-                                    <div className="flex items-start space-x-3">
-                                        <div className="w-8 h-8 bg-blue-50 rounded-lg flex items-center justify-center mt-1">
-                                        </div>
-                                        <div className="flex-1 min-w-0">
-                                            <p className="text-sm font-medium text-gray-500">Location</p>
-                                            {isEditing ? (
-                                                <input
-                                                    type="text"
-                                                    value={editFormData.location || challan.location}
-                                                    onChange={(e) => setEditFormData({ ...editFormData, location: e.target.value })}
-                                                    className="w-full border border-gray-300 rounded px-2 py-1 text-sm font-medium mt-1"
-                                                />
-                                            ) : (
-                                                <p className="font-medium text-gray-900 truncate">{challan.location}</p>
-                                            )}
-                                        </div>
-                                    </div>
-
-                                    {/* Fine Amount */}
-                                    <div className="flex items-start space-x-3">
-                                        <div className="w-8 h-8 bg-red-50 rounded-lg flex items-center justify-center mt-1">
-                                        </div>
-                                        <div className="flex-1">
-                                            <p className="text-sm font-medium text-gray-500">Fine Amount</p>
-                                            {isEditing ? (
-                                                <input
-                                                    type="number"
-                                                    min="0"
-                                                    value={editFormData.fineAmount || challan.fineAmount}
-                                                    onChange={(e) => setEditFormData({ ...editFormData, fineAmount: e.target.value })}
-                                                    className="w-full border border-gray-300 rounded px-2 py-1 text-sm font-semibold text-red-600 mt-1"
-                                                />
-                                            ) : (
-                                                <p className="font-semibold text-red-600 text-lg">${challan.fineAmount}</p>
-                                            )}
-                                        </div>
-                                    </div>
-
-                                    {/* Date & Time */}
-                                    <div className="flex items-start space-x-3">
-                                        <div className="w-8 h-8 bg-gray-50 rounded-lg flex items-center justify-center mt-1">
-                                        </div>
-                                        <div>
-                                            <p className="text-sm font-medium text-gray-500">Date & Time</p>
-                                            <p className="font-medium text-gray-900">{formatDateTime(challan.dateTime)}</p>
-                                        </div>
-                                    </div>
-
-                                    {/* Due Date */}
-                                    <div className="flex items-start space-x-3">
-                                        <div className="w-8 h-8 bg-orange-50 rounded-lg flex items-center justify-center mt-1">
-                                        </div>
-                                        <div>
-                                            <p className="text-sm font-medium text-gray-500">Due Date</p>
-                                            <p className="font-medium text-gray-900">{formatDate(challan.dueDate)}</p>
-                                        </div>
-                                    </div>
-                                </div>
-
-                                {/* Description */}
-                                {(challan.description || isEditing) && (
-                                    <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
-                                        <p className="text-sm font-medium text-gray-600 mb-2">Additional Details</p>
-                                        {isEditing ? (
-                                            <textarea
-                                                value={editFormData.description || challan.description || ''}
-                                                onChange={(e) => setEditFormData({ ...editFormData, description: e.target.value })}
-                                                className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
-                                                rows="3"
-                                                placeholder="Additional details about the violation..."
-                                            />
-                                        ) : (
-                                            <p className="text-gray-800">{challan.description}</p>
-                                        )}
-                                    </div>
-                                )}
-
-                                {/* Actions */}
-                                <div className="flex items-center justify-between pt-4 border-t border-gray-200">
-                                    <div className="flex items-center space-x-4">
-                                        {challan.officerId && (
-                                            <div className="flex items-center text-sm text-gray-500">
-                                                Issued by: {challan.officerId.name}
-                                            </div>
-                                        )}
-                                    </div>
-
-                                    <div className="flex items-center space-x-3">
-                                        {isEditing ? (
-                                            <>
-                                                <button
-                                                    onClick={() => handleEditSubmit(challan._id)}
-                                                    disabled={editLoading}
-                                                    className="inline-flex items-center px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:opacity-50 transition-colors shadow-sm"
-                                                >
-                                                    {editLoading ? (
-                                                        <div className="flex items-center">
-                                                            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                                                            Saving...
-                                                        </div>
-                                                    ) : (
-                                                        <>
-                                                            Save Changes
-                                                        </>
-                                                    )}
-                                                </button>
-                                                <button
-                                                    onClick={handleCancelEdit}
-                                                    className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors shadow-sm"
-                                                >
-                                                    Cancel
-                                                </button>
-                                            </>
-                                        ) : (
-                                            <>
-                                                    {user.role === 'citizen' && challan.status === 'pending' && (
-                                                        <button
-                                                            onClick={(e) => {
-                                                                console.log('Pay Now button clicked!');
-                                                                console.log('Event:', e);
-                                                                const challanId = challan.id || challan._id;  // ← Fixed ID format
-                                                                console.log('Challan ID:', challanId);
-                                                                console.log('Current payingChallan state before:', payingChallan);
-                                                                setPayingChallan(challanId);                  // ← Using correct ID
-                                                                console.log('setPayingChallan called with:', challanId);
-                                                            }}
-                                                            className="inline-flex items-center px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 transition-colors shadow-sm"
-                                                            style={{ position: 'relative', zIndex: 10 }}
-                                                        >
-                                                            Pay Now
-                                                        </button>
-                                                    )}
-
-                                                {user.role === 'officer' && (
-                                                    <>
-                                                        <button
-                                                            onClick={() => handleEdit(challan)}
-                                                            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors shadow-sm"
-                                                        >
-                                                            Edit
-                                                        </button>
-                                                        <button
-                                                            onClick={() => handleDelete(challan._id)}
-                                                            className="inline-flex items-center px-4 py-2 bg-red-600 text-white text-sm font-medium rounded-lg hover:bg-red-700 transition-colors shadow-sm"
-                                                        >
-                                                            Delete
-                                                        </button>
-                                                    </>
-                                                )}
-
-                                                <button className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors">
-                                                    View Details
-                                                </button>
-                                            </>
-                                        )}
-                                    </div>
-                                </div>
-
-                                {/* Payment Success Message */}
-                                {challan.status === 'paid' && challan.paymentDate && (
-                                    <div className="mt-4 p-4 bg-green-50 border border-green-200 rounded-lg">
-                                        <div className="flex items-center">
-                                            <div>
-                                                <p className="text-sm font-medium text-green-800">
-                                                    Payment Completed
-                                                </p>
-                                                <p className="text-sm text-green-600">
-                                                    Paid on {formatDateTime(challan.paymentDate)}
-                                                </p>
-                                            </div>
-                                        </div>
-                                    </div>
-                                )}
-                            </div>
-                        </div>
-                    );
-                })}
-            </div>
-
-            {/* Payment Modal */}
-            {payingChallan && (
-                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-                    <div className="bg-white rounded-xl max-w-md w-full shadow-2xl">
-                        <div className="p-6">
-                            <div className="flex items-center justify-between mb-6">
-                                <h3 className="text-xl font-semibold text-gray-900">Process Payment</h3>
-                                <button
-                                    onClick={() => {
-                                        console.log('Closing payment modal');
-                                        setPayingChallan(null);
-                                    }}
-                                    className="text-gray-400 hover:text-gray-600 p-2 rounded-lg hover:bg-gray-100 transition-colors"
-                                >
-                                    X
-                                </button>
-                            </div>
-
-                            <div className="mb-6">
-                                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-                                    <div className="flex items-center justify-between">
-                                        <span className="text-blue-800 font-medium">Amount to Pay:</span>
-                                        <span className="text-2xl font-bold text-blue-900">
-                                            ${challans.find(c => (c.id || c._id) === payingChallan)?.fineAmount}
-                                        </span>
-                                    </div>
-                                </div>
-                            </div>
-
-                            <div className="mb-6">
-                                <label className="block text-sm font-medium text-gray-700 mb-3">
-                                    Payment Method
-                                </label>
-                                <div className="space-y-2">
-                                    {[
-                                        { value: 'Card', label: 'Credit/Debit Card' },
-                                        { value: 'Bank Transfer', label: 'Bank Transfer' },
-                                        { value: 'Digital Wallet', label: 'Digital Wallet' }
-                                    ].map((method) => (
-                                        <label key={method.value} className="flex items-center space-x-3 p-3 border border-gray-200 rounded-lg hover:bg-gray-50 cursor-pointer transition-colors">
-                                            <input
-                                                type="radio"
-                                                value={method.value}
-                                                checked={paymentMethod === method.value}
-                                                onChange={(e) => setPaymentMethod(e.target.value)}
-                                                className="text-blue-600"
-                                            />
-                                            <div className="text-gray-600"></div>
-                                            <span className="font-medium text-gray-900">{method.label}</span>
-                                        </label>
-                                    ))}
-                                </div>
-                            </div>
-
-                            <div className="flex space-x-3">
-                                <button
-                                    onClick={() => {
-                                        console.log('Processing payment for challan:', payingChallan);
-                                        handlePayment(payingChallan);
-                                    }}
-                                    disabled={paymentLoading}
-                                    className="flex-1 bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed font-medium transition-colors flex items-center justify-center"
-                                >
-                                    {paymentLoading ? (
-                                        <div className="flex items-center">
-                                            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                                            Processing...
-                                        </div>
-                                    ) : (
-                                        <>
-                                            Pay Now
-                                        </>
-                                    )}
-                                </button>
-                                <button
-                                    onClick={() => {
-                                        console.log('Canceling payment');
-                                        setPayingChallan(null);
-                                    }}
-                                    className="flex-1 bg-gray-100 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-200 font-medium transition-colors"
-                                >
-                                    Cancel
-                                </button>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            )}
-        </>
-    );
-};
-
+import React, { useState, useRef, useEffect } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import API_BASE_URL from '../config/api';
+
+// Payment dialog choices -> backend payment methods
+const methodCodes = { 'Card': 'credit_card', 'Bank Transfer': 'net_banking', 'Digital Wallet': 'upi' };
+
+const ChallanList = ({ challans, onChallanUpdate }) => {
+    const { user } = useAuth();
+    // Challans in the open payment dialog: one from its Pay Now button, or the ticked ones
+    const [payingChallans, setPayingChallans] = useState(null);
+    const [selectedChallans, setSelectedChallans] = useState([]);
+    const [quote, setQuote] = useState(null);
+    const [paymentMethod, setPaymentMethod] = useState('Card');
+    const [bankCode, setBankCode] = useState('SBI');
+    const [paymentLoading, setPaymentLoading] = useState(false);
+    // The open payment intent; confirming it twice cannot charge twice
+    const checkoutRef = useRef(null);
+    const [editingChallan, setEditingChallan] = useState(null);
+    const [editFormData, setEditFormData] = useState({});
+    const [editLoading, setEditLoading] = useState(false);
+    const [collectingChallan, setCollectingChallan] = useState(null);
+    const [cashForm, setCashForm] = useState({ receiptNumber: '', amountTendered: '', location: '' });
+    const [cashLoading, setCashLoading] = useState(false);
+    const cashKeyRef = useRef(null);
+
+    // Debug logging
+    console.log('ChallanList render - payingChallans state:', payingChallans);
+    console.log('User role:', user?.role);
+
+    const getStatusBadge = (status) => {
+        // Add null/undefined check
+        if (!status) {
+            status = 'pending'; // Default to pending if status is missing
+        }
+
+        const statusConfig = {
+            pending: {
+                bg: 'bg-amber-50',
+                text: 'text-amber-700',
+                border: 'border-amber-200'
+            },
+            overdue: {
+                bg: 'bg-orange-50',
+                text: 'text-orange-700',
+                border: 'border-orange-200'
+            },
+            paid: {
+                bg: 'bg-green-50',
+                text: 'text-green-700',
+                border: 'border-green-200'
+            },
+            disputed: {
+                bg: 'bg-red-50',
+                text: 'text-red-700',
+                border: 'border-red-200'
+            },
+            cancelled: {
+                bg: 'bg-gray-50',
+                text: 'text-gray-700',
+                border: 'border-gray-200'
+            },
+            refunded: {
+                bg: 'bg-blue-50',
+                text: 'text-blue-700',
+                border: 'border-blue-200'
+            },
+            payment_plan: {
+                bg: 'bg-purple-50',
+                text: 'text-purple-700',
+                border: 'border-purple-200'
+            }
+        };
+
+        const config = statusConfig[status] || statusConfig.pending;
+
+        return (
+            <span className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium border ${config.bg} ${config.text} ${config.border}`}>
+                {(status.charAt(0).toUpperCase() + status.slice(1)).replace('_', ' ')}
+            </span>
+        );
+    };
+
+    // The notice needs the auth header, so fetch the PDF and open it from a blob URL
+    const openNotice = async (challanId) => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/challans/${challanId}/notice.pdf`, {
+                headers: { Authorization: `Bearer ${user.token}` },
+                responseType: 'blob'
+            });
+            window.open(URL.createObjectURL(response.data), '_blank');
+        } catch (error) {
+            alert('Could not load the challan notice');
+        }
+    };
+
+    // The combined amount and fee for the challans being paid, charged as one payment
+    useEffect(() => {
+        if (!payingChallans) {
+            setQuote(null);
+            return;
+        }
+        let current = true;
+        axios.post(
+            `${API_BASE_URL}/payments/batch/quote`,
+            { challanIds: payingChallans, paymentMethod: methodCodes[paymentMethod] },
+            { headers: { Authorization: `Bearer ${user.token}` } }
+        )
+            .then((response) => current && setQuote(response.data.quote))
+            .catch(() => current && setQuote(null));
+        return () => { current = false; };
+    }, [payingChallans, paymentMethod, user.token]);
+
+    const toggleSelected = (challanId) => {
+        setSelectedChallans((selected) => selected.includes(challanId)
+            ? selected.filter((id) => id !== challanId)
+            : [...selected, challanId]);
+    };
+
+    const handlePayment = async (challanIds) => {
+        setPaymentLoading(true);
+        const headers = { Authorization: `Bearer ${user.token}` };
+        try {
+            // 1. Lock the amount due; a retry after a failed request reuses the open checkout
+            const cart = challanIds.join(',');
+            if (!checkoutRef.current || checkoutRef.current.cart !== cart) {
+                const intentResponse = await axios.post(
+                    `${API_BASE_URL}/payments/intents`,
+                    { challanIds },
+                    { headers }
+                );
+                checkoutRef.current = { cart, intentId: intentResponse.data.intent.id };
+            }
+
+            // 2. Card and UPI details only go to the tokenisation endpoint; the payment carries the token
+            let confirmation;
+            if (paymentMethod === 'Bank Transfer') {
+                confirmation = { paymentMethod: 'net_banking', bankCode };
+            } else {
+                const method = methodCodes[paymentMethod];
+                const tokenResponse = await axios.post(`${API_BASE_URL}/payment-tokens`, {
+                    paymentMethod: method,
+                    paymentDetails: method === 'upi'
+                        ? { upiId: 'user@paytm', pin: '1234' }
+                        : {
+                            cardNumber: '4111111111111111', // Test card number
+                            cvv: '123',
+                            expiryDate: '12/25',
+                            holderName: 'Test User'
+                        }
+                });
+                confirmation = { paymentMethod: method, paymentToken: tokenResponse.data.paymentToken };
+            }
+
+            const response = await axios.post(
+                `${API_BASE_URL}/payments/intents/${checkoutRef.current.intentId}/confirm`,
+                confirmation,
+                { headers }
+            );
+            checkoutRef.current = null;
+            const { intent } = response.data;
+
+            // Net banking continues at the bank, which sends the payer back to /payments/netbanking/return
+            if (intent.status === 'requires_action') {
+                window.location.assign(intent.nextAction.redirectUrl);
+                return;
+            }
+
+            // Success notification
+            const notification = document.createElement('div');
+            notification.className = 'fixed top-4 right-4 bg-green-500 text-white px-6 py-3 rounded-lg shadow-lg z-50';
+            notification.innerHTML = intent.status === 'processing'
+                ? 'Payment is being processed by the bank'
+                : 'Payment successful!';
+            document.body.appendChild(notification);
+            setTimeout(() => notification.remove(), 3000);
+
+            if (response.data.challans) {
+                response.data.challans.forEach((challan) => onChallanUpdate(challan));
+            }
+            setSelectedChallans((selected) => selected.filter((id) => !challanIds.includes(id)));
+            setPayingChallans(null);
+        } catch (error) {
+            // A refused or declined confirmation closes the checkout; only a lost connection keeps it for a retry
+            if (error.response) {
+                checkoutRef.current = null;
+            }
+            console.error('Payment error:', error.response?.data);
+            alert(error.response?.data?.message || 'Payment failed');
+        } finally {
+            setPaymentLoading(false);
+        }
+    };
+
+    const handleCashCollection = async (e) => {
+        e.preventDefault();
+        setCashLoading(true);
+        if (!cashKeyRef.current || cashKeyRef.current.challanId !== collectingChallan) {
+            cashKeyRef.current = { challanId: collectingChallan, key: crypto.randomUUID() };
+        }
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/payments/cash`,
+                {
+                    challanId: collectingChallan,
+                    receiptNumber: cashForm.receiptNumber,
+                    amountTendered: cashForm.amountTendered ? Number(cashForm.amountTendered) : undefined,
+                    location: cashForm.location
+                },
+                {
+                    headers: {
+                        Authorization: `Bearer ${user.token}`,
+                        'Idempotency-Key': cashKeyRef.current.key
+                    }
+                }
+            );
+            cashKeyRef.current = null;
+
+            const change = response.data.payment.cashCollection?.changeGiven;
+            const notification = document.createElement('div');
+            notification.className = 'fixed top-4 right-4 bg-green-500 text-white px-6 py-3 rounded-lg shadow-lg z-50';
+            notification.innerHTML = change > 0 ? `Cash recorded. Give $${change} change.` : 'Cash recorded';
+            document.body.appendChild(notification);
+            setTimeout(() => notification.remove(), 3000);
+
+            onChallanUpdate(response.data.challan);
+            setCollectingChallan(null);
+            setCashForm({ receiptNumber: '', amountTendered: '', location: '' });
+        } catch (error) {
+            if (error.response?.status !== 409) {
+                cashKeyRef.current = null;
+            }
+            alert(error.response?.data?.message || 'Could not record the cash payment');
+        } finally {
+            setCashLoading(false);
+        }
+    };
+
+    const handleDelete = async (challanId) => {
+        if (window.confirm('Are you sure you want to delete this challan? This action cannot be undone.')) {
+            try {
+                await axios.delete(`${API_BASE_URL}/challans/${challanId}`, {
+                    headers: { Authorization: `Bearer ${user.token}` }
+                });
+
+                // Success notification
+                const notification = document.createElement('div');
+                notification.className = 'fixed top-4 right-4 bg-red-500 text-white px-6 py-3 rounded-lg shadow-lg z-50';
+                notification.innerHTML = 'Challan deleted successfully!';
+                document.body.appendChild(notification);
+                setTimeout(() => notification.remove(), 3000);
+
+                onChallanUpdate('DELETE', challanId);
+            } catch (error) {
+                alert(error.response?.data?.message || 'Failed to delete challan');
+            }
+        }
+    };
+
+    const handleEdit = (challan) => {
+        setEditingChallan(challan._id);
+        setEditFormData({
+            violationType: challan.violationType,
+            location: challan.location,
+            fineAmount: challan.fineAmount,
+            description: challan.description,
+            status: challan.status
+        });
+    };
+
+    const handleEditSubmit = async (challanId) => {
+        setEditLoading(true);
+
+        try {
+            const updateData = {};
+            const currentChallan = challans.find(c => c._id === challanId);
+
+            if (editFormData.violationType && editFormData.violationType !== currentChallan.violationType) {
+                updateData.violationType = editFormData.violationType;
+            }
+
+            if (editFormData.location && editFormData.location !== currentChallan.location) {
+                updateData.location = editFormData.location;
+            }
+
+            if (editFormData.fineAmount && Number(editFormData.fineAmount) !== currentChallan.fineAmount) {
+                updateData.fineAmount = Number(editFormData.fineAmount);
+            }
+
+            if (editFormData.description !== currentChallan.description) {
+                updateData.description = editFormData.description || '';
+            }
+
+            if (editFormData.status && editFormData.status !== currentChallan.status) {
+                updateData.status = editFormData.status;
+            }
+
+            if (Object.keys(updateData).length === 0) {
+                setEditingChallan(null);
+                setEditFormData({});
+                setEditLoading(false);
+                return;
+            }
+
+            const response = await axios.put(
+                `${API_BASE_URL}/challans/${challanId}`,
+                updateData,
+                {
+                    headers: {
+                        Authorization: `Bearer ${user.token}`,
+                        'Content-Type': 'application/json'
+                    }
+                }
+            );
+
+            // Success notification
+            const notification = document.createElement('div');
+            notification.className = 'fixed top-4 right-4 bg-blue-500 text-white px-6 py-3 rounded-lg shadow-lg z-50';
+            notification.innerHTML = 'Challan updated successfully!';
+            document.body.appendChild(notification);
+            setTimeout(() => notification.remove(), 3000);
+
+            onChallanUpdate(response.data);
+            setEditingChallan(null);
+            setEditFormData({});
+
+        } catch (error) {
+            const errorMessage = error.response?.data?.message || 'Failed to update challan';
+            alert(`Update failed: ${errorMessage}`);
+        } finally {
+            setEditLoading(false);
+        }
+    };
+
+    const handleCancelEdit = () => {
+        setEditingChallan(null);
+        setEditFormData({});
+    };
+
+    const violationTypes = [
+        'Speeding',
+        'Red Light',
+        'Wrong Parking',
+        'No Helmet',
+        'Mobile Usage',
+        'Other'
+    ];
+
+    // Challans with several offences list every active offence
+    const getActiveOffences = (challan) => (challan.offences || []).filter(offence => offence.status === 'active');
+    const formatOffences = (challan) => {
+        const offences = getActiveOffences(challan);
+        return offences.length > 1 ? offences.map(offence => offence.violationType).join(' + ') : challan.violationType;
+    };
+
+    const statusOptions = [
+        'pending',
+        'overdue',
+        'payment_plan',
+        'paid',
+        'disputed',
+        'cancelled',
+        'refunded'
+    ];
+
+    const formatDate = (date) => {
+        if (!date) return 'Not set';
+        const parsedDate = new Date(date);
+        if (isNaN(parsedDate.getTime())) return 'Invalid Date';
+
+        return parsedDate.toLocaleDateString('en-IN', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    };
+
+    const formatDateTime = (date) => {
+        if (!date) return 'Not set';
+        const parsedDate = new Date(date);
+        if (isNaN(parsedDate.getTime())) return 'Invalid Date';
+
+        return parsedDate.toLocaleDateString('en-IN', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    if (challans.length === 0) {
+        return (
+            <div className="text-center py-16">
+                <div className="w-20 h-20 mx-auto bg-gray-100 rounded-full flex items-center justify-center mb-4">
+                </div>
+                <h3 className="text-lg font-medium text-gray-900 mb-2">No challans found</h3>
+                <p className="text-gray-500 max-w-sm mx-auto">
+                    {user.role === 'citizen'
+                        ? "You don't have any traffic violations. Keep driving safely!"
+                        : "No challans have been issued yet."
+                    }
+                </p>
+            </div>
+        );
+    }
+
+    const payableChallans = user.role === 'citizen'
+        ? challans.filter((challan) => ['pending', 'overdue'].includes(challan.status))
+        : [];
+
+    return (
+        <>
+            {payableChallans.length > 1 && (
+                <div className="mb-6 flex items-center justify-between bg-white rounded-xl shadow-sm border border-gray-200 px-6 py-4">
+                    <label className="flex items-center space-x-3 text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={selectedChallans.length === payableChallans.length}
+                            onChange={(e) => setSelectedChallans(e.target.checked
+                                ? payableChallans.map((challan) => challan.id || challan._id)
+                                : [])}
+                            className="h-4 w-4 text-blue-600"
+                        />
+                        <span>
+                            {selectedChallans.length > 0
+                                ? `${selectedChallans.length} selected • $${payableChallans
+                                    .filter((challan) => selectedChallans.includes(challan.id || challan._id))
+                                    .reduce((sum, challan) => sum + challan.fineAmount, 0)}`
+                                : 'Select challans to pay together'}
+                        </span>
+                    </label>
+                    <button
+                        onClick={() => setPayingChallans(selectedChallans)}
+                        disabled={selectedChallans.length === 0}
+                        className="inline-flex items-center px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors shadow-sm"
+                    >
+                        Pay Selected
+                    </button>
+                </div>
+            )}
+            <div className="space-y-6">
+                {challans.map((challan) => {
+                    const isEditing = editingChallan === challan._id;
+                    
+                    // Debug logging for each challan
+                    console.log(`Challan ${challan._id || challan.id} - Status: ${challan.status}, User role: ${user?.role}`);
+                    console.log('Full challan object:', challan);
+
+                    return (
+                        <div key={challan._id} className={`bg-white rounded-xl shadow-sm border transition-all duration-200 hover:shadow-md ${isEditing ? 'border-blue-300 ring-2 ring-blue-100' : 'border-gray-200'}`}>
+                            {/* Header */}
+                            <div className={`px-6 py-4 border-b border-gray-200 ${isEditing ? 'bg-blue-50' : 'bg-gray-50'}`}>
+                                <div className="flex items-center justify-between">
+                                    <div className="flex items-center space-x-4">
+                                        {payableChallans.length > 1 && payableChallans.includes(challan) && (
+                                            <input
+                                                type="checkbox"
+                                                checked={selectedChallans.includes(challan.id || challan._id)}
+                                                onChange={() => toggleSelected(challan.id || challan._id)}
+                                                className="h-4 w-4 text-blue-600"
+                                                aria-label={`Select ${challan.challanNumber} for payment`}
+                                            />
+                                        )}
+                                        <div className="w-12 h-12 bg-white rounded-lg flex items-center justify-center shadow-sm border border-gray-200">
+                                            <div className="text-blue-600">
+                                            </div>
+                                        </div>
+                                        <div>
+                                            <h3 className="text-lg font-semibold text-gray-900">
+                                                {challan.challanNumber}
+                                            </h3>
+                                            <p className="text-sm text-gray-600 flex items-center">
+                                                {isEditing && getActiveOffences(challan).length <= 1 ? (
+                                                    <select
+                                                        value={editFormData.violationType || challan.violationType}
+                                                        onChange={(e) => setEditFormData({ ...editFormData, violationType: e.target.value })}
+                                                        className="bg-white border border-gray-300 rounded px-2 py-1 text-sm mr-2"
+                                                    >
+                                                        {violationTypes.map(type => (
+                                                            <option key={type} value={type}>{type}</option>
+                                                        ))}
+                                                    </select>
+                                                ) : (
+                                                    <>
+                                                        {formatOffences(challan)}
+                                                        <span className="mx-2">•</span>
+                                                    </>
+                                                )}
+                                                {challan.vehicleNumber}
+                                            </p>
+                                        </div>
+                                    </div>
+                                    {isEditing ? (
+                                        <select
+                                            value={editFormData.status || challan.status}
+                                            onChange={(e) => setEditFormData({ ...editFormData, status: e.target.value })}
+                                            className="bg-white border border-gray-300 rounded px-3 py-1 text-sm"
+                                        >
+                                            {statusOptions.map(status => (
+                                                <option key={status} value={status}>
+                                                    {(status.charAt(0).toUpperCase() + status.slice(1)).replace('_', ' ')}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    ) : (
+                                        getStatusBadge(challan.status)
+                                    )}
+                                </div>
+                            </div>
+
+                            {/* Content */}
+                            <div className="p-6">
+                                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+                                    {/* Location */}
+                                    <div className="flex items-start space-x-3">
+                                        <div className="w-8 h-8 bg-blue-50 rounded-lg flex items-center justify-center mt-1">
+                                        </div>
+                                        <div className="flex-1 min-w-0">
+                                            <p className="text-sm font-medium text-gray-500">Location</p>
+                                            {isEditing ? (
+                                                <input
+                                                    type="text"
+                                                    value={editFormData.location || challan.location}
+                                                    onChange={(e) => setEditFormData({ ...editFormData, location: e.target.value })}
+                                                    className="w-full border border-gray-300 rounded px-2 py-1 text-sm font-medium mt-1"
+                                                />
+                                            ) : (
+                                                <p className="font-medium text-gray-900 truncate">{challan.location}</p>
+                                            )}
+                                        </div>
+                                    </div>
+
+                                    {/* Fine Amount */}
+                                    <div className="flex items-start space-x-3">
+                                        <div className="w-8 h-8 bg-red-50 rounded-lg flex items-center justify-center mt-1">
+                                        </div>
+                                        <div className="flex-1">
+                                            <p className="text-sm font-medium text-gray-500">Fine Amount</p>
+                                            {isEditing ? (
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    value={editFormData.fineAmount || challan.fineAmount}
+                                                    onChange={(e) => setEditFormData({ ...editFormData, fineAmount: e.target.value })}
+                                                    className="w-full border border-gray-300 rounded px-2 py-1 text-sm font-semibold text-red-600 mt-1"
+                                                />
+                                            ) : (
+                                                <>
+                                                    <p className="font-semibold text-red-600 text-lg">${challan.fineAmount}</p>
+                                                    {challan.penaltyAmount > 0 && (
+                                                        <p className="text-xs text-orange-600">
+                                                            Includes ${challan.penaltyAmount} late penalty
+                                                        </p>
+                                                    )}
+                                                </>
+                                            )}
+                                        </div>
+                                    </div>
+
+                                    {/* Date & Time */}
+                                    <div className="flex items-start space-x-3">
+                                        <div className="w-8 h-8 bg-gray-50 rounded-lg flex items-center justify-center mt-1">
+                                        </div>
+                                        <div>
+                                            <p className="text-sm font-medium text-gray-500">Date & Time</p>
+                                            <p className="font-medium text-gray-900">{formatDateTime(challan.dateTime)}</p>
+                                        </div>
+                                    </div>
+
+                                    {/* Due Date */}
+                                    <div className="flex items-start space-x-3">
+                                        <div className="w-8 h-8 bg-orange-50 rounded-lg flex items-center justify-center mt-1">
+                                        </div>
+                                        <div>
+                                            <p className="text-sm font-medium text-gray-500">Due Date</p>
+                                            <p className="font-medium text-gray-900">{formatDate(challan.dueDate)}</p>
+                                        </div>
+                                    </div>
+                                </div>
+
+                                {/* Description */}
+                                {(challan.description || isEditing) && (
+                                    <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
+                                        <p className="text-sm font-medium text-gray-600 mb-2">Additional Details</p>
+                                        {isEditing ? (
+                                            <textarea
+                                                value={editFormData.description || challan.description || ''}
+                                                onChange={(e) => setEditFormData({ ...editFormData, description: e.target.value })}
+                                                className="w-full border border-gray-300 rounded px-3 py-2 text-sm"
+                                                rows="3"
+                                                placeholder="Additional details about the violation..."
+                                            />
+                                        ) : (
+                                            <p className="text-gray-800">{challan.description}</p>
+                                        )}
+                                    </div>
+                                )}
+
+                                {/* Actions */}
+                                <div className="flex items-center justify-between pt-4 border-t border-gray-200">
+                                    <div className="flex items-center space-x-4">
+                                        {challan.officerId && (
+                                            <div className="flex items-center text-sm text-gray-500">
+                                                Issued by: {challan.officerId.name}
+                                            </div>
+                                        )}
+                                    </div>
+
+                                    <div className="flex items-center space-x-3">
+                                        {isEditing ? (
+                                            <>
+                                                <button
+                                                    onClick={() => handleEditSubmit(challan._id)}
+                                                    disabled={editLoading}
+                                                    className="inline-flex items-center px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 disabled:opacity-50 transition-colors shadow-sm"
+                                                >
+                                                    {editLoading ? (
+                                                        <div className="flex items-center">
+                                                            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                                                            Saving...
+                                                        </div>
+                                                    ) : (
+                                                        <>
+                                                            Save Changes
+                                                        </>
+                                                    )}
+                                                </button>
+                                                <button
+                                                    onClick={handleCancelEdit}
+                                                    className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors shadow-sm"
+                                                >
+                                                    Cancel
+                                                </button>
+                                            </>
+                                        ) : (
+                                            <>
+                                                    {user.role === 'citizen' && ['pending', 'overdue'].includes(challan.status) && (
+                                                        <button
+                                                            onClick={(e) => {
+                                                                console.log('Pay Now button clicked!');
+                                                                console.log('Event:', e);
+                                                                const challanId = challan.id || challan._id;  // ← Fixed ID format
+                                                                console.log('Challan ID:', challanId);
+                                                                console.log('Current payingChallans state before:', payingChallans);
+                                                                setPayingChallans([challanId]);               // ← Using correct ID
+                                                                console.log('setPayingChallans called with:', challanId);
+                                                            }}
+                                                            className="inline-flex items-center px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 transition-colors shadow-sm"
+                                                            style={{ position: 'relative', zIndex: 10 }}
+                                                        >
+                                                            Pay Now
+                                                        </button>
+                                                    )}
+
+                                                {user.role === 'officer' && (
+                                                    <>
+                                                        {['pending', 'overdue'].includes(challan.status) && (
+                                                            <button
+                                                                onClick={() => setCollectingChallan(challan.id || challan._id)}
+                                                                className="inline-flex items-center px-4 py-2 bg-green-600 text-white text-sm font-medium rounded-lg hover:bg-green-700 transition-colors shadow-sm"
+                                                            >
+                                                                Collect Cash
+                                                            </button>
+                                                        )}
+                                                        <button
+                                                            onClick={() => handleEdit(challan)}
+                                                            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors shadow-sm"
+                                                        >
+                                                            Edit
+                                                        </button>
+                                                        <button
+                                                            onClick={() => handleDelete(challan._id)}
+                                                            className="inline-flex items-center px-4 py-2 bg-red-600 text-white text-sm font-medium rounded-lg hover:bg-red-700 transition-colors shadow-sm"
+                                                        >
+                                                            Delete
+                                                        </button>
+                                                    </>
+                                                )}
+
+                                                <button
+                                                    onClick={() => openNotice(challan.id || challan._id)}
+                                                    className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors"
+                                                >
+                                                    Notice PDF
+                                                </button>
+                                                <button className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors">
+                                                    View Details
+                                                </button>
+                                            </>
+                                        )}
+                                    </div>
+                                </div>
+
+                                {/* Payment Success Message */}
+                                {challan.status === 'paid' && challan.paymentDate && (
+                                    <div className="mt-4 p-4 bg-green-50 border border-green-200 rounded-lg">
+                                        <div className="flex items-center">
+                                            <div>
+                                                <p className="text-sm font-medium text-green-800">
+                                                    Payment Completed
+                                                </p>
+                                                <p className="text-sm text-green-600">
+                                                    Paid on {formatDateTime(challan.paymentDate)}
+                                                </p>
+                                            </div>
+                                        </div>
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {/* Payment Modal */}
+            {payingChallans && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+                    <div className="bg-white rounded-xl max-w-md w-full shadow-2xl">
+                        <div className="p-6">
+                            <div className="flex items-center justify-between mb-6">
+                                <h3 className="text-xl font-semibold text-gray-900">Process Payment</h3>
+                                <button
+                                    onClick={() => {
+                                        console.log('Closing payment modal');
+                                        setPayingChallans(null);
+                                    }}
+                                    className="text-gray-400 hover:text-gray-600 p-2 rounded-lg hover:bg-gray-100 transition-colors"
+                                >
+                                    X
+                                </button>
+                            </div>
+
+                            <div className="mb-6">
+                                <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+                                    {payingChallans.length > 1 && (
+                                        <div className="mb-3 space-y-1 text-sm text-blue-800">
+                                            {payingChallans.map((id) => {
+                                                const challan = challans.find(c => (c.id || c._id) === id);
+                                                return (
+                                                    <div key={id} className="flex justify-between">
+                                                        <span>{challan?.challanNumber}</span>
+                                                        <span>${challan?.fineAmount}</span>
+                                                    </div>
+                                                );
+                                            })}
+                                        </div>
+                                    )}
+                                    {quote && (
+                                        <div className="mb-2 flex justify-between text-sm text-blue-800">
+                                            <span>Processing fee</span>
+                                            <span>${quote.fee.toFixed(2)}</span>
+                                        </div>
+                                    )}
+                                    <div className="flex items-center justify-between">
+                                        <span className="text-blue-800 font-medium">Amount to Pay:</span>
+                                        <span className="text-2xl font-bold text-blue-900">
+                                            ${quote
+                                                ? quote.totalAmount.toFixed(2)
+                                                : payingChallans.reduce((sum, id) => sum + (challans.find(c => (c.id || c._id) === id)?.fineAmount || 0), 0)}
+                                        </span>
+                                    </div>
+                                    {quote?.saving > 0 && (
+                                        <p className="mt-2 text-xs text-blue-700">
+                                            One payment for {payingChallans.length} challans saves ${quote.saving.toFixed(2)} in fees.
+                                        </p>
+                                    )}
+                                </div>
+                            </div>
+
+                            <div className="mb-6">
+                                <label className="block text-sm font-medium text-gray-700 mb-3">
+                                    Payment Method
+                                </label>
+                                <div className="space-y-2">
+                                    {[
+                                        { value: 'Card', label: 'Credit/Debit Card' },
+                                        { value: 'Bank Transfer', label: 'Bank Transfer' },
+                                        { value: 'Digital Wallet', label: 'Digital Wallet' }
+                                    ].map((method) => (
+                                        <label key={method.value} className="flex items-center space-x-3 p-3 border border-gray-200 rounded-lg hover:bg-gray-50 cursor-pointer transition-colors">
+                                            <input
+                                                type="radio"
+                                                value={method.value}
+                                                checked={paymentMethod === method.value}
+                                                onChange={(e) => setPaymentMethod(e.target.value)}
+                                                className="text-blue-600"
+                                            />
+                                            <div className="text-gray-600"></div>
+                                            <span className="font-medium text-gray-900">{method.label}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                                {paymentMethod === 'Bank Transfer' && (
+                                    <select
+                                        value={bankCode}
+                                        onChange={(e) => setBankCode(e.target.value)}
+                                        className="mt-3 block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                                    >
+                                        <option value="SBI">State Bank of India</option>
+                                        <option value="HDFC">HDFC Bank</option>
+                                        <option value="ICICI">ICICI Bank</option>
+                                        <option value="AXIS">Axis Bank</option>
+                                        <option value="KOTAK">Kotak Mahindra Bank</option>
+                                    </select>
+                                )}
+                            </div>
+
+                            <div className="flex space-x-3">
+                                <button
+                                    onClick={() => {
+                                        console.log('Processing payment for challans:', payingChallans);
+                                        handlePayment(payingChallans);
+                                    }}
+                                    disabled={paymentLoading}
+                                    className="flex-1 bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed font-medium transition-colors flex items-center justify-center"
+                                >
+                                    {paymentLoading ? (
+                                        <div className="flex items-center">
+                                            <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                                            Processing...
+                                        </div>
+                                    ) : (
+                                        <>
+                                            Pay Now
+                                        </>
+                                    )}
+                                </button>
+                                <button
+                                    onClick={() => {
+                                        console.log('Canceling payment');
+                                        setPayingChallans(null);
+                                    }}
+                                    className="flex-1 bg-gray-100 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-200 font-medium transition-colors"
+                                >
+                                    Cancel
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Cash Collection Modal */}
+            {collectingChallan && (
+                <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+                    <form onSubmit={handleCashCollection} className="bg-white rounded-xl max-w-md w-full shadow-2xl p-6 space-y-4">
+                        <div className="flex items-center justify-between">
+                            <h3 className="text-xl font-semibold text-gray-900">Collect Cash</h3>
+                            <span className="text-lg font-bold text-gray-900">
+                                ${challans.find(c => (c.id || c._id) === collectingChallan)?.fineAmount}
+                            </span>
+                        </div>
+                        <input
+                            type="text"
+                            required
+                            value={cashForm.receiptNumber}
+                            onChange={(e) => setCashForm({ ...cashForm, receiptNumber: e.target.value })}
+                            className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            placeholder="Receipt book number"
+                        />
+                        <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            value={cashForm.amountTendered}
+                            onChange={(e) => setCashForm({ ...cashForm, amountTendered: e.target.value })}
+                            className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            placeholder="Cash handed over (defaults to the exact amount)"
+                        />
+                        <input
+                            type="text"
+                            value={cashForm.location}
+                            onChange={(e) => setCashForm({ ...cashForm, location: e.target.value })}
+                            className="block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                            placeholder="Where the cash was collected"
+                        />
+                        <div className="flex space-x-3">
+                            <button
+                                type="submit"
+                                disabled={cashLoading}
+                                className="flex-1 bg-green-600 text-white py-3 px-4 rounded-lg hover:bg-green-700 disabled:opacity-50 font-medium transition-colors"
+                            >
+                                {cashLoading ? 'Recording...' : 'Record Cash'}
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => setCollectingChallan(null)}
+                                className="flex-1 bg-gray-100 text-gray-700 py-3 px-4 rounded-lg hover:bg-gray-200 font-medium transition-colors"
+                            >
+                                Cancel
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            )}
+        </>
+    );
+};
+
 export default ChallanList;
\ No newline at end of file
@@ -1,216 +1,273 @@
-import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
-import { useAuth } from '../context/AuthContext';
-
-const Navbar = () => {
-    const { user, logout } = useAuth();
-    const navigate = useNavigate();
-    const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
-
-    const handleLogout = () => {
-        logout();
-        navigate('/login');
-    };
-
-    return (
-        <nav className="bg-white shadow-sm border-b border-gray-200">
-            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-                <div className="flex justify-between items-center h-16">
-                    {/* Logo and Brand */}
-                    <div className="flex items-center">
-                        <Link to="/" className="flex items-center space-x-3">
-                            <div className="w-8 h-8 bg-blue-600 rounded-lg flex items-center justify-center">
-                            </div>
-                            <div>
-                                <h1 className="text-lg font-semibold text-gray-900">E-Challan</h1>
-                                <p className="text-xs text-gray-500">Traffic Management</p>
-                            </div>
-                        </Link>
-                    </div>
-
-                    {/* Desktop Navigation */}
-                    <div className="hidden md:block">
-                        <div className="ml-10 flex items-baseline space-x-1">
-                            {user ? (
-                                <>
-                                    <Link
-                                        to="/dashboard"
-                                        className="flex items-center px-4 py-2 rounded-lg text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
-                                    >
-                                        Dashboard
-                                    </Link>
-
-                                    <Link
-                                        to="/challans"
-                                        className="flex items-center px-4 py-2 rounded-lg text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
-                                    >
-                                        {user.role === 'officer' ? 'Manage Challans' : 'My Challans'}
-                                    </Link>
-
-                                    {user.role === 'citizen' && (
-                                        <Link
-                                            to="/payments"
-                                            className="flex items-center px-4 py-2 rounded-lg text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
-                                        >
-                                            Payments
-                                        </Link>
-                                    )}
-
-                                    <Link
-                                        to="/profile"
-                                        className="flex items-center px-4 py-2 rounded-lg text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
-                                    >
-                                        Profile
-                                    </Link>
-                                </>
-                            ) : (
-                                <>
-                                    <Link
-                                        to="/login"
-                                        className="px-4 py-2 rounded-lg text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
-                                    >
-                                        Login
-                                    </Link>
-                                    <Link
-                                        to="/register"
-                                        className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 transition-colors shadow-sm"
-                                    >
-                                        Register
-                                    </Link>
-                                </>
-                            )}
-                        </div>
-                    </div>
-
-                    {/* User Menu */}
-                    {user && (
-                        <div className="hidden md:block">
-                            <div className="ml-4 flex items-center md:ml-6">
-                                <div className="flex items-center space-x-4">
-                                    <div className="text-right">
-                                        <p className="text-sm font-medium text-gray-900">{user.name}</p>
-                                        <p className="text-xs text-gray-500 capitalize flex items-center justify-end">
-                                            {user.role}
-                                        </p>
-                                    </div>
-
-                                    <div className="w-8 h-8 bg-blue-600 rounded-full flex items-center justify-center">
-                                        <span className="text-white text-sm font-medium">
-                                            {user.name.charAt(0).toUpperCase()}
-                                        </span>
-                                    </div>
-
-                                    <button
-                                        onClick={handleLogout}
-                                        className="ml-3 px-4 py-2 rounded-lg text-sm font-medium text-white bg-red-600 hover:bg-red-700 transition-colors flex items-center shadow-sm"
-                                    >
-                                        Logout
-                                    </button>
-                                </div>
-                            </div>
-                        </div>
-                    )}
-
-                    {/* Mobile menu button */}
-                    <div className="md:hidden">
-                        <button
-                            onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
-                            className="inline-flex items-center justify-center p-2 rounded-lg text-gray-400 hover:text-gray-500 hover:bg-gray-100 transition-colors"
-                        >
-                            <span className="sr-only">Open main menu</span>
-                            {!isMobileMenuOpen ? 'Menu' : 'Close'}
-                        </button>
-                    </div>
-                </div>
-            </div>
-
-            {/* Mobile menu */}
-            {isMobileMenuOpen && (
-                <div className="md:hidden">
-                    <div className="px-2 pt-2 pb-3 space-y-1 sm:px-3 bg-gray-50 border-t">
-                        {user ? (
-                            <>
-                                <div className="px-3 py-3 border-b border-gray-200 mb-2">
-                                    <div className="flex items-center space-x-3">
-                                        <div className="w-8 h-8 bg-gradient-to-r from-blue-500 to-indigo-600 rounded-full flex items-center justify-center">
-                                            <span className="text-white text-sm font-semibold">
-                                                {user.name.charAt(0).toUpperCase()}
-                                            </span>
-                                        </div>
-                                        <div>
-                                            <p className="text-sm font-medium text-gray-900">{user.name}</p>
-                                            <p className="text-xs text-gray-500 capitalize">{user.role}</p>
-                                        </div>
-                                    </div>
-                                </div>
-
-                                <Link
-                                    to="/dashboard"
-                                    className="flex items-center px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
-                                    onClick={() => setIsMobileMenuOpen(false)}
-                                >
-                                    Dashboard
-                                </Link>
-
-                                <Link
-                                    to="/challans"
-                                    className="flex items-center px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
-                                    onClick={() => setIsMobileMenuOpen(false)}
-                                >
-                                    {user.role === 'officer' ? 'Manage Challans' : 'My Challans'}
-                                </Link>
-
-                                {user.role === 'citizen' && (
-                                    <Link
-                                        to="/payments"
-                                        className="flex items-center px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
-                                        onClick={() => setIsMobileMenuOpen(false)}
-                                    >
-                                        Payments
-                                    </Link>
-                                )}
-
-                                <Link
-                                    to="/profile"
-                                    className="flex items-center px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
-                                    onClick={() => setIsMobileMenuOpen(false)}
-                                >
-                                    Profile
-                                </Link>
-
-                                <button
-                                    onClick={() => {
-                                        handleLogout();
-                                        setIsMobileMenuOpen(false);
-                                    }}
-                                    className="flex items-center w-full px-3 py-2 rounded-lg text-base font-medium text-red-600 hover:text-red-700 hover:bg-red-50 transition-colors"
-                                >
-                                    Logout
-                                </button>
-                            </>
-                        ) : (
-                            <>
-                                <Link
-                                    to="/login"
-                                    className="block px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
-                                    onClick={() => setIsMobileMenuOpen(false)}
-                                >
-                                    Login
-                                </Link>
-                                <Link
-                                    to="/register"
-                                    className="block px-3 py-2 rounded-lg text-base font-medium text-white bg-blue-600 hover:bg-blue-700 transition-colors"
-                                    onClick={() => setIsMobileMenuOpen(false)}
-                                >
-                                    Register
-                                </Link>
-                            </>
-                        )}
-                    </div>
-                </div>
-            )}
-        </nav>
-    );
-};
-
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const Navbar = () => {
+    const { user, logout } = useAuth();
+    const navigate = useNavigate();
+    const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+
+    const handleLogout = () => {
+        logout();
+        navigate('/login');
+    };
+
+    return (
+        <nav className="bg-white shadow-sm border-b border-gray-200">
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+                <div className="flex justify-between items-center h-16">
+                    {/* Logo and Brand */}
+                    <div className="flex items-center">
+                        <Link to="/" className="flex items-center space-x-3">
+                            <div className="w-8 h-8 bg-blue-600 rounded-lg flex items-center justify-center">
+                            </div>
+                            <div>
+                                <h1 className="text-lg font-semibold text-gray-900">E-Challan</h1>
+                                <p className="text-xs text-gray-500">Traffic Management</p>
+                            </div>
+                        </Link>
+                    </div>
+
+                    {/* Desktop Navigation */}
+                    <div className="hidden md:block">
+                        <div className="ml-10 flex items-baseline space-x-1">
+                            {user ? (
+                                <>
+                                    <Link
+                                        to="/dashboard"
+                                        className="flex items-center px-4 py-2 rounded-lg text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                    >
+                                        Dashboard
+                                    </Link>
+
+                                    <Link
+                                        to="/challans"
+                                        className="flex items-center px-4 py-2 rounded-lg text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                    >
+                                        {user.role === 'officer' ? 'Manage Challans' : 'My Challans'}
+                                    </Link>
+
+                                    {user.role === 'citizen' && (
+                                        <Link
+                                            to="/payments"
+                                            className="flex items-center px-4 py-2 rounded-lg text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                        >
+                                            Payments
+                                        </Link>
+                                    )}
+
+                                    {user.role === 'officer' && (
+                                        <Link
+                                            to="/cash"
+                                            className="flex items-center px-4 py-2 rounded-lg text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                        >
+                                            Cash-up
+                                        </Link>
+                                    )}
+
+                                    {user.role === 'admin' && (
+                                        <Link
+                                            to="/ledger"
+                                            className="flex items-center px-4 py-2 rounded-lg text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                        >
+                                            Ledger
+                                        </Link>
+                                    )}
+
+                                    {user.role === 'admin' && (
+                                        <Link
+                                            to="/reconciliation"
+                                            className="flex items-center px-4 py-2 rounded-lg text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                        >
+                                            Reconciliation
+                                        </Link>
+                                    )}
+
+                                    <Link
+                                        to="/profile"
+                                        className="flex items-center px-4 py-2 rounded-lg text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                    >
+                                        Profile
+                                    </Link>
+                                </>
+                            ) : (
+                                <>
+                                    <Link
+                                        to="/login"
+                                        className="px-4 py-2 rounded-lg text-sm font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                    >
+                                        Login
+                                    </Link>
+                                    <Link
+                                        to="/register"
+                                        className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 transition-colors shadow-sm"
+                                    >
+                                        Register
+                                    </Link>
+                                </>
+                            )}
+                        </div>
+                    </div>
+
+                    {/* User Menu */}
+                    {user && (
+                        <div className="hidden md:block">
+                            <div className="ml-4 flex items-center md:ml-6">
+                                <div className="flex items-center space-x-4">
+                                    <div className="text-right">
+                                        <p className="text-sm font-medium text-gray-900">{user.name}</p>
+                                        <p className="text-xs text-gray-500 capitalize flex items-center justify-end">
+                                            {user.role}
+                                        </p>
+                                    </div>
+
+                                    <div className="w-8 h-8 bg-blue-600 rounded-full flex items-center justify-center">
+                                        <span className="text-white text-sm font-medium">
+                                            {user.name.charAt(0).toUpperCase()}
+                                        </span>
+                                    </div>
+
+                                    <button
+                                        onClick={handleLogout}
+                                        className="ml-3 px-4 py-2 rounded-lg text-sm font-medium text-white bg-red-600 hover:bg-red-700 transition-colors flex items-center shadow-sm"
+                                    >
+                                        Logout
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Mobile menu button */}
+                    <div className="md:hidden">
+                        <button
+                            onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
+                            className="inline-flex items-center justify-center p-2 rounded-lg text-gray-400 hover:text-gray-500 hover:bg-gray-100 transition-colors"
+                        >
+                            <span className="sr-only">Open main menu</span>
+                            {!isMobileMenuOpen ? 'Menu' : 'Close'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            {/* Mobile menu */}
+            {isMobileMenuOpen && (
+                <div className="md:hidden">
+                    <div className="px-2 pt-2 pb-3 space-y-1 sm:px-3 bg-gray-50 border-t">
+                        {user ? (
+                            <>
+                                <div className="px-3 py-3 border-b border-gray-200 mb-2">
+                                    <div className="flex items-center space-x-3">
+                                        <div className="w-8 h-8 bg-gradient-to-r from-blue-500 to-indigo-600 rounded-full flex items-center justify-center">
+                                            <span className="text-white text-sm font-semibold">
+                                                {user.name.charAt(0).toUpperCase()}
+                                            </span>
+                                        </div>
+                                        <div>
+                                            <p className="text-sm font-medium text-gray-900">{user.name}</p>
+                                            <p className="text-xs text-gray-500 capitalize">{user.role}</p>
+                                        </div>
+                                    </div>
+                                </div>
+
+                                <Link
+                                    to="/dashboard"
+                                    className="flex items-center px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                    onClick={() => setIsMobileMenuOpen(false)}
+                                >
+                                    Dashboard
+                                </Link>
+
+                                <Link
+                                    to="/challans"
+                                    className="flex items-center px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                    onClick={() => setIsMobileMenuOpen(false)}
+                                >
+                                    {user.role === 'officer' ? 'Manage Challans' : 'My Challans'}
+                                </Link>
+
+                                {user.role === 'citizen' && (
+                                    <Link
+                                        to="/payments"
+                                        className="flex items-center px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                        onClick={() => setIsMobileMenuOpen(false)}
+                                    >
+                                        Payments
+                                    </Link>
+                                )}
+
+                                {user.role === 'officer' && (
+                                    <Link
+                                        to="/cash"
+                                        className="flex items-center px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                        onClick={() => setIsMobileMenuOpen(false)}
+                                    >
+                                        Cash-up
+                                    </Link>
+                                )}
+
+                                {user.role === 'admin' && (
+                                    <Link
+                                        to="/ledger"
+                                        className="flex items-center px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                        onClick={() => setIsMobileMenuOpen(false)}
+                                    >
+                                        Ledger
+                                    </Link>
+                                )}
+
+                                {user.role === 'admin' && (
+                                    <Link
+                                        to="/reconciliation"
+                                        className="flex items-center px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                        onClick={() => setIsMobileMenuOpen(false)}
+                                    >
+                                        Reconciliation
+                                    </Link>
+                                )}
+
+                                <Link
+                                    to="/profile"
+                                    className="flex items-center px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                    onClick={() => setIsMobileMenuOpen(false)}
+                                >
+                                    Profile
+                                </Link>
+
+                                <button
+                                    onClick={() => {
+                                        handleLogout();
+                                        setIsMobileMenuOpen(false);
+                                    }}
+                                    className="flex items-center w-full px-3 py-2 rounded-lg text-base font-medium text-red-600 hover:text-red-700 hover:bg-red-50 transition-colors"
+                                >
+                                    Logout
+                                </button>
+                            </>
+                        ) : (
+                            <>
+                                <Link
+                                    to="/login"
+                                    className="block px-3 py-2 rounded-lg text-base font-medium text-gray-700 hover:text-blue-600 hover:bg-blue-50 transition-colors"
+                                    onClick={() => setIsMobileMenuOpen(false)}
+                                >
+                                    Login
+                                </Link>
+                                <Link
+                                    to="/register"
+                                    className="block px-3 py-2 rounded-lg text-base font-medium text-white bg-blue-600 hover:bg-blue-700 transition-colors"
+                                    onClick={() => setIsMobileMenuOpen(false)}
+                                >
+                                    Register
+                                </Link>
+                            </>
+                        )}
+                    </div>
+                </div>
+            )}
+        </nav>
+    );
+};
+
 export default Navbar;
\ No newline at end of file
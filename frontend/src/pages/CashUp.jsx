@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import API_BASE_URL from '../config/api';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const varianceStyles = {
+    balanced: 'bg-green-100 text-green-800',
+    short: 'bg-red-100 text-red-800',
+    over: 'bg-yellow-100 text-yellow-800'
+};
+
+// A collector's cash for one day, and the end-of-day count that reconciles it
+const CashUp = () => {
+    const { user } = useAuth();
+    const [date, setDate] = useState(today());
+    const [summary, setSummary] = useState(null);
+    const [declaredAmount, setDeclaredAmount] = useState('');
+    const [notes, setNotes] = useState('');
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const loadSummary = useCallback(async () => {
+        setError('');
+        try {
+            const response = await axios.get(`${API_BASE_URL}/payments/cash/summary`, {
+                params: { date },
+                headers: { Authorization: `Bearer ${user.token}` }
+            });
+            setSummary(response.data);
+        } catch (err) {
+            setSummary(null);
+            setError(err.response?.data?.message || 'Could not load the cash summary');
+        }
+    }, [date, user.token]);
+
+    useEffect(() => {
+        loadSummary();
+    }, [loadSummary]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+        try {
+            await axios.post(
+                `${API_BASE_URL}/payments/cash/cash-ups`,
+                { date, declaredAmount: Number(declaredAmount), notes },
+                { headers: { Authorization: `Bearer ${user.token}` } }
+            );
+            setDeclaredAmount('');
+            setNotes('');
+            await loadSummary();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not submit the cash-up');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const inputClass = 'block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+    return (
+        <div className="max-w-3xl mx-auto space-y-6">
+            <div className="flex items-end justify-between">
+                <div>
+                    <h1 className="text-2xl font-semibold text-gray-900">Cash-up</h1>
+                    <p className="text-gray-600">Count the cash you collected and submit it at the end of the day.</p>
+                </div>
+                <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg" />
+            </div>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+            )}
+
+            {summary && (
+                <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+                    <div className="flex justify-between">
+                        <span className="text-gray-700">{summary.paymentCount} cash payments</span>
+                        <span className="text-xl font-bold text-gray-900">${summary.totalCollected}</span>
+                    </div>
+
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-500">
+                                <th className="py-1">Receipt</th>
+                                <th className="py-1">Transaction</th>
+                                <th className="py-1">Location</th>
+                                <th className="py-1 text-right">Amount</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {summary.payments.map((payment) => (
+                                <tr key={payment.id} className="border-t border-gray-100">
+                                    <td className="py-1 font-mono">{payment.cashCollection?.receiptNumber}</td>
+                                    <td className="py-1 font-mono">{payment.transactionId}</td>
+                                    <td className="py-1">{payment.cashCollection?.location}</td>
+                                    <td className="py-1 text-right">${payment.amount}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+
+                    {summary.cashUp ? (
+                        <div className="flex items-center justify-between border-t border-gray-200 pt-4">
+                            <span className="text-sm text-gray-700">
+                                Cashed up: declared ${summary.cashUp.declaredAmount} against ${summary.cashUp.expectedAmount}
+                            </span>
+                            <span className={`px-3 py-1 rounded-full text-xs font-medium ${varianceStyles[summary.cashUp.status]}`}>
+                                {summary.cashUp.status}{summary.cashUp.variance !== 0 && ` ${summary.cashUp.variance > 0 ? '+' : ''}${summary.cashUp.variance}`}
+                            </span>
+                        </div>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="space-y-3 border-t border-gray-200 pt-4">
+                            <input
+                                type="number"
+                                required
+                                min="0"
+                                step="0.01"
+                                value={declaredAmount}
+                                onChange={(e) => setDeclaredAmount(e.target.value)}
+                                className={inputClass}
+                                placeholder="Cash counted"
+                            />
+                            <input
+                                type="text"
+                                value={notes}
+                                onChange={(e) => setNotes(e.target.value)}
+                                className={inputClass}
+                                placeholder="Notes (optional)"
+                            />
+                            <button
+                                type="submit"
+                                disabled={loading}
+                                className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                            >
+                                {loading ? 'Submitting...' : 'Submit Cash-up'}
+                            </button>
+                        </form>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CashUp;
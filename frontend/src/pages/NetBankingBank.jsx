@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import API_BASE_URL from '../config/api';
+
+const bankNames = {
+    SBI: 'State Bank of India',
+    HDFC: 'HDFC Bank',
+    ICICI: 'ICICI Bank',
+    AXIS: 'Axis Bank',
+    KOTAK: 'Kotak Mahindra Bank'
+};
+
+// Stands in for the bank's login page when no real bank is configured
+const NetBankingBank = () => {
+    const [searchParams] = useSearchParams();
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const bankRequest = Object.fromEntries(searchParams.entries());
+
+    const respond = async (approve) => {
+        setLoading(true);
+        setError('');
+        try {
+            const response = await axios.post(`${API_BASE_URL}/payments/netbanking/simulated-bank/authorize`, {
+                ...bankRequest,
+                approve
+            });
+            window.location.assign(response.data.redirectUrl);
+        } catch (err) {
+            setError(err.response?.data?.message || 'The bank could not process this request');
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="max-w-md mx-auto bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+            <div>
+                <p className="text-xs uppercase tracking-wide text-gray-500">Simulated net banking</p>
+                <h1 className="text-2xl font-semibold text-gray-900">{bankNames[bankRequest.bankCode] || 'Your bank'}</h1>
+            </div>
+
+            <dl className="grid grid-cols-2 gap-2 text-sm">
+                <dt className="text-gray-500">Merchant reference</dt>
+                <dd className="text-gray-900 font-mono">{bankRequest.merchantReference}</dd>
+                <dt className="text-gray-500">Amount</dt>
+                <dd className="text-gray-900 font-semibold">${bankRequest.amount}</dd>
+            </dl>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg text-sm">{error}</div>
+            )}
+
+            <div className="flex gap-3">
+                <button
+                    onClick={() => respond(true)}
+                    disabled={loading}
+                    className="flex-1 px-4 py-2 rounded-lg text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                >
+                    Approve Payment
+                </button>
+                <button
+                    onClick={() => respond(false)}
+                    disabled={loading}
+                    className="flex-1 px-4 py-2 rounded-lg text-sm font-medium text-gray-700 border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+                >
+                    Decline
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default NetBankingBank;
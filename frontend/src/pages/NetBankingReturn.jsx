@@ -0,0 +1,56 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import API_BASE_URL from '../config/api';
+
+// The bank sends the payer back here with its signed answer, which the backend checks and applies
+const NetBankingReturn = () => {
+    const [searchParams] = useSearchParams();
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const confirm = async () => {
+            try {
+                const response = await axios.post(
+                    `${API_BASE_URL}/payments/netbanking/callback`,
+                    Object.fromEntries(searchParams.entries())
+                );
+                setResult(response.data);
+            } catch (err) {
+                setError(err.response?.data?.message || 'Could not confirm the payment with the bank');
+            }
+        };
+
+        confirm();
+    }, [searchParams]);
+
+    if (!result && !error) {
+        return (
+            <div className="flex justify-center py-8">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+            </div>
+        );
+    }
+
+    const completed = result?.payment?.status === 'completed';
+
+    return (
+        <div className="max-w-md mx-auto space-y-4">
+            {error ? (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+            ) : (
+                <div className={`border rounded-lg px-4 py-3 ${completed ? 'bg-green-50 border-green-200 text-green-700' : 'bg-red-50 border-red-200 text-red-700'}`}>
+                    <p className="font-medium">{result.message}</p>
+                    <p className="text-sm">
+                        Challan {result.challanNumber}, transaction {result.payment.transactionId}, ${result.payment.totalAmount}
+                    </p>
+                    {result.payment.failureReason && <p className="text-sm">{result.payment.failureReason}</p>}
+                </div>
+            )}
+            <Link to="/challans" className="text-sm text-blue-600 hover:text-blue-800">Back to challans</Link>
+        </div>
+    );
+};
+
+export default NetBankingReturn;
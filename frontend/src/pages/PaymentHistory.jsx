@@ -29,6 +29,19 @@ const PaymentHistory = () => {
         }
     };
 
+    // Receipts need the auth header, so fetch the PDF and open it from a blob URL
+    const openReceipt = async (paymentId) => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/payments/${paymentId}/receipt.pdf`, {
+                headers: { Authorization: `Bearer ${user.token}` },
+                responseType: 'blob'
+            });
+            window.open(URL.createObjectURL(response.data), '_blank');
+        } catch (error) {
+            alert('Receipt is not available for this payment');
+        }
+    };
+
     const formatDate = (date) => {
         return new Date(date).toLocaleDateString('en-IN', {
             year: 'numeric',
@@ -51,14 +64,16 @@ const PaymentHistory = () => {
         const statusConfig = {
             completed: { bg: 'bg-green-50', text: 'text-green-700', border: 'border-green-200' },
             pending: { bg: 'bg-yellow-50', text: 'text-yellow-700', border: 'border-yellow-200' },
-            failed: { bg: 'bg-red-50', text: 'text-red-700', border: 'border-red-200' }
+            failed: { bg: 'bg-red-50', text: 'text-red-700', border: 'border-red-200' },
+            partially_refunded: { bg: 'bg-blue-50', text: 'text-blue-700', border: 'border-blue-200' },
+            refunded: { bg: 'bg-blue-50', text: 'text-blue-700', border: 'border-blue-200' }
         };
 
         const config = statusConfig[status] || statusConfig.completed;
 
         return (
             <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium border ${config.bg} ${config.text} ${config.border}`}>
-                {status.charAt(0).toUpperCase() + status.slice(1)}
+                {(status.charAt(0).toUpperCase() + status.slice(1)).replace('_', ' ')}
             </span>
         );
     };
@@ -225,7 +240,11 @@ const PaymentHistory = () => {
                                         Paid on {formatDate(payment.paymentDate)}
                                     </p>
                                     <div className="flex space-x-2">
-                                        <button className="inline-flex items-center px-3 py-1.5 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 transition-colors">
+                                        <button
+                                            onClick={() => openReceipt(payment.id)}
+                                            disabled={!['completed', 'partially_refunded', 'refunded'].includes(payment.status)}
+                                            className="inline-flex items-center px-3 py-1.5 bg-gray-100 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors"
+                                        >
                                             Download Receipt
                                         </button>
                                         <button className="inline-flex items-center px-3 py-1.5 bg-blue-100 text-blue-700 text-sm font-medium rounded-lg hover:bg-blue-200 transition-colors">
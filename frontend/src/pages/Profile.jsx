@@ -15,7 +15,6 @@ const Profile = () => {
     });
     const [loading, setLoading] = useState(false);
     const [fetchLoading, setFetchLoading] = useState(true);
-    const [newVehicle, setNewVehicle] = useState('');
 
     useEffect(() => {
         fetchProfile();
@@ -79,23 +78,6 @@ const Profile = () => {
         }
     };
 
-    const addVehicle = () => {
-        if (newVehicle.trim() && !formData.vehicleNumbers.includes(newVehicle.trim())) {
-            setFormData({
-                ...formData,
-                vehicleNumbers: [...formData.vehicleNumbers, newVehicle.trim()]
-            });
-            setNewVehicle('');
-        }
-    };
-
-    const removeVehicle = (vehicleToRemove) => {
-        setFormData({
-            ...formData,
-            vehicleNumbers: formData.vehicleNumbers.filter(vehicle => vehicle !== vehicleToRemove)
-        });
-    };
-
     if (fetchLoading) {
         return (
             <div className="flex justify-center items-center h-64">
@@ -216,28 +198,6 @@ const Profile = () => {
                             </h2>
 
                             <div className="space-y-4">
-                                <div>
-                                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                                        Add Vehicle Number
-                                    </label>
-                                    <div className="flex space-x-3">
-                                        <input
-                                            type="text"
-                                            value={newVehicle}
-                                            onChange={(e) => setNewVehicle(e.target.value)}
-                                            className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-colors"
-                                            placeholder="Enter vehicle number (e.g., ABC-1234)"
-                                        />
-                                        <button
-                                            type="button"
-                                            onClick={addVehicle}
-                                            className="px-6 py-3 bg-green-600 text-white font-medium rounded-lg hover:bg-green-700 transition-colors flex items-center"
-                                        >
-                                            Add
-                                        </button>
-                                    </div>
-                                </div>
-
                                 {formData.vehicleNumbers.length > 0 && (
                                     <div>
                                         <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -251,18 +211,15 @@ const Profile = () => {
                                                         </div>
                                                         <span className="font-medium text-gray-900">{vehicle}</span>
                                                     </div>
-                                                    <button
-                                                        type="button"
-                                                        onClick={() => removeVehicle(vehicle)}
-                                                        className="text-red-600 hover:text-red-800 p-2 rounded-lg hover:bg-red-50 transition-colors"
-                                                    >
-                                                        Remove
-                                                    </button>
                                                 </div>
                                             ))}
                                         </div>
                                     </div>
                                 )}
+
+                                <p className="text-sm text-gray-500">
+                                    Vehicles are linked to your account by the vehicle registry. Contact the transport office to register a vehicle or record a change of ownership.
+                                </p>
                             </div>
                         </div>
                     )}
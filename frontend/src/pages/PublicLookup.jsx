@@ -0,0 +1,343 @@
+import React, { useState, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import axios from 'axios';
+import API_BASE_URL from '../config/api';
+
+const emptyPayment = {
+    paymentMethod: 'credit_card',
+    cardNumber: '',
+    expiryDate: '',
+    cvv: '',
+    pin: '',
+    holderName: '',
+    upiId: '',
+    name: '',
+    email: ''
+};
+
+const PublicLookup = () => {
+    const [lookup, setLookup] = useState({ vehicleNumber: '', factor: 'chassis', code: '' });
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [payingId, setPayingId] = useState(null);
+    const [payment, setPayment] = useState(emptyPayment);
+    const [receipts, setReceipts] = useState({});
+    const paymentKeyRef = useRef(null);
+
+    const handleLookup = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+        setResult(null);
+
+        try {
+            const response = await axios.post(`${API_BASE_URL}/public/challans/lookup`, {
+                vehicleNumber: lookup.vehicleNumber,
+                chassisDigits: lookup.factor === 'chassis' ? lookup.code : undefined,
+                pin: lookup.factor === 'pin' ? lookup.code : undefined
+            });
+            setResult(response.data);
+            setReceipts({});
+        } catch (err) {
+            setError(err.response?.data?.message || 'Lookup failed');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handlePay = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+        try {
+            // The card or UPI details are swapped for a token; only the token is sent with the payment.
+            // A retry while the first attempt is still running reuses both, so it is replayed, not charged again.
+            if (!paymentKeyRef.current || paymentKeyRef.current.challanId !== payingId) {
+                const paymentDetails = payment.paymentMethod === 'upi'
+                    ? { upiId: payment.upiId, pin: payment.pin }
+                    : {
+                        cardNumber: payment.cardNumber,
+                        expiryDate: payment.expiryDate,
+                        cvv: payment.paymentMethod === 'credit_card' ? payment.cvv : undefined,
+                        pin: payment.paymentMethod === 'debit_card' ? payment.pin : undefined,
+                        holderName: payment.holderName
+                    };
+                const tokenResponse = await axios.post(`${API_BASE_URL}/payment-tokens`, {
+                    paymentMethod: payment.paymentMethod,
+                    paymentDetails
+                });
+                paymentKeyRef.current = {
+                    challanId: payingId,
+                    key: crypto.randomUUID(),
+                    paymentToken: tokenResponse.data.paymentToken
+                };
+            }
+
+            const response = await axios.post(
+                `${API_BASE_URL}/public/challans/${payingId}/pay`,
+                {
+                    paymentMethod: payment.paymentMethod,
+                    paymentToken: paymentKeyRef.current.paymentToken,
+                    guestContact: { name: payment.name, email: payment.email }
+                },
+                { headers: { 'X-Lookup-Token': result.lookupToken, 'Idempotency-Key': paymentKeyRef.current.key } }
+            );
+            paymentKeyRef.current = null;
+
+            setReceipts({ ...receipts, [payingId]: response.data.payment });
+            setPayingId(null);
+            setPayment(emptyPayment);
+        } catch (err) {
+            if (err.response?.status !== 409) {
+                paymentKeyRef.current = null;
+            }
+            setError(err.response?.data?.message || 'Payment failed');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // The receipt endpoint needs the lookup token header, so fetch the PDF and open it from a blob URL
+    const openReceipt = async (paymentId) => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/public/payments/${paymentId}/receipt.pdf`, {
+                headers: { 'X-Lookup-Token': result.lookupToken },
+                responseType: 'blob'
+            });
+            window.open(URL.createObjectURL(response.data), '_blank');
+        } catch (err) {
+            setError('Receipt is not available, please look up the vehicle again');
+        }
+    };
+
+    const inputClass = 'block w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+    return (
+        <div className="max-w-3xl mx-auto space-y-6">
+            <div>
+                <h1 className="text-2xl font-semibold text-gray-900">Find and pay a challan</h1>
+                <p className="text-gray-600">
+                    No account needed. Enter the vehicle number and either the last digits of the chassis number or the PIN printed on your notice.
+                </p>
+            </div>
+
+            <form onSubmit={handleLookup} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Vehicle Number</label>
+                    <input
+                        type="text"
+                        required
+                        value={lookup.vehicleNumber}
+                        onChange={(e) => setLookup({ ...lookup, vehicleNumber: e.target.value })}
+                        className={inputClass}
+                        placeholder="e.g. MH12AB1234"
+                    />
+                </div>
+                <div className="flex gap-4 text-sm">
+                    <label className="flex items-center gap-2">
+                        <input
+                            type="radio"
+                            checked={lookup.factor === 'chassis'}
+                            onChange={() => setLookup({ ...lookup, factor: 'chassis', code: '' })}
+                        />
+                        Chassis number (last digits)
+                    </label>
+                    <label className="flex items-center gap-2">
+                        <input
+                            type="radio"
+                            checked={lookup.factor === 'pin'}
+                            onChange={() => setLookup({ ...lookup, factor: 'pin', code: '' })}
+                        />
+                        Notice PIN
+                    </label>
+                </div>
+                <input
+                    type="text"
+                    required
+                    value={lookup.code}
+                    onChange={(e) => setLookup({ ...lookup, code: e.target.value })}
+                    className={inputClass}
+                    placeholder={lookup.factor === 'pin' ? '6-digit PIN' : 'Last 4 or more characters'}
+                />
+                <button
+                    type="submit"
+                    disabled={loading}
+                    className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                    {loading && !payingId ? 'Searching...' : 'Find Challans'}
+                </button>
+            </form>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+            )}
+
+            {result && (
+                <div className="space-y-4">
+                    <p className="text-gray-700">{result.message} for {result.vehicleNumber}.</p>
+
+                    {result.challans.map((challan) => (
+                        <div key={challan.id} className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                            <div className="flex justify-between items-start">
+                                <div>
+                                    <h3 className="font-semibold text-gray-900">{challan.challanNumber}</h3>
+                                    <p className="text-sm text-gray-600">
+                                        {challan.violationType} at {challan.location} on {new Date(challan.dateTime).toLocaleDateString('en-IN')}
+                                    </p>
+                                    <p className="text-sm text-gray-600">Registered owner: {challan.ownerName}</p>
+                                    <p className="text-sm text-gray-600">Due: {new Date(challan.dueDate).toLocaleDateString('en-IN')}</p>
+                                </div>
+                                <div className="text-right">
+                                    <p className="text-xl font-bold text-gray-900">${challan.outstandingAmount}</p>
+                                    {challan.penaltyAmount > 0 && (
+                                        <p className="text-xs text-red-600">includes ${challan.penaltyAmount} late penalty</p>
+                                    )}
+                                </div>
+                            </div>
+
+                            {receipts[challan.id]?.status === 'pending' ? (
+                                <div className="mt-4 bg-yellow-50 border border-yellow-200 text-yellow-800 text-sm rounded-lg px-4 py-3">
+                                    Payment {receipts[challan.id].transactionId} is being processed by the bank. Look the vehicle up again later for the receipt.
+                                </div>
+                            ) : receipts[challan.id] ? (
+                                <div className="mt-4 flex items-center justify-between bg-green-50 border border-green-200 rounded-lg px-4 py-3">
+                                    <span className="text-green-700 text-sm">Paid, transaction {receipts[challan.id].transactionId}</span>
+                                    <button
+                                        onClick={() => openReceipt(receipts[challan.id].id)}
+                                        className="text-sm font-medium text-blue-600 hover:text-blue-800"
+                                    >
+                                        Download Receipt
+                                    </button>
+                                </div>
+                            ) : payingId === challan.id ? (
+                                <form onSubmit={handlePay} className="mt-4 space-y-3 border-t border-gray-200 pt-4">
+                                    <select
+                                        value={payment.paymentMethod}
+                                        onChange={(e) => setPayment({ ...payment, paymentMethod: e.target.value })}
+                                        className={inputClass}
+                                    >
+                                        <option value="credit_card">Credit Card</option>
+                                        <option value="debit_card">Debit Card</option>
+                                        <option value="upi">UPI</option>
+                                    </select>
+                                    {payment.paymentMethod === 'upi' ? (
+                                        <div className="grid grid-cols-3 gap-3">
+                                            <input
+                                                type="text"
+                                                required
+                                                value={payment.upiId}
+                                                onChange={(e) => setPayment({ ...payment, upiId: e.target.value })}
+                                                className={`${inputClass} col-span-2`}
+                                                placeholder="UPI ID"
+                                            />
+                                            <input
+                                                type="password"
+                                                required
+                                                value={payment.pin}
+                                                onChange={(e) => setPayment({ ...payment, pin: e.target.value })}
+                                                className={inputClass}
+                                                placeholder="UPI PIN"
+                                            />
+                                        </div>
+                                    ) : (
+                                        <div className="grid grid-cols-3 gap-3">
+                                            <input
+                                                type="text"
+                                                required
+                                                value={payment.cardNumber}
+                                                onChange={(e) => setPayment({ ...payment, cardNumber: e.target.value })}
+                                                className={`${inputClass} col-span-3`}
+                                                placeholder="Card number"
+                                            />
+                                            <input
+                                                type="text"
+                                                required
+                                                value={payment.expiryDate}
+                                                onChange={(e) => setPayment({ ...payment, expiryDate: e.target.value })}
+                                                className={inputClass}
+                                                placeholder="MM/YY"
+                                            />
+                                            {payment.paymentMethod === 'debit_card' ? (
+                                                <input
+                                                    type="password"
+                                                    required
+                                                    value={payment.pin}
+                                                    onChange={(e) => setPayment({ ...payment, pin: e.target.value })}
+                                                    className={inputClass}
+                                                    placeholder="PIN"
+                                                />
+                                            ) : (
+                                                <input
+                                                    type="password"
+                                                    required
+                                                    value={payment.cvv}
+                                                    onChange={(e) => setPayment({ ...payment, cvv: e.target.value })}
+                                                    className={inputClass}
+                                                    placeholder="CVV"
+                                                />
+                                            )}
+                                            <input
+                                                type="text"
+                                                required={payment.paymentMethod === 'credit_card'}
+                                                value={payment.holderName}
+                                                onChange={(e) => setPayment({ ...payment, holderName: e.target.value })}
+                                                className={inputClass}
+                                                placeholder="Name on card"
+                                            />
+                                        </div>
+                                    )}
+                                    <div className="grid grid-cols-2 gap-3">
+                                        <input
+                                            type="text"
+                                            value={payment.name}
+                                            onChange={(e) => setPayment({ ...payment, name: e.target.value })}
+                                            className={inputClass}
+                                            placeholder="Your name (optional)"
+                                        />
+                                        <input
+                                            type="email"
+                                            value={payment.email}
+                                            onChange={(e) => setPayment({ ...payment, email: e.target.value })}
+                                            className={inputClass}
+                                            placeholder="Email for receipt (optional)"
+                                        />
+                                    </div>
+                                    <div className="flex gap-3">
+                                        <button
+                                            type="submit"
+                                            disabled={loading}
+                                            className="px-4 py-2 rounded-lg text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                                        >
+                                            {loading ? 'Processing...' : `Pay $${challan.outstandingAmount}`}
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => setPayingId(null)}
+                                            className="px-4 py-2 rounded-lg text-sm font-medium text-gray-700 border border-gray-300 hover:bg-gray-50"
+                                        >
+                                            Cancel
+                                        </button>
+                                    </div>
+                                </form>
+                            ) : (
+                                <button
+                                    onClick={() => { setPayingId(challan.id); setPayment(emptyPayment); }}
+                                    className="mt-4 px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                                >
+                                    Pay Now
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <p className="text-sm text-gray-600">
+                Have an account? <Link to="/login" className="text-blue-600 hover:text-blue-800">Sign in</Link> to see all your challans and payment history.
+            </p>
+        </div>
+    );
+};
+
+export default PublicLookup;
@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import API_BASE_URL from '../config/api';
+
+const money = (amount) => (amount === undefined || amount === null ? '' : `$${amount.toFixed(2)}`);
+
+const statusStyles = {
+    clean: 'bg-green-100 text-green-800',
+    needs_attention: 'bg-red-100 text-red-800',
+    resolved: 'bg-gray-100 text-gray-800'
+};
+
+// Gateway settlement reports, and the discrepancies admins still have to deal with
+const Reconciliation = () => {
+    const { user } = useAuth();
+    const [reports, setReports] = useState([]);
+    const [report, setReport] = useState(null);
+    const [notes, setNotes] = useState({});
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+    const [running, setRunning] = useState(false);
+
+    const headers = { Authorization: `Bearer ${user.token}` };
+
+    const loadReports = useCallback(async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/payments/reconciliation/reports`, {
+                headers: { Authorization: `Bearer ${user.token}` }
+            });
+            setReports(response.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not load reconciliation reports');
+        }
+    }, [user.token]);
+
+    useEffect(() => {
+        loadReports();
+    }, [loadReports]);
+
+    const openReport = async (id) => {
+        setError('');
+        try {
+            const response = await axios.get(`${API_BASE_URL}/payments/reconciliation/reports/${id}`, { headers });
+            setReport(response.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not load the report');
+        }
+    };
+
+    const runReconciliation = async (source) => {
+        setRunning(true);
+        setError('');
+        setMessage('');
+        try {
+            const response = await axios.post(`${API_BASE_URL}/payments/reconciliation/run`, { source }, { headers });
+            setMessage(response.data.message);
+            if (response.data.report) {
+                setReport(response.data.report);
+            }
+            loadReports();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Reconciliation failed');
+        } finally {
+            setRunning(false);
+        }
+    };
+
+    const resolve = async (discrepancyId, status) => {
+        setError('');
+        try {
+            const response = await axios.put(
+                `${API_BASE_URL}/payments/reconciliation/reports/${report.id}/discrepancies/${discrepancyId}`,
+                { status, note: notes[discrepancyId] },
+                { headers }
+            );
+            setReport(response.data.report);
+            loadReports();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Could not update the discrepancy');
+        }
+    };
+
+    return (
+        <div className="max-w-5xl mx-auto space-y-6">
+            <div className="flex items-end justify-between">
+                <div>
+                    <h1 className="text-2xl font-semibold text-gray-900">Settlement Reconciliation</h1>
+                    <p className="text-gray-600">What the gateways settled, checked against the payment records.</p>
+                </div>
+                <div className="space-x-2">
+                    <button
+                        onClick={() => runReconciliation('files')}
+                        disabled={running}
+                        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        Import settlement files
+                    </button>
+                    <button
+                        onClick={() => runReconciliation('gateway')}
+                        disabled={running}
+                        className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                    >
+                        Check with gateway
+                    </button>
+                </div>
+            </div>
+
+            {message && (
+                <div className="bg-blue-50 border border-blue-200 text-blue-700 px-4 py-3 rounded-lg">{message}</div>
+            )}
+            {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+            )}
+
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                <table className="w-full text-sm">
+                    <thead>
+                        <tr className="text-left text-gray-500">
+                            <th className="py-1">Run</th>
+                            <th className="py-1">Source</th>
+                            <th className="py-1">Gateways</th>
+                            <th className="py-1 text-right">Settled</th>
+                            <th className="py-1 text-right">Discrepancies</th>
+                            <th className="py-1">Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {reports.map((item) => (
+                            <tr key={item.id} onClick={() => openReport(item.id)} className="border-t border-gray-100 cursor-pointer hover:bg-gray-50">
+                                <td className="py-1">{new Date(item.createdAt).toLocaleString()}</td>
+                                <td className="py-1">{item.source}</td>
+                                <td className="py-1">{item.gateways.join(', ')}</td>
+                                <td className="py-1 text-right">{money(item.totals.settledAmount)}</td>
+                                <td className="py-1 text-right">{item.totals.discrepancies}</td>
+                                <td className="py-1">
+                                    <span className={`px-2 py-0.5 rounded-full text-xs ${statusStyles[item.status]}`}>
+                                        {item.status.replace('_', ' ')}
+                                    </span>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {reports.length === 0 && <p className="text-gray-500 text-sm">No reconciliation has been run yet.</p>}
+            </div>
+
+            {report && (
+                <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+                    <h2 className="text-lg font-semibold text-gray-900">
+                        {report.totals.matched} of {report.totals.settlements} settlements matched
+                    </h2>
+
+                    {report.parseErrors.length > 0 && (
+                        <ul className="text-sm text-amber-700 list-disc pl-5">
+                            {report.parseErrors.map((parseError, index) => (
+                                <li key={index}>
+                                    {parseError.file}{parseError.line ? `:${parseError.line}` : ''} - {parseError.message}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {report.discrepancies.map((discrepancy) => (
+                        <div key={discrepancy.id} className="border border-gray-200 rounded-lg p-4 text-sm space-y-2">
+                            <div className="flex justify-between">
+                                <span className="font-medium">
+                                    {discrepancy.type.replace(/_/g, ' ')} - {discrepancy.gateway} {discrepancy.gatewayTransactionId}
+                                </span>
+                                <span className="text-gray-500">{discrepancy.status}</span>
+                            </div>
+                            {(discrepancy.expectedAmount !== undefined || discrepancy.reportedAmount !== undefined) && (
+                                <p>Recorded {money(discrepancy.expectedAmount)} · Gateway {money(discrepancy.reportedAmount)}</p>
+                            )}
+                            {discrepancy.note && <p className="text-gray-600">{discrepancy.note}</p>}
+                            <p className="text-gray-600">{discrepancy.actionDescription}</p>
+
+                            {discrepancy.status === 'open' ? (
+                                <div className="flex space-x-2">
+                                    <input
+                                        type="text"
+                                        placeholder="What was done"
+                                        value={notes[discrepancy.id] || ''}
+                                        onChange={(e) => setNotes({ ...notes, [discrepancy.id]: e.target.value })}
+                                        className="flex-1 px-3 py-1 border border-gray-300 rounded-lg"
+                                    />
+                                    <button onClick={() => resolve(discrepancy.id, 'resolved')} className="px-3 py-1 bg-green-600 text-white rounded-lg hover:bg-green-700">
+                                        Resolve
+                                    </button>
+                                    <button onClick={() => resolve(discrepancy.id, 'dismissed')} className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50">
+                                        Dismiss
+                                    </button>
+                                </div>
+                            ) : (
+                                <p className="text-gray-500">
+                                    {discrepancy.resolutionNote}
+                                    {discrepancy.resolvedBy?.name ? ` - ${discrepancy.resolvedBy.name}` : ''}
+                                </p>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Reconciliation;
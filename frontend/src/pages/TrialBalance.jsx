@@ -0,0 +1,109 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { useAuth } from '../context/AuthContext';
+import API_BASE_URL from '../config/api';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const money = (amount) => (amount ? `$${amount.toFixed(2)}` : '');
+
+// Figures shown above the trial balance, in the order they are read
+const summaryFigures = [
+    ['finesAssessed', 'Fines assessed'],
+    ['penaltiesAssessed', 'Penalties assessed'],
+    ['waived', 'Waived'],
+    ['collected', 'Collected'],
+    ['refunded', 'Refunded'],
+    ['feesCharged', 'Fees charged'],
+    ['gatewayFees', 'Gateway fees'],
+    ['outstanding', 'Outstanding']
+];
+
+// Account balances from the financial ledger at the end of a day
+const TrialBalance = () => {
+    const { user } = useAuth();
+    const [date, setDate] = useState(today());
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState('');
+
+    const loadReport = useCallback(async () => {
+        setError('');
+        try {
+            const response = await axios.get(`${API_BASE_URL}/payments/ledger/trial-balance`, {
+                params: { asOf: `${date}T23:59:59.999` },
+                headers: { Authorization: `Bearer ${user.token}` }
+            });
+            setReport(response.data);
+        } catch (err) {
+            setReport(null);
+            setError(err.response?.data?.message || 'Could not load the trial balance');
+        }
+    }, [date, user.token]);
+
+    useEffect(() => {
+        loadReport();
+    }, [loadReport]);
+
+    return (
+        <div className="max-w-3xl mx-auto space-y-6">
+            <div className="flex items-end justify-between">
+                <div>
+                    <h1 className="text-2xl font-semibold text-gray-900">Trial Balance</h1>
+                    <p className="text-gray-600">Ledger account balances at the end of the chosen day.</p>
+                </div>
+                <input type="date" value={date} onChange={(e) => setDate(e.target.value)} className="px-3 py-2 border border-gray-300 rounded-lg" />
+            </div>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+            )}
+
+            {report && (
+                <>
+                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                        {summaryFigures.map(([key, label]) => (
+                            <div key={key} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+                                <p className="text-xs text-gray-500">{label}</p>
+                                <p className="text-lg font-semibold text-gray-900">${report.summary[key].toFixed(2)}</p>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-500">
+                                    <th className="py-1">Account</th>
+                                    <th className="py-1 text-right">Debit</th>
+                                    <th className="py-1 text-right">Credit</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.trialBalance.accounts.map((account) => (
+                                    <tr key={account.account} className="border-t border-gray-100">
+                                        <td className="py-1">{account.name}</td>
+                                        <td className="py-1 text-right">{money(account.debit)}</td>
+                                        <td className="py-1 text-right">{money(account.credit)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                            <tfoot>
+                                <tr className="border-t-2 border-gray-300 font-semibold">
+                                    <td className="py-2">Total</td>
+                                    <td className="py-2 text-right">${report.trialBalance.totalDebit.toFixed(2)}</td>
+                                    <td className="py-2 text-right">${report.trialBalance.totalCredit.toFixed(2)}</td>
+                                </tr>
+                            </tfoot>
+                        </table>
+
+                        {!report.trialBalance.balanced && (
+                            <p className="mt-4 text-sm text-red-700">Debits and credits do not agree; check the ledger postings.</p>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default TrialBalance;
@@ -0,0 +1,211 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import axios from 'axios';
+import jsQR from 'jsqr';
+import API_BASE_URL from '../config/api';
+
+// The QR holds the full verification link; a bare code pasted by hand works too
+const extractToken = (text) => {
+    const match = text.trim().match(/\/verify\/([^/?#\s]+)/);
+    return match ? match[1] : text.trim();
+};
+
+const statusStyles = {
+    paid: 'bg-green-100 text-green-800',
+    refunded: 'bg-green-100 text-green-800',
+    cancelled: 'bg-gray-200 text-gray-800',
+    overdue: 'bg-red-100 text-red-800'
+};
+
+const VerifyChallan = () => {
+    const { token } = useParams();
+    const navigate = useNavigate();
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [scanning, setScanning] = useState(false);
+    const [manualCode, setManualCode] = useState('');
+    const videoRef = useRef(null);
+    const canvasRef = useRef(null);
+    const streamRef = useRef(null);
+    const frameRef = useRef(null);
+
+    useEffect(() => {
+        if (!token) {
+            setResult(null);
+            setError('');
+            return;
+        }
+
+        const verify = async () => {
+            setLoading(true);
+            setError('');
+            try {
+                const response = await axios.get(`${API_BASE_URL}/verify/${token}`);
+                setResult(response.data);
+            } catch (err) {
+                setResult(null);
+                setError(err.response?.data?.message || 'Could not verify this code');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        verify();
+    }, [token]);
+
+    const stopScanning = () => {
+        cancelAnimationFrame(frameRef.current);
+        if (streamRef.current) {
+            streamRef.current.getTracks().forEach((track) => track.stop());
+            streamRef.current = null;
+        }
+        setScanning(false);
+    };
+
+    // Release the camera when leaving the page
+    useEffect(() => stopScanning, []);
+
+    const scanFrame = () => {
+        const video = videoRef.current;
+        const canvas = canvasRef.current;
+        if (!video || !canvas) {
+            return;
+        }
+
+        if (video.readyState === video.HAVE_ENOUGH_DATA) {
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            context.drawImage(video, 0, 0, canvas.width, canvas.height);
+            const image = context.getImageData(0, 0, canvas.width, canvas.height);
+            const code = jsQR(image.data, image.width, image.height);
+
+            if (code && code.data) {
+                stopScanning();
+                navigate(`/verify/${extractToken(code.data)}`);
+                return;
+            }
+        }
+
+        frameRef.current = requestAnimationFrame(scanFrame);
+    };
+
+    const startScanning = async () => {
+        setError('');
+        try {
+            streamRef.current = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+            setScanning(true);
+            videoRef.current.srcObject = streamRef.current;
+            await videoRef.current.play();
+            frameRef.current = requestAnimationFrame(scanFrame);
+        } catch (err) {
+            stopScanning();
+            setError('Camera is not available. Allow camera access or paste the link from the document instead.');
+        }
+    };
+
+    const handleManualSubmit = (e) => {
+        e.preventDefault();
+        if (manualCode.trim()) {
+            navigate(`/verify/${extractToken(manualCode)}`);
+        }
+    };
+
+    const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+
+    return (
+        <div className="max-w-xl mx-auto space-y-6">
+            <div>
+                <h1 className="text-2xl font-semibold text-gray-900">Verify a challan</h1>
+                <p className="text-gray-600">
+                    Scan the QR code on a challan notice or payment receipt to check that it is genuine and see its current status.
+                </p>
+            </div>
+
+            {loading && (
+                <div className="flex justify-center py-8">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+                </div>
+            )}
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                    <p className="font-medium">Not verified</p>
+                    <p className="text-sm">{error}</p>
+                </div>
+            )}
+
+            {result && (
+                <div className="bg-white rounded-lg shadow-sm border border-green-300 p-6 space-y-3">
+                    <div className="flex items-center justify-between">
+                        <p className="text-green-700 font-semibold">Genuine challan issued by {result.authorityName}</p>
+                        <span className={`px-3 py-1 rounded-full text-xs font-medium ${statusStyles[result.status] || 'bg-yellow-100 text-yellow-800'}`}>
+                            {result.status.replace('_', ' ')}
+                        </span>
+                    </div>
+                    <dl className="grid grid-cols-2 gap-2 text-sm">
+                        <dt className="text-gray-500">Challan number</dt>
+                        <dd className="text-gray-900 font-mono">{result.challanNumber}</dd>
+                        <dt className="text-gray-500">Violation</dt>
+                        <dd className="text-gray-900">{result.violationType}</dd>
+                        <dt className="text-gray-500">Date of violation</dt>
+                        <dd className="text-gray-900">{formatDate(result.violationDate)}</dd>
+                        <dt className="text-gray-500">Fine</dt>
+                        <dd className="text-gray-900">${result.fineAmount}</dd>
+                        <dt className="text-gray-500">Outstanding</dt>
+                        <dd className="text-gray-900">${result.outstandingAmount}</dd>
+                    </dl>
+                    {result.printedFineAmount !== result.fineAmount && (
+                        <p className="text-sm text-yellow-700">
+                            The fine has changed since this document was printed (${result.printedFineAmount} on the document).
+                        </p>
+                    )}
+                </div>
+            )}
+
+            <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6 space-y-4">
+                <video ref={videoRef} className={scanning ? 'w-full rounded-lg bg-black' : 'hidden'} playsInline muted />
+                <canvas ref={canvasRef} className="hidden" />
+
+                {scanning ? (
+                    <button
+                        onClick={stopScanning}
+                        className="w-full px-4 py-2 rounded-lg text-sm font-medium text-gray-700 border border-gray-300 hover:bg-gray-50"
+                    >
+                        Stop Scanning
+                    </button>
+                ) : (
+                    <button
+                        onClick={startScanning}
+                        className="w-full px-4 py-2 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                    >
+                        {token ? 'Scan Another Code' : 'Scan QR Code'}
+                    </button>
+                )}
+
+                <form onSubmit={handleManualSubmit} className="flex gap-2">
+                    <input
+                        type="text"
+                        value={manualCode}
+                        onChange={(e) => setManualCode(e.target.value)}
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        placeholder="Or paste the verification link"
+                    />
+                    <button
+                        type="submit"
+                        className="px-4 py-2 rounded-lg text-sm font-medium text-gray-700 border border-gray-300 hover:bg-gray-50"
+                    >
+                        Verify
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default VerifyChallan;